@@ -5,6 +5,7 @@ import fs from "fs";
 import path from "path";
 import cors from "cors";
 import dotenv from "dotenv";
+import { createSpeechToText, parseVocabularyField } from "../src/utils/speechToText.js";
 
 // Document Registry implementation (inline)
 class DocumentRegistry {
@@ -135,6 +136,13 @@ const upload = multer(); // memory storage
 console.log("🔑 OpenAI API Key present:", !!process.env.OPENAI_API_KEY);
 console.log("🔑 API Key length:", process.env.OPENAI_API_KEY?.length || 0);
 const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Govor u tekst: lokalni whisper (STT_BASE_URL) i/ili OpenAI whisper-1 preko gornjeg klijenta
+const stt = createSpeechToText({
+  llm: {
+    available: () => !!client.apiKey,
+    transcribe: (request) => client.audio.transcriptions.create({ ...request, model: "whisper-1" })
+  }
+});
 
 app.use(cors());
 app.use(express.json());
@@ -215,6 +223,7 @@ async function routeLLMRequest(input) {
 }
 
 /* ========== TRANSCRIBE (audio → text) ========== */
+// Polje "vocabulary" (JSON niz ili popis sa zarezima, npr. PZ kodovi projekta) usmjerava prepoznavanje
 app.post("/api/transcribe", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
@@ -223,24 +232,16 @@ app.post("/api/transcribe", upload.single("file"), async (req, res) => {
 
     console.log("🎤 Received audio:", req.file.originalname, req.file.size, "bytes");
 
-    // Spremi privremeni file
-    const tempPath = `./tmp_${Date.now()}.webm`;
-    fs.writeFileSync(tempPath, req.file.buffer);
-
-    const response = await client.audio.transcriptions.create({
-      file: fs.createReadStream(tempPath),
-      model: "whisper-1", // stabilan model za webm snimke
-    });
-
-    fs.unlinkSync(tempPath); // očisti nakon transkripcije
+    const result = await stt.transcribe(
+      { buffer: req.file.buffer, filename: req.file.originalname, mimeType: req.file.mimetype },
+      { vocabulary: parseVocabularyField(req.body?.vocabulary) }
+    );
 
-    console.log("✅ Transcription successful:", response.text);
-    res.json({ text: response.text });
+    console.log(`✅ Transcription successful (${result.provider}):`, result.text);
+    res.json(result);
   } catch (err) {
-    console.error("❌ Transcribe error:", err.response?.data || err.message);
-    console.error("❌ Full error:", err);
-    console.error("❌ Stack trace:", err.stack);
-    res.status(500).json({ error: err.message, fallback_text: "Fallback transcript" });
+    console.error("❌ Transcribe error:", err.message);
+    res.status(err.status === 503 ? 503 : 500).json({ error: err.message, attempts: err.attempts });
   }
 });
 
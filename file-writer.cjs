@@ -3,13 +3,17 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const cors = require('cors');
-const formidable = require('formidable');
+const { formidable } = require('formidable'); // v3: imenovani izvoz
 
 // Load environment variables
 require('dotenv').config();
 
-// Import OpenAI (using dynamic import for ESM compatibility)
-let OpenAI;
+// LLM registar (utils/llmProviders.js, ESM pa dinamički import); modeli po endpointu i zakupcu
+let llm;
+let tenantOf = () => null;
+// Govor u tekst (utils/speechToText.js): lokalni whisper i/ili OpenAI kroz isti registar
+let stt;
+let vocabularyOf = () => [];
 
 const app = express();
 const PORT = 3001;
@@ -129,24 +133,39 @@ app.get('/api/docs/list', async (req, res) => {
   }
 });
 
-// Initialize OpenAI client
-async function initOpenAI() {
+// Initialize LLM provider registry
+async function initLLM() {
   try {
-    const { default: OpenAISDK } = await import('openai');
-    OpenAI = new OpenAISDK({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    console.log('✅ OpenAI client initialized');
+    const { loadLLMRegistry, tenantFromRequest } = await import('./src/utils/llmProviders.js');
+    llm = await loadLLMRegistry();
+    tenantOf = tenantFromRequest;
+    const { createSpeechToText, parseVocabularyField } = await import('./src/utils/speechToText.js');
+    stt = createSpeechToText({ llm });
+    vocabularyOf = parseVocabularyField;
+    const routes = Object.entries(llm.describe().defaults).map(([capability, r]) => `${capability}=${r.provider}:${r.model}`);
+    console.log('✅ LLM providers initialized:', routes.join(', '));
+    console.log('🎤 STT providers:', stt.order.join(' → '));
   } catch (error) {
-    console.error('❌ Failed to initialize OpenAI:', error.message);
+    console.error('❌ Failed to initialize LLM providers:', error.message);
   }
 }
 
-// OpenAI API - Draft endpoint
+// Endpoint i zakupac za rutiranje modela
+const llmRoute = (req, endpoint) => ({ endpoint, tenant: tenantOf(req) });
+
+// Pružatelji i rute bez ključeva, za provjeru konfiguracije
+app.get('/api/llm/providers', (req, res) => {
+  if (!llm) {
+    return res.status(503).json({ error: 'LLM provider registry not initialized' });
+  }
+  res.json(llm.describe());
+});
+
+// LLM API - Draft endpoint
 app.post('/api/llm/draft', async (req, res) => {
   try {
-    if (!OpenAI) {
-      throw new Error('OpenAI client not initialized');
+    if (!llm?.available('json', llmRoute(req, 'llm.draft'))) {
+      throw new Error('LLM provider not configured');
     }
 
     const { command, images } = req.body;
@@ -247,15 +266,14 @@ Vrati SAMO JSON, bez objašnjenja.`
     }));
 
     // Call Chat Completions API instead of Responses API
-    const response = await OpenAI.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat({
       messages: messages,
       response_format: { type: "json_object" },
       temperature: 0.3,
       max_tokens: 1000
-    });
+    }, llmRoute(req, 'llm.draft'));
 
-    console.log("✅ OpenAI Chat Completions API successful");
+    console.log("✅ LLM chat completion successful");
 
     let jsonResponse;
     try {
@@ -298,7 +316,7 @@ Vrati SAMO JSON, bez objašnjenja.`
     res.json(jsonResponse);
 
   } catch (error) {
-    console.error("❌ OpenAI API error:", error);
+    console.error("❌ LLM API error:", error);
     
     // Fallback response
     const fallbackResponse = {
@@ -323,18 +341,18 @@ Vrati SAMO JSON, bez objašnjenja.`
         document_type: "unknown", 
         key_data: {}
       },
-      error: "OpenAI nedostupan - korišten fallback"
+      error: "LLM nedostupan - korišten fallback"
     };
 
     res.json(fallbackResponse);
   }
 });
 
-// OpenAI API - Confirm endpoint
+// LLM API - Confirm endpoint
 app.post('/api/llm/confirm', async (req, res) => {
   try {
-    if (!OpenAI) {
-      throw new Error('OpenAI client not initialized');
+    if (!llm?.available('json', llmRoute(req, 'llm.confirm'))) {
+      throw new Error('LLM provider not configured');
     }
 
     const { command, fields } = req.body;
@@ -343,8 +361,7 @@ app.post('/api/llm/confirm', async (req, res) => {
       return res.status(400).json({ error: 'Command and fields are required' });
     }
 
-    const response = await OpenAI.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat({
       messages: [
         {
           role: "system",
@@ -358,7 +375,7 @@ app.post('/api/llm/confirm', async (req, res) => {
       response_format: { type: "json_object" },
       temperature: 0.1,
       max_tokens: 1000
-    });
+    }, llmRoute(req, 'llm.confirm'));
 
     let jsonResponse;
     try {
@@ -397,7 +414,7 @@ app.post('/api/llm/confirm', async (req, res) => {
     res.json(jsonResponse);
 
   } catch (error) {
-    console.error("❌ OpenAI API error:", error);
+    console.error("❌ LLM API error:", error);
     
     // Fallback response
     const fallbackResponse = {
@@ -422,10 +439,11 @@ app.post('/api/llm/confirm', async (req, res) => {
   }
 });
 
-// Whisper transcription endpoint
+// Transkripcija: lokalni whisper ili OpenAI, s riječima, vremenima i pouzdanošću.
+// Polje "vocabulary" (JSON niz ili popis sa zarezima, npr. PZ kodovi projekta) usmjerava prepoznavanje.
 app.post('/api/transcribe', (req, res) => {
-  if (!OpenAI) {
-    return res.status(500).json({ error: 'OpenAI client not initialized' });
+  if (!stt) {
+    return res.status(503).json({ error: 'Speech-to-text not initialized' });
   }
 
   const form = formidable({ 
@@ -440,64 +458,43 @@ app.post('/api/transcribe', (req, res) => {
       return res.status(500).json({ error: 'File parsing error' });
     }
 
-    try {
-      // Get uploaded audio file
-      const audioFile = files.file || files.audio;
-      if (!audioFile) {
-        return res.status(400).json({ error: 'No audio file provided' });
-      }
+    // Get uploaded audio file
+    const audioFile = files.file?.[0] || files.file || files.audio?.[0] || files.audio;
+    if (!audioFile) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
 
+    try {
       console.log('🎤 Processing audio transcription...');
-      console.log('📁 File path:', audioFile[0]?.filepath || audioFile.filepath);
-      console.log('📊 File size:', audioFile[0]?.size || audioFile.size, 'bytes');
-
-      // Create read stream for Whisper
-      const filePath = audioFile[0]?.filepath || audioFile.filepath;
-      const audioStream = fsSync.createReadStream(filePath);
-
-      // Call Whisper API
-      const response = await OpenAI.audio.transcriptions.create({
-        model: "whisper-1",
-        file: audioStream,
-        language: "hr", // Croatian language
-        response_format: "text",
-        temperature: 0.1
+      console.log('📊 File size:', audioFile.size, 'bytes');
+
+      const result = await stt.transcribe({
+        buffer: await fs.readFile(audioFile.filepath),
+        filename: audioFile.originalFilename || path.basename(audioFile.filepath),
+        mimeType: audioFile.mimetype
+      }, {
+        vocabulary: vocabularyOf(fields.vocabulary),
+        route: llmRoute(req, 'transcribe')
       });
 
-      console.log('✅ Whisper transcription successful');
-      console.log('📝 Transcript:', response.substring(0, 100) + (response.length > 100 ? '...' : ''));
+      console.log(`✅ Transcription successful (${result.provider})`);
+      console.log('📝 Transcript:', result.text.substring(0, 100) + (result.text.length > 100 ? '...' : ''));
 
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('❌ Transcription error:', error.message);
+      res.status(error.status === 503 ? 503 : 500).json({ 
+        error: 'Transcription failed',
+        message: error.message,
+        attempts: error.attempts
+      });
+    } finally {
       // Clean up temp file
       try {
-        await fs.unlink(filePath);
+        await fs.unlink(audioFile.filepath);
       } catch (unlinkError) {
         console.warn('⚠️ Could not delete temp file:', unlinkError.message);
       }
-
-      res.status(200).json({ 
-        text: response,
-        language: 'hr',
-        duration: audioFile[0]?.size || audioFile.size 
-      });
-
-    } catch (error) {
-      console.error('❌ Whisper transcription error:', error);
-      
-      // Clean up temp file on error
-      try {
-        const filePath = files.file?.[0]?.filepath || files.file?.filepath || files.audio?.[0]?.filepath || files.audio?.filepath;
-        if (filePath) {
-          await fs.unlink(filePath);
-        }
-      } catch (unlinkError) {
-        // Ignore cleanup errors
-      }
-
-      res.status(500).json({ 
-        error: 'Transcription failed',
-        message: error.message,
-        fallback_text: "Greška pri transkripciji - molimo ponovite naredbu"
-      });
     }
   });
 });
@@ -506,8 +503,8 @@ app.post('/api/transcribe', (req, res) => {
 
 // Gantt Draft - kreiranje i upravljanje draft verzijama
 app.post('/api/gantt/draft', async (req, res) => {
-  if (!OpenAI) {
-    return res.status(500).json({ error: 'OpenAI client not initialized' });
+  if (!llm?.available('json', llmRoute(req, 'gantt.draft'))) {
+    return res.status(500).json({ error: 'LLM provider not configured' });
   }
 
   try {
@@ -547,8 +544,7 @@ Za operaciju "validate" - provjeri integritet draft-a.
 
 Komuniciraj na hrvatskom. Vrati SAMO JSON.`;
 
-    const completion = await OpenAI.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llm.chat({
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: prompt || `Izvršavam operaciju: ${operation}` }
@@ -556,7 +552,7 @@ Komuniciraj na hrvatskom. Vrati SAMO JSON.`;
       max_tokens: 1500,
       temperature: 0.1,
       response_format: { type: "json_object" }
-    });
+    }, llmRoute(req, 'gantt.draft'));
 
     let response = JSON.parse(completion.choices[0].message.content);
     
@@ -582,76 +578,100 @@ Komuniciraj na hrvatskom. Vrati SAMO JSON.`;
   }
 });
 
-// Gantt Confirm - potvrda draft-a i priprema za commit
-app.post('/api/gantt/confirm', async (req, res) => {
-  if (!OpenAI) {
-    return res.status(500).json({ error: 'OpenAI client not initialized' });
+// Pravila provjere draft-a i radni kalendar dijele se s frontendom (ESM moduli iz src/utils)
+let draftRules;
+async function loadDraftRules() {
+  if (!draftRules) {
+    const [validator, workCalendar] = await Promise.all([
+      import('./src/utils/ganttDraftValidator.js'),
+      import('./src/utils/workCalendar.js')
+    ]);
+    draftRules = { ...validator, createWorkCalendar: workCalendar.createWorkCalendar };
+  }
+  return draftRules;
+}
+
+// LLM samo sroči govorni odgovor iz nalaza; bez klijenta ili na grešci ostaje sažetak validatora
+async function wordConfirmTts(fallback, facts, route) {
+  if (!llm?.available('json', route)) return fallback;
+  try {
+    const completion = await llm.chat({
+      messages: [
+        {
+          role: "system",
+          content: `Ti si glas Gantt asistenta. Iz zadanih nalaza provjere plana sroči kratak govorni odgovor na hrvatskom (najviše dvije rečenice).
+Ne izmišljaj nalaze, ne mijenjaj status i ne ocjenjuj plan sam. Vrati SAMO JSON: {"tts": "..."}`
+        },
+        { role: "user", content: JSON.stringify(facts) }
+      ],
+      max_tokens: 200,
+      temperature: 0.3,
+      response_format: { type: "json_object" }
+    }, route);
+    return JSON.parse(completion.choices[0].message.content).tts || fallback;
+  } catch (error) {
+    console.warn('⚠️ Confirm TTS wording failed, using validator summary:', error.message);
+    return fallback;
   }
+}
 
+// Gantt Confirm - potvrda draft-a i priprema za commit
+app.post('/api/gantt/confirm', async (req, res) => {
   try {
-    const { draftData, confirmationType, userMessage } = req.body;
+    const { draftData, confirmationType, userMessage, lineId, workCalendar } = req.body;
     
     console.log(`✅ Gantt Confirm request:`, {
       confirmationType,
       draftId: draftData?.draftId,
-      linesCount: draftData?.lines?.length || 0,
+      lineId,
       userMessage: userMessage?.substring(0, 50) + '...'
     });
 
-    let systemPrompt = `Ti si Gantt Confirm Agent koji finalizira draft Gantt dijagrama za commit.
-
-Tip potvrde: ${confirmationType}
-
-Draft podaci:
-${JSON.stringify(draftData, null, 2)}
-
-Za "line_confirm" - potvrdi jednu liniju i pripremi sljedeću za pregled.
-Za "full_confirm" - validiraj cijeli draft i pripremi za finalni commit.
-Za "reject_changes" - odbaci promjene i vrati na prethodno stanje.
-
-Vrati JSON response:
-{
-  "type": "gantt_confirm_response",
-  "confirmation_type": "${confirmationType}",
-  "status": "confirmed|rejected|needs_review",
-  "updated_draft": { /* ažurirani draft objekt */ },
-  "validation": {
-    "ok": true|false,
-    "issues": ["lista grešaka ako ih ima"],
-    "warnings": ["lista upozorenja"]
-  },
-  "next_steps": [
-    "što korisnik treba učiniti dalje"
-  ],
-  "tts": "kratki govorni odgovor",
-  "commit_ready": true|false
-}
-
-Komunikacija na hrvatskom. Vrati SAMO JSON.`;
-
-    const completion = await OpenAI.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userMessage || `Potvrđujem ${confirmationType}` }
-      ],
-      max_tokens: 2000,
-      temperature: 0.1,
-      response_format: { type: "json_object" }
-    });
-
-    let response = JSON.parse(completion.choices[0].message.content);
-    
-    // Ensure proper structure
-    if (!response.type) response.type = "gantt_confirm_response";
-    if (!response.confirmation_type) response.confirmation_type = confirmationType;
-    if (!response.validation) response.validation = { ok: true, issues: [], warnings: [] };
+    const { validateGanttDraft, lineFindings, summarizeValidation, draftLines, createWorkCalendar } = await loadDraftRules();
+    const validation = validateGanttDraft(draftData, { calendar: createWorkCalendar(workCalendar || {}) });
+    const blocking = (confirmationType === 'line_confirm' && lineId
+      ? lineFindings(validation, lineId)
+      : validation.findings
+    ).filter(f => f.severity === 'error');
+
+    const status = confirmationType === 'reject_changes' ? 'rejected' : blocking.length ? 'needs_review' : 'confirmed';
+    const lines = draftLines(draftData);
+    const updatedDraft = status === 'confirmed' && confirmationType === 'line_confirm' && lineId
+      ? { ...draftData, lines: lines.map(line => String(line.id) === String(lineId) ? { ...line, confirmed: true, needs_review: false } : line) }
+      : { ...draftData, lines };
+
+    let nextSteps;
+    if (status === 'rejected') nextSteps = ['Promjene su odbačene, draft ostaje nepotvrđen.'];
+    else if (blocking.length) nextSteps = blocking.slice(0, 5).map(f => `Ispravite: ${f.message}`);
+    else if (confirmationType === 'line_confirm') nextSteps = ['Pregledajte sljedeću liniju.'];
+    else nextSteps = ['Spremite plan u projekt.'];
+
+    const tts = await wordConfirmTts(summarizeValidation(validation), {
+      confirmation_type: confirmationType,
+      status,
+      line_id: lineId || null,
+      issues: validation.issues,
+      warnings: validation.warnings,
+      next_steps: nextSteps,
+      user_message: userMessage || null
+    }, llmRoute(req, 'gantt.confirm'));
+
+    const response = {
+      type: "gantt_confirm_response",
+      confirmation_type: confirmationType,
+      status,
+      updated_draft: updatedDraft,
+      validation,
+      next_steps: nextSteps,
+      tts,
+      commit_ready: confirmationType === 'full_confirm' && validation.ok
+    };
 
     console.log(`✅ Gantt Confirm ${confirmationType} completed:`, {
       status: response.status,
       commitReady: response.commit_ready,
-      issues: response.validation?.issues?.length || 0,
-      warnings: response.validation?.warnings?.length || 0
+      issues: validation.issues.length,
+      warnings: validation.warnings.length
     });
 
     res.json(response);
@@ -666,10 +686,36 @@ Komunikacija na hrvatskom. Vrati SAMO JSON.`;
   }
 });
 
+// Proces projekta koji draft planira (draft.process → naziv procesa pozicije)
+const DRAFT_PROCESS_NAMES = { montaza: 'Ugradnja', prodaja: 'Prodaja', proizvodnja: 'Proizvodnja', nabava: 'Nabava' };
+
+// Osnovni plan iz potvrđenih linija: datumi po poziciji i procesu u trenutku commita
+function buildCommitBaseline(draftData, { process, processName, baselineName, timestamp }) {
+  const name = processName || DRAFT_PROCESS_NAMES[String(process || '').toLowerCase()] || process || 'Ugradnja';
+  const positions = {};
+  (draftData?.lines || []).forEach(line => {
+    const positionId = line.pozicija_id || line.id;
+    if (!positionId || (!line.start && !line.end)) return;
+    positions[positionId] = {
+      start: line.start || null,
+      end: line.end || null,
+      processes: { [name]: { start: line.start || null, end: line.end || null } }
+    };
+  });
+  return {
+    id: `bl-${Date.now().toString(36)}`,
+    name: baselineName || `Commit ${draftData?.draftId || timestamp.slice(0, 10)}`,
+    createdAt: timestamp,
+    source: 'voice_commit',
+    draftId: draftData?.draftId || null,
+    positions
+  };
+}
+
 // Gantt Commit - finalna operacija spremanja draft-a u projekt
 app.post('/api/gantt/commit', async (req, res) => {
   try {
-    const { draftData, projectId, process } = req.body;
+    const { draftData, projectId, process, processName, baselineName } = req.body;
     
     console.log(`💾 Gantt Commit:`, {
       draftId: draftData?.draftId,
@@ -680,6 +726,7 @@ app.post('/api/gantt/commit', async (req, res) => {
 
     // Simulacija commit operacije
     // U realnoj implementaciji bi se spremilo u bazu/file system
+    const commitTimestamp = new Date().toISOString();
     const commitResult = {
       type: "gantt_commit_response",
       success: true,
@@ -697,8 +744,9 @@ app.post('/api/gantt/commit', async (req, res) => {
           version: "1.0"
         }
       },
+      baseline: buildCommitBaseline(draftData, { process, processName, baselineName, timestamp: commitTimestamp }),
       tts: `Gantt za projekt ${projectId} uspješno spremljen.`,
-      commit_timestamp: new Date().toISOString()
+      commit_timestamp: commitTimestamp
     };
 
     // Za demo - spremi u privremenu JSON datoteku
@@ -722,19 +770,22 @@ app.post('/api/gantt/commit', async (req, res) => {
   }
 });
 
-// Initialize and start server
-(async () => {
-  await initOpenAI();
-  
+// Initialize and start server; testovi uvoze app i čekaju `ready` bez slušanja
+const ready = initLLM();
+
+if (require.main === module) ready.then(() => {
   app.listen(PORT, () => {
-    console.log(`🚀 Enhanced file writer + OpenAI API running on http://localhost:${PORT}`);
+    console.log(`🚀 Enhanced file writer + LLM API running on http://localhost:${PORT}`);
     console.log(`📝 Endpoints:`);
     console.log(`   PUT  /api/save-agbim - Save agbim.json`);
-    console.log(`   POST /api/llm/draft - OpenAI draft processing`);
-    console.log(`   POST /api/llm/confirm - OpenAI confirm processing`);
-    console.log(`   POST /api/transcribe - Whisper audio transcription`);
+    console.log(`   GET  /api/llm/providers - Configured LLM providers and routes`);
+    console.log(`   POST /api/llm/draft - LLM draft processing`);
+    console.log(`   POST /api/llm/confirm - LLM confirm processing`);
+    console.log(`   POST /api/transcribe - Audio transcription`);
     console.log(`   POST /api/gantt/draft - Gantt Voice Agent draft operations`);
     console.log(`   POST /api/gantt/confirm - Gantt Voice Agent confirm workflow`);
     console.log(`   POST /api/gantt/commit - Gantt Voice Agent commit to project`);
   });
-})();
+});
+
+module.exports = { app, ready };
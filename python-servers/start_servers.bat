@@ -21,6 +21,7 @@ echo 📋 Configuration:
 echo    Text LLM: http://127.0.0.1:8000
 echo    Vision LLM: http://127.0.0.1:8001  
 echo    PDF Analyzer: http://127.0.0.1:7000
+echo    Speech-to-Text: http://127.0.0.1:8002
 echo.
 
 REM Set model paths (CHANGE THESE TO YOUR ACTUAL MODEL PATHS)
@@ -79,6 +80,10 @@ REM Start PDF Analyzer Server (Port 7000)
 echo 📄 Starting PDF Analyzer Server...
 start "PDF Analyzer" cmd /k "python pdf_analyzer.py 2>&1 | tee logs\pdf_analyzer.log"
 
+REM Start Speech-to-Text Server (Port 8002)
+echo 🎤 Starting Speech-to-Text Server...
+start "Speech-to-Text" cmd /k "python stt_server.py 2>&1 | tee logs\stt_server.log"
+
 echo.
 echo ✅ All servers started!
 echo.
@@ -86,6 +91,7 @@ echo 🌐 Service URLs:
 echo    Text LLM: http://127.0.0.1:8000/docs
 echo    Vision LLM: http://127.0.0.1:8001/docs  
 echo    PDF Analyzer: http://127.0.0.1:7000/docs
+echo    Speech-to-Text: http://127.0.0.1:8002/docs
 echo.
 echo 🔧 Next steps:
 echo    1. Open your React app (http://localhost:5174)
@@ -0,0 +1,173 @@
+#!/usr/bin/env python3
+"""
+FastAPI Speech-to-Text Server for Aluminum Store UI
+Local faster-whisper transcription with an OpenAI-compatible endpoint
+Used by /api/transcribe (src/utils/speechToText.js) when there is no internet on site
+"""
+
+import os
+import tempfile
+from typing import List, Optional
+
+import uvicorn
+from fastapi import FastAPI, UploadFile, File, Form, HTTPException
+from fastapi.middleware.cors import CORSMiddleware
+from faster_whisper import WhisperModel
+
+MODEL_NAME = os.environ.get("STT_MODEL", "large-v3")
+DEVICE = os.environ.get("STT_DEVICE", "auto")
+COMPUTE_TYPE = os.environ.get("STT_COMPUTE_TYPE", "default")
+
+# Initialize FastAPI app
+app = FastAPI(
+    title="Speech-to-Text Server",
+    description="Local faster-whisper transcription (OpenAI-compatible /v1/audio/transcriptions)",
+    version="1.0.0"
+)
+
+# Configure CORS for frontend communication
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=["http://localhost:5174", "http://localhost:5173", "http://localhost:3000"],  # React dev servers
+    allow_credentials=True,
+    allow_methods=["*"],
+    allow_headers=["*"],
+)
+
+_model: Optional[WhisperModel] = None
+
+def get_model() -> WhisperModel:
+    """Load the Whisper model once, on first request"""
+    global _model
+    if _model is None:
+        print(f"🔄 Loading faster-whisper model {MODEL_NAME} ({DEVICE}, {COMPUTE_TYPE})...")
+        _model = WhisperModel(MODEL_NAME, device=DEVICE, compute_type=COMPUTE_TYPE)
+    return _model
+
+@app.post("/v1/audio/transcriptions")
+async def transcribe(
+    file: UploadFile = File(...),
+    model: str = Form(MODEL_NAME),
+    language: str = Form("hr"),
+    prompt: Optional[str] = Form(None),
+    hotwords: Optional[str] = Form(None),
+    response_format: str = Form("verbose_json"),
+    temperature: float = Form(0.0),
+    timestamp_granularities: Optional[List[str]] = Form(None, alias="timestamp_granularities[]")
+):
+    """
+    Transcribe audio; verbose_json returns segments and words with timestamps and probability.
+    `prompt` (initial prompt) and `hotwords` bias recognition towards domain vocabulary
+    (PZ codes, months, normativ, process names).
+    """
+    if model != MODEL_NAME:
+        print(f"ℹ️ Requested model {model}, serving {MODEL_NAME}")
+
+    audio_bytes = await file.read()
+    if not audio_bytes:
+        raise HTTPException(status_code=400, detail="Empty audio file")
+
+    suffix = os.path.splitext(file.filename or "")[1] or ".webm"
+    with tempfile.NamedTemporaryFile(suffix=suffix, delete=False) as tmp:
+        tmp.write(audio_bytes)
+        tmp_path = tmp.name
+
+    try:
+        segments, info = get_model().transcribe(
+            tmp_path,
+            language=language or None,
+            initial_prompt=prompt or None,
+            hotwords=hotwords or None,
+            temperature=temperature,
+            word_timestamps=True,
+            vad_filter=True
+        )
+        segments = list(segments)
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Transcription failed: {str(e)}")
+    finally:
+        os.unlink(tmp_path)
+
+    text = "".join(s.text for s in segments).strip()
+    if response_format == "text":
+        return text
+
+    out_segments = [{
+        "id": s.id,
+        "start": s.start,
+        "end": s.end,
+        "text": s.text,
+        "avg_logprob": s.avg_logprob,
+        "no_speech_prob": s.no_speech_prob,
+        "words": [{"word": w.word, "start": w.start, "end": w.end, "probability": w.probability} for w in (s.words or [])]
+    } for s in segments]
+
+    return {
+        "task": "transcribe",
+        "language": info.language,
+        "duration": info.duration,
+        "text": text,
+        "segments": out_segments,
+        "words": [w for s in out_segments for w in s["words"]]
+    }
+
+@app.get("/health")
+async def health_check():
+    """Health check endpoint"""
+    return {
+        "status": "healthy",
+        "service": "stt-server",
+        "model": MODEL_NAME,
+        "loaded": _model is not None,
+        "version": "1.0.0"
+    }
+
+@app.get("/")
+async def root():
+    """Root endpoint with service information"""
+    return {
+        "service": "Speech-to-Text Server",
+        "version": "1.0.0",
+        "description": "Local faster-whisper transcription",
+        "endpoints": {
+            "/v1/audio/transcriptions": "POST - Transcribe audio (OpenAI-compatible)",
+            "/health": "GET - Health check",
+            "/docs": "GET - API documentation"
+        }
+    }
+
+if __name__ == "__main__":
+    # Server configuration
+    HOST = "0.0.0.0"
+    PORT = 8002
+
+    print(f"""
+🚀 Speech-to-Text Server Starting...
+
+📊 Configuration:
+   Host: {HOST}
+   Port: {PORT}
+   URL: http://{HOST}:{PORT}
+   Model: {MODEL_NAME} (STT_MODEL), device: {DEVICE} (STT_DEVICE)
+
+📋 Requirements:
+   - Python packages: fastapi, uvicorn, python-multipart, faster-whisper
+
+🔧 Usage:
+   POST /v1/audio/transcriptions
+   - file: audio (webm, wav, mp3...)
+   - language: hr
+   - prompt / hotwords: domain vocabulary
+   - response_format: verbose_json (words with timestamps and probability)
+
+💡 Backend:
+   STT_BASE_URL=http://127.0.0.1:{PORT}/v1 in .env
+    """)
+
+    uvicorn.run(
+        app,
+        host=HOST,
+        port=PORT,
+        log_level="info",
+        access_log=True
+    )
@@ -1,11 +1,24 @@
 import express from "express";
 import multer from "multer";
-import OpenAI from "openai";
 import fs from "fs";
 import path from "path";
+import { pathToFileURL } from "url";
 import cors from "cors";
 import dotenv from "dotenv";
 import { v4 as uuidv4 } from 'uuid';
+import { loadLLMRegistry, tenantFromRequest } from './src/utils/llmProviders.js';
+import {
+  VOICE_INTENT_TOOLS,
+  VOICE_ACTION_RETRIES,
+  validateVoiceAction,
+  createVoiceAction,
+  actionsFromParsedCommand,
+  isLLMUnavailableError
+} from './src/utils/voiceActions.js';
+import { parseCroatianCommand } from './src/components/tabs/GVAv2/parser/parseCroatianCommand.js';
+import { createSpeechToText, parseVocabularyField } from './src/utils/speechToText.js';
+import { WebSocketServer } from 'ws';
+import { VOICE_STREAM_PATH, createVoiceStreamSession } from './src/utils/voiceStream.js';
 
 // Document Registry implementation (inline)
 class DocumentRegistry {
@@ -125,8 +138,8 @@ class DocumentRegistry {
   }
 }
 
-// Create registry instance
-const documentRegistry = new DocumentRegistry();
+// Create registry instance (DOCUMENTS_DIR za testove i druge instalacije)
+const documentRegistry = new DocumentRegistry(process.env.DOCUMENTS_DIR || undefined);
 
 dotenv.config();
 
@@ -135,13 +148,18 @@ const upload = multer(); // memory storage
 
 console.log("🔑 OpenAI API Key present:", !!process.env.OPENAI_API_KEY);
 console.log("🔑 API Key length:", process.env.OPENAI_API_KEY?.length || 0);
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Modeli i pružatelji po endpointu i zakupcu (llm-providers.json, LLM_* varijable okruženja)
+const llm = await loadLLMRegistry();
+console.log("🤖 LLM routes:", Object.entries(llm.describe().defaults).map(([capability, r]) => `${capability}=${r.provider}:${r.model}`).join(', '));
+// Govor u tekst: lokalni whisper (STT_BASE_URL) i/ili OpenAI, s prelaskom na sljedećeg kad jedan nije dostupan
+const stt = createSpeechToText({ llm });
+console.log("🎤 STT providers:", stt.order.join(' → '));
 
 app.use(cors());
 app.use(express.json());
 
 /* ========== ROUTING FUNKCIJA (auto-detektira tip inputa) ========== */
-async function routeLLMRequest(input) {
+async function routeLLMRequest(input, options = { endpoint: 'agent.route' }) {
   try {
     // Ako je audio
     if (input.file && input.file.mimetype.startsWith("audio")) {
@@ -149,10 +167,9 @@ async function routeLLMRequest(input) {
       const tempPath = `./tmp_${Date.now()}.webm`;
       fs.writeFileSync(tempPath, input.file.buffer);
       
-      const resp = await client.audio.transcriptions.create({
+      const resp = await llm.transcribe({
         file: fs.createReadStream(tempPath),
-        model: "whisper-1",
-      });
+      }, options);
       
       fs.unlinkSync(tempPath);
       return { type: "transcript", text: resp.text, timestamp: new Date().toISOString() };
@@ -163,8 +180,7 @@ async function routeLLMRequest(input) {
       console.log("🖼️ Routing to Vision:", input.file.originalname);
       const base64 = input.file.buffer.toString('base64');
       
-      const resp = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      const resp = await llm.chat({
         messages: [{
           role: "user",
           content: [
@@ -176,7 +192,7 @@ async function routeLLMRequest(input) {
           ]
         }],
         temperature: 0.1
-      });
+      }, options);
       
       return { 
         type: "image_analysis", 
@@ -187,8 +203,7 @@ async function routeLLMRequest(input) {
 
     // Ako je tekst
     console.log("💭 Routing to GPT:", input.prompt?.substring(0, 50));
-    const resp = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const resp = await llm.chat({
       messages: [{
         role: "system",
         content: "Pretvori korisnikov zahtjev u JSON format za upravljanje projektima. Vrati čisti JSON objekt."
@@ -197,7 +212,7 @@ async function routeLLMRequest(input) {
         content: input.prompt
       }],
       temperature: 0.1
-    });
+    }, options);
     
     return { 
       type: "text", 
@@ -216,6 +231,7 @@ async function routeLLMRequest(input) {
 }
 
 /* ========== TRANSCRIBE (audio → text) ========== */
+// Polje "vocabulary" (JSON niz ili popis sa zarezima, npr. PZ kodovi projekta) usmjerava prepoznavanje
 app.post("/api/transcribe", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
@@ -224,24 +240,16 @@ app.post("/api/transcribe", upload.single("file"), async (req, res) => {
 
     console.log("🎤 Received audio:", req.file.originalname, req.file.size, "bytes");
 
-    // Spremi privremeni file
-    const tempPath = `./tmp_${Date.now()}.webm`;
-    fs.writeFileSync(tempPath, req.file.buffer);
-
-    const response = await client.audio.transcriptions.create({
-      file: fs.createReadStream(tempPath),
-      model: "whisper-1", // stabilan model za webm snimke
-    });
-
-    fs.unlinkSync(tempPath); // očisti nakon transkripcije
+    const result = await stt.transcribe(
+      { buffer: req.file.buffer, filename: req.file.originalname, mimeType: req.file.mimetype },
+      { vocabulary: parseVocabularyField(req.body?.vocabulary), route: { endpoint: 'transcribe', tenant: tenantFromRequest(req) } }
+    );
 
-    console.log("✅ Transcription successful:", response.text);
-    res.json({ text: response.text });
+    console.log(`✅ Transcription successful (${result.provider}):`, result.text);
+    res.json(result);
   } catch (err) {
-    console.error("❌ Transcribe error:", err.response?.data || err.message);
-    console.error("❌ Full error:", err);
-    console.error("❌ Stack trace:", err.stack);
-    res.status(500).json({ error: err.message, fallback_text: "Fallback transcript" });
+    console.error("❌ Transcribe error:", err.message);
+    res.status(err.status === 503 ? 503 : 500).json({ error: err.message, attempts: err.attempts });
   }
 });
 
@@ -249,56 +257,8 @@ app.post("/api/transcribe", upload.single("file"), async (req, res) => {
 // === VOICE INTENT PROCESSING ENDPOINT (MEGA SPEC) ===
 
 // === STRICT TOOL DEFINITIONS (MEGA SPEC Section 3) ===
-const TOOLS = [
-  {
-    type: "function",
-    function: {
-      name: "emit_action",
-      description: "Emit a single, atomic, backend-ready action.",
-      parameters: {
-        type: "object",
-        properties: {
-          type: { type: "string", enum: ["shift", "set_status", "move_start", "move_end", "set_range", "set_duration", "shift_all", "distribute_chain", "normative_extend"] },
-          targets: {
-            type: "array",
-            description: "List of normalized alias/badge codes (e.g., ['KIA7', '334']).",
-            items: { type: "string", pattern: "^[A-ZČĆĐŠŽ0-9]+$" }, 
-            minItems: 1
-          },
-          params: {
-            type: "object",
-            description: "Action-specific parameters.",
-            oneOf: [
-                { properties: { days: { type: "integer" } }, required: ["days"], additionalProperties: false },
-                { properties: { status: { type: "string" } }, required: ["status"], additionalProperties: false },
-                { properties: { date: { type: "string", format: "date" } }, required: ["date"], additionalProperties: false },
-                { properties: { start: { type: "string", format: "date" }, end: { type: "string", format: "date" } }, required: ["start", "end"], additionalProperties: false },
-                { properties: { duration_days: { type: "integer" } }, required: ["duration_days"], additionalProperties: false },
-            ]
-          },
-        },
-        required: ["type", "targets", "params"],
-        additionalProperties: false
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "ask_clarify",
-      description: "Ask a single, precise question when exactly one slot is missing.",
-      parameters: {
-        type: "object",
-        properties: {
-          question: { type: "string" },
-          missing_slots: { type: "array", items: { type: "string" } },
-        },
-        required: ["question", "missing_slots"],
-        additionalProperties: false
-      },
-    },
-  },
-];
+// emit_action i ask_clarify iz kanonske sheme akcija (utils/voiceActions.js)
+const TOOLS = VOICE_INTENT_TOOLS;
 
 // === SYSTEM PROMPT (MEGA SPEC Section 4.1) ===
 const SYSTEM_PROMPT = `
@@ -321,139 +281,145 @@ Status whitelist (za set_status): Planirano, U TIJEKU, Blokirano, Završeno.
 Sinonimi: "blokirane"→Blokirano; "u procesu"→U TIJEKU; "gotovo"→Završeno.
 `;
 
-app.post('/api/gva/voice-intent', async (req, res) => {
-  console.log('🎤 [VOICE-INTENT] === REQUEST START ===');
-  console.log('🎤 [VOICE-INTENT] Full payload:', JSON.stringify(req.body, null, 2));
-  
-  const { transcript, context } = req.body;
-  console.log('🎤 [VOICE-INTENT] Extracted transcript:', transcript);
-  console.log('🎤 [VOICE-INTENT] Extracted context:', context);
-
-  if (!transcript) {
-    console.log('❌ [VOICE-INTENT] Missing transcript');
-    return res.status(400).json({ error: "Transcript missing" });
-  }
-
-  if (!context) {
-    console.log('❌ [VOICE-INTENT] Missing context');
-    return res.status(400).json({ error: "Context missing" });
+// Deterministički put: lokalni parser u istom obliku akcija kao emit_action
+function parserIntent(transcript, context, reason) {
+  const aliases = Object.keys(context.aliasToLine || {});
+  const parsed = parseCroatianCommand(transcript, { aliasToLine: context.aliasToLine || {}, defaultYear: Number(context.defaultYear) || undefined });
+  const actions = actionsFromParsedCommand(parsed).filter(action => validateVoiceAction(action, { aliases }).ok);
+  console.log(`🧩 [VOICE-INTENT] Parser fallback (${reason}):`, parsed?.type || 'none', `→ ${actions.length} action(s)`);
+  if (!actions.length) {
+    return { type: 'clarify', question: "Nisam razumio naredbu. Možete li ponoviti specifičnije?", source: 'parser', fallback_reason: reason };
   }
+  const requestedAt = new Date().toISOString();
+  return {
+    type: 'actions',
+    actions: actions.map(action => createVoiceAction(action, { id: uuidv4(), at: requestedAt })),
+    source: 'parser',
+    fallback_reason: reason
+  };
+}
 
+/**
+ * Namjera iz transkripta: LLM s alatima i provjerom sheme, uz lokalni parser kad LLM nije
+ * dostupan. Dijele je /api/gva/voice-intent i glasovni tok (/api/voice/stream).
+ */
+async function resolveVoiceIntent(transcript, context, llmRoute, { signal } = {}) {
   // Prepare context for prompt
-  const availableAliases = Object.keys(context.aliasToLine || {}).join(', ');
+  const aliases = Object.keys(context.aliasToLine || {});
+  const availableAliases = aliases.join(', ');
   const userMessage = `Kontekst: DefaultYear=${context.defaultYear}; NowISO=${context.nowISO}; Dostupni aliasi: [${availableAliases}]\n\nTranskript: "${transcript}"`;
   
   console.log('🎤 [VOICE-INTENT] Available aliases:', availableAliases);
   console.log('🎤 [VOICE-INTENT] User message for OpenAI:', userMessage);
-  console.log('🚀 [VOICE-INTENT] Calling OpenAI API...');
+
+  if (!llm.available('tools', llmRoute)) {
+    return parserIntent(transcript, context, 'llm_unavailable');
+  }
   
   try {
-    
-    // --- REAL LLM CALL (OpenAI Example) ---
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o", // Recommended for reliable function calling
-      messages: [
-        { role: "system", content: SYSTEM_PROMPT },
-        { role: "user", content: userMessage },
-      ],
-      tools: TOOLS,
-      tool_choice: "auto",
-      temperature: 0,
-    });
-
-    console.log('✅ [VOICE-INTENT] OpenAI API response received');
-    const responseMessage = completion.choices[0].message;
-    console.log('🎤 [VOICE-INTENT] Response message:', JSON.stringify(responseMessage, null, 2));
-    
-    const toolCalls = responseMessage.tool_calls;
-    console.log('🔧 [VOICE-INTENT] Tool calls:', toolCalls ? toolCalls.length : 0, 'found');
+    const messages = [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user", content: userMessage },
+    ];
+
+    // Izlaz modela provjerava se shemom; greške mu se vraćaju kao rezultat alata pa pokušava ponovo
+    for (let attempt = 0; attempt <= VOICE_ACTION_RETRIES; attempt++) {
+      console.log(`🚀 [VOICE-INTENT] Calling LLM (attempt ${attempt + 1})...`);
+      const completion = await llm.chat({
+        messages,
+        tools: TOOLS,
+        tool_choice: "auto",
+        temperature: 0,
+      }, { ...llmRoute, signal });
+
+      const responseMessage = completion.choices[0].message;
+      console.log('🎤 [VOICE-INTENT] Response message:', JSON.stringify(responseMessage, null, 2));
+      
+      const toolCall = responseMessage.tool_calls?.[0];
+      if (!toolCall) {
+        console.log('❌ [VOICE-INTENT] No tool calls - returning clarify');
+        return { type: 'clarify', question: "Nisam razumio naredbu. Možete li ponoviti specifičnije?", source: 'llm' };
+      }
 
-    if (!toolCalls || toolCalls.length === 0) {
-      console.log('❌ [VOICE-INTENT] No tool calls - returning clarify');
-      return res.json({ type: 'clarify', question: "Nisam razumio naredbu. Možete li ponoviti specifičnije?" });
-    }
+      const functionName = toolCall.function.name;
+      console.log('🔧 [VOICE-INTENT] Function:', functionName, toolCall.function.arguments);
 
-    const toolCall = toolCalls[0];
-    const functionName = toolCall.function.name;
-    console.log('🔧 [VOICE-INTENT] Function name:', functionName);
-    console.log('🔧 [VOICE-INTENT] Function arguments (raw):', toolCall.function.arguments);
-    
-    let functionArgs;
-    try {
+      let functionArgs = null;
+      let errors = [];
+      try {
         functionArgs = JSON.parse(toolCall.function.arguments);
-        console.log('🔧 [VOICE-INTENT] Function arguments (parsed):', JSON.stringify(functionArgs, null, 2));
-    } catch (e) {
-        console.error("❌ [VOICE-INTENT] AI returned invalid JSON:", toolCall.function.arguments);
-        return res.status(500).json({ type: 'error', message: 'AI internal error (Invalid JSON)' });
-    }
-
-    if (functionName === 'ask_clarify') {
-      console.log('❓ [VOICE-INTENT] Returning clarify response');
-      return res.json({
-        type: 'clarify',
-        question: functionArgs.question,
-        missing_slots: functionArgs.missing_slots,
-      });
-    }
+      } catch {
+        errors = [{ path: '', message: 'argumenti nisu valjan JSON' }];
+      }
 
-    if (functionName === 'emit_action') {
-      console.log('⚡ [VOICE-INTENT] Emitting action:', functionArgs.type);
-      // Generate ID and timestamp on server (MEGA SPEC Section 9)
-      const clientActionId = uuidv4();
-      const requestedAt = new Date().toISOString();
-
-      const action = {
-        type: functionArgs.type,
-        targets: functionArgs.targets,
-        params: functionArgs.params,
-        client_action_id: clientActionId,
-        requested_at: requestedAt,
-      };
+      if (functionArgs && functionName === 'ask_clarify') {
+        console.log('❓ [VOICE-INTENT] Returning clarify response');
+        return {
+          type: 'clarify',
+          question: functionArgs.question,
+          missing_slots: functionArgs.missing_slots,
+          source: 'llm'
+        };
+      }
 
-      console.log('⚡ [VOICE-INTENT] Final action:', JSON.stringify(action, null, 2));
-      console.log('✅ [VOICE-INTENT] Sending actions response to frontend');
+      if (functionArgs && functionName === 'emit_action') {
+        const validation = validateVoiceAction(functionArgs, { aliases });
+        if (validation.ok) {
+          // Generate ID and timestamp on server (MEGA SPEC Section 9)
+          const action = createVoiceAction(functionArgs, { id: uuidv4(), at: new Date().toISOString() });
+          console.log('⚡ [VOICE-INTENT] Final action:', JSON.stringify(action, null, 2));
+          return { type: 'actions', actions: [action], source: 'llm' };
+        }
+        errors = validation.errors;
+      } else if (functionArgs) {
+        errors = [{ path: '', message: `nepoznat alat "${functionName}", koristi emit_action ili ask_clarify` }];
+      }
 
-      // Return format that frontend (index.jsx) expects
-      return res.json({
-        type: 'actions',
-        actions: [action],
-      });
+      console.warn(`⚠️ [VOICE-INTENT] Invalid tool output (attempt ${attempt + 1}):`, errors.map(e => `${e.path}: ${e.message}`).join('; '));
+      messages.push(
+        { role: 'assistant', content: responseMessage.content ?? null, tool_calls: [toolCall] },
+        { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify({ ok: false, errors }) }
+      );
     }
 
-    /*
-    // --- MOCK RESPONSE (for testing integration without real LLM call) ---
-    console.log("[MOCK API] Received transcript:", transcript);
-    const t = transcript.toLowerCase();
-    let mockAction = null;
-
-    if ((t.includes('kia 7') || t.includes('kia7')) && (t.includes('pomakni') || t.includes('naprijed'))) {
-        mockAction = { type: "shift", targets: ["KIA7"], params: { days: 3 }};
-    } else if ((t.includes('kia 7') || t.includes('334')) && t.includes('blokiran')) {
-        // Example batch action
-        mockAction = { type: "set_status", targets: ["KIA7", "334"], params: { status: "Blokirano" }};
-    }
-    
-    if (mockAction) {
-        await new Promise(resolve => setTimeout(resolve, 500)); // Simulate delay
-        return res.json({
-            type: 'actions',
-            actions: [{
-                ...mockAction,
-                client_action_id: uuidv4(),
-                requested_at: new Date().toISOString()
-            }]
-        });
+    // Ni nakon ponavljanja nema valjane akcije
+    return parserIntent(transcript, context, 'invalid_llm_output');
+
+  } catch (error) {
+    if (!signal?.aborted && isLLMUnavailableError(error)) {
+      console.warn("⚠️ [VOICE-INTENT] LLM unavailable:", error.message);
+      return parserIntent(transcript, context, 'llm_error');
     }
-    return res.status(404).json({ type: 'none', message: 'Naredba nije prepoznata.' });
-    */
+    throw error;
+  }
+}
+
+app.post('/api/gva/voice-intent', async (req, res) => {
+  console.log('🎤 [VOICE-INTENT] === REQUEST START ===');
+  console.log('🎤 [VOICE-INTENT] Full payload:', JSON.stringify(req.body, null, 2));
+  
+  const { transcript, context } = req.body;
+  console.log('🎤 [VOICE-INTENT] Extracted transcript:', transcript);
+  console.log('🎤 [VOICE-INTENT] Extracted context:', context);
+
+  if (!transcript) {
+    console.log('❌ [VOICE-INTENT] Missing transcript');
+    return res.status(400).json({ error: "Transcript missing" });
+  }
 
+  if (!context) {
+    console.log('❌ [VOICE-INTENT] Missing context');
+    return res.status(400).json({ error: "Context missing" });
+  }
+
+  try {
+    const llmRoute = { endpoint: 'gva.voice-intent', tenant: tenantFromRequest(req) };
+    res.json(await resolveVoiceIntent(transcript, context, llmRoute));
   } catch (error) {
     console.error("❌ [VOICE-INTENT] ERROR:", error.message);
     console.error("❌ [VOICE-INTENT] Full error:", error);
     res.status(500).json({ error: "Internal Server Error", message: error.message });
   }
-  
-  console.log('🎤 [VOICE-INTENT] === REQUEST END ===');
 });
 
 /* ========== LLM DRAFT (prvi jasni zvuk) ========== */
@@ -467,8 +433,7 @@ app.post("/api/llm/draft", async (req, res) => {
 
     console.log("📤 Draft request:", query);
 
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat({
       messages: [{
         role: "system",
         content: language === 'hr' 
@@ -479,7 +444,7 @@ app.post("/api/llm/draft", async (req, res) => {
         content: query
       }],
       temperature: 0.1
-    });
+    }, { endpoint: 'llm.draft', tenant: tenantFromRequest(req) });
 
     const content = response.choices[0].message.content;
     
@@ -517,8 +482,7 @@ app.post("/api/llm/confirm", async (req, res) => {
 
     console.log("📤 Confirm request:", command, fields);
 
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat({
       messages: [{
         role: "system",
         content: "Finaliziraj akciju na temelju glasovne naredbe i dodaj 'confirmed': true. Vrati čisti JSON objekt."
@@ -527,7 +491,7 @@ app.post("/api/llm/confirm", async (req, res) => {
         content: `Original: "${command}"\nPolja: ${JSON.stringify(fields, null, 2)}`
       }],
       temperature: 0.1
-    });
+    }, { endpoint: 'llm.confirm', tenant: tenantFromRequest(req) });
 
     let raw = response.choices[0].message.content;
     
@@ -592,7 +556,7 @@ app.post("/api/agent/multi", upload.array("files"), async (req, res) => {
     const results = await Promise.allSettled(
       inputs.map((input, i) => {
         console.log(`📤 Task ${i}: ${input.file ? input.file.mimetype : 'text'}`);
-        return routeLLMRequest(input);
+        return routeLLMRequest(input, { endpoint: 'agent.multi', tenant: tenantFromRequest(req) });
       })
     );
 
@@ -639,7 +603,7 @@ app.get("/api/agent/stream", (req, res) => {
   taskList.forEach(async (task, i) => {
     try {
       console.log(`📤 Streaming task ${i}`);
-      const result = await routeLLMRequest(task);
+      const result = await routeLLMRequest(task, { endpoint: 'agent.stream', tenant: tenantFromRequest(req) });
       
       res.write(`event: result\ndata: ${JSON.stringify({ 
         taskIndex: i, 
@@ -686,6 +650,7 @@ app.post("/api/agent/multimodal", upload.fields([
 
     const audioFile = req.files?.file?.[0];
     const fileCount = parseInt(req.body.fileCount) || 0;
+    const llmRoute = { endpoint: 'agent.multimodal', tenant: tenantFromRequest(req) };
     
     let results = {
       transcript: null,
@@ -698,7 +663,7 @@ app.post("/api/agent/multimodal", upload.fields([
     // 1. Process audio file (Whisper transcription)
     if (audioFile) {
       console.log("🎤 Processing audio file:", audioFile.originalname);
-      const audioResult = await routeLLMRequest({ file: audioFile });
+      const audioResult = await routeLLMRequest({ file: audioFile }, llmRoute);
       results.transcript = audioResult;
     }
 
@@ -710,7 +675,7 @@ app.post("/api/agent/multimodal", upload.fields([
         const fileResult = await routeLLMRequest({ 
           file: attachmentFile, 
           prompt: "Analiziraj ovaj dokument i izvuci ključne podatke"
-        });
+        }, llmRoute);
         results.fileAnalyses.push({
           filename: attachmentFile.originalname,
           analysis: fileResult
@@ -735,7 +700,7 @@ ${results.fileAnalyses.map((fa, i) =>
 Na temelju glasovne naredbe i sadržaja datoteka, stvori detaljni plan akcije u JSON formatu.
 `;
 
-      const combinedResult = await routeLLMRequest({ prompt: combinedPrompt });
+      const combinedResult = await routeLLMRequest({ prompt: combinedPrompt }, llmRoute);
       results.combinedAnalysis = combinedResult;
       
       // Extract action items
@@ -781,7 +746,7 @@ app.post("/api/agent/route", upload.single("file"), async (req, res) => {
       promptLength: req.body.prompt?.length || 0
     });
 
-    const result = await routeLLMRequest(input);
+    const result = await routeLLMRequest(input, { endpoint: 'agent.route', tenant: tenantFromRequest(req) });
     res.json(result);
     
   } catch (err) {
@@ -794,6 +759,7 @@ app.post("/api/agent/route", upload.single("file"), async (req, res) => {
 app.post("/api/agent/smart-document", upload.single("file"), async (req, res) => {
   try {
     console.log("🧠 Smart document processing request");
+    const llmRoute = { endpoint: 'agent.smart-document', tenant: tenantFromRequest(req) };
     
     const audioFile = req.files?.file?.[0] || req.file;
     if (!audioFile) {
@@ -811,10 +777,9 @@ app.post("/api/agent/smart-document", upload.single("file"), async (req, res) =>
     const tempPath = `./tmp_${Date.now()}.webm`;
     fs.writeFileSync(tempPath, audioFile.buffer);
     
-    const transcription = await client.audio.transcriptions.create({
+    const transcription = await llm.transcribe({
       file: fs.createReadStream(tempPath),
-      model: "whisper-1",
-    });
+    }, llmRoute);
     
     fs.unlinkSync(tempPath);
     console.log("✅ Transcript:", transcription.text);
@@ -850,8 +815,7 @@ Primjer odgovora:
 Ako dokument nije pronađen, vrati "matchedDocument": null.
 `;
 
-    const matchResponse = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const matchResponse = await llm.chat({
       messages: [{
         role: "system",
         content: "Ti si specijalist za pronalaženje dokumenata. Vrati čisti JSON objekt."
@@ -860,7 +824,7 @@ Ako dokument nije pronađen, vrati "matchedDocument": null.
         content: matchingPrompt
       }],
       temperature: 0.1
-    });
+    }, llmRoute);
 
     // Parse matching result
     let matchResult;
@@ -919,8 +883,7 @@ Odgovori strukturirano s ključnim podacima.
       const base64Image = document.content.toString('base64');
       const mimeType = document.filename.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
       
-      analysisResponse = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      analysisResponse = await llm.chat({
         messages: [{
           role: "system",
           content: "Ti si specijalist za analizu slika i dokumenata. Analiziraj sliku detaljno i vrati strukturirane podatke u JSON formatu."
@@ -935,7 +898,7 @@ Odgovori strukturirano s ključnim podacima.
           ]
         }],
         temperature: 0.1
-      });
+      }, llmRoute);
     } else if (document.type === 'document') {
       // PDF/Document processing with Vision model
       console.log(`📄 Processing document: ${document.filename}`);
@@ -944,8 +907,7 @@ Odgovori strukturirano s ključnim podacima.
         // For PDFs, send as image to GPT-4o Vision (PDFs can be processed as images)
         const base64Pdf = document.content.toString('base64');
         
-        analysisResponse = await client.chat.completions.create({
-          model: "gpt-4o-mini",
+        analysisResponse = await llm.chat({
           messages: [{
             role: "system",
             content: "Ti si specijalist za analizu PDF dokumenata. Analiziraj PDF detaljno i vrati strukturirane podatke u JSON formatu."
@@ -960,11 +922,10 @@ Odgovori strukturirano s ključnim podacima.
             ]
           }],
           temperature: 0.1
-        });
+        }, llmRoute);
       } else {
         // Other document types - enhanced text analysis
-        analysisResponse = await client.chat.completions.create({
-          model: "gpt-4o-mini",
+        analysisResponse = await llm.chat({
           messages: [{
             role: "system", 
             content: "Ti si specijalist za analizu dokumenata. Na temelju opisa dokumenta i pitanja, daj najbolji mogući odgovor strukturiran u JSON formatu."
@@ -973,14 +934,13 @@ Odgovori strukturirano s ključnim podacima.
             content: analysisPrompt + `\n\nDokument informacije:\n- Naziv: ${document.filename}\n- Tip: ${document.type}\n- Veličina: ${(document.size/1024).toFixed(1)}KB\n- Lokacija: ${document.path}\n\nNapomena: Ovo je ${document.type} datoteka. Analiziraj na temelju naziva i konteksta upita što je najvjerojatniji sadržaj i odgovori na upit.`
           }],
           temperature: 0.1
-        });
+        }, llmRoute);
       }
     } else {
       // Other file types - basic analysis
       console.log(`📋 Processing file: ${document.filename} (${document.type})`);
       
-      analysisResponse = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      analysisResponse = await llm.chat({
         messages: [{
           role: "system",
           content: "Ti si specijalist za analizu datoteka. Analiziraj na temelju dostupnih informacija i vrati strukturirane podatke u JSON formatu."
@@ -989,7 +949,7 @@ Odgovori strukturirano s ključnim podacima.
           content: analysisPrompt + `\n\nDatoteka: ${document.filename} (${document.type}, ${(document.size/1024).toFixed(1)}KB)`
         }],
         temperature: 0.1
-      });
+      }, llmRoute);
     }
 
     // Parse analysis result
@@ -1074,6 +1034,7 @@ app.post("/api/documents/refresh", (req, res) => {
 app.post("/api/process-document", async (req, res) => {
   try {
     const { documentId, documentName, query, language = 'hr' } = req.body;
+    const llmRoute = { endpoint: 'documents.process', tenant: tenantFromRequest(req) };
     
     if (!documentName || !query) {
       return res.status(400).json({ 
@@ -1115,8 +1076,7 @@ app.post("/api/process-document", async (req, res) => {
         ? `Analiziraj sliku dokumenta na hrvatskom jeziku i odgovori na pitanje: "${query}"`
         : `Analyze this document image and answer the question: "${query}"`;
 
-      const analysisResponse = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      const analysisResponse = await llm.chat({
         messages: [{
           role: "user",
           content: [
@@ -1130,7 +1090,7 @@ app.post("/api/process-document", async (req, res) => {
           ]
         }],
         max_tokens: 1000
-      });
+      }, llmRoute);
 
       documentContent = analysisResponse.choices[0]?.message?.content || 'Nema odgovora';
       
@@ -1144,14 +1104,13 @@ app.post("/api/process-document", async (req, res) => {
           ? `Analiziraj PDF dokument na hrvatskom jeziku i odgovori na pitanje: "${query}". PDF je kodiran u base64.`
           : `Analyze this PDF document and answer the question: "${query}". PDF is base64 encoded.`;
 
-        const analysisResponse = await client.chat.completions.create({
-          model: "gpt-4o-mini", 
+        const analysisResponse = await llm.chat({
           messages: [{
             role: "user",
             content: analysisPrompt + "\n\nBase64 PDF content: " + base64Pdf.substring(0, 4000) // Ograniči na prvi dio
           }],
           max_tokens: 1000
-        });
+        }, llmRoute);
 
         documentContent = analysisResponse.choices[0]?.message?.content || 'Nema odgovora';
         
@@ -1168,11 +1127,10 @@ app.post("/api/process-document", async (req, res) => {
         ? `Na osnovu sljedećeg sadržaja dokumenta, odgovori na pitanje na hrvatskom jeziku: "${query}"\n\nSadržaj:\n${documentContent}`
         : `Based on the following document content, answer the question: "${query}"\n\nContent:\n${documentContent}`;
 
-      const analysisResponse = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      const analysisResponse = await llm.chat({
         messages: [{ role: "user", content: analysisPrompt }],
         max_tokens: 1000
-      });
+      }, llmRoute);
 
       documentContent = analysisResponse.choices[0]?.message?.content || 'Nema odgovora';
       
@@ -1182,11 +1140,10 @@ app.post("/api/process-document", async (req, res) => {
         ? `Dokument '${documentName}' (tip: ${document.type}) je pronađen, ali trenutno nije moguće analizirati ovaj tip datoteke. Pitanje: "${query}"`
         : `Document '${documentName}' (type: ${document.type}) was found, but this file type cannot be analyzed currently. Question: "${query}"`;
 
-      const analysisResponse = await client.chat.completions.create({
-        model: "gpt-4o-mini",
+      const analysisResponse = await llm.chat({
         messages: [{ role: "user", content: analysisPrompt }],
         max_tokens: 500
-      });
+      }, llmRoute);
 
       documentContent = analysisResponse.choices[0]?.message?.content || 'Tip datoteke nije podržan za analizu';
     }
@@ -1228,6 +1185,7 @@ app.post("/api/process-document", async (req, res) => {
 app.post("/api/agent/gantt-voice", upload.single("audio"), async (req, res) => {
   try {
     const { transcript, draftContext, projectId } = req.body;
+    const llmRoute = { endpoint: 'gantt.voice', tenant: tenantFromRequest(req) };
     let audioFile = req.file;
     
     console.log(`🎤 Gantt Voice Agent request:`, {
@@ -1243,12 +1201,11 @@ app.post("/api/agent/gantt-voice", upload.single("audio"), async (req, res) => {
     if (audioFile && !transcript) {
       console.log(`🎧 Transcribing audio file: ${audioFile.originalname}`);
       
-      const transcribeResponse = await client.audio.transcriptions.create({
+      const transcribeResponse = await llm.transcribe({
         file: fs.createReadStream(audioFile.path),
-        model: "whisper-1",
         language: "hr",
         response_format: "json"
-      });
+      }, llmRoute);
       
       userInput = transcribeResponse.text;
       console.log(`📝 Transcript: "${userInput}"`);
@@ -1307,8 +1264,7 @@ Uvijek vrati JSON objekt tipa "gantt_agent_response" sa poljima:
 ${draft ? JSON.stringify(draft, null, 2) : 'Nema aktivnog draft-a'}`;
 
     // Poziv GPT-4o-mini za Gantt Agent response
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llm.chat({
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: `Korisničko pitanje: "${userInput}"` }
@@ -1316,7 +1272,7 @@ ${draft ? JSON.stringify(draft, null, 2) : 'Nema aktivnog draft-a'}`;
       max_tokens: 2000,
       temperature: 0.1,
       response_format: { type: "json_object" }
-    });
+    }, llmRoute);
 
     let agentResponse;
     try {
@@ -1398,13 +1354,12 @@ Vrati JSON:
   "entities": {"dates": [], "positions": [], "teams": 0}
 }`;
 
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o-mini", 
+    const completion = await llm.chat({
       messages: [{ role: "user", content: intentPrompt }],
       max_tokens: 200,
       temperature: 0,
       response_format: { type: "json_object" }
-    });
+    }, { endpoint: 'gantt.intent', tenant: tenantFromRequest(req) });
 
     const intentResponse = JSON.parse(completion.choices[0].message.content);
     
@@ -1600,8 +1555,61 @@ app.get('/api/documents/:filename/pages/:pageNumber', async (req, res) => {
   }
 });
 
+/* ========== GLASOVNI TOK (WebSocket) ========== */
+// PCM16 u binarnim porukama, JSON kontrolne poruke; protokol je opisan u src/utils/voiceStream.js
+export const attachVoiceStream = (server) => {
+  const wss = new WebSocketServer({ server, path: VOICE_STREAM_PATH });
+
+  wss.on('connection', (ws, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const tenant = tenantFromRequest(req) || url.searchParams.get('tenant');
+    console.log(`🎙️ [VOICE-STREAM] Connected${tenant ? ` (${tenant})` : ''}`);
+
+    const session = createVoiceStreamSession({
+      transcribe: (audio, { vocabulary, signal }) => stt.transcribe(audio, { vocabulary, signal, route: { endpoint: 'transcribe', tenant } }),
+      interpret: (transcript, context, { signal }) => resolveVoiceIntent(transcript, context, { endpoint: 'gva.voice-intent', tenant }, { signal }),
+      parse: (text, context) => actionsFromParsedCommand(parseCroatianCommand(text, {
+        aliasToLine: context.aliasToLine || {},
+        defaultYear: Number(context.defaultYear) || undefined
+      })),
+      send: (event) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+      },
+      // 1008: kršenje protokola (npr. nepodržana frekvencija uzorkovanja)
+      end: (reason) => ws.close(1008, reason.slice(0, 120))
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) return session.pushAudio(data);
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        ws.send(JSON.stringify({ type: 'error', stage: 'message', message: 'Invalid JSON message' }));
+        return;
+      }
+      session.handleMessage(message);
+    });
+    ws.on('close', () => {
+      // Prekida STT/LLM pozive iskaza u tijeku; nema kome poslati rezultat
+      session.close();
+      console.log('🎙️ [VOICE-STREAM] Disconnected');
+    });
+    ws.on('error', (error) => console.error('❌ [VOICE-STREAM] Socket error:', error.message));
+  });
+
+  return wss;
+};
+
 /* ========== Pokreni server ========== */
+// Samo kad se pokreće izravno (node server.js); testovi uvoze app bez slušanja
 const PORT = process.env.PORT || 3002;
-app.listen(PORT, () => {
-  console.log(`✅ API server radi na http://localhost:${PORT}`);
-});
+if (import.meta.url === pathToFileURL(path.resolve(process.argv[1] || '')).href) {
+  const server = app.listen(PORT, () => {
+    console.log(`✅ API server radi na http://localhost:${PORT}`);
+    console.log(`🎙️ Glasovni tok: ws://localhost:${PORT}${VOICE_STREAM_PATH}`);
+  });
+  attachVoiceStream(server);
+}
+
+export default app;
@@ -1,5 +1,6 @@
 // src/adapters/UnifiedAdapterV2.js
-import { PROCESI, STATUSI } from '../components/tabs/PlannerGantt/constants';
+import { normalizeDependency, processKey, processTaskId, resolveProcessLinks } from '../utils/ganttScheduler';
+import { toMspdiXml, toXer, toICalendar, parseMspdiXml } from '../utils/scheduleExchange';
 
 class UnifiedAdapterV2 {
   /**
@@ -164,7 +165,7 @@ class UnifiedAdapterV2 {
               // NOVA POLJA - automatski dodaj ako postoje
               priority: process.priority,
               tags: process.tags,
-              dependencies: process.dependencies,
+              dependencies: this.normalizeDependencies(process.dependencies),
               estimatedHours: process.estimates?.hours,
               actualHours: process.actuals?.hours,
               
@@ -291,7 +292,7 @@ class UnifiedAdapterV2 {
         urgency: task.urgency,
         priority: task.priority,
         tags: task.tags,
-        dependencies: task.dependencies
+        dependencies: this.normalizeDependencies(task.dependencies)
       };
       
       // Dodaj estimates/actuals ako postoje
@@ -439,7 +440,13 @@ class UnifiedAdapterV2 {
     };
     return mapping[status] || 'Čeka';
   }
-  
+
+  // Veze uvijek kao [{ from, type, lag }] (stari zapis: goli id prethodnika)
+  static normalizeDependencies(dependencies) {
+    if (!Array.isArray(dependencies)) return dependencies;
+    return dependencies.map(normalizeDependency).filter(Boolean);
+  }
+
   static findEarliestDate(tasks) {
     if (!tasks || tasks.length === 0) return new Date().toISOString();
     const dates = tasks
@@ -460,6 +467,160 @@ class UnifiedAdapterV2 {
     return dates.length ? new Date(Math.max(...dates)).toISOString() : new Date().toISOString();
   }
   
+  /**
+   * RAZMJENA PLANA - MS Project XML, Primavera XER i iCalendar
+   * Pozicije × procesi (planirani/stvarni datumi, vlasnik, veze) u neutralni raspored.
+   */
+  static toExchangeSchedule(unifiedProject) {
+    const links = resolveProcessLinks(unifiedProject);
+    return {
+      id: unifiedProject.id,
+      name: unifiedProject.name || unifiedProject.id,
+      positions: (unifiedProject.positions || []).map(position => ({
+        id: position.id,
+        title: position.title || position.id,
+        tasks: (position.processes || []).map(process => {
+          const id = processTaskId(unifiedProject.id, position.id, process.name);
+          return {
+            id,
+            name: process.name,
+            start: process.plannedStart || process.actualStart || null,
+            end: process.plannedEnd || process.actualEnd || null,
+            actualStart: process.actualStart || null,
+            actualEnd: process.actualEnd || null,
+            progress: process.progress || 0,
+            owner: process.owner?.name || '',
+            notes: process.notes || '',
+            dependencies: links.filter(link => link.to === id).map(({ from, type, lag }) => ({ from, type, lag }))
+          };
+        })
+      }))
+    };
+  }
+
+  static toMSProjectXml(unifiedProject, options) {
+    return toMspdiXml(this.toExchangeSchedule(unifiedProject), options);
+  }
+
+  static toPrimaveraXer(unifiedProject, options) {
+    return toXer(this.toExchangeSchedule(unifiedProject), options);
+  }
+
+  /**
+   * Jedan .ics feed po osobi (vlasnik procesa) preko svih zadanih projekata
+   * @returns {Array<{ owner: string, filename: string, events: number, content: string }>}
+   */
+  static toICalendarFeeds(unifiedProjects, options = {}) {
+    const byOwner = new Map();
+    [].concat(unifiedProjects || []).forEach(project => {
+      (project.positions || []).forEach(position => {
+        (position.processes || []).forEach(process => {
+          const owner = process.owner?.name;
+          const start = process.plannedStart || process.actualStart;
+          const end = process.plannedEnd || process.actualEnd;
+          if (!owner || !start || !end) return;
+          if (!byOwner.has(owner)) byOwner.set(owner, []);
+          byOwner.get(owner).push({
+            uid: `${processTaskId(project.id, position.id, process.name)}@agbim`,
+            start,
+            end,
+            summary: `${position.title || position.id} – ${process.name}`,
+            description: [`Projekt: ${project.name || project.id}`, process.notes].filter(Boolean).join('\n'),
+            location: project.location || project.client?.address || ''
+          });
+        });
+      });
+    });
+    return [...byOwner.entries()].map(([owner, events]) => ({
+      owner,
+      filename: `plan_${processKey(owner) || 'osoba'}.ics`,
+      events: events.length,
+      content: toICalendar(events, { ...options, name: `Plan – ${owner}` })
+    }));
+  }
+
+  // Nazivi aktivnosti izvođača → ključ našeg procesa
+  static importProcessAliases = {
+    montaza: 'ugradnja',
+    ugradnja: 'ugradnja',
+    izrada: 'proizvodnja',
+    proizvodnja: 'proizvodnja',
+    nabava: 'nabava',
+    dobava: 'nabava',
+    projektiranje: 'dizajn',
+    dizajn: 'dizajn',
+    radionicki_nacrti: 'teh_priprema',
+    teh_priprema: 'teh_priprema',
+    tehnicka_priprema: 'teh_priprema'
+  };
+
+  /**
+   * Uvoz MS Project XML-a izvođača na pozicije projekta. Zadatak se veže po našem id-ju (Text1),
+   * inače po šifri ili nazivu pozicije u nazivu zadatka ili nadređenog sažetog zadatka;
+   * proces po nazivu, a zadatak na razini pozicije ide na `defaultProcess`.
+   *
+   * @returns {{ name: string, updates: object[], unmatched: string[] }}
+   *   updates: { positionId, processName, plannedStart, plannedEnd, previousStart, previousEnd, sourceTasks }
+   */
+  static fromMSProjectXml(xml, unifiedProject, { defaultProcess = 'Ugradnja' } = {}) {
+    const parsed = parseMspdiXml(xml);
+    const positions = unifiedProject.positions || [];
+    const byTaskId = new Map();
+    positions.forEach(position => (position.processes || []).forEach(process => {
+      byTaskId.set(processTaskId(unifiedProject.id, position.id, process.name), { position, process });
+    }));
+
+    const key = (value) => processKey(value);
+    const positionByName = (name) => {
+      const normalized = key(name);
+      if (!normalized) return null;
+      return positions.find(p => key(p.id) && `_${normalized}_`.includes(`_${key(p.id)}_`))
+        || positions.find(p => p.title && key(p.title) === normalized)
+        || null;
+    };
+    const processOf = (position, name) => {
+      const wanted = this.importProcessAliases[key(name)] || key(name);
+      return (position.processes || []).find(p => key(p.name) === wanted || this.importProcessAliases[key(p.name)] === wanted) || null;
+    };
+
+    const byUid = new Map(parsed.tasks.map(task => [task.uid, task]));
+    const merged = new Map();
+    const unmatched = [];
+    parsed.tasks.filter(task => !task.summary && task.start && task.end).forEach(task => {
+      let target = task.agbimId ? byTaskId.get(task.agbimId) : null;
+      if (!target) {
+        const own = positionByName(task.name);
+        let position = own;
+        for (let parent = byUid.get(task.parentUid); !position && parent; parent = byUid.get(parent.parentUid)) {
+          position = positionByName(parent.name);
+        }
+        const process = position && (processOf(position, task.name) || (own ? processOf(position, defaultProcess) : null));
+        target = process ? { position, process } : null;
+      }
+      if (!target) {
+        unmatched.push(task.name);
+        return;
+      }
+      const mapKey = `${target.position.id}/${target.process.name}`;
+      const current = merged.get(mapKey);
+      merged.set(mapKey, {
+        positionId: target.position.id,
+        processName: target.process.name,
+        plannedStart: current && current.plannedStart < task.start ? current.plannedStart : task.start,
+        plannedEnd: current && current.plannedEnd > task.end ? current.plannedEnd : task.end,
+        previousStart: target.process.plannedStart || null,
+        previousEnd: target.process.plannedEnd || null,
+        sourceTasks: [...(current?.sourceTasks || []), task.name]
+      });
+    });
+
+    return {
+      name: parsed.name,
+      updates: [...merged.values()].filter(u => u.plannedStart !== u.previousStart || u.plannedEnd !== u.previousEnd),
+      unmatched
+    };
+  }
+
   /**
    * SCHEMA MIGRATION - za buduće promjene strukture
    */
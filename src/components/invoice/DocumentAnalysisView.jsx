@@ -1,6 +1,7 @@
 import React from 'react';
 import EditableField from './EditableField';
 import { DOCUMENT_TYPES } from '../../constants/documentTypes';
+import { invoiceDataService } from '../../services/invoice/InvoiceDataService';
 
 /**
  * DocumentAnalysisView - Prikaz rezultata analize dokumenta
@@ -22,6 +23,8 @@ export default function DocumentAnalysisView({
   
   const analysis = document.analysis;
   const currency = analysis.currency || 'EUR';
+  // OIB/IBAN kontrolne znamenke i aritmetika iznosa, po putanji polja
+  const { fieldErrors = {} } = invoiceDataService.validateInvoiceData(analysis);
 
   const formatCurrency = (value, curr = currency) => {
     if (!value && value !== 0) return 'N/A';
@@ -52,6 +55,12 @@ export default function DocumentAnalysisView({
         </div>
       )}
       
+      {analysis.extraction?.method === 'supplier-template' && (
+        <div className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+          Pročitano naučenim predloškom dobavljača (bez AI analize) · {analysis.extraction.matchedFields.length}/{analysis.extraction.expectedFields} polja
+        </div>
+      )}
+
       {/* Basic Document Info */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <EditableField 
@@ -105,6 +114,7 @@ export default function DocumentAnalysisView({
             label="OIB" 
             value={analysis.supplier?.oib} 
             fieldPath="supplier.oib" 
+            error={fieldErrors['supplier.oib']}
             editMode={editMode} 
             onChange={onFieldUpdate} 
           />
@@ -112,6 +122,7 @@ export default function DocumentAnalysisView({
             label="IBAN" 
             value={analysis.supplier?.iban} 
             fieldPath="supplier.iban" 
+            error={fieldErrors['supplier.iban']}
             editMode={editMode} 
             onChange={onFieldUpdate} 
           />
@@ -141,6 +152,7 @@ export default function DocumentAnalysisView({
             label="OIB" 
             value={analysis.buyer?.oib} 
             fieldPath="buyer.oib" 
+            error={fieldErrors['buyer.oib']}
             editMode={editMode} 
             onChange={onFieldUpdate} 
           />
@@ -182,7 +194,11 @@ export default function DocumentAnalysisView({
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {analysis.items.map((item, idx) => (
-                  <tr key={idx} className="hover:bg-gray-50 transition-colors">
+                  <tr
+                    key={idx}
+                    className={`hover:bg-gray-50 transition-colors ${fieldErrors[`items.${idx}.totalPrice`] ? 'bg-red-50' : ''}`}
+                    title={fieldErrors[`items.${idx}.totalPrice`] || undefined}
+                  >
                     <td className="px-3 py-2 text-sm font-medium text-gray-900">
                       {item.position || idx + 1}
                     </td>
@@ -206,7 +222,7 @@ export default function DocumentAnalysisView({
                     <td className="px-3 py-2 text-sm text-right text-gray-600">
                       {item.discountPercent?.toFixed(2) || '0.00'}%
                     </td>
-                    <td className="px-3 py-2 text-sm text-right font-medium text-gray-900">
+                    <td className={`px-3 py-2 text-sm text-right font-medium ${fieldErrors[`items.${idx}.totalPrice`] ? 'text-red-700' : 'text-gray-900'}`}>
                       {formatCurrency(item.totalPrice)}
                     </td>
                   </tr>
@@ -229,6 +245,7 @@ export default function DocumentAnalysisView({
               label="Osnovica"
               value={analysis.totals.subtotal}
               fieldPath="totals.subtotal"
+              error={fieldErrors['totals.subtotal']}
               editMode={editMode}
               onChange={onFieldUpdate}
               isNumeric={true}
@@ -237,6 +254,7 @@ export default function DocumentAnalysisView({
               label="PDV"
               value={analysis.totals.vatAmount}
               fieldPath="totals.vatAmount"
+              error={fieldErrors['totals.vatAmount']}
               editMode={editMode}
               onChange={onFieldUpdate}
               isNumeric={true}
@@ -244,12 +262,15 @@ export default function DocumentAnalysisView({
             
             {/* Total Amount - Highlighted */}
             <div className="pt-2 border-t border-gray-300">
-              <div className="flex justify-between items-center p-4 bg-blue-600 text-white rounded-lg shadow-md">
+              <div className={`flex justify-between items-center p-4 text-white rounded-lg shadow-md ${fieldErrors['totals.totalAmount'] ? 'bg-red-600' : 'bg-blue-600'}`}>
                 <span className="font-bold text-lg">UKUPNO</span>
                 <span className="font-bold text-2xl">
                   {formatCurrency(analysis.totals.totalAmount)}
                 </span>
               </div>
+              {fieldErrors['totals.totalAmount'] && (
+                <p className="mt-2 text-sm text-red-600">{fieldErrors['totals.totalAmount']}</p>
+              )}
               
               {editMode && (
                 <div className="mt-3">
@@ -16,7 +16,7 @@ import { Upload, Plus } from 'lucide-react';
 export default function DocumentUploader({ 
   onFileUpload, 
   isUploading = false,
-  acceptedTypes = ['.pdf', '.jpg', '.jpeg', '.png'],
+  acceptedTypes = ['.pdf', '.jpg', '.jpeg', '.png', '.xml'],
   maxFileSize = 10 * 1024 * 1024, // 10MB
   multiple = true,
   className = ''
@@ -28,8 +28,8 @@ export default function DocumentUploader({
     
     const validFiles = Array.from(files).filter(file => {
       // Provjeri tip
-      const validTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-      if (!validTypes.includes(file.type)) {
+      const validTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png', 'application/xml', 'text/xml'];
+      if (!validTypes.includes(file.type) && !/\.xml$/i.test(file.name)) {
         console.warn(`Invalid file type: ${file.type} for ${file.name}`);
         return false;
       }
@@ -144,7 +144,7 @@ export function InlineUploadButton({ onFileUpload, isUploading, className = '' }
         ref={fileInputRef}
         onChange={(e) => handleFileSelect(e.target.files)}
         className="hidden"
-        accept=".pdf,.jpg,.jpeg,.png"
+        accept=".pdf,.jpg,.jpeg,.png,.xml"
         multiple
       />
       <button
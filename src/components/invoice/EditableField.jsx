@@ -16,6 +16,7 @@ import React, { useMemo } from 'react';
  * @param {boolean} isNumeric - Da li je polje numeričko
  * @param {boolean} required - Da li je polje obavezno
  * @param {Function} validator - Custom validacija funkcija
+ * @param {string} error - Vanjska greška (npr. neispravan OIB), prikazuje se i izvan edit moda
  */
 export default function EditableField({ 
   label, 
@@ -28,6 +29,7 @@ export default function EditableField({
   isNumeric = false,
   required = false,
   validator = null,
+  error = null,
   className = '',
   ...inputProps 
 }) {
@@ -48,14 +50,14 @@ export default function EditableField({
 
   // Validation state
   const validationError = useMemo(() => {
-    if (!editMode || !validator) return null;
+    if (!editMode || !validator) return error;
     
     try {
-      return validator(value);
-    } catch (error) {
-      return error.message;
+      return validator(value) || error;
+    } catch (err) {
+      return err.message;
     }
-  }, [value, editMode, validator]);
+  }, [value, editMode, validator, error]);
 
   // Handle input change
   const handleChange = (e) => {
@@ -84,9 +86,10 @@ export default function EditableField({
   `;
 
   const displayClasses = `
-    p-3 bg-gray-100 rounded-lg font-medium transition-colors
+    p-3 rounded-lg font-medium transition-colors
+    ${validationError ? 'bg-red-50 ring-1 ring-red-300' : 'bg-gray-100'}
     ${isNumeric ? 'text-right' : ''}
-    ${!value && value !== 0 ? 'text-gray-400 italic' : 'text-gray-800'}
+    ${!value && value !== 0 ? 'text-gray-400 italic' : validationError ? 'text-red-700' : 'text-gray-800'}
     ${editMode ? 'cursor-text hover:bg-gray-200' : ''}
   `;
 
@@ -139,6 +142,13 @@ export default function EditableField({
           {displayValue}
         </div>
       )}
+
+      {!editMode && validationError && (
+        <p className="text-xs text-red-600 flex items-center gap-1">
+          <span className="inline-block w-1 h-1 bg-red-600 rounded-full"></span>
+          {validationError}
+        </p>
+      )}
       
       {/* Helper Text */}
       {type === 'date' && !editMode && value && (
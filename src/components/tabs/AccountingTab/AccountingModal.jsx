@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { X, Calendar, FileText, ExternalLink, Download, Eye } from 'lucide-react';
 import { getAccountingIcon, getStatusColor, getAmountColor } from './AccountingIcons';
+import EInvoiceExport from './EInvoiceExport';
 
 const AccountingModal = ({ record, onClose }) => {
   const [activeTab, setActiveTab] = useState('details');
@@ -31,7 +32,10 @@ const AccountingModal = ({ record, onClose }) => {
   const tabs = [
     { id: 'details', label: '📑 Detalji računa/troška' },
     { id: 'documents', label: '📂 Dokumenti' },
-    { id: 'project', label: '🔗 Povezan projekt' }
+    { id: 'project', label: '🔗 Povezan projekt' },
+    ...(record.type === 'invoice' && record.direction === 'outgoing'
+      ? [{ id: 'einvoice', label: '🧾 e-Račun' }]
+      : [])
   ];
 
   return (
@@ -210,6 +214,8 @@ const AccountingModal = ({ record, onClose }) => {
             </div>
           )}
 
+          {activeTab === 'einvoice' && <EInvoiceExport record={record} />}
+
           {activeTab === 'project' && (
             <div className="space-y-4">
               <h3 className="text-lg font-medium text-gray-900">
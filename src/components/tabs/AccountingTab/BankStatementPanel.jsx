@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Landmark, Upload, Check, X, Split, CheckCheck } from 'lucide-react';
+import AgbimDataService from '../../../services/AgbimDataService';
+import { buildLedger } from '../../../utils/accountingLedger';
+import {
+  STATEMENT_FORMAT_LABELS,
+  MATCH_REASON_LABELS,
+  parseBankStatement,
+  decodeStatementBytes,
+  proposeMatches,
+  applyStatementMatches
+} from '../../../utils/bankStatement';
+
+const formatAmount = (amount, currency = 'EUR') =>
+  new Intl.NumberFormat('hr-HR', { style: 'currency', currency }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('hr-HR') : '-');
+
+const STATUS_STYLES = {
+  matched: 'bg-green-50 text-green-700 border-green-200',
+  suggested: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  unmatched: 'bg-gray-50 text-gray-500 border-gray-200',
+  duplicate: 'bg-blue-50 text-blue-600 border-blue-200'
+};
+const STATUS_LABELS = {
+  matched: 'Pouzdano',
+  suggested: 'Prijedlog',
+  unmatched: 'Bez para',
+  duplicate: 'Već proknjiženo'
+};
+
+/**
+ * Uvoz bankovnog izvoda i pregled prijedloga zatvaranja računa (prihvati / podijeli / odbij)
+ */
+const BankStatementPanel = ({ records, onRecordsChange }) => {
+  const dataService = useRef(new AgbimDataService());
+  const fileInput = useRef(null);
+  const [suppliers, setSuppliers] = useState([]);
+  const [statement, setStatement] = useState(null);
+  const [proposals, setProposals] = useState([]);
+  const [decisions, setDecisions] = useState({});
+  const [splitLineId, setSplitLineId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dataService.current.getSuppliers().then(setSuppliers).catch(() => setSuppliers([]));
+  }, []);
+
+  const ledger = useMemo(() => buildLedger(records), [records]);
+  const titles = useMemo(() => new Map(records.map(r => [r.id, r.title])), [records]);
+
+  const review = (lines, currentRecords) => {
+    const next = proposeMatches(lines, currentRecords, { suppliers });
+    setProposals(next);
+    setDecisions(Object.fromEntries(next.map(p => [p.line.id, { status: 'pending', allocations: p.allocations }])));
+    setSplitLineId(null);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setError(null);
+      const content = decodeStatementBytes(await file.arrayBuffer());
+      const parsed = parseBankStatement(content, { fileName: file.name });
+      setStatement({ ...parsed, fileName: file.name });
+      review(parsed.lines, records);
+    } catch (err) {
+      setError(err.message);
+      setStatement(null);
+      setProposals([]);
+    }
+  };
+
+  const decide = (lineId, patch) =>
+    setDecisions(prev => ({ ...prev, [lineId]: { ...prev[lineId], ...patch } }));
+
+  const setSplitAmount = (lineId, recordId, value) => {
+    const others = (decisions[lineId]?.allocations || []).filter(a => a.recordId !== recordId);
+    const amount = Number(value) || 0;
+    decide(lineId, { allocations: amount > 0 ? [...others, { recordId, amount }] : others });
+  };
+
+  const accepted = proposals.filter(p => decisions[p.line.id]?.status === 'accepted');
+
+  const postAccepted = () => {
+    try {
+      const updated = applyStatementMatches(
+        records,
+        accepted.map(p => ({ line: p.line, allocations: decisions[p.line.id].allocations }))
+      );
+      onRecordsChange(updated);
+      review(statement.lines, updated);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Landmark className="w-5 h-5 text-blue-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Bankovni izvod</h2>
+          {statement && (
+            <span className="text-sm text-gray-500">
+              {statement.fileName} · {STATEMENT_FORMAT_LABELS[statement.format]}
+              {statement.account && ` · ${statement.account}`} · {statement.lines.length} stavki
+            </span>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.txt,.xml,.sta,.mt940"
+            onChange={handleFile}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInput.current?.click()}
+            className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Upload className="w-4 h-4" />
+            Učitaj izvod
+          </button>
+          <button
+            onClick={postAccepted}
+            disabled={!accepted.length}
+            className="flex items-center gap-2 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <CheckCheck className="w-4 h-4" />
+            Proknjiži prihvaćene ({accepted.length})
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {!statement ? (
+        <div className="text-center py-12 text-gray-500">
+          <Landmark className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>Učitajte izvod banke</p>
+          <p className="text-sm mt-1">CSV, camt.053 (XML) ili MT940 / FINA</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {proposals.map(({ line, status, confidence, candidates }) => {
+            const decision = decisions[line.id] || { status: 'pending', allocations: [] };
+            const allocated = decision.allocations.reduce((s, a) => s + a.amount, 0);
+            const side = line.direction === 'incoming' ? 'receivable' : 'payable';
+            const scores = new Map(candidates.map(c => [c.recordId, c]));
+            return (
+              <div
+                key={line.id}
+                className={`px-4 py-3 ${decision.status === 'rejected' ? 'opacity-50' : ''} ${decision.status === 'accepted' ? 'bg-green-50' : ''}`}
+              >
+                <div className="flex items-start gap-4">
+                  <div className="w-24 text-sm text-gray-600">{formatDate(line.date)}</div>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-gray-900">{line.counterpartyName || 'Nepoznat platitelj'}</div>
+                    <div className="text-xs text-gray-500 truncate">
+                      {[line.counterpartyIban, line.reference, line.description].filter(Boolean).join(' · ')}
+                    </div>
+                    {status !== 'duplicate' && decision.allocations.length > 0 && (
+                      <div className="mt-1 space-y-0.5">
+                        {decision.allocations.map(a => (
+                          <div key={a.recordId} className="text-sm text-gray-700">
+                            → {titles.get(a.recordId)} <span className="font-medium">{formatAmount(a.amount, line.currency)}</span>
+                            {scores.get(a.recordId) && (
+                              <span className="ml-2 text-xs text-gray-500">
+                                {scores.get(a.recordId).reasons.map(r => MATCH_REASON_LABELS[r]).join(', ')}
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                        {allocated < line.amount && (
+                          <div className="text-xs text-orange-600">
+                            Neraspoređeno {formatAmount(line.amount - allocated, line.currency)} ostaje kao preplata
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  <div className={`w-28 text-right font-semibold ${line.direction === 'incoming' ? 'text-green-700' : 'text-red-700'}`}>
+                    {line.direction === 'incoming' ? '+' : '−'}{formatAmount(line.amount, line.currency)}
+                  </div>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium border ${STATUS_STYLES[status]}`}>
+                    {STATUS_LABELS[status]}{confidence > 0 && ` ${Math.round(confidence * 100)}%`}
+                  </span>
+                  {status !== 'duplicate' && (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => decide(line.id, { status: 'accepted' })}
+                        disabled={!decision.allocations.length}
+                        className="p-1.5 text-green-600 hover:bg-green-100 rounded disabled:opacity-30"
+                        title="Prihvati"
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setSplitLineId(splitLineId === line.id ? null : line.id)}
+                        className="p-1.5 text-blue-600 hover:bg-blue-100 rounded"
+                        title="Podijeli na račune"
+                      >
+                        <Split className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => decide(line.id, { status: 'rejected' })}
+                        className="p-1.5 text-red-600 hover:bg-red-100 rounded"
+                        title="Odbij"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {splitLineId === line.id && (
+                  <div className="mt-3 pl-28">
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {ledger.items.filter(i => i.side === side && i.isOpen).map(item => (
+                          <tr key={item.recordId} className="border-b border-gray-100">
+                            <td className="py-1 text-gray-900">{item.title}</td>
+                            <td className="py-1 text-gray-500">{item.counterparty.name}</td>
+                            <td className="py-1 text-gray-500">{formatDate(item.dueDate)}</td>
+                            <td className="py-1 text-right">{formatAmount(item.balance)}</td>
+                            <td className="py-1 text-right">
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={decision.allocations.find(a => a.recordId === item.recordId)?.amount ?? ''}
+                                onChange={e => setSplitAmount(line.id, item.recordId, e.target.value)}
+                                className="w-28 px-2 py-1 border border-gray-300 rounded text-right"
+                              />
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankStatementPanel;
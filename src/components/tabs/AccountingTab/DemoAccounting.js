@@ -3,6 +3,8 @@ export const demoAccounting = [
     id: "acc_001",
     title: "Račun kupca 001/2025",
     type: "invoice",
+    direction: "outgoing",
+    buyer: { name: "Aluminum Solutions d.o.o.", oib: "41209835762", address: "Savska cesta 41, 10000 Zagreb" },
     amount: 1250.00,
     currency: "EUR",
     status: "neplaćeno",
@@ -17,6 +19,7 @@ export const demoAccounting = [
     id: "acc_002",
     title: "Trošak materijala - Aluminij",
     type: "expense",
+    supplier: { name: "Alu-Trade d.o.o.", oib: "69435151530" },
     amount: 3400.00,
     currency: "EUR",
     status: "plaćeno",
@@ -32,6 +35,9 @@ export const demoAccounting = [
     id: "acc_003",
     title: "Uplata kupca",
     type: "payment",
+    direction: "incoming",
+    counterparty: { name: "Aluminum Solutions d.o.o.", oib: "41209835762" },
+    allocations: [{ recordId: "acc_001", amount: 1250.00 }],
     amount: 2000.00,
     currency: "EUR",
     status: "obrađeno",
@@ -44,6 +50,8 @@ export const demoAccounting = [
     id: "acc_004",
     title: "Račun dobavljača - Staklo",
     type: "invoice",
+    direction: "incoming",
+    supplier: { name: "Staklo Ivić d.o.o.", oib: "01234567896" },
     amount: 1800.00,
     currency: "EUR",
     status: "plaćeno",
@@ -58,6 +66,7 @@ export const demoAccounting = [
     id: "acc_005",
     title: "Plaća radnika - Siječanj",
     type: "expense",
+    supplier: { name: "Zaposlenici" },
     amount: 7200.00,
     currency: "EUR",
     status: "plaćeno",
@@ -72,6 +81,8 @@ export const demoAccounting = [
     id: "acc_006",
     title: "Račun kupca 002/2025",
     type: "invoice",
+    direction: "outgoing",
+    buyer: { name: "Stambena zgrada Split d.o.o.", oib: "87654321011", address: "Poljička cesta 12, 21000 Split" },
     amount: 5000.00,
     currency: "EUR",
     status: "dospjelo",
@@ -87,6 +98,7 @@ export const demoAccounting = [
     id: "acc_007",
     title: "Trošak - Električna energija",
     type: "expense",
+    supplier: { name: "HEP Elektra d.o.o." },
     amount: 950.00,
     currency: "EUR",
     status: "neplaćeno",
@@ -101,6 +113,8 @@ export const demoAccounting = [
     id: "acc_008",
     title: "Račun dobavljača - Bravarski elementi",
     type: "invoice",
+    direction: "incoming",
+    supplier: { name: "Bravarija Kovač" },
     amount: 2200.00,
     currency: "EUR",
     status: "plaćeno",
@@ -115,6 +129,9 @@ export const demoAccounting = [
     id: "acc_009",
     title: "Uplata kupca",
     type: "payment",
+    direction: "incoming",
+    counterparty: { name: "Stambena zgrada Split d.o.o.", oib: "87654321011" },
+    allocations: [{ recordId: "acc_006", amount: 3500.00 }],
     amount: 3500.00,
     currency: "EUR",
     status: "obrađeno",
@@ -129,6 +146,7 @@ export const demoAccounting = [
     id: "acc_010",
     title: "Trošak - Gorivo i transport",
     type: "expense",
+    supplier: { name: "INA d.d." },
     amount: 670.00,
     currency: "EUR",
     status: "plaćeno",
@@ -143,6 +161,8 @@ export const demoAccounting = [
     id: "acc_011",
     title: "Račun kupca 003/2025",
     type: "invoice",
+    direction: "outgoing",
+    buyer: { name: "Hotel Riva d.d.", oib: "29384756103", address: "Obala 5, 51000 Rijeka" },
     amount: 2890.00,
     currency: "EUR",
     status: "plaćeno",
@@ -157,6 +177,8 @@ export const demoAccounting = [
     id: "acc_012",
     title: "Račun dobavljača - Boje i premazi",
     type: "invoice",
+    direction: "incoming",
+    supplier: { name: "Boje Color d.o.o." },
     amount: 1250.00,
     currency: "EUR",
     status: "neplaćeno",
@@ -172,6 +194,7 @@ export const demoAccounting = [
     id: "acc_013",
     title: "Trošak - Održavanje strojeva",
     type: "expense",
+    supplier: { name: "Servis strojeva Horvat" },
     amount: 1850.00,
     currency: "EUR",
     status: "dospjelo",
@@ -187,6 +210,8 @@ export const demoAccounting = [
     id: "acc_014",
     title: "Avansni račun kupca 004/2025",
     type: "invoice",
+    direction: "outgoing",
+    buyer: { name: "Aluminum Solutions d.o.o.", oib: "41209835762", address: "Savska cesta 41, 10000 Zagreb" },
     amount: 4200.00,
     currency: "EUR",
     status: "u tijeku",
@@ -202,6 +227,9 @@ export const demoAccounting = [
     id: "acc_015",
     title: "Uplata za avans",
     type: "payment",
+    direction: "incoming",
+    counterparty: { name: "Aluminum Solutions d.o.o.", oib: "41209835762" },
+    allocations: [{ recordId: "acc_014", amount: 2100.00 }],
     amount: 2100.00,
     currency: "EUR",
     status: "obrađeno",
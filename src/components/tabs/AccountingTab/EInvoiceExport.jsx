@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { FileCode, Download, Save, AlertTriangle } from 'lucide-react';
+import AgbimDataService from '../../../services/AgbimDataService';
+import { accountingRecordToInvoice, buildUblInvoice, getUblExportIssues } from '../../../utils/eRacunUbl';
+
+const SELLER_FIELDS = [
+  { key: 'name', label: 'Naziv tvrtke' },
+  { key: 'oib', label: 'OIB' },
+  { key: 'iban', label: 'IBAN' },
+  { key: 'address', label: 'Adresa (ulica, poštanski broj grad)' }
+];
+
+/**
+ * Izvoz izlaznog računa kao e-Račun (UBL 2.1 / EN 16931)
+ */
+const EInvoiceExport = ({ record }) => {
+  const dataService = useRef(new AgbimDataService());
+  const [seller, setSeller] = useState(null);
+  const [vatRate, setVatRate] = useState(25);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    dataService.current.getCompanyProfile()
+      .then(setSeller)
+      .catch(err => setMessage({ type: 'error', text: err.message }));
+  }, []);
+
+  const invoice = useMemo(
+    () => (seller ? accountingRecordToInvoice(record, seller, { vatRate: Number(vatRate) || 0 }) : null),
+    [record, seller, vatRate]
+  );
+  const issues = invoice ? getUblExportIssues(invoice) : [];
+
+  const saveSeller = async () => {
+    try {
+      setSeller(await dataService.current.updateCompanyProfile(seller));
+      setMessage({ type: 'success', text: 'Podaci tvrtke spremljeni' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const exportXml = () => {
+    try {
+      const xml = buildUblInvoice(invoice);
+      const blob = new Blob([xml], { type: 'application/xml' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `eRacun-${invoice.documentNumber.replace(/[^\w-]+/g, '-')}.xml`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      setMessage({ type: 'success', text: `e-Račun ${invoice.documentNumber} izvezen` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  if (!seller) {
+    return <div className="text-sm text-gray-500">Učitavanje podataka tvrtke...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <FileCode className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">e-Račun (UBL 2.1 / EN 16931)</h3>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">Prodavatelj</h4>
+          {SELLER_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block text-xs font-medium text-gray-600 mb-1">{field.label}</label>
+              <input
+                type="text"
+                value={seller[field.key] || ''}
+                onChange={e => setSeller(prev => ({ ...prev, [field.key]: e.target.value }))}
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+          <button
+            onClick={saveSeller}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Save className="w-4 h-4" />
+            Spremi podatke tvrtke
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">Kupac</h4>
+          <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-700 space-y-1">
+            <p className="font-medium text-gray-900">{record.buyer?.name || 'Nije upisan'}</p>
+            {record.buyer?.oib && <p>OIB: <span className="font-mono">{record.buyer.oib}</span></p>}
+            {record.buyer?.address && <p>{record.buyer.address}</p>}
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Stopa PDV-a (%)</label>
+            <input
+              type="number"
+              value={vatRate}
+              onChange={e => setVatRate(e.target.value)}
+              className="w-24 px-3 py-2 text-sm border border-gray-300 rounded-lg text-right"
+            />
+          </div>
+          {invoice && (
+            <div className="text-sm text-gray-600">
+              <p>Broj računa: <span className="font-mono text-gray-900">{invoice.documentNumber}</span></p>
+              <p>Stavki: {invoice.items.length}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          <div className="flex items-center gap-2 font-medium mb-1">
+            <AlertTriangle className="w-4 h-4" />
+            Nedostaju obavezni podaci
+          </div>
+          <ul className="list-disc ml-6">
+            {issues.map(issue => <li key={issue}>{issue}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {message && (
+        <div className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <button
+        onClick={exportXml}
+        disabled={issues.length > 0}
+        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+      >
+        <Download className="w-4 h-4" />
+        Izvezi e-Račun (UBL)
+      </button>
+    </div>
+  );
+};
+
+export default EInvoiceExport;
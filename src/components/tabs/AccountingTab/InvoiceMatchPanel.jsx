@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { GitCompare, ChevronDown, ChevronRight, Check, X, RefreshCw } from 'lucide-react';
+import AgbimDataService from '../../../services/AgbimDataService';
+import { MATCH_STATUS, MATCH_STATUS_LABELS, LINE_MATCH_STATUS } from '../../../utils/invoiceMatching';
+
+const STATUS_STYLES = {
+  [MATCH_STATUS.MATCHED]: 'bg-green-50 text-green-700 border-green-200',
+  [MATCH_STATUS.PARTIALLY_MATCHED]: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  [MATCH_STATUS.DISPUTED]: 'bg-red-50 text-red-700 border-red-200'
+};
+
+const LINE_STATUS_LABELS = {
+  [LINE_MATCH_STATUS.OK]: 'U redu',
+  [LINE_MATCH_STATUS.PRICE_VARIANCE]: 'Odstupanje cijene',
+  [LINE_MATCH_STATUS.QUANTITY_VARIANCE]: 'Odstupanje količine',
+  [LINE_MATCH_STATUS.NOT_RECEIVED]: 'Nije zaprimljeno',
+  [LINE_MATCH_STATUS.NOT_ORDERED]: 'Nije naručeno'
+};
+
+const formatAmount = (amount, currency = 'EUR') =>
+  amount === null || amount === undefined
+    ? '-'
+    : new Intl.NumberFormat('hr-HR', { style: 'currency', currency }).format(amount);
+
+/**
+ * Ulazni računi upareni s narudžbama i primkama (trostruko uparivanje)
+ */
+const InvoiceMatchPanel = () => {
+  const dataService = useRef(new AgbimDataService());
+  const [matches, setMatches] = useState([]);
+  const [tolerance, setTolerance] = useState(null);
+  const [status, setStatus] = useState(MATCH_STATUS.DISPUTED);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setError(null);
+      setMatches(await dataService.current.getInvoiceMatches());
+      setTolerance(await dataService.current.getMatchTolerance());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const resolve = async (match, accept) => {
+    try {
+      await dataService.current.resolveInvoiceMatch(match.id, { accept });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveTolerance = async () => {
+    try {
+      setTolerance(await dataService.current.setMatchTolerance(tolerance));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const visible = matches.filter(m => m.status === status);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          {Object.values(MATCH_STATUS).map(s => (
+            <button
+              key={s}
+              onClick={() => setStatus(s)}
+              className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors ${
+                status === s ? STATUS_STYLES[s] : 'bg-white text-gray-500 border-gray-200 hover:text-gray-700'
+              }`}
+            >
+              {MATCH_STATUS_LABELS[s]} ({matches.filter(m => m.status === s).length})
+            </button>
+          ))}
+          <button onClick={load} className="p-2 text-gray-400 hover:text-gray-600" title="Osvježi">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+
+        {tolerance && (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <span>Tolerancija:</span>
+            <input
+              type="number"
+              step="0.1"
+              value={tolerance.pricePct}
+              onChange={e => setTolerance({ ...tolerance, pricePct: e.target.value })}
+              className="w-16 border border-gray-300 rounded px-2 py-1"
+              title="Cijena (%)"
+            />
+            <span>% cijena</span>
+            <input
+              type="number"
+              step="0.1"
+              value={tolerance.quantityPct}
+              onChange={e => setTolerance({ ...tolerance, quantityPct: e.target.value })}
+              className="w-16 border border-gray-300 rounded px-2 py-1"
+              title="Količina (%)"
+            />
+            <span>% količina</span>
+            <button onClick={saveTolerance} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+              Spremi
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {visible.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <GitCompare className="w-12 h-12 mx-auto text-gray-300 mb-3" />
+          Nema računa u statusu „{MATCH_STATUS_LABELS[status]}"
+        </div>
+      ) : visible.map(match => {
+        const expanded = expandedId === match.id;
+        return (
+          <div key={match.id} className="bg-white border border-gray-200 rounded-lg">
+            <div
+              onClick={() => setExpandedId(expanded ? null : match.id)}
+              className="flex items-center gap-4 p-4 cursor-pointer hover:bg-gray-50"
+            >
+              {expanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+              <div className="flex-1">
+                <div className="font-medium text-gray-900">{match.invoiceNumber}</div>
+                <div className="text-sm text-gray-500">{match.supplierName} • OIB {match.supplierOib || '-'}</div>
+              </div>
+              <div className="text-sm text-gray-500">{match.lines.length} stavki</div>
+              <div className="text-right">
+                <div className="font-semibold">{formatAmount(match.total, match.currency)}</div>
+                {match.varianceTotal !== 0 && (
+                  <div className="text-xs text-red-600">odstupanje {formatAmount(match.varianceTotal, match.currency)}</div>
+                )}
+              </div>
+              <span className={`px-2 py-1 rounded-full border text-xs font-medium ${STATUS_STYLES[match.status]}`}>
+                {match.hold ? 'Blokirano' : match.rejected ? 'Odbijeno' : MATCH_STATUS_LABELS[match.status]}
+              </span>
+            </div>
+
+            {expanded && (
+              <div className="border-t border-gray-100 p-4 space-y-3">
+                {match.reasons.length > 0 && (
+                  <ul className="text-sm text-red-700 list-disc pl-5">
+                    {match.reasons.map(r => <li key={r}>{r}</li>)}
+                  </ul>
+                )}
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-1">#</th>
+                      <th className="py-1">Šifra</th>
+                      <th className="py-1 text-right">Naručeno</th>
+                      <th className="py-1 text-right">Zaprimljeno</th>
+                      <th className="py-1 text-right">Fakturirano</th>
+                      <th className="py-1 text-right">Cijena narudžbe</th>
+                      <th className="py-1 text-right">Cijena računa</th>
+                      <th className="py-1">Narudžba</th>
+                      <th className="py-1">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {match.lines.map(line => (
+                      <tr key={line.index} className={line.status === LINE_MATCH_STATUS.OK ? '' : 'bg-red-50'}>
+                        <td className="py-1">{line.index}</td>
+                        <td className="py-1 font-mono">{line.code || line.description}</td>
+                        <td className="py-1 text-right">{line.orderedQty}</td>
+                        <td className="py-1 text-right">{line.receivedQty}</td>
+                        <td className="py-1 text-right">{line.invoicedQty}</td>
+                        <td className="py-1 text-right">{formatAmount(line.orderedPrice, match.currency)}</td>
+                        <td className="py-1 text-right">{formatAmount(line.invoicedPrice, match.currency)}</td>
+                        <td className="py-1">{line.allocations.map(a => a.purchaseOrderNumber).join(', ') || '-'}</td>
+                        <td className="py-1">{LINE_STATUS_LABELS[line.status]}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {match.hold && (
+                  <div className="flex justify-end gap-2">
+                    <button
+                      onClick={() => resolve(match, false)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg border border-red-200 text-red-700 hover:bg-red-50"
+                    >
+                      <X className="w-4 h-4" /> Odbij račun
+                    </button>
+                    <button
+                      onClick={() => resolve(match, true)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700"
+                    >
+                      <Check className="w-4 h-4" /> Prihvati odstupanja
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default InvoiceMatchPanel;
@@ -0,0 +1,355 @@
+import React, { useState, useMemo } from 'react';
+import { BookOpen, TrendingUp, TrendingDown, Wand2, Save } from 'lucide-react';
+import {
+  LEDGER_SIDE,
+  LEDGER_SIDE_LABELS,
+  AGEING_BUCKETS,
+  NO_PROJECT,
+  buildLedger,
+  summarizeAgeing,
+  summarizeByCounterparty,
+  forecastWeeklyCashFlow,
+  rollupByProject,
+  suggestAllocations,
+  allocatePayment,
+  getPaymentSide
+} from '../../../utils/accountingLedger';
+
+const formatAmount = (amount, currency = 'EUR') =>
+  new Intl.NumberFormat('hr-HR', { style: 'currency', currency }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('hr-HR') : '-');
+
+const Section = ({ title, children, actions }) => (
+  <div className="bg-white border border-gray-200 rounded-lg">
+    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+      <h3 className="font-semibold text-gray-900">{title}</h3>
+      {actions}
+    </div>
+    <div className="p-4 overflow-x-auto">{children}</div>
+  </div>
+);
+
+/**
+ * Knjiga otvorenih stavki: raspored uplata, salda partnera, starost dugovanja,
+ * tjedni novčani tok i rekapitulacija po projektima
+ */
+const LedgerPanel = ({ records, onRecordsChange }) => {
+  const [side, setSide] = useState(LEDGER_SIDE.RECEIVABLE);
+  const [paymentId, setPaymentId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [openingBalance, setOpeningBalance] = useState(0);
+  const [error, setError] = useState(null);
+
+  const ledger = useMemo(() => buildLedger(records), [records]);
+  const ageing = useMemo(() => summarizeAgeing(ledger), [ledger]);
+  const counterparties = useMemo(() => summarizeByCounterparty(ledger), [ledger]);
+  const cashFlow = useMemo(
+    () => forecastWeeklyCashFlow(ledger, { openingBalance: Number(openingBalance) || 0 }),
+    [ledger, openingBalance]
+  );
+  const projects = useMemo(() => rollupByProject(records), [records]);
+  const payments = records.filter(r => r.type === 'payment');
+  const payment = payments.find(p => p.id === paymentId);
+
+  const maxFlow = Math.max(1, ...cashFlow.map(w => Math.max(w.inflow, w.outflow)));
+
+  const selectPayment = (id) => {
+    const selected = payments.find(p => p.id === id);
+    setPaymentId(id);
+    setError(null);
+    setDraft(Object.fromEntries((selected?.allocations || []).map(a => [a.recordId, a.amount])));
+  };
+
+  // Otvorene stavke iste strane + one koje ova uplata već zatvara
+  const allocationCandidates = payment
+    ? ledger.items.filter(i =>
+      i.side === getPaymentSide(payment) &&
+      (i.isOpen || (payment.allocations || []).some(a => a.recordId === i.recordId)))
+    : [];
+  const draftTotal = Object.values(draft).reduce((s, v) => s + (Number(v) || 0), 0);
+
+  const saveAllocation = () => {
+    try {
+      const allocations = Object.entries(draft).map(([recordId, amount]) => ({ recordId, amount }));
+      onRecordsChange(allocatePayment(records, payment.id, allocations));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        <BookOpen className="w-5 h-5 text-emerald-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Knjiga otvorenih stavki</h2>
+        <span className="text-sm text-gray-500">na dan {formatDate(ledger.asOf)}</span>
+      </div>
+
+      {/* Sažetak */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {[LEDGER_SIDE.RECEIVABLE, LEDGER_SIDE.PAYABLE].map(key => (
+          <div key={key} className="bg-white border border-gray-200 rounded-lg p-4 flex items-center gap-4">
+            {key === LEDGER_SIDE.RECEIVABLE
+              ? <TrendingUp className="w-8 h-8 text-green-600" />
+              : <TrendingDown className="w-8 h-8 text-red-600" />}
+            <div>
+              <div className="text-sm text-gray-500">{LEDGER_SIDE_LABELS[key]}</div>
+              <div className="text-2xl font-semibold text-gray-900">{formatAmount(ageing[key].total)}</div>
+              <div className="text-sm text-red-600">Dospjelo: {formatAmount(ageing[key].overdue)}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Starost */}
+      <Section title="Starost dugovanja (dana nakon dospijeća)">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2"></th>
+              {AGEING_BUCKETS.map(b => <th key={b.key} className="py-2 text-right">{b.label}</th>)}
+              <th className="py-2 text-right">Ukupno</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[LEDGER_SIDE.RECEIVABLE, LEDGER_SIDE.PAYABLE].map(key => (
+              <tr key={key} className="border-b border-gray-100">
+                <td className="py-2 font-medium text-gray-900">{LEDGER_SIDE_LABELS[key]}</td>
+                {AGEING_BUCKETS.map(b => (
+                  <td key={b.key} className={`py-2 text-right ${b.key === '90+' && ageing[key].buckets[b.key] ? 'text-red-600 font-medium' : ''}`}>
+                    {formatAmount(ageing[key].buckets[b.key])}
+                  </td>
+                ))}
+                <td className="py-2 text-right font-semibold">{formatAmount(ageing[key].total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+
+      {/* Partneri */}
+      <Section
+        title="Salda po partnerima"
+        actions={
+          <div className="flex border border-gray-300 rounded-lg overflow-hidden text-sm">
+            {[LEDGER_SIDE.RECEIVABLE, LEDGER_SIDE.PAYABLE].map(key => (
+              <button
+                key={key}
+                onClick={() => setSide(key)}
+                className={`px-3 py-1 ${side === key ? 'bg-blue-500 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              >
+                {key === LEDGER_SIDE.RECEIVABLE ? 'Kupci' : 'Dobavljači'}
+              </button>
+            ))}
+          </div>
+        }
+      >
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2">Partner</th>
+              <th className="py-2 text-right">Fakturirano</th>
+              <th className="py-2 text-right">Plaćeno</th>
+              <th className="py-2 text-right">Otvoreno</th>
+              {AGEING_BUCKETS.map(b => <th key={b.key} className="py-2 text-right">{b.label}</th>)}
+              <th className="py-2 text-right">Preplata</th>
+            </tr>
+          </thead>
+          <tbody>
+            {counterparties.filter(c => c.side === side).map(c => (
+              <tr key={c.key} className="border-b border-gray-100">
+                <td className="py-2">
+                  <div className="font-medium text-gray-900">{c.name}</div>
+                  {c.oib && <div className="text-xs text-gray-500 font-mono">{c.oib}</div>}
+                </td>
+                <td className="py-2 text-right">{formatAmount(c.invoiced)}</td>
+                <td className="py-2 text-right">{formatAmount(c.paid)}</td>
+                <td className="py-2 text-right font-semibold">{formatAmount(c.balance)}</td>
+                {AGEING_BUCKETS.map(b => (
+                  <td key={b.key} className="py-2 text-right text-gray-600">{c.buckets[b.key] ? formatAmount(c.buckets[b.key]) : '-'}</td>
+                ))}
+                <td className="py-2 text-right text-blue-600">{c.credit ? formatAmount(c.credit) : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+
+      {/* Raspored uplata */}
+      <Section title="Raspored uplata po računima">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            {payments.map(p => {
+              const allocated = (p.allocations || []).reduce((s, a) => s + a.amount, 0);
+              return (
+                <button
+                  key={p.id}
+                  onClick={() => selectPayment(p.id)}
+                  className={`w-full text-left p-3 border rounded-lg text-sm ${paymentId === p.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                >
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">{p.counterparty?.name || p.title}</span>
+                    <span>{formatAmount(p.amount, p.currency)}</span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{formatDate(p.date)}</span>
+                    <span className={allocated < p.amount ? 'text-orange-600' : 'text-green-600'}>
+                      Raspoređeno {formatAmount(allocated)}
+                    </span>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="lg:col-span-2">
+            {!payment ? (
+              <div className="text-sm text-gray-500 py-8 text-center">Odaberite uplatu za raspored po računima</div>
+            ) : (
+              <div className="space-y-3">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2">Račun</th>
+                      <th className="py-2">Dospijeće</th>
+                      <th className="py-2 text-right">Otvoreno</th>
+                      <th className="py-2 text-right">Iznos uplate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {allocationCandidates.map(item => (
+                      <tr key={item.recordId} className="border-b border-gray-100">
+                        <td className="py-2">
+                          <div className="text-gray-900">{item.title}</div>
+                          <div className="text-xs text-gray-500">{item.counterparty.name}</div>
+                        </td>
+                        <td className={`py-2 ${item.daysOverdue > 0 && item.isOpen ? 'text-red-600' : 'text-gray-600'}`}>{formatDate(item.dueDate)}</td>
+                        <td className="py-2 text-right">{formatAmount(item.balance)}</td>
+                        <td className="py-2 text-right">
+                          <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={draft[item.recordId] ?? ''}
+                            onChange={e => setDraft(prev => ({ ...prev, [item.recordId]: e.target.value }))}
+                            className="w-28 px-2 py-1 border border-gray-300 rounded text-right"
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex items-center justify-between text-sm">
+                  <span className={draftTotal > payment.amount ? 'text-red-600' : 'text-gray-600'}>
+                    Raspoređeno {formatAmount(draftTotal)} od {formatAmount(payment.amount)}
+                    {draftTotal < payment.amount && ` · preplata ${formatAmount(payment.amount - draftTotal)}`}
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setDraft(Object.fromEntries(suggestAllocations(records, payment.id).map(a => [a.recordId, a.amount])))}
+                      className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                      <Wand2 className="w-4 h-4" />
+                      Predloži (najstariji prvi)
+                    </button>
+                    <button
+                      onClick={saveAllocation}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                    >
+                      <Save className="w-4 h-4" />
+                      Spremi raspored
+                    </button>
+                  </div>
+                </div>
+                {error && <div className="text-sm text-red-600">{error}</div>}
+              </div>
+            )}
+          </div>
+        </div>
+      </Section>
+
+      {/* Novčani tok */}
+      <Section
+        title="Tjedna projekcija novčanog toka"
+        actions={
+          <label className="text-sm text-gray-600 flex items-center gap-2">
+            Početno stanje
+            <input
+              type="number"
+              value={openingBalance}
+              onChange={e => setOpeningBalance(e.target.value)}
+              className="w-28 px-2 py-1 border border-gray-300 rounded text-right"
+            />
+          </label>
+        }
+      >
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2">Tjedan</th>
+              <th className="py-2 text-right">Priljev</th>
+              <th className="py-2 text-right">Odljev</th>
+              <th className="py-2 w-1/3"></th>
+              <th className="py-2 text-right">Neto</th>
+              <th className="py-2 text-right">Stanje</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cashFlow.map((week, index) => (
+              <tr key={week.weekStart} className="border-b border-gray-100">
+                <td className="py-2 text-gray-700">
+                  {formatDate(week.weekStart)} – {formatDate(week.weekEnd)}
+                  {index === 0 && (week.overdueInflow || week.overdueOutflow) > 0 && (
+                    <div className="text-xs text-orange-600">uključuje dospjelo</div>
+                  )}
+                </td>
+                <td className="py-2 text-right text-green-700">{week.inflow ? formatAmount(week.inflow) : '-'}</td>
+                <td className="py-2 text-right text-red-700">{week.outflow ? formatAmount(week.outflow) : '-'}</td>
+                <td className="py-2">
+                  <div className="h-2 bg-green-400 rounded" style={{ width: `${(week.inflow / maxFlow) * 100}%` }} />
+                  <div className="h-2 bg-red-400 rounded mt-1" style={{ width: `${(week.outflow / maxFlow) * 100}%` }} />
+                </td>
+                <td className={`py-2 text-right ${week.net < 0 ? 'text-red-600' : 'text-gray-900'}`}>{formatAmount(week.net)}</td>
+                <td className={`py-2 text-right font-medium ${week.cumulative < 0 ? 'text-red-600' : 'text-gray-900'}`}>{formatAmount(week.cumulative)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+
+      {/* Projekti */}
+      <Section title="Prihodi i troškovi po projektima">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2">Projekt</th>
+              <th className="py-2 text-right">Prihod</th>
+              <th className="py-2 text-right">Trošak</th>
+              <th className="py-2 text-right">Marža</th>
+              <th className="py-2 text-right">Naplaćeno</th>
+              <th className="py-2 text-right">Isplaćeno</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projects.map(p => (
+              <tr key={p.projectId} className="border-b border-gray-100">
+                <td className="py-2 font-medium text-gray-900">{p.projectId === NO_PROJECT ? 'Opći troškovi' : p.projectId}</td>
+                <td className="py-2 text-right">{formatAmount(p.revenue)}</td>
+                <td className="py-2 text-right">{formatAmount(p.cost)}</td>
+                <td className={`py-2 text-right font-medium ${p.margin < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                  {formatAmount(p.margin)}{p.marginPct !== null && ` (${p.marginPct}%)`}
+                </td>
+                <td className="py-2 text-right">{formatAmount(p.received)}</td>
+                <td className="py-2 text-right">{formatAmount(p.paidOut)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+    </div>
+  );
+};
+
+export default LedgerPanel;
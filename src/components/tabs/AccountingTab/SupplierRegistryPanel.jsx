@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Building2, RefreshCw, Save, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import AgbimDataService from '../../../services/AgbimDataService';
+import { TEMPLATE_HEADER_FIELDS, isTemplateUsable } from '../../../utils/supplierTemplates';
+
+const FIELD_LABELS = {
+  documentNumber: 'Broj računa',
+  date: 'Datum',
+  dueDate: 'Dospijeće',
+  'totals.subtotal': 'Osnovica',
+  'totals.vatAmount': 'PDV',
+  'totals.totalAmount': 'Ukupno'
+};
+
+/**
+ * Matični podaci dobavljača (po OIB-u) i naučeni predlošci za čitanje računa
+ */
+const SupplierRegistryPanel = () => {
+  const dataService = useRef(new AgbimDataService());
+  const [suppliers, setSuppliers] = useState([]);
+  const [expandedOib, setExpandedOib] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setError(null);
+      setSuppliers(await dataService.current.getSuppliers());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggle = (supplier) => {
+    if (expandedOib === supplier.oib) {
+      setExpandedOib(null);
+      return;
+    }
+    setExpandedOib(supplier.oib);
+    setDraft({
+      name: supplier.name,
+      ibans: supplier.ibans.join(', '),
+      currency: supplier.currency,
+      paymentTermsDays: supplier.paymentTermsDays ?? ''
+    });
+  };
+
+  const save = async (oib) => {
+    try {
+      await dataService.current.updateSupplier(oib, { ...draft, ibans: draft.ibans.split(',') });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const resetTemplate = async (oib) => {
+    try {
+      await dataService.current.resetSupplierTemplate(oib);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Building2 className="w-5 h-5 text-blue-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Dobavljači ({suppliers.length})</h2>
+        </div>
+        <button onClick={load} className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg" title="Osvježi">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {suppliers.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <Building2 className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>Nema dobavljača</p>
+          <p className="text-sm mt-1">Dobavljači se dodaju spremanjem ulaznih računa</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {suppliers.map(supplier => {
+            const expanded = expandedOib === supplier.oib;
+            const labels = supplier.template?.labels || {};
+            return (
+              <div key={supplier.oib}>
+                <button
+                  onClick={() => toggle(supplier)}
+                  className="w-full flex items-center gap-3 px-4 py-3 text-left hover:bg-gray-50"
+                >
+                  {expanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                  <div className="flex-1">
+                    <div className="font-medium text-gray-900">{supplier.name || 'Bez naziva'}</div>
+                    <div className="text-xs text-gray-500 font-mono">OIB {supplier.oib}</div>
+                  </div>
+                  <span className="text-sm text-gray-500">{supplier.invoiceCount} računa</span>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium border ${
+                    isTemplateUsable(supplier)
+                      ? 'bg-green-50 text-green-700 border-green-200'
+                      : 'bg-gray-50 text-gray-500 border-gray-200'
+                  }`}>
+                    {isTemplateUsable(supplier) ? 'Predložak naučen' : 'Uči se'}
+                  </span>
+                </button>
+
+                {expanded && draft && (
+                  <div className="px-4 pb-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-3">
+                      <h4 className="text-sm font-semibold text-gray-700">Matični podaci</h4>
+                      {[
+                        ['name', 'Naziv'],
+                        ['ibans', 'IBAN-i (odvojeni zarezom)'],
+                        ['currency', 'Zadana valuta'],
+                        ['paymentTermsDays', 'Rok plaćanja (dana)']
+                      ].map(([key, label]) => (
+                        <div key={key}>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                          <input
+                            type={key === 'paymentTermsDays' ? 'number' : 'text'}
+                            value={draft[key]}
+                            onChange={e => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                      ))}
+                      <button
+                        onClick={() => save(supplier.oib)}
+                        className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                      >
+                        <Save className="w-4 h-4" />
+                        Spremi
+                      </button>
+                    </div>
+
+                    <div className="space-y-3">
+                      <h4 className="text-sm font-semibold text-gray-700">
+                        Naučeni predložak
+                        <span className="ml-2 font-normal text-gray-500">
+                          ({supplier.template?.learnedFrom || 0} računa, {supplier.template?.corrections || 0} ispravaka)
+                        </span>
+                      </h4>
+                      <table className="w-full text-sm">
+                        <tbody>
+                          {TEMPLATE_HEADER_FIELDS.map(field => (
+                            <tr key={field} className="border-b border-gray-100">
+                              <td className="py-1 text-gray-500">{FIELD_LABELS[field]}</td>
+                              <td className="py-1 text-gray-900">
+                                {labels[field] ? `"${labels[field].label}"` : <span className="text-gray-400 italic">nije naučeno</span>}
+                              </td>
+                            </tr>
+                          ))}
+                          <tr className="border-b border-gray-100">
+                            <td className="py-1 text-gray-500">Zaglavlje stavki</td>
+                            <td className="py-1 text-gray-900">
+                              {supplier.template?.itemHeader
+                                ? supplier.template.itemHeader.cells.join(' | ')
+                                : <span className="text-gray-400 italic">nije naučeno</span>}
+                            </td>
+                          </tr>
+                          <tr>
+                            <td className="py-1 text-gray-500">Format brojeva</td>
+                            <td className="py-1 text-gray-900">
+                              {{ eu: '1.234,56', us: '1,234.56' }[supplier.template?.numberFormat] || '-'}
+                            </td>
+                          </tr>
+                        </tbody>
+                      </table>
+                      <button
+                        onClick={() => resetTemplate(supplier.oib)}
+                        className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                        Zaboravi predložak
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierRegistryPanel;
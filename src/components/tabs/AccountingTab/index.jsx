@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Wallet, Search, Filter, Plus, Download, RefreshCw, Grid3X3, List, Clock } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Wallet, Search, Filter, Plus, Download, RefreshCw, Grid3X3, List, Clock, GitCompare, Building2, BookOpen, Landmark } from 'lucide-react';
 import { demoAccounting } from './DemoAccounting';
 import AccountingCard from './AccountingCard';
 import AccountingListCard from './AccountingListCard';
@@ -7,6 +7,11 @@ import AccountingTimelineCard from './AccountingTimelineCard';
 import AccountingModal from './AccountingModal';
 import AccountingBatch from './AccountingBatch';
 import AccountingLegend from './AccountingLegend';
+import InvoiceMatchPanel from './InvoiceMatchPanel';
+import SupplierRegistryPanel from './SupplierRegistryPanel';
+import LedgerPanel from './LedgerPanel';
+import BankStatementPanel from './BankStatementPanel';
+import AgbimDataService from '../../../services/AgbimDataService';
 
 const AccountingTab = () => {
   const [records, setRecords] = useState([]);
@@ -16,10 +21,32 @@ const AccountingTab = () => {
   const [showBatch, setShowBatch] = useState(false);
   const [selectedRecord, setSelectedRecord] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [viewMode, setViewMode] = useState('list'); // 'grid' | 'list' | 'timeline'
+  const [viewMode, setViewMode] = useState('list'); // 'grid' | 'list' | 'timeline' | 'matching' | 'suppliers' | 'ledger' | 'bank'
+
+  const dataService = useRef(new AgbimDataService());
+
+  // Spremljeni zapisi (s rasporedima uplata); demo podaci dok se ništa ne spremi
+  const loadRecords = useCallback(async () => {
+    try {
+      const saved = await dataService.current.getAccountingRecords();
+      setRecords(saved || [...demoAccounting]);
+    } catch (error) {
+      console.warn('Accounting records unavailable, using demo data:', error.message);
+      setRecords([...demoAccounting]);
+    }
+  }, []);
 
   useEffect(() => {
-    setRecords(demoAccounting);
+    loadRecords();
+  }, [loadRecords]);
+
+  const handleRecordsChange = useCallback(async (updated) => {
+    setRecords(updated);
+    try {
+      await dataService.current.saveAccountingRecords(updated);
+    } catch (error) {
+      console.error('Error saving accounting records:', error);
+    }
   }, []);
 
   useEffect(() => {
@@ -58,8 +85,7 @@ const AccountingTab = () => {
 
   const refreshData = async () => {
     setLoading(true);
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    setRecords([...demoAccounting]);
+    await loadRecords();
     setLoading(false);
   };
 
@@ -214,6 +240,50 @@ const AccountingTab = () => {
               >
                 <Grid3X3 className="w-4 h-4" />
               </button>
+              <button
+                onClick={() => setViewMode('matching')}
+                className={`p-2 text-sm transition-colors ${
+                  viewMode === 'matching' 
+                    ? 'bg-blue-500 text-white' 
+                    : 'bg-white text-gray-500 hover:text-gray-700'
+                }`}
+                title="Uparivanje ulaznih računa"
+              >
+                <GitCompare className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setViewMode('suppliers')}
+                className={`p-2 text-sm transition-colors ${
+                  viewMode === 'suppliers' 
+                    ? 'bg-blue-500 text-white' 
+                    : 'bg-white text-gray-500 hover:text-gray-700'
+                }`}
+                title="Dobavljači"
+              >
+                <Building2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setViewMode('ledger')}
+                className={`p-2 text-sm transition-colors ${
+                  viewMode === 'ledger' 
+                    ? 'bg-blue-500 text-white' 
+                    : 'bg-white text-gray-500 hover:text-gray-700'
+                }`}
+                title="Otvorene stavke i novčani tok"
+              >
+                <BookOpen className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setViewMode('bank')}
+                className={`p-2 text-sm transition-colors ${
+                  viewMode === 'bank' 
+                    ? 'bg-blue-500 text-white' 
+                    : 'bg-white text-gray-500 hover:text-gray-700'
+                }`}
+                title="Bankovni izvod"
+              >
+                <Landmark className="w-4 h-4" />
+              </button>
             </div>
 
             {/* Filter */}
@@ -270,7 +340,15 @@ const AccountingTab = () => {
 
       {/* Records Grid */}
       <div className={`flex-1 overflow-y-auto p-6 ${showBatch ? 'mr-96' : ''} transition-all duration-300`}>
-        {filteredRecords.length === 0 ? (
+        {viewMode === 'matching' ? (
+          <InvoiceMatchPanel />
+        ) : viewMode === 'suppliers' ? (
+          <SupplierRegistryPanel />
+        ) : viewMode === 'ledger' ? (
+          <LedgerPanel records={records} onRecordsChange={handleRecordsChange} />
+        ) : viewMode === 'bank' ? (
+          <BankStatementPanel records={records} onRecordsChange={handleRecordsChange} />
+        ) : filteredRecords.length === 0 ? (
           <div className="text-center py-12">
             <Wallet className="w-16 h-16 mx-auto text-gray-300 mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">
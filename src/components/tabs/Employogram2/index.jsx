@@ -3,7 +3,19 @@ import { motion, AnimatePresence } from "framer-motion";
 import { useProjectStore } from "../../../store/useProjectStore";
 import { useUserStore } from '../../../store/useUserStore';
 import ProjectDataService from "../../../store/ProjectDataService.js";
+// Plan (planned dates + schedule history) lives in the services ProjectDataService
+import PlanDataService from "../../../services/ProjectDataService.js";
 import TaskHoverCardRedesign from "../hoverTab2.jsx";
+import AgbimDataService from "../../../services/AgbimDataService.js";
+import useWorkCalendar from "../../../hooks/useWorkCalendar.js";
+import { resolveProcessLinks } from "../../../utils/ganttScheduler.js";
+import { departmentOf, BASELINE_SOURCES } from "../../../utils/planBaselines.js";
+import {
+  DEFAULT_RESOURCE_CAPACITY,
+  LEVELING_REASONS,
+  computeResourceLoad,
+  levelResources
+} from "../../../utils/resourceLeveling.js";
 import {
   Users, Layers, CalendarDays, ChevronDown, ChevronLeft, ChevronRight,
   Grid3X3 as Grid3x3, Group, Columns3, AlertTriangle, Search,
@@ -12,7 +24,7 @@ import {
   Save, Upload, Download, Filter, Maximize2, Eye, EyeOff,
   Clock, Bell, Flame, Target, Edit3, Trash2, FileText,
   MessageSquare, Paperclip, MoreHorizontal, X, List,
-  BarChart3, Calendar as TimelineIcon, GitBranch, Shuffle
+  BarChart3, Calendar as TimelineIcon, GitBranch, Shuffle, Scale, Check
 } from "lucide-react";
 
 // Gantt Chart Constants
@@ -201,11 +213,6 @@ const variants = {
 const MATRIX_COL_W = 240; // Matrix column width
 
 function clamp(n, a, b){ return Math.max(a, Math.min(b, n)); }
-function toDate(d){ return d ? new Date(d) : null; }
-function overlaps(aStart, aEnd, bStart, bEnd){
-  if(!aStart || !aEnd || !bStart || !bEnd) return false;
-  return toDate(aStart) <= toDate(bEnd) && toDate(bStart) <= toDate(aEnd);
-}
 
 function pillGradient(c1, c2, opacity = 1){
   return `linear-gradient(135deg, ${c1}${Math.round(opacity * 255).toString(16).padStart(2, '0')} 0%, ${c2}${Math.round(opacity * 255).toString(16).padStart(2, '0')} 100%)`;
@@ -398,6 +405,112 @@ const GanttTaskBar = ({ task, employee, dayWidth, startDate, onTaskUpdate, onTas
   );
 };
 
+// Predloženi termin iz izravnavanja resursa (isprekidana sjena)
+const LevelingGhostBar = ({ proposal, dayWidth, startDate }) => {
+  const start = parseDate(proposal.to.start);
+  const end = parseDate(proposal.to.end);
+  const left = Math.max(0, daysBetween(startDate, start)) * dayWidth;
+  const width = Math.max(1, daysBetween(start, end)) * dayWidth;
+  return (
+    <div
+      className="absolute rounded-lg border-2 border-dashed border-purple-400 bg-purple-100/40 pointer-events-none"
+      style={{ left: `${left}px`, width: `${Math.max(60, width)}px`, height: '32px', top: '9px' }}
+      title={`Prijedlog: ${proposal.to.start} – ${proposal.to.end}`}
+    />
+  );
+};
+
+// Kapaciteti i prijedlog izravnavanja; svaki pomak se prihvaća zasebno
+const LevelingPanel = ({ proposals, tasksById, employees, departments, capacity, onCapacityChange, onSaveCapacity, onAccept, onDismiss, onClose }) => {
+  const [showCapacity, setShowCapacity] = useState(proposals.length === 0);
+  const setHours = (group, key, value) => onCapacityChange({
+    ...capacity,
+    [group]: { ...capacity[group], [key]: value === '' ? undefined : Number(value) }
+  });
+
+  return (
+    <motion.div
+      className="absolute top-0 right-0 h-full w-[420px] bg-white/95 backdrop-blur-xl border-l shadow-2xl z-40 flex flex-col"
+      initial={{ x: 420 }}
+      animate={{ x: 0 }}
+      exit={{ x: 420 }}
+    >
+      <div className="flex items-center justify-between p-4 border-b">
+        <div className="flex items-center gap-2 text-sm font-semibold">
+          <Scale className="w-4 h-4 text-purple-600" />
+          Izravnavanje resursa
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded"><X className="w-4 h-4" /></button>
+      </div>
+
+      <div className="border-b">
+        <button onClick={() => setShowCapacity(v => !v)} className="w-full flex items-center justify-between px-4 py-2 text-xs font-medium text-slate-600 hover:bg-slate-50">
+          Kapaciteti (sati/dan)
+          <ChevronDown className={`w-4 h-4 transition-transform ${showCapacity ? 'rotate-180' : ''}`} />
+        </button>
+        {showCapacity && (
+          <div className="px-4 pb-3 space-y-3 max-h-64 overflow-auto">
+            {[['employees', employees.map(e => [e.id, e.name, e.capacityH])], ['departments', departments.map(d => [d, d, null])]].map(([group, rows]) => (
+              <div key={group} className="space-y-1">
+                <div className="text-[11px] uppercase tracking-wide text-slate-400">{group === 'employees' ? 'Djelatnici' : 'Odjeli'}</div>
+                {rows.map(([key, label, fallback]) => (
+                  <label key={key} className="flex items-center justify-between gap-2 text-xs">
+                    <span className="truncate">{label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={capacity[group][key] ?? ''}
+                      placeholder={fallback ? String(fallback) : 'bez ograničenja'}
+                      onChange={(e) => setHours(group, key, e.target.value)}
+                      className="w-28 px-2 py-1 border rounded text-right"
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+            <button onClick={onSaveCapacity} className="px-3 py-1.5 text-xs bg-slate-800 text-white rounded-lg hover:bg-slate-900">
+              Spremi kapacitete
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-2">
+        {proposals.length === 0 && (
+          <div className="text-xs text-slate-500">Nema preopterećenja koje bi se riješilo pomakom zadataka.</div>
+        )}
+        {proposals.map(proposal => {
+          const task = tasksById.get(proposal.taskId);
+          return (
+            <div key={proposal.taskId} className="p-3 rounded-xl border border-purple-100 bg-purple-50/40">
+              <div className="text-xs font-medium text-slate-800 truncate">{task?.projectName} · {task?.positionTitle} · {task?.processName}</div>
+              <div className="text-xs text-slate-600 mt-1">
+                {proposal.from.start} – {proposal.from.end} → <span className="font-semibold text-purple-700">{proposal.to.start} – {proposal.to.end}</span>
+                <span className="ml-1 text-slate-400">(+{proposal.delay} rd)</span>
+              </div>
+              <div className="text-[11px] text-slate-500 mt-1">
+                {proposal.reason === LEVELING_REASONS.RESOURCE
+                  ? `Preopterećen: ${proposal.resource}`
+                  : 'Čeka prethodnika koji je pomaknut'}
+                {task?.ownerName ? ` · ${task.ownerName}` : ''}
+              </div>
+              <div className="flex gap-2 mt-2">
+                <button onClick={() => onAccept(proposal)} className="flex items-center gap-1 px-2 py-1 text-xs bg-purple-600 text-white rounded-lg hover:bg-purple-700">
+                  <Check className="w-3 h-3" /> Prihvati
+                </button>
+                <button onClick={() => onDismiss(proposal)} className="px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded-lg">
+                  Odbaci
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+};
+
 // View Mode Toggle Component
 const ViewModeToggle = ({ currentMode, onModeChange }) => {
   return (
@@ -451,10 +564,14 @@ function normalizeTasks(project){
         ownerName: proc?.owner?.name || "",
         start: proc.plannedStart || proc.actualStart || null,
         end: proc.plannedEnd || proc.actualEnd || null,
+        actualStart: proc.actualStart || null,
         status: (proc.status||"pending").toLowerCase(),
         progress: proc.progress ?? 0,
         notes: proc.notes || "",
-        priority: proc.priority || 'medium'
+        priority: proc.priority || 'medium',
+        goriona: proc.goriona || null,
+        department: departmentOf(proc),
+        effortHours: proc.estimates?.hours ?? null
       });
     }
   }
@@ -494,6 +611,12 @@ export default function Employogram2(){
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   const [showDocuments, setShowDocuments] = useState(false);
+
+  // Kapaciteti i izravnavanje resursa
+  const { calendar } = useWorkCalendar();
+  const [capacity, setCapacity] = useState(DEFAULT_RESOURCE_CAPACITY);
+  const [showLeveling, setShowLeveling] = useState(false);
+  const [levelingProposals, setLevelingProposals] = useState([]);
   
   const scrollRef = useRef(null);
   const searchRef = useRef(null);
@@ -727,29 +850,81 @@ export default function Employogram2(){
     return map;
   }, [columns.tasks, employeeByName]);
 
-  // Enhanced conflict detection with severity levels
+  useEffect(() => {
+    new AgbimDataService().getResourceCapacity()
+      .then(setCapacity)
+      .catch(() => { /* ostaju zadani kapaciteti */ });
+  }, []);
+
+  // Zadaci svih projekata s dodijeljenim djelatnikom, za opterećenje i izravnavanje
+  const resourceTasks = useMemo(() => (all?.projects || []).flatMap(normalizeTasks).map(t => {
+    const emp = t.ownerName && employeeByName.get(t.ownerName);
+    return emp ? { ...t, employeeId: emp.id, employeeName: emp.name, employeeCapacity: emp.capacityH } : t;
+  }), [all, employeeByName]);
+
+  const resourceLoad = useMemo(
+    () => computeResourceLoad(resourceTasks, { calendar, capacity }),
+    [resourceTasks, calendar, capacity]
+  );
+
+  // Preopterećenje po danima (sati iz procjene naspram dnevnog kapaciteta), preko svih projekata
   const conflictByEmp = useMemo(() => {
     const m = new Map();
-    for(const e of employees){ m.set(e.id, { count: 0, severity: 'none' }); }
-    const tasksByEmp = new Map();
-    for(const t of columns.tasks){
-      const emp = t.ownerName && employeeByName.get(t.ownerName);
-      if(!emp) continue;
-      if(!tasksByEmp.has(emp.id)) tasksByEmp.set(emp.id, []);
-      tasksByEmp.get(emp.id).push(t);
-    }
-    for(const [empId, list] of tasksByEmp){
-      let conflicts = 0;
-      for(let i=0;i<list.length;i++){
-        for(let j=i+1;j<list.length;j++){
-          if(overlaps(list[i].start, list[i].end, list[j].start, list[j].end)) conflicts++;
-        }
-      }
-      const severity = conflicts === 0 ? 'none' : conflicts <= 2 ? 'low' : conflicts <= 5 ? 'medium' : 'high';
-      m.set(empId, { count: conflicts, severity });
+    for(const e of employees){
+      const load = resourceLoad.byKey.get(`employee:${e.id}`);
+      const days = load?.overloadedDays || [];
+      const severity = days.length === 0 ? 'none' : days.length <= 2 ? 'low' : days.length <= 5 ? 'medium' : 'high';
+      m.set(e.id, { count: days.length, severity, days });
     }
     return m;
-  }, [columns.tasks, employees, employeeByName]);
+  }, [employees, resourceLoad]);
+
+  const departments = useMemo(
+    () => [...new Set(resourceTasks.map(t => t.department))].sort(),
+    [resourceTasks]
+  );
+  const tasksById = useMemo(() => new Map(resourceTasks.map(t => [t.id, t])), [resourceTasks]);
+  const proposalByTask = useMemo(() => new Map(levelingProposals.map(p => [p.taskId, p])), [levelingProposals]);
+
+  const runLeveling = useCallback(() => {
+    const links = (all?.projects || []).flatMap(p => resolveProcessLinks(p));
+    setLevelingProposals(levelResources(resourceTasks, { calendar, capacity, links }));
+    setShowLeveling(true);
+  }, [all, resourceTasks, calendar, capacity]);
+
+  const saveCapacity = useCallback(async () => {
+    try {
+      setCapacity(await new AgbimDataService().updateResourceCapacity(capacity));
+    } catch (e) {
+      console.error('Error saving resource capacity:', e);
+    }
+  }, [capacity]);
+
+  const acceptProposal = useCallback(async (proposal) => {
+    const task = tasksById.get(proposal.taskId);
+    if (!task) return;
+    const updates = { plannedStart: proposal.to.start, plannedEnd: proposal.to.end };
+    setAll(prev => ({
+      ...prev,
+      projects: prev.projects.map(p => p.id !== task.projectId ? p : {
+        ...p,
+        positions: p.positions.map(pos => pos.id !== task.positionId ? pos : {
+          ...pos,
+          processes: pos.processes.map(proc => proc.name === task.processName ? { ...proc, ...updates } : proc)
+        })
+      })
+    }));
+    setLevelingProposals(prev => prev.filter(p => p.taskId !== proposal.taskId));
+    try {
+      await new PlanDataService().updateProcessInPosition(task.projectId, task.positionId, task.processName, updates, {
+        source: BASELINE_SOURCES.LEVELING,
+        title: 'Izravnavanje resursa',
+        details: `${task.positionId} · ${task.processName}: ${proposal.reason === 'resource' ? proposal.resource : 'veza'}`
+      });
+    } catch (e) {
+      console.warn('Leveling change kept locally only:', e.message);
+    }
+  }, [tasksById]);
 
   // Enhanced hover functionality
   const [hoverTask, setHoverTask] = useState(null);
@@ -906,6 +1081,16 @@ export default function Employogram2(){
           
           {/* Action Buttons */}
           <div className="flex items-center gap-2">
+            <motion.button
+              onClick={runLeveling}
+              className="flex items-center gap-1.5 px-3 py-1.5 border border-purple-200 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors"
+              title="Predloži redoslijed preklopljenih zadataka prema kapacitetu"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              <Scale className="w-4 h-4" />
+              <span className="text-sm font-medium">Izravnaj</span>
+            </motion.button>
             <motion.button
               onClick={() => setShowDocuments(true)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
@@ -1002,7 +1187,7 @@ export default function Employogram2(){
                             whileHover={{ scale: 1.05 }}
                           >
                             <AlertTriangle className="w-3 h-3" /> 
-                            {conflict.count}
+                            <span title={conflict.days.map(d => `${d.date}: ${d.load}/${d.capacity} h`).join('\n')}>{conflict.count}</span>
                           </motion.div>
                         )}
                       </AnimatePresence>
@@ -1204,6 +1389,14 @@ export default function Employogram2(){
                         width: `${viewDays * dayWidth}px`
                       }}
                     >
+                      {empTasks.filter(task => proposalByTask.has(task.id)).map(task => (
+                        <LevelingGhostBar
+                          key={`ghost-${task.id}`}
+                          proposal={proposalByTask.get(task.id)}
+                          dayWidth={dayWidth}
+                          startDate={timelineStart}
+                        />
+                      ))}
                       {empTasks.map(task => (
                         <GanttTaskBar
                           key={task.id}
@@ -1317,6 +1510,23 @@ export default function Employogram2(){
             )}
           </AnimatePresence>
 
+          <AnimatePresence>
+            {showLeveling && (
+              <LevelingPanel
+                proposals={levelingProposals}
+                tasksById={tasksById}
+                employees={employees}
+                departments={departments}
+                capacity={capacity}
+                onCapacityChange={setCapacity}
+                onSaveCapacity={saveCapacity}
+                onAccept={acceptProposal}
+                onDismiss={(proposal) => setLevelingProposals(prev => prev.filter(p => p.taskId !== proposal.taskId))}
+                onClose={() => { setShowLeveling(false); setLevelingProposals([]); }}
+              />
+            )}
+          </AnimatePresence>
+
           {/* Focus Mode Overlay */}
           <AnimatePresence>
             {focusMode && (
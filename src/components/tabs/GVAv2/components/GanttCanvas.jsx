@@ -1,6 +1,8 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 import { CalendarDays, Mic, Send } from 'lucide-react';
+import { normalizeDependency, scheduleTasks, dependencyArrowPath } from '../../../../utils/ganttScheduler';
+import { getWorkCalendar } from '../../../../utils/workCalendar';
 
 // Local date helpers (kept here to avoid cross-file coupling)
 const fromYmd = (s) => new Date(`${s}T00:00:00Z`);
@@ -17,6 +19,8 @@ const rangeDays = (from, to) => {
   return out;
 };
 
+const LINK_COLORS = { normal: '#94a3b8', critical: '#ef4444', violated: '#f97316' };
+
 export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId, pendingActions }) {
   const [isListening, setIsListening] = useState(false);
   const [ganttVisible, setGanttVisible] = useState(false);
@@ -33,7 +37,8 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
       end: p.montaza.datum_zavrsetka,
       duration_days: diffDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka) + 1,
       osoba: p.montaza.osoba,
-      opis: p.montaza.opis
+      opis: p.montaza.opis,
+      baseline: p.montaza.baseline || null
     }));
     const all = jsonLines.flatMap(l => [l.start, l.end]).filter(Boolean).sort();
     if (!all.length) return { dateRange: {}, lines: jsonLines };
@@ -42,6 +47,45 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
 
   const days = useMemo(() => rangeDays(dateRange.from, dateRange.to), [dateRange]);
   const totalDays = days.length || 1;
+  // Neradni dani (vikend, praznik, zatvaranje) iz zajedničkog radnog kalendara
+  const dayInfo = useMemo(() => {
+    const calendar = getWorkCalendar();
+    return Object.fromEntries(days.map(d => [d, calendar.getDayInfo(d)]));
+  }, [days]);
+
+  // Veze između linija (datum završetka je uključiv) i kritični put
+  const { links, critical, violated } = useMemo(() => {
+    const lineLinks = (ganttJson?.pozicije || []).flatMap(p =>
+      (p.dependencies || []).map(normalizeDependency).filter(Boolean).map(d => ({ ...d, to: p.id })));
+    if (!lineLinks.length) return { links: [], critical: new Set(), violated: new Set() };
+    try {
+      const schedule = scheduleTasks(lines, lineLinks, { endInclusive: true, calendar: getWorkCalendar() });
+      const linked = new Set(lineLinks.flatMap(l => [l.from, l.to]));
+      return {
+        links: schedule.links,
+        critical: new Set(schedule.criticalPath.filter(id => linked.has(id))),
+        violated: new Set(schedule.violated.map(l => `${l.from}>${l.to}`))
+      };
+    } catch (err) {
+      console.warn('GVAv2 dependencies skipped:', err.message);
+      return { links: [], critical: new Set(), violated: new Set() };
+    }
+  }, [ganttJson, lines]);
+
+  // Strelice se crtaju prema stvarnom položaju traka u mreži
+  const gridRef = useRef(null);
+  const [barEdges, setBarEdges] = useState({});
+  useLayoutEffect(() => {
+    const grid = gridRef.current;
+    if (!grid || !links.length) return;
+    const origin = grid.getBoundingClientRect();
+    const edges = {};
+    grid.querySelectorAll('[data-bar-id]').forEach(el => {
+      const r = el.getBoundingClientRect();
+      edges[el.dataset.barId] = { x1: r.left - origin.left, x2: r.right - origin.left, y: r.top - origin.top + r.height / 2 };
+    });
+    setBarEdges(edges);
+  }, [links, lines, ganttVisible]);
 
   // Voice recognition for "gantt" wake word
   useEffect(() => {
@@ -155,14 +199,15 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
         </div>
       </div>
       <div className="flex-1 overflow-auto">
-        <div className="grid" style={{ gridTemplateColumns: `280px repeat(${totalDays}, 45px)` }}>
+        <div ref={gridRef} className="grid relative" style={{ gridTemplateColumns: `280px repeat(${totalDays}, 45px)` }}>
           <div className="text-sm font-semibold sticky top-0 left-0 z-30 panel px-6 py-3 border-b border-theme">Pozicija</div>
           {days.map((d) => {
             const dateObj = fromYmd(d);
             const dayNum = dateObj.getUTCDate();
             const dayName = dateObj.toLocaleDateString('hr-HR', { weekday: 'short', timeZone: 'UTC' }).toUpperCase();
+            const info = dayInfo[d];
             return (
-              <div key={d} className="text-xs text-center py-3 sticky top-0 z-10 panel border-b border-l gantt-grid-line border-theme">
+              <div key={d} title={info?.label || undefined} className={`text-xs text-center py-3 sticky top-0 z-10 panel border-b border-l gantt-grid-line border-theme ${info && !info.workDay ? 'opacity-60' : ''}`}>
                 <div className="font-bold text-sm text-primary">{dayNum}</div>
                 <div className="text-subtle">{dayName}</div>
               </div>
@@ -174,6 +219,7 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
             const span = ln.duration_days;
             const isActive = ln.id === activeLineId;
             const barColor = barColors[idx % barColors.length];
+            const isCritical = critical.has(ln.id);
             return (
               <React.Fragment key={ln.id}>
                 <div
@@ -188,11 +234,23 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
                 </div>
 
                 <div className="relative col-span-full grid" style={{ gridTemplateColumns: `repeat(${totalDays}, 45px)`, gridColumnStart: 2 }}>
-                  {days.map((d) => (<div key={`${ln.id}-${d}`} className="h-12 border-t border-l gantt-grid-line border-theme"/>))}
+                  {days.map((d) => (<div key={`${ln.id}-${d}`} className={`h-12 border-t border-l gantt-grid-line border-theme ${dayInfo[d] && !dayInfo[d].workDay ? 'bg-black/5' : ''}`}/>))}
+
+                  {/* Osnovni plan: tanka sjena ispod trake */}
+                  {ln.baseline?.start && ln.baseline?.end && diffDays(dateRange.from, ln.baseline.start) >= 0 && (
+                    <div
+                      className="absolute bottom-0 h-1.5 rounded-sm border border-dashed border-slate-400 bg-slate-400/30 pointer-events-none"
+                      style={{
+                        left: `${diffDays(dateRange.from, ln.baseline.start) * 45 + 4}px`,
+                        width: `${(diffDays(ln.baseline.start, ln.baseline.end) + 1) * 45 - 8}px`
+                      }}
+                      title={`Osnovni plan: ${ln.baseline.start} – ${ln.baseline.end}`}
+                    />
+                  )}
 
                   <motion.div
                     data-bar-id={ln.id}
-                    className={`absolute top-1 h-10 rounded-lg shadow-xl bg-gradient-to-r ${barColor} flex items-center pl-3 pr-3 text-white cursor-pointer ${isActive ? 'gantt-bar-active' : ''}`}
+                    className={`absolute top-1 h-10 rounded-lg shadow-xl bg-gradient-to-r ${barColor} flex items-center pl-3 pr-3 text-white cursor-pointer ${isActive ? 'gantt-bar-active' : isCritical ? 'ring-2 ring-red-400' : ''}`}
                     style={{ gridColumnStart: startIdx + 1, gridColumnEnd: startIdx + 1 + span, width: `calc(${span * 45}px - 8px)`, left: '4px' }}
                     initial={{ opacity: 0.8 }}
                     animate={{ opacity: 1, x: 0 }}
@@ -247,6 +305,36 @@ export default function GanttCanvas({ ganttJson, activeLineId, setActiveLineId,
               </React.Fragment>
             );
           })}
+
+          {links.length > 0 && (
+            <svg className="absolute left-0 top-0 pointer-events-none" width={280 + totalDays * 45} height="100%" style={{ zIndex: 15 }}>
+              <defs>
+                {Object.entries(LINK_COLORS).map(([kind, color]) => (
+                  <marker key={kind} id={`gva-arrow-${kind}`} markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                    <path d="M0,0 L8,4 L0,8 z" fill={color} />
+                  </marker>
+                ))}
+              </defs>
+              {links.map(link => {
+                const from = barEdges[link.from];
+                const to = barEdges[link.to];
+                if (!from || !to) return null;
+                const key = `${link.from}>${link.to}`;
+                const kind = violated.has(key) ? 'violated' : critical.has(link.from) && critical.has(link.to) ? 'critical' : 'normal';
+                return (
+                  <path
+                    key={key}
+                    d={dependencyArrowPath(link.type, from, to)}
+                    fill="none"
+                    stroke={LINK_COLORS[kind]}
+                    strokeWidth={2}
+                    strokeDasharray={kind === 'violated' ? '4 3' : undefined}
+                    markerEnd={`url(#gva-arrow-${kind})`}
+                  />
+                );
+              })}
+            </svg>
+          )}
         </div>
       </div>
     </div>
@@ -20,6 +20,12 @@ import PDFPagePopup from './components/PDFPagePopup.jsx';
 
 import GanttCanvas from './components/GanttCanvas.jsx';
 import { parseCroatianCommand } from './parser/parseCroatianCommand.js';
+import { actionsFromParsedCommand, createVoiceAction } from '../../../utils/voiceActions.js';
+import { normalizeDependency, pushSuccessors } from '../../../utils/ganttScheduler.js';
+import { getWorkCalendar, DURATION_UNITS } from '../../../utils/workCalendar.js';
+import { resolveNormativeProfile } from '../../../utils/processTemplates.js';
+import { pickBaseline, getBaselineDates } from '../../../utils/planBaselines.js';
+import ProjectDataService from '../../../services/ProjectDataService.js';
 import DocumentService from '../../../services/DocumentService.js';
 
 
@@ -41,8 +47,6 @@ function parseJsonSafe(text) {
 // --- Date helpers (UTC safe) ---
 const ymd = (d) => d.toISOString().slice(0, 10);
 const fromYmd = (s) => new Date(`${s}T00:00:00Z`);
-const addDays = (s, n) => { if (!s) return s; const d = fromYmd(s); d.setUTCDate(d.getUTCDate() + n); return ymd(d); };
-const diffDays = (a, b) => { if (!a || !b) return 0; const d1 = fromYmd(a), d2 = fromYmd(b); return Math.round((d2 - d1) / (1000*60*60*24)); };
 const rangeDays = (from, to) => { if (!from || !to) return []; const out=[]; let cur=fromYmd(from), end=fromYmd(to); while(cur<=end){ out.push(ymd(cur)); cur.setUTCDate(cur.getUTCDate()+1);} return out; };
 
 // --- Normative helpers ---
@@ -62,7 +66,7 @@ function computeNormativeDurations(profile, pozicije) {
 
   pozicije.forEach((p) => {
     const name = (p?.naziv || '').toLowerCase();
-    const curDur = Math.max(1, (diffDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka) || 0) + 1);
+    const curDur = Math.max(1, getWorkCalendar().countWorkDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka));
 
     let d1;
     if (/staklo/.test(name)) d1 = 3;
@@ -108,25 +112,23 @@ const addGhostActionsBatched = (ghosts, setPendingActions, batchSize = 3) => {
 // --- Ghost builders (grupirane akcije) ---
 function buildGhostActionsForNormative(profile, { pozicije, aliasByLine }) {
   const groupId = `norm-${profile}-${Date.now()}`;
+  const calendar = getWorkCalendar();
+  // Normativ iz knjižnice predložaka: raspon pomaka po liniji, inače fiksni pomak
+  const normative = resolveNormativeProfile(profile);
   
   return pozicije.map(p => {
     const currentStart = p.montaza.datum_pocetka;
     const currentEnd = p.montaza.datum_zavrsetka;
     
-    let startShift, endShift;
+    let startShift = 0;
+    let endShift = 0;
     
-    if (profile === 1) {
-      // NORMATIV 1: početak +1 do +2 dana, kraj +1 do +4 dana
-      startShift = seededRandom(`${p.id}-start`, 1, 2);
-      endShift = seededRandom(`${p.id}-end`, 1, 4);
-    } else if (profile === 2) {
-      // NORMATIV 2: početak +1 do +5 dana, kraj +4 do +8 dana  
-      startShift = seededRandom(`${p.id}-start`, 1, 5);
-      endShift = seededRandom(`${p.id}-end`, 4, 8);
-    } else {
-      // Default: no change
-      startShift = 0;
-      endShift = 0;
+    if (normative?.ranges) {
+      startShift = seededRandom(`${p.id}-start`, ...normative.ranges.start);
+      endShift = seededRandom(`${p.id}-end`, ...normative.ranges.end);
+    } else if (normative) {
+      startShift = normative.offsets.start_days;
+      endShift = normative.offsets.end_days;
     }
     
     return {
@@ -135,34 +137,37 @@ function buildGhostActionsForNormative(profile, { pozicije, aliasByLine }) {
       type: 'set_range',
       lineId: p.id,
       alias: aliasByLine[p.id] || p.id,
-      start: addDays(currentStart, startShift),
-      end: addDays(currentEnd, endShift)
+      // Normativi se računaju u radnim danima
+      start: calendar.shiftDate(currentStart, startShift, DURATION_UNITS.WORK_DAYS),
+      end: calendar.shiftDate(currentEnd, endShift, DURATION_UNITS.WORK_DAYS)
     };
   });
 }
 
 function buildGhostActionsForShiftAll(days, { pozicije, aliasByLine }) {
   const groupId = `shiftall-${days}-${Date.now()}`;
+  const calendar = getWorkCalendar();
   return pozicije.map(p => ({
     id: `${groupId}-${p.id}`,
     client_action_id: groupId,
     type: 'set_range',
     lineId: p.id,
     alias: aliasByLine[p.id] || p.id,
-    start: addDays(p.montaza.datum_pocetka, days),
-    end: addDays(p.montaza.datum_zavrsetka, days)
+    // Pomak u radnim danima, kao u GanttAgentu
+    ...calendar.shiftRange(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka, days)
   }));
 }
 
 function buildGhostActionsForDistributeChain({ pozicije, aliasByLine }) {
   const groupId = `chain-${Date.now()}`;
+  const calendar = getWorkCalendar();
   const arr = [...pozicije].sort((a,b)=> (a.montaza.datum_pocetka||'').localeCompare(b.montaza.datum_pocetka||''));  
   const list = [];
   for (let i=0;i<arr.length;i++) {
     const p = arr[i];
-    const dur = Math.max(0, diffDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka));
-    const newStart = i === 0 ? p.montaza.datum_pocetka : addDays(arr[i-1].montaza.datum_zavrsetka, 1);
-    const newEnd = addDays(newStart, dur);
+    const workDays = calendar.countWorkDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka);
+    const newStart = i === 0 ? p.montaza.datum_pocetka : calendar.shiftDate(arr[i-1].montaza.datum_zavrsetka, 1, DURATION_UNITS.WORK_DAYS);
+    const newEnd = calendar.endAfterWorkDays(newStart, workDays);
     list.push({
       id: `${groupId}-${p.id}`,
       client_action_id: groupId,
@@ -216,6 +221,10 @@ const loadProdajaData = async () => {
       pozicije: prodajaProcesses.map((item, index) => ({
         id: item.uniqueId,
         naziv: `${item.project.name} - ${item.pozicija.title}`,
+        // Veze prema prodaji drugih pozicija istog projekta, kao id-jevi linija
+        dependencies: (item.process.dependencies || []).map(normalizeDependency).filter(Boolean)
+          .filter(d => d.from.endsWith('/Prodaja'))
+          .map(d => ({ ...d, from: `${item.project.id}-${d.from.slice(0, d.from.lastIndexOf('/'))}-PRODAJA` })),
         montaza: {
           opis: `Prodaja za ${item.pozicija.title} (${item.project.client?.name || 'N/A'})`,
           osoba: item.process.owner?.name || "Nepoznato",
@@ -230,7 +239,9 @@ const loadProdajaData = async () => {
           // Metadata for voice modification
           projectId: item.project.id,
           pozicijaId: item.pozicija.id,
-          clientName: item.project.client?.name
+          clientName: item.project.client?.name,
+          // Osnovni plan za sjenu ispod trake
+          baseline: getBaselineDates(pickBaseline(item.project), item.pozicija.id, item.process.name)
         }
       })),
       metadata: {
@@ -585,9 +596,9 @@ export default function GVAv2() {
     if(t==='shift') {
       const aliases = Array.isArray(p.alias) ? p.alias : [p.alias];
       const label = aliases.filter(Boolean).map(a=>String(a).toUpperCase()).join(', ');
-      return `Pomakni ${label} za ${p.days} dana`;
+      return `Pomakni ${label} za ${p.days} radnih dana`;
     }
-    if(t==='shift_all') return `Pomakni sve za ${p.days} dana`;
+    if(t==='shift_all') return `Pomakni sve za ${p.days} radnih dana`;
     if(t==='distribute_chain') return 'Rasporedi pocetke sa krajevima';
     if(t==='normative_extend') return `Produï¿½i trajanje po normativu (+${p.days} dana)`;
     if(t==='add_task_open') return 'Otvori modal za zadatak';
@@ -613,7 +624,7 @@ export default function GVAv2() {
         try { const pos=(ganttJson?.pozicije||[]).find(p=>p.id===lineId); const curStart=pos?.montaza?.datum_pocetka; if(curStart&&Number.isFinite(params.days)){ const d=new Date(curStart+'T00:00:00Z'); d.setUTCDate(d.getUTCDate()+params.days); const iso=d.toISOString().slice(0,10); setPendingActions(q=>[{ id:`${Date.now()}`, type:'move_start', alias:aliasKey, lineId, iso }, ...q].slice(0,5)); } } catch {}
       });
     } else if (tool === 'apply_normative') {
-      const profile = Number(params?.profile) || 1;
+      const profile = params?.profile || 1;
       const ghosts = buildGhostActionsForNormative(profile, { 
         pozicije: ganttJson?.pozicije || [], 
         aliasByLine: lineByAlias 
@@ -761,6 +772,93 @@ export default function GVAv2() {
     setFallbackOpen(false); setSuperFocus(false);
     log(`? Pokrecem alat: ${tool}`);
   }, [ganttJson, lineByAlias]);
+  // Kanonske akcije { type, targets, params } (utils/voiceActions.js) u red čekanja za pregled
+  const queueVoiceActions = useCallback((actions) => {
+    const newPendingActions = [];
+
+    // Process each action (usually one, but supports multiple)
+    for (const action of actions) {
+        const { type, targets, params, client_action_id } = action;
+
+        // 1. Global actions (shift_all...)
+        if (['shift_all', 'distribute_chain', 'normative_extend'].includes(type)) {
+            newPendingActions.push({
+                id: client_action_id,
+                client_action_id,
+                type: type,
+                params: params,
+                // Preview mapping
+                days: params.days 
+            });
+            continue;
+        }
+
+        // 2. Targeted actions (Batch - e.g., "KIA7 and 334")
+        // API returns normalized targets (e.g., ["KIA7", "334"])
+        for (const targetAliasNormalized of targets) {
+            const lineId = lineByAlias[targetAliasNormalized];
+            if (!lineId) {
+                log(`Nepoznat alias: ${targetAliasNormalized}`);
+                continue;
+            }
+            
+            // Get original alias for display (e.g., "KIA 7")
+            const displayAlias = aliasByLine[lineId] || targetAliasNormalized;
+
+            const pendingAction = {
+                id: `${client_action_id}-${targetAliasNormalized}`, // Unique ID for frontend
+                client_action_id, // Group ID (for batch confirmation)
+                type: type,
+                alias: displayAlias,
+                lineId: lineId,
+                params: params,
+            };
+
+            // Parameter mapping for PREVIEW (Ghost)
+            if (type === 'set_status') {
+                pendingAction.status = params.status;
+            } else if (type === 'move_start' || type === 'set_start' || type === 'move_end' || type === 'set_end') {
+                pendingAction.iso = params.date;
+            } else if (type === 'set_range') {
+                pendingAction.start = params.start;
+                pendingAction.end = params.end;
+            } else if (type === 'set_duration') {
+                pendingAction.days = params.duration_days;
+            } else if (type === 'shift') {
+                // Handle 'shift' - calculate new date for PREVIEW
+                try {
+                    const pos = (ganttJson?.pozicije || []).find(p => p.id === lineId);
+                    const curStart = pos?.montaza?.datum_pocetka;
+                    if (curStart && Number.isFinite(params.days)) {
+                        const range = getWorkCalendar().shiftRange(curStart, pos.montaza.datum_zavrsetka, params.days);
+                        // Set ISO for GanttCanvas ghost preview
+                        pendingAction.iso = range.start; 
+                        // Also calculate end for more complete preview
+                        pendingAction.endIso = range.end;
+                    }
+                } catch (e) {
+                    continue;
+                }
+            }
+
+            newPendingActions.push(pendingAction);
+        }
+    }
+
+    if (newPendingActions.length > 0) {
+        // Add all new actions to the queue
+        setPendingActions(q => [...newPendingActions, ...q]);
+    }
+    return newPendingActions.length;
+  }, [ganttJson, lineByAlias, aliasByLine, log]);
+  // Naredba lokalnog parsera ide u red u istom obliku kao akcije s /api/gva/voice-intent
+  const queueParsedCommand = useCallback((parsed) => {
+    const stamp = Date.now();
+    const actions = actionsFromParsedCommand(parsed)
+      .map((action, i) => createVoiceAction(action, { id: `local_${stamp}_${i}` }));
+    if (actions.length) queueVoiceActions(actions);
+    return actions.length > 0;
+  }, [queueVoiceActions]);
   // Load persisted settings
   useEffect(() => {
     try {
@@ -787,14 +885,19 @@ export default function GVAv2() {
     if (!mod) return; const cur = JSON.parse(JSON.stringify(ganttJson)); cur.metadata.modified = new Date().toISOString();
     const i = cur.pozicije.findIndex(p=>p.id===mod.pozicija_id); if (i!==-1) { const p = cur.pozicije[i];
       switch(mod.operation){
-        case 'shift_date': p.montaza.datum_pocetka = addDays(p.montaza.datum_pocetka, mod.days); p.montaza.datum_zavrsetka = addDays(p.montaza.datum_zavrsetka, mod.days); break;
+        case 'shift_date': {
+          // Pomak u radnim danima uz isto trajanje u radnim danima
+          const range = getWorkCalendar().shiftRange(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka, mod.days);
+          p.montaza.datum_pocetka = range.start;
+          p.montaza.datum_zavrsetka = range.end;
+          break;
+        }
         case 'set_start': {
-          const prevDur = diffDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka) || 0;
+          // Pomak početka čuva trajanje u radnim danima
+          const calendar = getWorkCalendar();
+          const prevWorkDays = calendar.countWorkDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka);
           p.montaza.datum_pocetka = mod.newStart;
-          if (prevDur >= 0) {
-            const newEnd = addDays(mod.newStart, prevDur);
-            p.montaza.datum_zavrsetka = newEnd;
-          }
+          p.montaza.datum_zavrsetka = calendar.endAfterWorkDays(mod.newStart, prevWorkDays);
           break;
         }
         case 'move_end': {
@@ -809,20 +912,37 @@ export default function GVAv2() {
         case 'set_duration': {
           const currentStart = p.montaza.datum_pocetka;
           if (currentStart && Number.isFinite(mod.days)) {
-            p.montaza.datum_zavrsetka = addDays(currentStart, mod.days - 1);
+            p.montaza.datum_zavrsetka = getWorkCalendar().endAfterWorkDays(currentStart, mod.days);
           }
           break;
         }
+        case 'set_status': p.montaza.status = mod.status; break;
         case 'update_person': p.montaza.osoba = mod.new_value; break;
         default: break;
       }
+      // Pomak linije gura njezine sljedbenike (datum završetka je uključiv)
+      const links = cur.pozicije.flatMap(x => (x.dependencies || []).map(d => ({ ...d, to: x.id })));
+      if (!['update_person', 'set_status'].includes(mod.operation) && links.some(l => l.from === p.id)) {
+        try {
+          const tasks = cur.pozicije.map(x => ({ id: x.id, start: x.montaza.datum_pocetka, end: x.montaza.datum_zavrsetka }));
+          pushSuccessors(tasks, links, p.id, { start: p.montaza.datum_pocetka, end: p.montaza.datum_zavrsetka }, { endInclusive: true, calendar: getWorkCalendar() })
+            .slice(1)
+            .forEach(c => {
+              const line = cur.pozicije.find(x => x.id === c.id);
+              line.montaza.datum_pocetka = c.start;
+              line.montaza.datum_zavrsetka = c.end;
+            });
+        } catch (err) {
+          console.warn('Successors not pushed:', err.message);
+        }
+      }
     }
     const nh = jsonHistory.slice(0, historyIndex+1); nh.push(cur); setJsonHistory(nh); setHistoryIndex(nh.length-1);
   }, [ganttJson, jsonHistory, historyIndex]);
   const canUndo = historyIndex>0, canRedo = historyIndex<jsonHistory.length-1;
   const onUndo = () => { if (canUndo) setHistoryIndex(historyIndex-1); };
   const onRedo = () => { if (canRedo) setHistoryIndex(historyIndex+1); };
-  const activeLine = useMemo(()=>{ const p = ganttJson.pozicije.find(x=>x.id===activeLineId); if(!p) return null; return { id:p.id, pozicija_id:p.id, label:p.naziv, start:p.montaza.datum_pocetka, end:p.montaza.datum_zavrsetka, duration_days: diffDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka)+1, osoba:p.montaza.osoba, opis:p.montaza.opis }; }, [activeLineId, ganttJson]);
+  const activeLine = useMemo(()=>{ const p = ganttJson.pozicije.find(x=>x.id===activeLineId); if(!p) return null; return { id:p.id, pozicija_id:p.id, label:p.naziv, start:p.montaza.datum_pocetka, end:p.montaza.datum_zavrsetka, duration_days: getWorkCalendar().countWorkDays(p.montaza.datum_pocetka, p.montaza.datum_zavrsetka), osoba:p.montaza.osoba, opis:p.montaza.opis }; }, [activeLineId, ganttJson]);
   // Voice recognition (browser Web Speech API)
   useEffect(() => {
     if (!agent.isListening) return;
@@ -840,6 +960,8 @@ export default function GVAv2() {
         if (res.isFinal) finalText += res[0].transcript; else interim += res[0].transcript;
       }
       if (interim) { 
+        // Barge-in: korisnik govori dok se čita odgovor, prekini govor
+        if (window.speechSynthesis?.speaking) window.speechSynthesis.cancel();
         agent.setTranscript(interim);
         // Log live transcript
         if (interim.trim()) {
@@ -1032,7 +1154,7 @@ export default function GVAv2() {
                 alias: Object.keys(lineByAlias).find(key => lineByAlias[key] === pos.id) || null,
                 datum_pocetka: pos.montaza.datum_pocetka,
                 datum_zavrsetka: pos.montaza.datum_zavrsetka,
-                trajanje_dana: diffDays(pos.montaza.datum_pocetka, pos.montaza.datum_zavrsetka) + 1,
+                trajanje_dana: getWorkCalendar().countWorkDays(pos.montaza.datum_pocetka, pos.montaza.datum_zavrsetka),
                 osoba: pos.montaza.osoba,
                 opis: pos.montaza.opis,
                 status: pos.status || 'aktivna'
@@ -1096,82 +1218,7 @@ export default function GVAv2() {
               // === KEY CHANGE: Structured response handling (MEGA SPEC Section 9) ===
               if (j?.type === 'actions' && Array.isArray(j.actions) && j.actions.length > 0) {
                 
-                const newPendingActions = [];
-
-                // Process each action returned by API (usually one, but supports multiple)
-                for (const apiAction of j.actions) {
-                    const { type, targets, params, client_action_id } = apiAction;
-
-                    // 1. Global actions (shift_all...)
-                    if (['shift_all', 'distribute_chain', 'normative_extend'].includes(type)) {
-                        newPendingActions.push({
-                            id: client_action_id,
-                            client_action_id,
-                            type: type,
-                            params: params,
-                            // Preview mapping
-                            days: params.days 
-                        });
-                        continue;
-                    }
-
-                    // 2. Targeted actions (Batch - e.g., "KIA7 and 334")
-                    // API returns normalized targets (e.g., ["KIA7", "334"])
-                    for (const targetAliasNormalized of targets) {
-                        const lineId = lineByAlias[targetAliasNormalized];
-                        if (!lineId) {
-                            log(`[API] Warning: Unknown normalized alias: ${targetAliasNormalized}`);
-                            continue;
-                        }
-                        
-                        // Get original alias for display (e.g., "KIA 7")
-                        const displayAlias = aliasByLine[lineId] || targetAliasNormalized;
-
-                        const pendingAction = {
-                            id: `${client_action_id}-${targetAliasNormalized}`, // Unique ID for frontend
-                            client_action_id, // Group ID (for batch confirmation)
-                            type: type,
-                            alias: displayAlias,
-                            lineId: lineId,
-                            params: params,
-                        };
-
-                        // Parameter mapping for PREVIEW (Ghost)
-                        if (type === 'set_status') {
-                            pendingAction.status = params.status;
-                        } else if (type === 'move_start' || type === 'set_start' || type === 'move_end' || type === 'set_end') {
-                            pendingAction.iso = params.date;
-                        } else if (type === 'set_range') {
-                            pendingAction.start = params.start;
-                            pendingAction.end = params.end;
-                        } else if (type === 'set_duration') {
-                            pendingAction.days = params.duration_days;
-                        } else if (type === 'shift') {
-                            // Handle 'shift' - calculate new date for PREVIEW
-                            try {
-                                const pos = (ganttJson?.pozicije || []).find(p => p.id === lineId);
-                                const curStart = pos?.montaza?.datum_pocetka;
-                                if (curStart && Number.isFinite(params.days)) {
-                                    const duration = diffDays(pos.montaza.datum_pocetka, pos.montaza.datum_zavrsetka) || 0;
-                                    const newStart = addDays(curStart, params.days);
-                                    // Set ISO for GanttCanvas ghost preview
-                                    pendingAction.iso = newStart; 
-                                    // Also calculate end for more complete preview
-                                    pendingAction.endIso = addDays(newStart, duration);
-                                }
-                            } catch (e) {
-                                continue;
-                            }
-                        }
-
-                        newPendingActions.push(pendingAction);
-                    }
-                }
-
-                if (newPendingActions.length > 0) {
-                    // Add all new actions to the queue
-                    setPendingActions(q => [...newPendingActions, ...q]);
-                }
+                queueVoiceActions(j.actions);
                 return; // Successfully processed
               }
 
@@ -1186,44 +1233,12 @@ export default function GVAv2() {
                     aliasByLine: lineByAlias 
                   });
                   addGhostActionsBatched(ghosts, setPendingActions);
-                } else if (parsed.type === 'shift_all') {
-                  const ghosts = buildGhostActionsForShiftAll(parsed.days || 1, { 
-                    pozicije: ganttJson?.pozicije || [], 
-                    aliasByLine: lineByAlias 
-                  });
-                  addGhostActionsBatched(ghosts, setPendingActions);
-                } else if (parsed.type === 'distribute_chain') {
-                  const ghosts = buildGhostActionsForDistributeChain({ 
-                    pozicije: ganttJson?.pozicije || [], 
-                    aliasByLine: lineByAlias 
-                  });
-                  addGhostActionsBatched(ghosts, setPendingActions);
-                } else if (parsed.type === 'batch_operations') {
-                  // Handle multiple operations from batch command
-                  log(`🔄 Batch operacija: ${parsed.operations.length} akcija`);
-                  const batchActions = parsed.operations.map((op, idx) => {
-                    const pos = (ganttJson?.pozicije || []).find(p => p.id === op.lineId);
-                    const curStart = pos?.montaza?.datum_pocetka;
-                    if (curStart && Number.isFinite(op.days)) {
-                      const target = addDays(curStart, op.days);
-                      return { 
-                        id: `batch-${Date.now()}-${idx}`, 
-                        type: 'move_start', 
-                        alias: op.alias, 
-                        lineId: op.lineId, 
-                        iso: target 
-                      };
-                    }
-                    return null;
-                  }).filter(Boolean);
-                  
-                  addGhostActionsBatched(batchActions, setPendingActions);
                 } else if (parsed.type === 'extend_all_duration') {
                   // Extend duration of all positions by N days
-                  log(`⏰ Produžavam trajanje svih pozicija za ${parsed.days} dana`);
+                  log(`⏰ Produžavam trajanje svih pozicija za ${parsed.days} radnih dana`);
                   const extendActions = (ganttJson?.pozicije || []).map((pos, idx) => {
                     const currentEnd = pos.montaza.datum_zavrsetka;
-                    const newEnd = addDays(currentEnd, parsed.days);
+                    const newEnd = getWorkCalendar().shiftDate(currentEnd, parsed.days, DURATION_UNITS.WORK_DAYS);
                     const alias = Object.keys(lineByAlias).find(key => lineByAlias[key] === pos.id) || pos.id;
                     return {
                       id: `extend-${Date.now()}-${idx}`,
@@ -1256,12 +1271,9 @@ export default function GVAv2() {
                     });
                   
                   addGhostActionsBatched(unfinishedActions, setPendingActions);
-                } else {
-                  let normalized = { id: `${Date.now()}`, type: parsed.type, alias: parsed.alias, lineId: parsed.lineId, iso: parsed.iso };
-                  if (parsed.type === 'shift') {
-                    try { const pos=(ganttJson?.pozicije||[]).find(p=>p.id===parsed.lineId); const curStart=pos?.montaza?.datum_pocetka; if(curStart&&Number.isFinite(parsed.days)){ const target=addDays(curStart, parsed.days); normalized={ id:`${Date.now()}`, type:'move_start', alias:parsed.alias, lineId:parsed.lineId, iso:target }; } } catch {}
-                  } else if (parsed.type === 'normative_extend') { normalized = { id:`${Date.now()}`, type:'normative_extend', days: parsed.days }; }
-                  setPendingActions((q) => [normalized, ...q].slice(0, 5));
+                } else if (!queueParsedCommand(parsed)) {
+                  // Pomaci i globalne naredbe idu u red kao kanonske akcije (actionsFromParsedCommand)
+                  log(`Naredba "${parsed.type}" ne mijenja plan`);
                 }
               } else {
                 log(`Naredba nije prepoznata: "${t}"`);
@@ -1270,10 +1282,7 @@ export default function GVAv2() {
               try { log(`[API:ERR] voice-intent: ${err?.message || String(err)}`); } catch {}
               // On endpoint/network error → try local parser
               const parsed = parseCroatianCommand(t, { aliasToLine: lineByAlias, defaultYear: Number(year) });
-              if (parsed) {
-                const normalized = { id: `${Date.now()}`, type: parsed.type, alias: parsed.alias, lineId: parsed.lineId, iso: parsed.iso };
-                setPendingActions((q) => [normalized, ...q].slice(0, 5));
-              } else {
+              if (!parsed || !queueParsedCommand(parsed)) {
                 log(`Naredba nije prepoznata: "${t}"`);
               }
             }
@@ -1350,7 +1359,7 @@ export default function GVAv2() {
                 const pos = (ganttJson?.pozicije || []).find(p => p.id === parsed.lineId);
                 const curStart = pos?.montaza?.datum_pocetka;
                 if (curStart && Number.isFinite(parsed.days)) {
-                  const target = addDays(curStart, parsed.days);
+                  const target = getWorkCalendar().shiftDate(curStart, parsed.days, DURATION_UNITS.WORK_DAYS);
                   normalized = { id: `${Date.now()}`, type: 'move_start', alias: parsed.alias, lineId: parsed.lineId, iso: target };
                 }
               } catch {}
@@ -1425,31 +1434,37 @@ export default function GVAv2() {
   async function persistQueuedChanges() {
     if (!pendingPatches.length) return;
     try {
-      // Attempt persistence via ProjectDataService if available in runtime
-      const svcMod = await import('../../../store/ProjectDataService.js').catch(() => null);
-      if (svcMod && svcMod.default) {
-        const svc = new svcMod.default();
-        for (const p of pendingPatches) {
-          // This demo lacks mapping to unified schema. Best effort: find any active project containing positionId
-          const data = await svc.loadAllProjects();
-          let foundProjIndex = -1, foundPosIndex = -1, projId = null;
-          if (Array.isArray(data?.projects)) {
-            for (let i=0;i<data.projects.length;i++) {
-              const posIndex = (data.projects[i].positions||[]).findIndex(pos=>pos.id===p.positionId);
-              if (posIndex!==-1) { foundProjIndex=i; foundPosIndex=posIndex; projId = data.projects[i].id; break; }
-            }
+      // Trenutni datumi izmijenjenih linija, po projektu, kao glasovna izmjena u povijesti projekta
+      const svc = new ProjectDataService();
+      const byProject = new Map();
+      const statusLines = new Set(pendingPatches.filter(p => p.type === 'setStatus').map(p => p.positionId));
+      new Set(pendingPatches.map(p => p.positionId)).forEach(lineId => {
+        const line = ganttJson.pozicije.find(x => x.id === lineId);
+        const { projectId, pozicijaId } = line?.montaza || {};
+        if (!projectId || !pozicijaId) return;
+        if (!byProject.has(projectId)) byProject.set(projectId, []);
+        byProject.get(projectId).push({
+          positionId: pozicijaId,
+          processName: 'Prodaja',
+          updates: {
+            plannedStart: line.montaza.datum_pocetka,
+            plannedEnd: line.montaza.datum_zavrsetka,
+            ...(statusLines.has(lineId) ? { status: line.montaza.status } : {})
           }
-          if (foundProjIndex!==-1) {
-            const ptr = `/projects/${foundProjIndex}/positions/${foundPosIndex}/processes/0/plannedStart`;
-            await svc.savePartialUpdate([{ op:'replace', path: ptr, value: p.newStart }]);
-          }
-        }
+        });
+      });
+      for (const [projectId, changes] of byProject) {
+        await svc.updateProcessesInPositions(projectId, changes, {
+          source: 'voice',
+          title: 'Glasovna izmjena plana',
+          details: [...new Set(pendingPatches.map(p => `${p.alias || p.positionId}: ${p.type}`))].join(', ')
+        });
       }
       setPendingPatches([]);
-      log('âœ… Spremanje promjena dovrÅ¡eno');
+      log('✅ Spremanje promjena dovršeno');
     } catch (e) {
       console.warn('Persist queued changes failed (demo environment):', e?.message);
-      log('âš ï¸  Spremanje promjena nije uspjelo (demo)');
+      log('⚠️  Spremanje promjena nije uspjelo (demo)');
     }
   }
   const confirmAction = async (action) => {
@@ -1536,13 +1551,19 @@ export default function GVAv2() {
       // Handle global actions immediately
       if (action.type === 'shift_all' || action.type === 'distribute_chain' || action.type === 'normative_extend') {
         let cur = JSON.parse(JSON.stringify(ganttJson));
+        const calendar = getWorkCalendar();
         if (action.type === 'shift_all') {
-          cur.pozicije.forEach(p => { p.montaza.datum_pocetka = addDays(p.montaza.datum_pocetka, action.days); p.montaza.datum_zavrsetka = addDays(p.montaza.datum_zavrsetka, action.days); });
+          // Normativni profil pomiče samo početak ili kraj, u jedinici iz sheme (calendar_days | work_days); zadano radni dani
+          const shift = (date) => calendar.shiftDate(date, action.days, action.unit || DURATION_UNITS.WORK_DAYS);
+          cur.pozicije.forEach(p => {
+            if (action.field !== 'end') p.montaza.datum_pocetka = shift(p.montaza.datum_pocetka);
+            if (action.field !== 'start') p.montaza.datum_zavrsetka = shift(p.montaza.datum_zavrsetka);
+          });
         } else if (action.type === 'distribute_chain') {
           const arr = cur.pozicije.slice().sort((a,b)=> (a.montaza.datum_pocetka||'').localeCompare(b.montaza.datum_pocetka||''));
-          for (let i=1;i<arr.length;i++) { const prev = arr[i-1].montaza; const p = arr[i].montaza; const dur = diffDays(p.datum_pocetka, p.datum_zavrsetka) || 0; const newStart = addDays(prev.datum_zavrsetka, 1); p.datum_pocetka = newStart; p.datum_zavrsetka = addDays(newStart, dur); }
+          for (let i=1;i<arr.length;i++) { const prev = arr[i-1].montaza; const p = arr[i].montaza; const workDays = calendar.countWorkDays(p.datum_pocetka, p.datum_zavrsetka); const newStart = calendar.shiftDate(prev.datum_zavrsetka, 1, DURATION_UNITS.WORK_DAYS); p.datum_pocetka = newStart; p.datum_zavrsetka = calendar.endAfterWorkDays(newStart, workDays); }
         } else if (action.type === 'normative_extend') {
-          cur.pozicije.forEach(p => { p.montaza.datum_zavrsetka = addDays(p.montaza.datum_zavrsetka, action.days || 2); });
+          cur.pozicije.forEach(p => { p.montaza.datum_zavrsetka = calendar.shiftDate(p.montaza.datum_zavrsetka, action.days || 2, DURATION_UNITS.WORK_DAYS); });
         }
         const nh = jsonHistory.slice(0, historyIndex+1); nh.push(cur); setJsonHistory(nh); setHistoryIndex(nh.length-1);
         // Mark processing and skip the single-line path
@@ -1584,6 +1605,8 @@ export default function GVAv2() {
         updateGanttJson({ operation: 'set_range', pozicija_id: action.lineId, start: action.start, end: action.end });
       } else if (action.type === 'set_duration') {
         updateGanttJson({ operation: 'set_duration', pozicija_id: action.lineId, days: action.days });
+      } else if (action.type === 'set_status') {
+        updateGanttJson({ operation: 'set_status', pozicija_id: action.lineId, status: action.status });
       } else {
         // Fallback for unknown types (move_start)
         updateGanttJson({ operation: 'set_start', pozicija_id: action.lineId, newStart: action.iso });
@@ -1598,11 +1621,13 @@ export default function GVAv2() {
         patchData = { type: 'setRange', positionId: action.lineId, start: action.start, end: action.end };
       } else if (action.type === 'set_duration') {
         patchData = { type: 'setDuration', positionId: action.lineId, days: action.days };
+      } else if (action.type === 'set_status') {
+        patchData = { type: 'setStatus', positionId: action.lineId, status: action.status };
       } else {
         // Fallback for unknown types
         patchData = { type: 'setStart', positionId: action.lineId, newStart: action.iso };
       }
-      setPendingPatches((p) => [patchData, ...p]);
+      setPendingPatches((p) => [{ ...patchData, alias: action.alias }, ...p]);
     }, 900);
     
     setTimeout(()=>{ 
@@ -2050,7 +2075,7 @@ export default function GVAv2() {
                       alias: Object.keys(lineByAlias).find(key => lineByAlias[key] === pos.id) || null,
                       datum_pocetka: pos.montaza.datum_pocetka,
                       datum_zavrsetka: pos.montaza.datum_zavrsetka,
-                      trajanje_dana: diffDays(pos.montaza.datum_pocetka, pos.montaza.datum_zavrsetka) + 1,
+                      trajanje_dana: getWorkCalendar().countWorkDays(pos.montaza.datum_pocetka, pos.montaza.datum_zavrsetka),
                       osoba: pos.montaza.osoba,
                       opis: pos.montaza.opis,
                       status: pos.status || 'aktivna'
@@ -2107,44 +2132,14 @@ export default function GVAv2() {
                       return;
                     }
                     if (j?.type === 'actions' && Array.isArray(j.actions)) {
-                      for (const a of j.actions) {
-                        if (a.type === 'move_start') {
-                          runSuggestion({ tool: 'move_start', params: { alias: a.alias, date: a.iso } });
-                        } else if (a.type === 'shift') {
-                          runSuggestion({ tool: 'shift', params: { alias: a.alias, days: a.days } });
-                        } else if (a.type === 'apply_normative') {
-                          const ghosts = buildGhostActionsForNormative(a.profile || 1, { 
-                            pozicije: ganttJson?.pozicije || [], 
-                            aliasByLine: lineByAlias 
-                          });
-                          addGhostActionsBatched(ghosts, setPendingActions);
-                        } else if (a.type === 'shift_all') {
-                          const ghosts = buildGhostActionsForShiftAll(a.days || 1, { 
-                            pozicije: ganttJson?.pozicije || [], 
-                            aliasByLine: lineByAlias 
-                          });
-                          addGhostActionsBatched(ghosts, setPendingActions);
-                        } else if (a.type === 'distribute_chain') {
-                          const ghosts = buildGhostActionsForDistributeChain({ 
-                            pozicije: ganttJson?.pozicije || [], 
-                            aliasByLine: lineByAlias 
-                          });
-                          addGhostActionsBatched(ghosts, setPendingActions);
-                        } else if (a.type === 'normative_extend') {
-                          runSuggestion({ tool: 'normative_extend', params: { days: a.days } });
-                        } else if (a.type === 'add_task_open' || a.type === 'image_popup') {
-                          runSuggestion({ tool: a.type, params: {} });
-                        }
-                      }
+                      // Kanonske akcije { type, targets, params } (utils/voiceActions.js), od LLM-a ili parsera
+                      queueVoiceActions(j.actions);
                       return;
                     }
 
                     // Fallback to local parser if no tool calls
                     const parsed = parseCroatianCommand(cmd, { aliasToLine: lineByAlias, defaultYear });
-                    if (parsed) {
-                      const action = { id: `${Date.now()}`, type: parsed.type, alias: parsed.alias, lineId: parsed.lineId, iso: parsed.iso };
-                      setPendingActions((q) => [action, ...q].slice(0, 5));
-                    } else {
+                    if (!parsed || !queueParsedCommand(parsed)) {
                       log(`Naredba nije prepoznata: "${cmd}"`);
                     }
                   } catch (err) {
@@ -2152,10 +2147,7 @@ export default function GVAv2() {
                     // Network/endpoint error – fallback to local parser
                     const defaultYear = Number((ganttJson?.pozicije?.[0]?.montaza?.datum_pocetka || '2025-01-01').slice(0,4));
                     const parsed = parseCroatianCommand(cmd, { aliasToLine: lineByAlias, defaultYear });
-                    if (parsed) {
-                      const action = { id: `${Date.now()}`, type: parsed.type, alias: parsed.alias, lineId: parsed.lineId, iso: parsed.iso };
-                      setPendingActions((q) => [action, ...q].slice(0, 5));
-                    } else {
+                    if (!parsed || !queueParsedCommand(parsed)) {
                       log(`Naredba nije prepoznata: "${cmd}"`);
                     }
                   }
@@ -8,6 +8,11 @@
 // - { type:'apply_normative', profile }
 // - { type:'open_document', document, page }
 // - { type:'add_task_open' }
+//
+// Normativi (NORMATIV_1, NORMATIV_2, ...) dolaze iz knjižnice predložaka procesa
+// (utils/processTemplates), pa se novi profil prepoznaje po svom izgovorenom nazivu.
+
+import { getProcessTemplates, resolveNormativeProfile } from '../../../../utils/processTemplates.js';
 
 function resolveMonthToken(tok) {
   const m = {
@@ -104,7 +109,7 @@ function parseBatchCommand(text, { aliasToLine = {}, defaultYear }) {
   return null;
 }
 
-export function parseCroatianCommand(text, { aliasToLine = {}, defaultYear }) {
+export function parseCroatianCommand(text, { aliasToLine = {}, defaultYear, templates = getProcessTemplates() }) {
   if (!text) return null;
   const t = String(text).toLowerCase().trim();
   
@@ -189,21 +194,15 @@ export function parseCroatianCommand(text, { aliasToLine = {}, defaultYear }) {
   }
 
   // STRUCTURED NORMATIVE PROFILE APPLICATION (UNIFIED - all variants)
-  const normativeProfile = t.match(/(?:primijeni|primjeni|daj|postavi|koristi|rasporedi\s+procese\s+prema)?\s*(?:prvi\s+|drugi\s+)?normativ(?:u|i)?\s+(jedan|1|dva|2|prvi|drugi)|(?:primijeni|primjeni|daj|postavi|koristi)\s+(?:prvi|drugi)\s+normativ/);
-  if (normativeProfile) {
-    const profileWord = normativeProfile[1] || (t.includes('prvi') ? 'prvi' : 'drugi');
-    const profile = (profileWord === 'jedan' || profileWord === '1' || profileWord === 'prvi') ? 1 : 
-                   (profileWord === 'dva' || profileWord === '2' || profileWord === 'drugi') ? 2 : 1;
-    
-    const profileConfig = profile === 1 
-      ? { start_days: 1, end_days: 3 }
-      : { start_days: 4, end_days: 9 };
-    
+  // "primijeni normativ dva", "daj drugi normativ", "koristi normativ fasada"
+  const normativeProfile = t.match(/(?:primijeni|primjeni|daj|postavi|koristi|rasporedi\s+procese\s+prema)?\s*normativ(?:u|i)?\s+([a-z0-9čćđšž_]+)|(?:primijeni|primjeni|daj|postavi|koristi)\s+([a-z0-9čćđšž]+)\s+normativ/);
+  const normative = normativeProfile && resolveNormativeProfile(normativeProfile[1] || normativeProfile[2], templates);
+  if (normative) {
     return { 
       type: 'apply_normative_profile', 
       profile: {
-        id: `NORMATIV_${profile}`,
-        offsets: profileConfig
+        id: normative.id,
+        offsets: { ...normative.offsets }
       },
       scope: {
         targets: ['PROJECT:*'],
@@ -248,12 +247,10 @@ export function parseCroatianCommand(text, { aliasToLine = {}, defaultYear }) {
   }
 
   // KORIGIRAJ TRAJANJE PREMA NORMATIVU 1/2 (backward compatibility)
-  const normKorigiraj = t.match(/(korigiraj|kori)\s+trajanje\s+prema\s+normativ(u|i)\s+(jedan|1|dva|2)/);
-  if (normKorigiraj) {
-    const profileWord = normKorigiraj[3];
-    const profile = (profileWord === 'jedan' || profileWord === '1') ? 1 : 
-                   (profileWord === 'dva' || profileWord === '2') ? 2 : 1;
-    return { type: 'apply_normative', profile }; // Legacy format
+  const normKorigiraj = t.match(/(korigiraj|kori)\s+trajanje\s+prema\s+normativ(u|i)\s+([a-z0-9čćđšž_]+)/);
+  const legacyNormative = normKorigiraj && resolveNormativeProfile(normKorigiraj[3], templates);
+  if (legacyNormative) {
+    return { type: 'apply_normative', profile: legacyNormative.id }; // Legacy format
   }
 
   // normative_extend (existing - for backward compatibility)
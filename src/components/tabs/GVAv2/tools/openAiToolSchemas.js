@@ -1,3 +1,5 @@
+import { getProcessTemplates } from "../../../../utils/processTemplates.js";
+
 /**
  * OpenAI tool schemas for GVAv2 normative operations
  * Compatible with Responses API and Realtime API
@@ -86,8 +88,7 @@ export const openAiTools = [
   analyzeDocumentTool
 ];
 
-// Normative catalog
-export const normativeProfiles = {
-  NORMATIV_1: { id: "NORMATIV_1", offsets: { start_days: 1, end_days: 3 } },
-  NORMATIV_2: { id: "NORMATIV_2", offsets: { start_days: 4, end_days: 9 } }
-};
\ No newline at end of file
+// Normative catalog: aktivni normativi iz knjižnice predložaka procesa
+export const getNormativeProfiles = () => Object.fromEntries(
+  Object.values(getProcessTemplates().normativeProfiles).map(p => [p.id, { id: p.id, offsets: p.offsets }])
+);
\ No newline at end of file
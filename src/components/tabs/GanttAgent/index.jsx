@@ -9,7 +9,8 @@ import ProcessStagesPanel from './components/ProcessStagesPanel.jsx';
 import JsonHighlighter from './components/JsonHighlighter.jsx';
 import VoiceFocusBanner from './components/VoiceFocusBanner.jsx';
 import MiniGanttActiveLine from './components/MiniGanttActiveLine.jsx';
-import { ymd, fromYmd, addDays, diffDays, rangeDays } from './utils/dateHelpers.js';
+import { ymd, fromYmd, diffDays, rangeDays, workDaysBetween, shiftRange } from './utils/dateHelpers.js';
+import useWorkCalendar from '../../../hooks/useWorkCalendar.js';
 
 // Sample responses for development
 const SAMPLE_RESPONSES = {
@@ -144,7 +145,7 @@ const SAMPLE_RESPONSES = {
 
 
 // Gantt Canvas
-function GanttCanvas({ draft, ganttJson }) {
+function GanttCanvas({ draft, ganttJson, calendar }) {
   const { dateRange, lines = [], activeLineId } = useMemo(() => {
     // Prioritize ganttJson data over legacy draft
     if (ganttJson?.pozicije) {
@@ -157,7 +158,7 @@ function GanttCanvas({ draft, ganttJson }) {
           label: pozicija.naziv,
           start: montaza.datum_pocetka,
           end: montaza.datum_zavrsetka,
-          duration_days: diffDays(montaza.datum_pocetka, montaza.datum_zavrsetka) + 1,
+          duration_days: workDaysBetween(montaza.datum_pocetka, montaza.datum_zavrsetka),
           confirmed: false,
           needs_review: true,
           source: "json_loaded",
@@ -216,9 +217,18 @@ function GanttCanvas({ draft, ganttJson }) {
         <div className="border rounded-xl overflow-hidden h-full flex flex-col">
           <div className="grid" style={{ gridTemplateColumns: `240px repeat(${totalDays}, minmax(24px, 1fr))` }}>
             <div className="bg-gray-50 px-3 py-2 text-xs font-medium sticky left-0 z-10">Pozicija</div>
-            {days.map((d) => (
-              <div key={d} className="bg-gray-50 text-[10px] text-center py-1 border-l last:border-r">{d.slice(5)}</div>
-            ))}
+            {days.map((d) => {
+              const info = calendar.getDayInfo(d);
+              return (
+                <div
+                  key={d}
+                  className={`text-[10px] text-center py-1 border-l last:border-r ${info.workDay ? 'bg-gray-50' : 'bg-gray-200 text-gray-500'}`}
+                  title={info.label || undefined}
+                >
+                  {d.slice(5)}
+                </div>
+              );
+            })}
           </div>
 
           <div className="flex-1 overflow-auto">
@@ -263,7 +273,7 @@ function GanttCanvas({ draft, ganttJson }) {
 }
 
 // Agent Panel
-function AgentPanel({ draft, hasDraft, draftId, activeLineId, linesCount, confirmedLinesCount, lastResponse, state, transcript, isListening, isProcessing, isWaitingConfirmation, isCommitting, error, processStages, onStartListening, onStopListening, onConfirmLine, onCommitDraft, onResetAgent, clearStages, compact=false, textInput, onTextInputChange, onTextSubmit, ganttJson, onApplyJSON, onConfirmActive, onShiftActive, onDemoStages, isJsonLoaded, jsonHistory, historyIndex, canUndo, canRedo, onUndo, onRedo }) {
+function AgentPanel({ draft, hasDraft, draftId, activeLineId, linesCount, confirmedLinesCount, lastResponse, state, transcript, isListening, isProcessing, isWaitingConfirmation, isCommitting, error, processStages, onStartListening, onStopListening, isStreaming, partialTranscript, partialIntent, onStartStreaming, onStopStreaming, onConfirmLine, onCommitDraft, onResetAgent, clearStages, compact=false, textInput, onTextInputChange, onTextSubmit, ganttJson, onApplyJSON, onConfirmActive, onShiftActive, onDemoStages, isJsonLoaded, jsonHistory, historyIndex, canUndo, canRedo, onUndo, onRedo }) {
   const active = draft?.lines?.get?.(draft?.activeLineId);
   const [jsonText, setJsonText] = useState("");
   const [activeTab, setActiveTab] = useState("json-data");
@@ -290,6 +300,13 @@ function AgentPanel({ draft, hasDraft, draftId, activeLineId, linesCount, confir
               {isListening ? "Stop" : "Start"} glas
             </button>
           )}
+          <button
+            className={`px-3 py-2 rounded border flex items-center gap-2 transition-colors ${isStreaming ? 'bg-green-50 border-green-300 text-green-700 hover:bg-green-100' : 'bg-gray-50 border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+            onClick={isStreaming ? onStopStreaming : () => onStartStreaming()}
+            title="Razgovor uživo: recite &quot;agent&quot; i naredbu, zatim &quot;potvrdi&quot; ili &quot;poništi&quot;. Govorom prekidate odgovor agenta."
+          >
+            <AudioLines className="w-4 h-4" /> {isStreaming ? "Završi razgovor" : "Razgovor"}
+          </button>
         </div>
       </div>
       
@@ -304,6 +321,16 @@ function AgentPanel({ draft, hasDraft, draftId, activeLineId, linesCount, confir
               </h3>
             </div>
             <div className="p-4 space-y-3">
+              {/* Djelomični transkript i namjera dok korisnik govori */}
+              {isStreaming && partialTranscript && (
+                <div className="text-sm bg-white border border-gray-200 rounded p-2 text-gray-500 italic">
+                  🎙️ {partialTranscript}
+                  {partialIntent?.kind && partialIntent.kind !== 'none' && (
+                    <span className="ml-2 not-italic px-1.5 py-0.5 bg-gray-100 rounded text-xs text-gray-600">{partialIntent.kind}</span>
+                  )}
+                </div>
+              )}
+
               {/* Agent Response Display */}
               <div className="space-y-2">
                 <div className="text-sm text-gray-600">{lastResponse?.next_prompt || "Od kojeg do kojeg datuma želite montirati sve pozicije?"}</div>
@@ -629,6 +656,7 @@ function AgentPanel({ draft, hasDraft, draftId, activeLineId, linesCount, confir
 export default function GanttAgentTab() {
   // Use project store for current project context
   const { activeProject } = useProjectStore();
+  const { calendar } = useWorkCalendar();
   const projectId = activeProject?.id || 'PRJ-2025-001'; // Fallback project ID
   
   // Initialize Gantt Agent hook with real backend integration
@@ -640,8 +668,13 @@ export default function GanttAgentTab() {
     transcript,
     isListening,
     error,
+    isStreaming,
+    partialTranscript,
+    partialIntent,
     startListening,
     stopListening,
+    startStreaming,
+    stopStreaming,
     processTextCommand,
     confirmLine,
     commitDraft,
@@ -938,7 +971,7 @@ export default function GanttAgentTab() {
         label: pozicija.naziv,
         start: montaza.datum_pocetka,
         end: montaza.datum_zavrsetka,
-        duration_days: diffDays(montaza.datum_pocetka, montaza.datum_zavrsetka) + 1,
+        duration_days: workDaysBetween(montaza.datum_pocetka, montaza.datum_zavrsetka),
         confirmed: false, // Sve su u draft modu
         needs_review: true,
         source: "json_loaded",
@@ -1642,8 +1675,7 @@ export default function GanttAgentTab() {
         case "shift_line":
           const lnToShift = next.lines.get(p.line_id);
           if (lnToShift) {
-            lnToShift.start = addDays(lnToShift.start, p.days || 0);
-            lnToShift.end = addDays(lnToShift.end, p.days || 0);
+            Object.assign(lnToShift, shiftRange(lnToShift.start, lnToShift.end, p.days || 0));
             next.lines.set(lnToShift.id, { ...lnToShift });
           }
           break;
@@ -1728,7 +1760,7 @@ export default function GanttAgentTab() {
       <div className="grid grid-cols-1 xl:grid-cols-12 gap-4">
         {!focusMode && (
           <div className="xl:col-span-7">
-            <GanttCanvas draft={draft} ganttJson={ganttJson} />
+            <GanttCanvas draft={draft} ganttJson={ganttJson} calendar={calendar} />
           </div>
         )}
         <div className={focusMode ? "xl:col-span-12" : "xl:col-span-5"}>
@@ -1750,6 +1782,11 @@ export default function GanttAgentTab() {
             processStages={processStages}
             onStartListening={startListening}
             onStopListening={stopListening}
+            isStreaming={isStreaming}
+            partialTranscript={partialTranscript}
+            partialIntent={partialIntent}
+            onStartStreaming={startStreaming}
+            onStopStreaming={stopStreaming}
             onConfirmLine={handleConfirmLine}
             onCommitDraft={handleCommitDraft}
             onResetAgent={resetAgent}
@@ -1,4 +1,6 @@
 // Date helper functions for GanttAgent
+import { getWorkCalendar, DURATION_UNITS } from '../../../../utils/workCalendar.js';
+
 export const ymd = (d) => d.toISOString().slice(0, 10);
 export const fromYmd = (s) => new Date(`${s}T00:00:00`);
 
@@ -22,4 +24,17 @@ export const rangeDays = (from, to) => {
     cur.setDate(cur.getDate() + 1);
   }
   return days;
-};
\ No newline at end of file
+};
+
+// Working-day maths against the shared calendar (weekends, holidays, shutdowns, team hours)
+export const isWorkDay = (s, options) => getWorkCalendar().isWorkDay(s, options);
+
+export const addWorkDays = (s, n, options) => getWorkCalendar().addWorkDays(s, n, options);
+
+// Broj radnih dana, oba kraja uključena
+export const workDaysBetween = (a, b, options) => getWorkCalendar().countWorkDays(a, b, options);
+
+export const shiftDate = (s, n, unit = DURATION_UNITS.WORK_DAYS, options) => getWorkCalendar().shiftDate(s, n, unit, options);
+
+// Pomak raspona za n radnih dana uz isto trajanje u radnim danima
+export const shiftRange = (start, end, n, options) => getWorkCalendar().shiftRange(start, end, n, options);
@@ -10,15 +10,47 @@ import {
   FilterX, Undo, Redo, AlertTriangle, ExternalLink, ScrollText, Grid3x3, List, FileUp,
   Sparkles, Star, Hash, Database, BookOpen, Activity, ListTodo, Flame, FolderOpen,
   Zap, Shield, Bell, FileImage, Archive, Folder, History, Image, FileCode, Expand,
-  FolderPlus, GitBranch, Shuffle, BarChart3
+  FolderPlus, GitBranch, Shuffle, BarChart3, Flag, ArrowLeftRight, CalendarPlus, FileDown, LayoutTemplate
 } from 'lucide-react';
 
 import ProjectDataService from '../../../services/ProjectDataService.js';
+import UnifiedAdapterV2 from '../../../adapters/UnifiedAdapter.js';
 import TaskHoverCardRedesign from './hoverTab2.jsx';
 import JsonStorageService from '../../../services/JsonStorageService.js';
 import { useProjectStore } from '../../../store/useProjectStore';
 import { AdvancedTaskHoverCard } from './hoverTab.jsx';
 import { useHover, HoverProvider } from './HoverContext.jsx';
+import useWorkCalendar from '../../../hooks/useWorkCalendar.js';
+import useProcessTemplates from '../../../hooks/useProcessTemplates.js';
+import { TEMPLATE_UNITS, TEMPLATE_UNIT_LABELS, DEFAULT_PROCESS_TEMPLATES, stepDuration } from '../../../utils/processTemplates.js';
+import { getCroatianHolidays } from '../../../utils/workCalendar.js';
+import { collectDurationSamples, learnDurations, estimateProcessDuration, estimationBias } from '../../../utils/durationEstimator.js';
+import {
+  DEPENDENCY_TYPE_LABELS,
+  normalizeDependency,
+  resolveProcessLinks,
+  buildChainDependencies,
+  wouldCreateCycle,
+  scheduleTasks,
+  pushSuccessors,
+  dependencyArrowPath
+} from '../../../utils/ganttScheduler';
+import {
+  BASELINE_SOURCE_LABELS,
+  pickBaseline,
+  getBaselineDates,
+  computeScheduleVariance
+} from '../../../utils/planBaselines.js';
+import {
+  MERGE_CHOICES,
+  applyPlan,
+  compareScenarios,
+  DAY_RATE_DEPARTMENTS,
+  mergeScenario,
+  projectDayRates,
+  setScenarioProcess,
+  shiftScenarioProcesses
+} from '../../../utils/planScenarios.js';
 
 /** ======================== KONSTANTE ======================== */
 const ROW_H = 36;
@@ -34,6 +66,9 @@ const OVERSCAN_DAYS = 14;
 const OVERSCAN_ROWS = 10;
 const ALL_PROJECTS_ID = 'ALL_PROJECTS'; // ID for the aggregated view
 
+// Sjenčanje neradnih dana prema radnom kalendaru
+const OFF_DAY_BG = { weekend: 'bg-slate-50', holiday: 'bg-rose-50', shutdown: 'bg-amber-50' };
+
 const STATUSI = {
   'čeka': { bg: '#64748b', light: '#f1f5f9', border: '#cbd5e1', text: 'Čeka' },
   'u tijeku': { bg: '#0ea5e9', light: '#e0f2fe', border: '#7dd3fc', text: 'U tijeku' },
@@ -954,6 +989,41 @@ function SettingsPanel({ settings, onSettingsChange, onClose }) {
             </div>
           </div>
 
+          <div>
+            <label className="text-xs font-medium text-slate-700 block mb-2">
+              Veze i kritični put
+            </label>
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={local.showDependencies}
+                  onChange={(e) => onSettingsChange({ ...local, showDependencies: e.target.checked })}
+                  className="rounded"
+                />
+                Prikaži strelice veza
+              </label>
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={local.showCriticalPath}
+                  onChange={(e) => onSettingsChange({ ...local, showCriticalPath: e.target.checked })}
+                  className="rounded"
+                />
+                Istakni kritični put
+              </label>
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={local.showBaseline}
+                  onChange={(e) => onSettingsChange({ ...local, showBaseline: e.target.checked })}
+                  className="rounded"
+                />
+                Prikaži osnovni plan ispod traka
+              </label>
+            </div>
+          </div>
+
           <div>
             <label className="text-xs font-medium text-slate-700 block mb-2">
               Označavanje
@@ -1015,6 +1085,1142 @@ function SettingsPanel({ settings, onSettingsChange, onClose }) {
   );
 }
 
+/** ======================== VEZE (STRELICE) ======================== */
+const LINK_COLORS = { normal: '#94a3b8', critical: '#ef4444', violated: '#f97316' };
+
+function DependencyLayer({ links, rowOf, taskOf, timelineStart, dayWidth, critical, violated, width, height }) {
+  const barEdges = (id) => {
+    const task = taskOf(id);
+    const row = rowOf.get(id);
+    if (!task?.start || !task?.end || row === undefined) return null;
+    const startDays = daysBetween(timelineStart, new Date(task.start));
+    const endDays = daysBetween(timelineStart, new Date(task.end));
+    const x1 = startDays * dayWidth;
+    return { x1, x2: x1 + Math.max((endDays - startDays) * dayWidth, 20), y: row * ROW_H + ROW_H / 2 };
+  };
+
+  return (
+    <svg className="absolute left-0 top-0 pointer-events-none" width={width} height={height} style={{ zIndex: 5 }}>
+      <defs>
+        {Object.entries(LINK_COLORS).map(([kind, color]) => (
+          <marker key={kind} id={`dep-arrow-${kind}`} markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+            <path d="M0,0 L8,4 L0,8 z" fill={color} />
+          </marker>
+        ))}
+      </defs>
+      {links.map(link => {
+        const from = barEdges(link.from);
+        const to = barEdges(link.to);
+        if (!from || !to) return null;
+        const key = `${link.from}>${link.to}`;
+        const kind = violated.has(key) ? 'violated' : critical.has(link.from) && critical.has(link.to) ? 'critical' : 'normal';
+        return (
+          <path
+            key={key}
+            d={dependencyArrowPath(link.type, from, to)}
+            fill="none"
+            stroke={LINK_COLORS[kind]}
+            strokeWidth={kind === 'normal' ? 1.5 : 2}
+            strokeDasharray={kind === 'violated' ? '4 3' : undefined}
+            markerEnd={`url(#dep-arrow-${kind})`}
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+/** ======================== UREĐIVAČ VEZA ======================== */
+function DependencyEditor({ project, positionId, processName, onSave, onClose }) {
+  const position = project.positions.find(p => p.id === positionId);
+  const process = position?.processes?.find(p => p.name === processName);
+  const [deps, setDeps] = useState(() => (process?.dependencies || []).map(normalizeDependency).filter(Boolean));
+  const [error, setError] = useState(null);
+
+  if (!position || !process) return null;
+
+  // Prethodnici: procesi iste pozicije po nazivu, ostale pozicije kao "pozicija/proces"
+  const options = project.positions.flatMap(pos => (pos.processes || [])
+    .filter(p => !(pos.id === positionId && p.name === processName))
+    .map(p => ({
+      value: pos.id === positionId ? p.name : `${pos.id}/${p.name}`,
+      label: pos.id === positionId ? p.name : `${pos.id} · ${p.name}`
+    })));
+
+  const updateDep = (index, patch) => setDeps(prev => prev.map((d, i) => (i === index ? { ...d, ...patch } : d)));
+
+  const withProcesses = (byName) => ({
+    ...project,
+    positions: project.positions.map(pos => (pos.id !== positionId ? pos : {
+      ...pos,
+      processes: pos.processes.map(p => (byName[p.name] ? { ...p, dependencies: byName[p.name] } : p))
+    }))
+  });
+
+  const findCycle = (byName) => {
+    const accepted = [];
+    return resolveProcessLinks(withProcesses(byName)).find(link => {
+      if (wouldCreateCycle(accepted, link.from, link.to)) return true;
+      accepted.push(link);
+      return false;
+    });
+  };
+
+  const save = (byName) => {
+    const cycle = findCycle(byName);
+    if (cycle) {
+      setError('Veza bi zatvorila krug — proces ne može čekati sam sebe.');
+      return;
+    }
+    onSave(byName);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-4">
+        <h3 className="text-sm font-semibold mb-1">Veze — {position.title || position.id} · {processName}</h3>
+        <p className="text-xs text-slate-500 mb-3">Prethodnici koje ovaj proces čeka</p>
+        <div className="space-y-2">
+          {deps.length === 0 && <div className="text-xs text-slate-400">Nema veza</div>}
+          {deps.map((dep, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={dep.from}
+                onChange={(e) => updateDep(index, { from: e.target.value })}
+                className="flex-1 px-2 py-1.5 border rounded-lg text-sm"
+              >
+                {!options.some(o => o.value === dep.from) && <option value={dep.from}>{dep.from}</option>}
+                {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              <select
+                value={dep.type}
+                onChange={(e) => updateDep(index, { type: e.target.value })}
+                className="w-44 px-2 py-1.5 border rounded-lg text-sm"
+              >
+                {Object.entries(DEPENDENCY_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={dep.lag}
+                onChange={(e) => updateDep(index, { lag: Math.round(Number(e.target.value) || 0) })}
+                className="w-16 px-2 py-1.5 border rounded-lg text-sm text-right"
+                title="Odmak u danima"
+              />
+              <button onClick={() => setDeps(prev => prev.filter((_, i) => i !== index))} className="p-1 hover:bg-red-50 rounded">
+                <Unlink className="w-4 h-4 text-red-500" />
+              </button>
+            </div>
+          ))}
+        </div>
+        {error && <div className="text-xs text-red-600 mt-2">{error}</div>}
+        <div className="flex justify-between gap-2 mt-4">
+          <div className="flex gap-2">
+            <button
+              onClick={() => options[0] && setDeps(prev => [...prev, { from: options[0].value, type: 'FS', lag: 0 }])}
+              disabled={!options.length}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-100 rounded-lg disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" /> Veza
+            </button>
+            <button
+              onClick={() => save(buildChainDependencies(position.processes || []))}
+              className="px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-100 rounded-lg"
+              title="Prodaja → Dizajn → Nabava → Teh. priprema → Proizvodnja → Ugradnja za cijelu poziciju"
+            >
+              Standardni lanac
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-100 rounded-lg">
+              Odustani
+            </button>
+            <button onClick={() => save({ [processName]: deps })} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              Spremi
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ======================== PREDLOŠCI PROCESA ======================== */
+function ProcessTemplatesPanel({ templates, history, calendar, onSave, onClose }) {
+  const [library, setLibrary] = useState(() => JSON.parse(JSON.stringify(templates)));
+  const [type, setType] = useState(Object.keys(templates.templates)[0]);
+  const [sampleQty, setSampleQty] = useState(10);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const template = library.templates[type];
+
+  // Trajanja naučena iz završenih procesa (lokalno, iz učitanih projekata)
+  const learned = useMemo(() => {
+    const samples = collectDurationSamples(history, { calendar, library: templates });
+    return { samples: samples.length, model: learnDurations([], { samples }), bias: estimationBias(samples).slice(0, 8) };
+  }, [history, calendar, templates]);
+  const learnedFor = (step) =>
+    estimateProcessDuration(learned.model, step.name, { type, qty: sampleQty, area: sampleQty }, { library });
+
+  const patchTemplate = (changes) =>
+    setLibrary(prev => ({ ...prev, templates: { ...prev.templates, [type]: { ...prev.templates[type], ...changes } } }));
+  const updateStep = (index, changes) =>
+    patchTemplate({ processes: template.processes.map((p, i) => (i === index ? { ...p, ...changes } : p)) });
+  const moveStep = (index, dir) => {
+    const processes = [...template.processes];
+    const target = index + dir;
+    if (target < 0 || target >= processes.length) return;
+    [processes[index], processes[target]] = [processes[target], processes[index]];
+    patchTemplate({ processes });
+  };
+  const updateProfile = (id, changes) =>
+    setLibrary(prev => ({ ...prev, normativeProfiles: { ...prev.normativeProfiles, [id]: { ...prev.normativeProfiles[id], ...changes } } }));
+  const addTemplate = () => {
+    const name = window.prompt('Vrsta pozicije (npr. Ograda)');
+    const key = name?.trim();
+    if (!key || library.templates[key]) return;
+    const base = library.templates.Element || DEFAULT_PROCESS_TEMPLATES.Element;
+    setLibrary(prev => ({
+      ...prev,
+      templates: { ...prev.templates, [key]: { ...JSON.parse(JSON.stringify(base)), type: key, name: key, keywords: [key.toLowerCase()] } },
+      removed: { ...prev.removed, templates: prev.removed.templates.filter(t => t !== key) }
+    }));
+    setType(key);
+  };
+  const removeTemplate = () => {
+    const { [type]: _removed, ...rest } = library.templates;
+    // Zadani predložak se pamti kao obrisan, inače bi se vratio pri učitavanju
+    setLibrary(prev => ({ ...prev, templates: rest, removed: { ...prev.removed, templates: [...prev.removed.templates, type] } }));
+    setType(Object.keys(rest)[0]);
+  };
+  const addProfile = () => {
+    let n = Object.keys(library.normativeProfiles).length + 1;
+    while (library.normativeProfiles[`NORMATIV_${n}`]) n += 1;
+    const id = `NORMATIV_${n}`;
+    setLibrary(prev => ({
+      ...prev,
+      normativeProfiles: { ...prev.normativeProfiles, [id]: { id, name: `Normativ ${n}`, words: [String(n)], offsets: { start_days: 0, end_days: 0 }, ranges: null } },
+      removed: { ...prev.removed, normativeProfiles: prev.removed.normativeProfiles.filter(p => p !== id) }
+    }));
+  };
+  const removeProfile = (id) => {
+    const { [id]: _removed, ...rest } = library.normativeProfiles;
+    setLibrary(prev => ({ ...prev, normativeProfiles: rest, removed: { ...prev.removed, normativeProfiles: [...prev.removed.normativeProfiles, id] } }));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(library);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Spremanje nije uspjelo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const visibleTemplates = Object.entries(library.templates);
+  const visibleProfiles = Object.entries(library.normativeProfiles);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div>
+          <h3 className="text-sm font-semibold">Predlošci procesa</h3>
+          <p className="text-xs text-slate-500">Nove pozicije dobivaju lanac procesa, trajanja i kontrolne liste iz predloška svoje vrste</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {visibleTemplates.map(([key, t]) => (
+            <button
+              key={key}
+              onClick={() => setType(key)}
+              className={`px-2 py-1 text-xs rounded-lg border ${key === type ? 'bg-slate-800 text-white border-slate-800' : 'border-slate-300 hover:bg-slate-50'}`}
+            >
+              {t.name || key}
+            </button>
+          ))}
+          <button onClick={addTemplate} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg">
+            <Plus className="w-3 h-3" /> Vrsta
+          </button>
+        </div>
+
+        {template && (
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <input value={template.name} onChange={(e) => patchTemplate({ name: e.target.value })} className="w-40 px-2 py-1 border rounded-lg text-sm" />
+              <select value={template.unit} onChange={(e) => patchTemplate({ unit: e.target.value })} className="px-2 py-1 border rounded-lg text-sm">
+                {Object.values(TEMPLATE_UNITS).map(unit => <option key={unit} value={unit}>{TEMPLATE_UNIT_LABELS[unit]}</option>)}
+              </select>
+              <input
+                value={template.keywords.join(', ')}
+                onChange={(e) => patchTemplate({ keywords: e.target.value.split(',').map(k => k.trim().toLowerCase()).filter(Boolean) })}
+                placeholder="ključne riječi u nazivu pozicije"
+                className="flex-1 min-w-[180px] px-2 py-1 border rounded-lg text-sm"
+              />
+              <label className="flex items-center gap-1 text-xs text-slate-500">
+                Primjer
+                <input type="number" min="1" value={sampleQty} onChange={(e) => setSampleQty(Number(e.target.value) || 1)} className="w-16 px-2 py-1 border rounded-lg text-xs text-right" />
+                {template.unit === TEMPLATE_UNITS.AREA ? 'm²' : 'kom'}
+              </label>
+              {type !== 'Element' && (
+                <button onClick={removeTemplate} className="p-1 hover:bg-red-50 rounded" title="Ukloni predložak">
+                  <Trash2 className="w-4 h-4 text-red-500" />
+                </button>
+              )}
+            </div>
+
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-1">Proces</th>
+                  <th>Odjel</th>
+                  <th className="text-right">Dana</th>
+                  <th className="text-right">+ po jedinici</th>
+                  <th className="text-right">Razmak</th>
+                  <th className="text-right">Primjer</th>
+                  <th className="text-right" title="Iz stvarnih trajanja završenih procesa">Naučeno</th>
+                  <th>Kontrolna lista</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {template.processes.map((step, index) => (
+                  <tr key={index} className="border-b align-top">
+                    <td className="py-1"><input value={step.name} onChange={(e) => updateStep(index, { name: e.target.value })} className="w-28 px-1 py-0.5 border rounded" /></td>
+                    <td><input value={step.department || ''} onChange={(e) => updateStep(index, { department: e.target.value })} className="w-32 px-1 py-0.5 border rounded" /></td>
+                    <td className="text-right"><input type="number" min="0" value={step.days} onChange={(e) => updateStep(index, { days: Number(e.target.value) })} className="w-14 px-1 py-0.5 border rounded text-right" /></td>
+                    <td className="text-right"><input type="number" min="0" step="0.01" value={step.perUnit} onChange={(e) => updateStep(index, { perUnit: Number(e.target.value) })} className="w-16 px-1 py-0.5 border rounded text-right" /></td>
+                    <td className="text-right"><input type="number" value={step.lag} onChange={(e) => updateStep(index, { lag: Number(e.target.value) })} className="w-12 px-1 py-0.5 border rounded text-right" /></td>
+                    <td className="text-right text-slate-500">{stepDuration(step, sampleQty)} rd</td>
+                    <td className="text-right whitespace-nowrap">
+                      {(() => {
+                        const estimate = learnedFor(step);
+                        if (!estimate) return <span className="text-slate-300">—</span>;
+                        return (
+                          <>
+                            <span
+                              className="text-emerald-700"
+                              title={`${estimate.low}–${estimate.high} rd · ${estimate.samples} uzoraka${estimate.basis === 'process' ? ' (sve vrste)' : ''}`}
+                            >
+                              {estimate.days} rd
+                            </span>
+                            <button
+                              onClick={() => updateStep(index, { days: estimate.fixed, perUnit: estimate.perUnit })}
+                              className="ml-1 px-1 text-[10px] text-emerald-700 hover:bg-emerald-50 rounded"
+                              title={`Preuzmi ${estimate.fixed} + ${estimate.perUnit} po jedinici`}
+                            >
+                              Preuzmi
+                            </button>
+                          </>
+                        );
+                      })()}
+                    </td>
+                    <td>
+                      <textarea
+                        value={step.checklist.join('\n')}
+                        onChange={(e) => updateStep(index, { checklist: e.target.value.split('\n') })}
+                        rows={Math.max(1, step.checklist.length)}
+                        className="w-full px-1 py-0.5 border rounded"
+                      />
+                    </td>
+                    <td className="whitespace-nowrap">
+                      <button onClick={() => moveStep(index, -1)} className="p-0.5 hover:bg-slate-100 rounded"><ChevronUp className="w-3 h-3" /></button>
+                      <button onClick={() => moveStep(index, 1)} className="p-0.5 hover:bg-slate-100 rounded"><ChevronDown className="w-3 h-3" /></button>
+                      <button onClick={() => patchTemplate({ processes: template.processes.filter((_, i) => i !== index) })} className="p-0.5 hover:bg-red-50 rounded">
+                        <Trash2 className="w-3 h-3 text-red-500" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => patchTemplate({ processes: [...template.processes, { name: 'Novi proces', department: 'Ostalo', days: 1, perUnit: 0, lag: 0, checklist: [] }] })}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg"
+            >
+              <Plus className="w-3 h-3" /> Proces
+            </button>
+          </div>
+        )}
+
+        <div>
+          <div className="text-xs font-semibold text-slate-600 mb-1">
+            Stvarno / planirano trajanje ({learned.samples} završenih procesa)
+          </div>
+          {learned.bias.length ? (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-1">Proces</th>
+                  <th className="text-right">Uzoraka</th>
+                  <th className="text-right">Omjer (medijan)</th>
+                  <th className="text-right">Kasni</th>
+                  <th className="text-right">Prosječno prekoračenje</th>
+                </tr>
+              </thead>
+              <tbody>
+                {learned.bias.map(row => (
+                  <tr key={row.processName} className={`border-b ${row.underestimated ? 'bg-amber-50 text-amber-800' : ''}`}>
+                    <td className="py-1">{row.processName}{row.underestimated && ' · podcjenjujemo'}</td>
+                    <td className="text-right">{row.n}</td>
+                    <td className="text-right">{row.medianRatio.toFixed(2)}×</td>
+                    <td className="text-right">{Math.round(row.lateShare * 100)} %</td>
+                    <td className="text-right">{row.meanOverrunDays > 0 ? '+' : ''}{row.meanOverrunDays} rd</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-xs text-slate-400">Još nema završenih procesa sa stvarnim datumima</div>
+          )}
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-600 mb-1">Normativi (pomak početka i kraja u radnim danima)</div>
+          <div className="space-y-2">
+            {visibleProfiles.map(([id, profile]) => (
+              <div key={id} className="flex flex-wrap items-center gap-2 text-xs">
+                <span className="w-24 font-mono">{id}</span>
+                <input value={profile.name} onChange={(e) => updateProfile(id, { name: e.target.value })} className="w-28 px-2 py-1 border rounded-lg" />
+                <input
+                  value={profile.words.join(', ')}
+                  onChange={(e) => updateProfile(id, { words: e.target.value.split(',').map(w => w.trim().toLowerCase()).filter(Boolean) })}
+                  placeholder="izgovoreno (npr. tri, treći)"
+                  className="w-40 px-2 py-1 border rounded-lg"
+                />
+                <label className="flex items-center gap-1">
+                  početak +
+                  <input type="number" value={profile.offsets.start_days} onChange={(e) => updateProfile(id, { offsets: { ...profile.offsets, start_days: Number(e.target.value) } })} className="w-12 px-1 py-1 border rounded-lg text-right" />
+                </label>
+                <label className="flex items-center gap-1">
+                  kraj +
+                  <input type="number" value={profile.offsets.end_days} onChange={(e) => updateProfile(id, { offsets: { ...profile.offsets, end_days: Number(e.target.value) } })} className="w-12 px-1 py-1 border rounded-lg text-right" />
+                </label>
+                {profile.ranges && (
+                  <span className="text-slate-400" title="Raspon za naredbu 'korigiraj trajanje prema normativu'">
+                    raspon {profile.ranges.start.join('–')} / {profile.ranges.end.join('–')}
+                  </span>
+                )}
+                <button onClick={() => removeProfile(id)} className="p-1 hover:bg-red-50 rounded">
+                  <Trash2 className="w-3 h-3 text-red-500" />
+                </button>
+              </div>
+            ))}
+            <button onClick={addProfile} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg">
+              <Plus className="w-3 h-3" /> Normativ
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="text-xs text-red-600">{error}</div>}
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-100 rounded-lg">
+            Odustani
+          </button>
+          <button onClick={save} disabled={saving} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+            {saving ? 'Spremam…' : 'Spremi'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ======================== WORK CALENDAR PANEL ======================== */
+const WEEKDAY_SHORT = ['Ned', 'Pon', 'Uto', 'Sri', 'Čet', 'Pet', 'Sub'];
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function WorkWeekPicker({ value, onChange }) {
+  const toggle = (day) => onChange(value.includes(day) ? value.filter(d => d !== day) : [...value, day].sort());
+  return (
+    <div className="flex gap-1">
+      {WEEKDAY_ORDER.map(day => (
+        <button
+          key={day}
+          onClick={() => toggle(day)}
+          className={`w-9 py-1 text-xs rounded border ${value.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-600 border-slate-300'}`}
+        >
+          {WEEKDAY_SHORT[day]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function WorkCalendarPanel({ calendar, onSave, onClose }) {
+  const [config, setConfig] = useState(() => JSON.parse(JSON.stringify(calendar.config)));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const year = new Date().getFullYear();
+
+  const patch = (changes) => setConfig(prev => ({ ...prev, ...changes }));
+  const updateShutdown = (index, changes) =>
+    patch({ shutdowns: config.shutdowns.map((s, i) => (i === index ? { ...s, ...changes } : s)) });
+  const updateTeam = (id, changes) => patch({ teams: { ...config.teams, [id]: { ...config.teams[id], ...changes } } });
+  const removeTeam = (id) => {
+    const { [id]: _removed, ...teams } = config.teams;
+    patch({ teams });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(config);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Spremanje nije uspjelo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div>
+          <h3 className="text-sm font-semibold">Radni kalendar</h3>
+          <p className="text-xs text-slate-500">Vrijedi za sve planere i glasovne naredbe s trajanjem u radnim danima</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <WorkWeekPicker value={config.workWeek} onChange={(workWeek) => patch({ workWeek })} />
+          <label className="flex items-center gap-2 text-sm">
+            Sati/dan
+            <input
+              type="number"
+              min="1"
+              max="24"
+              value={config.hoursPerDay}
+              onChange={(e) => patch({ hoursPerDay: Number(e.target.value) || 8 })}
+              className="w-16 px-2 py-1 border rounded-lg text-sm text-right"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm" title={getCroatianHolidays(year).map(h => `${h.date} ${h.name}`).join('\n')}>
+            <input type="checkbox" checked={config.publicHolidays} onChange={(e) => patch({ publicHolidays: e.target.checked })} />
+            Državni praznici RH
+          </label>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-600 mb-1">Zatvaranja (kolektivni godišnji, inventura…)</div>
+          <div className="space-y-2">
+            {config.shutdowns.map((shutdown, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input type="date" value={shutdown.from} onChange={(e) => updateShutdown(index, { from: e.target.value })} className="px-2 py-1 border rounded-lg text-sm" />
+                <input type="date" value={shutdown.to} onChange={(e) => updateShutdown(index, { to: e.target.value })} className="px-2 py-1 border rounded-lg text-sm" />
+                <input value={shutdown.name} onChange={(e) => updateShutdown(index, { name: e.target.value })} placeholder="Naziv" className="flex-1 px-2 py-1 border rounded-lg text-sm" />
+                <button onClick={() => patch({ shutdowns: config.shutdowns.filter((_, i) => i !== index) })} className="p-1 hover:bg-red-50 rounded">
+                  <Trash2 className="w-4 h-4 text-red-500" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => patch({ shutdowns: [...config.shutdowns, { from: `${year}-12-24`, to: `${year}-12-31`, name: 'Kolektivni godišnji' }] })}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg"
+            >
+              <Plus className="w-3 h-3" /> Zatvaranje
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-600 mb-1">Dodatni radni dani (radne subote, odrađeni praznici)</div>
+          <div className="flex flex-wrap items-center gap-2">
+            {config.extraWorkDays.map((day, index) => (
+              <span key={day} className="flex items-center gap-1 px-2 py-0.5 bg-slate-100 rounded text-xs">
+                <input
+                  type="date"
+                  value={day}
+                  onChange={(e) => patch({ extraWorkDays: config.extraWorkDays.map((d, i) => (i === index ? e.target.value : d)) })}
+                  className="bg-transparent text-xs"
+                />
+                <button onClick={() => patch({ extraWorkDays: config.extraWorkDays.filter((_, i) => i !== index) })}>
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            <button
+              onClick={() => patch({ extraWorkDays: [...config.extraWorkDays, formatDate(new Date())] })}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg"
+            >
+              <Plus className="w-3 h-3" /> Dan
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-600 mb-1">Timovi s vlastitim radnim vremenom</div>
+          <div className="space-y-2">
+            {Object.entries(config.teams).map(([id, team]) => (
+              <div key={id} className="flex flex-wrap items-center gap-2">
+                <input value={team.name} onChange={(e) => updateTeam(id, { name: e.target.value })} className="w-32 px-2 py-1 border rounded-lg text-sm" />
+                <WorkWeekPicker value={team.workWeek} onChange={(workWeek) => updateTeam(id, { workWeek })} />
+                <input
+                  type="number"
+                  min="1"
+                  max="24"
+                  value={team.hoursPerDay}
+                  onChange={(e) => updateTeam(id, { hoursPerDay: Number(e.target.value) || config.hoursPerDay })}
+                  className="w-14 px-2 py-1 border rounded-lg text-sm text-right"
+                  title="Sati/dan"
+                />
+                <button onClick={() => removeTeam(id)} className="p-1 hover:bg-red-50 rounded">
+                  <Trash2 className="w-4 h-4 text-red-500" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => updateTeam(`tim-${Date.now()}`, { name: 'Novi tim', workWeek: [...config.workWeek], hoursPerDay: config.hoursPerDay })}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-slate-700 hover:bg-slate-100 rounded-lg"
+            >
+              <Plus className="w-3 h-3" /> Tim
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="text-xs text-red-600">{error}</div>}
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-100 rounded-lg">
+            Odustani
+          </button>
+          <button onClick={save} disabled={saving} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+            {saving ? 'Spremam…' : 'Spremi'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ======================== BASELINE PANEL ======================== */
+const formatSlip = (days) => (days > 0 ? `+${days}` : `${days}`);
+
+function BaselinePanel({ projects, initialProjectId, selection, calendar, onSelect, onCreate, onDelete, onClose }) {
+  const [projectId, setProjectId] = useState(initialProjectId || projects[0]?.id || '');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const project = projects.find(p => p.id === projectId);
+  const baselines = project?.baselines || [];
+  const baseline = pickBaseline(project, selection[projectId]);
+  const variance = useMemo(() => computeScheduleVariance(project, baseline, { calendar }), [project, baseline, calendar]);
+
+  const create = async () => {
+    setBusy(true);
+    try {
+      await onCreate(projectId, name.trim() || null);
+      setName('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div>
+            <h3 className="text-sm font-semibold">Osnovni planovi i odstupanja</h3>
+            <p className="text-xs text-slate-500">Kašnjenje završetka u radnim danima u odnosu na odabrani osnovni plan</p>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="p-4 border-b space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className="px-2 py-1.5 border rounded-lg text-sm">
+              {projects.map(p => <option key={p.id} value={p.id}>{p.name || p.id}</option>)}
+            </select>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Naziv snimke (npr. Ugovoreni plan)"
+              className="flex-1 min-w-[200px] px-2 py-1.5 border rounded-lg text-sm"
+            />
+            <button
+              onClick={create}
+              disabled={!project || busy}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Flag className="w-4 h-4" /> Spremi osnovni plan
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {baselines.length === 0 && <span className="text-xs text-slate-400">Projekt još nema osnovni plan</span>}
+            {baselines.map(b => (
+              <span
+                key={b.id}
+                className={`flex items-center gap-1 px-2 py-1 rounded-lg border text-xs cursor-pointer ${b.id === baseline?.id ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-slate-200 text-slate-600'}`}
+                onClick={() => onSelect(projectId, b.id)}
+                title={`${BASELINE_SOURCE_LABELS[b.source] || b.source} · ${new Date(b.createdAt).toLocaleString('hr-HR')}`}
+              >
+                {b.name}
+                <button onClick={(e) => { e.stopPropagation(); onDelete(projectId, b.id); }} className="hover:text-red-600">
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {baseline && (
+          <div className="flex-1 overflow-y-auto p-4 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {variance.byDepartment.map(dept => (
+                <div key={dept.department} className={`p-2 rounded-lg border ${dept.slipDays > 0 ? 'border-red-200 bg-red-50' : 'border-slate-200'}`}>
+                  <div className="text-xs text-slate-500">{dept.department}</div>
+                  <div className="text-lg font-semibold">{formatSlip(dept.slipDays)} d</div>
+                  <div className="text-xs text-slate-500">{dept.slipped}/{dept.processes} kasni · najviše {dept.maxSlip} d</div>
+                </div>
+              ))}
+            </div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-1">Pozicija · proces</th>
+                  <th>Odjel</th>
+                  <th>Osnovni plan</th>
+                  <th>Trenutno</th>
+                  <th className="text-right">Početak</th>
+                  <th className="text-right">Završetak</th>
+                  <th className="text-right">Izmjene</th>
+                </tr>
+              </thead>
+              <tbody>
+                {variance.rows.map(row => {
+                  const key = `${row.positionId}/${row.processName}`;
+                  return (
+                    <React.Fragment key={key}>
+                      <tr
+                        className={`border-b ${row.causes.length ? 'cursor-pointer hover:bg-slate-50' : ''}`}
+                        onClick={() => row.causes.length && setExpanded(expanded === key ? null : key)}
+                      >
+                        <td className="py-1">{row.positionTitle} · {row.processName}</td>
+                        <td>{row.department}</td>
+                        <td>{row.baselineStart} – {row.baselineEnd}</td>
+                        <td>{row.start} – {row.end}</td>
+                        <td className="text-right">{formatSlip(row.startVariance)}</td>
+                        <td className={`text-right font-semibold ${row.finishVariance > 0 ? 'text-red-600' : row.finishVariance < 0 ? 'text-green-600' : ''}`}>
+                          {formatSlip(row.finishVariance)}
+                        </td>
+                        <td className="text-right">{row.causes.length || ''}</td>
+                      </tr>
+                      {expanded === key && row.causes.map((cause, index) => (
+                        <tr key={index} className="bg-slate-50 text-slate-600">
+                          <td colSpan={3} className="py-1 pl-4">
+                            {new Date(cause.date).toLocaleString('hr-HR')} · {BASELINE_SOURCE_LABELS[cause.source] || cause.source} · {cause.title}
+                          </td>
+                          <td colSpan={3}>{cause.field === 'plannedStart' ? 'Početak' : 'Završetak'}: {cause.from} → {cause.to}</td>
+                          <td className="text-right">{formatSlip(cause.days)}</td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-500">
+              Ukupno kašnjenje: {variance.totalSlip} radnih dana u {variance.slipped} procesa
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** ======================== SCENARIJI ("ŠTO AKO") ======================== */
+const formatEur = (value) => `${Math.round(value).toLocaleString('hr-HR')} €`;
+
+function ScenarioPanel({ projects, initialProjectId, calendar, activeScenario, onCreate, onEdit, onShift, onAddCost, onSaveRates, onDelete, onPromote, onClose }) {
+  const [projectId, setProjectId] = useState(initialProjectId || projects[0]?.id || '');
+  const [name, setName] = useState('');
+  const [shift, setShift] = useState({ scenarioId: null, processName: '', days: 10 });
+  const [cost, setCost] = useState({ scenarioId: null, label: '', amount: '' });
+  const [promoting, setPromoting] = useState(null); // { scenarioId, resolutions }
+  const [rates, setRates] = useState(null); // { [odjel]: '€/dan' } dok se uređuju cijene rada
+  const [busy, setBusy] = useState(false);
+  const project = projects.find(p => p.id === projectId);
+  const hasRates = Object.keys(projectDayRates(project)).length > 0;
+  const scenarios = useMemo(() => project?.scenarios || [], [project]);
+  const processNames = useMemo(
+    () => [...new Set((project?.positions || []).flatMap(pos => (pos.processes || []).map(p => p.name)))],
+    [project]
+  );
+  const comparison = useMemo(
+    () => (project ? compareScenarios(project, scenarios, { calendar }) : []),
+    [project, scenarios, calendar]
+  );
+  const promotingScenario = scenarios.find(s => s.id === promoting?.scenarioId);
+  const merge = useMemo(
+    () => (promotingScenario ? mergeScenario(project, promotingScenario, promoting.resolutions) : null),
+    [project, promotingScenario, promoting]
+  );
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div>
+            <h3 className="text-sm font-semibold">Scenariji plana</h3>
+            <p className="text-xs text-slate-500">Grane plana koje se uređuju neovisno i uspoređuju sa živim planom prije prebacivanja</p>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="p-4 border-b flex flex-wrap items-center gap-2">
+          <select value={projectId} onChange={(e) => { setProjectId(e.target.value); setPromoting(null); setRates(null); }} className="px-2 py-1.5 border rounded-lg text-sm">
+            {projects.map(p => <option key={p.id} value={p.id}>{p.name || p.id}</option>)}
+          </select>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Naziv scenarija (npr. Staklo kasni 2 tjedna)"
+            className="flex-1 min-w-[220px] px-2 py-1.5 border rounded-lg text-sm"
+          />
+          <button
+            onClick={() => run(async () => { await onCreate(projectId, name.trim() || null); setName(''); })}
+            disabled={!project || busy}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <GitBranch className="w-4 h-4" /> Novi scenarij
+          </button>
+          <button
+            onClick={() => setRates(rates ? null : { ...(project?.dayRates || {}) })}
+            disabled={!project}
+            className="px-3 py-1.5 text-sm border rounded-lg hover:bg-slate-50 disabled:opacity-50"
+          >
+            Cijene rada
+          </button>
+        </div>
+
+        {rates && (
+          <div className="p-4 border-b flex flex-wrap items-end gap-2 text-xs">
+            {DAY_RATE_DEPARTMENTS.map(department => (
+              <label key={department} className="flex flex-col gap-0.5">
+                <span className="text-slate-500">{department}</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={rates[department] ?? ''}
+                  onChange={(e) => setRates({ ...rates, [department]: e.target.value })}
+                  placeholder="€/dan"
+                  className="w-24 px-2 py-1 border rounded"
+                />
+              </label>
+            ))}
+            <button
+              onClick={() => run(async () => { await onSaveRates(projectId, rates); setRates(null); })}
+              disabled={busy}
+              className="px-2 py-1 bg-slate-800 text-white rounded disabled:opacity-50"
+            >
+              Spremi
+            </button>
+            <span className="text-slate-500">EUR po radnom danu; odjel bez cijene koristi „Ostalo”</span>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-1">Plan</th>
+                <th>Završetak</th>
+                <th className="text-right">Radnih dana</th>
+                <th>Kritični put</th>
+                <th>Vršno opterećenje</th>
+                <th className="text-right">Trošak</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map(row => {
+                const scenario = scenarios.find(s => s.id === row.id);
+                const editing = activeScenario?.scenarioId === row.id;
+                return (
+                  <tr key={row.id} className={`border-b align-top ${editing ? 'bg-violet-50' : ''}`}>
+                    <td className="py-1.5 font-medium">
+                      {row.name}
+                      {scenario?.promotedAt && <span className="ml-1 text-[10px] text-green-700">prebačen</span>}
+                    </td>
+                    <td>
+                      {row.metrics.finish || '—'}
+                      {!row.live && row.finishDelta !== 0 && (
+                        <span className={`ml-1 font-semibold ${row.finishDelta > 0 ? 'text-red-600' : 'text-green-600'}`}>{formatSlip(row.finishDelta)} rd</span>
+                      )}
+                    </td>
+                    <td className="text-right">{row.metrics.workDays}</td>
+                    <td className="max-w-[220px]">
+                      <div className="truncate" title={row.metrics.criticalPath.join(' → ')}>{row.metrics.criticalPath.join(' → ') || '—'}</div>
+                      {row.metrics.violations > 0 && <div className="text-amber-600">{row.metrics.violations} prekršenih veza</div>}
+                    </td>
+                    <td>
+                      {row.metrics.peaks.slice(0, 2).map(peak => (
+                        <div key={`${peak.kind}:${peak.name}`} className={peak.overloadedDays ? 'text-red-600' : ''}>
+                          {peak.name}: {peak.peak}/{peak.capacity} h{peak.overloadedDays ? ` · ${peak.overloadedDays} d preko` : ''}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="text-right">
+                      {row.metrics.cost.total !== null
+                        ? formatEur(row.metrics.cost.total)
+                        : row.metrics.cost.extra ? `dodatno ${formatEur(row.metrics.cost.extra)}` : '—'}
+                      {!row.live && row.costDelta !== 0 && (
+                        <div className={row.costDelta > 0 ? 'text-red-600' : 'text-green-600'}>{row.costDelta > 0 ? '+' : ''}{formatEur(row.costDelta)}</div>
+                      )}
+                    </td>
+                    <td className="text-right whitespace-nowrap">
+                      {scenario && (
+                        <div className="flex justify-end gap-1">
+                          <button onClick={() => onEdit(editing ? null : { projectId, scenarioId: scenario.id })} className="px-2 py-0.5 border rounded hover:bg-slate-50">
+                            {editing ? 'Živi plan' : 'Uredi'}
+                          </button>
+                          <button onClick={() => setShift({ ...shift, scenarioId: scenario.id })} className="px-2 py-0.5 border rounded hover:bg-slate-50">Pomak</button>
+                          <button onClick={() => setCost({ scenarioId: scenario.id, label: '', amount: '' })} className="px-2 py-0.5 border rounded hover:bg-slate-50">Trošak</button>
+                          <button onClick={() => setPromoting({ scenarioId: scenario.id, resolutions: {} })} className="px-2 py-0.5 border border-blue-300 text-blue-700 rounded hover:bg-blue-50">Prebaci</button>
+                          <button onClick={() => onDelete(projectId, scenario.id)} className="p-1 hover:text-red-600"><Trash2 className="w-3 h-3" /></button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {scenarios.length === 0 && <div className="text-xs text-slate-400">Projekt još nema scenarija</div>}
+          {project && !hasRates && (
+            <div className="text-xs text-slate-400">Trošak rada se ne računa dok projekt nema cijene rada po odjelu</div>
+          )}
+
+          {shift.scenarioId && (
+            <div className="flex flex-wrap items-center gap-2 p-3 rounded-lg border border-slate-200 text-xs">
+              <span className="font-medium">{scenarios.find(s => s.id === shift.scenarioId)?.name}: pomakni</span>
+              <select value={shift.processName} onChange={(e) => setShift({ ...shift, processName: e.target.value })} className="px-2 py-1 border rounded">
+                <option value="">odaberi proces</option>
+                {processNames.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+              <span>za</span>
+              <input type="number" value={shift.days} onChange={(e) => setShift({ ...shift, days: Number(e.target.value) })} className="w-16 px-2 py-1 border rounded" />
+              <span>radnih dana (sljedbenici se guraju)</span>
+              <button
+                onClick={() => run(async () => { await onShift(projectId, shift.scenarioId, { processName: shift.processName, days: shift.days }); setShift({ ...shift, scenarioId: null }); })}
+                disabled={!shift.processName || !shift.days || busy}
+                className="px-2 py-1 bg-slate-800 text-white rounded disabled:opacity-50"
+              >
+                Primijeni
+              </button>
+              <button onClick={() => setShift({ ...shift, scenarioId: null })} className="px-2 py-1 hover:bg-slate-100 rounded">Odustani</button>
+            </div>
+          )}
+
+          {cost.scenarioId && (
+            <div className="flex flex-wrap items-center gap-2 p-3 rounded-lg border border-slate-200 text-xs">
+              <span className="font-medium">{scenarios.find(s => s.id === cost.scenarioId)?.name}: dodatni trošak</span>
+              <input value={cost.label} onChange={(e) => setCost({ ...cost, label: e.target.value })} placeholder="npr. Dodatna ekipa montaže" className="flex-1 min-w-[180px] px-2 py-1 border rounded" />
+              <input type="number" value={cost.amount} onChange={(e) => setCost({ ...cost, amount: e.target.value })} placeholder="€" className="w-24 px-2 py-1 border rounded" />
+              <button
+                onClick={() => run(async () => { await onAddCost(projectId, cost.scenarioId, { label: cost.label.trim(), amount: Number(cost.amount) }); setCost({ scenarioId: null, label: '', amount: '' }); })}
+                disabled={!cost.label.trim() || !Number(cost.amount) || busy}
+                className="px-2 py-1 bg-slate-800 text-white rounded disabled:opacity-50"
+              >
+                Dodaj
+              </button>
+              <button onClick={() => setCost({ scenarioId: null, label: '', amount: '' })} className="px-2 py-1 hover:bg-slate-100 rounded">Odustani</button>
+            </div>
+          )}
+
+          {merge && (
+            <div className="p-3 rounded-lg border border-blue-200 bg-blue-50/40 space-y-2 text-xs">
+              <div className="font-medium">Prebacivanje „{promotingScenario.name}” u živi plan</div>
+              <div>{merge.changes.length} procesa se mijenja{merge.conflicts.length ? `, ${merge.conflicts.length} polja je u međuvremenu promijenjeno i u živom planu:` : '.'}</div>
+              {merge.conflicts.map(conflict => (
+                <div key={conflict.key} className="flex flex-wrap items-center gap-3">
+                  <span className="min-w-[220px]">{conflict.positionId} · {conflict.processName} · {conflict.field}</span>
+                  {[MERGE_CHOICES.LIVE, MERGE_CHOICES.SCENARIO].map(choice => (
+                    <label key={choice} className="flex items-center gap-1">
+                      <input
+                        type="radio"
+                        checked={conflict.resolution === choice}
+                        onChange={() => setPromoting(prev => ({ ...prev, resolutions: { ...prev.resolutions, [conflict.key]: choice } }))}
+                      />
+                      {choice === MERGE_CHOICES.LIVE ? 'Živi plan' : 'Scenarij'}: {JSON.stringify(conflict[choice])}
+                    </label>
+                  ))}
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => run(async () => { await onPromote(projectId, promoting.scenarioId, promoting.resolutions); setPromoting(null); })}
+                  disabled={merge.unresolved > 0 || busy}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Prebaci u živi plan
+                </button>
+                <button onClick={() => setPromoting(null)} className="px-3 py-1.5 hover:bg-slate-100 rounded-lg">Odustani</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** ======================== RAZMJENA PLANA (MS PROJECT / P6 / ICS) ======================== */
+const downloadText = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+function ScheduleExchangePanel({ projects, initialProjectId, calendar, onApplyImport, onClose }) {
+  const [projectId, setProjectId] = useState(initialProjectId || projects[0]?.id || '');
+  const [preview, setPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const project = projects.find(p => p.id === projectId);
+  const feeds = useMemo(() => UnifiedAdapterV2.toICalendarFeeds(projects), [projects]);
+  const fileBase = (project?.name || projectId).replace(/\s+/g, '_');
+
+  const readImport = async (file) => {
+    setImportError(null);
+    try {
+      const result = UnifiedAdapterV2.fromMSProjectXml(await file.text(), project);
+      setPreview({ ...result, fileName: file.name });
+    } catch (err) {
+      setPreview(null);
+      setImportError(err.message);
+    }
+  };
+
+  const applyImport = async () => {
+    setBusy(true);
+    try {
+      await onApplyImport(projectId, preview.updates, preview.fileName);
+      setPreview(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div>
+            <h3 className="text-sm font-semibold">Razmjena plana</h3>
+            <p className="text-xs text-slate-500">MS Project XML i Primavera P6 XER za izvođače, kalendari po osobi za teren</p>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-5">
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={projectId} onChange={(e) => { setProjectId(e.target.value); setPreview(null); }} className="px-2 py-1.5 border rounded-lg text-sm">
+              {projects.map(p => <option key={p.id} value={p.id}>{p.name || p.id}</option>)}
+            </select>
+            <button
+              onClick={() => downloadText(UnifiedAdapterV2.toMSProjectXml(project, { calendar }), `${fileBase}.xml`, 'application/xml')}
+              disabled={!project}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+            >
+              <FileDown className="w-4 h-4" /> MS Project (.xml)
+            </button>
+            <button
+              onClick={() => downloadText(UnifiedAdapterV2.toPrimaveraXer(project, { calendar }), `${fileBase}.xer`, 'text/plain')}
+              disabled={!project}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+            >
+              <FileDown className="w-4 h-4" /> Primavera P6 (.xer)
+            </button>
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-slate-600 mb-2">Kalendari po osobi (svi projekti)</div>
+            <div className="flex flex-wrap gap-2">
+              {feeds.length === 0 && <span className="text-xs text-slate-400">Nijedan proces nema vlasnika i datume</span>}
+              {feeds.map(feed => (
+                <button
+                  key={feed.owner}
+                  onClick={() => downloadText(feed.content, feed.filename, 'text/calendar')}
+                  className="flex items-center gap-1 px-2 py-1 text-xs border border-slate-200 rounded-lg hover:bg-slate-50"
+                >
+                  <CalendarPlus className="w-3 h-3" /> {feed.owner} ({feed.events})
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-xs font-medium text-slate-600">Uvoz MS Project plana izvođača na pozicije</div>
+            <input
+              type="file"
+              accept=".xml"
+              onChange={(e) => e.target.files?.[0] && readImport(e.target.files[0])}
+              className="text-xs"
+            />
+            {importError && <div className="text-xs text-red-600">{importError}</div>}
+            {preview && (
+              <div className="space-y-2">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-slate-500 border-b">
+                      <th className="py-1">Pozicija · proces</th>
+                      <th>Sada</th>
+                      <th>Iz plana izvođača</th>
+                      <th>Aktivnost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.updates.map(u => (
+                      <tr key={`${u.positionId}/${u.processName}`} className="border-b">
+                        <td className="py-1">{u.positionId} · {u.processName}</td>
+                        <td>{u.previousStart || '—'} – {u.previousEnd || '—'}</td>
+                        <td className="font-medium">{u.plannedStart} – {u.plannedEnd}</td>
+                        <td className="text-slate-500">{u.sourceTasks.join(', ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.updates.length === 0 && <div className="text-xs text-slate-500">Nema promjena datuma za ovaj projekt.</div>}
+                {preview.unmatched.length > 0 && (
+                  <div className="text-xs text-amber-700">Nepovezane aktivnosti ({preview.unmatched.length}): {preview.unmatched.join(', ')}</div>
+                )}
+                <button
+                  onClick={applyImport}
+                  disabled={busy || preview.updates.length === 0}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Upload className="w-4 h-4" /> Primijeni {preview.updates.length} izmjena
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /** ======================== ENHANCED SUBTASKS DRAWER ======================== */
 // Updated handlers to accept projectId
 function SubtasksDrawer({ open, onClose, subtasksByPosition = {}, onToggle, onDelete, onUpdateSubtask, onAddEvent }) {
@@ -1909,6 +3115,21 @@ function PlannerGanttV2() {
 
   const activeProjectId = data?.activeProjectId || project.id;
   const isAllProjectsView = activeProjectId === ALL_PROJECTS_ID;
+  const [activeScenario, setActiveScenario] = useState(null); // { projectId, scenarioId } dok se uređuje scenarij
+
+  // Podaci za prikaz: projekt s aktivnim scenarijem prikazuje plan scenarija umjesto živog plana
+  const scenarioInEdit = useMemo(() => {
+    if (!activeScenario || !data?.projects) return null;
+    const project = data.projects.find(p => p.id === activeScenario.projectId);
+    const scenario = project?.scenarios?.find(s => s.id === activeScenario.scenarioId);
+    return scenario ? { project, scenario } : null;
+  }, [data, activeScenario]);
+
+  const planData = useMemo(() => {
+    if (!scenarioInEdit) return data;
+    const { project, scenario } = scenarioInEdit;
+    return { ...data, projects: data.projects.map(p => (p.id === project.id ? applyPlan(p, scenario.plan) : p)) };
+  }, [data, scenarioInEdit]);
 
   // Initialize data from ProjectDataService
   useEffect(() => {
@@ -2047,7 +3268,7 @@ function PlannerGanttV2() {
 
   // Convert canonical v5 data to currentViewData for component compatibility
   const currentViewData = useMemo(() => {
-    if (!data || !data.projects) return null;
+    if (!planData || !planData.projects) return null;
 
     if (isAllProjectsView) {
       // Aggregate view - combine data from all projects
@@ -2057,7 +3278,7 @@ function PlannerGanttV2() {
       const allHistory = [];
       const allDocuments = [];
 
-      data.projects.forEach(project => {
+      planData.projects.forEach(project => {
         // Extract positions and their tasks
         if (project.positions) {
           project.positions.forEach(position => {
@@ -2189,10 +3410,10 @@ function PlannerGanttV2() {
       };
     } else {
       // Single project view
-      const project = data.projects.find(p => p.id === activeProjectId);
+      const project = planData.projects.find(p => p.id === activeProjectId);
       if (!project) {
         // Return the first project if active not found
-        const firstProject = data.projects[0];
+        const firstProject = planData.projects[0];
         if (!firstProject) return null;
         
         // Update active project in data
@@ -2227,7 +3448,13 @@ function PlannerGanttV2() {
             ownerName: process.owner?.name || 'Nedodijeljeno',
             ownerEmail: process.owner?.email || null,
             notes: process.notes,
-            urgency: 'normal'
+            urgency: 'normal',
+            meta: {
+              entity: 'process',
+              projectId: project.id,
+              positionId: position.id,
+              processName: process.name
+            }
           }));
 
           // Add checklist tasks as 1-day bars
@@ -2303,7 +3530,7 @@ function PlannerGanttV2() {
         subtasksByPosition: {}
       };
     }
-  }, [data, activeProjectId, isAllProjectsView]);
+  }, [planData, activeProjectId, isAllProjectsView]);
 
   // Memoize project list for ProjectSelector to ensure it updates when data changes
   const memoizedProjects = useMemo(() => {
@@ -2395,6 +3622,15 @@ function PlannerGanttV2() {
   const [searchText, setSearchText] = useState('');
   const [processFilters, setProcessFilters] = useState(new Set(PROCESI.map(p => p.id)));
   const [showSettings, setShowSettings] = useState(false);
+  const [dependencyEditorTask, setDependencyEditorTask] = useState(null);
+  const [showWorkCalendar, setShowWorkCalendar] = useState(false);
+  const [showBaselinePanel, setShowBaselinePanel] = useState(false);
+  const [showExchangePanel, setShowExchangePanel] = useState(false);
+  const [showScenarioPanel, setShowScenarioPanel] = useState(false);
+  const [baselineSelection, setBaselineSelection] = useState({}); // { [projectId]: baselineId }, inače zadnja snimka
+  const { calendar, saveCalendar } = useWorkCalendar();
+  const { templates, saveTemplates } = useProcessTemplates();
+  const [showTemplatesPanel, setShowTemplatesPanel] = useState(false);
   const [showTimeline, setShowTimeline] = useState(true);
   const [showSubtasksDrawer, setShowSubtasksDrawer] = useState(false);
   const [showDocumentsManager, setShowDocumentsManager] = useState(false);
@@ -2425,7 +3661,10 @@ function PlannerGanttV2() {
     showProgressPercentage: true,
     enableAnimations: true,
     showUrgencyGlow: true,
-    useProjectColors: false
+    useProjectColors: false,
+    showDependencies: true,
+    showCriticalPath: true,
+    showBaseline: true
   });
 
   const [dragState, setDragState] = useState(null);
@@ -2492,6 +3731,19 @@ function PlannerGanttV2() {
     }
   }, [projectService]);
 
+  // Spremanje veza iz uređivača: { [processName]: dependencies } za jednu poziciju
+  const saveProcessDependencies = useCallback(async (projectId, positionId, byName) => {
+    try {
+      await projectService.updateProcessesInPositions(
+        projectId,
+        Object.entries(byName).map(([processName, dependencies]) => ({ positionId, processName, updates: { dependencies } }))
+      );
+    } catch (err) {
+      console.error('Failed to save dependencies:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
   // Event handling - Updated to work with canonical v5 structure
   const addEvent = useCallback(async (event, projectId = null) => {
     try {
@@ -2907,6 +4159,149 @@ function PlannerGanttV2() {
 
   const chartHeight = totalRows * ROW_H;
 
+  // Veze među procesima i kritični put, računato zasebno za svaki projekt
+  const dependencySchedule = useMemo(() => {
+    const result = { links: [], byId: {}, critical: new Set(), violated: new Set(), processTasks: [] };
+    if (!planData?.projects || !currentViewData) return result;
+    result.processTasks = currentViewData.tasks.filter(t => t.meta?.entity === 'process' && t.start && t.end);
+    const projects = isAllProjectsView ? planData.projects : planData.projects.filter(p => p.id === activeProjectId);
+    projects.forEach(project => {
+      const links = resolveProcessLinks(project);
+      if (!links.length) return;
+      try {
+        const schedule = scheduleTasks(result.processTasks.filter(t => t.projectId === project.id), links, { calendar });
+        const linked = new Set(links.flatMap(l => [l.from, l.to]));
+        result.links.push(...links);
+        Object.assign(result.byId, schedule.byId);
+        schedule.criticalPath.filter(id => linked.has(id)).forEach(id => result.critical.add(id));
+        schedule.violated.forEach(l => result.violated.add(`${l.from}>${l.to}`));
+      } catch (err) {
+        console.warn(`Dependencies of ${project.id} skipped:`, err.message);
+      }
+    });
+    return result;
+  }, [planData, currentViewData, isAllProjectsView, activeProjectId, calendar]);
+
+  // Osnovni plan ispod traka procesa: taskId → { start, end, name }
+  const baselineBars = useMemo(() => {
+    const bars = new Map();
+    if (!settings.showBaseline) return bars;
+    (data?.projects || []).forEach(project => {
+      const baseline = pickBaseline(project, baselineSelection[project.id]);
+      if (!baseline) return;
+      (project.positions || []).forEach(position => (position.processes || []).forEach(process => {
+        const dates = getBaselineDates(baseline, position.id, process.name);
+        if (dates?.start && dates?.end) {
+          bars.set(`${project.id}-${position.id}-${process.name}`, { ...dates, name: baseline.name });
+        }
+      }));
+    });
+    return bars;
+  }, [data, baselineSelection, settings.showBaseline]);
+
+  const createBaseline = useCallback(async (projectId, name) => {
+    try {
+      const baseline = await projectService.createBaseline(projectId, name);
+      setBaselineSelection(prev => ({ ...prev, [projectId]: baseline.id }));
+    } catch (err) {
+      console.error('Failed to create baseline:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const deleteBaseline = useCallback(async (projectId, baselineId) => {
+    try {
+      await projectService.deleteBaseline(projectId, baselineId);
+      setBaselineSelection(prev => ({ ...prev, [projectId]: prev[projectId] === baselineId ? undefined : prev[projectId] }));
+    } catch (err) {
+      console.error('Failed to delete baseline:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const applyScheduleImport = useCallback(async (projectId, updates, fileName) => {
+    try {
+      await projectService.updateProcessesInPositions(
+        projectId,
+        updates.map(u => ({ positionId: u.positionId, processName: u.processName, updates: { plannedStart: u.plannedStart, plannedEnd: u.plannedEnd } })),
+        { source: 'import', title: 'Uvoz plana izvođača', details: fileName }
+      );
+    } catch (err) {
+      console.error('Failed to import schedule:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const createScenario = useCallback(async (projectId, name) => {
+    try {
+      await projectService.createScenario(projectId, { name });
+    } catch (err) {
+      console.error('Failed to create scenario:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const shiftScenario = useCallback(async (projectId, scenarioId, shift) => {
+    const project = data?.projects?.find(p => p.id === projectId);
+    const scenario = project?.scenarios?.find(s => s.id === scenarioId);
+    if (!scenario) return;
+    try {
+      const plan = shiftScenarioProcesses(project, scenario.plan, shift, { calendar });
+      await projectService.updateScenario(projectId, scenarioId, { plan });
+    } catch (err) {
+      console.error('Failed to shift scenario:', err);
+      setError(err.message);
+    }
+  }, [data, calendar, projectService]);
+
+  const addScenarioCost = useCallback(async (projectId, scenarioId, cost) => {
+    const scenario = data?.projects?.find(p => p.id === projectId)?.scenarios?.find(s => s.id === scenarioId);
+    if (!scenario) return;
+    try {
+      await projectService.updateScenario(projectId, scenarioId, { extraCosts: [...(scenario.extraCosts || []), cost] });
+    } catch (err) {
+      console.error('Failed to add scenario cost:', err);
+      setError(err.message);
+    }
+  }, [data, projectService]);
+
+  const saveDayRates = useCallback(async (projectId, dayRates) => {
+    try {
+      await projectService.setDayRates(projectId, dayRates);
+    } catch (err) {
+      console.error('Failed to save day rates:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const deleteScenario = useCallback(async (projectId, scenarioId) => {
+    try {
+      await projectService.deleteScenario(projectId, scenarioId);
+      setActiveScenario(prev => (prev?.scenarioId === scenarioId ? null : prev));
+    } catch (err) {
+      console.error('Failed to delete scenario:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const promoteScenario = useCallback(async (projectId, scenarioId, resolutions) => {
+    try {
+      await projectService.promoteScenario(projectId, scenarioId, resolutions);
+      setActiveScenario(prev => (prev?.scenarioId === scenarioId ? null : prev));
+    } catch (err) {
+      console.error('Failed to promote scenario:', err);
+      setError(err.message);
+    }
+  }, [projectService]);
+
+  const taskRowIndex = useMemo(() => {
+    const rows = new Map();
+    flatRows.forEach(row => {
+      if (row.type === 'task' && !rows.has(row.task.id)) rows.set(row.task.id, row.rowIndex);
+    });
+    return rows;
+  }, [flatRows]);
+
   const [viewport, setViewport] = useState({ left: 0, top: 0, width: 1000, height: 600 });
 
   const scrollHandler = useCallback(() => {
@@ -2960,6 +4355,8 @@ function PlannerGanttV2() {
       const isSelected = selectedTask?.id === task.id;
       const isHovered = hoveredTask?.id === task.id;
       const isDragging = dragState?.id === task.id;
+      const isCritical = settings.showCriticalPath && dependencySchedule.critical.has(task.id);
+      const baselineBar = baselineBars.get(task.id);
       
       // Apply optimistic updates during drag
       const optimisticUpdate = optimisticUpdates.get(task.id);
@@ -3013,6 +4410,18 @@ function PlannerGanttV2() {
       
       return (
         <>
+          {baselineBar && (
+            <div
+              className="absolute pointer-events-none rounded-sm border border-dashed border-slate-400 bg-slate-300/40 z-[5]"
+              style={{
+                left: daysBetween(timeline.start, new Date(baselineBar.start)) * dayWidth,
+                top: y + height - 2,
+                width: Math.max(daysBetween(new Date(baselineBar.start), new Date(baselineBar.end)) * dayWidth, 6),
+                height: 6
+              }}
+              title={`${baselineBar.name}: ${baselineBar.start} – ${baselineBar.end}`}
+            />
+          )}
           {settings.showProgressPercentage && (
             <div 
               className="absolute select-none" 
@@ -3053,7 +4462,7 @@ function PlannerGanttV2() {
             onMouseDown={(e)=>handleTaskMouseDown(e, task, 'move')}
           >
             <div 
-              className={`h-full rounded-lg border-2 overflow-hidden ${isSelected ?'ring-2 ring-blue-500 ring-offset-1':''} ${settings.highlightOverdue && task.status === 'kasni' ? 'animate-pulse' : ''} ${task.proces === 'općenito' && !useProjectColors ? 'rainbow-gradient' : ''} ${task.type === 'subtask' && !useProjectColors ? 'subtask-gradient' : ''} ${task.isPositionTask && !useProjectColors ? 'position-task-gradient' : ''}`} 
+              className={`h-full rounded-lg border-2 overflow-hidden ${isSelected ?'ring-2 ring-blue-500 ring-offset-1': isCritical ?'ring-2 ring-red-400':''} ${settings.highlightOverdue && task.status === 'kasni' ? 'animate-pulse' : ''} ${task.proces === 'općenito' && !useProjectColors ? 'rainbow-gradient' : ''} ${task.type === 'subtask' && !useProjectColors ? 'subtask-gradient' : ''} ${task.isPositionTask && !useProjectColors ? 'position-task-gradient' : ''}`} 
               style={{
                 backgroundColor: useProjectColors ? `${projectColor}20` : status.light,
                 borderColor: useProjectColors ? projectColor : 
@@ -3166,7 +4575,8 @@ function PlannerGanttV2() {
     });
   }, [
     dayWidth, timeline.start, visibleDayStart, visibleDayEnd, visibleRowStart, visibleRowEnd,
-    hoveredTask, selectedTask, dragState, settings, indicatorFilters, currentViewData, isAllProjectsView, optimisticUpdates
+    hoveredTask, selectedTask, dragState, settings, indicatorFilters, currentViewData, isAllProjectsView, optimisticUpdates,
+    dependencySchedule, baselineBars
   ]);
 
   // Other callbacks
@@ -3347,9 +4757,10 @@ function PlannerGanttV2() {
       startX: e.clientX, 
       startDays, 
       endDays, 
+      workDays: calendar.countWorkDays(task.start, calendar.shiftDate(task.end, -1)),
       originalTask: { ...task } // Ensure originalTask includes projectId
     });
-  }, [timeline.start, pushToHistory]);
+  }, [timeline.start, pushToHistory, calendar]);
 
   const handleMouseMove = useCallback((e) => {
     if (!dragState) return;
@@ -3357,30 +4768,43 @@ function PlannerGanttV2() {
     const deltaDays = Math.round(deltaX / dayWidth);
     if (deltaDays === 0 && e.type !== 'mouseup') return;
     
+    // Trake počinju i završavaju na radni dan; pomak čuva trajanje u radnim danima
+    const dayAfter = (date) => calendar.shiftDate(date, 1);
     let newStart, newEnd;
     if (dragState.mode === 'move') {
-      newStart = formatDate(addDays(timeline.start, dragState.startDays + deltaDays));
-      newEnd = formatDate(addDays(timeline.start, dragState.endDays + deltaDays));
+      newStart = calendar.nextWorkDay(formatDate(addDays(timeline.start, dragState.startDays + deltaDays)));
+      newEnd = dayAfter(calendar.endAfterWorkDays(newStart, dragState.workDays));
     } else if (dragState.mode === 'resize-left') {
-      const newStartDays = dragState.startDays + deltaDays;
-      if (newStartDays >= dragState.endDays) return;
-      newStart = formatDate(addDays(timeline.start, newStartDays));
+      newStart = calendar.nextWorkDay(formatDate(addDays(timeline.start, dragState.startDays + deltaDays)));
       newEnd = dragState.originalTask.end;
+      if (newStart >= newEnd) return;
     } else if (dragState.mode === 'resize-right') {
-      const newEndDays = dragState.endDays + deltaDays;
-      if (newEndDays <= dragState.startDays) return;
       newStart = dragState.originalTask.start;
-      newEnd = formatDate(addDays(timeline.start, newEndDays));
+      newEnd = dayAfter(calendar.previousWorkDay(formatDate(addDays(timeline.start, dragState.endDays + deltaDays - 1))));
+      if (newEnd <= newStart) return;
     }
     
+    // Sljedbenici koje pomak gura (pregled prije spremanja)
+    const { links, processTasks } = dependencySchedule;
+    const pushed = links.some(l => l.from === dragState.id)
+      ? pushSuccessors(
+          processTasks.filter(t => t.projectId === dragState.originalTask.projectId),
+          links,
+          dragState.id,
+          { start: newStart, end: newEnd },
+          { calendar }
+        ).slice(1)
+      : [];
+
     // OPTIMISTIC UPDATE: Update UI immediately, no database save during drag
-    setOptimisticUpdates(prev => new Map(prev.set(dragState.id, {
-      start: newStart,
-      end: newEnd,
-      isDragging: true
-    })));
+    setOptimisticUpdates(prev => {
+      const next = new Map([...prev].filter(([, update]) => update.pushedBy !== dragState.id));
+      next.set(dragState.id, { start: newStart, end: newEnd, isDragging: true });
+      pushed.forEach(c => next.set(c.id, { start: c.start, end: c.end, isDragging: true, pushedBy: dragState.id }));
+      return next;
+    });
 
-  }, [dragState, dayWidth, timeline.start]);
+  }, [dragState, dayWidth, timeline.start, dependencySchedule, calendar]);
 
   const throttledHandleMouseMove = useRafThrottle(handleMouseMove);
 
@@ -3389,28 +4813,51 @@ function PlannerGanttV2() {
     
     // Get the final optimistic update
     const finalUpdate = optimisticUpdates.get(dragState.id);
+    const pushed = [...optimisticUpdates].filter(([, update]) => update.pushedBy === dragState.id);
     
     if (finalUpdate && finalUpdate.isDragging) {
       // SAVE TO DATABASE: Only happens once when drag ends
       const targetProjectId = dragState.originalTask.projectId;
       
       if (targetProjectId) {
+        let savedToScenario = false;
         try {
-          await updateTask(dragState.id, { 
-            start: finalUpdate.start, 
-            end: finalUpdate.end 
-          }, targetProjectId);
+          if (dragState.originalTask.meta?.entity === 'process') {
+            // Pomaknuta traka i gurnuti sljedbenici u jednom spremanju, s ručnim pomakom u povijesti
+            const metaOf = new Map(dependencySchedule.processTasks.map(t => [t.id, t.meta]));
+            metaOf.set(dragState.id, dragState.originalTask.meta);
+            const changes = [[dragState.id, finalUpdate], ...pushed].map(([id, update]) => ({
+              positionId: metaOf.get(id).positionId,
+              processName: metaOf.get(id).processName,
+              updates: { plannedStart: update.start, plannedEnd: update.end }
+            }));
+            if (scenarioInEdit?.project.id === targetProjectId) {
+              // Uređivanje scenarija: živi plan i povijest ostaju netaknuti
+              const { scenario } = scenarioInEdit;
+              await projectService.updateScenario(targetProjectId, scenario.id, {
+                plan: changes.reduce((plan, c) => setScenarioProcess(plan, c.positionId, c.processName, c.updates), scenario.plan)
+              });
+              savedToScenario = true;
+            } else {
+              await projectService.updateProcessesInPositions(targetProjectId, changes, { source: 'manual', title: 'Traka pomaknuta u planeru' });
+            }
+          } else {
+            await updateTask(dragState.id, { 
+              start: finalUpdate.start, 
+              end: finalUpdate.end 
+            }, targetProjectId);
+          }
           
           console.log('✅ Drag completed - saved to database');
           
           // Add event to history
           const originalTask = dragState.originalTask;
-          addEvent({
+          if (!savedToScenario) addEvent({
             id: `e${Date.now()}`, 
             date: formatDate(new Date()), 
             type: 'promjena',
             naslov: `Promijenjeno trajanje`, 
-            opis: `${originalTask.naziv} - ${originalTask.pozicija}`
+            opis: `${originalTask.naziv} - ${originalTask.pozicija}${pushed.length ? ` (pomaknuto sljedbenika: ${pushed.length})` : ''}`
           }, targetProjectId);
           
         } catch (error) {
@@ -3427,9 +4874,10 @@ function PlannerGanttV2() {
     setOptimisticUpdates(prev => {
       const newMap = new Map(prev);
       newMap.delete(dragState.id);
+      pushed.forEach(([id]) => newMap.delete(id));
       return newMap;
     });
-  }, [dragState, optimisticUpdates, updateTask, addEvent]);
+  }, [dragState, optimisticUpdates, updateTask, addEvent, dependencySchedule, projectService, scenarioInEdit]);
 
   useEffect(() => {
     if (dragState) {
@@ -3902,6 +5350,52 @@ function PlannerGanttV2() {
             >
               <Settings className="w-4 h-4" />
             </button>
+            <button 
+              onClick={() => setDependencyEditorTask(selectedTask)} 
+              disabled={selectedTask?.meta?.entity !== 'process'}
+              className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors disabled:opacity-40" 
+              title="Veze odabranog procesa"
+            >
+              <Link2 className="w-4 h-4" />
+            </button>
+            <button 
+              onClick={() => setShowWorkCalendar(true)} 
+              className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors" 
+              title="Radni kalendar"
+            >
+              <CalendarDays className="w-4 h-4" />
+            </button>
+            <button 
+              onClick={() => setShowTemplatesPanel(true)} 
+              className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors" 
+              title="Predlošci procesa i normativi"
+            >
+              <LayoutTemplate className="w-4 h-4" />
+            </button>
+            <button 
+              onClick={() => setShowBaselinePanel(true)} 
+              disabled={!data?.projects?.length}
+              className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors disabled:opacity-40" 
+              title="Osnovni planovi i odstupanja"
+            >
+              <Flag className="w-4 h-4" />
+            </button>
+            <button 
+              onClick={() => setShowExchangePanel(true)} 
+              disabled={!data?.projects?.length}
+              className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors disabled:opacity-40" 
+              title="MS Project / Primavera / kalendari"
+            >
+              <ArrowLeftRight className="w-4 h-4" />
+            </button>
+            <button 
+              onClick={() => setShowScenarioPanel(true)} 
+              disabled={!data?.projects?.length}
+              className={`p-2 border rounded-lg transition-colors disabled:opacity-40 ${scenarioInEdit ? 'bg-violet-50 border-violet-300 text-violet-700' : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'}`} 
+              title="Scenariji (što ako)"
+            >
+              <GitBranch className="w-4 h-4" />
+            </button>
             <button 
               onClick={fitToView} 
               className="p-2 bg-white border border-slate-300 text-slate-600 hover:bg-slate-50 rounded-lg transition-colors" 
@@ -3931,6 +5425,17 @@ function PlannerGanttV2() {
           </div>
         </div>
       </div>
+
+      {scenarioInEdit && (
+        <div className="flex items-center gap-3 px-4 py-2 bg-violet-50 border-b border-violet-200 text-sm text-violet-800">
+          <GitBranch className="w-4 h-4" />
+          <span>
+            Uređuje se scenarij <strong>{scenarioInEdit.scenario.name}</strong> ({scenarioInEdit.project.name || scenarioInEdit.project.id}) — pomaci traka ne mijenjaju živi plan
+          </span>
+          <button onClick={() => setShowScenarioPanel(true)} className="ml-auto px-2 py-1 text-xs border border-violet-300 rounded hover:bg-violet-100">Usporedi</button>
+          <button onClick={() => setActiveScenario(null)} className="px-2 py-1 text-xs bg-violet-600 text-white rounded hover:bg-violet-700">Natrag na živi plan</button>
+        </div>
+      )}
       
       {showSettings && (
         <SettingsPanel 
@@ -3942,6 +5447,65 @@ function PlannerGanttV2() {
           onClose={() => setShowSettings(false)} 
         />
       )}
+
+      {showBaselinePanel && (
+        <BaselinePanel
+          projects={data?.projects || []}
+          initialProjectId={isAllProjectsView ? null : activeProjectId}
+          selection={baselineSelection}
+          calendar={calendar}
+          onSelect={(projectId, baselineId) => setBaselineSelection(prev => ({ ...prev, [projectId]: baselineId }))}
+          onCreate={createBaseline}
+          onDelete={deleteBaseline}
+          onClose={() => setShowBaselinePanel(false)}
+        />
+      )}
+      {showExchangePanel && (
+        <ScheduleExchangePanel
+          projects={data?.projects || []}
+          initialProjectId={isAllProjectsView ? null : activeProjectId}
+          calendar={calendar}
+          onApplyImport={applyScheduleImport}
+          onClose={() => setShowExchangePanel(false)}
+        />
+      )}
+      {showScenarioPanel && (
+        <ScenarioPanel
+          projects={data?.projects || []}
+          initialProjectId={activeScenario?.projectId || (isAllProjectsView ? null : activeProjectId)}
+          calendar={calendar}
+          activeScenario={activeScenario}
+          onCreate={createScenario}
+          onEdit={(target) => { setActiveScenario(target); if (target) setShowScenarioPanel(false); }}
+          onShift={shiftScenario}
+          onAddCost={addScenarioCost}
+          onSaveRates={saveDayRates}
+          onDelete={deleteScenario}
+          onPromote={promoteScenario}
+          onClose={() => setShowScenarioPanel(false)}
+        />
+      )}
+      {showWorkCalendar && (
+        <WorkCalendarPanel calendar={calendar} onSave={saveCalendar} onClose={() => setShowWorkCalendar(false)} />
+      )}
+      {showTemplatesPanel && (
+        <ProcessTemplatesPanel
+          templates={templates}
+          history={data?.projects || []}
+          calendar={calendar}
+          onSave={saveTemplates}
+          onClose={() => setShowTemplatesPanel(false)}
+        />
+      )}
+      {dependencyEditorTask && data?.projects?.find(p => p.id === dependencyEditorTask.meta.projectId) && (
+        <DependencyEditor
+          project={data.projects.find(p => p.id === dependencyEditorTask.meta.projectId)}
+          positionId={dependencyEditorTask.meta.positionId}
+          processName={dependencyEditorTask.meta.processName}
+          onSave={(byName) => saveProcessDependencies(dependencyEditorTask.meta.projectId, dependencyEditorTask.meta.positionId, byName)}
+          onClose={() => setDependencyEditorTask(null)}
+        />
+      )}
       
       <div className="flex-1 flex overflow-hidden">
         <div className="w-80 bg-white border-r flex flex-col">
@@ -4042,14 +5606,14 @@ function PlannerGanttV2() {
                 {Array.from({ length: visibleDayEnd - visibleDayStart }).map((_, idx) => { 
                   const i = visibleDayStart + idx; 
                   const date = addDays(timeline.start, i); 
-                  const isWeekend = date.getDay() === 0 || date.getDay() === 6; 
+                  const dayInfo = calendar.getDayInfo(formatDate(date)); 
                   const isToday = formatDate(date) === formatDate(new Date()); 
                   return (
                     <div 
                       key={i} 
-                      className={`border-r flex items-center justify-center text-xs ${isWeekend ? 'bg-slate-50' : ''} ${isToday ? 'bg-blue-50 font-semibold text-blue-600' : ''}`} 
+                      className={`border-r flex items-center justify-center text-xs ${OFF_DAY_BG[dayInfo.type] || ''} ${isToday ? 'bg-blue-50 font-semibold text-blue-600' : ''}`} 
                       style={{ width: dayWidth }} 
-                      title={croatianDateFull(date)}
+                      title={dayInfo.label ? `${croatianDateFull(date)} — ${dayInfo.label}` : croatianDateFull(date)}
                     >
                       {zoom === 'day' && (
                         <div className="text-center">
@@ -4115,14 +5679,14 @@ function PlannerGanttV2() {
                     {Array.from({ length: visibleDayEnd - visibleDayStart }).map((_, idx) => { 
                       const i = visibleDayStart + idx; 
                       const date = addDays(timeline.start, i); 
-                      const isWeekend = date.getDay() === 0 || date.getDay() === 6; 
+                      const dayInfo = calendar.getDayInfo(formatDate(date)); 
                       const isToday = formatDate(date) === formatDate(new Date()); 
                       return (
                         <div 
                           key={i} 
-                          className={`border-r flex items-center justify-center text-xs ${isWeekend ? 'bg-slate-50' : ''} ${isToday ? 'bg-blue-50 font-semibold text-blue-600' : ''}`} 
+                          className={`border-r flex items-center justify-center text-xs ${OFF_DAY_BG[dayInfo.type] || ''} ${isToday ? 'bg-blue-50 font-semibold text-blue-600' : ''}`} 
                           style={{ width: dayWidth }} 
-                          title={croatianDateFull(date)}
+                          title={dayInfo.label ? `${croatianDateFull(date)} — ${dayInfo.label}` : croatianDateFull(date)}
                         >
                           {zoom === 'day' && (
                             <div className="text-center">
@@ -4157,10 +5721,10 @@ function PlannerGanttV2() {
               {Array.from({ length: visibleDayEnd - visibleDayStart }).map((_, idx) => { 
                 const i = visibleDayStart + idx; 
                 const date = addDays(timeline.start, i); 
-                const isWeekend = date.getDay() === 0 || date.getDay() === 6; 
+                const dayInfo = calendar.getDayInfo(formatDate(date)); 
                 const isToday = formatDate(date) === formatDate(new Date()); 
                 return ( 
-                  <div key={i} className={`absolute top-0 bottom-0 border-r ${isWeekend ? 'bg-slate-50' : ''} ${isToday ? 'bg-blue-50 border-blue-300' : 'border-slate-100'}`} style={{ left: `${i * dayWidth}px`, width: dayWidth }} /> 
+                  <div key={i} className={`absolute top-0 bottom-0 border-r ${OFF_DAY_BG[dayInfo.type] || ''} ${isToday ? 'bg-blue-50 border-blue-300' : 'border-slate-100'}`} style={{ left: `${i * dayWidth}px`, width: dayWidth }} /> 
                 ); 
               })}
               {(() => { 
@@ -4195,6 +5759,22 @@ function PlannerGanttV2() {
               {flatRows.filter(row => row.type === 'task').map(row => {
                 return <TaskBar key={row.key} task={row.task} rowIndex={row.rowIndex} />;
               })}
+              {settings.showDependencies && dependencySchedule.links.length > 0 && (
+                <DependencyLayer
+                  links={dependencySchedule.links}
+                  rowOf={taskRowIndex}
+                  taskOf={(id) => {
+                    const task = dependencySchedule.processTasks.find(t => t.id === id);
+                    return task && { ...task, ...optimisticUpdates.get(id) };
+                  }}
+                  timelineStart={timeline.start}
+                  dayWidth={dayWidth}
+                  critical={settings.showCriticalPath ? dependencySchedule.critical : new Set()}
+                  violated={dependencySchedule.violated}
+                  width={totalDays * dayWidth}
+                  height={chartHeight}
+                />
+              )}
             </div>
           </div>
         </div>
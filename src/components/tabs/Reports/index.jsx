@@ -12,6 +12,10 @@ Home, Library, Gamepad2, AppWindow, Search, Settings, Sparkles,
   Rewind, Maximize2, Filter, Camera,ShoppingCart,QrCode, Share2, BadgeCheck, Bookmark,
   Building, MapPin, DoorOpen, Square, Maximize, Activity, X, ExternalLink // Also add X here
 } from "lucide-react";
+import ProjectDataService from "../../../services/ProjectDataService.js";
+import AgbimDataService from "../../../services/AgbimDataService";
+import useWorkCalendar from "../../../hooks/useWorkCalendar.js";
+import { EV_STEPS, earnedValueSeries, rollupProgress } from "../../../utils/earnedValue.js";
 
 
 const ToggleSwitch = ({ value, onChange }) => (
@@ -37,6 +41,167 @@ const SegmentedControl = ({ options, value, onChange }) => (
   </div>
 );
 
+const formatIndex = (value) => (value === null ? '—' : value.toFixed(2));
+const indexTone = (value) => (value === null ? '' : value >= 1 ? 'text-green-600' : value >= 0.9 ? 'text-amber-600' : 'text-red-600');
+
+// S-krivulja: kumulativni PV / EV / AC
+const SCurve = ({ points, width = 640, height = 220 }) => {
+  const pad = { left: 48, right: 12, top: 12, bottom: 24 };
+  const max = Math.max(1, ...points.flatMap(p => [p.pv, p.ev ?? 0, p.ac ?? 0]));
+  const x = (i) => pad.left + (points.length > 1 ? i / (points.length - 1) : 0) * (width - pad.left - pad.right);
+  const y = (v) => height - pad.bottom - v / max * (height - pad.top - pad.bottom);
+  const line = (key) => points
+    .map((p, i) => (p[key] === null ? null : `${x(i)},${y(p[key])}`))
+    .filter(Boolean)
+    .join(' ');
+  const series = [
+    { key: 'pv', label: 'PV', color: '#94a3b8', dash: '4 3' },
+    { key: 'ev', label: 'EV', color: '#2563eb' },
+    { key: 'ac', label: 'AC', color: '#dc2626' }
+  ];
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      {[0, 0.5, 1].map(f => (
+        <g key={f}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(max * f)} y2={y(max * f)} stroke="#e2e8f0" />
+          <text x={pad.left - 6} y={y(max * f) + 3} textAnchor="end" fontSize="10" fill="#64748b">{Math.round(max * f).toLocaleString('hr-HR')}</text>
+        </g>
+      ))}
+      {points.length > 0 && [0, points.length - 1].map(i => (
+        <text key={i} x={x(i)} y={height - 6} textAnchor={i ? 'end' : 'start'} fontSize="10" fill="#64748b">{points[i].date}</text>
+      ))}
+      {series.map(s => (
+        <polyline key={s.key} points={line(s.key)} fill="none" stroke={s.color} strokeWidth="2" strokeDasharray={s.dash} />
+      ))}
+      {series.map((s, i) => (
+        <g key={s.label} transform={`translate(${pad.left + 8 + i * 48}, ${pad.top + 4})`}>
+          <rect width="10" height="3" y="3" fill={s.color} />
+          <text x="14" y="8" fontSize="10" fill="#334155">{s.label}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Ostvarena vrijednost odabranog projekta iz statusa montaže i povezanih troškova
+const EarnedValueCard = () => {
+  const [projectService] = useState(() => new ProjectDataService());
+  const dataService = useRef(new AgbimDataService());
+  const { calendar } = useWorkCalendar();
+  const [projects, setProjects] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [step, setStep] = useState(EV_STEPS.WEEK);
+
+  useEffect(() => {
+    let mounted = true;
+    const load = async () => {
+      try {
+        const data = await projectService.loadAllProjects();
+        if (!mounted) return;
+        setProjects(data.projects || []);
+        setProjectId(prev => prev || data.activeProjectId || data.projects?.[0]?.id || '');
+      } catch (error) {
+        console.error('Projects unavailable for earned value:', error);
+      }
+    };
+    load();
+    dataService.current.getAccountingRecords()
+      .then(saved => mounted && setRecords(saved || []))
+      .catch(error => console.warn('Accounting records unavailable for earned value:', error.message));
+    const unsubscribe = projectService.subscribe(() => load());
+    return () => {
+      mounted = false;
+      unsubscribe();
+    };
+  }, [projectService]);
+
+  const project = projects.find(p => p.id === projectId);
+  const ev = useMemo(() => (project ? earnedValueSeries(project, records, { step, calendar }) : null), [project, records, step, calendar]);
+  const rollup = useMemo(() => (project ? rollupProgress(project, { calendar }) : null), [project, calendar]);
+  const summary = ev?.summary;
+
+  return (
+    <div className="rounded-2xl ring-1 ring-slate-200 bg-white p-4">
+      <div className="flex items-center justify-between mb-3 gap-2">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2"><TrendingUp className="h-4 w-4" /> Earned Value</h3>
+          <p className="text-sm opacity-70">Progress from piece-level montaža status, cost from linked accounting records</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className="rounded-xl bg-slate-50 ring-1 ring-slate-200 px-3 py-1.5 text-sm">
+            {projects.map(p => <option key={p.id} value={p.id}>{p.name || p.id}</option>)}
+          </select>
+          <SegmentedControl options={[EV_STEPS.WEEK, EV_STEPS.MONTH]} value={step} onChange={setStep} />
+        </div>
+      </div>
+
+      {!summary || !ev.points.length ? (
+        <div className="text-sm opacity-70 py-6 text-center">No planned dates to build the S-curve from</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 sm:grid-cols-6 gap-2 mb-3">
+            {[
+              ['Complete', `${summary.percent}%`, ''],
+              // Bez budžeta PV i EV su postotak opsega
+              ['PV', summary.budgeted ? summary.pv.toLocaleString('hr-HR') : `${Math.round(summary.pv)}%`, ''],
+              ['EV', summary.budgeted ? summary.ev.toLocaleString('hr-HR') : `${Math.round(summary.ev)}%`, ''],
+              ['AC', summary.ac.toLocaleString('hr-HR'), ''],
+              ['SPI', formatIndex(summary.spi), indexTone(summary.spi)],
+              ['CPI', formatIndex(summary.cpi), indexTone(summary.cpi)]
+            ].map(([label, value, tone]) => (
+              <div key={label} className="rounded-xl bg-slate-50 ring-1 ring-slate-200 px-3 py-2">
+                <div className="text-xs opacity-70">{label}</div>
+                <div className={`text-lg font-semibold ${tone}`}>{value}</div>
+              </div>
+            ))}
+          </div>
+          <SCurve points={ev.points} />
+          <div className="mt-2 text-xs opacity-70">
+            {summary.budgeted ? (
+              <>
+                BAC {summary.bac.toLocaleString('hr-HR')} EUR
+                {summary.eac !== null && <> · EAC {summary.eac.toLocaleString('hr-HR')} EUR · VAC {summary.vac.toLocaleString('hr-HR')} EUR</>}
+              </>
+            ) : (
+              <>No budget - set the project budget or position values to compare cost (CPI, EAC). PV/EV show % of scope.</>
+            )}
+          </div>
+        </>
+      )}
+
+      {rollup && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <div className="text-xs font-medium opacity-70 mb-1">Positions</div>
+            {rollup.positions.map(row => (
+              <div key={row.positionId} className="flex items-center gap-2 py-1">
+                <span className="flex-1 truncate">{row.title}</span>
+                {row.pieces > 0 && <span className="text-xs opacity-60">{row.completedPieces}/{row.pieces}</span>}
+                <div className="w-24 h-1.5 rounded-full bg-slate-100"><div className="h-1.5 rounded-full bg-blue-600" style={{ width: `${row.percent}%` }} /></div>
+                <span className="w-10 text-right">{row.percent}%</span>
+              </div>
+            ))}
+          </div>
+          <div>
+            <div className="text-xs font-medium opacity-70 mb-1">Floors</div>
+            {rollup.floors.length === 0 && <div className="text-xs opacity-60">No pieces with floor data</div>}
+            {rollup.floors.map(floor => (
+              <div key={floor.floor} className="flex items-center gap-2 py-1">
+                <span className="flex-1 truncate">{floor.floor}</span>
+                <span className="text-xs opacity-60">{floor.completed}/{floor.pieces}</span>
+                <div className="w-24 h-1.5 rounded-full bg-slate-100"><div className="h-1.5 rounded-full bg-emerald-600" style={{ width: `${floor.percent}%` }} /></div>
+                <span className="w-10 text-right">{floor.percent}%</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default function ReportsPanel() {
   // ----- Invoices sample data -----
   const [range, setRange] = useState("Last 30 days");
@@ -263,6 +428,9 @@ export default function ReportsPanel() {
       <div className="mt-6 grid grid-cols-1 xl:grid-cols-3 gap-6">
         {/* Left 2 cols */}
         <div className="xl:col-span-2 space-y-6">
+          {/* Earned value */}
+          <EarnedValueCard />
+
           {/* Invoice summary */}
           <div className="rounded-2xl ring-1 ring-slate-200 bg-white p-4">
             <div className="flex items-center justify-between mb-3">
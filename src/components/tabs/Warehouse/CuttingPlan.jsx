@@ -0,0 +1,243 @@
+import { useState, useEffect, useMemo } from "react";
+import { Scissors, Download, CheckCircle, AlertTriangle, RefreshCw } from "lucide-react";
+import {
+  DEFAULT_CUTTING_OPTIONS,
+  collectProfilePieces,
+  buildCuttingPlan,
+  cuttingPlanToCsv
+} from "../../../utils/cuttingOptimizer";
+
+const cardStyle = { backgroundColor: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' };
+const inputStyle = { padding: '8px', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '14px' };
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: '#6b7280' };
+
+// Krojna lista: optimizacija rezanja profila projekta uz korištenje ostataka sa skladišta
+export default function CuttingPlan({ dataService, onApplied }) {
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [offcuts, setOffcuts] = useState([]);
+  const [options, setOptions] = useState({
+    ...DEFAULT_CUTTING_OPTIONS,
+    stockLengths: DEFAULT_CUTTING_OPTIONS.stockLengths.join(', ')
+  });
+  const [offcutLocation, setOffcutLocation] = useState('');
+  const [message, setMessage] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  const loadData = async () => {
+    try {
+      const data = await dataService.loadAllProjects();
+      setProjects(data?.projects || []);
+      setOffcuts(await dataService.getOffcuts());
+    } catch (error) {
+      console.error('❌ Error loading cutting data:', error);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const project = projects.find(p => p.id === projectId);
+  const pieces = useMemo(() => (project ? collectProfilePieces(project) : []), [project]);
+
+  const plan = useMemo(() => {
+    if (pieces.length === 0) return null;
+    const stockLengths = String(options.stockLengths)
+      .split(/[,;\s]+/)
+      .map(Number)
+      .filter(n => n > 0);
+    return buildCuttingPlan(pieces, offcuts, {
+      stockLengths: stockLengths.length ? stockLengths : DEFAULT_CUTTING_OPTIONS.stockLengths,
+      kerf: Number(options.kerf) || 0,
+      trim: Number(options.trim) || 0,
+      minOffcut: Number(options.minOffcut) || 0
+    });
+  }, [pieces, offcuts, options]);
+
+  const handleExport = () => {
+    const blob = new Blob(['﻿' + cuttingPlanToCsv(plan)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute("download", `krojna_lista_${projectId}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleApply = async () => {
+    try {
+      setApplying(true);
+      setMessage(null);
+      const result = await dataService.applyCuttingPlan(projectId, plan, { offcutLocation });
+      setMessage({
+        type: result.alreadyApplied || result.warnings.length ? 'warning' : 'success',
+        text: [
+          `${result.planRef} ${result.alreadyApplied ? 'je već potvrđen - ništa nije ponovno izdano' : 'potvrđen'}: ${result.movements.length} izdatnica, ${result.offcuts.length} ostataka na skladište`,
+          ...result.warnings
+        ].join(' • ')
+      });
+      await loadData();
+      onApplied?.();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const messageColors = {
+    success: { backgroundColor: '#dcfce7', color: '#166534' },
+    warning: { backgroundColor: '#fef3c7', color: '#92400e' },
+    error: { backgroundColor: '#fee2e2', color: '#991b1b' }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ fontSize: '20px', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <Scissors size={20} /> Krojna lista profila
+        </h2>
+        <button
+          onClick={loadData}
+          style={{ ...inputStyle, backgroundColor: 'white', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px' }}
+        >
+          <RefreshCw size={14} /> Osvježi
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 2fr 1fr 1fr 1fr 1fr', gap: '12px', marginBottom: '20px' }}>
+        <label style={labelStyle}>
+          Projekt
+          <select value={projectId} onChange={(e) => setProjectId(e.target.value)} style={inputStyle}>
+            <option value="">Odaberi projekt...</option>
+            {projects.map(p => (
+              <option key={p.id} value={p.id}>{p.name || p.id}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Duljine šipki (mm)
+          <input value={options.stockLengths} onChange={(e) => setOptions({ ...options, stockLengths: e.target.value })} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          Rez pile (mm)
+          <input type="number" value={options.kerf} onChange={(e) => setOptions({ ...options, kerf: e.target.value })} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          Čišćenje (mm)
+          <input type="number" value={options.trim} onChange={(e) => setOptions({ ...options, trim: e.target.value })} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          Min. ostatak (mm)
+          <input type="number" value={options.minOffcut} onChange={(e) => setOptions({ ...options, minOffcut: e.target.value })} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          Lokacija ostataka
+          <input value={offcutLocation} placeholder="npr. R-01-1" onChange={(e) => setOffcutLocation(e.target.value)} style={inputStyle} />
+        </label>
+      </div>
+
+      {message && (
+        <div style={{ ...messageColors[message.type], padding: '12px', borderRadius: '8px', marginBottom: '16px', fontSize: '14px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {project && pieces.length === 0 && (
+        <p style={{ color: '#6b7280' }}>Projekt nema LogiKal listu profila (cutList ili profile s duljinom).</p>
+      )}
+
+      {plan && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '12px', marginBottom: '20px' }}>
+            {[
+              ['Komada', plan.summary.pieces],
+              ['Novih šipki', plan.summary.newBars],
+              ['Iskorišteni ostaci', plan.summary.offcutsUsed],
+              ['Novi ostaci', plan.summary.newOffcuts],
+              ['Otpad', `${plan.summary.wastePct}%`]
+            ].map(([label, value]) => (
+              <div key={label} style={{ padding: '12px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
+                <p style={{ fontSize: '12px', color: '#6b7280' }}>{label}</p>
+                <p style={{ fontSize: '20px', fontWeight: 'bold' }}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {plan.summary.unplaced > 0 && (
+            <div style={{ ...messageColors.warning, padding: '12px', borderRadius: '8px', marginBottom: '16px', fontSize: '14px', display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <AlertTriangle size={16} /> {plan.summary.unplaced} komada je dulje od najdulje šipke
+            </div>
+          )}
+
+          {plan.groups.map(group => (
+            <div key={`${group.profileCode}|${group.color}`} style={{ marginBottom: '20px' }}>
+              <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '8px' }}>
+                {group.profileCode} {group.color && <span style={{ color: '#6b7280', fontWeight: 'normal' }}>• {group.color}</span>}
+                <span style={{ float: 'right', fontSize: '13px', color: '#6b7280', fontWeight: 'normal' }}>
+                  {Object.entries(group.totals.barsByLength).map(([len, n]) => `${n} × ${len}`).join(', ') || 'samo ostaci'} • otpad {group.totals.wastePct}%
+                </span>
+              </h3>
+              {group.bars.map(bar => (
+                <div key={bar.barNo} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                  <span style={{ width: '90px', fontSize: '12px', color: '#6b7280' }}>
+                    #{bar.barNo} {bar.source === 'offcut' ? 'ostatak' : ''} {bar.length}
+                  </span>
+                  <div style={{ flex: 1, display: 'flex', height: '22px', backgroundColor: '#f3f4f6', borderRadius: '4px', overflow: 'hidden' }}>
+                    {bar.cuts.map((cut, i) => (
+                      <div
+                        key={`${cut.id}_${i}`}
+                        title={`${cut.label} ${cut.length} mm ${cut.positionId || ''}`}
+                        style={{
+                          width: `${(cut.length / bar.length) * 100}%`,
+                          backgroundColor: bar.source === 'offcut' ? '#a5b4fc' : '#6366f1',
+                          borderRight: '2px solid white',
+                          color: 'white',
+                          fontSize: '10px',
+                          overflow: 'hidden',
+                          whiteSpace: 'nowrap',
+                          paddingLeft: '4px',
+                          lineHeight: '22px'
+                        }}
+                      >
+                        {cut.length}
+                      </div>
+                    ))}
+                    <div style={{
+                      width: `${(bar.leftover / bar.length) * 100}%`,
+                      backgroundColor: bar.leftoverType === 'offcut' ? '#bbf7d0' : '#fecaca'
+                    }} />
+                  </div>
+                  <span style={{ width: '110px', fontSize: '12px', color: bar.leftoverType === 'offcut' ? '#166534' : '#991b1b' }}>
+                    {bar.leftover} mm {bar.leftoverType === 'offcut' ? 'ostatak' : 'otpad'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+            <button
+              onClick={handleExport}
+              style={{ padding: '10px 20px', backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '8px', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <Download size={16} /> Krojna lista (CSV)
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={applying}
+              style={{ padding: '10px 20px', backgroundColor: '#6366f1', color: 'white', border: 'none', borderRadius: '8px', cursor: applying ? 'wait' : 'pointer', display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <CheckCircle size={16} /> Potvrdi plan
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState, useEffect } from "react";
+import { Factory, AlertTriangle, CheckCircle, RefreshCw } from "lucide-react";
+import { DEPARTMENTS } from "../../../store/useProjectStore";
+import { RESERVE_STAGES, ISSUE_STAGES, formatShortageWarnings } from "../../../utils/materialReservations";
+
+const cardStyle = { backgroundColor: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' };
+const inputStyle = { padding: '8px', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '14px' };
+const cellStyle = { padding: '10px 8px', borderBottom: '1px solid #f3f4f6', fontSize: '14px', verticalAlign: 'top' };
+
+const messageColors = {
+  success: { backgroundColor: '#dcfce7', color: '#166534' },
+  warning: { backgroundColor: '#fef3c7', color: '#92400e' },
+  error: { backgroundColor: '#fee2e2', color: '#991b1b' }
+};
+
+const stageLabel = (stage) => {
+  if (RESERVE_STAGES.includes(stage)) return `${stage} (rezervira materijal)`;
+  if (ISSUE_STAGES.includes(stage)) return `${stage} (izdaje materijal)`;
+  return stage;
+};
+
+// Faze pozicija: ulazak u rezanje rezervira LogiKal materijal pozicije, ulazak u proizvodnju ga izdaje
+export default function PositionStages({ dataService, onChanged }) {
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [savingId, setSavingId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadData = async () => {
+    try {
+      const data = await dataService.loadAllProjects();
+      const list = data?.projects || [];
+      setProjects(list);
+      setProjectId(current => current || list[0]?.id || '');
+    } catch (error) {
+      console.error('❌ Error loading positions:', error);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const project = projects.find(p => p.id === projectId);
+
+  const handleStage = async (position, stage) => {
+    try {
+      setSavingId(position.id);
+      setMessage(null);
+      const { materials } = await dataService.updatePositionStage(projectId, position.id, stage);
+      const summary = materials
+        ? `: ${materials.reservations.length} rezervacija, ${materials.movements.length} izdavanja`
+        : '';
+      setMessage({
+        type: materials?.shortages.length ? 'warning' : 'success',
+        text: [`${position.id} → ${stage}${summary}`, ...formatShortageWarnings(materials?.shortages || [])].join(' • ')
+      });
+      await loadData();
+      onChanged?.();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ fontSize: '20px', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <Factory size={20} /> Faze pozicija
+        </h2>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <select value={projectId} onChange={(e) => setProjectId(e.target.value)} style={inputStyle}>
+            {projects.map(p => (
+              <option key={p.id} value={p.id}>{p.name || p.id}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadData}
+            style={{ ...inputStyle, backgroundColor: 'white', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px' }}
+          >
+            <RefreshCw size={14} /> Osvježi
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div style={{ ...messageColors[message.type], padding: '12px', borderRadius: '8px', marginBottom: '16px', fontSize: '14px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {project && !(project.positions || []).length && (
+        <p style={{ color: '#6b7280' }}>Projekt nema pozicija.</p>
+      )}
+
+      {project && (project.positions || []).length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', fontSize: '12px', color: '#6b7280' }}>
+              <th style={cellStyle}>Pozicija</th>
+              <th style={cellStyle}>Naziv</th>
+              <th style={cellStyle}>Faza</th>
+              <th style={cellStyle}>Materijal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {project.positions.map(position => {
+              const status = position.materialStatus;
+              const warnings = status?.warnings || [];
+              return (
+                <tr key={position.id}>
+                  <td style={cellStyle}><strong>{position.tag || position.id}</strong></td>
+                  <td style={cellStyle}>{position.title}</td>
+                  <td style={cellStyle}>
+                    <select
+                      value={position.stage || ''}
+                      disabled={savingId === position.id}
+                      onChange={(e) => handleStage(position, e.target.value)}
+                      style={inputStyle}
+                    >
+                      {!position.stage && <option value="" disabled>Odaberi fazu...</option>}
+                      {DEPARTMENTS.map(stage => (
+                        <option key={stage} value={stage}>{stageLabel(stage)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={cellStyle}>
+                    {warnings.length > 0 ? (
+                      warnings.map(text => (
+                        <div key={text} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#92400e' }}>
+                          <AlertTriangle size={14} /> {text}
+                        </div>
+                      ))
+                    ) : status ? (
+                      <span style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#166534' }}>
+                        <CheckCircle size={14} /> {status.issuedAt ? 'Izdano' : 'Rezervirano'}
+                      </span>
+                    ) : (
+                      <span style={{ color: '#9ca3af' }}>-</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
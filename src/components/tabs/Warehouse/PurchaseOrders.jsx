@@ -0,0 +1,311 @@
+import { useState } from "react";
+import { ShoppingCart, ChevronDown, ChevronRight, AlertTriangle, PackageCheck, FileText } from "lucide-react";
+import {
+  PO_STATUS,
+  PO_STATUS_LABELS,
+  PO_TRANSITIONS,
+  getLineOutstanding,
+  getOrderTotal
+} from "../../../utils/purchaseOrders";
+
+const cardStyle = { backgroundColor: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' };
+const inputStyle = { padding: '6px 8px', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '13px', width: '100%' };
+const buttonStyle = { padding: '8px 14px', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '13px', fontWeight: '500' };
+
+const STATUS_COLORS = {
+  [PO_STATUS.DRAFT]: { backgroundColor: '#f3f4f6', color: '#374151' },
+  [PO_STATUS.APPROVED]: { backgroundColor: '#e0e7ff', color: '#3730a3' },
+  [PO_STATUS.SENT]: { backgroundColor: '#dbeafe', color: '#1e40af' },
+  [PO_STATUS.PARTIALLY_RECEIVED]: { backgroundColor: '#fef3c7', color: '#92400e' },
+  [PO_STATUS.CLOSED]: { backgroundColor: '#dcfce7', color: '#166534' },
+  [PO_STATUS.CANCELLED]: { backgroundColor: '#fee2e2', color: '#991b1b' }
+};
+
+const ACTION_LABELS = {
+  [PO_STATUS.APPROVED]: 'Odobri',
+  [PO_STATUS.SENT]: 'Označi poslano',
+  [PO_STATUS.DRAFT]: 'Vrati u nacrt',
+  [PO_STATUS.CLOSED]: 'Zatvori',
+  [PO_STATUS.CANCELLED]: 'Storniraj'
+};
+
+const RECEIVABLE = [PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED];
+
+// Narudžbenice: prijedlozi iz manjkova, odobravanje, primke i kontrola cijena s računa dobavljača
+export default function PurchaseOrders({ dataService, orders, onChanged }) {
+  const [expandedId, setExpandedId] = useState(null);
+  const [receiptForm, setReceiptForm] = useState({});
+  const [invoiceForm, setInvoiceForm] = useState({});
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, success) => {
+    try {
+      setBusy(true);
+      setMessage(null);
+      const result = await action();
+      const text = typeof success === 'function' ? success(result) : success;
+      if (text) setMessage({ type: 'success', text });
+      await onChanged?.();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGenerate = () => run(
+    () => dataService.generateDraftOrders(),
+    (drafts) => drafts.length
+      ? `Kreirano ${drafts.length} nacrta narudžbi: ${drafts.map(d => d.supplier).join(', ')}`
+      : 'Nema manjkova za naručiti'
+  );
+
+  const handleReceive = (order) => {
+    const lines = order.lines.map(line => ({
+      lineId: line.id,
+      quantity: receiptForm[line.id]?.quantity ?? getLineOutstanding(line),
+      location: receiptForm[line.id]?.location || receiptForm.location || ''
+    }));
+    return run(
+      () => dataService.receivePurchaseOrder(order.id, lines, { deliveryNote: receiptForm.deliveryNote || '' }),
+      ({ receipt }) => `Primka ${receipt.number} proknjižena (${receipt.lines.length} stavki)`
+    ).then(() => setReceiptForm({}));
+  };
+
+  const handleInvoice = (order) => {
+    const items = order.lines
+      .filter(line => invoiceForm[line.id])
+      .map(line => ({ code: line.articleCode, unitPrice: Number(invoiceForm[line.id]), quantity: line.receivedQty || line.quantity }));
+    return run(
+      () => dataService.recordSupplierInvoice(order.id, { documentNumber: invoiceForm.number || null, items }),
+      (diffs) => diffs.length ? `Račun ima ${diffs.length} odstupanja cijene` : 'Cijene s računa odgovaraju narudžbi'
+    ).then(() => setInvoiceForm({}));
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ fontSize: '20px', fontWeight: 'bold' }}>Narudžbe</h2>
+        <button
+          onClick={handleGenerate}
+          disabled={busy}
+          style={{ ...buttonStyle, backgroundColor: '#6366f1', color: 'white', display: 'flex', alignItems: 'center', gap: '8px' }}
+        >
+          <ShoppingCart size={16} /> Prijedlog narudžbi iz manjkova
+        </button>
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '12px',
+          borderRadius: '8px',
+          marginBottom: '16px',
+          fontSize: '14px',
+          backgroundColor: message.type === 'error' ? '#fee2e2' : '#dcfce7',
+          color: message.type === 'error' ? '#991b1b' : '#166534'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {orders.length === 0 && (
+        <p style={{ color: '#6b7280' }}>Nema narudžbi.</p>
+      )}
+
+      {[...orders].reverse().map(order => {
+        const expanded = expandedId === order.id;
+        const editable = order.status === PO_STATUS.DRAFT;
+        const receivable = RECEIVABLE.includes(order.status);
+        return (
+          <div key={order.id} style={{ border: '1px solid #e5e7eb', borderRadius: '8px', marginBottom: '12px' }}>
+            <div
+              onClick={() => setExpandedId(expanded ? null : order.id)}
+              style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 16px', cursor: 'pointer', backgroundColor: '#f9fafb' }}
+            >
+              {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+              <span style={{ fontWeight: '600', width: '130px' }}>{order.number}</span>
+              <span style={{ flex: 1 }}>{order.supplier}</span>
+              {order.priceDifferences?.length > 0 && (
+                <span title="Odstupanje cijene na računu" style={{ color: '#dc2626', display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' }}>
+                  <AlertTriangle size={14} /> {order.priceDifferences.length}
+                </span>
+              )}
+              <span style={{ fontSize: '12px', color: '#6b7280' }}>{order.lines.length} stavki</span>
+              <span style={{ fontWeight: '600', width: '100px', textAlign: 'right' }}>€{getOrderTotal(order).toFixed(2)}</span>
+              <span style={{ ...STATUS_COLORS[order.status], padding: '4px 8px', borderRadius: '12px', fontSize: '12px', fontWeight: '500' }}>
+                {PO_STATUS_LABELS[order.status]}
+              </span>
+            </div>
+
+            {expanded && (
+              <div style={{ padding: '16px' }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px', fontSize: '13px', color: '#6b7280' }}>
+                  OIB dobavljača
+                  <input
+                    key={`${order.id}_${order.supplierOib || ''}`}
+                    defaultValue={order.supplierOib || ''}
+                    placeholder="11 znamenki"
+                    disabled={order.status === PO_STATUS.CANCELLED}
+                    onBlur={(e) => e.target.value !== (order.supplierOib || '') &&
+                      run(() => dataService.updatePurchaseOrder(order.id, { supplierOib: e.target.value }))}
+                    style={{ ...inputStyle, width: '140px' }}
+                  />
+                </div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '12px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', color: '#6b7280', borderBottom: '1px solid #e5e7eb' }}>
+                      <th style={{ padding: '6px' }}>Šifra</th>
+                      <th style={{ padding: '6px' }}>Naziv</th>
+                      <th style={{ padding: '6px' }}>Projekt</th>
+                      <th style={{ padding: '6px', width: '90px' }}>Naručeno</th>
+                      <th style={{ padding: '6px', width: '100px' }}>Cijena</th>
+                      <th style={{ padding: '6px' }}>Zaprimljeno</th>
+                      {receivable && <th style={{ padding: '6px', width: '90px' }}>Prima se</th>}
+                      {receivable && <th style={{ padding: '6px', width: '100px' }}>Lokacija</th>}
+                      <th style={{ padding: '6px', width: '100px' }}>Cijena s računa</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {order.lines.map(line => (
+                      <tr key={line.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                        <td style={{ padding: '6px', fontWeight: '500' }}>{line.articleCode}</td>
+                        <td style={{ padding: '6px' }}>{line.name}</td>
+                        <td style={{ padding: '6px', color: '#6b7280' }}>{line.projectId || '-'}</td>
+                        <td style={{ padding: '6px' }}>
+                          {editable ? (
+                            <input
+                              type="number"
+                              defaultValue={line.quantity}
+                              onBlur={(e) => Number(e.target.value) !== line.quantity &&
+                                run(() => dataService.updatePurchaseOrderLine(order.id, line.id, { quantity: e.target.value }))}
+                              style={inputStyle}
+                            />
+                          ) : `${line.quantity} ${line.unit}`}
+                        </td>
+                        <td style={{ padding: '6px' }}>
+                          {editable ? (
+                            <input
+                              type="number"
+                              step="0.01"
+                              defaultValue={line.unitPrice}
+                              onBlur={(e) => Number(e.target.value) !== line.unitPrice &&
+                                run(() => dataService.updatePurchaseOrderLine(order.id, line.id, { unitPrice: e.target.value }))}
+                              style={inputStyle}
+                            />
+                          ) : `€${Number(line.unitPrice || 0).toFixed(2)}`}
+                        </td>
+                        <td style={{ padding: '6px' }}>{line.receivedQty || 0} / {line.quantity}</td>
+                        {receivable && (
+                          <td style={{ padding: '6px' }}>
+                            <input
+                              type="number"
+                              min="0"
+                              max={getLineOutstanding(line)}
+                              value={receiptForm[line.id]?.quantity ?? getLineOutstanding(line)}
+                              onChange={(e) => setReceiptForm({ ...receiptForm, [line.id]: { ...receiptForm[line.id], quantity: e.target.value } })}
+                              style={inputStyle}
+                            />
+                          </td>
+                        )}
+                        {receivable && (
+                          <td style={{ padding: '6px' }}>
+                            <input
+                              placeholder={receiptForm.location || 'A-01-1'}
+                              value={receiptForm[line.id]?.location || ''}
+                              onChange={(e) => setReceiptForm({ ...receiptForm, [line.id]: { ...receiptForm[line.id], location: e.target.value } })}
+                              style={inputStyle}
+                            />
+                          </td>
+                        )}
+                        <td style={{ padding: '6px' }}>
+                          <input
+                            type="number"
+                            step="0.01"
+                            value={invoiceForm[line.id] || ''}
+                            onChange={(e) => setInvoiceForm({ ...invoiceForm, [line.id]: e.target.value })}
+                            style={inputStyle}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {order.priceDifferences?.length > 0 && (
+                  <div style={{ backgroundColor: '#fee2e2', color: '#991b1b', padding: '10px 12px', borderRadius: '6px', fontSize: '13px', marginBottom: '12px' }}>
+                    {order.priceDifferences.map(d => (
+                      <div key={`${d.invoiceNumber}_${d.lineId}`}>
+                        <AlertTriangle size={12} /> {d.invoiceNumber || 'Račun'}: {d.articleCode} naručeno €{d.orderedPrice.toFixed(2)},
+                        fakturirano €{d.invoicedPrice.toFixed(2)} ({d.diffPct > 0 ? '+' : ''}{d.diffPct}%, €{d.impact.toFixed(2)})
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+                  {PO_TRANSITIONS[order.status].map(status => (
+                    <button
+                      key={status}
+                      disabled={busy}
+                      onClick={() => run(
+                        () => dataService.setPurchaseOrderStatus(order.id, status),
+                        `${order.number}: ${PO_STATUS_LABELS[status]}`
+                      )}
+                      style={{
+                        ...buttonStyle,
+                        backgroundColor: status === PO_STATUS.CANCELLED ? '#fee2e2' : '#eef2ff',
+                        color: status === PO_STATUS.CANCELLED ? '#991b1b' : '#3730a3'
+                      }}
+                    >
+                      {ACTION_LABELS[status]}
+                    </button>
+                  ))}
+
+                  {receivable && (
+                    <>
+                      <input
+                        placeholder="Lokacija (sve stavke)"
+                        value={receiptForm.location || ''}
+                        onChange={(e) => setReceiptForm({ ...receiptForm, location: e.target.value })}
+                        style={{ ...inputStyle, width: '160px' }}
+                      />
+                      <input
+                        placeholder="Otpremnica dobavljača"
+                        value={receiptForm.deliveryNote || ''}
+                        onChange={(e) => setReceiptForm({ ...receiptForm, deliveryNote: e.target.value })}
+                        style={{ ...inputStyle, width: '180px' }}
+                      />
+                      <button
+                        disabled={busy}
+                        onClick={() => handleReceive(order)}
+                        style={{ ...buttonStyle, backgroundColor: '#10b981', color: 'white', display: 'flex', alignItems: 'center', gap: '6px' }}
+                      >
+                        <PackageCheck size={14} /> Proknjiži primku
+                      </button>
+                    </>
+                  )}
+
+                  <span style={{ flex: 1 }} />
+                  <input
+                    placeholder="Broj računa"
+                    value={invoiceForm.number || ''}
+                    onChange={(e) => setInvoiceForm({ ...invoiceForm, number: e.target.value })}
+                    style={{ ...inputStyle, width: '140px' }}
+                  />
+                  <button
+                    disabled={busy}
+                    onClick={() => handleInvoice(order)}
+                    style={{ ...buttonStyle, backgroundColor: 'white', border: '1px solid #e5e7eb', display: 'flex', alignItems: 'center', gap: '6px' }}
+                  >
+                    <FileText size={14} /> Provjeri cijene s računa
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-﻿import { useState, useEffect, useRef, useMemo } from "react";
+﻿import { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import { motion, AnimatePresence, LayoutGroup } from "framer-motion";
 import { 
 Home, Library, Gamepad2, AppWindow, Search, Settings, Sparkles, 
@@ -12,6 +12,28 @@ Home, Library, Gamepad2, AppWindow, Search, Settings, Sparkles,
   Rewind, Maximize2, Filter, Camera,ShoppingCart,QrCode, Share2, BadgeCheck, Bookmark,
   Building, MapPin, DoorOpen, Square, Maximize, Activity, X, ExternalLink // Also add X here
 } from "lucide-react";
+import AgbimDataService from "../../../services/AgbimDataService";
+import CuttingPlan from "./CuttingPlan";
+import PurchaseOrders from "./PurchaseOrders";
+import PositionStages from "./PositionStages";
+import { MOVEMENT_TYPES, MOVEMENT_LABELS, STOCK_STATUS } from "../../../utils/stockLedger";
+import { OPEN_PO_STATUSES, PO_STATUS } from "../../../utils/purchaseOrders";
+
+const EMPTY_MOVEMENT = { type: MOVEMENT_TYPES.RECEIPT, articleCode: '', quantity: '', fromLocation: '', toLocation: '', documentRef: '', notes: '' };
+const EMPTY_ARTICLE = { code: '', name: '', unit: 'kom', group: '', minStock: '', defaultLocation: '' };
+
+// Mjesta oznaka u simuliranom AR prikazu i boje po stanju zalihe
+const AR_SLOTS = [
+  { top: '20%', left: '10%' },
+  { top: '50%', right: '20%' },
+  { bottom: '20%', left: '30%' }
+];
+const AR_STATUS_COLORS = {
+  [STOCK_STATUS.AVAILABLE]: 'rgba(16, 185, 129, 0.9)',
+  [STOCK_STATUS.LOW]: 'rgba(245, 158, 11, 0.9)',
+  [STOCK_STATUS.CRITICAL]: 'rgba(239, 68, 68, 0.9)'
+};
+const AR_STATUS_ORDER = { [STOCK_STATUS.CRITICAL]: 0, [STOCK_STATUS.LOW]: 1, [STOCK_STATUS.AVAILABLE]: 2 };
 
 export default function WarehouseManagementTab  ()  {
   const [activeScanner, setActiveScanner] = useState(null);
@@ -20,81 +42,112 @@ export default function WarehouseManagementTab  ()  {
   const [showARView, setShowARView] = useState(false);
   const [activeTab, setActiveTab] = useState('inventory');
   const [scanResult, setScanResult] = useState(null);
-  const [isScanning, setIsScanning] = useState(false);
-
-  // Mock data za artikle
-  const [articles, setArticles] = useState([
-    { id: 'ALU-001', name: 'Aluminijski profil 40x40', location: 'A-12-3', quantity: 245, status: 'available', project: 'Projekt Nova Zgrada' },
-    { id: 'ALU-002', name: 'Kutni spojevi L-tip', location: 'B-05-2', quantity: 1250, status: 'available', project: 'Projekt Fasada' },
-    { id: 'ALU-003', name: 'Profil 60x60 eloksirani', location: 'A-14-1', quantity: 89, status: 'low', project: 'Projekt Tower' },
-    { id: 'ALU-004', name: 'T-spojevi standard', location: 'C-02-4', quantity: 450, status: 'available', project: 'Projekt Marina' },
-    { id: 'ALU-005', name: 'ZavrÅ¡ne kape 40mm', location: 'D-08-3', quantity: 15, status: 'critical', project: 'Projekt Nova Zgrada' },
-    { id: 'ALU-006', name: 'Vijci M8x20', location: 'E-01-1', quantity: 5000, status: 'available', project: 'OpÄ‡i lager' },
-    { id: 'ALU-007', name: 'Brtve EPDM 5m', location: 'F-10-2', quantity: 120, status: 'available', project: 'Projekt Fasada' },
-    { id: 'ALU-008', name: 'NosaÄi stakla', location: 'G-15-4', quantity: 34, status: 'low', project: 'Projekt Tower' }
-  ]);
-
-  // Mock data za narudÅ¾be
-  const [orders, setOrders] = useState([
-    { id: 'ORD-001', supplier: 'Alu-Trade d.o.o.', items: 12, status: 'incoming', eta: '2025-08-20', value: 'â‚¬12,500' },
-    { id: 'ORD-002', supplier: 'Metal Pro Zagreb', items: 8, status: 'processing', eta: '2025-08-19', value: 'â‚¬8,200' },
-    { id: 'ORD-003', supplier: 'Euro Profiles', items: 25, status: 'delivered', eta: '2025-08-18', value: 'â‚¬15,700' },
-    { id: 'ORD-004', supplier: 'Tech Metals', items: 5, status: 'incoming', eta: '2025-08-22', value: 'â‚¬4,300' }
-  ]);
+
+  // Stanje skladišta iz agbim.json ledgera
+  const agbimDataService = useRef(new AgbimDataService());
+  const [articles, setArticles] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loadingStock, setLoadingStock] = useState(true);
+  const [ledgerError, setLedgerError] = useState(null);
+  const [movementForm, setMovementForm] = useState(EMPTY_MOVEMENT);
+  const [articleForm, setArticleForm] = useState(null);
+  const [shortages, setShortages] = useState([]);
+  const [orders, setOrders] = useState([]);
+
+  const loadStock = useCallback(async () => {
+    try {
+      setLoadingStock(true);
+      const warehouse = await agbimDataService.current.getWarehouse();
+      setArticles(await agbimDataService.current.getWarehouseStock());
+      setMovements([...warehouse.movements].reverse());
+      setShortages(await agbimDataService.current.getMaterialShortages());
+      setOrders((await agbimDataService.current.getProcurement()).purchaseOrders);
+    } catch (error) {
+      console.error('❌ Error loading warehouse stock:', error);
+      setLedgerError(error.message);
+    } finally {
+      setLoadingStock(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStock();
+  }, [loadStock]);
+
+  const handlePostMovement = async () => {
+    try {
+      setLedgerError(null);
+      await agbimDataService.current.updateWarehouseStock(null, [movementForm]);
+      setMovementForm({ ...EMPTY_MOVEMENT, type: movementForm.type });
+      await loadStock();
+    } catch (error) {
+      setLedgerError(error.message);
+    }
+  };
+
+  const handleSaveArticle = async () => {
+    try {
+      setLedgerError(null);
+      await agbimDataService.current.saveWarehouseArticle(articleForm);
+      setArticleForm(null);
+      await loadStock();
+    } catch (error) {
+      setLedgerError(error.message);
+    }
+  };
+
+  const handleReverseMovement = async (movementId) => {
+    try {
+      setLedgerError(null);
+      await agbimDataService.current.reverseWarehouseMovement(movementId);
+      await loadStock();
+    } catch (error) {
+      setLedgerError(error.message);
+    }
+  };
 
   // Statistike
   const stats = {
     totalArticles: articles.length,
-    activeOrders: orders.filter(o => o.status !== 'delivered').length,
-    todayDeliveries: 3,
+    activeOrders: orders.filter(o => OPEN_PO_STATUSES.includes(o.status) && o.status !== PO_STATUS.DRAFT).length,
+    todayDeliveries: movements.filter(m =>
+      m.type === MOVEMENT_TYPES.RECEIPT && m.timestamp?.slice(0, 10) === new Date().toISOString().slice(0, 10)
+    ).length,
     criticalItems: articles.filter(a => a.status === 'critical').length,
     lowStock: articles.filter(a => a.status === 'low').length
   };
 
+  // AR oznake: kritični i artikli s malo zalihe prvi
+  const arArticles = [...articles]
+    .sort((a, b) => AR_STATUS_ORDER[a.status] - AR_STATUS_ORDER[b.status])
+    .slice(0, AR_SLOTS.length);
+
   // Filtrirani artikli
   const filteredArticles = articles.filter(article => 
     article.name.toLowerCase().includes(filterText.toLowerCase()) ||
     article.id.toLowerCase().includes(filterText.toLowerCase()) ||
-    article.project.toLowerCase().includes(filterText.toLowerCase())
+    (article.group || '').toLowerCase().includes(filterText.toLowerCase()) ||
+    article.locations.some(loc => loc.toLowerCase().includes(filterText.toLowerCase()))
   );
 
-  // Simulacija skeniranja
-  const handleScan = (type) => {
-    setIsScanning(true);
-    setActiveScanner(type);
-    
-    setTimeout(() => {
-      setIsScanning(false);
-      
-      if (type === 'barcode') {
-        setScanResult({
-          type: 'article',
-          data: {
-            id: 'ALU-009',
-            name: 'Novi skenirani profil',
-            quantity: 100,
-            location: 'A-NEW-1'
-          }
-        });
-      } else if (type === 'profile') {
-        setScanResult({
-          type: 'profile',
-          data: {
-            shape: 'L-profil',
-            dimensions: '50x50x5mm',
-            material: 'AlMgSi0.5',
-            match: '94%'
-          }
-        });
-      }
-    }, 2000);
+  // Skener radi kao tipkovnica: očitani kod se traži u registru artikala
+  const handleScan = (type, code) => {
+    const query = (code || '').trim().toUpperCase();
+    if (!query) return;
+
+    const article = articles.find(a => a.code.toUpperCase() === query) ||
+      (type !== 'barcode'
+        ? articles.find(a => a.name.toUpperCase().includes(query) || a.locations.includes(query))
+        : null);
+
+    setScanResult(article ? { type: 'article', data: article } : { type: 'missing', data: { code: query } });
   };
 
   // Export funkcija
   const handleExport = () => {
     const csvContent = "data:text/csv;charset=utf-8," 
-      + "ID,Naziv,Lokacija,KoliÄina,Status,Projekt\n"
-      + articles.map(a => `${a.id},${a.name},${a.location},${a.quantity},${a.status},${a.project}`).join("\n");
+      + "ID,Naziv,Lokacije,Na stanju,Rezervirano,Dostupno,Jedinica,Status\n"
+      + articles.map(a => `${a.id},${a.name},${a.locations.join(' ')},${a.onHand},${a.reserved},${a.available},${a.unit},${a.status}`).join("\n");
     
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -141,36 +194,25 @@ export default function WarehouseManagementTab  ()  {
               textAlign: 'center'
             }}
           >
-            {isScanning ? (
-              <div>
-                <motion.div
-                  animate={{ rotate: 360 }}
-                  transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
-                  style={{ margin: '0 auto 24px', width: '80px', height: '80px' }}
-                >
-                  <QrCode size={80} color="#6366f1" />
-                </motion.div>
-                <h3 style={{ fontSize: '20px', marginBottom: '8px' }}>Skeniram...</h3>
-                <p style={{ color: '#6b7280' }}>DrÅ¾ite kameru usmjerenu prema barkodu</p>
-              </div>
-            ) : scanResult ? (
+            {scanResult ? (
               <div>
-                <CheckCircle size={64} color="#10b981" style={{ margin: '0 auto 16px' }} />
-                <h3 style={{ fontSize: '20px', marginBottom: '16px' }}>UspjeÅ¡no skenirano!</h3>
                 {scanResult.type === 'article' ? (
-                  <div style={{ textAlign: 'left', backgroundColor: '#f9fafb', padding: '16px', borderRadius: '8px' }}>
-                    <p><strong>ID:</strong> {scanResult.data.id}</p>
-                    <p><strong>Naziv:</strong> {scanResult.data.name}</p>
-                    <p><strong>KoliÄina:</strong> {scanResult.data.quantity}</p>
-                    <p><strong>Lokacija:</strong> {scanResult.data.location}</p>
-                  </div>
+                  <>
+                    <CheckCircle size={64} color="#10b981" style={{ margin: '0 auto 16px' }} />
+                    <h3 style={{ fontSize: '20px', marginBottom: '16px' }}>Artikl pronađen</h3>
+                    <div style={{ textAlign: 'left', backgroundColor: '#f9fafb', padding: '16px', borderRadius: '8px' }}>
+                      <p><strong>ID:</strong> {scanResult.data.id}</p>
+                      <p><strong>Naziv:</strong> {scanResult.data.name}</p>
+                      <p><strong>Na stanju:</strong> {scanResult.data.onHand} {scanResult.data.unit}</p>
+                      <p><strong>Dostupno:</strong> {scanResult.data.available} {scanResult.data.unit}</p>
+                      <p><strong>Lokacije:</strong> {scanResult.data.locations.join(', ') || '—'}</p>
+                    </div>
+                  </>
                 ) : (
-                  <div style={{ textAlign: 'left', backgroundColor: '#f9fafb', padding: '16px', borderRadius: '8px' }}>
-                    <p><strong>Oblik:</strong> {scanResult.data.shape}</p>
-                    <p><strong>Dimenzije:</strong> {scanResult.data.dimensions}</p>
-                    <p><strong>Materijal:</strong> {scanResult.data.material}</p>
-                    <p><strong>Podudaranje:</strong> {scanResult.data.match}</p>
-                  </div>
+                  <>
+                    <XCircle size={64} color="#ef4444" style={{ margin: '0 auto 16px' }} />
+                    <h3 style={{ fontSize: '20px', marginBottom: '16px' }}>Artikl {scanResult.data.code} nije u registru</h3>
+                  </>
                 )}
                 <button
                   onClick={() => {
@@ -197,21 +239,20 @@ export default function WarehouseManagementTab  ()  {
                   {activeScanner === 'search' && 'ðŸ”Ž PretraÅ¾i Artikl'}
                   {activeScanner === 'profile' && 'ðŸ“ Skener Profila'}
                 </h3>
-                <button
-                  onClick={() => handleScan(activeScanner)}
+                <input
+                  autoFocus
+                  type="text"
+                  placeholder="Skenirajte ili upišite šifru / lokaciju"
+                  onKeyDown={(e) => e.key === 'Enter' && handleScan(activeScanner, e.currentTarget.value)}
                   style={{
-                    padding: '12px 32px',
-                    backgroundColor: '#10b981',
-                    color: 'white',
-                    border: 'none',
+                    width: '100%',
+                    padding: '12px',
+                    border: '1px solid #e5e7eb',
                     borderRadius: '8px',
                     fontSize: '16px',
-                    cursor: 'pointer',
                     marginBottom: '16px'
                   }}
-                >
-                  ZapoÄni Skeniranje
-                </button>
+                />
                 <button
                   onClick={() => setActiveScanner(null)}
                   style={{
@@ -295,50 +336,27 @@ export default function WarehouseManagementTab  ()  {
               overflow: 'hidden'
             }}>
               {/* Simulated AR view */}
-              <div style={{
-                position: 'absolute',
-                top: '20%',
-                left: '10%',
-                padding: '8px 12px',
-                backgroundColor: 'rgba(16, 185, 129, 0.9)',
-                color: 'white',
-                borderRadius: '8px',
-                fontSize: '12px'
-              }}>
-                <strong>ALU-001</strong><br/>
-                Profil 40x40<br/>
-                245 kom
-              </div>
-              
-              <div style={{
-                position: 'absolute',
-                top: '50%',
-                right: '20%',
-                padding: '8px 12px',
-                backgroundColor: 'rgba(239, 68, 68, 0.9)',
-                color: 'white',
-                borderRadius: '8px',
-                fontSize: '12px'
-              }}>
-                <strong>ALU-005</strong><br/>
-                KritiÄno!<br/>
-                15 kom
-              </div>
-              
-              <div style={{
-                position: 'absolute',
-                bottom: '20%',
-                left: '30%',
-                padding: '8px 12px',
-                backgroundColor: 'rgba(99, 102, 241, 0.9)',
-                color: 'white',
-                borderRadius: '8px',
-                fontSize: '12px'
-              }}>
-                <strong>ALU-003</strong><br/>
-                Profil 60x60<br/>
-                89 kom
-              </div>
+              {arArticles.length === 0 && (
+                <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#9ca3af', fontSize: '14px' }}>
+                  Nema artikala u skladištu
+                </div>
+              )}
+              {arArticles.map((article, index) => (
+                <div key={article.id} style={{
+                  position: 'absolute',
+                  ...AR_SLOTS[index],
+                  padding: '8px 12px',
+                  backgroundColor: AR_STATUS_COLORS[article.status],
+                  color: 'white',
+                  borderRadius: '8px',
+                  fontSize: '12px'
+                }}>
+                  <strong>{article.code}</strong><br/>
+                  {article.status === STOCK_STATUS.CRITICAL ? 'Kritično!' : article.name}<br/>
+                  {article.available} {article.unit}
+                  {article.location && <><br/>{article.location}</>}
+                </div>
+              ))}
             </div>
           </div>
           
@@ -578,6 +596,34 @@ export default function WarehouseManagementTab  ()  {
           >
             ðŸšš NarudÅ¾be
           </button>
+          <button
+            onClick={() => setActiveTab('cutting')}
+            style={{
+              padding: '10px 20px',
+              backgroundColor: activeTab === 'cutting' ? '#6366f1' : 'white',
+              color: activeTab === 'cutting' ? 'white' : '#6b7280',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              fontWeight: '500'
+            }}
+          >
+            ✂️ Krojenje
+          </button>
+          <button
+            onClick={() => setActiveTab('positions')}
+            style={{
+              padding: '10px 20px',
+              backgroundColor: activeTab === 'positions' ? '#6366f1' : 'white',
+              color: activeTab === 'positions' ? 'white' : '#6b7280',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              fontWeight: '500'
+            }}
+          >
+            🏭 Pozicije
+          </button>
           <button
             onClick={() => setActiveTab('deliveries')}
             style={{
@@ -614,6 +660,23 @@ export default function WarehouseManagementTab  ()  {
                     width: '200px'
                   }}
                 />
+                <button
+                  onClick={() => setArticleForm(EMPTY_ARTICLE)}
+                  style={{
+                    padding: '8px 16px',
+                    backgroundColor: '#6366f1',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '4px'
+                  }}
+                >
+                  <Plus size={16} />
+                  Novi artikl
+                </button>
                 <button
                   onClick={handleExport}
                   style={{
@@ -634,20 +697,81 @@ export default function WarehouseManagementTab  ()  {
               </div>
             </div>
 
+            {ledgerError && (
+              <div style={{ marginBottom: '16px', padding: '12px', backgroundColor: '#fee2e2', color: '#991b1b', borderRadius: '8px', fontSize: '14px' }}>
+                {ledgerError}
+              </div>
+            )}
+
+            {shortages.length > 0 && (
+              <div style={{ marginBottom: '16px', padding: '12px', backgroundColor: '#fef3c7', borderRadius: '8px', fontSize: '14px' }}>
+                <p style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: '#92400e', marginBottom: '8px' }}>
+                  <AlertTriangle size={16} />
+                  Manjak materijala za {shortages.length} {shortages.length === 1 ? 'poziciju' : 'pozicija'}
+                </p>
+                {shortages.map(item => (
+                  <div key={`${item.projectId}_${item.positionId}`} style={{ marginBottom: '4px', color: '#78350f' }}>
+                    <strong>{item.positionId}</strong> {item.positionTitle} ({item.projectName}{item.stage ? ` · ${item.stage}` : ''}):{' '}
+                    {item.shortages.map(s => `${s.articleCode} −${s.missing} ${s.unit}`).join(', ')}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {articleForm && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px', padding: '12px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
+                {[
+                  ['code', 'Šifra'],
+                  ['name', 'Naziv'],
+                  ['unit', 'Jed. mjera'],
+                  ['group', 'Grupa'],
+                  ['minStock', 'Min. zaliha'],
+                  ['defaultLocation', 'Lokacija (A-12-3)']
+                ].map(([field, label]) => (
+                  <input
+                    key={field}
+                    type="text"
+                    placeholder={label}
+                    value={articleForm[field]}
+                    onChange={(e) => setArticleForm({ ...articleForm, [field]: e.target.value })}
+                    style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '150px' }}
+                  />
+                ))}
+                <button
+                  onClick={handleSaveArticle}
+                  style={{ padding: '8px 16px', backgroundColor: '#6366f1', color: 'white', border: 'none', borderRadius: '8px', cursor: 'pointer' }}
+                >
+                  Spremi
+                </button>
+                <button
+                  onClick={() => setArticleForm(null)}
+                  style={{ padding: '8px 16px', backgroundColor: 'transparent', color: '#6b7280', border: 'none', cursor: 'pointer' }}
+                >
+                  Odustani
+                </button>
+              </div>
+            )}
+
             <div style={{ overflowX: 'auto' }}>
               <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                 <thead>
                   <tr style={{ borderBottom: '2px solid #e5e7eb' }}>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>ID</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>Naziv</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>Lokacija</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>KoliÄina</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>Status</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>Projekt</th>
-                    <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>Akcije</th>
+                    {['ID', 'Naziv', 'Lokacija', 'Na stanju', 'Rezervirano', 'Dostupno', 'Status', 'Grupa', 'Akcije'].map(label => (
+                      <th key={label} style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#6b7280' }}>{label}</th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
+                  {loadingStock && articles.length === 0 && (
+                    <tr>
+                      <td colSpan={9} style={{ padding: '24px', textAlign: 'center', color: '#6b7280' }}>Učitavam stanje skladišta...</td>
+                    </tr>
+                  )}
+                  {!loadingStock && filteredArticles.length === 0 && (
+                    <tr>
+                      <td colSpan={9} style={{ padding: '24px', textAlign: 'center', color: '#6b7280' }}>Nema artikala u skladištu</td>
+                    </tr>
+                  )}
                   {filteredArticles.map((article, index) => (
                     <motion.tr
                       key={article.id}
@@ -662,9 +786,12 @@ export default function WarehouseManagementTab  ()  {
                         <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
                           <MapPin size={14} />
                           {article.location}
+                          {article.locations.length > 1 && ` +${article.locations.length - 1}`}
                         </span>
                       </td>
-                      <td style={{ padding: '12px', fontSize: '14px' }}>{article.quantity}</td>
+                      <td style={{ padding: '12px', fontSize: '14px' }}>{article.onHand} {article.unit}</td>
+                      <td style={{ padding: '12px', fontSize: '14px' }}>{article.reserved}</td>
+                      <td style={{ padding: '12px', fontSize: '14px', fontWeight: '500' }}>{article.available}</td>
                       <td style={{ padding: '12px' }}>
                         <span style={{
                           padding: '4px 8px',
@@ -677,10 +804,10 @@ export default function WarehouseManagementTab  ()  {
                                 article.status === 'low' ? '#92400e' : '#991b1b'
                         }}>
                           {article.status === 'available' ? 'Dostupno' :
-                           article.status === 'low' ? 'Malo' : 'KritiÄno'}
+                           article.status === 'low' ? 'Malo' : 'Kritično'}
                         </span>
                       </td>
-                      <td style={{ padding: '12px', fontSize: '14px' }}>{article.project}</td>
+                      <td style={{ padding: '12px', fontSize: '14px' }}>{article.group}</td>
                       <td style={{ padding: '12px' }}>
                         <button
                           onClick={() => setSelectedArticle(article)}
@@ -701,58 +828,107 @@ export default function WarehouseManagementTab  ()  {
                 </tbody>
               </table>
             </div>
-          </div>
-        )}
 
-        {activeTab === 'orders' && (
-          <div style={{ backgroundColor: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
-            <h2 style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '20px' }}>NarudÅ¾be</h2>
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))',
-              gap: '16px'
-            }}>
-              {orders.map((order) => (
-                <motion.div
-                  key={order.id}
-                  whileHover={{ scale: 1.02 }}
-                  style={{
-                    padding: '16px',
-                    backgroundColor: '#f9fafb',
-                    borderRadius: '8px',
-                    border: '1px solid #e5e7eb'
-                  }}
-                >
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
-                    <h3 style={{ fontSize: '16px', fontWeight: '600' }}>{order.id}</h3>
-                    <span style={{
-                      padding: '4px 8px',
-                      borderRadius: '12px',
-                      fontSize: '12px',
-                      fontWeight: '500',
-                      backgroundColor: order.status === 'delivered' ? '#dcfce7' :
-                                     order.status === 'processing' ? '#dbeafe' : '#fef3c7',
-                      color: order.status === 'delivered' ? '#166534' :
-                            order.status === 'processing' ? '#1e40af' : '#92400e'
-                    }}>
-                      {order.status === 'delivered' ? 'IsporuÄeno' :
-                       order.status === 'processing' ? 'U obradi' : 'Dolazi'}
-                    </span>
-                  </div>
-                  <p style={{ fontSize: '14px', color: '#374151', marginBottom: '8px' }}>{order.supplier}</p>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#6b7280' }}>
-                    <span>{order.items} artikala</span>
-                    <span>ETA: {order.eta}</span>
-                  </div>
-                  <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #e5e7eb' }}>
-                    <p style={{ fontSize: '18px', fontWeight: 'bold', color: '#1f2937' }}>{order.value}</p>
-                  </div>
-                </motion.div>
+            {/* Knjiženje kretanja */}
+            <h3 style={{ fontSize: '16px', fontWeight: '600', margin: '24px 0 12px' }}>Novo kretanje</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+              <select
+                value={movementForm.type}
+                onChange={(e) => setMovementForm({ ...movementForm, type: e.target.value })}
+                style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+              >
+                {Object.values(MOVEMENT_TYPES).map(type => (
+                  <option key={type} value={type}>{MOVEMENT_LABELS[type]}</option>
+                ))}
+              </select>
+              <select
+                value={movementForm.articleCode}
+                onChange={(e) => setMovementForm({ ...movementForm, articleCode: e.target.value })}
+                style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '200px' }}
+              >
+                <option value="">Artikl...</option>
+                {articles.map(a => (
+                  <option key={a.code} value={a.code}>{a.code} — {a.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                placeholder={movementForm.type === MOVEMENT_TYPES.ADJUSTMENT ? '± Količina' : 'Količina'}
+                value={movementForm.quantity}
+                onChange={(e) => setMovementForm({ ...movementForm, quantity: e.target.value })}
+                style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '110px' }}
+              />
+              {(movementForm.type === MOVEMENT_TYPES.ISSUE || movementForm.type === MOVEMENT_TYPES.TRANSFER) && (
+                <input
+                  type="text"
+                  placeholder="S lokacije"
+                  value={movementForm.fromLocation}
+                  onChange={(e) => setMovementForm({ ...movementForm, fromLocation: e.target.value })}
+                  style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '110px' }}
+                />
+              )}
+              {movementForm.type !== MOVEMENT_TYPES.ISSUE && (
+                <input
+                  type="text"
+                  placeholder={movementForm.type === MOVEMENT_TYPES.ADJUSTMENT ? 'Lokacija' : 'Na lokaciju'}
+                  value={movementForm.toLocation}
+                  onChange={(e) => setMovementForm({ ...movementForm, toLocation: e.target.value })}
+                  style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '110px' }}
+                />
+              )}
+              <input
+                type="text"
+                placeholder="Dokument"
+                value={movementForm.documentRef}
+                onChange={(e) => setMovementForm({ ...movementForm, documentRef: e.target.value })}
+                style={{ padding: '8px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', width: '130px' }}
+              />
+              <button
+                onClick={handlePostMovement}
+                disabled={!movementForm.articleCode || !movementForm.quantity}
+                style={{ padding: '8px 16px', backgroundColor: '#10b981', color: 'white', border: 'none', borderRadius: '8px', cursor: 'pointer' }}
+              >
+                Proknjiži
+              </button>
+            </div>
+
+            <h3 style={{ fontSize: '16px', fontWeight: '600', margin: '24px 0 12px' }}>Zadnja kretanja</h3>
+            <div style={{ display: 'grid', gap: '6px' }}>
+              {movements.slice(0, 20).map(m => (
+                <div key={m.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 12px', backgroundColor: '#f9fafb', borderRadius: '8px', fontSize: '13px' }}>
+                  <span>
+                    <strong>{MOVEMENT_LABELS[m.type]}</strong> · {m.articleCode} · {m.quantity}
+                    {m.fromLocation && ` · ${m.fromLocation}`}{m.fromLocation && m.toLocation && ' →'}{m.toLocation && ` ${m.toLocation}`}
+                    {m.documentRef && ` · ${m.documentRef}`}
+                  </span>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#6b7280' }}>
+                    {new Date(m.timestamp).toLocaleString('hr-HR')}
+                    <button
+                      onClick={() => handleReverseMovement(m.id)}
+                      title="Storniraj kretanje"
+                      style={{ padding: '2px 8px', backgroundColor: 'transparent', border: '1px solid #e5e7eb', borderRadius: '6px', cursor: 'pointer', fontSize: '12px' }}
+                    >
+                      Storno
+                    </button>
+                  </span>
+                </div>
               ))}
             </div>
           </div>
         )}
 
+        {activeTab === 'orders' && (
+          <PurchaseOrders dataService={agbimDataService.current} orders={orders} onChanged={loadStock} />
+        )}
+
+        {activeTab === 'cutting' && (
+          <CuttingPlan dataService={agbimDataService.current} onApplied={loadStock} />
+        )}
+
+        {activeTab === 'positions' && (
+          <PositionStages dataService={agbimDataService.current} onChanged={loadStock} />
+        )}
+
         {activeTab === 'deliveries' && (
           <div style={{ backgroundColor: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
             <h2 style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '20px' }}>Planirane Isporuke</h2>
@@ -862,16 +1038,20 @@ export default function WarehouseManagementTab  ()  {
                 <p style={{ fontSize: '16px', fontWeight: '500' }}>{selectedArticle.name}</p>
               </div>
               <div style={{ marginBottom: '12px' }}>
-                <span style={{ fontSize: '12px', color: '#6b7280' }}>Lokacija:</span>
-                <p style={{ fontSize: '16px', fontWeight: '500' }}>{selectedArticle.location}</p>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>Lokacije:</span>
+                {Object.entries(selectedArticle.byLocation).map(([location, qty]) => (
+                  <p key={location} style={{ fontSize: '16px', fontWeight: '500' }}>{location}: {qty} {selectedArticle.unit}</p>
+                ))}
               </div>
               <div style={{ marginBottom: '12px' }}>
-                <span style={{ fontSize: '12px', color: '#6b7280' }}>KoliÄina:</span>
-                <p style={{ fontSize: '16px', fontWeight: '500' }}>{selectedArticle.quantity} kom</p>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>Na stanju / Rezervirano / Dostupno:</span>
+                <p style={{ fontSize: '16px', fontWeight: '500' }}>
+                  {selectedArticle.onHand} / {selectedArticle.reserved} / {selectedArticle.available} {selectedArticle.unit}
+                </p>
               </div>
               <div style={{ marginBottom: '12px' }}>
-                <span style={{ fontSize: '12px', color: '#6b7280' }}>Projekt:</span>
-                <p style={{ fontSize: '16px', fontWeight: '500' }}>{selectedArticle.project}</p>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>Grupa / Dobavljač:</span>
+                <p style={{ fontSize: '16px', fontWeight: '500' }}>{selectedArticle.group || '—'} / {selectedArticle.supplier || '—'}</p>
               </div>
               <button
                 onClick={() => setSelectedArticle(null)}
@@ -1,5 +1,10 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import AgentOrchestrator from '../services/AgentOrchestrator.js';
+import ProjectDataService from '../services/ProjectDataService.js';
+import { draftLines } from '../utils/ganttDraftValidator.js';
+import VoiceStreamClient from '../services/VoiceStreamClient.js';
+import { VOICE_STREAM_EVENTS, VOICE_INTENT_KINDS } from '../utils/voiceStream.js';
+import { voiceContextFromDraft } from '../utils/voiceActions.js';
 
 const GANTT_AGENT_STATES = {
   IDLE: 'idle',
@@ -26,12 +31,19 @@ export function useGanttAgent(projectId = null) {
   const [transcript, setTranscript] = useState('');
   const [isListening, setIsListening] = useState(false);
   const [error, setError] = useState(null);
+  // Glasovni tok: djelomični transkript i namjera dok korisnik još govori
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [partialTranscript, setPartialTranscript] = useState('');
+  const [partialIntent, setPartialIntent] = useState(null);
 
   // Refs
   const orchestratorRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const stageTimeoutsRef = useRef(new Map());
+  const streamRef = useRef(null);
+  const streamIntentRef = useRef(null);
+  const draftRef = useRef(null);
 
   // Initialize orchestrator
   useEffect(() => {
@@ -43,6 +55,7 @@ export function useGanttAgent(projectId = null) {
     return () => {
       // Cleanup any ongoing processes
       stopListening();
+      streamRef.current?.stop();
       clearAllStageTimeouts();
     };
   }, []);
@@ -143,17 +156,14 @@ export function useGanttAgent(projectId = null) {
     setIsListening(false);
   }, []);
 
-  const processRecordedAudio = useCallback(async () => {
+  // Snimka (audioBlob) ili gotov transkript iz glasovnog toka
+  const processVoiceInput = useCallback(async (input) => {
     try {
       setState(GANTT_AGENT_STATES.PROCESSING);
-      
-      // Create audio blob
-      const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-      console.log('🎵 Audio blob created:', audioBlob.size, 'bytes');
 
       // Process through orchestrator
       const result = await orchestratorRef.current.processGanttVoiceCommand({
-        audioBlob,
+        ...input,
         draftContext: draft,
         projectId
       });
@@ -173,6 +183,9 @@ export function useGanttAgent(projectId = null) {
         await applyUIPatches(result.agent_response.ui_patches);
       }
 
+      // U razgovoru agent odgovara glasom; govor prekida barge-in
+      streamRef.current?.speak(result.agent_response?.tts);
+
       // Determine next state based on agent response
       if (result.agent_response?.commit_mode) {
         setState(GANTT_AGENT_STATES.COMMITTING);
@@ -189,6 +202,13 @@ export function useGanttAgent(projectId = null) {
     }
   }, [draft, projectId]);
 
+  const processRecordedAudio = useCallback(async () => {
+    // Create audio blob
+    const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
+    console.log('🎵 Audio blob created:', audioBlob.size, 'bytes');
+    await processVoiceInput({ audioBlob });
+  }, [processVoiceInput]);
+
   // UI patch application
   const applyUIPatches = useCallback(async (patches) => {
     console.log('🔄 Applying UI patches:', patches.length);
@@ -290,13 +310,15 @@ export function useGanttAgent(projectId = null) {
       const confirmResult = await orchestratorRef.current.processConfirmOperation(
         draft,
         'line_confirm',
-        `Potvrđujem liniju ${lineId}`
+        `Potvrđujem liniju ${lineId}`,
+        { lineId }
       );
 
       console.log('✅ Line confirmed:', confirmResult);
       
       if (confirmResult.updated_draft) {
-        setDraft(confirmResult.updated_draft);
+        const updated = confirmResult.updated_draft;
+        setDraft({ ...updated, lines: new Map(draftLines(updated).map(line => [line.id, line])) });
       }
 
       setLastResponse(confirmResult);
@@ -309,6 +331,85 @@ export function useGanttAgent(projectId = null) {
     }
   }, [draft]);
 
+  // Konačna namjera iz glasovnog toka: potvrdi/poništi bez pritiska gumba, ostalo ide agentu
+  const handleStreamIntent = useCallback(async (event) => {
+    if (event.ignored) return;
+    setPartialIntent(null);
+    const stream = streamRef.current;
+
+    switch (event.kind) {
+      case VOICE_INTENT_KINDS.CONFIRM:
+        if (draft?.activeLineId) {
+          await confirmLine(draft.activeLineId);
+          stream?.speak('Potvrđeno.');
+        } else {
+          stream?.speak('Nema linije za potvrdu.');
+        }
+        break;
+      case VOICE_INTENT_KINDS.CANCEL:
+        setDraft(prev => prev ? { ...prev, activeLineId: null } : prev);
+        setState(GANTT_AGENT_STATES.IDLE);
+        stream?.speak('Poništeno.');
+        break;
+      case VOICE_INTENT_KINDS.WAKE:
+        break;
+      default:
+        if (event.command) await processVoiceInput({ transcript: event.command });
+    }
+  }, [draft, confirmLine, processVoiceInput]);
+  streamIntentRef.current = handleStreamIntent;
+  draftRef.current = draft;
+
+  // Server tumači iskaze i djelomične namjere s aliasima trenutnog draft-a
+  useEffect(() => {
+    if (isStreaming) streamRef.current?.updateContext(voiceContextFromDraft(draft));
+  }, [draft, isStreaming]);
+
+  const startStreaming = useCallback(async ({ wakeWord = 'agent' } = {}) => {
+    if (streamRef.current) return;
+    try {
+      setError(null);
+      setPartialTranscript('');
+      setPartialIntent(null);
+
+      const stream = new VoiceStreamClient({ wakeWord, context: voiceContextFromDraft(draftRef.current) });
+      stream.on(VOICE_STREAM_EVENTS.VAD, (event) => {
+        setIsListening(event.state === 'speech');
+        if (event.state === 'speech') setState(GANTT_AGENT_STATES.LISTENING);
+      });
+      stream.on(VOICE_STREAM_EVENTS.PARTIAL, (event) => setPartialTranscript(event.text));
+      stream.on(VOICE_STREAM_EVENTS.INTENT_PARTIAL, (event) => setPartialIntent(event));
+      stream.on(VOICE_STREAM_EVENTS.FINAL, (event) => {
+        setPartialTranscript('');
+        setTranscript(event.text);
+      });
+      stream.on(VOICE_STREAM_EVENTS.WAKE, () => stream.speak('Slušam.'));
+      // Ref jer se draft mijenja dok je veza otvorena
+      stream.on(VOICE_STREAM_EVENTS.INTENT_FINAL, (event) => streamIntentRef.current(event));
+      stream.on(VOICE_STREAM_EVENTS.ERROR, (event) => console.warn('⚠️ Voice stream:', event.stage, event.message));
+      stream.on('close', () => {
+        streamRef.current = null;
+        setIsStreaming(false);
+        setIsListening(false);
+      });
+
+      streamRef.current = stream;
+      await stream.start();
+      setIsStreaming(true);
+    } catch (error) {
+      console.error('❌ Failed to start voice stream:', error);
+      streamRef.current = null;
+      setError('Greška pri pokretanju glasovnog toka: ' + error.message);
+      setState(GANTT_AGENT_STATES.ERROR);
+    }
+  }, []);
+
+  const stopStreaming = useCallback(() => {
+    streamRef.current?.stop();
+    setPartialTranscript('');
+    setPartialIntent(null);
+  }, []);
+
   // Commit draft to project
   const commitDraft = useCallback(async () => {
     if (!draft || !projectId) {
@@ -324,6 +425,18 @@ export function useGanttAgent(projectId = null) {
       );
 
       console.log('💾 Draft committed:', commitResult);
+
+      // Potvrđeni plan postaje osnovni plan projekta za kasnije praćenje kašnjenja
+      if (commitResult?.baseline) {
+        try {
+          await new ProjectDataService().createBaseline(projectId, null, {
+            snapshot: commitResult.baseline,
+            source: commitResult.baseline.source
+          });
+        } catch (baselineError) {
+          console.warn('Baseline not saved:', baselineError.message);
+        }
+      }
       
       // Clear draft after successful commit
       setDraft(null);
@@ -343,6 +456,7 @@ export function useGanttAgent(projectId = null) {
   // Reset agent state
   const resetAgent = useCallback(() => {
     stopListening();
+    stopStreaming();
     setState(GANTT_AGENT_STATES.IDLE);
     setDraft(null);
     setLastResponse(null);
@@ -350,7 +464,7 @@ export function useGanttAgent(projectId = null) {
     setError(null);
     clearStages();
     console.log('🔄 Gantt Agent reset');
-  }, [stopListening, clearStages]);
+  }, [stopListening, stopStreaming, clearStages]);
 
   return {
     // State
@@ -361,10 +475,15 @@ export function useGanttAgent(projectId = null) {
     transcript,
     isListening,
     error,
+    isStreaming,
+    partialTranscript,
+    partialIntent,
 
     // Actions
     startListening,
     stopListening,
+    startStreaming,
+    stopStreaming,
     processTextCommand,
     confirmLine,
     commitDraft,
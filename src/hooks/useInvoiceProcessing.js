@@ -1,6 +1,8 @@
 import { useState, useCallback, useRef } from 'react';
 import { invoiceProcessingService } from '../services/invoice/InvoiceProcessingService';
 import { invoiceDataService } from '../services/invoice/InvoiceDataService';
+import AgbimDataService from '../services/AgbimDataService';
+import { isOutgoingInvoice } from '../utils/invoiceMatching';
 import { AI_MODES, GOOGLE_MODELS } from '../constants/aiModes';
 
 /**
@@ -16,6 +18,8 @@ import { AI_MODES, GOOGLE_MODELS } from '../constants/aiModes';
  * @returns {Object} Hook state i funkcije
  */
 export default function useInvoiceProcessing() {
+  const agbimDataService = useRef(new AgbimDataService());
+
   // Core state
   const [documents, setDocuments] = useState([]);
   const [currentDocIndex, setCurrentDocIndex] = useState(0);
@@ -101,6 +105,14 @@ export default function useInvoiceProcessing() {
     setProgress(0);
 
     try {
+      // Poznati dobavljači s naučenim predlošcima čitaju se bez AI poziva
+      let suppliers = [];
+      try {
+        suppliers = await agbimDataService.current.getSuppliers();
+      } catch (supplierError) {
+        console.warn('Supplier registry unavailable:', supplierError.message);
+      }
+
       await invoiceProcessingService.processBatchDocuments(
         documentsToProcess,
         settings,
@@ -116,7 +128,8 @@ export default function useInvoiceProcessing() {
               ? { ...doc, ...updates }
               : doc
           ));
-        }
+        },
+        { suppliers }
       );
       
     } catch (err) {
@@ -218,6 +231,34 @@ export default function useInvoiceProcessing() {
 
     try {
       const result = await invoiceDataService.saveToDatabase(currentDocument);
+
+      // Ulazni račun uparuje se s narudžbom i primkom (sporni ostaju blokirani);
+      // izlazni račun (izdala ga je naša tvrtka) nema narudžbenicu ni predložak dobavljača
+      let match = null;
+      let company = null;
+      try {
+        company = await agbimDataService.current.getCompanyProfile();
+      } catch (companyError) {
+        console.warn('Company profile unavailable:', companyError.message);
+      }
+      const outgoing = isOutgoingInvoice(currentDocument.analysis, company);
+      if ((currentDocument.analysis.documentType || 'invoice') === 'invoice' && !outgoing) {
+        try {
+          match = await agbimDataService.current.matchSupplierInvoice(currentDocument.analysis);
+        } catch (matchError) {
+          console.warn('Invoice matching skipped:', matchError.message);
+        }
+
+        // Potvrđeni račun i ispravci korisnika uče predložak dobavljača
+        try {
+          await agbimDataService.current.learnFromInvoice(currentDocument.analysis, {
+            corrections: currentDocument.corrections,
+            rawText: currentDocument.rawText
+          });
+        } catch (learnError) {
+          console.warn('Supplier template not updated:', learnError.message);
+        }
+      }
       
       // Update document sa saved flag
       setDocuments(prev => prev.map(doc => 
@@ -226,7 +267,9 @@ export default function useInvoiceProcessing() {
               ...doc, 
               saved: true, 
               savedDate: new Date().toISOString(),
-              savedData: result.savedData 
+              savedData: result.savedData,
+              match,
+              ...(outgoing ? { direction: 'outgoing' } : {})
             }
           : doc
       ));
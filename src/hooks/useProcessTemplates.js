@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import AgbimDataService from '../services/AgbimDataService.js';
+import { getProcessTemplates, setProcessTemplates } from '../utils/processTemplates.js';
+
+/**
+ * useProcessTemplates - Hook za knjižnicu predložaka procesa
+ *
+ * Učitava predloške po vrsti pozicije i normative te ih postavlja kao aktivnu
+ * knjižnicu za nove pozicije i glasovne naredbe.
+ *
+ * @returns {{ templates: object, saveTemplates: Function }}
+ */
+export default function useProcessTemplates() {
+  const [templates, setTemplates] = useState(getProcessTemplates);
+
+  useEffect(() => {
+    let cancelled = false;
+    new AgbimDataService().getProcessTemplates()
+      .then(library => { if (!cancelled) setTemplates(setProcessTemplates(library)); })
+      .catch(() => { /* ostaju zadani predlošci */ });
+    return () => { cancelled = true; };
+  }, []);
+
+  const saveTemplates = useCallback(async (library) => {
+    const saved = await new AgbimDataService().updateProcessTemplates(library);
+    setTemplates(setProcessTemplates(saved));
+    return saved;
+  }, []);
+
+  return { templates, saveTemplates };
+}
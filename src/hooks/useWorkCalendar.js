@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import AgbimDataService from '../services/AgbimDataService.js';
+import { getWorkCalendar, setWorkCalendar } from '../utils/workCalendar.js';
+
+/**
+ * useWorkCalendar - Hook za zajednički radni kalendar
+ *
+ * Učitava postavke tvrtke (radni tjedan, zatvaranja, timovi) i postavlja ih
+ * kao aktivni kalendar za planere i glasovne naredbe.
+ *
+ * @returns {{ calendar: object, saveCalendar: Function }}
+ */
+export default function useWorkCalendar() {
+  const [calendar, setCalendar] = useState(getWorkCalendar);
+
+  useEffect(() => {
+    let cancelled = false;
+    new AgbimDataService().getWorkCalendar()
+      .then(config => { if (!cancelled) setCalendar(setWorkCalendar(config)); })
+      .catch(() => { /* ostaje zadani kalendar */ });
+    return () => { cancelled = true; };
+  }, []);
+
+  const saveCalendar = useCallback(async (config) => {
+    const saved = await new AgbimDataService().updateWorkCalendar(config);
+    setCalendar(setWorkCalendar(saved));
+    return saved;
+  }, []);
+
+  return { calendar, saveCalendar };
+}
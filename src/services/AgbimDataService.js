@@ -2,6 +2,46 @@
  * AgbimDataService - Direct file-based backend integration
  * Reads from and writes to agbim.json directly
  */
+import {
+  MOVEMENT_TYPES,
+  ensureWarehouse,
+  computeBalances,
+  postMovementBatch,
+  createReversal,
+  getStockRows,
+  normalizeLocation,
+  parseLocation
+} from '../utils/stockLedger.js';
+import {
+  RESERVE_STAGES,
+  ISSUE_STAGES,
+  getPositionRequirements,
+  reservePositionMaterials,
+  issuePositionReservations,
+  pickLocations,
+  consumePositionReservations,
+  formatShortageWarnings
+} from '../utils/materialReservations.js';
+import { getPlanOffcuts, cuttingPlanId } from '../utils/cuttingOptimizer.js';
+import {
+  PO_STATUS,
+  ensureProcurement,
+  getProjectShortages,
+  buildDraftOrders,
+  transitionOrder,
+  receiveGoods,
+  checkInvoicePrices
+} from '../utils/purchaseOrders.js';
+import { DEFAULT_MATCH_TOLERANCE, matchInvoice, applyMatchToOrders, isOutgoingInvoice, findReplaceableMatch, resolveMatch } from '../utils/invoiceMatching.js';
+import { createEmptyTemplate, findSupplier, upsertSupplierFromInvoice, learnSupplierTemplate } from '../utils/supplierTemplates.js';
+import { normalizeWorkCalendar } from '../utils/workCalendar.js';
+import { normalizeResourceCapacity } from '../utils/resourceLeveling.js';
+import { normalizeTemplateLibrary } from '../utils/processTemplates.js';
+
+// Marks the empty fallback document returned when agbim.json could not be read.
+// Non-enumerable, so it never ends up in the file; writeJson refuses such data.
+const NOT_LOADED = Symbol('agbim.notLoaded');
+
 class AgbimDataService {
   constructor() {
     this.filePath = '/src/backend/agbim.json';
@@ -77,8 +117,8 @@ class AgbimDataService {
         return this.cache;
       }
       
-      // Return empty structure as fallback
-      return {
+      // Return empty structure as fallback (readable, but never written back)
+      const fallback = {
         version: "5.2",
         exportDate: new Date().toISOString(),
         meta: {
@@ -96,9 +136,21 @@ class AgbimDataService {
         tasks: [],
         aiOutputs: []
       };
+      Object.defineProperty(fallback, NOT_LOADED, { value: true });
+      return fallback;
     }
   }
 
+  /**
+   * Read data for a read-modify-write operation (dispatch, warehouse, ...).
+   * Returns a copy, so a failed operation never leaves half-applied changes in the cache;
+   * the cache is replaced only by a successful writeJson.
+   */
+  async loadJson() {
+    const data = await this.readJson();
+    return data[NOT_LOADED] ? data : structuredClone(data);
+  }
+
   /**
    * Clear localStorage if it's too large
    */
@@ -168,6 +220,10 @@ class AgbimDataService {
    * Write data to agbim.json
    */
   async writeJson(data) {
+    if (data?.[NOT_LOADED]) {
+      // Writing the fallback skeleton would wipe every project in agbim.json
+      throw new Error('agbim.json could not be read - refusing to overwrite it');
+    }
     try {
       // Write to actual agbim.json file using API endpoint
       const response = await fetch(this.writeEndpoint, {
@@ -470,6 +526,14 @@ class AgbimDataService {
             position.dispatch.reserved -= item.quantity;
             position.dispatch.lastShipped = new Date().toISOString();
           }
+          // Shipped positions consume their material from the warehouse
+          if (position) {
+            this.applyPositionMaterials(data, project, position, {
+              issue: true,
+              trigger: `dispatch:${dispatch.documentNumber}`,
+              documentRef: dispatch.documentNumber
+            });
+          }
         });
 
         // Add to history
@@ -546,43 +610,969 @@ class AgbimDataService {
   // ==================== WAREHOUSE OPERATIONS ====================
 
   /**
-   * Update warehouse stock
+   * Get the shared warehouse ledger (articles, locations, movements, reservations)
+   */
+  async getWarehouse() {
+    try {
+      const data = await this.loadJson();
+      return ensureWarehouse(data.warehouse);
+    } catch (error) {
+      console.error('Error getting warehouse:', error);
+      return ensureWarehouse(null);
+    }
+  }
+
+  /**
+   * Get stock rows (on hand / reserved / available) for every registered article
+   */
+  async getWarehouseStock() {
+    const warehouse = await this.getWarehouse();
+    return getStockRows(warehouse);
+  }
+
+  /**
+   * Register or update article master data. Quantities are never stored here -
+   * they always come from the movements.
+   */
+  async saveWarehouseArticle(article) {
+    try {
+      if (!article?.code) {
+        throw new Error('Article code is required');
+      }
+      if (article.defaultLocation && !parseLocation(article.defaultLocation)) {
+        throw new Error(`Invalid location "${article.defaultLocation}"`);
+      }
+
+      const data = await this.loadJson();
+      data.warehouse = ensureWarehouse(data.warehouse);
+
+      const { onHand: _onHand, reserved: _reserved, available: _available, quantity: _quantity, ...master } = article;
+      const existing = data.warehouse.articles.find(a => a.code === article.code);
+      const normalized = {
+        unit: 'kom',
+        group: '',
+        color: '',
+        supplier: '',
+        ...existing,
+        ...master,
+        name: master.name || existing?.name || master.code,
+        minStock: Number(master.minStock ?? existing?.minStock) || 0,
+        defaultLocation: normalizeLocation(master.defaultLocation ?? existing?.defaultLocation),
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      const saved = existing ? Object.assign(existing, normalized) : normalized;
+
+      if (!existing) data.warehouse.articles.push(saved);
+      this.registerLocations(data.warehouse, [saved.defaultLocation]);
+
+      await this.writeJson(data);
+      console.log(`📦 Saved warehouse article ${saved.code}`);
+      return saved;
+    } catch (error) {
+      console.error('Error saving warehouse article:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure every bin used by a movement exists in the location register
+   */
+  registerLocations(warehouse, codes) {
+    codes.forEach(code => {
+      const parsed = parseLocation(code);
+      if (parsed && !warehouse.locations.some(l => l.code === parsed.code)) {
+        warehouse.locations.push({ ...parsed, description: '' });
+      }
+    });
+  }
+
+  /**
+   * Update warehouse stock - posts movements to the shared ledger.
+   * Accepts receipt/issue/transfer/adjustment (and legacy in/out) movements;
+   * the whole batch is rejected if any movement is invalid.
    */
   async updateWarehouseStock(projectId, movements) {
+    try {
+      const data = await this.loadJson();
+
+      if (projectId && !data.projects?.some(p => p.id === projectId)) {
+        throw new Error(`Project ${projectId} not found`);
+      }
+
+      data.warehouse = ensureWarehouse(data.warehouse);
+      const posted = this.postMovements(data.warehouse, movements, { projectId });
+      if (posted.some(m => m.type === MOVEMENT_TYPES.RECEIPT)) {
+        this.retryShortages(data, { trigger: 'receipt' });
+      }
+
+      await this.writeJson(data);
+      console.log(`📦 Updated warehouse with ${posted.length} movements`);
+      return data.warehouse;
+    } catch (error) {
+      console.error('Error updating warehouse:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and append movements to an in-memory warehouse (no write).
+   * The whole batch is rejected if any movement is invalid.
+   */
+  postMovements(warehouse, movements, context = {}) {
+    const posted = postMovementBatch(warehouse, movements, context);
+    posted.forEach(record => this.registerLocations(warehouse, [record.fromLocation, record.toLocation]));
+    return posted;
+  }
+
+  /**
+   * Correct a posted movement by posting its reversal (movements are immutable)
+   */
+  async reverseWarehouseMovement(movementId, notes = '') {
+    try {
+      const data = await this.loadJson();
+      data.warehouse = ensureWarehouse(data.warehouse);
+
+      const original = data.warehouse.movements.find(m => m.id === movementId);
+      if (!original) {
+        throw new Error(`Movement ${movementId} not found`);
+      }
+      if (data.warehouse.movements.some(m => m.documentRef === movementId)) {
+        throw new Error(`Movement ${movementId} is already reversed`);
+      }
+
+      const [reversal] = this.postMovements(data.warehouse, [createReversal(original, notes)], {
+        projectId: original.projectId
+      });
+
+      await this.writeJson(data);
+      console.log(`↩️ Reversed warehouse movement ${movementId}`);
+      return reversal;
+    } catch (error) {
+      console.error('Error reversing warehouse movement:', error);
+      throw error;
+    }
+  }
+
+  // ==================== POSITION MATERIALS ====================
+
+  /**
+   * Reserve (and optionally issue) a position's LogiKal materials in the loaded data.
+   * Shortages are written to position.materialStatus. No write - caller saves.
+   */
+  applyPositionMaterials(data, project, position, { issue = false, trigger = '', documentRef = null } = {}) {
+    data.warehouse = ensureWarehouse(data.warehouse);
+    const requirements = getPositionRequirements(project, position, data.warehouse.articles);
+    if (requirements.length === 0) {
+      return { requirements, reservations: [], movements: [], shortages: [] };
+    }
+
+    const context = { projectId: project.id, positionId: position.id, requirements, source: trigger };
+    const { reservations, shortages: reserveShortages } = reservePositionMaterials(data.warehouse, context);
+    // Pri izdavanju se manjku rezervacije dodaje i ono što skladište više ne može pokriti
+    const { movements, shortages: issueShortages } = issue
+      ? issuePositionReservations(data.warehouse, { ...context, documentRef })
+      : { movements: [], shortages: [] };
+    const shortages = [...reserveShortages, ...issueShortages];
+
+    position.materialStatus = {
+      ...(position.materialStatus || {}),
+      trigger,
+      updatedAt: new Date().toISOString(),
+      ...(issue ? { issuedAt: new Date().toISOString() } : { reservedAt: new Date().toISOString() }),
+      shortages,
+      warnings: formatShortageWarnings(shortages)
+    };
+
+    if (!project.history) project.history = [];
+    project.history.push({
+      id: `h_${Date.now()}_${position.id}`,
+      date: new Date().toISOString(),
+      type: 'warehouse',
+      title: issue ? 'Materijal izdan' : 'Materijal rezerviran',
+      details: `${position.id}: ${reservations.length} rezervacija, ${movements.length} izdavanja` +
+        (shortages.length ? `, ${shortages.length} manjkova` : ''),
+      userId: 'user_demo',
+      positionId: position.id
+    });
+
+    return { requirements, reservations, movements, shortages };
+  }
+
+  /**
+   * Retry the reservations of every position that is short of material, e.g.
+   * after goods were received. Free stock is shared, so positions of
+   * `projectIds` go first. Positions already in fabrication get it issued.
+   * No write - caller saves. Returns the positions that are still short.
+   */
+  retryShortages(data, { trigger = '', documentRef = null, projectIds = [] } = {}) {
+    const short = (data.projects || [])
+      .flatMap(project => (project.positions || [])
+        .filter(pos => pos.materialStatus?.shortages?.length)
+        .map(position => ({ project, position })))
+      .sort((a, b) => Number(projectIds.includes(b.project.id)) - Number(projectIds.includes(a.project.id)));
+
+    return short
+      .map(({ project, position }) => ({
+        project,
+        position,
+        result: this.applyPositionMaterials(data, project, position, {
+          issue: ISSUE_STAGES.includes(position.stage),
+          trigger,
+          documentRef
+        })
+      }))
+      .filter(({ result }) => result.shortages.length > 0)
+      .map(({ project, position }) => ({ projectId: project.id, positionId: position.id }));
+  }
+
+  /**
+   * Reserve or issue materials for a single position and save
+   */
+  async syncPositionMaterials(projectId, positionId, options = {}) {
     try {
       const data = await this.loadJson();
       const project = data.projects?.find(p => p.id === projectId);
-      
       if (!project) {
         throw new Error(`Project ${projectId} not found`);
       }
+      const position = project.positions?.find(p => p.id === positionId);
+      if (!position) {
+        throw new Error(`Position ${positionId} not found in project ${projectId}`);
+      }
+
+      const result = this.applyPositionMaterials(data, project, position, options);
+      await this.writeJson(data);
 
-      if (!project.warehouse) {
-        project.warehouse = { sections: [], movements: [] };
+      if (result.shortages.length > 0) {
+        console.warn(`⚠️ ${positionId}: ${result.shortages.length} material shortages`);
       }
+      return result;
+    } catch (error) {
+      console.error('Error syncing position materials:', error);
+      throw error;
+    }
+  }
+
+  async reserveMaterialsForPosition(projectId, positionId, trigger = 'manual') {
+    return this.syncPositionMaterials(projectId, positionId, { issue: false, trigger });
+  }
 
-      // Add movements
-      movements.forEach(movement => {
-        project.warehouse.movements.push({
-          id: `mov_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          timestamp: new Date().toISOString(),
-          type: movement.type, // 'in', 'out', 'transfer'
-          positionId: movement.positionId,
-          quantity: movement.quantity,
-          section: movement.section,
-          notes: movement.notes || '',
-          userId: 'user_demo'
+  async issueMaterialsForPosition(projectId, positionId, trigger = 'manual') {
+    return this.syncPositionMaterials(projectId, positionId, { issue: true, trigger });
+  }
+
+  /**
+   * Move a position into a production stage. Entering Cutting reserves its
+   * material, entering Fabrication issues it.
+   */
+  async updatePositionStage(projectId, positionId, stage) {
+    try {
+      const data = await this.loadJson();
+      const project = data.projects?.find(p => p.id === projectId);
+      if (!project) {
+        throw new Error(`Project ${projectId} not found`);
+      }
+      const position = project.positions?.find(p => p.id === positionId);
+      if (!position) {
+        throw new Error(`Position ${positionId} not found in project ${projectId}`);
+      }
+
+      const previous = position.stage || null;
+      position.stage = stage;
+      position.updated = new Date().toISOString();
+
+      let materials = null;
+      if (RESERVE_STAGES.includes(stage)) {
+        materials = this.applyPositionMaterials(data, project, position, { issue: false, trigger: `stage:${stage}` });
+      } else if (ISSUE_STAGES.includes(stage)) {
+        materials = this.applyPositionMaterials(data, project, position, { issue: true, trigger: `stage:${stage}` });
+      }
+
+      if (!project.history) project.history = [];
+      project.history.push({
+        id: `h_${Date.now()}`,
+        date: new Date().toISOString(),
+        type: 'position',
+        title: 'Faza pozicije promijenjena',
+        details: `${positionId}: ${previous || '-'} → ${stage}`,
+        userId: 'user_demo',
+        positionId
+      });
+
+      await this.writeJson(data);
+      return { position, materials };
+    } catch (error) {
+      console.error('Error updating position stage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Positions across all projects that currently report material shortages
+   */
+  async getMaterialShortages() {
+    try {
+      const data = await this.loadJson();
+      return (data.projects || []).flatMap(project =>
+        (project.positions || [])
+          .filter(pos => pos.materialStatus?.shortages?.length)
+          .map(pos => ({
+            projectId: project.id,
+            projectName: project.name,
+            positionId: pos.id,
+            positionTitle: pos.title,
+            stage: pos.stage || null,
+            shortages: pos.materialStatus.shortages
+          }))
+      );
+    } catch (error) {
+      console.error('Error getting material shortages:', error);
+      return [];
+    }
+  }
+
+  // ==================== CUTTING / OFFCUTS ====================
+
+  /**
+   * Reusable profile offcuts currently in stock
+   */
+  async getOffcuts() {
+    const warehouse = await this.getWarehouse();
+    return warehouse.offcuts.filter(o => o.status === 'available');
+  }
+
+  /**
+   * Commit a cutting plan: used offcuts leave stock, new bars are issued from
+   * the ledger and usable leftovers go back into stock as offcuts. The bars
+   * come out of the cut positions' reservations. A plan is applied once per
+   * project - applying the same cut list again returns the first result.
+   */
+  async applyCuttingPlan(projectId, plan, { offcutLocation = null } = {}) {
+    try {
+      const data = await this.loadJson();
+      const project = data.projects?.find(p => p.id === projectId);
+      if (!project) {
+        throw new Error(`Project ${projectId} not found`);
+      }
+
+      data.warehouse = ensureWarehouse(data.warehouse);
+      const warehouse = data.warehouse;
+      const planId = cuttingPlanId(plan);
+      const applied = (project.cuttingPlans || []).find(p => p.id === planId);
+      if (applied) {
+        console.warn(`⚠️ Cutting plan ${applied.planRef} was already applied`);
+        return {
+          planRef: applied.planRef,
+          movements: warehouse.movements.filter(m => applied.movementIds.includes(m.id)),
+          offcuts: warehouse.offcuts.filter(o => applied.offcutIds.includes(o.id)),
+          warnings: applied.warnings,
+          alreadyApplied: true
+        };
+      }
+
+      const planRef = `KROJ-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${projectId}-${planId.slice(5)}`;
+      const warnings = [];
+
+      // Iskorišteni ostaci
+      plan.groups.flatMap(g => g.bars).filter(b => b.source === 'offcut').forEach(bar => {
+        const offcut = warehouse.offcuts.find(o => o.id === bar.offcutId);
+        if (!offcut || offcut.status !== 'available') {
+          throw new Error(`Offcut ${bar.offcutId} is no longer available`);
+        }
+        offcut.status = 'used';
+        offcut.usedAt = new Date().toISOString();
+        offcut.usedBy = planRef;
+      });
+
+      // Nove šipke izdaju se iz ledgera (u komadima ili metrima, ovisno o artiklu)
+      const issues = [];
+      const consumption = [];
+      plan.groups.forEach(group => {
+        const article = warehouse.articles.find(a => a.code === group.profileCode);
+        const newBars = group.bars.filter(b => b.source === 'stock');
+        if (!article) {
+          if (newBars.length > 0) warnings.push(`${group.profileCode} nije registriran na skladištu - šipke nisu izdane`);
+          return;
+        }
+        // Pozicije čiji se komadi režu (LogiKal tag ili id pozicije)
+        const positionIds = [...new Set(group.bars.flatMap(b => b.cuts)
+          .map(cut => project.positions?.find(p => p.tag === cut.positionId || p.id === cut.positionId)?.id)
+          .filter(Boolean))];
+        const quantity = article.unit === 'm'
+          ? newBars.reduce((s, b) => s + b.length, 0) / 1000
+          : newBars.length;
+        const picks = quantity > 0 ? pickLocations(computeBalances(warehouse)[article.code], quantity) : [];
+        const picked = picks.reduce((s, p) => s + p.quantity, 0);
+        if (picked < quantity) {
+          warnings.push(`${group.profileCode}: na stanju ${picked} od ${quantity} ${article.unit || 'kom'}`);
+        }
+        consumption.push({ articleCode: article.code, positionIds, quantity: picked, from: issues.length, count: picks.length });
+        picks.forEach(pick => issues.push({
+          type: 'issue',
+          articleCode: article.code,
+          quantity: pick.quantity,
+          fromLocation: pick.location,
+          documentRef: planRef,
+          notes: `Krojna lista ${group.profileCode} ${group.color}`.trim()
+        }));
+      });
+      const movements = this.postMovements(warehouse, issues, { projectId });
+
+      // Izdane šipke troše rezervacije rezanih pozicija, inače bi isti materijal bio izdan dvaput
+      consumption.forEach(({ articleCode, positionIds, quantity, from, count }) => {
+        consumePositionReservations(warehouse, {
+          projectId,
+          positionIds,
+          articleCode,
+          quantity,
+          movementIds: movements.slice(from, from + count).map(m => m.id),
+          documentRef: planRef
         });
       });
 
+      // Upotrebljivi ostaci natrag na skladište
+      const offcuts = getPlanOffcuts(plan).map(o => ({
+        id: `off_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        ...o,
+        location: normalizeLocation(offcutLocation),
+        status: 'available',
+        projectId,
+        createdAt: new Date().toISOString(),
+        source: planRef
+      }));
+      warehouse.offcuts.push(...offcuts);
+      this.registerLocations(warehouse, [offcutLocation]);
+
+      if (!project.history) project.history = [];
+      project.history.push({
+        id: `h_${Date.now()}`,
+        date: new Date().toISOString(),
+        type: 'warehouse',
+        title: 'Krojna lista potvrđena',
+        details: `${planRef}: ${plan.summary.newBars} šipki, ${offcuts.length} ostataka na skladište, otpad ${plan.summary.wastePct}%`,
+        userId: 'user_demo'
+      });
+      project.cuttingPlans = [...(project.cuttingPlans || []), {
+        id: planId,
+        planRef,
+        appliedAt: new Date().toISOString(),
+        movementIds: movements.map(m => m.id),
+        offcutIds: offcuts.map(o => o.id),
+        warnings
+      }];
+
       await this.writeJson(data);
-      console.log(`📦 Updated warehouse with ${movements.length} movements`);
-      return project.warehouse;
+      console.log(`🪚 Applied cutting plan ${planRef}`);
+      return { planRef, movements, offcuts, warnings };
     } catch (error) {
-      console.error('Error updating warehouse:', error);
+      console.error('Error applying cutting plan:', error);
+      throw error;
+    }
+  }
+
+  // ==================== PROCUREMENT ====================
+
+  /**
+   * Purchase orders and goods receipts
+   */
+  async getProcurement() {
+    try {
+      const data = await this.loadJson();
+      return ensureProcurement(data.procurement);
+    } catch (error) {
+      console.error('Error getting procurement:', error);
+      return ensureProcurement(null);
+    }
+  }
+
+  findPurchaseOrder(data, orderId) {
+    data.procurement = ensureProcurement(data.procurement);
+    const order = data.procurement.purchaseOrders.find(po => po.id === orderId);
+    if (!order) {
+      throw new Error(`Purchase order ${orderId} not found`);
+    }
+    return order;
+  }
+
+  /**
+   * Create draft purchase orders (one per supplier) for everything the given
+   * projects - or all projects - are still missing
+   */
+  async generateDraftOrders(projectIds = null) {
+    try {
+      const data = await this.loadJson();
+      data.warehouse = ensureWarehouse(data.warehouse);
+      data.procurement = ensureProcurement(data.procurement);
+
+      const projects = (data.projects || []).filter(p => !projectIds || projectIds.includes(p.id));
+      const balances = computeBalances(data.warehouse);
+      const shortages = projects.flatMap(project =>
+        getProjectShortages(project, data.warehouse, data.procurement, balances)
+      );
+      if (shortages.length === 0) {
+        return [];
+      }
+
+      const drafts = buildDraftOrders(shortages, data.procurement, { articles: data.warehouse.articles });
+      data.procurement.purchaseOrders.push(...drafts);
+
+      await this.writeJson(data);
+      console.log(`🛒 Created ${drafts.length} draft purchase orders`);
+      return drafts;
+    } catch (error) {
+      console.error('Error generating draft orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit quantity / price of a draft order line
+   */
+  async updatePurchaseOrderLine(orderId, lineId, changes) {
+    try {
+      const data = await this.loadJson();
+      const order = this.findPurchaseOrder(data, orderId);
+      if (order.status !== PO_STATUS.DRAFT) {
+        throw new Error(`Purchase order ${order.number} is ${order.status} - only drafts can be edited`);
+      }
+      const line = order.lines.find(l => l.id === lineId);
+      if (!line) {
+        throw new Error(`Line ${lineId} is not on purchase order ${order.number}`);
+      }
+
+      if (changes.quantity !== undefined) line.quantity = Number(changes.quantity) || 0;
+      if (changes.unitPrice !== undefined) line.unitPrice = Number(changes.unitPrice) || 0;
+      order.lines = order.lines.filter(l => l.quantity > 0);
+      order.updatedAt = new Date().toISOString();
+
+      await this.writeJson(data);
+      return order;
+    } catch (error) {
+      console.error('Error updating purchase order line:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit order header (supplier name / OIB) - needed for invoice matching
+   */
+  async updatePurchaseOrder(orderId, changes) {
+    try {
+      const data = await this.loadJson();
+      const order = this.findPurchaseOrder(data, orderId);
+      if (order.status === PO_STATUS.CANCELLED) {
+        throw new Error(`Purchase order ${order.number} is cancelled`);
+      }
+
+      if (changes.supplier !== undefined) order.supplier = changes.supplier;
+      if (changes.supplierOib !== undefined) order.supplierOib = String(changes.supplierOib).replace(/\D/g, '') || null;
+      order.updatedAt = new Date().toISOString();
+
+      await this.writeJson(data);
+      return order;
+    } catch (error) {
+      console.error('Error updating purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve / send / close / cancel a purchase order
+   */
+  async setPurchaseOrderStatus(orderId, status, note = '') {
+    try {
+      const data = await this.loadJson();
+      const order = this.findPurchaseOrder(data, orderId);
+      transitionOrder(order, status, { note });
+
+      await this.writeJson(data);
+      console.log(`🛒 ${order.number} → ${status}`);
+      return order;
+    } catch (error) {
+      console.error('Error changing purchase order status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post a goods receipt (Primka) against a purchase order. Positions that were
+   * short of material get their reservations retried, the order's projects first.
+   */
+  async receivePurchaseOrder(orderId, lines, { deliveryNote = '' } = {}) {
+    try {
+      const data = await this.loadJson();
+      data.warehouse = ensureWarehouse(data.warehouse);
+      data.procurement = ensureProcurement(data.procurement);
+
+      const { receipt, movements, order } = receiveGoods(data.warehouse, data.procurement, orderId, lines, {
+        deliveryNote,
+        post: (requests, context) => this.postMovements(data.warehouse, requests, context)
+      });
+
+      this.retryShortages(data, {
+        trigger: `receipt:${receipt.number}`,
+        documentRef: receipt.number,
+        projectIds: order.projectIds || []
+      });
+
+      await this.writeJson(data);
+      console.log(`📥 ${receipt.number} posted for ${order.number}`);
+      return { receipt, movements, order };
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a supplier invoice (InvoiceDataService analysis) with the ordered
+   * prices and store the flagged differences on the order
+   */
+  async recordSupplierInvoice(orderId, analysis, { tolerancePct } = {}) {
+    try {
+      const data = await this.loadJson();
+      const order = this.findPurchaseOrder(data, orderId);
+
+      const differences = checkInvoicePrices(order, analysis?.items || [], { tolerancePct })
+        .map(d => ({ ...d, invoiceNumber: analysis?.documentNumber || null, flaggedAt: new Date().toISOString() }));
+      order.invoiceNumbers = [...new Set([...(order.invoiceNumbers || []), analysis?.documentNumber].filter(Boolean))];
+      order.priceDifferences = [
+        ...(order.priceDifferences || []).filter(d => d.invoiceNumber !== (analysis?.documentNumber || null)),
+        ...differences
+      ];
+
+      await this.writeJson(data);
+      if (differences.length > 0) {
+        console.warn(`⚠️ ${order.number}: ${differences.length} price differences on invoice ${analysis?.documentNumber}`);
+      }
+      return differences;
+    } catch (error) {
+      console.error('Error recording supplier invoice:', error);
+      throw error;
+    }
+  }
+
+  // ==================== INVOICE MATCHING ====================
+
+  /**
+   * Three-way match tolerance (stored with procurement settings)
+   */
+  async getMatchTolerance() {
+    const procurement = await this.getProcurement();
+    return { ...DEFAULT_MATCH_TOLERANCE, ...procurement.settings.matchTolerance };
+  }
+
+  async setMatchTolerance(tolerance) {
+    try {
+      const data = await this.loadJson();
+      data.procurement = ensureProcurement(data.procurement);
+      data.procurement.settings.matchTolerance = {
+        ...DEFAULT_MATCH_TOLERANCE,
+        ...data.procurement.settings.matchTolerance,
+        ...Object.fromEntries(Object.entries(tolerance).map(([k, v]) => [k, Number(v) || 0]))
+      };
+      await this.writeJson(data);
+      return data.procurement.settings.matchTolerance;
+    } catch (error) {
+      console.error('Error saving match tolerance:', error);
+      throw error;
+    }
+  }
+
+  async getInvoiceMatches() {
+    const procurement = await this.getProcurement();
+    return procurement.invoiceMatches;
+  }
+
+  /**
+   * Match a parsed supplier invoice against purchase orders and goods receipts.
+   * Matched and partially matched invoices book their quantities on the PO
+   * lines right away; disputed invoices are put on hold for review. An invoice
+   * still on hold or rejected in review can be matched again.
+   */
+  async matchSupplierInvoice(invoice, { tolerance } = {}) {
+    try {
+      const data = await this.loadJson();
+      if (isOutgoingInvoice(invoice, data.company)) {
+        throw new Error('Outgoing invoices are not matched against purchase orders');
+      }
+      data.procurement = ensureProcurement(data.procurement);
+      const procurement = data.procurement;
+
+      const result = matchInvoice(invoice, procurement, {
+        ...procurement.settings.matchTolerance,
+        ...tolerance
+      });
+      if (!result.invoiceNumber) {
+        throw new Error('Invoice number is required for matching');
+      }
+
+      const previous = findReplaceableMatch(procurement, result);
+
+      const match = {
+        id: previous?.id || `im_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        ...result,
+        matchedAt: new Date().toISOString()
+      };
+      if (!match.hold) {
+        applyMatchToOrders(match, procurement);
+      }
+      procurement.invoiceMatches = [
+        ...procurement.invoiceMatches.filter(m => m.id !== match.id),
+        match
+      ];
+
+      await this.writeJson(data);
+      console.log(`🧾 Invoice ${match.invoiceNumber}: ${match.status}`);
+      return match;
+    } catch (error) {
+      console.error('Error matching supplier invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Review a disputed invoice: accept it (variances approved) or reject it
+   */
+  async resolveInvoiceMatch(matchId, { accept, note = '' }) {
+    try {
+      const data = await this.loadJson();
+      data.procurement = ensureProcurement(data.procurement);
+      const match = data.procurement.invoiceMatches.find(m => m.id === matchId);
+      if (!match) {
+        throw new Error(`Invoice match ${matchId} not found`);
+      }
+      resolveMatch(match, data.procurement, { accept, note });
+
+      await this.writeJson(data);
+      return match;
+    } catch (error) {
+      console.error('Error resolving invoice match:', error);
+      throw error;
+    }
+  }
+
+  // ==================== COMPANY PROFILE ====================
+
+  /**
+   * Our own company as the seller on outgoing e-invoices
+   */
+  async getCompanyProfile() {
+    try {
+      const data = await this.loadJson();
+      return { name: '', oib: '', iban: '', address: '', ...data.company };
+    } catch (error) {
+      console.error('Error getting company profile:', error);
+      throw error;
+    }
+  }
+
+  async updateCompanyProfile(profile) {
+    try {
+      const data = await this.loadJson();
+      data.company = { ...data.company, ...profile };
+      await this.writeJson(data);
+      console.log('🏢 Company profile saved');
+      return data.company;
+    } catch (error) {
+      console.error('Error saving company profile:', error);
+      throw error;
+    }
+  }
+
+  // ==================== WORK CALENDAR ====================
+
+  /**
+   * Company working-day calendar (work week, shutdowns, team hours)
+   */
+  async getWorkCalendar() {
+    try {
+      const data = await this.loadJson();
+      return normalizeWorkCalendar(data.workCalendar);
+    } catch (error) {
+      console.error('Error getting work calendar:', error);
+      throw error;
+    }
+  }
+
+  async updateWorkCalendar(calendar) {
+    try {
+      const data = await this.loadJson();
+      data.workCalendar = normalizeWorkCalendar({ ...data.workCalendar, ...calendar });
+      await this.writeJson(data);
+      console.log('📅 Work calendar saved');
+      return data.workCalendar;
+    } catch (error) {
+      console.error('Error saving work calendar:', error);
+      throw error;
+    }
+  }
+
+  // ==================== RESOURCE CAPACITY ====================
+
+  /**
+   * Daily capacity in hours per employee and per department
+   */
+  async getResourceCapacity() {
+    try {
+      const data = await this.loadJson();
+      return normalizeResourceCapacity(data.resourceCapacity);
+    } catch (error) {
+      console.error('Error getting resource capacity:', error);
+      throw error;
+    }
+  }
+
+  async updateResourceCapacity(capacity) {
+    try {
+      const data = await this.loadJson();
+      data.resourceCapacity = normalizeResourceCapacity(capacity);
+      await this.writeJson(data);
+      console.log('👷 Resource capacity saved');
+      return data.resourceCapacity;
+    } catch (error) {
+      console.error('Error saving resource capacity:', error);
+      throw error;
+    }
+  }
+
+  // ==================== PROCESS TEMPLATES ====================
+
+  /**
+   * Process templates per position type and normative profiles
+   */
+  async getProcessTemplates() {
+    try {
+      const data = await this.loadJson();
+      return normalizeTemplateLibrary(data.processTemplates);
+    } catch (error) {
+      console.error('Error getting process templates:', error);
+      throw error;
+    }
+  }
+
+  async updateProcessTemplates(library) {
+    try {
+      const data = await this.loadJson();
+      data.processTemplates = normalizeTemplateLibrary(library);
+      await this.writeJson(data);
+      console.log('🧩 Process templates saved');
+      return data.processTemplates;
+    } catch (error) {
+      console.error('Error saving process templates:', error);
+      throw error;
+    }
+  }
+
+  // ==================== ACCOUNTING ====================
+
+  /**
+   * Accounting records (invoices, expenses, payments with allocations);
+   * null when nothing has been saved yet
+   */
+  async getAccountingRecords() {
+    try {
+      const data = await this.loadJson();
+      return data.accounting?.records || null;
+    } catch (error) {
+      console.error('Error getting accounting records:', error);
+      throw error;
+    }
+  }
+
+  async saveAccountingRecords(records) {
+    try {
+      const data = await this.loadJson();
+      data.accounting = { ...data.accounting, records, updatedAt: new Date().toISOString() };
+      await this.writeJson(data);
+      console.log(`💶 Saved ${records.length} accounting records`);
+      return records;
+    } catch (error) {
+      console.error('Error saving accounting records:', error);
+      throw error;
+    }
+  }
+
+  // ==================== SUPPLIERS ====================
+
+  async getSuppliers() {
+    try {
+      const data = await this.loadJson();
+      return data.suppliers || [];
+    } catch (error) {
+      console.error('Error getting suppliers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit supplier master data (name, IBANs, currency, payment terms)
+   */
+  async updateSupplier(oib, updates) {
+    try {
+      const data = await this.loadJson();
+      const supplier = findSupplier(data.suppliers || [], oib);
+      if (!supplier) {
+        throw new Error(`Supplier ${oib} not found`);
+      }
+      const { name, ibans, currency, paymentTermsDays } = updates;
+      Object.assign(supplier, {
+        ...(name !== undefined && { name }),
+        ...(ibans !== undefined && { ibans: ibans.map(i => String(i).replace(/\s/g, '').toUpperCase()).filter(Boolean) }),
+        ...(currency !== undefined && { currency }),
+        ...(paymentTermsDays !== undefined && { paymentTermsDays: paymentTermsDays === '' || paymentTermsDays === null ? null : Number(paymentTermsDays) }),
+        updatedAt: new Date().toISOString()
+      });
+      await this.writeJson(data);
+      return supplier;
+    } catch (error) {
+      console.error('Error updating supplier:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the learned extraction template (e.g. after the supplier changed its invoice layout)
+   */
+  async resetSupplierTemplate(oib) {
+    try {
+      const data = await this.loadJson();
+      const supplier = findSupplier(data.suppliers || [], oib);
+      if (!supplier) {
+        throw new Error(`Supplier ${oib} not found`);
+      }
+      supplier.template = createEmptyTemplate();
+      supplier.updatedAt = new Date().toISOString();
+      await this.writeJson(data);
+      return supplier;
+    } catch (error) {
+      console.error('Error resetting supplier template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a confirmed invoice into the supplier registry and learn extraction
+   * hints from the user's corrections and the document text
+   */
+  async learnFromInvoice(analysis, { corrections = [], rawText = null } = {}) {
+    try {
+      const data = await this.loadJson();
+      data.suppliers = data.suppliers || [];
+      const supplier = upsertSupplierFromInvoice(data.suppliers, analysis);
+      if (!supplier) {
+        return null;
+      }
+      const learned = learnSupplierTemplate(supplier, analysis, rawText, { corrections });
+      await this.writeJson(data);
+      console.log(`🏷️ Supplier ${supplier.name || supplier.oib}: learned ${learned.length ? learned.join(', ') : 'no new hints'}`);
+      return supplier;
+    } catch (error) {
+      console.error('Error learning from invoice:', error);
       throw error;
     }
   }
 }
 
-export default AgbimDataService;
\ No newline at end of file
+export default AgbimDataService;
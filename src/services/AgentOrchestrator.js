@@ -1,4 +1,9 @@
 // Browser-compatible AgentOrchestrator (nema fs/path)
+import { draftLines } from '../utils/ganttDraftValidator.js';
+import { getWorkCalendar } from '../utils/workCalendar.js';
+
+// Linije draft-a su u hooku Map, koju JSON.stringify pretvara u prazan objekt
+const serializeDraft = (draftData) => draftData && { ...draftData, lines: draftLines(draftData) };
 
 class AgentOrchestrator {
   constructor() {
@@ -485,15 +490,17 @@ class AgentOrchestrator {
     }
   }
 
-  // Confirm workflow preko backend-a
-  async processConfirmOperation(draftData, confirmationType, userMessage = null) {
+  // Confirm workflow preko backend-a; backend provjerava draft pravilima s radnim kalendarom tvrtke
+  async processConfirmOperation(draftData, confirmationType, userMessage = null, { lineId = null } = {}) {
     try {
       console.log(`✅ Confirm operation: ${confirmationType}`);
       
       const payload = {
-        draftData,
+        draftData: serializeDraft(draftData),
         confirmationType,
-        userMessage
+        userMessage,
+        lineId,
+        workCalendar: getWorkCalendar().config
       };
 
       const response = await fetch('http://localhost:3001/api/gantt/confirm', {
@@ -525,7 +532,7 @@ class AgentOrchestrator {
       console.log(`💾 Commit operation for project: ${projectId}`);
       
       const payload = {
-        draftData,
+        draftData: serializeDraft(draftData),
         projectId,
         process
       };
@@ -4,6 +4,10 @@
  * Provides high-level API for project manipulation with caching and validation
  */
 import JsonStorageService from './JsonStorageService.js';
+import { createBaseline, BASELINE_SOURCES, SCHEDULE_HISTORY_TYPE } from '../utils/planBaselines.js';
+import { createScenario, mergeScenario, projectDayRates } from '../utils/planScenarios.js';
+import { processesForPosition } from '../utils/processTemplates.js';
+import { learnDurations, durationEstimateFor } from '../utils/durationEstimator.js';
 
 class ProjectDataService {
   constructor(storageService = null) {
@@ -433,7 +437,7 @@ class ProjectDataService {
       tasks: positionData.tasks || [],
       comments: positionData.comments || [],
       materials: positionData.materials || [],
-      processes: positionData.processes || this.getDefaultProcesses(),
+      processes: positionData.processes || this.getDefaultProcesses(positionData, { start: positionData.plannedStart, history: data.projects }),
       gantt: positionData.gantt || { 
         bar: { start: null, end: null }, 
         milestones: [] 
@@ -679,7 +683,7 @@ class ProjectDataService {
   /**
    * Update process in position (optimized with incremental save)
    */
-  async updateProcessInPosition(projectId, positionId, processName, updates) {
+  async updateProcessInPosition(projectId, positionId, processName, updates, meta = {}) {
     // First check if the position exists (load from cache or storage)
     const data = await this.loadAllProjects();
     const project = data.projects?.find(p => p.id === projectId);
@@ -707,6 +711,7 @@ class ProjectDataService {
       path: `/projects/${projectIndex}/positions/${positionIndex}/processes/${processIndex}/${key}`,
       value: updates[key]
     }));
+    patches.push(...this.scheduleHistoryPatches(project, projectIndex, [{ positionId, processName, updates }], meta));
 
     // Save only the changed fields using partial update
     await this.savePartialUpdate(patches);
@@ -723,6 +728,224 @@ class ProjectDataService {
     return updatedProcess;
   }
 
+  /**
+   * Update several processes of one project in a single incremental save
+   * (e.g. a dragged bar and the successors it pushed).
+   * changes: [{ positionId, processName, updates }]
+   * meta: { source: 'manual'|'voice'|'import'|'scenario', title, details } for the schedule history entry
+   */
+  async updateProcessesInPositions(projectId, changes, meta = {}) {
+    const data = await this.loadAllProjects();
+    const projectIndex = data.projects?.findIndex(p => p.id === projectId) ?? -1;
+    if (projectIndex === -1) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+    const project = data.projects[projectIndex];
+
+    const patches = [];
+    const updatedProcesses = changes.map(({ positionId, processName, updates }) => {
+      const positionIndex = (project.positions || []).findIndex(pos => pos.id === positionId);
+      if (positionIndex === -1) {
+        throw new Error(`Position ${positionId} not found in project ${projectId}`);
+      }
+      const processes = project.positions[positionIndex].processes || [];
+      const processIndex = processes.findIndex(p => p.name === processName);
+      if (processIndex === -1) {
+        throw new Error(`Process ${processName} not found`);
+      }
+
+      Object.keys(updates).forEach(key => patches.push({
+        op: 'replace',
+        path: `/projects/${projectIndex}/positions/${positionIndex}/processes/${processIndex}/${key}`,
+        value: updates[key]
+      }));
+      return { positionId, processName, process: { ...processes[processIndex], ...updates } };
+    });
+    if (patches.length) {
+      patches.push(...this.scheduleHistoryPatches(project, projectIndex, changes, meta));
+    }
+
+    if (patches.length) {
+      await this.savePartialUpdate(patches);
+    }
+
+    updatedProcesses.forEach(({ positionId, processName, process }) => {
+      this.notifySubscribers('process-update', { projectId, positionId, processName, process });
+    });
+
+    return updatedProcesses.map(u => u.process);
+  }
+
+  /**
+   * History patch for changed planned dates, so baseline variance can name the edit behind each slip.
+   */
+  scheduleHistoryPatches(project, projectIndex, changes, meta = {}) {
+    const dateChanges = [];
+    changes.forEach(({ positionId, processName, updates }) => {
+      const process = project.positions?.find(pos => pos.id === positionId)?.processes?.find(p => p.name === processName);
+      ['plannedStart', 'plannedEnd'].forEach(field => {
+        if (field in updates && (process?.[field] || null) !== (updates[field] || null)) {
+          dateChanges.push({ positionId, processName, field, from: process?.[field] || null, to: updates[field] || null });
+        }
+      });
+    });
+    if (!dateChanges.length) return [];
+
+    const entry = {
+      id: this.generateId('h'),
+      date: new Date().toISOString(),
+      type: SCHEDULE_HISTORY_TYPE,
+      source: meta.source || BASELINE_SOURCES.MANUAL,
+      title: meta.title || 'Plan pomaknut',
+      details: meta.details || [...new Set(dateChanges.map(c => `${c.positionId} · ${c.processName}`))].join(', '),
+      changes: dateChanges
+    };
+    const history = project.history || [];
+    return history.length
+      ? [{ op: 'add', path: `/projects/${projectIndex}/history/${history.length}`, value: entry }]
+      : [{ op: 'add', path: `/projects/${projectIndex}/history`, value: [entry] }];
+  }
+
+  // ==================== BASELINES ====================
+
+  /**
+   * Save a named snapshot of the project's planned dates (or a prepared one, e.g. from /api/gantt/commit)
+   */
+  async createBaseline(projectId, name, options = {}) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    const baseline = options.snapshot
+      ? { ...createBaseline(null, { name, source: options.source }), ...options.snapshot, ...(name ? { name } : {}) }
+      : createBaseline(project, { name, source: options.source, id: this.generateId('bl') });
+
+    project.baselines = [...(project.baselines || []), baseline];
+    if (!project.history) {
+      project.history = [];
+    }
+    project.history.push({
+      id: this.generateId('h'),
+      date: baseline.createdAt,
+      type: 'baseline',
+      title: 'Osnovni plan spremljen',
+      details: baseline.name
+    });
+
+    await this.saveAllProjects(data);
+    this.notifySubscribers('baseline-add', { projectId, baseline });
+    return baseline;
+  }
+
+  /**
+   * Remove a baseline snapshot
+   */
+  async deleteBaseline(projectId, baselineId) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    project.baselines = (project.baselines || []).filter(b => b.id !== baselineId);
+    await this.saveAllProjects(data);
+    this.notifySubscribers('baseline-delete', { projectId, baselineId });
+    return true;
+  }
+
+  // ==================== SCENARIOS ====================
+
+  /**
+   * Replace the project's labour day rates (EUR per work day by department); empty rates are dropped
+   */
+  async setDayRates(projectId, dayRates) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    project.dayRates = projectDayRates({ dayRates });
+    await this.saveAllProjects(data);
+    this.notifySubscribers('update', project);
+    return project.dayRates;
+  }
+
+  /**
+   * Branch the project's live plan into a named what-if scenario
+   */
+  async createScenario(projectId, { name, description, extraCosts } = {}) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    const scenario = createScenario(project, { name, description, extraCosts, id: this.generateId('sc') });
+    project.scenarios = [...(project.scenarios || []), scenario];
+    await this.saveAllProjects(data);
+    this.notifySubscribers('scenario-add', { projectId, scenario });
+    return scenario;
+  }
+
+  /**
+   * Update a scenario's plan, name, description or extra costs; the live plan is not touched
+   */
+  async updateScenario(projectId, scenarioId, updates) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    const scenario = project?.scenarios?.find(s => s.id === scenarioId);
+    if (!scenario) {
+      throw new Error(`Scenario ${scenarioId} not found in project ${projectId}`);
+    }
+
+    Object.assign(scenario, updates, { updatedAt: new Date().toISOString() });
+    await this.saveAllProjects(data);
+    this.notifySubscribers('scenario-update', { projectId, scenario });
+    return scenario;
+  }
+
+  async deleteScenario(projectId, scenarioId) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    project.scenarios = (project.scenarios || []).filter(s => s.id !== scenarioId);
+    await this.saveAllProjects(data);
+    this.notifySubscribers('scenario-delete', { projectId, scenarioId });
+    return true;
+  }
+
+  /**
+   * Promote a scenario to the live plan. Live edits made since the branch are merged;
+   * fields both sides changed need a resolution ({ "positionId/processName/field": 'live'|'scenario' }).
+   */
+  async promoteScenario(projectId, scenarioId, resolutions = {}) {
+    const data = await this.loadAllProjects();
+    const project = data.projects?.find(p => p.id === projectId);
+    const scenario = project?.scenarios?.find(s => s.id === scenarioId);
+    if (!scenario) {
+      throw new Error(`Scenario ${scenarioId} not found in project ${projectId}`);
+    }
+
+    const merge = mergeScenario(project, scenario, resolutions);
+    if (merge.unresolved) {
+      throw new Error(`Scenario ${scenario.name} has ${merge.unresolved} unresolved conflicts with the live plan`);
+    }
+    if (merge.changes.length) {
+      await this.updateProcessesInPositions(projectId, merge.changes, {
+        source: BASELINE_SOURCES.SCENARIO,
+        title: 'Scenarij prebačen u plan',
+        details: scenario.name
+      });
+    }
+    return this.updateScenario(projectId, scenarioId, { promotedAt: new Date().toISOString() });
+  }
+
   /**
    * Get position from project
    */
@@ -1070,66 +1293,13 @@ class ProjectDataService {
   }
 
   /**
-   * Get default processes for a position
+   * Default processes for a position from the template of its type (Vrata, Prozor, Fasada...);
+   * with `start` the chain is scheduled on working days; with `history` (projects) durations
+   * learned from completed processes replace the template ones where samples exist
    */
-  getDefaultProcesses() {
-    return [
-      {
-        name: 'Prodaja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Teh. priprema',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Nabava',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Proizvodnja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Ugradnja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      }
-    ];
+  getDefaultProcesses(position = {}, { start = null, history = null } = {}) {
+    const estimate = history?.length ? durationEstimateFor(learnDurations(history)) : null;
+    return processesForPosition(position, { start, estimate });
   }
 
   /**
@@ -0,0 +1,205 @@
+/**
+ * Voice Stream Client
+ * Streams microphone audio to /api/voice/stream (server.js) over WebSocket and
+ * receives VAD, partial/final transcripts and intents; speaks replies with barge-in.
+ */
+
+import {
+  VOICE_STREAM_PATH,
+  VOICE_STREAM_EVENTS,
+  STREAM_SAMPLE_RATE,
+  downsampleToInt16
+} from '../utils/voiceStream.js';
+
+// Veličina bloka ScriptProcessora (~85 ms na 48 kHz)
+const CAPTURE_BUFFER_SIZE = 4096;
+// Koliko se nakon stop čeka na konačnu namjeru prije zatvaranja veze
+const STOP_TIMEOUT_MS = 8000;
+
+class VoiceStreamClient {
+  constructor({ url = null, wakeWord = null, vocabulary = [], context = null } = {}) {
+    this.url = url;
+    this.options = { wakeWord, vocabulary, context };
+    this.listeners = new Map();
+    this.socket = null;
+    this.media = null;
+    this.audioContext = null;
+    this.processor = null;
+    this.speaking = false;
+
+    // Barge-in: korisnik je progovorio dok agent govori
+    this.on(VOICE_STREAM_EVENTS.BARGE_IN, () => this.cancelSpeech());
+  }
+
+  streamUrl() {
+    if (this.url) return this.url;
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    return `${protocol}://${window.location.host}${VOICE_STREAM_PATH}`;
+  }
+
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(callback);
+    return () => this.off(type, callback);
+  }
+
+  off(type, callback) {
+    const listeners = this.listeners.get(type) || [];
+    const index = listeners.indexOf(callback);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(type, data) {
+    [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in voice stream listener for ${type}:`, error);
+      }
+    });
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  async start() {
+    if (this.socket) return;
+
+    this.media = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        channelCount: 1,
+        echoCancellation: true,
+        noiseSuppression: true
+      }
+    });
+
+    let socket;
+    try {
+      socket = new WebSocket(this.streamUrl());
+      socket.binaryType = 'arraybuffer';
+      this.socket = socket;
+
+      await new Promise((resolve, reject) => {
+        socket.onopen = resolve;
+        socket.onerror = () => reject(new Error('Voice stream connection failed'));
+      });
+    } catch (error) {
+      // Mikrofon se oslobađa i kad se veza ne uspostavi
+      this.releaseAudio();
+      this.socket = null;
+      throw error;
+    }
+
+    socket.onmessage = (message) => {
+      try {
+        const event = JSON.parse(message.data);
+        this.emit(event.type, event);
+      } catch (error) {
+        console.error('❌ Invalid voice stream event:', error);
+      }
+    };
+    socket.onerror = () => this.emit(VOICE_STREAM_EVENTS.ERROR, { stage: 'socket', message: 'Voice stream error' });
+    socket.onclose = () => {
+      this.releaseAudio();
+      this.socket = null;
+      this.emit('close', {});
+    };
+
+    this.send({ type: 'start', sampleRate: STREAM_SAMPLE_RATE, ...this.options });
+    this.startCapture();
+    console.log('🎙️ Voice stream started');
+  }
+
+  startCapture() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContextClass();
+    const source = this.audioContext.createMediaStreamSource(this.media);
+    this.processor = this.audioContext.createScriptProcessor(CAPTURE_BUFFER_SIZE, 1, 1);
+
+    this.processor.onaudioprocess = (event) => {
+      if (this.socket?.readyState !== WebSocket.OPEN) return;
+      const samples = downsampleToInt16(event.inputBuffer.getChannelData(0), this.audioContext.sampleRate);
+      this.socket.send(samples.buffer);
+    };
+
+    source.connect(this.processor);
+    this.processor.connect(this.audioContext.destination);
+  }
+
+  releaseAudio() {
+    this.processor?.disconnect();
+    this.processor = null;
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+    this.media?.getTracks().forEach(track => track.stop());
+    this.media = null;
+  }
+
+  // Polu-zatvaranje: mikrofon se gasi odmah, a veza se zatvara tek kad poslužitelj potvrdi
+  // stop (nakon konačnog transkripta i namjere) ili nakon STOP_TIMEOUT_MS
+  async stop({ timeoutMs = STOP_TIMEOUT_MS } = {}) {
+    const socket = this.socket;
+    this.releaseAudio();
+    this.cancelSpeech();
+    if (!socket) return;
+
+    if (socket.readyState === WebSocket.OPEN) {
+      await new Promise(resolve => {
+        const timer = setTimeout(done, timeoutMs);
+        const offStopped = this.on(VOICE_STREAM_EVENTS.STOPPED, done);
+        const offClose = this.on('close', done);
+        function done() {
+          clearTimeout(timer);
+          offStopped();
+          offClose();
+          resolve();
+        }
+        this.send({ type: 'stop' });
+      });
+    }
+
+    socket.close();
+    console.log('⏹️ Voice stream stopped');
+  }
+
+  updateContext(context) {
+    this.options.context = context;
+    this.send({ type: 'context', context });
+  }
+
+  speak(text) {
+    if (!text || !window.speechSynthesis) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voices = window.speechSynthesis.getVoices?.() || [];
+    const hr = voices.find(v => /hr|cro/i.test(v.lang)) || voices.find(v => /sh|sr/i.test(v.lang));
+    if (hr) utterance.voice = hr;
+    utterance.lang = hr?.lang || 'hr-HR';
+
+    const finished = () => {
+      this.speaking = false;
+      this.send({ type: 'tts', state: 'end' });
+    };
+    utterance.onend = finished;
+    utterance.onerror = finished;
+
+    this.speaking = true;
+    this.send({ type: 'tts', state: 'start' });
+    window.speechSynthesis.speak(utterance);
+  }
+
+  cancelSpeech() {
+    if (!this.speaking) return;
+    this.speaking = false;
+    window.speechSynthesis?.cancel();
+    this.send({ type: 'tts', state: 'end' });
+  }
+}
+
+export default VoiceStreamClient;
@@ -1,4 +1,6 @@
 import * as XLSX from 'xlsx';
+import { validateInvoiceIntegrity } from '../../utils/invoiceValidation';
+import { TEMPLATE_CONFIDENCE_BONUS } from '../../utils/supplierTemplates';
 
 /**
  * InvoiceDataService - Servis za manipulaciju podataka računa
@@ -14,6 +16,8 @@ import * as XLSX from 'xlsx';
 class InvoiceDataService {
   /**
    * Update nested field u document analizi
+   * Svaka ispravka se bilježi u document.corrections (izvorna vrijednost ostaje prva),
+   * a pri spremanju se iz njih uči predložak dobavljača.
    * @param {Object} document - Document objekt
    * @param {string} fieldPath - Putanja do polja (dot notation)
    * @param {*} value - Nova vrijednost
@@ -34,8 +38,17 @@ class InvoiceDataService {
       current = current[pathArray[i]];
     }
     
+    const key = pathArray[pathArray.length - 1];
+    const earlier = (document.corrections || []).find(c => c.fieldPath === fieldPath);
+    const previous = earlier ? earlier.previous : current[key];
+
     // Set the final value
-    current[pathArray[pathArray.length - 1]] = value;
+    current[key] = value;
+
+    updated.corrections = [
+      ...(document.corrections || []).filter(c => c.fieldPath !== fieldPath),
+      ...(previous === value ? [] : [{ fieldPath, previous, value, at: new Date().toISOString() }])
+    ];
     
     return updated;
   }
@@ -137,7 +150,7 @@ class InvoiceDataService {
   /**
    * Validira invoice data
    * @param {Object} analysis - Invoice analiza
-   * @returns {Object} Validacija rezultat
+   * @returns {Object} Validacija rezultat (fieldErrors: putanja polja -> poruka)
    */
   validateInvoiceData(analysis) {
     const errors = [];
@@ -175,10 +188,15 @@ class InvoiceDataService {
       });
     }
 
+    // Kontrolne znamenke (OIB, IBAN) i aritmetika iznosa - svaka greška umanjuje confidence
+    const integrity = validateInvoiceIntegrity(analysis);
+    integrity.issues.forEach(issue => errors.push(issue.message));
+
     return {
       isValid: errors.length === 0,
       errors,
       warnings,
+      fieldErrors: integrity.fieldErrors,
       confidence: this.calculateConfidence(analysis, errors, warnings)
     };
   }
@@ -186,9 +204,9 @@ class InvoiceDataService {
   /**
    * Kalkulira confidence score na osnovu podataka
    * @param {Object} analysis - Invoice analiza
-   * @param {Array} errors - Lista grešaka
+   * @param {Array} errors - Lista grešaka (uključuje OIB/IBAN/PDV kontrole)
    * @param {Array} warnings - Lista upozorenja
-   * @returns {number} Confidence score (0-1)
+   * @returns {number} Confidence score (0-1), viši za račune pročitane predloškom dobavljača
    */
   calculateConfidence(analysis, errors, warnings) {
     let score = 1.0;
@@ -211,6 +229,11 @@ class InvoiceDataService {
     
     const completeness = completenessFactors.filter(Boolean).length / completenessFactors.length;
     score *= completeness;
+
+    // Polja pročitana naučenim predloškom dobavljača već su jednom potvrđena
+    if (analysis.extraction?.method === 'supplier-template') {
+      score += (analysis.extraction.matchedFields?.length || 0) * TEMPLATE_CONFIDENCE_BONUS;
+    }
     
     return Math.max(0, Math.min(1, score));
   }
@@ -241,7 +264,8 @@ class InvoiceDataService {
       hasErrors: validation.errors.length > 0,
       hasWarnings: validation.warnings.length > 0,
       errors: validation.errors,
-      warnings: validation.warnings
+      warnings: validation.warnings,
+      fieldErrors: validation.fieldErrors
     };
   }
 
@@ -1,6 +1,16 @@
 import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
 import backendService from '../BackendService';
 import { AI_MODES, GOOGLE_MODELS } from '../../constants/aiModes';
+import { isUblDocument, parseUblInvoice } from '../../utils/eRacunUbl';
+import {
+  findSupplier,
+  findSupplierInText,
+  isTemplateUsable,
+  parseWithSupplierTemplate,
+  applySupplierDefaults
+} from '../../utils/supplierTemplates';
+
+const XML_TYPES = ['application/xml', 'text/xml'];
 
 /**
  * InvoiceProcessingService - Centralizirani servis za procesiranje računa
@@ -8,6 +18,8 @@ import { AI_MODES, GOOGLE_MODELS } from '../../constants/aiModes';
  * Odgovornosti:
  * - PDF rendering i obrada
  * - AI analiza dokumenata (Google Cloud)
+ * - Lokalni uvoz e-Računa (UBL 2.1 XML, bez AI poziva)
+ * - Čitanje PDF-a naučenim predloškom poznatog dobavljača (bez AI poziva)
  * - Batch procesiranje
  * - Progress tracking
  * - Error handling
@@ -107,15 +119,79 @@ class InvoiceProcessingService {
     return result.data;
   }
 
+  /**
+   * Je li dokument strukturirani e-Račun (XML)
+   * @param {Object} document - Dokument objekt
+   * @returns {boolean}
+   */
+  isStructuredInvoice(document) {
+    return XML_TYPES.includes(document.type) || /\.xml$/i.test(document.name || '');
+  }
+
+  /**
+   * Parsira UBL e-Račun lokalno u isti model kao AI analiza
+   * @param {Object} document - Dokument objekt
+   * @returns {Promise<Object>} { analysis, docMeta }
+   */
+  async parseStructuredInvoice(document) {
+    const xml = await document.file.text();
+    if (!isUblDocument(xml)) {
+      throw new Error('XML datoteka nije UBL e-Račun (Invoice/CreditNote)');
+    }
+    return parseUblInvoice(xml);
+  }
+
+  /**
+   * Izvlači tekstualni sloj PDF-a: retci odvojeni s \n, tekstualni blokovi unutar retka s \t
+   * @param {Object} document - Dokument objekt
+   * @returns {Promise<string|null>} Tekst ili null za skenirane PDF-ove
+   */
+  async extractPdfText(document) {
+    if (!document.type.includes('pdf')) return null;
+
+    try {
+      const pdf = await getDocument({ data: await document.file.arrayBuffer() }).promise;
+      const pages = [];
+      for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        let text = '';
+        content.items.forEach(item => {
+          if (item.str?.trim()) text += (text && !text.endsWith('\n') ? '\t' : '') + item.str.trim();
+          if (item.hasEOL && text && !text.endsWith('\n')) text += '\n';
+        });
+        pages.push(text);
+      }
+      const text = pages.join('\n').trim();
+      return text.length > 50 ? text : null;
+    } catch (error) {
+      console.warn(`PDF text extraction failed for ${document.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Čita dokument predloškom dobavljača naučenim iz ranijih ispravaka
+   * @param {string} rawText - Tekst dokumenta
+   * @param {Array} suppliers - Registar dobavljača
+   * @returns {Object|null} Analiza ili null ako predložak ne odgovara
+   */
+  analyzeWithSupplierTemplate(rawText, suppliers = []) {
+    if (!rawText) return null;
+    const supplier = findSupplierInText(suppliers, rawText);
+    return isTemplateUsable(supplier) ? parseWithSupplierTemplate(rawText, supplier) : null;
+  }
+
   /**
    * Obrađuje batch dokumenata
    * @param {Array} documents - Lista dokumenata
    * @param {Object} settings - AI settings
    * @param {Function} onProgress - Progress callback
    * @param {Function} onDocumentUpdate - Callback za update dokumenta
+   * @param {Object} options - { suppliers } registar dobavljača s naučenim predlošcima
    * @returns {Promise<void>}
    */
-  async processBatchDocuments(documents, settings, onProgress, onDocumentUpdate) {
+  async processBatchDocuments(documents, settings, onProgress, onDocumentUpdate, { suppliers = [] } = {}) {
     for (let i = 0; i < documents.length; i++) {
       const doc = documents[i];
       onProgress?.(`Obrađuje ${doc.name} (${i + 1}/${documents.length})`, (i / documents.length) * 100);
@@ -124,14 +200,29 @@ class InvoiceProcessingService {
       onDocumentUpdate?.(doc.id, { status: 'processing' });
 
       try {
-        const analysis = await this.analyzeWithAI(doc, settings, (message, percent) => {
+        if (this.isStructuredInvoice(doc)) {
+          const { analysis, docMeta } = await this.parseStructuredInvoice(doc);
+          onDocumentUpdate?.(doc.id, { status: 'analyzed', analysis, docMeta, error: null });
+          continue;
+        }
+
+        const rawText = await this.extractPdfText(doc);
+        const templateAnalysis = this.analyzeWithSupplierTemplate(rawText, suppliers);
+        if (templateAnalysis) {
+          onDocumentUpdate?.(doc.id, { status: 'analyzed', analysis: templateAnalysis, rawText, error: null });
+          continue;
+        }
+
+        const aiAnalysis = await this.analyzeWithAI(doc, settings, (message, percent) => {
           onProgress?.(`${doc.name}: ${message}`, ((i + percent / 100) / documents.length) * 100);
         });
+        const analysis = applySupplierDefaults(aiAnalysis, findSupplier(suppliers, aiAnalysis?.supplier?.oib));
 
         // Označava dokument kao analiziran
         onDocumentUpdate?.(doc.id, { 
           status: 'analyzed', 
           analysis, 
+          rawText,
           error: null 
         });
 
@@ -157,11 +248,11 @@ class InvoiceProcessingService {
   validateFiles(files) {
     if (!files?.length) return [];
 
-    const validTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+    const validTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png', ...XML_TYPES];
     const maxSize = 10 * 1024 * 1024; // 10MB
 
     return Array.from(files).filter(file => {
-      if (!validTypes.includes(file.type)) {
+      if (!validTypes.includes(file.type) && !/\.xml$/i.test(file.name)) {
         console.warn(`Invalid file type: ${file.type} for ${file.name}`);
         return false;
       }
@@ -186,7 +277,8 @@ class InvoiceProcessingService {
       id: Date.now() + index,
       name: file.name,
       file,
-      type: file.type,
+      // Preglednici često ne daju MIME tip za .xml
+      type: file.type || (/\.xml$/i.test(file.name) ? 'application/xml' : ''),
       size: file.size,
       status: 'uploaded',
       analysis: null,
@@ -4,6 +4,8 @@
  * Provides high-level API for project manipulation with caching and validation
  */
 import JsonStorageService from './JsonStorageService.js';
+import { processesForPosition } from '../utils/processTemplates.js';
+import { learnDurations, durationEstimateFor } from '../utils/durationEstimator.js';
 
 class ProjectDataService {
   constructor(storageService = null) {
@@ -433,7 +435,7 @@ class ProjectDataService {
       tasks: positionData.tasks || [],
       comments: positionData.comments || [],
       materials: positionData.materials || [],
-      processes: positionData.processes || this.getDefaultProcesses(),
+      processes: positionData.processes || this.getDefaultProcesses(positionData, { start: positionData.plannedStart, history: data.projects }),
       gantt: positionData.gantt || { 
         bar: { start: null, end: null }, 
         milestones: [] 
@@ -1070,66 +1072,13 @@ class ProjectDataService {
   }
 
   /**
-   * Get default processes for a position
+   * Default processes for a position from the template of its type (Vrata, Prozor, Fasada...);
+   * with `start` the chain is scheduled on working days; with `history` (projects) durations
+   * learned from completed processes replace the template ones where samples exist
    */
-  getDefaultProcesses() {
-    return [
-      {
-        name: 'Prodaja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Teh. priprema',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Nabava',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Proizvodnja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      },
-      {
-        name: 'Ugradnja',
-        status: 'Čeka',
-        owner: null,
-        plannedStart: null,
-        plannedEnd: null,
-        actualStart: null,
-        actualEnd: null,
-        progress: 0,
-        notes: ''
-      }
-    ];
+  getDefaultProcesses(position = {}, { start = null, history = null } = {}) {
+    const estimate = history?.length ? durationEstimateFor(learnDurations(history)) : null;
+    return processesForPosition(position, { start, estimate });
   }
 
   /**
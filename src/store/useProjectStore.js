@@ -1,6 +1,7 @@
 ﻿import { create } from 'zustand';
 import { nanoid } from 'nanoid';
 import { parseLogikalXml } from '../utils/parseLogikalXml';
+import { pieceProgress, stepState } from '../utils/earnedValue';
 // Named exports used by ProjectView.jsx
 export const DEPARTMENTS = [
   'Design', 'Procurement', 'Cutting', 'Fabrication',
@@ -406,10 +407,12 @@ export const useProjectStore = create((set, get) => ({
     const position = state.project.positions.find(pos => pos.id === positionId);
     if (!position) return null;
 
+    // Podprocesi su { status, timestamp }, stari zapisi boolean
     const totalPieces = position.pieces.length;
-    const completedPieces = position.pieces.filter(p => p.montaza.gotovo).length;
-    const inProgressPieces = position.pieces.filter(p => 
-      Object.values(p.montaza).some(v => v) && !p.montaza.gotovo
+    const progress = position.pieces.map(p => pieceProgress(p));
+    const completedPieces = progress.filter(v => v === 1).length;
+    const inProgressPieces = position.pieces.filter((p, i) =>
+      progress[i] < 1 && Object.values(p.montaza || {}).some(v => stepState(v).done)
     ).length;
 
     return {
@@ -417,7 +420,8 @@ export const useProjectStore = create((set, get) => ({
       completed: completedPieces,
       inProgress: inProgressPieces,
       pending: totalPieces - completedPieces - inProgressPieces,
-      completionPercentage: totalPieces > 0 ? Math.round((completedPieces / totalPieces) * 100) : 0
+      completionPercentage: totalPieces > 0 ? Math.round((completedPieces / totalPieces) * 100) : 0,
+      progressPercentage: totalPieces > 0 ? Math.round(progress.reduce((sum, v) => sum + v, 0) / totalPieces * 100) : 0
     };
   },
 
@@ -0,0 +1,337 @@
+// utils/accountingLedger.js
+// Knjiga otvorenih stavki: raspored uplata po računima, salda po partnerima, starost dugovanja,
+// tjedna projekcija novčanog toka i rekapitulacija po projektima.
+
+export const LEDGER_SIDE = {
+  RECEIVABLE: 'receivable', // potraživanja od kupaca
+  PAYABLE: 'payable'        // obveze prema dobavljačima
+};
+
+export const LEDGER_SIDE_LABELS = {
+  [LEDGER_SIDE.RECEIVABLE]: 'Potraživanja',
+  [LEDGER_SIDE.PAYABLE]: 'Obveze'
+};
+
+// Dani nakon dospijeća; nedospjele stavke ulaze u prvi razred
+export const AGEING_BUCKETS = [
+  { key: '0-30', label: '0–30', max: 30 },
+  { key: '31-60', label: '31–60', max: 60 },
+  { key: '61-90', label: '61–90', max: 90 },
+  { key: '90+', label: '90+', max: Infinity }
+];
+
+export const NO_PROJECT = 'none';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const money = (n) => Math.round(n * 100) / 100;
+const toDay = (date) => Math.floor(Date.parse(String(date).slice(0, 10)) / DAY_MS);
+const toIsoDate = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+export const daysBetween = (from, to) => toDay(to) - toDay(from);
+
+/**
+ * Strana knjige za zapis: izlazni račun je potraživanje, ulazni račun i trošak su obveza.
+ */
+export const getLedgerSide = (record) => {
+  if (record.type === 'invoice') {
+    return record.direction === 'outgoing' ? LEDGER_SIDE.RECEIVABLE : LEDGER_SIDE.PAYABLE;
+  }
+  if (record.type === 'expense') return LEDGER_SIDE.PAYABLE;
+  return null;
+};
+
+/**
+ * Strana uplate: uplata kupca zatvara potraživanja, isplata dobavljaču obveze.
+ */
+export const getPaymentSide = (payment) =>
+  payment.direction === 'outgoing' ? LEDGER_SIDE.PAYABLE : LEDGER_SIDE.RECEIVABLE;
+
+export const getCounterparty = (record) => {
+  const party = (record.direction === 'outgoing' ? record.buyer : record.supplier) ||
+    record.counterparty || record.buyer || record.supplier;
+  const name = party?.name || record.title;
+  const oib = party?.oib || null;
+  return { key: oib || name.toLowerCase(), name, oib };
+};
+
+export const getAgeingBucket = (daysOverdue) =>
+  AGEING_BUCKETS.find(bucket => daysOverdue <= bucket.max).key;
+
+const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(b => [b.key, 0]));
+
+/**
+ * Open items for every invoice and expense plus unapplied payment credits.
+ * Payments settle invoices through `payment.allocations` ([{ recordId, amount }]);
+ * records marked paid without any allocation are treated as settled by status.
+ * Allocating more than an invoice owes, or leaving part of a payment
+ * unallocated, produces a credit on the counterparty.
+ */
+export const buildLedger = (records = [], { asOf = todayIso() } = {}) => {
+  const byId = new Map(records.map(r => [r.id, r]));
+  const allocated = new Map();
+  const credits = [];
+
+  records.filter(r => r.type === 'payment').forEach(payment => {
+    const allocations = payment.allocations || [];
+    allocations.forEach(a => {
+      if (!byId.has(a.recordId)) return;
+      const list = allocated.get(a.recordId) || [];
+      list.push({ paymentId: payment.id, amount: Number(a.amount) || 0, date: payment.date });
+      allocated.set(a.recordId, list);
+    });
+
+    const unapplied = money(payment.amount - allocations.reduce((s, a) => s + (Number(a.amount) || 0), 0));
+    if (unapplied > 0) {
+      credits.push({
+        paymentId: payment.id,
+        reason: 'unallocated',
+        side: getPaymentSide(payment),
+        counterparty: getCounterparty(payment),
+        amount: unapplied,
+        date: payment.date
+      });
+    }
+  });
+
+  const items = [];
+  records.forEach(record => {
+    const side = getLedgerSide(record);
+    if (!side) return;
+
+    const payments = allocated.get(record.id) || [];
+    const settledByStatus = payments.length === 0 && record.status === 'plaćeno';
+    const paid = settledByStatus ? record.amount : money(payments.reduce((s, p) => s + p.amount, 0));
+    const balance = money(Math.max(0, record.amount - paid));
+    const overpaid = money(Math.max(0, paid - record.amount));
+    const dueDate = record.dueDate || record.date;
+    const daysOverdue = daysBetween(dueDate, asOf);
+
+    if (overpaid > 0) {
+      credits.push({
+        recordId: record.id,
+        reason: 'overpaid',
+        side,
+        counterparty: getCounterparty(record),
+        amount: overpaid,
+        date: payments[payments.length - 1].date
+      });
+    }
+
+    items.push({
+      recordId: record.id,
+      title: record.title,
+      side,
+      counterparty: getCounterparty(record),
+      projectId: record.relatedProjectId || null,
+      date: record.date,
+      dueDate,
+      amount: record.amount,
+      paid,
+      balance,
+      overpaid,
+      payments,
+      settledByStatus,
+      isOpen: balance > 0,
+      daysOverdue,
+      bucket: balance > 0 ? getAgeingBucket(daysOverdue) : null
+    });
+  });
+
+  return { asOf, items, credits };
+};
+
+/**
+ * Ageing per side: open balance in each bucket and the overall total.
+ */
+export const summarizeAgeing = (ledger) => {
+  const summary = {
+    [LEDGER_SIDE.RECEIVABLE]: { buckets: emptyBuckets(), total: 0, overdue: 0 },
+    [LEDGER_SIDE.PAYABLE]: { buckets: emptyBuckets(), total: 0, overdue: 0 }
+  };
+  ledger.items.filter(i => i.isOpen).forEach(item => {
+    const side = summary[item.side];
+    side.buckets[item.bucket] = money(side.buckets[item.bucket] + item.balance);
+    side.total = money(side.total + item.balance);
+    if (item.daysOverdue > 0) side.overdue = money(side.overdue + item.balance);
+  });
+  return summary;
+};
+
+/**
+ * Open-item balances per customer and supplier, largest balance first.
+ */
+export const summarizeByCounterparty = (ledger) => {
+  const map = new Map();
+  const entry = (side, counterparty) => {
+    const key = `${side}:${counterparty.key}`;
+    if (!map.has(key)) {
+      map.set(key, {
+        key, side, name: counterparty.name, oib: counterparty.oib,
+        invoiced: 0, paid: 0, balance: 0, credit: 0, openItems: 0, buckets: emptyBuckets()
+      });
+    }
+    return map.get(key);
+  };
+
+  ledger.items.forEach(item => {
+    const e = entry(item.side, item.counterparty);
+    e.invoiced = money(e.invoiced + item.amount);
+    e.paid = money(e.paid + Math.min(item.paid, item.amount));
+    if (item.isOpen) {
+      e.balance = money(e.balance + item.balance);
+      e.openItems += 1;
+      e.buckets[item.bucket] = money(e.buckets[item.bucket] + item.balance);
+    }
+  });
+  ledger.credits.forEach(credit => {
+    const e = entry(credit.side, credit.counterparty);
+    e.credit = money(e.credit + credit.amount);
+  });
+
+  return [...map.values()].sort((a, b) => b.balance - a.balance);
+};
+
+// Ponedjeljak tjedna u kojem je dan
+const weekStartDay = (day) => day - ((new Date(day * DAY_MS).getUTCDay() + 6) % 7);
+
+/**
+ * Weekly cash-flow forecast from the due dates of open items. Overdue items
+ * are expected in the first week; items due after the horizon are left out.
+ */
+export const forecastWeeklyCashFlow = (ledger, { weeks = 12, openingBalance = 0 } = {}) => {
+  const firstWeek = weekStartDay(toDay(ledger.asOf));
+  const rows = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: toIsoDate(firstWeek + i * 7),
+    weekEnd: toIsoDate(firstWeek + i * 7 + 6),
+    inflow: 0,
+    outflow: 0,
+    overdueInflow: 0,
+    overdueOutflow: 0,
+    items: []
+  }));
+
+  ledger.items.filter(i => i.isOpen).forEach(item => {
+    const due = toDay(item.dueDate);
+    const index = Math.max(0, Math.floor((due - firstWeek) / 7));
+    if (index >= weeks) return;
+    const row = rows[index];
+    const overdue = due < toDay(ledger.asOf);
+    if (item.side === LEDGER_SIDE.RECEIVABLE) {
+      row.inflow = money(row.inflow + item.balance);
+      if (overdue) row.overdueInflow = money(row.overdueInflow + item.balance);
+    } else {
+      row.outflow = money(row.outflow + item.balance);
+      if (overdue) row.overdueOutflow = money(row.overdueOutflow + item.balance);
+    }
+    row.items.push(item.recordId);
+  });
+
+  let cumulative = openingBalance;
+  return rows.map(row => {
+    const net = money(row.inflow - row.outflow);
+    cumulative = money(cumulative + net);
+    return { ...row, net, cumulative };
+  });
+};
+
+/**
+ * Revenue, cost and cash per `relatedProjectId` (records without a project under NO_PROJECT).
+ */
+export const rollupByProject = (records = []) => {
+  const map = new Map();
+  const entry = (projectId) => {
+    const key = projectId || NO_PROJECT;
+    if (!map.has(key)) {
+      map.set(key, { projectId: key, revenue: 0, cost: 0, received: 0, paidOut: 0, margin: 0, records: 0 });
+    }
+    return map.get(key);
+  };
+
+  records.forEach(record => {
+    const e = entry(record.relatedProjectId);
+    e.records += 1;
+    const side = getLedgerSide(record);
+    if (side === LEDGER_SIDE.RECEIVABLE) e.revenue = money(e.revenue + record.amount);
+    if (side === LEDGER_SIDE.PAYABLE) e.cost = money(e.cost + record.amount);
+    if (record.type === 'payment') {
+      if (getPaymentSide(record) === LEDGER_SIDE.RECEIVABLE) e.received = money(e.received + record.amount);
+      else e.paidOut = money(e.paidOut + record.amount);
+    }
+  });
+
+  return [...map.values()].map(e => ({
+    ...e,
+    margin: money(e.revenue - e.cost),
+    marginPct: e.revenue ? Math.round((e.revenue - e.cost) / e.revenue * 1000) / 10 : null
+  }));
+};
+
+/**
+ * Oldest-first (FIFO) allocation proposal for a payment against the same
+ * counterparty's open items on the payment's side.
+ */
+export const suggestAllocations = (records, paymentId, { asOf = todayIso() } = {}) => {
+  const payment = records.find(r => r.id === paymentId);
+  if (!payment) return [];
+  const others = records.map(r => (r.id === paymentId ? { ...r, allocations: [] } : r));
+  const ledger = buildLedger(others, { asOf });
+  const counterparty = getCounterparty(payment);
+  const side = getPaymentSide(payment);
+
+  let remaining = payment.amount;
+  const allocations = [];
+  ledger.items
+    .filter(i => i.isOpen && i.side === side)
+    .filter(i => !payment.counterparty || i.counterparty.key === counterparty.key)
+    .filter(i => payment.counterparty || !payment.relatedProjectId || i.projectId === payment.relatedProjectId)
+    .sort((a, b) => toDay(a.dueDate) - toDay(b.dueDate))
+    .forEach(item => {
+      if (remaining <= 0) return;
+      const amount = money(Math.min(remaining, item.balance));
+      allocations.push({ recordId: item.recordId, amount });
+      remaining = money(remaining - amount);
+    });
+  return allocations;
+};
+
+/**
+ * Replace a payment's allocations. The total may not exceed the payment;
+ * invoices paid in full by allocations are marked paid, the rest reopen.
+ * Returns a new records array.
+ */
+export const allocatePayment = (records, paymentId, allocations, { asOf = todayIso() } = {}) => {
+  const payment = records.find(r => r.id === paymentId);
+  if (!payment || payment.type !== 'payment') {
+    throw new Error(`Payment ${paymentId} not found`);
+  }
+  const clean = allocations
+    .map(a => ({ recordId: a.recordId, amount: money(Number(a.amount) || 0) }))
+    .filter(a => a.amount > 0);
+  clean.forEach(a => {
+    const target = records.find(r => r.id === a.recordId);
+    if (!target || !getLedgerSide(target)) {
+      throw new Error(`Record ${a.recordId} cannot receive a payment`);
+    }
+  });
+  const total = money(clean.reduce((s, a) => s + a.amount, 0));
+  if (total > payment.amount + 1e-9) {
+    throw new Error(`Allocations (${total}) exceed payment ${payment.id} (${payment.amount})`);
+  }
+
+  const touched = new Set([...(payment.allocations || []), ...clean].map(a => a.recordId));
+  // Dotaknuti računi više se ne smatraju plaćenima po statusu — odlučuju rasporedi
+  const updated = records.map(r => {
+    if (r.id === paymentId) return { ...r, allocations: clean };
+    if (touched.has(r.id) && r.status === 'plaćeno') return { ...r, status: 'neplaćeno' };
+    return r;
+  });
+  const ledger = buildLedger(updated, { asOf });
+
+  return updated.map(record => {
+    if (!touched.has(record.id)) return record;
+    const item = ledger.items.find(i => i.recordId === record.id);
+    const status = !item.isOpen ? 'plaćeno' : item.daysOverdue > 0 ? 'dospjelo' : 'neplaćeno';
+    return { ...record, status };
+  });
+};
@@ -0,0 +1,556 @@
+// utils/bankStatement.js
+// Uvoz bankovnih izvoda (CSV, camt.053, MT940/FINA) i prijedlozi zatvaranja otvorenih stavki
+// po iznosu, IBAN-u, pozivu na broj i broju računa.
+
+import { XMLParser } from 'fast-xml-parser';
+import { isValidIban } from './invoiceValidation';
+import { parseNumber, findSupplier } from './supplierTemplates';
+import { buildLedger, allocatePayment } from './accountingLedger';
+
+export const STATEMENT_FORMATS = {
+  CSV: 'csv',
+  CAMT053: 'camt053',
+  MT940: 'mt940'
+};
+
+export const STATEMENT_FORMAT_LABELS = {
+  [STATEMENT_FORMATS.CSV]: 'CSV',
+  [STATEMENT_FORMATS.CAMT053]: 'camt.053 (ISO 20022)',
+  [STATEMENT_FORMATS.MT940]: 'MT940 / FINA'
+};
+
+// Doprinos pojedinog kriterija ukupnoj pouzdanosti prijedloga (zbroj se reže na 1)
+export const MATCH_WEIGHTS = {
+  amount: 0.4,
+  partialAmount: 0.1,
+  iban: 0.3,
+  reference: 0.35,
+  number: 0.3,
+  name: 0.15
+};
+
+export const MATCH_THRESHOLDS = {
+  suggest: 0.35,
+  confident: 0.7
+};
+
+export const MATCH_REASON_LABELS = {
+  amount: 'Iznos',
+  partialAmount: 'Djelomični iznos',
+  iban: 'IBAN',
+  reference: 'Poziv na broj',
+  number: 'Broj računa',
+  name: 'Naziv'
+};
+
+const money = (n) => Math.round(n * 100) / 100;
+const list = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+const text = (v) => {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'object') return v['#text'] !== undefined ? String(v['#text']) : null;
+  return String(v);
+};
+
+// Stabilan ključ retka izvoda — isti redak uvezen dvaput daje isti id
+const hashLine = (parts) => {
+  let h = 5381;
+  for (const ch of parts.join('|')) h = ((h << 5) + h + ch.charCodeAt(0)) >>> 0;
+  return h.toString(36);
+};
+
+const createLine = ({ date, valueDate, amount, direction, counterpartyName, counterpartyIban, reference, description, bankReference, currency }) => {
+  const line = {
+    date,
+    valueDate: valueDate || date,
+    amount: money(Math.abs(amount)),
+    currency: currency || 'EUR',
+    direction,
+    counterpartyName: counterpartyName?.trim() || null,
+    counterpartyIban: counterpartyIban ? String(counterpartyIban).replace(/\s/g, '').toUpperCase() : null,
+    reference: reference ? normalizeReference(reference) : null,
+    description: description?.replace(/\s+/g, ' ').trim() || '',
+    bankReference: bankReference || null
+  };
+  line.id = hashLine([line.date, line.amount, line.direction, line.bankReference || '', line.reference || '', line.description]);
+  return line;
+};
+
+// Dvije jednake uplate istog dana bez bankovne reference daju isti ključ; ponavljanja unutar
+// izvoda dobivaju redni broj, pa prvi redak zadržava svoj id, a ponovni uvoz daje iste id-eve
+const numberRepeatedLines = (lines) => {
+  const seen = new Map();
+  lines.forEach(line => {
+    const occurrence = (seen.get(line.id) || 0) + 1;
+    seen.set(line.id, occurrence);
+    if (occurrence > 1) line.id = hashLine([line.id, occurrence]);
+  });
+  return lines;
+};
+
+const parseDate = (raw) => {
+  const s = String(raw || '').trim();
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const m = s.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})/);
+  if (!m) return null;
+  const year = Number(m[3]) < 100 ? 2000 + Number(m[3]) : Number(m[3]);
+  return `${year}-${String(m[2]).padStart(2, '0')}-${String(m[1]).padStart(2, '0')}`;
+};
+
+// ====== Poziv na broj, IBAN i brojevi računa ======
+
+/**
+ * Poziv na broj u obliku "HR01 123-2025": model + broj, bez suvišnih razmaka.
+ */
+export const normalizeReference = (raw) => {
+  const s = String(raw ?? '').toUpperCase().replace(/\s+/g, ' ').trim();
+  const m = s.match(/^(HR\d{2})\s*([\d-]*)$/);
+  if (m) return m[2] ? `${m[1]} ${m[2]}` : m[1];
+  return s || null;
+};
+
+/**
+ * IBAN-i koji se pojavljuju u slobodnom tekstu (s razmacima ili bez), samo valjani po MOD-97.
+ */
+export const findIbans = (value) => {
+  const matches = String(value ?? '').toUpperCase().match(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g) || [];
+  return [...new Set(matches.map(m => m.replace(/\s/g, '')))].filter(isValidIban);
+};
+
+/**
+ * Prvi poziv na broj u tekstu (model HRxx); IBAN-i se prije traženja uklanjaju.
+ */
+export const findReference = (value) => {
+  let s = String(value ?? '').toUpperCase();
+  findIbans(s).forEach(iban => {
+    s = s.replace(new RegExp(iban.split('').join(' ?')), ' ');
+  });
+  const m = s.match(/\bHR(\d{2})\s*(\d[\d-]{0,21})\b/);
+  return m ? normalizeReference(`HR${m[1]} ${m[2]}`) : null;
+};
+
+// Brojčane skupine ("001/2025" → [1, 2025]) za usporedbu broja računa s pozivom na broj ili opisom
+const numberGroups = (value) => (String(value ?? '').match(/\d+/g) || []).map(Number);
+
+const containsSequence = (haystack, needle) => {
+  if (!needle.length || needle.length > haystack.length) return false;
+  for (let i = 0; i <= haystack.length - needle.length; i++) {
+    if (needle.every((n, j) => haystack[i + j] === n)) return true;
+  }
+  return false;
+};
+
+// Jedna kratka skupina ("7") premalo govori — traže se barem dvije ili jedna od 4+ znamenke
+const isDistinctiveNumber = (groups, raw) =>
+  groups.length >= 2 || String(raw ?? '').replace(/\D/g, '').length >= 4;
+
+export const getRecordNumber = (record) =>
+  record.number || record.documentNumber || (String(record.title || '').match(/\d+(?:[/-]\d+)+/) || [null])[0];
+
+const LEGAL_FORMS = new Set(['doo', 'dd', 'jdoo', 'obrt', 'vl', 'gmbh', 'ltd', 'srl']);
+const nameTokens = (name) =>
+  String(name ?? '').toLowerCase().replace(/\./g, '').split(/[^a-z0-9čćžšđ]+/)
+    .filter(t => t.length >= 3 && !LEGAL_FORMS.has(t));
+
+// ====== Parseri ======
+
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Nazivi stupaca kako ih izvoze hrvatske banke (bez dijakritika, mala slova)
+const CSV_COLUMNS = {
+  date: ['datum knjizenja', 'datum izvrsenja', 'datum', 'booking date', 'date'],
+  valueDate: ['datum valute', 'value date'],
+  amount: ['iznos', 'amount'],
+  credit: ['potrazuje', 'uplata', 'priljev', 'credit'],
+  debit: ['duguje', 'isplata', 'odljev', 'debit'],
+  currency: ['valuta', 'currency'],
+  iban: ['iban platitelja/primatelja', 'iban platitelja', 'iban primatelja', 'racun platitelja/primatelja', 'iban', 'broj racuna', 'counterparty iban'],
+  name: ['platitelj/primatelj', 'naziv platitelja/primatelja', 'platitelj', 'primatelj', 'naziv', 'partner', 'counterparty', 'name'],
+  reference: ['poziv na broj primatelja', 'model i poziv na broj', 'poziv na broj', 'referenca', 'reference'],
+  description: ['opis placanja', 'svrha placanja', 'opis', 'svrha', 'description'],
+  bankReference: ['referenca banke', 'broj naloga', 'id transakcije', 'transaction id']
+};
+
+const foldHeader = (h) => h.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').replace(/\s+/g, ' ').trim();
+
+/**
+ * CSV izvod: razdjelnik ; , ili tab, stupci po nazivu zaglavlja. Iznos je jedan
+ * stupac s predznakom ili par duguje/potražuje.
+ */
+export const parseStatementCsv = (content) => {
+  const rows = String(content ?? '').split(/\r?\n/).filter(l => l.trim());
+  const headerIndex = rows.findIndex(r => /datum|date/i.test(r));
+  if (headerIndex === -1) throw new Error('CSV statement has no header row');
+  const header = rows[headerIndex];
+  const delimiter = [';', '\t', ','].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+  const headers = splitCsvLine(header, delimiter).map(foldHeader);
+
+  const column = {};
+  Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+    for (const alias of aliases) {
+      const index = headers.findIndex((h, i) => h === alias && !Object.values(column).includes(i));
+      if (index !== -1) { column[key] = index; break; }
+    }
+  });
+  if (column.date === undefined || (column.amount === undefined && column.credit === undefined && column.debit === undefined)) {
+    throw new Error('CSV statement needs a date and an amount column');
+  }
+
+  const lines = rows.slice(headerIndex + 1).map(row => {
+    const cells = splitCsvLine(row, delimiter);
+    const cell = (key) => (column[key] !== undefined ? cells[column[key]] : undefined);
+    const credit = parseNumber(cell('credit')) || 0;
+    const debit = parseNumber(cell('debit')) || 0;
+    const amount = column.amount !== undefined ? parseNumber(cell('amount')) ?? 0 : credit - debit;
+    const date = parseDate(cell('date'));
+    if (!date || !amount) return null;
+    const description = cell('description') || '';
+    return createLine({
+      date,
+      valueDate: parseDate(cell('valueDate')),
+      amount,
+      direction: amount > 0 ? 'incoming' : 'outgoing',
+      currency: cell('currency'),
+      counterpartyName: cell('name'),
+      counterpartyIban: cell('iban') || findIbans(description)[0],
+      reference: cell('reference') || findReference(description),
+      description,
+      bankReference: cell('bankReference')
+    });
+  }).filter(Boolean);
+
+  return { format: STATEMENT_FORMATS.CSV, account: null, currency: lines[0]?.currency || 'EUR', lines: numberRepeatedLines(lines) };
+};
+
+const camtParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['Stmt', 'Ntry', 'NtryDtls', 'TxDtls', 'Bal', 'Ustrd', 'Strd'].includes(name)
+});
+
+/**
+ * camt.053 (ISO 20022 BankToCustomerStatement). Skupni stavci s više TxDtls
+ * razdvajaju se u zasebne retke.
+ */
+export const parseCamt053 = (xml) => {
+  const parsed = camtParser.parse(String(xml ?? ''));
+  const statements = list(parsed.Document?.BkToCstmrStmt?.Stmt);
+  if (!statements.length) throw new Error('Not a camt.053 statement');
+
+  const lines = [];
+  statements.forEach(stmt => {
+    list(stmt.Ntry).forEach(entry => {
+      const direction = text(entry.CdtDbtInd) === 'DBIT' ? 'outgoing' : 'incoming';
+      const date = parseDate(text(entry.BookgDt?.Dt) || text(entry.BookgDt?.DtTm));
+      const valueDate = parseDate(text(entry.ValDt?.Dt));
+      const details = list(entry.NtryDtls).flatMap(d => list(d.TxDtls));
+
+      (details.length ? details : [{}]).forEach(tx => {
+        const amountNode = details.length > 1 ? (tx.AmtDtls?.TxAmt?.Amt || tx.Amt) : entry.Amt;
+        // Kod uplate nas zanima platitelj, kod isplate primatelj
+        const party = direction === 'incoming' ? 'Dbtr' : 'Cdtr';
+        const rmt = tx.RmtInf || {};
+        const ustrd = list(rmt.Ustrd).map(text).join(' ');
+        const structuredRef = list(rmt.Strd).map(s => text(s.CdtrRefInf?.Ref)).find(Boolean);
+        const description = [ustrd, text(tx.AddtlTxInf), text(entry.AddtlNtryInf)].filter(Boolean).join(' ');
+        lines.push(createLine({
+          date,
+          valueDate,
+          amount: Number(text(amountNode)) || 0,
+          currency: amountNode?.Ccy,
+          direction,
+          counterpartyName: text(tx.RltdPties?.[party]?.Nm) || text(tx.RltdPties?.[party]?.Pty?.Nm),
+          counterpartyIban: text(tx.RltdPties?.[`${party}Acct`]?.Id?.IBAN),
+          reference: structuredRef || findReference(description),
+          description,
+          bankReference: text(tx.Refs?.AcctSvcrRef) || text(entry.AcctSvcrRef) || text(tx.Refs?.EndToEndId)
+        }));
+      });
+    });
+  });
+
+  const first = statements[0];
+  return {
+    format: STATEMENT_FORMATS.CAMT053,
+    account: text(first.Acct?.Id?.IBAN),
+    currency: first.Acct?.Ccy ? text(first.Acct.Ccy) : lines[0]?.currency || 'EUR',
+    lines: numberRepeatedLines(lines)
+  };
+};
+
+// Podpolja :86: (?20–?29 svrha, ?31 račun, ?32–?33 naziv) — koriste ih FINA i većina HR banaka
+const parseMt940Info = (info) => {
+  if (!/\?\d{2}/.test(info)) {
+    return { description: info, iban: findIbans(info)[0], name: null };
+  }
+  const fields = {};
+  for (const m of info.replace(/\n/g, '').matchAll(/\?(\d{2})([^?]*)/g)) {
+    fields[m[1]] = ((fields[m[1]] || '') + m[2]).trim();
+  }
+  const pick = (from, to) => Object.keys(fields).filter(k => k >= from && k <= to).sort().map(k => fields[k]).join(' ').trim();
+  const description = pick('20', '29') || fields['00'] || '';
+  return {
+    description,
+    iban: findIbans(fields['31'])[0] || findIbans(description)[0],
+    name: pick('32', '33') || null
+  };
+};
+
+/**
+ * MT940 (SWIFT) izvod u varijanti koju isporučuju FINA i hrvatske banke.
+ */
+export const parseMt940 = (content) => {
+  const tags = [];
+  String(content ?? '').split(/\r?\n/).forEach(raw => {
+    const m = raw.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (m) tags.push({ tag: m[1], value: m[2] });
+    else if (tags.length && raw.trim() && !/^-}?$/.test(raw.trim())) tags[tags.length - 1].value += `\n${raw}`;
+  });
+  if (!tags.some(t => t.tag === '61')) throw new Error('Not an MT940 statement');
+
+  const account = tags.find(t => t.tag === '25')?.value.trim().split('/').pop() || null;
+  const balance = tags.find(t => /^60[FM]$/.test(t.tag))?.value || '';
+  const currency = balance.match(/^[CD]\d{6}([A-Z]{3})/)?.[1] || 'EUR';
+
+  const lines = [];
+  tags.forEach((t, index) => {
+    if (t.tag !== '61') return;
+    const [head] = t.value.split('\n');
+    const m = head.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)[A-Z]\w{3}([^/]*)(?:\/\/(.*))?$/);
+    if (!m) return;
+    const [, yy, mm, dd, , mark, rawAmount, customerRef, bankRef] = m;
+    // Storno terećenja (RD) je priljev, storno odobrenja (RC) odljev
+    const incoming = mark === 'C' || mark === 'RD';
+    const next = tags[index + 1];
+    const info = next?.tag === '86' ? parseMt940Info(next.value) : { description: '' };
+    const fullText = `${info.description} ${customerRef}`;
+    lines.push(createLine({
+      date: `20${yy}-${mm}-${dd}`,
+      amount: parseNumber(rawAmount, 'eu'),
+      currency,
+      direction: incoming ? 'incoming' : 'outgoing',
+      counterpartyName: info.name,
+      counterpartyIban: info.iban,
+      reference: findReference(fullText),
+      description: info.description,
+      bankReference: bankRef?.trim() || (customerRef !== 'NONREF' ? customerRef : null)
+    }));
+  });
+
+  return { format: STATEMENT_FORMATS.MT940, account, currency, lines: numberRepeatedLines(lines) };
+};
+
+export const detectStatementFormat = (content, fileName = '') => {
+  const s = String(content ?? '').slice(0, 4000);
+  if (/<\?xml|<Document/.test(s) && /BkToCstmrStmt|camt\.053/.test(s)) return STATEMENT_FORMATS.CAMT053;
+  if (/^:20:/m.test(s) && /^:61:/m.test(s)) return STATEMENT_FORMATS.MT940;
+  if (/\.(csv|txt)$/i.test(fileName) || s.split('\n').slice(0, 10).some(l => /(datum|date).*[;,\t]/i.test(l))) return STATEMENT_FORMATS.CSV;
+  return null;
+};
+
+/**
+ * Bajtovi izvoda u tekst: UTF-8, a ako nije valjan, Windows-1250 (stariji izvozi banaka).
+ */
+export const decodeStatementBytes = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1250').decode(buffer);
+  }
+};
+
+/**
+ * Parse a bank statement in any supported format into
+ * `{ format, account, currency, lines }`. Line amounts are positive;
+ * `direction` is 'incoming' for credits and 'outgoing' for debits,
+ * matching the direction of Accounting payment records.
+ */
+export const parseBankStatement = (content, { fileName = '' } = {}) => {
+  const format = detectStatementFormat(content, fileName);
+  if (format === STATEMENT_FORMATS.CAMT053) return parseCamt053(content);
+  if (format === STATEMENT_FORMATS.MT940) return parseMt940(content);
+  if (format === STATEMENT_FORMATS.CSV) return parseStatementCsv(content);
+  throw new Error(`Unsupported statement format: ${fileName || 'unknown'}`);
+};
+
+// ====== Prijedlozi zatvaranja ======
+
+const recordIbans = (record, suppliers) => {
+  const parties = [record.supplier, record.buyer, record.counterparty].filter(Boolean);
+  const ibans = parties.map(p => p.iban).filter(Boolean);
+  parties.forEach(p => ibans.push(...(findSupplier(suppliers, p.oib)?.ibans || [])));
+  return ibans.map(i => String(i).replace(/\s/g, '').toUpperCase());
+};
+
+/**
+ * Score one open ledger item against a statement line. Returns the score
+ * (0–1) and the criteria that contributed.
+ */
+export const scoreMatch = (line, item, record, { suppliers = [] } = {}) => {
+  const reasons = [];
+  if (Math.abs(item.balance - line.amount) < 0.01 || Math.abs(item.amount - line.amount) < 0.01) reasons.push('amount');
+  else if (line.amount < item.balance) reasons.push('partialAmount');
+
+  if (line.counterpartyIban && recordIbans(record, suppliers).includes(line.counterpartyIban)) reasons.push('iban');
+
+  const lineRefGroups = numberGroups(line.reference?.replace(/^HR\d{2}/, ''));
+  if (line.reference && record.paymentReference &&
+    normalizeReference(record.paymentReference) === line.reference) {
+    reasons.push('reference');
+  }
+
+  const number = getRecordNumber(record);
+  const groups = numberGroups(number);
+  if (number && isDistinctiveNumber(groups, number)) {
+    if (!reasons.includes('reference') && containsSequence(lineRefGroups, groups)) reasons.push('reference');
+    else if (containsSequence(numberGroups(line.description), groups)) reasons.push('number');
+  }
+
+  const tokens = nameTokens(item.counterparty.name);
+  const lineTokens = new Set(nameTokens(`${line.counterpartyName || ''} ${line.description}`));
+  if (tokens.some(t => lineTokens.has(t))) reasons.push('name');
+
+  const score = Math.min(1, reasons.reduce((s, r) => s + MATCH_WEIGHTS[r], 0));
+  return { score: money(score), reasons };
+};
+
+// Podskup stavki čiji je zbroj točno iznos uplate (jedna uplata za više računa)
+const findExactSubset = (items, amount) => {
+  const pool = items.slice(0, 12);
+  for (let mask = 1; mask < (1 << pool.length); mask++) {
+    const picked = pool.filter((_, i) => mask & (1 << i));
+    if (picked.length > 1 && Math.abs(picked.reduce((s, i) => s + i.balance, 0) - amount) < 0.01) return picked;
+  }
+  return null;
+};
+
+/**
+ * Propose how each statement line closes open ledger items. Lines already
+ * booked (a payment with the same `bankLineId`) are flagged as duplicates.
+ * Proposals reserve the balances they use, so one invoice is not offered
+ * in full to two lines. Each result carries the ranked `candidates`, the
+ * proposed `allocations` and a status of matched, suggested or unmatched.
+ */
+export const proposeMatches = (lines, records, { suppliers = [], asOf } = {}) => {
+  const ledger = buildLedger(records, asOf ? { asOf } : {});
+  const byId = new Map(records.map(r => [r.id, r]));
+  const booked = new Set(records.filter(r => r.bankLineId).map(r => r.bankLineId));
+  const remaining = new Map(ledger.items.map(i => [i.recordId, i.balance]));
+
+  return lines.map(line => {
+    if (booked.has(line.id)) {
+      return { line, status: 'duplicate', confidence: 0, candidates: [], allocations: [] };
+    }
+    const side = line.direction === 'outgoing' ? 'payable' : 'receivable';
+    const candidates = ledger.items
+      .filter(i => i.side === side && remaining.get(i.recordId) > 0)
+      .map(i => {
+        const item = { ...i, balance: remaining.get(i.recordId) };
+        return { ...scoreMatch(line, item, byId.get(i.recordId), { suppliers }), item };
+      })
+      .filter(c => c.score >= MATCH_THRESHOLDS.suggest && c.reasons.some(r => r !== 'partialAmount'))
+      .sort((a, b) => b.score - a.score || a.item.dueDate.localeCompare(b.item.dueDate));
+
+    const best = candidates[0];
+    let picked = [];
+    if (best) {
+      const identified = (c) => c.reasons.some(r => ['iban', 'reference', 'number', 'name'].includes(r));
+      const samePartner = candidates.filter(c => c.item.counterparty.key === best.item.counterparty.key && identified(c));
+      const exact = candidates.find(c => Math.abs(c.item.balance - line.amount) < 0.01);
+      const subset = !exact && findExactSubset(samePartner.map(c => c.item), line.amount);
+      if (exact) picked = [exact.item];
+      else if (subset) picked = subset;
+      else {
+        // Djelomična uplata ili preplata: najbolji kandidat, pa ostatak najstarijim računima istog partnera
+        picked = [best.item, ...samePartner.filter(c => c !== best).map(c => c.item)
+          .sort((a, b) => a.dueDate.localeCompare(b.dueDate))];
+      }
+    }
+
+    let left = line.amount;
+    const allocations = [];
+    picked.forEach(item => {
+      if (left <= 0) return;
+      const amount = money(Math.min(left, item.balance));
+      allocations.push({ recordId: item.recordId, amount });
+      remaining.set(item.recordId, money(remaining.get(item.recordId) - amount));
+      left = money(left - amount);
+    });
+
+    const confidence = allocations.length
+      ? Math.min(...allocations.map(a => candidates.find(c => c.item.recordId === a.recordId).score))
+      : 0;
+    return {
+      line,
+      status: !allocations.length ? 'unmatched' : confidence >= MATCH_THRESHOLDS.confident ? 'matched' : 'suggested',
+      confidence,
+      candidates: candidates.map(c => ({
+        recordId: c.item.recordId,
+        title: c.item.title,
+        counterparty: c.item.counterparty,
+        dueDate: c.item.dueDate,
+        balance: c.item.balance,
+        score: c.score,
+        reasons: c.reasons
+      })),
+      allocations
+    };
+  });
+};
+
+/**
+ * Book accepted statement lines as payment records and allocate them to
+ * the chosen invoices. `accepted` is [{ line, allocations }]; lines that are
+ * already booked are skipped. Returns a new records array.
+ */
+export const applyStatementMatches = (records, accepted, { asOf } = {}) => {
+  const booked = new Set(records.filter(r => r.bankLineId).map(r => r.bankLineId));
+  return accepted.reduce((current, { line, allocations = [] }) => {
+    if (booked.has(line.id)) return current;
+    booked.add(line.id);
+    const first = current.find(r => r.id === allocations[0]?.recordId);
+    const firstParty = first && (first.direction === 'outgoing' ? first.buyer : first.supplier);
+    const payment = {
+      id: `pay_bank_${line.id}`,
+      title: `${line.direction === 'incoming' ? 'Uplata' : 'Isplata'} - ${line.counterpartyName || firstParty?.name || 'bankovni izvod'}`,
+      type: 'payment',
+      direction: line.direction,
+      counterparty: {
+        name: firstParty?.name || line.counterpartyName || 'Nepoznato',
+        oib: firstParty?.oib || null,
+        iban: line.counterpartyIban
+      },
+      allocations: [],
+      amount: line.amount,
+      currency: line.currency,
+      status: 'obrađeno',
+      date: line.date,
+      dueDate: null,
+      relatedProjectId: first?.relatedProjectId || null,
+      paymentReference: line.reference,
+      bankLineId: line.id,
+      description: line.description,
+      documents: []
+    };
+    return allocatePayment([...current, payment], payment.id, allocations, asOf ? { asOf } : {});
+  }, records);
+};
@@ -0,0 +1,257 @@
+// utils/cuttingOptimizer.js
+// Optimizacija rezanja šipki (1D bin packing) iz LogiKal liste profila.
+
+export const DEFAULT_CUTTING_OPTIONS = {
+  stockLengths: [6000, 6500, 7000], // mm
+  kerf: 4, // širina reza pile, mm
+  trim: 10, // čišćenje početka šipke, mm
+  minOffcut: 500 // ostatak kraći od ovoga je otpad, mm
+};
+
+const groupKey = (code, color) => `${code}|${color || ''}`;
+
+/**
+ * Flatten a project's profile requirements into single pieces.
+ * Prefers the per-element cut list (length_mm per piece); falls back to the
+ * LogiKal profile roll-up (length_m x qty).
+ */
+export const collectProfilePieces = (project) => {
+  const profiles = (project.materials || []).filter(m => m.group === 'Profiles');
+  const colorOf = (sku) => profiles.find(p => p.sku === sku)?.color || '';
+  const pieces = [];
+
+  if (project.cutList?.length) {
+    project.cutList.forEach((cut, i) => {
+      const length = Math.round(Number(cut.length_mm) || 0);
+      if (!cut.sku || length <= 0) return;
+      pieces.push({
+        id: `cut_${i}`,
+        profileCode: cut.sku,
+        color: cut.color || colorOf(cut.sku),
+        length,
+        positionId: cut.positionId || null,
+        label: cut.profile || cut.sku,
+        angleL: cut.angleL || '',
+        angleR: cut.angleR || ''
+      });
+    });
+    return pieces;
+  }
+
+  profiles.forEach((p, i) => {
+    const length = Math.round((Number(p.length_m) || 0) * 1000);
+    const qty = Math.round(Number(p.quantity) || 0);
+    if (!p.sku || length <= 0) return;
+    for (let n = 0; n < qty; n++) {
+      pieces.push({
+        id: `prof_${i}_${n}`,
+        profileCode: p.sku,
+        color: p.color || '',
+        length,
+        positionId: p.meta?.positionTag || null,
+        label: p.description || p.sku
+      });
+    }
+  });
+  return pieces;
+};
+
+// Space a piece takes on the bar: its length plus one saw cut
+const consumed = (piece, kerf) => piece.length + kerf;
+
+/**
+ * Greedily fill one bar of the given length from the (sorted, descending) pieces.
+ * Returns the cuts and the indices of the pieces used.
+ */
+const fillBar = (barLength, pieces, { kerf, trim }) => {
+  let free = barLength - trim;
+  const used = [];
+  pieces.forEach((piece, index) => {
+    if (piece.length <= free) {
+      used.push(index);
+      free -= Math.min(free, consumed(piece, kerf));
+    }
+  });
+  return { used, free };
+};
+
+const describeBar = (bar, options) => {
+  const usedLength = bar.cuts.reduce((s, c) => s + c.length, 0);
+  const kerfLength = bar.cuts.length * options.kerf;
+  const leftover = Math.max(0, bar.length - options.trim - usedLength - kerfLength);
+  return {
+    ...bar,
+    usedLength,
+    kerfLength,
+    leftover,
+    leftoverType: leftover >= options.minOffcut ? 'offcut' : 'waste'
+  };
+};
+
+/**
+ * Plan the cuts for one profile code + colour.
+ * Offcuts from stock are used first (best fit), then new bars - for every new
+ * bar the standard length with the best utilisation is chosen.
+ */
+export const optimizeProfileGroup = (pieces, offcuts = [], options = {}) => {
+  const opts = { ...DEFAULT_CUTTING_OPTIONS, ...options };
+  let remaining = [...pieces].sort((a, b) => b.length - a.length);
+  const bars = [];
+  const maxLength = Math.max(...opts.stockLengths, ...offcuts.map(o => o.length));
+  const unplaced = remaining.filter(p => p.length > maxLength - opts.trim);
+  remaining = remaining.filter(p => p.length <= maxLength - opts.trim);
+
+  // 1) Ostaci sa skladišta, najkraći koji još nešto primi
+  [...offcuts].sort((a, b) => a.length - b.length).forEach(offcut => {
+    if (remaining.length === 0) return;
+    const { used } = fillBar(offcut.length, remaining, opts);
+    if (used.length === 0) return;
+    bars.push({ source: 'offcut', offcutId: offcut.id, length: offcut.length, location: offcut.location || null, cuts: used.map(i => remaining[i]) });
+    remaining = remaining.filter((_, i) => !used.includes(i));
+  });
+
+  // 2) Nove šipke
+  while (remaining.length > 0) {
+    let best = null;
+    opts.stockLengths.forEach(length => {
+      const { used, free } = fillBar(length, remaining, opts);
+      if (used.length === 0) return;
+      const utilisation = (length - free) / length;
+      if (!best || utilisation > best.utilisation + 1e-9 ||
+          (Math.abs(utilisation - best.utilisation) < 1e-9 && length < best.length)) {
+        best = { length, used, utilisation };
+      }
+    });
+    if (!best) break;
+    bars.push({ source: 'stock', length: best.length, cuts: best.used.map(i => remaining[i]) });
+    remaining = remaining.filter((_, i) => !best.used.includes(i));
+  }
+
+  const described = bars.map((bar, i) => describeBar({ ...bar, barNo: i + 1 }, opts));
+  const totalLength = described.reduce((s, b) => s + b.length, 0);
+  const usedLength = described.reduce((s, b) => s + b.usedLength, 0);
+  const offcutLength = described.filter(b => b.leftoverType === 'offcut').reduce((s, b) => s + b.leftover, 0);
+  const wasteLength = totalLength - usedLength - offcutLength;
+
+  return {
+    bars: described,
+    unplaced: [...unplaced, ...remaining],
+    totals: {
+      pieces: pieces.length,
+      newBars: described.filter(b => b.source === 'stock').length,
+      offcutsUsed: described.filter(b => b.source === 'offcut').length,
+      barsByLength: described
+        .filter(b => b.source === 'stock')
+        .reduce((acc, b) => ({ ...acc, [b.length]: (acc[b.length] || 0) + 1 }), {}),
+      totalLength,
+      usedLength,
+      offcutLength,
+      wasteLength,
+      wastePct: totalLength ? Math.round((wasteLength / totalLength) * 10000) / 100 : 0
+    }
+  };
+};
+
+/**
+ * Cutting plan for a whole project, one group per profile code and colour.
+ * `offcuts` are the reusable pieces from the warehouse ({ id, profileCode, color, length }).
+ */
+export const buildCuttingPlan = (pieces, offcuts = [], options = {}) => {
+  const opts = { ...DEFAULT_CUTTING_OPTIONS, ...options };
+  const groups = {};
+  pieces.forEach(piece => {
+    const key = groupKey(piece.profileCode, piece.color);
+    if (!groups[key]) groups[key] = { profileCode: piece.profileCode, color: piece.color || '', pieces: [] };
+    groups[key].pieces.push(piece);
+  });
+
+  const planned = Object.values(groups).map(group => {
+    const available = offcuts.filter(o =>
+      o.status !== 'used' && groupKey(o.profileCode, o.color) === groupKey(group.profileCode, group.color)
+    );
+    return { profileCode: group.profileCode, color: group.color, ...optimizeProfileGroup(group.pieces, available, opts) };
+  });
+
+  const totalLength = planned.reduce((s, g) => s + g.totals.totalLength, 0);
+  const wasteLength = planned.reduce((s, g) => s + g.totals.wasteLength, 0);
+
+  const plan = {
+    createdAt: new Date().toISOString(),
+    options: opts,
+    groups: planned,
+    summary: {
+      groups: planned.length,
+      pieces: pieces.length,
+      newBars: planned.reduce((s, g) => s + g.totals.newBars, 0),
+      offcutsUsed: planned.reduce((s, g) => s + g.totals.offcutsUsed, 0),
+      newOffcuts: planned.reduce((s, g) => s + g.bars.filter(b => b.leftoverType === 'offcut').length, 0),
+      unplaced: planned.reduce((s, g) => s + g.unplaced.length, 0),
+      totalLength,
+      wasteLength,
+      wastePct: totalLength ? Math.round((wasteLength / totalLength) * 10000) / 100 : 0
+    }
+  };
+  return { id: cuttingPlanId(plan), ...plan };
+};
+
+/**
+ * Stable plan id from the pieces it cuts, not from the chosen bars - the same
+ * cut list planned again (e.g. with other offcuts) keeps its id.
+ */
+export const cuttingPlanId = (plan) => {
+  const parts = plan.groups
+    .flatMap(group => [...group.bars.flatMap(bar => bar.cuts), ...(group.unplaced || [])]
+      .map(cut => [group.profileCode, group.color, cut.id, cut.length, cut.positionId || ''].join(':')))
+    .sort();
+  let h = 5381;
+  for (const ch of parts.join('|')) h = ((h << 5) + h + ch.charCodeAt(0)) >>> 0;
+  return `plan_${h.toString(36)}`;
+};
+
+/**
+ * Offcuts produced by a plan, ready to go back into stock.
+ */
+export const getPlanOffcuts = (plan) =>
+  plan.groups.flatMap(group =>
+    group.bars
+      .filter(bar => bar.leftoverType === 'offcut')
+      .map(bar => ({
+        profileCode: group.profileCode,
+        color: group.color,
+        length: bar.leftover,
+        sourceBar: `${group.profileCode}#${bar.barNo}`
+      }))
+  );
+
+/**
+ * Saw cutting list as CSV (semicolon separated, one row per cut, in bar order).
+ */
+export const cuttingPlanToCsv = (plan) => {
+  const header = ['Profil', 'Boja', 'Šipka', 'Izvor', 'Duljina šipke (mm)', 'Rez', 'Duljina reza (mm)', 'Kut L', 'Kut R', 'Pozicija', 'Ostatak (mm)', 'Ostatak'];
+  const rows = [];
+  plan.groups.forEach(group => {
+    group.bars.forEach(bar => {
+      bar.cuts.forEach((cut, i) => {
+        rows.push([
+          group.profileCode,
+          group.color,
+          bar.barNo,
+          bar.source === 'offcut' ? `ostatak ${bar.offcutId}` : 'nova',
+          bar.length,
+          i + 1,
+          cut.length,
+          cut.angleL || '',
+          cut.angleR || '',
+          cut.positionId || '',
+          i === bar.cuts.length - 1 ? bar.leftover : '',
+          i === bar.cuts.length - 1 ? (bar.leftoverType === 'offcut' ? 'na skladište' : 'otpad') : ''
+        ]);
+      });
+    });
+  });
+  const escape = (v) => {
+    const s = String(v ?? '');
+    return /[;"\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map(r => r.map(escape).join(';')).join('\n');
+};
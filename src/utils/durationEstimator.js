@@ -0,0 +1,207 @@
+// utils/durationEstimator.js
+// Procjena trajanja procesa naučena iz stvarnih podataka (actualStart/actualEnd) završenih procesa:
+// po procesu i vrsti pozicije trajanje = fiksno + po jedinici × količina (komadi ili m²),
+// uz izvještaj o procesima koje sustavno podcjenjujemo (stvarno / planirano trajanje).
+// Radi u pregledniku nad projektima planera (ProjectDataService), bez LLM-a; procesi planera nisu
+// u agbim.json, pa se ne procjenjuju na poslužitelju. Stvarni kraj je zadnji dan rada,
+// planirani kraj je kao u PlannerGanttV2 dan nakon trake. Montaža bez stvarnih datuma uči se
+// iz vremenskih oznaka koraka montaže komada kad su svi komadi pozicije gotovi.
+
+import { getWorkCalendar } from './workCalendar.js';
+import { processKey } from './ganttScheduler.js';
+import { getProcessTemplates, templateForPosition, positionQuantity } from './processTemplates.js';
+import { departmentOf } from './planBaselines.js';
+import { MONTAZA_WEIGHTS, pieceProgress, stepState } from './earnedValue.js';
+
+// Najmanje uzoraka za pravac po količini i za ocjenu podcjenjivanja
+export const MIN_FIT_SAMPLES = 3;
+export const MIN_BIAS_SAMPLES = 3;
+// Podcjenjivanje: medijan stvarno/planirano barem 1.15 i kasni barem 60 % uzoraka
+export const UNDERESTIMATE_RATIO = 1.15;
+export const UNDERESTIMATE_SHARE = 0.6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ymd = (value) => (value ? String(value).slice(0, 10) : null);
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+const quantile = (values, q) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  return sorted[lower] + (sorted[Math.ceil(pos)] - sorted[lower]) * (pos - lower);
+};
+
+export const actualWorkDays = (process, calendar = getWorkCalendar()) => {
+  const start = ymd(process.actualStart);
+  const end = ymd(process.actualEnd);
+  if (!start || !end || end < start) return null;
+  return Math.max(1, calendar.countWorkDays(start, end));
+};
+
+export const plannedWorkDays = (process, calendar = getWorkCalendar()) => {
+  const start = ymd(process.plannedStart);
+  const end = ymd(process.plannedEnd);
+  if (!start || !end) return null;
+  const last = new Date(Date.parse(end) - DAY_MS).toISOString().slice(0, 10);
+  return last < start ? 1 : Math.max(1, calendar.countWorkDays(start, last));
+};
+
+/**
+ * Stvarni početak i kraj montaže iz koraka komada; null dok nisu svi komadi gotovi s vremenskim oznakama.
+ */
+export const montageActuals = (position = {}) => {
+  const pieces = position.pieces || [];
+  if (!pieces.length || pieces.some(piece => pieceProgress(piece, { asOf: '9999-12-31' }) < 1)) return null;
+  const dates = pieces.flatMap(piece => {
+    const montaza = piece.montaza || piece.legacyMontaza || {};
+    return [...Object.keys(MONTAZA_WEIGHTS), 'gotovo'].map(step => stepState(montaza[step]).at).filter(Boolean);
+  }).sort();
+  return dates.length ? { actualStart: dates[0], actualEnd: dates[dates.length - 1] } : null;
+};
+
+/**
+ * Uzorci završenih procesa svih projekata.
+ * @returns {object[]} [{ projectId, positionId, processKey, processName, positionType, unit, quantity, actualDays, plannedDays }]
+ */
+export const collectDurationSamples = (projects = [], { calendar = getWorkCalendar(), library = getProcessTemplates() } = {}) =>
+  projects.flatMap(project => (project.positions || []).flatMap(position => {
+    const template = templateForPosition(position, library);
+    const quantity = positionQuantity(position, template);
+    const processes = (position.processes || []).filter(process => process.actualStart && process.actualEnd);
+    const montage = !processes.some(process => departmentOf(process) === 'Montaža') && montageActuals(position);
+    if (montage) {
+      const step = template.processes.find(p => p.department === 'Montaža');
+      processes.push({ name: step?.name || 'Montaža', department: 'Montaža', ...montage });
+    }
+    return processes
+      .map(process => ({ process, actualDays: actualWorkDays(process, calendar) }))
+      .filter(({ actualDays }) => actualDays !== null)
+      .map(({ process, actualDays }) => ({
+        projectId: project.id,
+        positionId: position.id,
+        processKey: processKey(process.name),
+        processName: process.name,
+        positionType: template.type,
+        unit: template.unit,
+        quantity,
+        actualDays,
+        plannedDays: plannedWorkDays(process, calendar)
+      }));
+  }));
+
+/**
+ * Trajanje = fixed + perUnit × količina (najmanji kvadrati); bez raspršenja količine ili uz
+ * negativan nagib ostaje medijan. Raspon low/high su 20. i 80. percentil omjera stvarno/procjena.
+ */
+export const fitDurations = (samples) => {
+  const n = samples.length;
+  const days = samples.map(s => s.actualDays);
+  let fixed = quantile(days, 0.5);
+  let perUnit = 0;
+
+  if (n >= MIN_FIT_SAMPLES) {
+    const meanQ = samples.reduce((sum, s) => sum + s.quantity, 0) / n;
+    const meanD = days.reduce((sum, d) => sum + d, 0) / n;
+    const sxx = samples.reduce((sum, s) => sum + (s.quantity - meanQ) ** 2, 0);
+    const sxy = samples.reduce((sum, s) => sum + (s.quantity - meanQ) * (s.actualDays - meanD), 0);
+    const slope = sxx ? sxy / sxx : 0;
+    if (slope > 0) {
+      perUnit = slope;
+      fixed = Math.max(0, meanD - slope * meanQ);
+    }
+  }
+
+  const predict = (quantity) => Math.max(1, fixed + perUnit * quantity);
+  const ratios = samples.map(s => s.actualDays / predict(s.quantity));
+  return {
+    n,
+    unit: samples[0]?.unit || null,
+    fixed: round(fixed),
+    perUnit: round(perUnit, 3),
+    low: round(quantile(ratios, 0.2) ?? 1),
+    high: round(quantile(ratios, 0.8) ?? 1)
+  };
+};
+
+/**
+ * Model iz uzoraka: po procesu ukupno i po vrsti pozicije.
+ * @returns {{ samples: number, processes: object }}
+ *   processes: { [processKey]: { processName, all, byType: { [positionType]: fit } } }
+ */
+export const learnDurations = (projects = [], options = {}) => {
+  const samples = options.samples || collectDurationSamples(projects, options);
+  const groups = new Map();
+  samples.forEach(sample => {
+    const group = groups.get(sample.processKey) || { processName: sample.processName, samples: [], byType: new Map() };
+    group.samples.push(sample);
+    group.byType.set(sample.positionType, [...(group.byType.get(sample.positionType) || []), sample]);
+    groups.set(sample.processKey, group);
+  });
+
+  return {
+    samples: samples.length,
+    processes: Object.fromEntries([...groups].map(([key, group]) => [key, {
+      processName: group.processName,
+      // Ukupni pravac miješa jedinice (komadi i m²), pa vrijedi samo medijan
+      all: { ...fitDurations(group.samples.map(s => ({ ...s, quantity: 0 }))), unit: null },
+      byType: Object.fromEntries([...group.byType].map(([type, list]) => [type, fitDurations(list)]))
+    }]))
+  };
+};
+
+/**
+ * Procjena trajanja procesa za poziciju; null kad nema uzoraka za taj proces.
+ * @returns {{ days, low, high, basis: 'type'|'process', samples, fixed, perUnit } | null}
+ */
+export const estimateProcessDuration = (model, processName, position = {}, { library = getProcessTemplates() } = {}) => {
+  const group = model?.processes?.[processKey(processName)];
+  if (!group) return null;
+  const template = templateForPosition(position, library);
+  const typed = group.byType[template.type];
+  const fit = typed || group.all;
+  const quantity = typed ? positionQuantity(position, template) : 0;
+  const estimate = Math.max(1, fit.fixed + fit.perUnit * quantity);
+  return {
+    days: Math.max(1, Math.round(estimate)),
+    low: Math.max(1, Math.floor(estimate * fit.low)),
+    high: Math.max(1, Math.ceil(estimate * fit.high)),
+    basis: typed ? 'type' : 'process',
+    samples: fit.n,
+    fixed: fit.fixed,
+    perUnit: fit.perUnit
+  };
+};
+
+/**
+ * Procjenitelj za processesForPosition: naučeno trajanje ako postoji, inače predložak.
+ */
+export const durationEstimateFor = (model, options = {}) => (templateStep, position) =>
+  estimateProcessDuration(model, templateStep.name, position, options)?.days ?? null;
+
+/**
+ * Procesi koje podcjenjujemo: omjer stvarnog i planiranog trajanja po procesu, najgori prvi.
+ * @returns {object[]} [{ processName, n, medianRatio, lateShare, meanOverrunDays, underestimated }]
+ */
+export const estimationBias = (samples = []) => {
+  const groups = new Map();
+  samples.filter(s => s.plannedDays).forEach(sample => {
+    const group = groups.get(sample.processKey) || { processName: sample.processName, samples: [] };
+    group.samples.push(sample);
+    groups.set(sample.processKey, group);
+  });
+
+  return [...groups.values()].map(({ processName, samples: list }) => {
+    const ratios = list.map(s => s.actualDays / s.plannedDays);
+    const medianRatio = round(quantile(ratios, 0.5));
+    const lateShare = round(list.filter(s => s.actualDays > s.plannedDays).length / list.length);
+    return {
+      processName,
+      n: list.length,
+      medianRatio,
+      lateShare,
+      meanOverrunDays: round(list.reduce((sum, s) => sum + s.actualDays - s.plannedDays, 0) / list.length, 1),
+      underestimated: list.length >= MIN_BIAS_SAMPLES && medianRatio >= UNDERESTIMATE_RATIO && lateShare >= UNDERESTIMATE_SHARE
+    };
+  }).sort((a, b) => b.underestimated - a.underestimated || b.medianRatio - a.medianRatio);
+};
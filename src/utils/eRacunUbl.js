@@ -0,0 +1,437 @@
+// utils/eRacunUbl.js
+// e-Račun (UBL 2.1 / EN 16931): uvoz Invoice/CreditNote XML-a u model dokumenta i izvoz izlaznih računa.
+
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+
+export const UBL_NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// BT-24: osnovna EN 16931 specifikacija; HR CIUS oznaka se može predati kroz opcije izvoza
+export const EN16931_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017';
+// BT-23: HR poslovni proces P1 (isporuka robe/usluga prema narudžbi ili ugovoru)
+export const DEFAULT_PROFILE_ID = 'P1';
+
+// UNTDID 1001 (BT-3)
+export const INVOICE_TYPE_CODES = { invoice: '380', creditNote: '381', prepayment: '386' };
+
+// UN/ECE Rec 20 šifre jedinica ↔ naše mjerne jedinice
+const UNIT_CODES = {
+  kom: 'H87', pcs: 'H87', m: 'MTR', m1: 'MTR', m2: 'MTK', m3: 'MTQ', kg: 'KGM', t: 'TNE',
+  l: 'LTR', h: 'HUR', sat: 'HUR', dan: 'DAY', set: 'SET', kpl: 'SET', pak: 'PK'
+};
+const UNIT_NAMES = {
+  H87: 'kom', C62: 'kom', MTR: 'm', MTK: 'm2', MTQ: 'm3', KGM: 'kg', TNE: 't',
+  LTR: 'l', HUR: 'h', DAY: 'dan', SET: 'set', PK: 'pak'
+};
+
+// Elementi koji se mogu ponavljati — parser ih uvijek vraća kao niz
+const REPEATED = new Set([
+  'InvoiceLine', 'CreditNoteLine', 'TaxTotal', 'TaxSubtotal', 'PaymentMeans', 'AllowanceCharge',
+  'PartyIdentification', 'PartyTaxScheme', 'PartyName', 'Note', 'AdditionalDocumentReference'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  // OIB i brojevi računa mogu počinjati nulom — brojeve pretvaramo sami
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => REPEATED.has(name)
+});
+
+const money = (n) => Math.round(n * 100) / 100;
+const list = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+const text = (v) => {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'object') return v['#text'] !== undefined ? String(v['#text']) : null;
+  return String(v);
+};
+const num = (v) => {
+  const t = text(v);
+  if (t === null || t === '') return null;
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+};
+
+const extractOib = (...values) => {
+  for (const value of values) {
+    const match = String(text(value) ?? '').match(/(?:^|\D)(\d{11})(?:\D|$)/);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+const formatAddress = (address) => {
+  if (!address) return null;
+  const street = [text(address.StreetName), text(address.AdditionalStreetName)].filter(Boolean).join(' ');
+  const city = [text(address.PostalZone), text(address.CityName)].filter(Boolean).join(' ');
+  const parts = [street, city, text(address.Country?.IdentificationCode)].filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+};
+
+const readParty = (party = {}) => {
+  const taxSchemes = list(party.PartyTaxScheme);
+  const ids = list(party.PartyIdentification).map(p => p.ID);
+  const vatId = taxSchemes.map(t => text(t.CompanyID)).find(Boolean) || null;
+  return {
+    name: text(party.PartyLegalEntity?.RegistrationName) || text(list(party.PartyName)[0]?.Name),
+    address: formatAddress(party.PostalAddress),
+    oib: extractOib(vatId, party.PartyLegalEntity?.CompanyID, party.EndpointID, ...ids),
+    vatId
+  };
+};
+
+/**
+ * Brza provjera je li sadržaj UBL Invoice ili CreditNote dokument.
+ */
+export const isUblDocument = (xml) =>
+  /<(?:\w+:)?(Invoice|CreditNote)[\s>]/.test(String(xml ?? '')) &&
+  String(xml).includes('urn:oasis:names:specification:ubl:schema:xsd');
+
+/**
+ * Parse a UBL 2.1 Invoice or CreditNote into the invoice document model
+ * (same shape as the AI analysis) plus `docMeta` in the extractDocMeta shape.
+ * Credit note amounts stay positive; `documentType` tells them apart.
+ */
+export const parseUblInvoice = (xml) => {
+  const parsed = parser.parse(String(xml ?? ''));
+  const isCreditNote = Boolean(parsed.CreditNote);
+  const root = parsed.Invoice || parsed.CreditNote;
+  if (!root) {
+    throw new Error('Not a UBL Invoice or CreditNote document');
+  }
+
+  const currency = text(root.DocumentCurrencyCode) || 'EUR';
+  const supplier = readParty(root.AccountingSupplierParty?.Party);
+  const buyer = readParty(root.AccountingCustomerParty?.Party);
+
+  const paymentMeans = list(root.PaymentMeans);
+  const account = paymentMeans.map(p => p.PayeeFinancialAccount).find(Boolean);
+  const paymentReference = paymentMeans.map(p => text(p.PaymentID)).find(Boolean) || null;
+  supplier.iban = account ? String(text(account.ID) || '').replace(/\s/g, '') || null : null;
+
+  const items = list(isCreditNote ? root.CreditNoteLine : root.InvoiceLine).map((line, index) => {
+    const quantityNode = isCreditNote ? line.CreditedQuantity : line.InvoicedQuantity;
+    const quantity = num(quantityNode) ?? 0;
+    const unitCode = typeof quantityNode === 'object' ? quantityNode.unitCode : null;
+    const baseQuantity = num(line.Price?.BaseQuantity) || 1;
+    const unitPrice = (num(line.Price?.PriceAmount) ?? 0) / baseQuantity;
+    const totalPrice = num(line.LineExtensionAmount) ?? money(quantity * unitPrice);
+
+    // Rabat stavke: postotak ako je naveden, inače iz iznosa popusta
+    const allowances = list(line.AllowanceCharge).filter(a => text(a.ChargeIndicator) === 'false');
+    const allowanceAmount = allowances.reduce((sum, a) => sum + (num(a.Amount) || 0), 0);
+    const gross = quantity * unitPrice;
+    const discountPercent = num(allowances[0]?.MultiplierFactorNumeric) ??
+      (allowanceAmount && gross ? money(allowanceAmount / gross * 100) : 0);
+
+    return {
+      position: Number(text(line.ID)) || index + 1,
+      code: text(line.Item?.SellersItemIdentification?.ID) || text(line.Item?.StandardItemIdentification?.ID),
+      description: text(line.Item?.Name) || text(line.Item?.Description) || '',
+      quantity,
+      unit: UNIT_NAMES[unitCode] || unitCode || 'kom',
+      unitPrice: money(unitPrice * 10000) / 10000,
+      discountPercent,
+      vatRate: num(line.Item?.ClassifiedTaxCategory?.Percent),
+      totalPrice
+    };
+  });
+
+  // TaxTotal s podzbrojevima je onaj u valuti dokumenta (BT-110)
+  const taxTotals = list(root.TaxTotal);
+  const taxTotal = taxTotals.find(t => list(t.TaxSubtotal).length > 0) || taxTotals[0] || {};
+  const subtotals = list(taxTotal.TaxSubtotal);
+  const monetary = root.LegalMonetaryTotal || {};
+  const rates = [...new Set(subtotals.map(s => num(s.TaxCategory?.Percent)).filter(r => r !== null))];
+
+  const totals = {
+    subtotal: num(monetary.TaxExclusiveAmount) ?? num(monetary.LineExtensionAmount),
+    vatAmount: num(taxTotal.TaxAmount) ?? 0,
+    totalAmount: num(monetary.TaxInclusiveAmount) ?? num(monetary.PayableAmount),
+    amountDue: num(monetary.PayableAmount),
+    discountTotal: num(monetary.AllowanceTotalAmount) || 0
+  };
+  if (rates.length === 1) totals.vatRate = rates[0];
+  if (subtotals.length > 1) {
+    totals.vatBreakdown = subtotals.map(s => ({
+      rate: num(s.TaxCategory?.Percent),
+      category: text(s.TaxCategory?.ID),
+      taxableAmount: num(s.TaxableAmount),
+      taxAmount: num(s.TaxAmount)
+    }));
+  }
+
+  const typeCode = text(isCreditNote ? root.CreditNoteTypeCode : root.InvoiceTypeCode);
+  const dueDate = text(root.DueDate) || paymentMeans.map(p => text(p.PaymentDueDate)).find(Boolean) || null;
+  const paymentTerms = text(root.PaymentTerms?.Note);
+  const deliveryDate = text(root.Delivery?.ActualDeliveryDate);
+
+  const analysis = {
+    documentType: 'invoice',
+    documentNumber: text(root.ID),
+    date: text(root.IssueDate),
+    dueDate,
+    currency,
+    supplier,
+    buyer,
+    items,
+    totals,
+    paymentReference,
+    orderReference: text(root.OrderReference?.ID),
+    notes: list(root.Note).map(text).filter(Boolean),
+    eInvoice: {
+      format: 'UBL',
+      rootElement: isCreditNote ? 'CreditNote' : 'Invoice',
+      typeCode,
+      isCreditNote: isCreditNote || typeCode === INVOICE_TYPE_CODES.creditNote,
+      customizationId: text(root.CustomizationID),
+      profileId: text(root.ProfileID),
+      attachments: list(root.AdditionalDocumentReference).map(ref => ({
+        id: text(ref.ID),
+        filename: ref.Attachment?.EmbeddedDocumentBinaryObject?.filename || null,
+        mimeCode: ref.Attachment?.EmbeddedDocumentBinaryObject?.mimeCode || null
+      }))
+    }
+  };
+
+  const docMeta = {
+    docType: isCreditNote ? 'Odobrenje' : typeCode === INVOICE_TYPE_CODES.prepayment ? 'Avansni račun' : 'Račun',
+    number: analysis.documentNumber,
+    issueDate: analysis.date,
+    dueDate,
+    place: null,
+    currency,
+    paymentTerms,
+    delivery: deliveryDate
+  };
+
+  return { analysis, docMeta };
+};
+
+// ====== Izvoz ======
+
+const amount = (value, currency) => ({ '@_currencyID': currency, '#text': money(value).toFixed(2) });
+const unitCodeFor = (unit) => UNIT_CODES[String(unit || '').toLowerCase()] || 'C62';
+const vatCategory = (rate) => (rate > 0 ? 'S' : 'E');
+
+const splitAddress = (address = '') => {
+  // "Ulica 1, 10000 Zagreb" → ulica, poštanski broj, grad
+  const [street, ...rest] = String(address).split(',').map(s => s.trim()).filter(Boolean);
+  const cityPart = rest.find(p => /^\d{5}\s+\S/.test(p)) || rest[0] || '';
+  const zip = cityPart.match(/^(\d{5})\s+(.+)$/);
+  return {
+    street: street || null,
+    postalZone: zip ? zip[1] : null,
+    city: zip ? zip[2] : cityPart || null
+  };
+};
+
+const buildParty = (party) => {
+  const oib = extractOib(party.oib);
+  const address = splitAddress(party.address);
+  const node = {};
+  if (oib) node['cbc:EndpointID'] = { '@_schemeID': '9934', '#text': oib };
+  if (oib) node['cac:PartyIdentification'] = { 'cbc:ID': oib };
+  node['cac:PostalAddress'] = {
+    ...(address.street && { 'cbc:StreetName': address.street }),
+    ...(address.city && { 'cbc:CityName': address.city }),
+    ...(address.postalZone && { 'cbc:PostalZone': address.postalZone }),
+    'cac:Country': { 'cbc:IdentificationCode': party.countryCode || 'HR' }
+  };
+  if (oib) {
+    node['cac:PartyTaxScheme'] = {
+      'cbc:CompanyID': party.vatId || `HR${oib}`,
+      'cac:TaxScheme': { 'cbc:ID': 'VAT' }
+    };
+  }
+  node['cac:PartyLegalEntity'] = {
+    'cbc:RegistrationName': party.name,
+    ...(oib && { 'cbc:CompanyID': oib })
+  };
+  return node;
+};
+
+/**
+ * Missing EN 16931 mandatory data for an outgoing invoice (empty when exportable).
+ */
+export const getUblExportIssues = (invoice = {}) => {
+  const issues = [];
+  if (!invoice.documentNumber) issues.push('Broj računa (BT-1)');
+  if (!invoice.date) issues.push('Datum izdavanja (BT-2)');
+  if (!invoice.supplier?.name) issues.push('Naziv prodavatelja (BT-27)');
+  if (!extractOib(invoice.supplier?.oib)) issues.push('OIB prodavatelja (BT-31)');
+  if (!invoice.buyer?.name) issues.push('Naziv kupca (BT-44)');
+  if (!invoice.items?.length) issues.push('Barem jedna stavka (BG-25)');
+  if (!invoice.dueDate && !invoice.paymentTerms) issues.push('Datum dospijeća ili uvjeti plaćanja (BT-9/BT-20)');
+  return issues;
+};
+
+/**
+ * Build an EN 16931 UBL 2.1 Invoice (or CreditNote) XML string from the
+ * invoice document model. Line totals, VAT breakdown and document totals are
+ * recomputed from the items so the file always passes the BR-CO sum rules.
+ */
+export const buildUblInvoice = (invoice, {
+  customizationId = EN16931_CUSTOMIZATION_ID,
+  profileId = DEFAULT_PROFILE_ID,
+  creditNote = false,
+  defaultVatRate = 25
+} = {}) => {
+  const issues = getUblExportIssues(invoice);
+  if (issues.length) {
+    throw new Error(`e-Račun nije potpun: ${issues.join(', ')}`);
+  }
+
+  const currency = invoice.currency || 'EUR';
+  const fallbackRate = invoice.totals?.vatRate ?? defaultVatRate;
+  const rootName = creditNote ? 'CreditNote' : 'Invoice';
+  const lineName = creditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine';
+  const quantityName = creditNote ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity';
+
+  const lines = invoice.items.map((item, index) => {
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice) || 0;
+    const gross = money(quantity * unitPrice);
+    const discount = money(gross * (Number(item.discountPercent) || 0) / 100);
+    const rate = Number(item.vatRate ?? fallbackRate);
+    return { item, index, quantity, unitPrice, gross, discount, net: money(gross - discount), rate };
+  });
+
+  const breakdown = new Map();
+  lines.forEach(line => {
+    const entry = breakdown.get(line.rate) || { taxable: 0 };
+    entry.taxable = money(entry.taxable + line.net);
+    breakdown.set(line.rate, entry);
+  });
+  breakdown.forEach((entry, rate) => { entry.tax = money(entry.taxable * rate / 100); });
+
+  const lineTotal = money(lines.reduce((sum, l) => sum + l.net, 0));
+  const taxTotal = money([...breakdown.values()].reduce((sum, e) => sum + e.tax, 0));
+  const prepaid = Number(invoice.totals?.prepaidAmount) || 0;
+
+  const doc = {
+    '@_xmlns': UBL_NAMESPACES[rootName],
+    '@_xmlns:cac': UBL_NAMESPACES.cac,
+    '@_xmlns:cbc': UBL_NAMESPACES.cbc,
+    'cbc:CustomizationID': customizationId,
+    'cbc:ProfileID': profileId,
+    'cbc:ID': invoice.documentNumber,
+    'cbc:IssueDate': invoice.date,
+    ...(!creditNote && invoice.dueDate && { 'cbc:DueDate': invoice.dueDate }),
+    [creditNote ? 'cbc:CreditNoteTypeCode' : 'cbc:InvoiceTypeCode']: creditNote
+      ? INVOICE_TYPE_CODES.creditNote
+      : invoice.typeCode || INVOICE_TYPE_CODES.invoice,
+    ...(invoice.notes?.length && { 'cbc:Note': invoice.notes }),
+    'cbc:DocumentCurrencyCode': currency,
+    ...(invoice.orderReference && { 'cac:OrderReference': { 'cbc:ID': invoice.orderReference } }),
+    'cac:AccountingSupplierParty': { 'cac:Party': buildParty(invoice.supplier) },
+    'cac:AccountingCustomerParty': { 'cac:Party': buildParty(invoice.buyer) }
+  };
+
+  if (invoice.supplier.iban || invoice.dueDate) {
+    doc['cac:PaymentMeans'] = {
+      // 30 = kreditni transfer, 58 = SEPA kreditni transfer
+      'cbc:PaymentMeansCode': invoice.supplier.iban ? '58' : '30',
+      ...(creditNote && invoice.dueDate && { 'cbc:PaymentDueDate': invoice.dueDate }),
+      ...(invoice.paymentReference && { 'cbc:PaymentID': invoice.paymentReference }),
+      ...(invoice.supplier.iban && {
+        'cac:PayeeFinancialAccount': { 'cbc:ID': String(invoice.supplier.iban).replace(/\s/g, '') }
+      })
+    };
+  }
+  if (invoice.paymentTerms) {
+    doc['cac:PaymentTerms'] = { 'cbc:Note': invoice.paymentTerms };
+  }
+
+  doc['cac:TaxTotal'] = {
+    'cbc:TaxAmount': amount(taxTotal, currency),
+    'cac:TaxSubtotal': [...breakdown.entries()].map(([rate, entry]) => ({
+      'cbc:TaxableAmount': amount(entry.taxable, currency),
+      'cbc:TaxAmount': amount(entry.tax, currency),
+      'cac:TaxCategory': {
+        'cbc:ID': vatCategory(rate),
+        'cbc:Percent': rate,
+        ...(rate === 0 && { 'cbc:TaxExemptionReason': invoice.vatExemptionReason || 'Oslobođeno PDV-a' }),
+        'cac:TaxScheme': { 'cbc:ID': 'VAT' }
+      }
+    }))
+  };
+
+  doc['cac:LegalMonetaryTotal'] = {
+    'cbc:LineExtensionAmount': amount(lineTotal, currency),
+    'cbc:TaxExclusiveAmount': amount(lineTotal, currency),
+    'cbc:TaxInclusiveAmount': amount(lineTotal + taxTotal, currency),
+    ...(prepaid && { 'cbc:PrepaidAmount': amount(prepaid, currency) }),
+    'cbc:PayableAmount': amount(lineTotal + taxTotal - prepaid, currency)
+  };
+
+  doc[lineName] = lines.map(({ item, index, quantity, unitPrice, discount, net, rate }) => ({
+    'cbc:ID': String(item.position ?? index + 1),
+    [quantityName]: { '@_unitCode': unitCodeFor(item.unit), '#text': quantity },
+    'cbc:LineExtensionAmount': amount(net, currency),
+    ...(discount && {
+      'cac:AllowanceCharge': {
+        'cbc:ChargeIndicator': 'false',
+        'cbc:AllowanceChargeReasonCode': '95',
+        'cbc:MultiplierFactorNumeric': Number(item.discountPercent),
+        'cbc:Amount': amount(discount, currency),
+        'cbc:BaseAmount': amount(net + discount, currency)
+      }
+    }),
+    'cac:Item': {
+      'cbc:Name': item.description || item.code || `Stavka ${index + 1}`,
+      ...(item.code && { 'cac:SellersItemIdentification': { 'cbc:ID': item.code } }),
+      'cac:ClassifiedTaxCategory': {
+        'cbc:ID': vatCategory(rate),
+        'cbc:Percent': rate,
+        'cac:TaxScheme': { 'cbc:ID': 'VAT' }
+      }
+    },
+    'cac:Price': { 'cbc:PriceAmount': { '@_currencyID': currency, '#text': unitPrice } }
+  }));
+
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    format: true,
+    suppressEmptyNode: true
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build({ [rootName]: doc })}`;
+};
+
+/**
+ * Map an outgoing Accounting record to the invoice document model.
+ * Records without items become a single line whose net is derived from the
+ * gross amount at the given VAT rate.
+ */
+export const accountingRecordToInvoice = (record, seller, { vatRate = 25 } = {}) => {
+  const items = record.items?.length
+    ? record.items
+    : [{
+      position: 1,
+      description: record.title,
+      quantity: 1,
+      unit: 'kom',
+      unitPrice: money((Number(record.amount) || 0) / (1 + vatRate / 100)),
+      vatRate
+    }];
+  return {
+    documentNumber: record.number || (record.title.match(/\d+\/\d{4}/) || [record.id])[0],
+    date: record.date,
+    dueDate: record.dueDate,
+    currency: record.currency || 'EUR',
+    supplier: { ...seller },
+    buyer: { ...(record.buyer || {}) },
+    items,
+    totals: { vatRate },
+    paymentReference: record.paymentReference,
+    typeCode: /avans/i.test(record.title) ? INVOICE_TYPE_CODES.prepayment : INVOICE_TYPE_CODES.invoice
+  };
+};
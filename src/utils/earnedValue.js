@@ -0,0 +1,269 @@
+// utils/earnedValue.js
+// Ostvarena vrijednost (earned value): postotak dovršenosti iz statusa montaže po komadu
+// (montaza.{transport,ugradnja,...} s vremenskim oznakama) zbrojen po poziciji, katu i projektu,
+// planirana vrijednost iz planiranih datuma procesa, stvarni trošak iz računovodstvenih zapisa
+// povezanih s projektom (relatedProjectId) te SPI/CPI kroz vrijeme za S-krivulju.
+// Kraj procesa je kao u PlannerGanttV2 dan nakon trake.
+// Bez budžeta (plan projekta, vrijednosti pozicija ili dnevne cijene projekta) nema BAC-a: PV i EV
+// su postotak opsega, a CPI/EAC se ne računaju jer nema s čim usporediti stvarni trošak.
+
+import { getWorkCalendar } from './workCalendar.js';
+import { departmentOf } from './planBaselines.js';
+import { getLedgerSide, LEDGER_SIDE } from './accountingLedger.js';
+
+// Udio koraka montaže u dovršenosti komada; 'gotovo' zatvara komad, reklamacija/blokirano su oznake
+export const MONTAZA_WEIGHTS = {
+  transport: 0.1,
+  ugradnja: 0.45,
+  stakljenje: 0.2,
+  brtvljenje: 0.15,
+  dodaci: 0.1
+};
+
+export const EV_STEPS = { WEEK: 'week', MONTH: 'month' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDay = (value) => Math.round(Date.parse(String(value).slice(0, 10)) / DAY_MS);
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const todayIso = () => new Date().toISOString().slice(0, 10);
+const money = (n) => Math.round(n * 100) / 100;
+const ratio = (a, b) => (b ? Math.round(a / b * 100) / 100 : null);
+
+/**
+ * Stanje koraka montaže: stari zapis je boolean, v5.5 { status, completedAt } (toggleSubprocessStatus),
+ * stariji uvoz { status, timestamp }.
+ */
+export const stepState = (value) => {
+  if (value && typeof value === 'object') {
+    const at = value.completedAt ?? value.timestamp;
+    return { done: !!value.status, at: at ? String(at).slice(0, 10) : null };
+  }
+  return { done: !!value, at: null };
+};
+
+// Korak bez vremenske oznake vrijedi od danas; povijesne točke ga ne vide
+const doneBy = (value, asOf, today) => {
+  const { done, at } = stepState(value);
+  if (!done) return false;
+  return at ? at <= asOf : asOf >= today;
+};
+
+/**
+ * Dovršenost komada 0..1 na dan `asOf`.
+ */
+export const pieceProgress = (piece, { asOf = todayIso(), today = todayIso() } = {}) => {
+  const montaza = piece?.montaza || piece?.legacyMontaza || {};
+  if (doneBy(montaza.gotovo, asOf, today)) return 1;
+  const done = Object.entries(MONTAZA_WEIGHTS)
+    .reduce((sum, [step, weight]) => sum + (doneBy(montaza[step], asOf, today) ? weight : 0), 0);
+  return Math.min(1, Math.round(done * 1000) / 1000);
+};
+
+const isInstallation = (process) => departmentOf(process) === 'Montaža';
+
+const plannedWindow = (item) => {
+  if (!item?.plannedStart) return null;
+  const start = item.plannedStart.slice(0, 10);
+  const end = item.plannedEnd ? fromDay(toDay(item.plannedEnd) - 1) : start;
+  return { start, end: end < start ? start : end };
+};
+
+const partialBefore = (process, asOf, today) => {
+  const current = Math.min(100, Math.max(0, Number(process.progress) || 0)) / 100;
+  if (asOf >= today) return current;
+  const started = process.actualStart?.slice(0, 10);
+  if (!started || started > asOf) return 0;
+  const span = toDay(today) - toDay(started);
+  return span > 0 ? current * (toDay(asOf) - toDay(started)) / span : 0;
+};
+
+/**
+ * Dovršenost procesa 0..1 na dan `asOf`. Montaža s komadima računa se iz komada; ostali procesi
+ * iz actualEnd, a za prošle datume bez povijesti linearno od actualStart do današnjeg postotka.
+ */
+export const processProgress = (process, position, { asOf = todayIso(), today = todayIso() } = {}) => {
+  if (isInstallation(process) && position?.pieces?.length) {
+    return position.pieces.reduce((sum, piece) => sum + pieceProgress(piece, { asOf, today }), 0) / position.pieces.length;
+  }
+  if (process.actualEnd) return process.actualEnd.slice(0, 10) <= asOf ? 1 : partialBefore(process, asOf, today);
+  if (process.status === 'Završeno') return asOf >= today ? 1 : 0;
+  return partialBefore(process, asOf, today);
+};
+
+/**
+ * Radne stavke projekta s težinom (budžetom) i planiranim razdobljem. Pozicija s procesima dijeli
+ * svoj budžet po procesima prema radnim danima × dnevnoj cijeni odjela (bez cijena samo prema radnim
+ * danima); pozicija bez procesa (samo komadi) je jedna stavka montaže u razdoblju projekta.
+ * `bac` je null kad projekt nema budžet; tada se dijeli udio opsega (ukupno 100).
+ */
+const workItems = (project, { calendar, rates }) => {
+  const dayRates = { ...(project.dayRates || {}), ...(rates || {}) };
+  const hasRates = Object.keys(dayRates).length > 0;
+  const rateOf = (department) => (hasRates ? dayRates[department] ?? dayRates.Ostalo ?? 0 : 1);
+  const projectWindow = project.startDate
+    ? { start: project.startDate.slice(0, 10), end: (project.endDate || project.startDate).slice(0, 10) }
+    : null;
+
+  const positions = (project.positions || []).map(position => {
+    const processes = (position.processes || []).filter(p => p.plannedStart);
+    const items = processes.length
+      ? processes.map(process => {
+        const window = plannedWindow(process);
+        const days = Math.max(1, calendar.countWorkDays(window.start, window.end));
+        return { process, window, cost: days * rateOf(departmentOf(process)) };
+      })
+      : [{
+        // Samo komadi: jedna stavka montaže, komad vrijedi kao dan montaže
+        process: { name: 'Montaža' },
+        window: plannedWindow(position.gantt) || projectWindow,
+        cost: Math.max(1, position.pieces?.length || 0) * rateOf('Montaža')
+      }];
+    const value = Number(position.value ?? position.totalPrice) ||
+      (Number(position.unitPrice) * (Number(position.qty) || 1)) || null;
+    return { position, items, value };
+  });
+
+  // Budžet: plan projekta, inače zbroj vrijednosti pozicija, inače trošak rada po cijenama projekta
+  const valued = positions.some(p => p.value);
+  const weightOf = (p) => (valued ? p.value || 0 : p.items.reduce((sum, i) => sum + i.cost, 0));
+  const totalWeight = positions.reduce((sum, p) => sum + weightOf(p), 0);
+  const bac = Number(project.accounting?.budget?.plannedTotal) || (valued || hasRates ? totalWeight : 0) || null;
+  const basis = bac ?? 100;
+
+  return {
+    bac,
+    basis,
+    positions: positions.map(p => {
+      const budget = totalWeight ? basis * weightOf(p) / totalWeight : 0;
+      const itemCost = p.items.reduce((sum, i) => sum + i.cost, 0);
+      return { ...p, budget, items: p.items.map(i => ({ ...i, budget: itemCost ? budget * i.cost / itemCost : 0 })) };
+    })
+  };
+};
+
+// Planirani udio stavke na dan `asOf`: linearno po radnim danima
+const plannedFraction = (window, asOf, calendar) => {
+  if (!window) return 0;
+  if (asOf < window.start) return 0;
+  if (asOf >= window.end) return 1;
+  const total = Math.max(1, calendar.countWorkDays(window.start, window.end));
+  return calendar.countWorkDays(window.start, asOf) / total;
+};
+
+/**
+ * Postotak dovršenosti po poziciji, katu i projektu na dan `asOf`.
+ * Kat se računa iz komada (piece.floor), pozicija i projekt ponderirani budžetom.
+ */
+export const rollupProgress = (project, { asOf = todayIso(), today = todayIso(), calendar = getWorkCalendar(), rates } = {}) => {
+  const { bac, basis, positions } = workItems(project, { calendar, rates });
+  const floors = new Map();
+
+  const rows = positions.map(({ position, items, budget }) => {
+    const earned = items.reduce((sum, i) => sum + i.budget * processProgress(i.process, position, { asOf, today }), 0);
+    const pieces = position.pieces || [];
+    pieces.forEach(piece => {
+      const key = piece.floor || 'Bez kata';
+      const floor = floors.get(key) || { floor: key, pieces: 0, completed: 0, progress: 0 };
+      const progress = pieceProgress(piece, { asOf, today });
+      floor.pieces += 1;
+      floor.progress += progress;
+      if (progress === 1) floor.completed += 1;
+      floors.set(key, floor);
+    });
+    return {
+      positionId: position.id,
+      title: position.title || position.id,
+      budget: bac ? money(budget) : null,
+      earned: bac ? money(earned) : null,
+      percent: budget ? Math.round(earned / budget * 100) : 0,
+      pieces: pieces.length,
+      completedPieces: pieces.filter(piece => pieceProgress(piece, { asOf, today }) === 1).length
+    };
+  });
+
+  const earned = positions.reduce((sum, { position, items }) =>
+    sum + items.reduce((s, i) => s + i.budget * processProgress(i.process, position, { asOf, today }), 0), 0);
+  return {
+    percent: Math.round(earned / basis * 100),
+    bac: bac === null ? null : money(bac),
+    positions: rows,
+    floors: [...floors.values()].map(f => ({ floor: f.floor, pieces: f.pieces, completed: f.completed, percent: Math.round(f.progress / f.pieces * 100) }))
+  };
+};
+
+/**
+ * Stvarni trošak projekta do dana `asOf`: ulazni računi i troškovi povezani s projektom.
+ */
+export const actualCost = (records = [], projectId, asOf = todayIso()) => money(records
+  .filter(r => r.relatedProjectId === projectId && getLedgerSide(r) === LEDGER_SIDE.PAYABLE && r.date && r.date.slice(0, 10) <= asOf)
+  .reduce((sum, r) => sum + (Number(r.amount) || 0), 0));
+
+const stepDates = (from, to, step) => {
+  const dates = [];
+  if (step === EV_STEPS.MONTH) {
+    const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+    while (cursor.toISOString().slice(0, 10) <= to) {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+      dates.push(fromDay(toDay(cursor.toISOString()) - 1));
+    }
+  } else {
+    for (let day = toDay(from) + 6; fromDay(day - 6) <= to; day += 7) dates.push(fromDay(day));
+  }
+  return dates.map(d => (d > to ? to : d));
+};
+
+/**
+ * S-krivulja: PV, EV i AC kumulativno po tjednu ili mjesecu od početka do kraja plana
+ * (ili danas, ako je kasnije). EV i AC postoje samo do danas.
+ *
+ * @returns {{ points: object[], summary: object }}
+ *   points: [{ date, pv, ev, ac, spi, cpi }]
+ *   summary: { asOf, budgeted, bac, pv, ev, ac, sv, cv, spi, cpi, eac, vac, percent }
+ *   Bez budžeta (budgeted: false) PV/EV su postotak opsega, a AC u točkama i CPI/EAC/VAC su null.
+ */
+export const earnedValueSeries = (project, records = [], { step = EV_STEPS.WEEK, today = todayIso(), calendar = getWorkCalendar(), rates } = {}) => {
+  const { bac, basis, positions } = workItems(project, { calendar, rates });
+  const budgeted = bac !== null;
+  const items = positions.flatMap(p => p.items.map(i => ({ ...i, position: p.position })));
+  const windows = items.map(i => i.window).filter(Boolean);
+  if (!windows.length) {
+    return { points: [], summary: { asOf: today, budgeted, bac: budgeted ? money(bac) : null, pv: 0, ev: 0, ac: actualCost(records, project.id, today), sv: 0, cv: null, spi: null, cpi: null, eac: null, vac: null, percent: 0 } };
+  }
+
+  const from = windows.map(w => w.start).sort()[0];
+  const planEnd = windows.map(w => w.end).sort()[windows.length - 1];
+  const to = planEnd > today ? planEnd : today;
+
+  const valueAt = (asOf) => {
+    const pv = items.reduce((sum, i) => sum + i.budget * plannedFraction(i.window, asOf, calendar), 0);
+    if (asOf > today) return { date: asOf, pv: money(pv), ev: null, ac: null, spi: null, cpi: null };
+    const ev = items.reduce((sum, i) => sum + i.budget * processProgress(i.process, i.position, { asOf, today }), 0);
+    // Stvarni trošak se uspoređuje samo sa stvarnim budžetom
+    const ac = budgeted ? actualCost(records, project.id, asOf) : null;
+    return { date: asOf, pv: money(pv), ev: money(ev), ac, spi: ratio(ev, pv), cpi: budgeted ? ratio(ev, ac) : null };
+  };
+
+  const dates = [...new Set([...stepDates(from, to, step), today])].filter(d => d >= from).sort();
+  const points = dates.map(valueAt);
+  const now = valueAt(today);
+  const eac = now.cpi ? money(bac / now.cpi) : null;
+
+  return {
+    points,
+    summary: {
+      asOf: today,
+      budgeted,
+      bac: budgeted ? money(bac) : null,
+      pv: now.pv,
+      ev: now.ev,
+      ac: actualCost(records, project.id, today),
+      sv: money(now.ev - now.pv),
+      cv: budgeted ? money(now.ev - now.ac) : null,
+      spi: now.spi,
+      cpi: now.cpi,
+      eac,
+      vac: eac === null ? null : money(bac - eac),
+      percent: Math.round(now.ev / basis * 100)
+    }
+  };
+};
@@ -0,0 +1,217 @@
+// utils/ganttDraftValidator.js
+// Provjera glasovnog Gantt draft-a pravilima (bez LLM-a): redoslijed datuma, okvir projekta,
+// lanac linija jedne ekipe, veze, broj ekipa i neradni dani. Isti draft uvijek daje iste nalaze.
+// Linije su { id, pozicija_id, label, start, end, team?, depends_on? }, kraj uključiv.
+
+import { getWorkCalendar } from './workCalendar.js';
+import { DEPENDENCY_TYPES, normalizeDependency } from './ganttScheduler.js';
+
+export const DRAFT_RULES = {
+  MISSING_DATES: 'missing_dates',
+  END_BEFORE_START: 'end_before_start',
+  OUTSIDE_WINDOW: 'outside_window',
+  CHAIN_GAP: 'chain_gap',
+  CHAIN_OVERLAP: 'chain_overlap',
+  DEPENDENCY: 'dependency_violation',
+  TEAM_OVERALLOCATED: 'team_overallocated',
+  NON_WORKING_DAY: 'non_working_day'
+};
+
+// Greške blokiraju commit, upozorenja samo traže pregled
+export const RULE_SEVERITY = {
+  [DRAFT_RULES.MISSING_DATES]: 'warning',
+  [DRAFT_RULES.END_BEFORE_START]: 'error',
+  [DRAFT_RULES.OUTSIDE_WINDOW]: 'warning',
+  [DRAFT_RULES.CHAIN_GAP]: 'warning',
+  [DRAFT_RULES.CHAIN_OVERLAP]: 'error',
+  [DRAFT_RULES.DEPENDENCY]: 'error',
+  [DRAFT_RULES.TEAM_OVERALLOCATED]: 'error',
+  [DRAFT_RULES.NON_WORKING_DAY]: 'warning'
+};
+
+/**
+ * Linije draft-a kao niz; u hooku su Map, nakon JSON-a niz ili objekt po id-ju.
+ */
+export const draftLines = (draft) => {
+  const lines = draft?.lines;
+  if (!lines) return [];
+  if (lines instanceof Map) return [...lines.values()];
+  return Array.isArray(lines) ? lines : Object.values(lines);
+};
+
+const lineName = (line) => {
+  const ref = line.pozicija_id || line.id;
+  return line.label ? `${ref} (${line.label})` : String(ref);
+};
+
+const hasTeam = (line) => line.team !== undefined && line.team !== null && line.team !== '';
+
+// Radni indeksi koje linija zauzima; prazno ako pada samo na neradne dane
+const workSpan = (line, calendar) => {
+  const duration = calendar.countWorkDays(line.start, line.end);
+  const first = calendar.toWorkIndex(line.start);
+  return Array.from({ length: duration }, (_, i) => first + i);
+};
+
+/**
+ * Provjera draft-a. `links` su dodatne veze { from, to, type, lag } po id-ju linije ili pozicije;
+ * linija može imati i vlastite `depends_on` / `dependencies`.
+ *
+ * @returns {{ ok: boolean, issues: string[], warnings: string[], findings: object[], checkedLines: number }}
+ *   findings: { rule, severity, lineIds, message, ... }
+ */
+export const validateGanttDraft = (draft, { calendar = getWorkCalendar(), links = [] } = {}) => {
+  const findings = [];
+  const add = (rule, lineIds, message, data = {}) =>
+    findings.push({ rule, severity: RULE_SEVERITY[rule], lineIds: lineIds.map(String), message, ...data });
+
+  const lines = draftLines(draft);
+  const dated = [];
+  lines.forEach(line => {
+    if (!line.start || !line.end) {
+      add(DRAFT_RULES.MISSING_DATES, [line.id], `${lineName(line)}: nedostaje početak ili završetak`);
+    } else if (line.end < line.start) {
+      add(DRAFT_RULES.END_BEFORE_START, [line.id], `${lineName(line)}: završetak ${line.end} je prije početka ${line.start}`);
+    } else {
+      dated.push(line);
+    }
+  });
+
+  // Okvir projekta iz draft.dateRange
+  const { from: windowFrom, to: windowTo } = draft?.dateRange || {};
+  dated.forEach(line => {
+    if ((windowFrom && line.start < windowFrom) || (windowTo && line.end > windowTo)) {
+      add(DRAFT_RULES.OUTSIDE_WINDOW, [line.id],
+        `${lineName(line)}: ${line.start} – ${line.end} izlazi iz okvira projekta ${windowFrom || '…'} – ${windowTo || '…'}`);
+    }
+  });
+
+  // Početak ili završetak na vikend, praznik ili zatvaranje pogona
+  dated.forEach(line => {
+    const offDays = [...new Set([line.start, line.end])]
+      .map(date => calendar.getDayInfo(date, { team: line.team }))
+      .filter(day => !day.workDay);
+    if (offDays.length) {
+      add(DRAFT_RULES.NON_WORKING_DAY, [line.id],
+        `${lineName(line)}: ${offDays.map(day => `${day.date} (${day.label})`).join(', ')} nije radni dan`,
+        { dates: offDays.map(day => day.date) });
+    }
+  });
+
+  // Linije jedne ekipe idu u lancu; bez oznake ekipe lanac je cijeli draft kad je ekipa jedna
+  const teams = Math.max(1, Math.round(Number(draft?.teams) || 1));
+  const lanes = new Map();
+  const pooled = [];
+  dated.forEach(line => {
+    const lane = hasTeam(line) ? `team:${line.team}` : teams === 1 ? 'team:1' : null;
+    if (!lane) {
+      pooled.push(line);
+      return;
+    }
+    if (!lanes.has(lane)) lanes.set(lane, []);
+    lanes.get(lane).push(line);
+  });
+
+  lanes.forEach(laneLines => {
+    const chain = [...laneLines].sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+    for (let i = 1; i < chain.length; i++) {
+      const prev = chain[i - 1];
+      const next = chain[i];
+      if (next.start <= prev.end) {
+        add(DRAFT_RULES.CHAIN_OVERLAP, [prev.id, next.id],
+          `${lineName(next)} počinje ${next.start}, prije završetka ${lineName(prev)} (${prev.end})`);
+        continue;
+      }
+      const gap = calendar.toWorkIndex(next.start) - calendar.toWorkIndex(calendar.shiftDate(prev.end, 1));
+      if (gap > 0) {
+        add(DRAFT_RULES.CHAIN_GAP, [prev.id, next.id],
+          `${gap} radnih dana praznog hoda između ${lineName(prev)} i ${lineName(next)}`, { days: gap });
+      }
+    }
+  });
+
+  // Više ekipa bez rasporeda po ekipi: istovremenih linija ne smije biti više od ekipa
+  if (pooled.length) {
+    const byDay = new Map();
+    pooled.forEach(line => workSpan(line, calendar).forEach(index => {
+      if (!byDay.has(index)) byDay.set(index, []);
+      byDay.get(index).push(line);
+    }));
+    let run = null;
+    const flush = () => {
+      if (!run) return;
+      add(DRAFT_RULES.TEAM_OVERALLOCATED, [...run.lineIds],
+        `${calendar.fromWorkIndex(run.from)} – ${calendar.fromWorkIndex(run.to)}: ${run.peak} linija istovremeno, a ekipa je ${teams}`,
+        { from: calendar.fromWorkIndex(run.from), to: calendar.fromWorkIndex(run.to), peak: run.peak });
+      run = null;
+    };
+    [...byDay.keys()].sort((a, b) => a - b).forEach(index => {
+      const active = byDay.get(index);
+      if (active.length <= teams) return flush();
+      if (run && index !== run.to + 1) flush();
+      if (!run) run = { from: index, to: index, peak: 0, lineIds: new Set() };
+      run.to = index;
+      run.peak = Math.max(run.peak, active.length);
+      active.forEach(line => run.lineIds.add(line.id));
+    });
+    flush();
+  }
+
+  // Veze: reference po id-ju linije ili po poziciji
+  const byRef = new Map();
+  lines.forEach(line => { if (line.pozicija_id) byRef.set(String(line.pozicija_id), line); });
+  lines.forEach(line => byRef.set(String(line.id), line));
+  const datedSet = new Set(dated);
+  const allLinks = [
+    ...links,
+    ...(draft?.links || []),
+    ...lines.flatMap(line => (line.depends_on || line.dependencies || []).map(dep => {
+      const link = normalizeDependency(dep);
+      return link && { ...link, to: line.id };
+    }))
+  ].filter(Boolean);
+
+  allLinks.forEach(raw => {
+    const link = { ...normalizeDependency(raw), to: String(raw.to) };
+    const pred = byRef.get(link.from);
+    const succ = byRef.get(link.to);
+    if (!pred || !succ || pred === succ || !datedSet.has(pred) || !datedSet.has(succ)) return;
+    const index = (date) => calendar.toWorkIndex(date);
+    const [required, actual] =
+      link.type === DEPENDENCY_TYPES.SS ? [index(pred.start) + link.lag, index(succ.start)]
+        : link.type === DEPENDENCY_TYPES.FF ? [index(pred.end) + link.lag, index(succ.end)]
+          : [index(pred.end) + 1 + link.lag, index(succ.start)];
+    if (actual < required) {
+      const lag = link.lag ? ` ${link.lag > 0 ? '+' : ''}${link.lag}` : '';
+      add(DRAFT_RULES.DEPENDENCY, [pred.id, succ.id],
+        `${lineName(succ)} je ${required - actual} radnih dana ranije nego što dopušta veza ${link.type}${lag} s ${lineName(pred)}`,
+        { type: link.type, lag: link.lag, days: required - actual });
+    }
+  });
+
+  const errors = findings.filter(f => f.severity === 'error');
+  return {
+    ok: errors.length === 0,
+    issues: errors.map(f => f.message),
+    warnings: findings.filter(f => f.severity === 'warning').map(f => f.message),
+    findings,
+    checkedLines: lines.length
+  };
+};
+
+/**
+ * Nalazi koji se tiču jedne linije.
+ */
+export const lineFindings = (validation, lineId) =>
+  (validation?.findings || []).filter(f => f.lineIds.includes(String(lineId)));
+
+/**
+ * Kratki govorni sažetak nalaza; koristi se kad LLM ne sroči odgovor.
+ */
+export const summarizeValidation = (validation) => {
+  const errors = validation.issues.length;
+  const warnings = validation.warnings.length;
+  if (!errors && !warnings) return `Plan je provjeren, ${validation.checkedLines} linija bez primjedbi.`;
+  const first = validation.issues[0] || validation.warnings[0];
+  return `Provjera plana: grešaka ${errors}, upozorenja ${warnings}. Prvo: ${first}.`;
+};
@@ -0,0 +1,277 @@
+// utils/ganttScheduler.js
+// Veze među procesima (FS/SS/FF s odmakom) i raspoređivanje metodom kritičnog puta (CPM):
+// rani/kasni datumi, rezerva, kritični put i guranje sljedbenika kad se traka pomakne.
+
+export const DEPENDENCY_TYPES = {
+  FS: 'FS', // završetak → početak
+  SS: 'SS', // početak → početak
+  FF: 'FF'  // završetak → završetak
+};
+
+export const DEPENDENCY_TYPE_LABELS = {
+  [DEPENDENCY_TYPES.FS]: 'Završetak → početak',
+  [DEPENDENCY_TYPES.SS]: 'Početak → početak',
+  [DEPENDENCY_TYPES.FF]: 'Završetak → završetak'
+};
+
+// Redoslijed procesa jedne pozicije za standardni lanac veza
+export const PROCESS_CHAIN = ['prodaja', 'dizajn', 'nabava', 'teh_priprema', 'proizvodnja', 'ugradnja'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toYmd = (value) =>
+  (typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().slice(0, 10));
+const toDay = (value) => Math.round(Date.parse(toYmd(value)) / DAY_MS);
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * "Teh. priprema" → "teh_priprema"; ključ procesa neovisan o pisanju naziva.
+ */
+export const processKey = (name) =>
+  String(name ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Veza u obliku { from, type, lag }. Prihvaća i stari zapis kao goli id prethodnika.
+ */
+export const normalizeDependency = (dep) => {
+  if (dep === null || dep === undefined || dep === '') return null;
+  if (typeof dep !== 'object') return { from: String(dep), type: DEPENDENCY_TYPES.FS, lag: 0 };
+  const from = dep.from ?? dep.predecessor ?? dep.id;
+  if (from === undefined || from === null || from === '') return null;
+  const type = DEPENDENCY_TYPES[String(dep.type || 'FS').toUpperCase()] || DEPENDENCY_TYPES.FS;
+  return { from: String(from), type, lag: Math.round(Number(dep.lag) || 0) };
+};
+
+export const processTaskId = (projectId, positionId, processName) => `${projectId}-${positionId}-${processName}`;
+
+/**
+ * Links between process bars of one canonical project. A process stores its
+ * predecessors in `dependencies`; `from` is a process name in the same
+ * position, or "positionId/processName" for another position.
+ */
+export const resolveProcessLinks = (project) => {
+  const links = [];
+  (project?.positions || []).forEach(position => {
+    (position.processes || []).forEach(process => {
+      (process.dependencies || []).map(normalizeDependency).filter(Boolean).forEach(dep => {
+        const slash = dep.from.lastIndexOf('/');
+        const positionId = slash === -1 ? position.id : dep.from.slice(0, slash);
+        const processName = slash === -1 ? dep.from : dep.from.slice(slash + 1);
+        const target = project.positions.find(p => p.id === positionId)?.processes?.find(p => p.name === processName);
+        if (!target) return;
+        links.push({
+          from: processTaskId(project.id, positionId, processName),
+          to: processTaskId(project.id, position.id, process.name),
+          type: dep.type,
+          lag: dep.lag
+        });
+      });
+    });
+  });
+  return links;
+};
+
+/**
+ * Standardni lanac prodaja → dizajn → nabava → teh_priprema → proizvodnja → ugradnja
+ * (FS, bez odmaka) za procese jedne pozicije. Vraća { [processName]: dependencies }.
+ */
+export const buildChainDependencies = (processes = []) => {
+  const ordered = processes
+    .filter(p => PROCESS_CHAIN.includes(processKey(p.name)))
+    .sort((a, b) => PROCESS_CHAIN.indexOf(processKey(a.name)) - PROCESS_CHAIN.indexOf(processKey(b.name)));
+  return Object.fromEntries(ordered.map((process, index) => [
+    process.name,
+    index === 0 ? [] : [{ from: ordered[index - 1].name, type: DEPENDENCY_TYPES.FS, lag: 0 }]
+  ]));
+};
+
+/**
+ * Bi li nova veza from → to zatvorila krug.
+ */
+export const wouldCreateCycle = (links, from, to) => {
+  if (from === to) return true;
+  const next = new Map();
+  links.forEach(l => next.set(l.from, [...(next.get(l.from) || []), l.to]));
+  const stack = [to];
+  const seen = new Set();
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === from) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(next.get(id) || []));
+  }
+  return false;
+};
+
+// Najraniji početak sljedbenika koji veza dopušta
+const requiredStart = (link, pred, succDuration) => {
+  if (link.type === DEPENDENCY_TYPES.SS) return pred.es + link.lag;
+  if (link.type === DEPENDENCY_TYPES.FF) return pred.ef + link.lag - succDuration;
+  return pred.ef + link.lag;
+};
+
+/**
+ * Critical path schedule for bars `[{ id, start, end }]` and links
+ * `[{ from, to, type, lag }]`. The current start is a start-no-earlier-than
+ * constraint, so predecessors only ever push successors later. Pinned bars
+ * keep their dates; a link they break is reported in `conflicts`.
+ *
+ * `endInclusive` says whether `end` is the last working day (GVAv2) or the
+ * day after the bar (PlannerGanttV2). With a `calendar` (utils/workCalendar)
+ * durations, lags and floats count working days only and bars never start
+ * on a weekend, holiday or shutdown. Returns `byId` with new start/end,
+ * early/late dates, total and free float and the critical flag, plus the
+ * `criticalPath`, the links `violated` at the current dates and `conflicts`.
+ * Throws when the links form a cycle.
+ */
+export const scheduleTasks = (tasks, links = [], { endInclusive = false, pinned = [], calendar = null } = {}) => {
+  // Dani kao cijeli brojevi: kalendarski ili redni broj radnog dana
+  const toIndex = calendar ? (date) => calendar.toWorkIndex(date) : toDay;
+  const fromIndex = calendar ? (index) => calendar.fromWorkIndex(index) : fromDay;
+  const endIndex = (end) => (endInclusive ? toIndex(fromDay(toDay(end) + 1)) : toIndex(end));
+  const endOf = (index, startIndex) => {
+    if (index <= startIndex) return fromIndex(startIndex);
+    const last = fromIndex(index - 1);
+    return endInclusive ? last : fromDay(toDay(last) + 1);
+  };
+
+  const nodes = new Map();
+  tasks.filter(t => t.start && t.end).forEach(t => {
+    const start = toIndex(t.start);
+    const duration = Math.max(0, endIndex(t.end) - start);
+    nodes.set(t.id, { id: t.id, start, duration, incoming: [], outgoing: [] });
+  });
+  const usable = links
+    .map(l => ({ ...l, ...normalizeDependency(l), to: l.to }))
+    .filter(l => nodes.has(l.from) && nodes.has(l.to) && l.from !== l.to);
+  usable.forEach(l => {
+    nodes.get(l.from).outgoing.push(l);
+    nodes.get(l.to).incoming.push(l);
+  });
+
+  // Topološki redoslijed (Kahn)
+  const indegree = new Map([...nodes.keys()].map(id => [id, nodes.get(id).incoming.length]));
+  const queue = [...nodes.values()].filter(n => n.incoming.length === 0).sort((a, b) => a.start - b.start).map(n => n.id);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    nodes.get(id).outgoing.forEach(l => {
+      indegree.set(l.to, indegree.get(l.to) - 1);
+      if (indegree.get(l.to) === 0) queue.push(l.to);
+    });
+  }
+  if (order.length < nodes.size) {
+    const cyclic = [...nodes.keys()].filter(id => !order.includes(id));
+    throw new Error(`Dependency cycle between ${cyclic.join(', ')}`);
+  }
+
+  const pinnedSet = new Set(pinned);
+  const violated = usable.filter(l => {
+    const pred = nodes.get(l.from);
+    const succ = nodes.get(l.to);
+    return succ.start < requiredStart(l, { es: pred.start, ef: pred.start + pred.duration }, succ.duration);
+  });
+
+  // Prolaz unaprijed
+  const conflicts = [];
+  order.forEach(id => {
+    const node = nodes.get(id);
+    const required = Math.max(-Infinity, ...node.incoming.map(l => requiredStart(l, nodes.get(l.from), node.duration)));
+    if (pinnedSet.has(id)) {
+      node.es = node.start;
+      node.incoming.filter(l => requiredStart(l, nodes.get(l.from), node.duration) > node.start).forEach(l => conflicts.push(l));
+    } else {
+      node.es = Math.max(node.start, required);
+    }
+    node.ef = node.es + node.duration;
+  });
+
+  // Prolaz unatrag
+  const projectFinish = Math.max(...[...nodes.values()].map(n => n.ef));
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    node.lf = Math.min(projectFinish, ...node.outgoing.map(l => {
+      const succ = nodes.get(l.to);
+      if (l.type === DEPENDENCY_TYPES.SS) return succ.ls - l.lag + node.duration;
+      if (l.type === DEPENDENCY_TYPES.FF) return succ.lf - l.lag;
+      return succ.ls - l.lag;
+    }));
+    node.ls = node.lf - node.duration;
+  });
+
+  const byId = {};
+  nodes.forEach(node => {
+    const slack = node.outgoing.map(l => {
+      const succ = nodes.get(l.to);
+      return succ.es - requiredStart(l, node, succ.duration);
+    });
+    byId[node.id] = {
+      id: node.id,
+      start: fromIndex(node.es),
+      end: endOf(node.ef, node.es),
+      earlyStart: fromIndex(node.es),
+      earlyFinish: endOf(node.ef, node.es),
+      lateStart: fromIndex(node.ls),
+      lateFinish: endOf(node.lf, node.ls),
+      duration: node.duration,
+      totalFloat: node.ls - node.es,
+      freeFloat: slack.length ? Math.min(...slack) : projectFinish - node.ef,
+      critical: node.ls - node.es <= 0,
+      moved: node.es !== node.start
+    };
+  });
+
+  const criticalPath = order.filter(id => byId[id].critical)
+    .sort((a, b) => nodes.get(a).es - nodes.get(b).es || order.indexOf(a) - order.indexOf(b));
+  return {
+    byId,
+    order,
+    links: usable,
+    criticalPath,
+    violated,
+    conflicts,
+    projectFinish: nodes.size ? endOf(projectFinish, -Infinity) : null
+  };
+};
+
+/**
+ * Bars the schedule moved, as [{ id, start, end }] ready to save.
+ */
+export const getScheduleChanges = (schedule) =>
+  Object.values(schedule.byId).filter(t => t.moved).map(({ id, start, end }) => ({ id, start, end }));
+
+/**
+ * Move one bar and push its successors: the moved bar keeps the new dates,
+ * every bar downstream of it that would now break a link shifts later.
+ * Bars outside its chain are left alone. Returns the changes including the
+ * moved bar.
+ */
+export const pushSuccessors = (tasks, links, movedId, { start, end }, { endInclusive = false, calendar = null } = {}) => {
+  const downstream = new Set();
+  const stack = [movedId];
+  while (stack.length) {
+    const id = stack.pop();
+    links.filter(l => l.from === id && !downstream.has(l.to)).forEach(l => {
+      downstream.add(l.to);
+      stack.push(l.to);
+    });
+  }
+  const updated = tasks.map(t => (t.id === movedId ? { ...t, start, end } : t));
+  const schedule = scheduleTasks(updated, links, { endInclusive, pinned: [movedId], calendar });
+  return [{ id: movedId, start, end }, ...getScheduleChanges(schedule).filter(c => downstream.has(c.id))];
+};
+
+/**
+ * SVG put strelice veze između dvije trake ({ x1, x2, y } u pikselima):
+ * FS/FF izlaze s kraja prethodnika, SS s početka; FF ulazi u kraj sljedbenika.
+ */
+export const dependencyArrowPath = (type, from, to) => {
+  const sx = type === DEPENDENCY_TYPES.SS ? from.x1 : from.x2;
+  const tx = type === DEPENDENCY_TYPES.FF ? to.x2 : to.x1;
+  const out = type === DEPENDENCY_TYPES.SS ? -8 : 8;
+  const into = type === DEPENDENCY_TYPES.FF ? 8 : -8;
+  return `M${sx},${from.y} H${sx + out} V${to.y} H${tx + into} H${tx}`;
+};
@@ -0,0 +1,263 @@
+// utils/invoiceMatching.js
+// Trostruko uparivanje: račun dobavljača ↔ narudžbenica ↔ primka (po OIB-u, šifri artikla i količini).
+import { PO_STATUS, ensureProcurement } from './purchaseOrders.js';
+
+export const MATCH_STATUS = {
+  MATCHED: 'matched',
+  PARTIALLY_MATCHED: 'partially_matched',
+  DISPUTED: 'disputed'
+};
+
+export const MATCH_STATUS_LABELS = {
+  [MATCH_STATUS.MATCHED]: 'Upareno',
+  [MATCH_STATUS.PARTIALLY_MATCHED]: 'Djelomično upareno',
+  [MATCH_STATUS.DISPUTED]: 'Sporno'
+};
+
+export const LINE_MATCH_STATUS = {
+  OK: 'ok',
+  PRICE_VARIANCE: 'price_variance',
+  QUANTITY_VARIANCE: 'quantity_variance',
+  NOT_RECEIVED: 'not_received',
+  NOT_ORDERED: 'not_ordered'
+};
+
+// Postoci; iznos je apsolutna tolerancija po stavci u valuti računa
+export const DEFAULT_MATCH_TOLERANCE = {
+  pricePct: 1,
+  quantityPct: 0,
+  amount: 0.05
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const money = (n) => Math.round(n * 100) / 100;
+const num = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+
+export const normalizeOib = (oib) => String(oib || '').replace(/\D/g, '') || null;
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9čćžšđ]/g, '');
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Izlazni račun (izdaje ga naša tvrtka) ne uparuje se s narudžbenicama dobavljača.
+ * Izričit `direction` ima prednost; inače se uspoređuje OIB izdavatelja, a bez OIB-a naziv.
+ */
+export const isOutgoingInvoice = (invoice = {}, company = {}) => {
+  if (invoice.direction) return invoice.direction === 'outgoing';
+  const issuer = invoice.supplier || invoice.seller || {};
+  const ownOib = normalizeOib(company?.oib);
+  const issuerOib = normalizeOib(issuer.oib);
+  if (ownOib && issuerOib) return ownOib === issuerOib;
+  const ownName = normalizeName(company?.name);
+  return Boolean(ownName) && ownName === normalizeName(issuer.name);
+};
+
+/**
+ * One shape for both invoice sources: InvoiceDataService analysis
+ * ({ documentNumber, supplier, items }) and hr-invoice-core parseAnyFile
+ * ({ doc, seller, lines }). Unit prices are net of line discount.
+ */
+export const normalizeInvoice = (invoice = {}) => {
+  const supplier = invoice.supplier || invoice.seller || {};
+  const items = invoice.items || invoice.lines || [];
+  return {
+    number: invoice.documentNumber || invoice.doc?.number || null,
+    date: invoice.date || invoice.doc?.issueDate || null,
+    supplierName: supplier.name || '',
+    supplierOib: normalizeOib(supplier.oib),
+    currency: invoice.currency || invoice.doc?.currency || 'EUR',
+    total: num(invoice.totals?.totalAmount ?? invoice.summary?.total),
+    lines: items.map((item, i) => {
+      const quantity = num(item.quantity ?? item.qty) ?? 0;
+      const discount = num(item.discountPercent ?? item.discountPct) ?? 0;
+      const unitPrice = num(item.unitPrice);
+      return {
+        index: i + 1,
+        code: normalizeCode(item.code),
+        description: item.description || item.name || '',
+        quantity,
+        unitPrice: unitPrice === null ? null : money(unitPrice * (1 - discount / 100))
+      };
+    })
+  };
+};
+
+const supplierMatches = (order, invoice) => {
+  const orderOib = normalizeOib(order.supplierOib);
+  if (orderOib && invoice.supplierOib) return orderOib === invoice.supplierOib;
+  // Narudžba bez OIB-a: dopušteno uparivanje po nazivu, uz upozorenje
+  return !orderOib && normalizeName(order.supplier) === normalizeName(invoice.supplierName);
+};
+
+/**
+ * Purchase orders that can carry this invoice: same supplier, already sent.
+ */
+export const findCandidateOrders = (invoice, procurement) =>
+  ensureProcurement(procurement).purchaseOrders.filter(po =>
+    [PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED, PO_STATUS.CLOSED].includes(po.status) &&
+    supplierMatches(po, invoice)
+  );
+
+const outsideTolerance = (expected, actual, pct, amount = 0) => {
+  const diff = Math.abs(actual - expected);
+  return diff > amount + 1e-9 && diff > Math.abs(expected) * pct / 100 + 1e-9;
+};
+
+/**
+ * Match one parsed invoice against the sent purchase orders of its supplier and
+ * what was actually received on them (goods receipts). Quantities already
+ * invoiced on a PO line (line.invoicedQty) are not available again.
+ */
+export const matchInvoice = (rawInvoice, procurement, tolerance = {}) => {
+  const tol = { ...DEFAULT_MATCH_TOLERANCE, ...tolerance };
+  const invoice = normalizeInvoice(rawInvoice);
+  const proc = ensureProcurement(procurement);
+  const orders = findCandidateOrders(invoice, proc);
+  const reasons = [];
+
+  if (!invoice.supplierOib) {
+    reasons.push('Račun nema OIB dobavljača');
+  }
+  if (orders.length === 0) {
+    reasons.push(`Nema poslane narudžbe za dobavljača ${invoice.supplierName || invoice.supplierOib || '?'}`);
+  } else if (orders.some(o => !normalizeOib(o.supplierOib))) {
+    reasons.push('Narudžba uparena po nazivu dobavljača - upišite OIB na narudžbu');
+  }
+
+  // Količina po stavci narudžbe koju ovaj račun još smije pokriti
+  const remaining = {};
+  orders.forEach(po => po.lines.forEach(line => {
+    remaining[line.id] = round((line.receivedQty || 0) - (line.invoicedQty || 0));
+  }));
+
+  const lines = invoice.lines.map(line => {
+    const poLines = orders.flatMap(po =>
+      po.lines.filter(l => normalizeCode(l.articleCode) === line.code).map(l => ({ po, line: l }))
+    );
+    const base = {
+      index: line.index,
+      code: line.code,
+      description: line.description,
+      invoicedQty: line.quantity,
+      invoicedPrice: line.unitPrice,
+      allocations: []
+    };
+    if (!line.code || poLines.length === 0) {
+      return { ...base, status: LINE_MATCH_STATUS.NOT_ORDERED, orderedQty: 0, receivedQty: 0, orderedPrice: null };
+    }
+
+    // Raspodjela na primljene, a još nefakturirane količine (najstarija narudžba prva)
+    let open = line.quantity;
+    poLines.forEach(({ po, line: poLine }) => {
+      const take = round(Math.min(open, Math.max(0, remaining[poLine.id])));
+      if (take <= 0) return;
+      base.allocations.push({ purchaseOrderId: po.id, purchaseOrderNumber: po.number, lineId: poLine.id, quantity: take });
+      remaining[poLine.id] = round(remaining[poLine.id] - take);
+      open = round(open - take);
+    });
+
+    const orderedQty = round(poLines.reduce((s, p) => s + p.line.quantity, 0));
+    const receivedQty = round(poLines.reduce((s, p) => s + (p.line.receivedQty || 0), 0));
+    const allocated = round(line.quantity - open);
+    const orderedPrice = poLines[0].line.unitPrice || null;
+    const priceVariance = orderedPrice !== null && line.unitPrice !== null ? money(line.unitPrice - orderedPrice) : 0;
+    const quantityVariance = round(line.quantity - allocated);
+
+    let status = LINE_MATCH_STATUS.OK;
+    if (receivedQty === 0) {
+      status = LINE_MATCH_STATUS.NOT_RECEIVED;
+    } else if (outsideTolerance(allocated, line.quantity, tol.quantityPct)) {
+      status = LINE_MATCH_STATUS.QUANTITY_VARIANCE;
+    } else if (orderedPrice !== null && line.unitPrice !== null &&
+      outsideTolerance(orderedPrice, line.unitPrice, tol.pricePct, tol.amount)) {
+      status = LINE_MATCH_STATUS.PRICE_VARIANCE;
+    }
+
+    return {
+      ...base,
+      status,
+      orderedQty,
+      receivedQty,
+      orderedPrice,
+      quantityVariance,
+      priceVariance,
+      priceVariancePct: orderedPrice ? Math.round((priceVariance / orderedPrice) * 10000) / 100 : 0,
+      amountVariance: money(quantityVariance * (line.unitPrice || 0) + allocated * priceVariance)
+    };
+  });
+
+  const disputed = orders.length === 0 || lines.length === 0 || lines.some(l => l.status !== LINE_MATCH_STATUS.OK);
+  // Potpuno upareno samo kad je sve naručeno i zaprimljeno ovim računom i pokriveno
+  const touchedOrders = orders.filter(po => lines.some(l => l.allocations.some(a => a.purchaseOrderId === po.id)));
+  const fullyInvoiced = touchedOrders.length > 0 && touchedOrders.every(po =>
+    po.lines.every(l => round(remaining[l.id]) === 0 && (l.receivedQty || 0) >= l.quantity)
+  );
+
+  lines.filter(l => l.status !== LINE_MATCH_STATUS.OK).forEach(l => {
+    reasons.push(`Stavka ${l.index} (${l.code || l.description}): ${l.status}`);
+  });
+
+  return {
+    invoiceNumber: invoice.number,
+    invoiceDate: invoice.date,
+    supplierName: invoice.supplierName,
+    supplierOib: invoice.supplierOib,
+    currency: invoice.currency,
+    total: invoice.total,
+    status: disputed ? MATCH_STATUS.DISPUTED : fullyInvoiced ? MATCH_STATUS.MATCHED : MATCH_STATUS.PARTIALLY_MATCHED,
+    hold: disputed,
+    purchaseOrderIds: touchedOrders.map(po => po.id),
+    receiptIds: proc.goodsReceipts
+      .filter(r => touchedOrders.some(po => po.id === r.purchaseOrderId))
+      .map(r => r.id),
+    lines,
+    reasons,
+    tolerance: tol,
+    varianceTotal: money(lines.reduce((s, l) => s + (l.amountVariance || 0), 0))
+  };
+};
+
+/**
+ * Book the matched quantities on the PO lines (line.invoicedQty). Called when a
+ * match is accepted - automatically for matched/partial, after review for disputes.
+ */
+export const applyMatchToOrders = (match, procurement) => {
+  match.lines.forEach(line => line.allocations.forEach(a => {
+    const po = procurement.purchaseOrders.find(o => o.id === a.purchaseOrderId);
+    const poLine = po?.lines.find(l => l.id === a.lineId);
+    if (poLine) poLine.invoicedQty = round((poLine.invoicedQty || 0) + a.quantity);
+  }));
+};
+
+/**
+ * Earlier match of the same invoice (number + supplier OIB) that a new matching
+ * replaces. A match on hold or a rejected one may be matched again; a booked one throws.
+ */
+export const findReplaceableMatch = (procurement, { invoiceNumber, supplierOib }) => {
+  const previous = procurement.invoiceMatches.find(m =>
+    m.invoiceNumber === invoiceNumber && m.supplierOib === supplierOib
+  );
+  if (previous && !previous.hold && !previous.rejected) {
+    throw new Error(`Invoice ${invoiceNumber} is already matched`);
+  }
+  return previous || null;
+};
+
+/**
+ * Review a disputed match: accepting books it on the PO lines, rejecting leaves
+ * the orders untouched and lets the corrected invoice be matched again.
+ */
+export const resolveMatch = (match, procurement, { accept, note = '', userId = 'user_demo' }) => {
+  if (!match.hold) {
+    throw new Error(`Invoice ${match.invoiceNumber} is not on hold`);
+  }
+  match.hold = false;
+  match.resolution = { accepted: Boolean(accept), note, userId, at: new Date().toISOString() };
+  if (accept) {
+    applyMatchToOrders(match, procurement);
+    match.status = MATCH_STATUS.MATCHED;
+  } else {
+    match.rejected = true;
+  }
+  return match;
+};
@@ -0,0 +1,181 @@
+// utils/invoiceValidation.js
+// Aritmetička kontrola izvučenih podataka računa: OIB (ISO 7064 MOD 11,10), IBAN (MOD-97), PDV i zbroj stavki.
+
+// Tolerancija zaokruživanja u valuti računa
+export const AMOUNT_TOLERANCE = 0.02;
+
+// Duljine IBAN-a za zemlje iz kojih najčešće dolaze računi
+const IBAN_LENGTHS = {
+  HR: 21, SI: 19, AT: 20, DE: 22, IT: 27, HU: 28, BA: 20, RS: 22, CH: 21, NL: 18, PL: 28, CZ: 24, SK: 24, FR: 27, GB: 22
+};
+
+const num = (v) => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const money = (n) => Math.round(n * 100) / 100;
+
+/**
+ * OIB kontrolna znamenka po ISO 7064, MOD 11,10.
+ */
+export const isValidOib = (oib) => {
+  const digits = String(oib ?? '').replace(/\s/g, '');
+  if (!/^\d{11}$/.test(digits)) return false;
+
+  let a = 10;
+  for (let i = 0; i < 10; i++) {
+    a = (a + Number(digits[i])) % 10;
+    if (a === 0) a = 10;
+    a = (a * 2) % 11;
+  }
+  const check = (11 - a) % 10;
+  return check === Number(digits[10]);
+};
+
+/**
+ * IBAN provjera po ISO 13616: duljina za zemlju i MOD-97 = 1.
+ */
+export const isValidIban = (iban) => {
+  const value = String(iban ?? '').replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(value)) return false;
+  const expectedLength = IBAN_LENGTHS[value.slice(0, 2)];
+  if (expectedLength && value.length !== expectedLength) return false;
+
+  const rearranged = value.slice(4) + value.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const d of digits) {
+      remainder = (remainder * 10 + Number(d)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Neto iznos stavke: količina × cijena umanjena za rabat.
+ */
+export const getLineNet = (item) => {
+  const quantity = num(item.quantity);
+  const unitPrice = num(item.unitPrice);
+  if (quantity === null || unitPrice === null) return null;
+  return money(quantity * unitPrice * (1 - (num(item.discountPercent) || 0) / 100));
+};
+
+const differs = (a, b, tolerance) => Math.abs(a - b) > tolerance + 1e-9;
+
+/**
+ * PDV po stopama: rekapitulacija računa (totals.vatBreakdown) ako postoji, inače stavke grupirane
+ * po svojoj stopi. Null kad stope nisu poznate za sve stavke (tada vrijedi jedna stopa iz totals).
+ */
+export const getVatGroups = (analysis = {}) => {
+  const breakdown = analysis.totals?.vatBreakdown || [];
+  if (breakdown.length > 0) {
+    return breakdown.map((group, index) => ({
+      rate: num(group.rate),
+      taxable: num(group.taxableAmount),
+      tax: num(group.taxAmount),
+      field: `totals.vatBreakdown.${index}.taxAmount`
+    }));
+  }
+
+  const items = analysis.items || [];
+  if (items.length === 0 || items.some(item => num(item.vatRate) === null)) return null;
+  const groups = new Map();
+  items.forEach(item => {
+    const rate = num(item.vatRate);
+    const amount = num(item.totalPrice) ?? getLineNet(item);
+    const group = groups.get(rate) || { rate, taxable: 0, tax: null, field: null };
+    group.taxable = group.taxable === null || amount === null ? null : money(group.taxable + amount);
+    groups.set(rate, group);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Check the extracted identifiers and amounts of an invoice analysis.
+ * Returns every failed check with the field path it belongs to, so the views
+ * can highlight the field and the confidence score can be lowered per failure.
+ */
+export const validateInvoiceIntegrity = (analysis = {}, { tolerance = AMOUNT_TOLERANCE } = {}) => {
+  const issues = [];
+  const add = (field, code, message) => issues.push({ field, code, message });
+
+  [['supplier', 'dobavljača'], ['buyer', 'kupca']].forEach(([party, label]) => {
+    const oib = analysis[party]?.oib;
+    if (oib && !isValidOib(oib)) {
+      add(`${party}.oib`, 'oib_checksum', `OIB ${label} nije ispravan (kontrolna znamenka)`);
+    }
+  });
+
+  const iban = analysis.supplier?.iban;
+  if (iban && !isValidIban(iban)) {
+    add('supplier.iban', 'iban_checksum', 'IBAN dobavljača nije ispravan (MOD-97)');
+  }
+
+  const totals = analysis.totals || {};
+  const subtotal = num(totals.subtotal);
+  const vatAmount = num(totals.vatAmount);
+  const total = num(totals.totalAmount);
+  const vatRate = num(totals.vatRate);
+
+  if (subtotal !== null && vatAmount !== null && total !== null && differs(subtotal + vatAmount, total, tolerance)) {
+    add('totals.totalAmount', 'total_mismatch',
+      `Osnovica + PDV = ${money(subtotal + vatAmount).toFixed(2)}, a ukupno je ${total.toFixed(2)}`);
+  }
+  // Račun s više stopa PDV-a provjerava se po stopama; jedna stopa iz totals samo kad je jedina
+  const vatGroups = getVatGroups(analysis);
+  if (vatGroups && (vatGroups.length > 1 || vatGroups[0].tax !== null)) {
+    vatGroups.forEach(group => {
+      if (group.rate === null || group.taxable === null || group.tax === null) return;
+      if (differs(group.taxable * group.rate / 100, group.tax, tolerance)) {
+        add(group.field, 'vat_mismatch',
+          `PDV ${group.rate}% od ${group.taxable.toFixed(2)} je ${money(group.taxable * group.rate / 100).toFixed(2)}, a izvučeno je ${group.tax.toFixed(2)}`);
+      }
+    });
+    const known = vatGroups.every(group => group.rate !== null && group.taxable !== null);
+    if (vatAmount !== null && known) {
+      const expected = money(vatGroups.reduce((sum, group) => sum + (group.tax ?? money(group.taxable * group.rate / 100)), 0));
+      if (differs(expected, vatAmount, Math.max(tolerance, vatGroups.length * 0.01))) {
+        add('totals.vatAmount', 'vat_mismatch',
+          `PDV po stopama (${vatGroups.map(group => `${group.rate}%`).join(', ')}) iznosi ${expected.toFixed(2)}, a izvučeno je ${vatAmount.toFixed(2)}`);
+      }
+    }
+  } else {
+    const rate = vatRate ?? vatGroups?.[0]?.rate ?? null;
+    if (subtotal !== null && vatAmount !== null && rate !== null && differs(subtotal * rate / 100, vatAmount, tolerance)) {
+      add('totals.vatAmount', 'vat_mismatch',
+        `PDV ${rate}% od osnovice je ${money(subtotal * rate / 100).toFixed(2)}, a izvučeno je ${vatAmount.toFixed(2)}`);
+    }
+  }
+
+  const items = analysis.items || [];
+  items.forEach((item, index) => {
+    const net = getLineNet(item);
+    const lineTotal = num(item.totalPrice);
+    if (net !== null && lineTotal !== null && differs(net, lineTotal, tolerance)) {
+      add(`items.${index}.totalPrice`, 'line_mismatch',
+        `Stavka ${index + 1}: ${item.quantity} × ${item.unitPrice} = ${net.toFixed(2)}, a iznos je ${lineTotal.toFixed(2)}`);
+    }
+  });
+
+  // Zbroj stavki se uspoređuje s osnovicom; tolerancija raste s brojem stavki (zaokruživanje po stavci)
+  const lineAmounts = items.map(item => num(item.totalPrice) ?? getLineNet(item));
+  if (subtotal !== null && lineAmounts.length > 0 && lineAmounts.every(a => a !== null)) {
+    const sum = money(lineAmounts.reduce((s, a) => s + a, 0));
+    const discount = num(totals.discountTotal) || 0;
+    const lineTolerance = Math.max(tolerance, items.length * 0.01);
+    if (differs(sum, subtotal, lineTolerance) && differs(sum - discount, subtotal, lineTolerance)) {
+      add('totals.subtotal', 'lines_mismatch',
+        `Zbroj stavki je ${sum.toFixed(2)}, a osnovica ${subtotal.toFixed(2)}`);
+    }
+  }
+
+  return {
+    isValid: issues.length === 0,
+    issues,
+    fieldErrors: issues.reduce((acc, issue) => ({ ...acc, [issue.field]: issue.message }), {})
+  };
+};
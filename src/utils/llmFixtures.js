@@ -0,0 +1,175 @@
+// utils/llmFixtures.js
+// Snimanje i reprodukcija LLM poziva za regresijske testove ruta (server.js, file-writer.cjs,
+// voice-server.cjs) bez živog ključa. Klijent za snimanje omata pravog OpenAI klijenta i svaki par
+// zahtjev/odgovor sprema kao JSON datoteku; klijent za reprodukciju vraća snimljeni odgovor po
+// sha256 ključu zahtjeva. Ključ ne ovisi o modelu (promjena rute ne ruši snimke), a slike i audio
+// ulaze u ključ kao sažetak sadržaja, ne kao putanja privremene datoteke.
+//
+// Snimka nosi model i recordedAt. Ručno napisan odgovor (stub za ponašanje rute, ne izlaz modela)
+// označen je sa synthetic: true i nema ta polja; snimanje istog zahtjeva ga zamjenjuje pravom snimkom.
+//
+// Uključuje se varijablama okruženja (vidi loadLLMRegistry):
+//   LLM_FIXTURES=record LLM_FIXTURES_DIR=tests/fixtures/llm   snima uz pravi ključ
+//   LLM_FIXTURES=replay LLM_FIXTURES_DIR=tests/fixtures/llm   reproducira, bez mreže i ključa
+
+export const FIXTURE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+export const FIXTURE_KINDS = {
+  CHAT: 'chat',
+  TRANSCRIPTION: 'transcription',
+  REALTIME: 'realtime'
+};
+
+// Polja koja ne mijenjaju odgovor snimke
+const IGNORED_FIELDS = ['model', 'stream'];
+
+const sha256 = async (data) => {
+  const { createHash } = await import('node:crypto');
+  return createHash('sha256').update(data).digest('hex');
+};
+
+// JSON sa sortiranim ključevima, da redoslijed polja ne mijenja ključ
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Sadržaj datoteke za transkripciju: ReadStream (putanja), Buffer ili Blob/File
+const fileBytes = async (file) => {
+  if (ArrayBuffer.isView(file)) return file;
+  if (typeof file?.arrayBuffer === 'function') return new Uint8Array(await file.arrayBuffer());
+  if (typeof file?.path === 'string') {
+    const { readFile } = await import('node:fs/promises');
+    return readFile(file.path);
+  }
+  throw new Error('Cannot fingerprint transcription file: expected a ReadStream, Buffer or Blob');
+};
+
+const normalizeContentPart = async (part) => {
+  const url = part?.type === 'image_url' ? part.image_url?.url : null;
+  if (!url?.startsWith('data:')) return part;
+  return { ...part, image_url: { ...part.image_url, url: `sha256:${await sha256(url)}` } };
+};
+
+/**
+ * Zahtjev bez polja koja ne utječu na odgovor; binarni sadržaj zamijenjen sažetkom "sha256:…".
+ */
+export const normalizeFixtureRequest = async (kind, request = {}) => {
+  const body = Object.fromEntries(Object.entries(request).filter(([key]) => !IGNORED_FIELDS.includes(key)));
+  if (kind === FIXTURE_KINDS.CHAT && Array.isArray(body.messages)) {
+    body.messages = await Promise.all(body.messages.map(async message => (
+      Array.isArray(message.content)
+        ? { ...message, content: await Promise.all(message.content.map(normalizeContentPart)) }
+        : message
+    )));
+  }
+  if (kind === FIXTURE_KINDS.TRANSCRIPTION && body.file) {
+    body.file = `sha256:${await sha256(await fileBytes(body.file))}`;
+  }
+  return JSON.parse(stableStringify(body));
+};
+
+export const fixtureKey = async (kind, normalizedRequest) => sha256(`${kind}\n${stableStringify(normalizedRequest)}`);
+
+export const fixtureFileName = (kind, key) => `${kind}-${key.slice(0, 16)}.json`;
+
+/**
+ * Sintetička snimka: ručno napisan odgovor pod ključem zahtjeva, bez modela i vremena snimanja.
+ */
+export const createSyntheticFixture = async (kind, request, response) => {
+  const normalized = await normalizeFixtureRequest(kind, request);
+  return { key: await fixtureKey(kind, normalized), kind, synthetic: true, request: normalized, response };
+};
+
+/**
+ * Snimke u direktoriju: jedna JSON datoteka { key, kind, request, response } po zahtjevu.
+ */
+export const createFixtureStore = (dir) => {
+  let index = null;
+
+  const load = async () => {
+    if (index) return index;
+    const { readdir, readFile } = await import('node:fs/promises');
+    const { join } = await import('node:path');
+    index = new Map();
+    let files = [];
+    try {
+      files = (await readdir(dir)).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const name of files) {
+      const fixture = JSON.parse(await readFile(join(dir, name), 'utf8'));
+      if (fixture.key) index.set(fixture.key, fixture);
+    }
+    return index;
+  };
+
+  const get = async (key) => (await load()).get(key) || null;
+
+  const save = async (fixture) => {
+    const { mkdir, writeFile } = await import('node:fs/promises');
+    const { join } = await import('node:path');
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, fixtureFileName(fixture.kind, fixture.key)), `${JSON.stringify(fixture, null, 2)}\n`);
+    (await load()).set(fixture.key, fixture);
+    return fixture;
+  };
+
+  return { dir, get, save };
+};
+
+// Isti oblik kao OpenAI klijent, za metode koje registar koristi
+const clientShape = (call) => ({
+  chat: { completions: { create: request => call(FIXTURE_KINDS.CHAT, request) } },
+  audio: { transcriptions: { create: request => call(FIXTURE_KINDS.TRANSCRIPTION, request) } },
+  realtime: { sessions: { create: request => call(FIXTURE_KINDS.REALTIME, request) } }
+});
+
+const target = (client, kind) => ({
+  [FIXTURE_KINDS.CHAT]: () => client.chat.completions,
+  [FIXTURE_KINDS.TRANSCRIPTION]: () => client.audio.transcriptions,
+  [FIXTURE_KINDS.REALTIME]: () => client.realtime.sessions
+})[kind]();
+
+/**
+ * Omata pravog klijenta i sprema svaki uspješan odgovor u `store`.
+ */
+export const createRecordingClient = (client, store, { now = () => new Date().toISOString() } = {}) => clientShape(async (kind, request) => {
+  const normalized = await normalizeFixtureRequest(kind, request);
+  const response = await target(client, kind).create(request);
+  await store.save({
+    key: await fixtureKey(kind, normalized),
+    kind,
+    model: request.model || null,
+    recordedAt: now(),
+    request: normalized,
+    // Odgovor SDK-a kao čisti JSON (bez metoda i nenumerabilnih polja)
+    response: JSON.parse(JSON.stringify(response))
+  });
+  return response;
+});
+
+/**
+ * Vraća snimljene odgovore; zahtjev bez snimke baca grešku s ključem, bez poziva na mrežu.
+ */
+export const createReplayClient = (store) => clientShape(async (kind, request) => {
+  const normalized = await normalizeFixtureRequest(kind, request);
+  // Tok se ne čita, pa ga zatvaramo da ne drži datoteku otvorenom
+  if (typeof request.file?.destroy === 'function') request.file.destroy();
+  const key = await fixtureKey(kind, normalized);
+  const fixture = await store.get(key);
+  if (!fixture) {
+    throw new Error(`No recorded LLM response for ${kind} request ${fixtureFileName(kind, key)} in ${store.dir} (record it with LLM_FIXTURES=record)`);
+  }
+  return structuredClone(fixture.response);
+});
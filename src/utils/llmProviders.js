@@ -0,0 +1,319 @@
+// utils/llmProviders.js
+// Registar LLM pružatelja za backend (server.js, voice-server.cjs, file-writer.cjs): chat, JSON način,
+// pozivi alata, vid, transkripcija i realtime sesije idu kroz jedan registar umjesto modela upisanih
+// u kod. Ruta je "pružatelj:model" i bira se po sposobnosti, redom: zakupac + endpoint, zakupac,
+// endpoint (točno ili prefiks "voice.*"), zadano, pa ugrađene rute s dosadašnjim modelima. Lokalni poslužitelji (LM Studio, llama.cpp, vLLM,
+// Ollama) govore OpenAI-kompatibilni API, pa svi idu kroz isti SDK s drugim baseURL-om.
+//
+// Konfiguracija: llm-providers.json (ili LLM_PROVIDERS_FILE) i/ili varijable okruženja, npr.
+//   LLM_BASE_URL=http://localhost:1234/v1 LLM_CHAT_MODEL=qwen2.5-7b-instruct
+// preusmjerava chat, JSON, alate i vid na lokalni poslužitelj bez promjene koda.
+//
+//   {
+//     "providers": { "lmstudio": { "kind": "openai-compatible", "baseUrl": "http://localhost:1234/v1" } },
+//     "defaults": { "chat": "lmstudio:qwen2.5-7b-instruct", "transcription": "openai:whisper-1" },
+//     "endpoints": { "gantt.*": { "tools": "openai:gpt-4o" } },
+//     "tenants": { "firma-b": { "defaults": { "chat": "openai:gpt-4o-mini" } } }
+//   }
+//
+// LLM_FIXTURES=record|replay (uz LLM_FIXTURES_DIR) snima ili reproducira pozive, vidi llmFixtures.js.
+
+import { FIXTURE_MODES, createFixtureStore, createRecordingClient, createReplayClient } from './llmFixtures.js';
+
+export const LLM_CAPABILITIES = {
+  CHAT: 'chat',
+  JSON: 'json',
+  TOOLS: 'tools',
+  VISION: 'vision',
+  TRANSCRIPTION: 'transcription',
+  REALTIME: 'realtime'
+};
+
+export const PROVIDER_KINDS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  OLLAMA: 'ollama'
+};
+
+const ALL_CAPABILITIES = Object.values(LLM_CAPABILITIES);
+const CHAT_FAMILY = [LLM_CAPABILITIES.JSON, LLM_CAPABILITIES.TOOLS, LLM_CAPABILITIES.VISION];
+
+// jsonMode: poslužitelj prihvaća response_format json_object; inače se traži JSON uputom
+const KIND_DEFAULTS = {
+  [PROVIDER_KINDS.OPENAI]: { baseUrl: null, capabilities: ALL_CAPABILITIES, jsonMode: true, apiKeyEnv: 'OPENAI_API_KEY' },
+  [PROVIDER_KINDS.OPENAI_COMPATIBLE]: { baseUrl: 'http://localhost:1234/v1', capabilities: ['chat', 'json', 'tools', 'vision'], jsonMode: false },
+  [PROVIDER_KINDS.OLLAMA]: { baseUrl: 'http://localhost:11434/v1', capabilities: ['chat', 'json', 'tools', 'vision'], jsonMode: true }
+};
+
+// Dosadašnji modeli iz koda
+export const DEFAULT_LLM_ROUTES = {
+  chat: 'openai:gpt-4o-mini',
+  json: 'openai:gpt-4o-mini',
+  tools: 'openai:gpt-4o',
+  vision: 'openai:gpt-4o-mini',
+  transcription: 'openai:whisper-1',
+  realtime: 'openai:gpt-realtime-preview'
+};
+
+// voice-server je alate zvao s gpt-4o-mini; ispod konfiguracije i okruženja
+export const DEFAULT_ENDPOINT_ROUTES = {
+  'voice.*': { tools: 'openai:gpt-4o-mini' }
+};
+
+const JSON_HINT = 'Odgovori isključivo jednim valjanim JSON objektom, bez dodatnog teksta i bez ```.';
+
+/**
+ * "pružatelj:model" u { provider, model }; model smije sadržavati dvotočku (Ollama "llama3.1:8b"),
+ * a bez poznatog pružatelja na početku vrijedi `fallbackProvider`.
+ */
+export const parseRoute = (value, providers = {}, fallbackProvider = 'openai') => {
+  if (!value) return null;
+  if (typeof value === 'object') return { provider: value.provider || fallbackProvider, model: value.model };
+  const text = String(value);
+  const colon = text.indexOf(':');
+  if (colon > 0 && providers[text.slice(0, colon)]) return { provider: text.slice(0, colon), model: text.slice(colon + 1) };
+  return { provider: fallbackProvider, model: text };
+};
+
+const normalizeProvider = (name, provider = {}, env = {}) => {
+  const kind = provider.kind || (name === 'openai' ? PROVIDER_KINDS.OPENAI : PROVIDER_KINDS.OPENAI_COMPATIBLE);
+  const defaults = KIND_DEFAULTS[kind];
+  if (!defaults) throw new Error(`Unknown LLM provider kind "${kind}" for provider "${name}"`);
+  const apiKeyEnv = provider.apiKeyEnv || defaults.apiKeyEnv;
+  return {
+    name,
+    kind,
+    baseUrl: provider.baseUrl ?? defaults.baseUrl,
+    apiKey: provider.apiKey || (apiKeyEnv ? env[apiKeyEnv] : null) || null,
+    capabilities: provider.capabilities || defaults.capabilities,
+    jsonMode: provider.jsonMode ?? defaults.jsonMode,
+    timeoutMs: provider.timeoutMs || null
+  };
+};
+
+const normalizeRoutes = (routes = {}, providers, fallbackProvider) => Object.fromEntries(
+  Object.entries(routes)
+    .filter(([capability, value]) => ALL_CAPABILITIES.includes(capability) && value)
+    .map(([capability, value]) => [capability, parseRoute(value, providers, fallbackProvider)])
+);
+
+/**
+ * Konfiguracija iz datoteke nadopunjena varijablama okruženja:
+ * LLM_BASE_URL (+ LLM_API_KEY, LLM_PROVIDER_KIND) dodaje pružatelja "local";
+ * LLM_CHAT_MODEL, LLM_JSON_MODEL, LLM_TOOLS_MODEL, LLM_VISION_MODEL, LLM_TRANSCRIPTION_MODEL
+ * postavljaju zadane rute (bez prefiksa idu na "local" ako postoji, inače na "openai");
+ * VITE_RESPONSES_MODEL i VITE_REALTIME_MODEL vrijede kao i prije za voice-server, ali samo za
+ * pružatelja "openai"; uz LLM_BASE_URL se VITE_RESPONSES_MODEL zanemaruje jer bi voice.* odveo
+ * mimo LLM_CHAT_MODEL.
+ */
+export const normalizeLLMConfig = (config = {}, env = {}) => {
+  const rawProviders = { openai: { kind: PROVIDER_KINDS.OPENAI }, ...(config.providers || {}) };
+  if (env.LLM_BASE_URL) {
+    rawProviders.local = {
+      ...rawProviders.local,
+      kind: env.LLM_PROVIDER_KIND || rawProviders.local?.kind || PROVIDER_KINDS.OPENAI_COMPATIBLE,
+      baseUrl: env.LLM_BASE_URL,
+      ...(env.LLM_API_KEY ? { apiKey: env.LLM_API_KEY } : {})
+    };
+  }
+  const providers = Object.fromEntries(Object.entries(rawProviders).map(([name, p]) => [name, normalizeProvider(name, p, env)]));
+  const envProvider = env.LLM_BASE_URL ? 'local' : 'openai';
+
+  const envRoutes = {
+    chat: env.LLM_CHAT_MODEL,
+    json: env.LLM_JSON_MODEL,
+    tools: env.LLM_TOOLS_MODEL,
+    vision: env.LLM_VISION_MODEL,
+    transcription: env.LLM_TRANSCRIPTION_MODEL
+  };
+  // Bez vlastite rute JSON, alati i vid idu za chat modelom iz okruženja
+  if (env.LLM_CHAT_MODEL) CHAT_FAMILY.forEach(capability => { envRoutes[capability] = envRoutes[capability] || env.LLM_CHAT_MODEL; });
+
+  const defaults = {
+    ...normalizeRoutes(config.defaults, providers),
+    ...normalizeRoutes(envRoutes, providers, envProvider),
+    ...normalizeRoutes({ realtime: env.VITE_REALTIME_MODEL }, providers, 'openai')
+  };
+  const builtin = {
+    defaults: normalizeRoutes(DEFAULT_LLM_ROUTES, providers),
+    endpoints: Object.fromEntries(Object.entries(DEFAULT_ENDPOINT_ROUTES).map(([key, routes]) => [key, normalizeRoutes(routes, providers)]))
+  };
+
+  const endpoints = Object.fromEntries(Object.entries(config.endpoints || {}).map(([key, routes]) => [key, normalizeRoutes(routes, providers)]));
+  if (env.VITE_RESPONSES_MODEL && !env.LLM_BASE_URL) {
+    const model = env.VITE_RESPONSES_MODEL;
+    endpoints['voice.*'] = { ...normalizeRoutes({ chat: model, json: model, tools: model }, providers, 'openai'), ...endpoints['voice.*'] };
+  }
+
+  const tenants = Object.fromEntries(Object.entries(config.tenants || {}).map(([tenant, t]) => [tenant, {
+    defaults: normalizeRoutes(t.defaults, providers),
+    endpoints: Object.fromEntries(Object.entries(t.endpoints || {}).map(([key, routes]) => [key, normalizeRoutes(routes, providers)]))
+  }]));
+
+  return { providers, defaults, endpoints, tenants, builtin };
+};
+
+// Točan endpoint, zatim najduži prefiks "gantt.*"
+const endpointRoutes = (map = {}, endpoint) => {
+  if (!endpoint) return null;
+  if (map[endpoint]) return map[endpoint];
+  const prefix = Object.keys(map)
+    .filter(key => key.endsWith('.*') && endpoint.startsWith(key.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? map[prefix] : null;
+};
+
+const hasImages = (messages = []) => messages.some(m => Array.isArray(m.content) && m.content.some(part => part?.type === 'image_url'));
+
+/**
+ * Sposobnost koju chat zahtjev traži: alati > vid > JSON > chat.
+ */
+export const capabilityOf = (request = {}) => {
+  if (request.tools?.length) return LLM_CAPABILITIES.TOOLS;
+  if (hasImages(request.messages)) return LLM_CAPABILITIES.VISION;
+  if (['json_object', 'json_schema'].includes(request.response_format?.type)) return LLM_CAPABILITIES.JSON;
+  return LLM_CAPABILITIES.CHAT;
+};
+
+/**
+ * Zakupac iz zahtjeva (zaglavlje x-tenant-id ili ?tenant=), inače null.
+ */
+export const tenantFromRequest = (req) => req?.get?.('x-tenant-id') || req?.headers?.['x-tenant-id'] || req?.query?.tenant || null;
+
+const createOpenAIClient = async (provider) => {
+  const { default: OpenAI } = await import('openai');
+  return new OpenAI({
+    // Lokalni poslužitelji ne traže ključ, a SDK ga ne dopušta praznim
+    apiKey: provider.apiKey || (provider.kind === PROVIDER_KINDS.OPENAI ? undefined : 'local'),
+    baseURL: provider.baseUrl || undefined,
+    ...(provider.timeoutMs ? { timeout: provider.timeoutMs } : {})
+  });
+};
+
+/**
+ * Registar nad normaliziranom konfiguracijom. `createClient(provider)` vraća OpenAI-kompatibilnog
+ * klijenta (zadano SDK "openai"); testovi i snimke ga zamjenjuju. `requireKeys: false` vrijedi
+ * pri reprodukciji snimki, kad OpenAI pružatelj radi i bez ključa.
+ */
+export const createLLMRegistry = ({ config = {}, env = {}, createClient = createOpenAIClient, requireKeys = true } = {}) => {
+  const settings = normalizeLLMConfig(config, env);
+  const clients = new Map();
+
+  const clientFor = (provider) => {
+    if (!clients.has(provider.name)) clients.set(provider.name, Promise.resolve(createClient(provider)));
+    return clients.get(provider.name);
+  };
+
+  const resolve = (capability, { endpoint = null, tenant = null } = {}) => {
+    const tenantConfig = tenant ? settings.tenants[tenant] : null;
+    const levels = [
+      endpointRoutes(tenantConfig?.endpoints, endpoint),
+      tenantConfig?.defaults,
+      endpointRoutes(settings.endpoints, endpoint),
+      settings.defaults,
+      endpointRoutes(settings.builtin.endpoints, endpoint),
+      settings.builtin.defaults
+    ].filter(Boolean);
+
+    for (const routes of levels) {
+      const explicit = routes[capability];
+      // Pružatelj bez te sposobnosti (npr. lokalni bez realtimea) prepušta rutu nižoj razini
+      const explicitProvider = explicit ? settings.providers[explicit.provider] || null : null;
+      if (explicit && (!explicitProvider || explicitProvider.capabilities.includes(capability))) {
+        return { ...explicit, capability, provider: explicitProvider };
+      }
+      // JSON, alati i vid mogu na chat rutu razine ako je pružatelj podržava
+      const chat = CHAT_FAMILY.includes(capability) ? routes.chat : null;
+      const provider = chat ? settings.providers[chat.provider] : null;
+      if (provider?.capabilities.includes(capability)) return { ...chat, capability, provider };
+    }
+    return null;
+  };
+
+  const route = (capability, options) => {
+    const resolved = resolve(capability, options);
+    if (!resolved?.provider) {
+      throw new Error(`No LLM provider for "${capability}"${options?.endpoint ? ` on endpoint "${options.endpoint}"` : ''}`);
+    }
+    return resolved;
+  };
+
+  const available = (capability, options) => {
+    const resolved = resolve(capability, options);
+    if (!resolved?.provider) return false;
+    return !requireKeys || resolved.provider.kind !== PROVIDER_KINDS.OPENAI || !!resolved.provider.apiKey;
+  };
+
+  /**
+   * chat.completions.create s modelom iz rute; vraća odgovor SDK-a nepromijenjen.
+   * options.signal prekida zahtjev (npr. zatvorena glasovna veza).
+   */
+  const chat = async (request, options = {}) => {
+    const capability = capabilityOf(request);
+    const { provider, model } = route(capability, options);
+    let body = { ...request, model };
+    if (capability === LLM_CAPABILITIES.JSON && !provider.jsonMode) {
+      const { response_format: _format, ...rest } = body;
+      body = { ...rest, messages: [...(rest.messages || []), { role: 'system', content: JSON_HINT }] };
+    }
+    const client = await clientFor(provider);
+    return client.chat.completions.create(body, options.signal ? { signal: options.signal } : undefined);
+  };
+
+  const transcribe = async (request, options = {}) => {
+    const { provider, model } = route(LLM_CAPABILITIES.TRANSCRIPTION, options);
+    const client = await clientFor(provider);
+    return client.audio.transcriptions.create({ ...request, model });
+  };
+
+  const realtimeSession = async (request, options = {}) => {
+    const { provider, model } = route(LLM_CAPABILITIES.REALTIME, options);
+    // Transkripcija ulaza ide preko istog pružatelja kao i sesija
+    const transcription = resolve(LLM_CAPABILITIES.TRANSCRIPTION, options);
+    const inputModel = transcription?.provider?.name === provider.name ? transcription.model : 'whisper-1';
+    const client = await clientFor(provider);
+    return client.realtime.sessions.create({
+      ...request,
+      model,
+      ...(request.input_audio_transcription !== null ? { input_audio_transcription: { model: inputModel, ...request.input_audio_transcription } } : {})
+    });
+  };
+
+  // Pregled bez ključeva, za dijagnostiku
+  const describe = () => ({
+    fixtures: env.LLM_FIXTURES || null,
+    providers: Object.values(settings.providers).map(({ apiKey, ...p }) => ({ ...p, hasKey: !!apiKey })),
+    defaults: { ...settings.builtin.defaults, ...settings.defaults },
+    endpoints: { ...settings.builtin.endpoints, ...settings.endpoints },
+    tenants: Object.keys(settings.tenants)
+  });
+
+  return { settings, resolve, available, chat, transcribe, realtimeSession, describe };
+};
+
+/**
+ * Registar s konfiguracijom iz datoteke (LLM_PROVIDERS_FILE ili llm-providers.json u radnom
+ * direktoriju, ako postoji) i iz okruženja. Samo za Node. Uz LLM_FIXTURES=record klijenti snimaju
+ * u LLM_FIXTURES_DIR (zadano tests/fixtures/llm), a uz LLM_FIXTURES=replay odgovaraju iz snimki.
+ */
+export const loadLLMRegistry = async ({ env = globalThis.process?.env || {}, file = env.LLM_PROVIDERS_FILE || 'llm-providers.json', createClient } = {}) => {
+  const { readFile } = await import('node:fs/promises');
+  let config = {};
+  try {
+    config = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Invalid LLM provider config ${file}: ${error.message}`);
+  }
+
+  const mode = env.LLM_FIXTURES || null;
+  if (mode && !Object.values(FIXTURE_MODES).includes(mode)) throw new Error(`Unknown LLM_FIXTURES mode "${mode}" (expected record or replay)`);
+  const store = mode ? createFixtureStore(env.LLM_FIXTURES_DIR || 'tests/fixtures/llm') : null;
+  const baseClient = createClient || createOpenAIClient;
+  if (mode === FIXTURE_MODES.REPLAY) {
+    return createLLMRegistry({ config, env, createClient: () => createReplayClient(store), requireKeys: false });
+  }
+  if (mode === FIXTURE_MODES.RECORD) {
+    return createLLMRegistry({ config, env, createClient: async provider => createRecordingClient(await baseClient(provider), store) });
+  }
+  return createLLMRegistry({ config, env, createClient: baseClient });
+};
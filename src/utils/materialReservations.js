@@ -0,0 +1,274 @@
+// utils/materialReservations.js
+// Rezervacije i izdavanje materijala pozicija (LogiKal lista materijala) iz skladišnog ledgera.
+import {
+  MOVEMENT_TYPES,
+  computeBalances,
+  ensureWarehouse,
+  postMovementBatch
+} from './stockLedger.js';
+
+export const RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  ISSUED: 'issued',
+  RELEASED: 'released'
+};
+
+// Faze u kojima se materijal pozicije rezervira, odnosno izdaje
+export const RESERVE_STAGES = ['Cutting', 'Rezanje'];
+export const ISSUE_STAGES = ['Fabrication', 'Proizvodnja'];
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const matchesPosition = (item, position) => {
+  const tag = item.meta?.positionTag;
+  return Boolean(tag) && (tag === position.tag || tag === position.id);
+};
+
+// Zbroj potreba po šifri artikla iz stavki LogiKal liste materijala
+const sumRequirements = (items, articles) => {
+  const requirements = {};
+  items.forEach(item => {
+    const code = item.sku || item.code;
+    if (!code) return;
+    const article = articles.find(a => a.code === code);
+    // Profili se vode u metrima ako je artikl tako registriran
+    const inMetres = article?.unit === 'm' && item.length_m;
+    const quantity = inMetres
+      ? (Number(item.quantity) || 0) * item.length_m
+      : Number(item.quantity) || 0;
+    if (quantity <= 0) return;
+
+    if (!requirements[code]) {
+      requirements[code] = {
+        articleCode: code,
+        name: item.description || item.name || code,
+        group: item.group || '',
+        color: item.color || '',
+        unit: article?.unit || item.quantity_unit || 'kom',
+        supplier: item.meta?.supplier || article?.supplier || '',
+        unitPrice: Number(item.price) ? round(inMetres ? item.price / item.length_m : item.price) : 0,
+        required: 0
+      };
+    }
+    requirements[code].required = round(requirements[code].required + quantity);
+  });
+
+  return Object.values(requirements);
+};
+
+/**
+ * Material requirements of one position, summed per article code.
+ * Uses position.materials when present, otherwise the project's LogiKal roll-up
+ * filtered by meta.positionTag.
+ */
+export const getPositionRequirements = (project, position, articles = []) =>
+  sumRequirements(
+    position.materials?.length
+      ? position.materials
+      : (project.materials || []).filter(item => matchesPosition(item, position)),
+    articles
+  );
+
+/**
+ * Material requirements of a whole project (the full LogiKal roll-up).
+ */
+export const getProjectRequirements = (project, articles = []) =>
+  sumRequirements(project.materials || [], articles);
+
+const positionReservations = (warehouse, projectId, positionId) =>
+  warehouse.reservations.filter(r =>
+    r.projectId === projectId && r.positionId === positionId && r.status !== RESERVATION_STATUS.RELEASED
+  );
+
+/**
+ * Reserve whatever is still outstanding for a position. Reserves only what is
+ * available and reports the rest as shortages. Mutates the warehouse.
+ */
+export const reservePositionMaterials = (warehouse, { projectId, positionId, requirements, source = '' }) => {
+  const wh = ensureWarehouse(warehouse);
+  const balances = computeBalances(wh);
+  const existing = positionReservations(wh, projectId, positionId);
+  const created = [];
+  const shortages = [];
+
+  requirements.forEach(req => {
+    const covered = existing
+      .filter(r => r.articleCode === req.articleCode)
+      .reduce((sum, r) => sum + r.quantity, 0);
+    const outstanding = round(req.required - covered);
+    if (outstanding <= 0) return;
+
+    const available = Math.max(0, balances[req.articleCode]?.available || 0);
+    const quantity = round(Math.min(outstanding, available));
+
+    if (quantity > 0) {
+      const reservation = {
+        id: `res_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        articleCode: req.articleCode,
+        quantity,
+        projectId,
+        positionId,
+        status: RESERVATION_STATUS.ACTIVE,
+        source,
+        createdAt: new Date().toISOString(),
+        movementIds: []
+      };
+      wh.reservations.push(reservation);
+      created.push(reservation);
+      if (balances[req.articleCode]) {
+        balances[req.articleCode].available = round(balances[req.articleCode].available - quantity);
+      }
+    }
+
+    if (quantity < outstanding) {
+      shortages.push({
+        articleCode: req.articleCode,
+        name: req.name,
+        unit: req.unit,
+        required: req.required,
+        covered: round(covered + quantity),
+        missing: round(outstanding - quantity)
+      });
+    }
+  });
+
+  warehouse.reservations = wh.reservations;
+  return { reservations: created, shortages };
+};
+
+/**
+ * Split a quantity over the locations that hold the article, biggest bin first.
+ */
+export const pickLocations = (balance, quantity) => {
+  const picks = [];
+  let remaining = quantity;
+  Object.entries(balance?.byLocation || {})
+    .filter(([, qty]) => qty > 0)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([location, qty]) => {
+      if (remaining <= 0) return;
+      const take = round(Math.min(qty, remaining));
+      picks.push({ location, quantity: take });
+      remaining = round(remaining - take);
+    });
+  return picks;
+};
+
+/**
+ * Turn the active reservations of a position into issue movements, posted as one
+ * validated batch. What the bins cannot cover stays reserved as a new active
+ * reservation and is reported as a shortage. Mutates the warehouse.
+ */
+export const issuePositionReservations = (warehouse, { projectId, positionId, documentRef = null, userId }) => {
+  const wh = ensureWarehouse(warehouse);
+  const balances = computeBalances(wh);
+  const requests = [];
+  const issued = [];
+  const shortages = [];
+
+  positionReservations(wh, projectId, positionId)
+    .filter(r => r.status === RESERVATION_STATUS.ACTIVE)
+    .forEach(reservation => {
+      const balance = balances[reservation.articleCode];
+      const picks = pickLocations(balance, reservation.quantity);
+      // Uzete lokacije se odmah umanjuju da sljedeća rezervacija istog artikla ne uzme isto
+      picks.forEach(pick => {
+        balance.byLocation[pick.location] = round(balance.byLocation[pick.location] - pick.quantity);
+      });
+      const covered = round(picks.reduce((sum, pick) => sum + pick.quantity, 0));
+      const from = requests.length;
+      picks.forEach(pick => requests.push({
+        type: MOVEMENT_TYPES.ISSUE,
+        articleCode: reservation.articleCode,
+        quantity: pick.quantity,
+        fromLocation: pick.location,
+        positionId,
+        documentRef: documentRef || reservation.id,
+        notes: `Izdavanje za poziciju ${positionId}`
+      }));
+      issued.push({ reservation, covered, from, to: requests.length });
+
+      if (covered < reservation.quantity) {
+        const article = wh.articles.find(a => a.code === reservation.articleCode);
+        shortages.push({
+          articleCode: reservation.articleCode,
+          name: article?.name || reservation.articleCode,
+          unit: article?.unit || 'kom',
+          required: reservation.quantity,
+          covered,
+          missing: round(reservation.quantity - covered)
+        });
+      }
+    });
+
+  const movements = postMovementBatch(wh, requests, { projectId, userId });
+
+  issued.forEach(({ reservation, covered, from, to }) => {
+    if (covered <= 0) return;
+    const remaining = round(reservation.quantity - covered);
+    if (remaining > 0) {
+      wh.reservations.push({
+        ...reservation,
+        id: `res_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        quantity: remaining,
+        splitFrom: reservation.id,
+        createdAt: new Date().toISOString(),
+        movementIds: []
+      });
+    }
+    reservation.quantity = covered;
+    reservation.issuedQuantity = covered;
+    reservation.status = RESERVATION_STATUS.ISSUED;
+    reservation.issuedAt = new Date().toISOString();
+    reservation.movementIds = [...reservation.movementIds, ...movements.slice(from, to).map(m => m.id)];
+  });
+
+  warehouse.movements = wh.movements;
+  warehouse.reservations = wh.reservations;
+  return { movements, shortages };
+};
+
+/**
+ * Close the active reservations of some positions for one article when the
+ * material was issued another way (a cutting plan). Up to `quantity` counts as
+ * issued (issuedQuantity), the rest is no longer held. Mutates the warehouse.
+ */
+export const consumePositionReservations = (warehouse, { projectId, positionIds, articleCode, quantity, movementIds = [], documentRef = null }) => {
+  const wh = ensureWarehouse(warehouse);
+  let remaining = quantity;
+  const consumed = wh.reservations.filter(r =>
+    r.projectId === projectId && positionIds.includes(r.positionId) &&
+    r.articleCode === articleCode && r.status === RESERVATION_STATUS.ACTIVE
+  );
+  consumed.forEach(reservation => {
+    const take = round(Math.min(reservation.quantity, Math.max(0, remaining)));
+    remaining = round(remaining - take);
+    reservation.status = RESERVATION_STATUS.ISSUED;
+    reservation.issuedAt = new Date().toISOString();
+    reservation.issuedQuantity = take;
+    reservation.documentRef = documentRef;
+    reservation.movementIds = [...reservation.movementIds, ...movementIds];
+  });
+
+  warehouse.reservations = wh.reservations;
+  return consumed;
+};
+
+/**
+ * Release active (not yet issued) reservations, e.g. when a position is cancelled.
+ */
+export const releasePositionReservations = (warehouse, { projectId, positionId }) => {
+  const released = positionReservations(ensureWarehouse(warehouse), projectId, positionId)
+    .filter(r => r.status === RESERVATION_STATUS.ACTIVE);
+  released.forEach(r => {
+    r.status = RESERVATION_STATUS.RELEASED;
+    r.releasedAt = new Date().toISOString();
+  });
+  return released;
+};
+
+/**
+ * Human readable warnings for the position card.
+ */
+export const formatShortageWarnings = (shortages) =>
+  shortages.map(s => `Nedostaje ${s.missing} ${s.unit} ${s.articleCode} (${s.name}) - pokriveno ${s.covered}/${s.required}`);
@@ -142,6 +142,7 @@ export async function parseLogikalXml(fileOrString) {
     sku: it.code,
     quantity: it.qty,
     quantity_unit: it.qty_unit || undefined,
+    length_m: it.length_m || undefined,
     price: it.unit_price,
     total: (it.unit_price || 0) * (it.qty || 0),
     group: it.group,
@@ -0,0 +1,187 @@
+// utils/planBaselines.js
+// Osnovni planovi (baseline): imenovane snimke planiranih datuma po poziciji i procesu,
+// odstupanje trenutnog plana od snimke i izmjene iz povijesti projekta koje su ga uzrokovale.
+
+import { processKey } from './ganttScheduler.js';
+
+export const BASELINE_SOURCES = {
+  MANUAL: 'manual',
+  VOICE: 'voice',
+  VOICE_COMMIT: 'voice_commit',
+  IMPORT: 'import',
+  SCENARIO: 'scenario',
+  LEVELING: 'leveling'
+};
+
+export const BASELINE_SOURCE_LABELS = {
+  [BASELINE_SOURCES.MANUAL]: 'Ručno',
+  [BASELINE_SOURCES.VOICE]: 'Glasovno',
+  [BASELINE_SOURCES.VOICE_COMMIT]: 'Glasovni commit',
+  [BASELINE_SOURCES.IMPORT]: 'Uvoz',
+  [BASELINE_SOURCES.SCENARIO]: 'Scenarij',
+  [BASELINE_SOURCES.LEVELING]: 'Izravnavanje resursa'
+};
+
+// Odjel odgovoran za proces (ključ procesa → odjel)
+export const PROCESS_DEPARTMENTS = {
+  prodaja: 'Prodaja',
+  dizajn: 'Projektiranje',
+  teh_priprema: 'Tehnička priprema',
+  nabava: 'Nabava',
+  proizvodnja: 'Proizvodnja',
+  ugradnja: 'Montaža',
+  montaza: 'Montaža'
+};
+
+// Povijesni zapis pomaka plana (ProjectDataService dodaje `changes` uz type 'schedule')
+export const SCHEDULE_HISTORY_TYPE = 'schedule';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDay = (value) => Math.round(Date.parse(String(value).slice(0, 10)) / DAY_MS);
+
+export const departmentOf = (process) =>
+  process?.department || PROCESS_DEPARTMENTS[processKey(process?.name ?? process)] || 'Ostalo';
+
+const spanOf = (ranges) => {
+  const starts = ranges.map(r => r.start).filter(Boolean).sort();
+  const ends = ranges.map(r => r.end).filter(Boolean).sort();
+  return { start: starts[0] || null, end: ends[ends.length - 1] || null };
+};
+
+/**
+ * Snimka planiranih datuma projekta:
+ * { id, name, createdAt, source, positions: { [positionId]: { start, end, processes: { [name]: { start, end } } } } }
+ */
+export const createBaseline = (project, { name, source = BASELINE_SOURCES.MANUAL, createdAt = new Date().toISOString(), id } = {}) => {
+  const positions = {};
+  (project?.positions || []).forEach(position => {
+    const processes = {};
+    (position.processes || []).forEach(process => {
+      if (process.plannedStart || process.plannedEnd) {
+        processes[process.name] = { start: process.plannedStart || null, end: process.plannedEnd || null };
+      }
+    });
+    const bar = position.gantt?.bar;
+    const span = bar?.start || bar?.end ? { start: bar.start || null, end: bar.end || null } : spanOf(Object.values(processes));
+    if (span.start || span.end || Object.keys(processes).length) {
+      positions[position.id] = { ...span, processes };
+    }
+  });
+  return {
+    id: id || `bl-${Date.now().toString(36)}`,
+    name: name || `Plan ${createdAt.slice(0, 10)}`,
+    createdAt,
+    source,
+    positions
+  };
+};
+
+/**
+ * Datumi procesa (ili cijele pozicije bez processName) u snimci, ili null.
+ */
+export const getBaselineDates = (baseline, positionId, processName) => {
+  const position = baseline?.positions?.[positionId];
+  if (!position) return null;
+  if (!processName) return position.start || position.end ? { start: position.start, end: position.end } : null;
+  return position.processes?.[processName] || null;
+};
+
+/**
+ * Zadnja snimka projekta ili ona s traženim id-jem.
+ */
+export const pickBaseline = (project, baselineId) => {
+  const baselines = project?.baselines || [];
+  if (baselineId) return baselines.find(b => b.id === baselineId) || null;
+  return baselines[baselines.length - 1] || null;
+};
+
+/**
+ * Razlika datuma u danima (b − a); s kalendarom u radnim danima.
+ */
+export const slipDays = (from, to, calendar) => {
+  if (!from || !to) return 0;
+  if (calendar) return calendar.toWorkIndex(to) - calendar.toWorkIndex(from);
+  return toDay(to) - toDay(from);
+};
+
+/**
+ * Pomaci plana iz povijesti nakon snimke, po procesu: "positionId/processName" → [{ entry, change }].
+ */
+export const collectScheduleChanges = (history = [], since) => {
+  const byProcess = new Map();
+  history
+    .filter(entry => entry?.type === SCHEDULE_HISTORY_TYPE && Array.isArray(entry.changes))
+    .filter(entry => !since || entry.date >= since)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(entry => entry.changes.forEach(change => {
+      const key = `${change.positionId}/${change.processName}`;
+      if (!byProcess.has(key)) byProcess.set(key, []);
+      byProcess.get(key).push({ entry, change });
+    }));
+  return byProcess;
+};
+
+/**
+ * Odstupanje trenutnog plana od snimke po procesu i odjelu.
+ * Kašnjenje (slip) je pomak završetka; uzroci su zapisi iz project.history s vlastitim pomakom.
+ *
+ * @returns {{ rows: object[], byDepartment: object[], totalSlip: number, slipped: number }}
+ */
+export const computeScheduleVariance = (project, baseline, { calendar } = {}) => {
+  if (!project || !baseline) return { rows: [], byDepartment: [], totalSlip: 0, slipped: 0 };
+  const changes = collectScheduleChanges(project.history, baseline.createdAt);
+  const rows = [];
+
+  (project.positions || []).forEach(position => {
+    (position.processes || []).forEach(process => {
+      const planned = getBaselineDates(baseline, position.id, process.name);
+      if (!planned) return;
+      const current = { start: process.plannedStart || null, end: process.plannedEnd || null };
+      const causes = (changes.get(`${position.id}/${process.name}`) || [])
+        .map(({ entry, change }) => ({
+          date: entry.date,
+          source: entry.source || BASELINE_SOURCES.MANUAL,
+          title: entry.title,
+          details: entry.details || '',
+          field: change.field,
+          from: change.from,
+          to: change.to,
+          days: slipDays(change.from, change.to, calendar)
+        }))
+        .filter(cause => cause.days !== 0);
+      rows.push({
+        positionId: position.id,
+        positionTitle: position.title || position.id,
+        processName: process.name,
+        department: departmentOf(process),
+        baselineStart: planned.start,
+        baselineEnd: planned.end,
+        start: current.start,
+        end: current.end,
+        startVariance: slipDays(planned.start, current.start, calendar),
+        finishVariance: slipDays(planned.end, current.end, calendar),
+        causes
+      });
+    });
+  });
+
+  const departments = new Map();
+  rows.forEach(row => {
+    const dept = departments.get(row.department) || { department: row.department, processes: 0, slipped: 0, slipDays: 0, maxSlip: 0 };
+    dept.processes++;
+    if (row.finishVariance > 0) {
+      dept.slipped++;
+      dept.slipDays += row.finishVariance;
+      dept.maxSlip = Math.max(dept.maxSlip, row.finishVariance);
+    }
+    departments.set(row.department, dept);
+  });
+
+  const late = rows.filter(row => row.finishVariance > 0);
+  return {
+    rows: rows.sort((a, b) => b.finishVariance - a.finishVariance),
+    byDepartment: [...departments.values()].sort((a, b) => b.slipDays - a.slipDays),
+    totalSlip: late.reduce((sum, row) => sum + row.finishVariance, 0),
+    slipped: late.length
+  };
+};
@@ -0,0 +1,251 @@
+// utils/planScenarios.js
+// Scenariji plana ("što ako"): imenovane grane planiranih datuma i veza projekta koje se uređuju
+// neovisno o živom planu, usporedba scenarija (završetak, kritični put, vršno opterećenje, trošak)
+// i spajanje u živi plan trostranom usporedbom sa stanjem u trenutku grananja.
+// Kraj procesa je kao u PlannerGanttV2 dan nakon trake (endInclusive = false).
+
+import { getWorkCalendar } from './workCalendar.js';
+import { processTaskId, pushSuccessors, resolveProcessLinks, scheduleTasks } from './ganttScheduler.js';
+import { computeResourceLoad, DEFAULT_RESOURCE_CAPACITY } from './resourceLeveling.js';
+import { departmentOf, PROCESS_DEPARTMENTS } from './planBaselines.js';
+
+// Polja procesa koja scenarij mijenja
+export const SCENARIO_FIELDS = ['plannedStart', 'plannedEnd', 'dependencies'];
+
+// Odjeli s cijenom rada (EUR po radnom danu) u project.dayRates; zadanih cijena nema
+export const DAY_RATE_DEPARTMENTS = [...new Set([...Object.values(PROCESS_DEPARTMENTS), 'Ostalo'])];
+
+/**
+ * Cijene rada projekta bez praznih i neispravnih unosa; `rates` nadjačava project.dayRates.
+ */
+export const projectDayRates = (project, rates) => Object.fromEntries(
+  Object.entries({ ...(project?.dayRates || {}), ...(rates || {}) })
+    .map(([department, rate]) => [department, Number(rate)])
+    .filter(([, rate]) => Number.isFinite(rate) && rate > 0)
+);
+
+export const MERGE_CHOICES = { LIVE: 'live', SCENARIO: 'scenario' };
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Planirani dio projekta: { [positionId]: { [processName]: { plannedStart, plannedEnd, dependencies } } }
+ */
+export const snapshotPlan = (project) => {
+  const plan = {};
+  (project?.positions || []).forEach(position => {
+    plan[position.id] = {};
+    (position.processes || []).forEach(process => {
+      plan[position.id][process.name] = Object.fromEntries(SCENARIO_FIELDS.map(field => [field, process[field] ?? null]));
+    });
+  });
+  return plan;
+};
+
+/**
+ * Projekt s planom scenarija umjesto živih datuma i veza.
+ */
+export const applyPlan = (project, plan) => ({
+  ...project,
+  positions: (project.positions || []).map(position => ({
+    ...position,
+    processes: (position.processes || []).map(process => {
+      const planned = plan?.[position.id]?.[process.name];
+      return planned ? { ...process, ...planned } : process;
+    })
+  }))
+});
+
+export const createScenario = (project, { name, description = '', extraCosts = [], createdAt = new Date().toISOString(), id } = {}) => {
+  const plan = snapshotPlan(project);
+  return {
+    id: id || `sc-${Date.now().toString(36)}`,
+    name: name || `Scenarij ${createdAt.slice(0, 10)}`,
+    description,
+    createdAt,
+    updatedAt: createdAt,
+    extraCosts,
+    base: plan,
+    plan: JSON.parse(JSON.stringify(plan))
+  };
+};
+
+/**
+ * Postavi polja jednog procesa u planu scenarija (npr. traka povučena u planeru).
+ */
+export const setScenarioProcess = (plan, positionId, processName, updates) => ({
+  ...plan,
+  [positionId]: {
+    ...plan[positionId],
+    [processName]: { ...plan[positionId]?.[processName], ...updates }
+  }
+});
+
+const processTasks = (project) => (project.positions || []).flatMap(position =>
+  (position.processes || []).filter(p => p.plannedStart && p.plannedEnd).map(process => ({
+    id: processTaskId(project.id, position.id, process.name),
+    start: process.plannedStart,
+    end: process.plannedEnd,
+    positionId: position.id,
+    positionTitle: position.title || position.id,
+    processName: process.name,
+    department: departmentOf(process),
+    owner: process.owner
+  }))
+);
+
+/**
+ * Pomakni procese scenarija (po nazivu procesa, odjelu i/ili poziciji) za `days` radnih dana
+ * i pogurni njihove sljedbenike, npr. "staklo kasni 2 tjedna" = Nabava +10.
+ */
+export const shiftScenarioProcesses = (project, plan, { processName, department, positionId, days }, { calendar = getWorkCalendar() } = {}) => {
+  const scenarioProject = applyPlan(project, plan);
+  const links = resolveProcessLinks(scenarioProject);
+  let tasks = processTasks(scenarioProject);
+  const matches = tasks
+    .filter(t => (!processName || t.processName === processName) && (!department || t.department === department) && (!positionId || t.positionId === positionId))
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(t => t.id);
+
+  matches.forEach(id => {
+    const task = tasks.find(t => t.id === id);
+    const start = calendar.shiftDate(task.start, days, 'work_days');
+    const end = calendar.shiftDate(calendar.shiftDate(calendar.shiftDate(task.end, -1), days, 'work_days'), 1);
+    const changes = new Map(pushSuccessors(tasks, links, id, { start, end }, { calendar }).map(c => [c.id, c]));
+    tasks = tasks.map(t => (changes.has(t.id) ? { ...t, start: changes.get(t.id).start, end: changes.get(t.id).end } : t));
+  });
+
+  return tasks.reduce(
+    (next, t) => setScenarioProcess(next, t.positionId, t.processName, { plannedStart: t.start, plannedEnd: t.end }),
+    plan
+  );
+};
+
+/**
+ * Pokazatelji plana: završetak (zadnji radni dan), trajanje u radnim danima, kritični put,
+ * vršno opterećenje djelatnika/odjela i trošak rada po odjelu uz dodatne troškove scenarija.
+ * Bez cijena rada projekta trošak rada i ukupni trošak su null (prikazuju se samo dodatni troškovi).
+ */
+export const planMetrics = (project, { calendar = getWorkCalendar(), capacity = DEFAULT_RESOURCE_CAPACITY, rates, extraCosts = [] } = {}) => {
+  const tasks = processTasks(project);
+  if (!tasks.length) {
+    return { start: null, finish: null, workDays: 0, criticalPath: [], violations: 0, peaks: [], overloadedDays: 0, cost: { labour: null, extra: 0, total: null } };
+  }
+  const links = resolveProcessLinks(project);
+  const labelOf = new Map(tasks.map(t => [t.id, `${t.positionTitle} · ${t.processName}`]));
+
+  let criticalPath = [];
+  let violations = 0;
+  try {
+    const schedule = scheduleTasks(tasks, links, { calendar });
+    const linked = new Set(links.flatMap(l => [l.from, l.to]));
+    criticalPath = schedule.criticalPath.filter(id => linked.has(id));
+    violations = schedule.violated.length;
+  } catch {
+    // Krug veza: scenarij se i dalje uspoređuje po datumima
+  }
+
+  const start = tasks.map(t => t.start).sort()[0];
+  const lastEnd = tasks.map(t => t.end).sort()[tasks.length - 1];
+  const finish = calendar.previousWorkDay(calendar.shiftDate(lastEnd, -1));
+  if (!criticalPath.length) criticalPath = tasks.filter(t => t.end === lastEnd).map(t => t.id);
+
+  // Opterećenje: puno radno vrijeme vlasnika na svaki radni dan procesa
+  const load = computeResourceLoad(tasks.map(t => ({
+    id: t.id,
+    start: t.start,
+    end: t.end,
+    employeeId: t.owner?.id || t.owner?.name,
+    employeeName: t.owner?.name,
+    employeeCapacity: 8,
+    department: t.department
+  })), { calendar, capacity });
+  const peaks = [...load.resources]
+    .sort((a, b) => b.overloadedDays.length - a.overloadedDays.length || b.peak / b.capacity - a.peak / a.capacity)
+    .slice(0, 3)
+    .map(r => ({ name: r.name, kind: r.kind, peak: r.peak, capacity: r.capacity, overloadedDays: r.overloadedDays.length }));
+
+  const dayRates = projectDayRates(project, rates);
+  const labour = Object.keys(dayRates).length
+    ? tasks.reduce((sum, t) => {
+      const days = calendar.countWorkDays(t.start, calendar.shiftDate(t.end, -1));
+      return sum + days * (dayRates[t.department] ?? dayRates.Ostalo ?? 0);
+    }, 0)
+    : null;
+  const extra = extraCosts.reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+
+  return {
+    start,
+    finish,
+    workDays: calendar.countWorkDays(start, finish),
+    criticalPath: criticalPath.map(id => labelOf.get(id)),
+    violations,
+    peaks,
+    overloadedDays: load.resources.reduce((sum, r) => sum + r.overloadedDays.length, 0),
+    cost: { labour, extra, total: labour === null ? null : labour + extra }
+  };
+};
+
+/**
+ * Usporedba živog plana i scenarija; razlike su prema živom planu. Bez cijena rada razlika troška
+ * je samo razlika dodatnih troškova.
+ * @returns {object[]} [{ id, name, live, metrics, finishDelta, costDelta }]
+ */
+export const compareScenarios = (project, scenarios = [], options = {}) => {
+  const live = planMetrics(project, options);
+  const { calendar = getWorkCalendar() } = options;
+  const delta = (metrics) => (live.finish && metrics.finish ? calendar.toWorkIndex(metrics.finish) - calendar.toWorkIndex(live.finish) : 0);
+  return [
+    { id: 'live', name: 'Živi plan', live: true, metrics: live, finishDelta: 0, costDelta: 0 },
+    ...scenarios.map(scenario => {
+      const metrics = planMetrics(applyPlan(project, scenario.plan), { ...options, extraCosts: scenario.extraCosts });
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        live: false,
+        metrics,
+        finishDelta: delta(metrics),
+        costDelta: metrics.cost.total === null ? metrics.cost.extra - live.cost.extra : metrics.cost.total - live.cost.total
+      };
+    })
+  ];
+};
+
+/**
+ * Spajanje scenarija u živi plan. Polje koje je scenarij promijenio, a živi plan nije, prelazi u plan;
+ * promjena samo u živom planu ostaje; kad su oba promijenila isto polje različito, odluka je u `resolutions`
+ * ({ "positionId/processName/field": 'live' | 'scenario' }).
+ *
+ * @returns {{ changes: object[], conflicts: object[], unresolved: number }}
+ *   changes: [{ positionId, processName, updates }] spremno za updateProcessesInPositions
+ */
+export const mergeScenario = (project, scenario, resolutions = {}) => {
+  const live = snapshotPlan(project);
+  const changes = [];
+  const conflicts = [];
+
+  Object.entries(scenario.plan || {}).forEach(([positionId, processes]) => {
+    Object.entries(processes).forEach(([processName, planned]) => {
+      const current = live[positionId]?.[processName];
+      if (!current) return;
+      const base = scenario.base?.[positionId]?.[processName] || {};
+      const updates = {};
+      SCENARIO_FIELDS.forEach(field => {
+        const theirs = planned[field] ?? null;
+        const ours = current[field] ?? null;
+        if (same(theirs, base[field]) || same(theirs, ours)) return;
+        if (same(ours, base[field])) {
+          updates[field] = theirs;
+          return;
+        }
+        const key = `${positionId}/${processName}/${field}`;
+        const resolution = resolutions[key] || null;
+        conflicts.push({ key, positionId, processName, field, base: base[field] ?? null, live: ours, scenario: theirs, resolution });
+        if (resolution === MERGE_CHOICES.SCENARIO) updates[field] = theirs;
+      });
+      if (Object.keys(updates).length) changes.push({ positionId, processName, updates });
+    });
+  });
+
+  return { changes, conflicts, unresolved: conflicts.filter(c => !c.resolution).length };
+};
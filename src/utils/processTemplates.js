@@ -0,0 +1,264 @@
+// utils/processTemplates.js
+// Knjižnica predložaka procesa po vrsti pozicije (Vrata, Prozor, Fasada, Stijena...): lanac procesa,
+// trajanje po komadu ili m², odgovorni odjel i kontrolne liste. Nove pozicije se planiraju iz
+// predloška, a normativi (NORMATIV_1/2...) su uređivi podaci knjižnice umjesto konstanti u parseru.
+// Kraj procesa je kao u PlannerGanttV2 dan nakon trake.
+
+import { getWorkCalendar, DURATION_UNITS } from './workCalendar.js';
+import { processKey } from './ganttScheduler.js';
+
+export const TEMPLATE_UNITS = {
+  PIECE: 'kom',
+  AREA: 'm2'
+};
+
+export const TEMPLATE_UNIT_LABELS = {
+  [TEMPLATE_UNITS.PIECE]: 'po komadu',
+  [TEMPLATE_UNITS.AREA]: 'po m²'
+};
+
+export const DEFAULT_TEMPLATE_TYPE = 'Element';
+
+const step = (name, department, days, perUnit, checklist = [], lag = 0) => ({ name, department, days, perUnit, lag, checklist });
+
+// Trajanje procesa = days + perUnit × količina, u radnim danima (najmanje 1)
+export const DEFAULT_PROCESS_TEMPLATES = {
+  Element: {
+    type: 'Element',
+    name: 'Opća pozicija',
+    unit: TEMPLATE_UNITS.PIECE,
+    keywords: [],
+    processes: [
+      step('Prodaja', 'Prodaja', 2, 0, ['Ponuda prihvaćena', 'Ugovor potpisan']),
+      step('Teh. priprema', 'Tehnička priprema', 3, 0.2, ['Izmjere na objektu', 'Radionički nacrti odobreni']),
+      step('Nabava', 'Nabava', 5, 0, ['Profili naručeni', 'Okov naručen']),
+      step('Proizvodnja', 'Proizvodnja', 2, 0.5, ['Krojenje', 'Sklapanje', 'Kontrola kvalitete']),
+      step('Ugradnja', 'Montaža', 1, 0.5, ['Transport', 'Ugradnja', 'Brtvljenje', 'Primopredaja'])
+    ]
+  },
+  Vrata: {
+    type: 'Vrata',
+    name: 'Vrata',
+    unit: TEMPLATE_UNITS.PIECE,
+    keywords: ['vrata', 'ulaz'],
+    processes: [
+      step('Prodaja', 'Prodaja', 2, 0, ['Ponuda prihvaćena']),
+      step('Teh. priprema', 'Tehnička priprema', 2, 0.3, ['Izmjere otvora', 'Odabir okova i brave', 'Radionički nacrti odobreni']),
+      step('Nabava', 'Nabava', 7, 0, ['Profili naručeni', 'Brava i panik okov naručeni', 'Staklo naručeno']),
+      step('Proizvodnja', 'Proizvodnja', 2, 1, ['Krojenje', 'Sklapanje krila', 'Ugradnja okova', 'Kontrola kvalitete']),
+      step('Ugradnja', 'Montaža', 1, 0.5, ['Transport', 'Ugradnja štoka', 'Podešavanje krila', 'Primopredaja'])
+    ]
+  },
+  Prozor: {
+    type: 'Prozor',
+    name: 'Prozor',
+    unit: TEMPLATE_UNITS.PIECE,
+    keywords: ['prozor', 'prozori'],
+    processes: [
+      step('Prodaja', 'Prodaja', 2, 0, ['Ponuda prihvaćena']),
+      step('Teh. priprema', 'Tehnička priprema', 2, 0.1, ['Izmjere otvora', 'Radionički nacrti odobreni']),
+      step('Nabava', 'Nabava', 5, 0, ['Profili naručeni', 'Staklo naručeno']),
+      step('Proizvodnja', 'Proizvodnja', 1, 0.3, ['Krojenje', 'Sklapanje', 'Ostakljivanje', 'Kontrola kvalitete']),
+      step('Ugradnja', 'Montaža', 1, 0.25, ['Transport', 'Ugradnja', 'Brtvljenje', 'Primopredaja'])
+    ]
+  },
+  Fasada: {
+    type: 'Fasada',
+    name: 'Fasada',
+    unit: TEMPLATE_UNITS.AREA,
+    keywords: ['fasada', 'fasadni', 'ovojnica'],
+    processes: [
+      step('Prodaja', 'Prodaja', 5, 0, ['Ponuda prihvaćena', 'Ugovor potpisan']),
+      step('Teh. priprema', 'Tehnička priprema', 10, 0.02, ['Statički proračun', 'Izmjere konstrukcije', 'Radionički nacrti odobreni']),
+      step('Nabava', 'Nabava', 15, 0, ['Profili naručeni', 'Staklo naručeno', 'Sidra i konzole naručeni']),
+      step('Proizvodnja', 'Proizvodnja', 5, 0.05, ['Krojenje', 'Sklapanje elemenata', 'Kontrola kvalitete']),
+      step('Ugradnja', 'Montaža', 3, 0.1, ['Sidrenje', 'Montaža nosive konstrukcije', 'Ostakljivanje', 'Brtvljenje', 'Primopredaja'], 2)
+    ]
+  },
+  Stijena: {
+    type: 'Stijena',
+    name: 'Staklena stijena',
+    unit: TEMPLATE_UNITS.AREA,
+    keywords: ['stijena', 'stijene', 'pregrada', 'izlog'],
+    processes: [
+      step('Prodaja', 'Prodaja', 3, 0, ['Ponuda prihvaćena']),
+      step('Teh. priprema', 'Tehnička priprema', 5, 0.03, ['Izmjere otvora', 'Radionički nacrti odobreni']),
+      step('Nabava', 'Nabava', 10, 0, ['Profili naručeni', 'Staklo naručeno']),
+      step('Proizvodnja', 'Proizvodnja', 3, 0.08, ['Krojenje', 'Sklapanje', 'Kontrola kvalitete']),
+      step('Ugradnja', 'Montaža', 2, 0.1, ['Transport', 'Ugradnja', 'Ostakljivanje', 'Brtvljenje', 'Primopredaja'])
+    ]
+  }
+};
+
+// Normativi: pomak početka i kraja linija plana (u radnim danima); `ranges` je raspon za
+// stare glasovne naredbe "korigiraj trajanje prema normativu", `words` su izgovoreni nazivi
+export const DEFAULT_NORMATIVE_PROFILES = {
+  NORMATIV_1: {
+    id: 'NORMATIV_1',
+    name: 'Normativ 1',
+    words: ['jedan', '1', 'prvi'],
+    offsets: { start_days: 1, end_days: 3 },
+    ranges: { start: [1, 2], end: [1, 4] }
+  },
+  NORMATIV_2: {
+    id: 'NORMATIV_2',
+    name: 'Normativ 2',
+    words: ['dva', '2', 'drugi'],
+    offsets: { start_days: 4, end_days: 9 },
+    ranges: { start: [1, 5], end: [4, 8] }
+  }
+};
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+const normalizeStep = (raw) => ({
+  name: String(raw.name || '').trim(),
+  department: raw.department || null,
+  days: Math.max(0, toNumber(raw.days)),
+  perUnit: Math.max(0, toNumber(raw.perUnit)),
+  lag: toNumber(raw.lag),
+  checklist: (raw.checklist || []).map(item => String(typeof item === 'string' ? item : item?.text || '').trim()).filter(Boolean)
+});
+
+const normalizeTemplate = (type, raw = {}) => ({
+  type,
+  name: raw.name || type,
+  unit: raw.unit === TEMPLATE_UNITS.AREA ? TEMPLATE_UNITS.AREA : TEMPLATE_UNITS.PIECE,
+  keywords: (raw.keywords || []).map(k => String(k).toLowerCase()),
+  processes: (raw.processes || []).map(normalizeStep).filter(s => s.name)
+});
+
+const normalizeProfile = (id, raw = {}) => ({
+  id,
+  name: raw.name || id,
+  words: (raw.words || []).map(w => String(w).toLowerCase()),
+  offsets: {
+    start_days: toNumber(raw.offsets?.start_days),
+    end_days: toNumber(raw.offsets?.end_days)
+  },
+  ranges: raw.ranges
+    ? { start: (raw.ranges.start || [0, 0]).map(n => toNumber(n)), end: (raw.ranges.end || [0, 0]).map(n => toNumber(n)) }
+    : null
+});
+
+/**
+ * Spremljena knjižnica preko zadanih predložaka; `removed` pamti obrisane zadane predloške i normative.
+ */
+export const normalizeTemplateLibrary = (config = {}) => {
+  const removed = {
+    templates: [...new Set(config.removed?.templates || [])].filter(type => type !== DEFAULT_TEMPLATE_TYPE),
+    normativeProfiles: [...new Set(config.removed?.normativeProfiles || [])]
+  };
+  const templates = { ...DEFAULT_PROCESS_TEMPLATES, ...(config.templates || {}) };
+  const profiles = { ...DEFAULT_NORMATIVE_PROFILES, ...(config.normativeProfiles || {}) };
+  const library = {
+    templates: Object.fromEntries(Object.entries(templates)
+      .filter(([type, t]) => t && !removed.templates.includes(type))
+      .map(([type, t]) => [type, normalizeTemplate(type, t)])),
+    normativeProfiles: Object.fromEntries(Object.entries(profiles)
+      .filter(([id, p]) => p && !removed.normativeProfiles.includes(id))
+      .map(([id, p]) => [id, normalizeProfile(id, p)])),
+    removed
+  };
+  if (!library.templates[DEFAULT_TEMPLATE_TYPE]) {
+    library.templates[DEFAULT_TEMPLATE_TYPE] = normalizeTemplate(DEFAULT_TEMPLATE_TYPE, DEFAULT_PROCESS_TEMPLATES.Element);
+  }
+  return library;
+};
+
+let activeLibrary = null;
+
+/**
+ * Aktivna knjižnica predložaka za servise i parser glasovnih naredbi (postavlja useProcessTemplates).
+ */
+export const getProcessTemplates = () => activeLibrary || (activeLibrary = normalizeTemplateLibrary());
+
+export const setProcessTemplates = (config) => (activeLibrary = normalizeTemplateLibrary(config));
+
+/**
+ * Predložak za poziciju: po vrsti (position.type), zatim po ključnim riječima u nazivu, inače opći.
+ */
+export const templateForPosition = (position = {}, library = getProcessTemplates()) => {
+  const templates = Object.values(library.templates);
+  const type = String(position.type || position.templateType || '').toLowerCase();
+  const byType = type && templates.find(t => t.type.toLowerCase() === type);
+  if (byType) return byType;
+  const text = `${position.title || ''} ${position.descriptions?.short || ''}`.toLowerCase();
+  return templates.find(t => t.keywords.some(k => text.includes(k))) || library.templates[DEFAULT_TEMPLATE_TYPE];
+};
+
+/**
+ * Količina pozicije u jedinici predloška: komadi ili m² (area, inače dimenzije u mm × komadi).
+ */
+export const positionQuantity = (position = {}, template) => {
+  const pieces = Number(position.qty) || position.pieces?.length || 1;
+  if (template?.unit !== TEMPLATE_UNITS.AREA) return pieces;
+  if (Number(position.area)) return Number(position.area);
+  const { width, height } = position.dimensions || {};
+  return width && height ? Math.round(width * height / 1e6 * pieces * 100) / 100 : pieces;
+};
+
+export const stepDuration = (templateStep, quantity) =>
+  Math.max(1, Math.ceil(templateStep.days + templateStep.perUnit * quantity));
+
+/**
+ * Procesi pozicije iz predloška. Sa `start` se procesi redaju lancem (FS + lag) po radnim danima,
+ * bez njega datumi ostaju prazni kao i prije. `estimate(templateStep)` može vratiti naučeno
+ * trajanje u danima (utils/durationEstimator); null ostavlja trajanje iz predloška.
+ */
+export const buildProcessesFromTemplate = (template, { quantity = 1, start = null, calendar = getWorkCalendar(), estimate = null } = {}) => {
+  let cursor = start ? calendar.nextWorkDay(start) : null;
+  return template.processes.map((templateStep, i) => {
+    const previous = template.processes[i - 1];
+    const duration = estimate?.(templateStep) || stepDuration(templateStep, quantity);
+    let plannedStart = null;
+    let plannedEnd = null;
+    if (cursor) {
+      plannedStart = templateStep.lag ? calendar.shiftDate(cursor, templateStep.lag, DURATION_UNITS.WORK_DAYS) : cursor;
+      const last = calendar.endAfterWorkDays(plannedStart, duration);
+      plannedEnd = calendar.shiftDate(last, 1);
+      cursor = calendar.nextWorkDay(plannedEnd);
+    }
+    return {
+      name: templateStep.name,
+      status: 'Čeka',
+      owner: null,
+      department: templateStep.department,
+      plannedStart,
+      plannedEnd,
+      actualStart: null,
+      actualEnd: null,
+      progress: 0,
+      notes: '',
+      durationDays: duration,
+      checklist: templateStep.checklist.map((text, n) => ({ id: `${processKey(templateStep.name)}-${n + 1}`, text, done: false })),
+      dependencies: previous ? [{ from: previous.name, type: 'FS', lag: templateStep.lag }] : []
+    };
+  });
+};
+
+/**
+ * Procesi za novu poziciju prema njezinoj vrsti i količini.
+ */
+export const processesForPosition = (position = {}, { library = getProcessTemplates(), start = null, calendar, estimate = null } = {}) => {
+  const template = templateForPosition(position, library);
+  return buildProcessesFromTemplate(template, {
+    quantity: positionQuantity(position, template),
+    start,
+    calendar,
+    estimate: estimate && (templateStep => estimate(templateStep, position))
+  });
+};
+
+/**
+ * Normativ po id-u ('NORMATIV_1'), rednom broju (1) ili izgovorenoj riječi ('prvi', 'dva').
+ */
+export const resolveNormativeProfile = (key, library = getProcessTemplates()) => {
+  if (key === null || key === undefined || key === '') return null;
+  const profiles = library.normativeProfiles;
+  const word = String(key).toLowerCase();
+  return profiles[key] ||
+    profiles[`NORMATIV_${key}`] ||
+    Object.values(profiles).find(p => p.id.toLowerCase() === word || p.words.includes(word)) ||
+    null;
+};
@@ -0,0 +1,301 @@
+// utils/purchaseOrders.js
+// Narudžbenice dobavljačima: prijedlozi iz manjkova, statusi, primke i kontrola cijena s računa.
+import { MOVEMENT_TYPES, computeBalances, ensureWarehouse, normalizeLocation, parseLocation, postMovementBatch } from './stockLedger.js';
+import { RESERVATION_STATUS, getProjectRequirements } from './materialReservations.js';
+
+export const PO_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  CLOSED: 'closed',
+  CANCELLED: 'cancelled'
+};
+
+export const PO_STATUS_LABELS = {
+  [PO_STATUS.DRAFT]: 'Nacrt',
+  [PO_STATUS.APPROVED]: 'Odobreno',
+  [PO_STATUS.SENT]: 'Poslano',
+  [PO_STATUS.PARTIALLY_RECEIVED]: 'Djelomično zaprimljeno',
+  [PO_STATUS.CLOSED]: 'Zatvoreno',
+  [PO_STATUS.CANCELLED]: 'Stornirano'
+};
+
+// Dozvoljeni ručni prijelazi; zaprimanje robe mijenja status samo (sent -> partially_received -> closed)
+export const PO_TRANSITIONS = {
+  [PO_STATUS.DRAFT]: [PO_STATUS.APPROVED, PO_STATUS.CANCELLED],
+  [PO_STATUS.APPROVED]: [PO_STATUS.SENT, PO_STATUS.DRAFT, PO_STATUS.CANCELLED],
+  [PO_STATUS.SENT]: [PO_STATUS.CLOSED, PO_STATUS.CANCELLED],
+  [PO_STATUS.PARTIALLY_RECEIVED]: [PO_STATUS.CLOSED],
+  [PO_STATUS.CLOSED]: [],
+  [PO_STATUS.CANCELLED]: []
+};
+
+// Statusi u kojima je roba još "na putu"
+export const OPEN_PO_STATUSES = [PO_STATUS.DRAFT, PO_STATUS.APPROVED, PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED];
+
+export const DEFAULT_PRICE_TOLERANCE_PCT = 1;
+
+export const UNKNOWN_SUPPLIER = 'Nepoznat dobavljač';
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const money = (n) => Math.round(n * 100) / 100;
+
+export const createEmptyProcurement = () => ({
+  purchaseOrders: [],
+  goodsReceipts: [],
+  invoiceMatches: [],
+  settings: {}
+});
+
+export const ensureProcurement = (procurement) => ({
+  ...createEmptyProcurement(),
+  ...(procurement || {}),
+  purchaseOrders: procurement?.purchaseOrders || [],
+  goodsReceipts: procurement?.goodsReceipts || [],
+  invoiceMatches: procurement?.invoiceMatches || [],
+  settings: procurement?.settings || {}
+});
+
+// NAR-2026-0007 / PRI-2026-0012
+const nextNumber = (prefix, existing) => {
+  const year = new Date().getFullYear();
+  const pattern = new RegExp(`^${prefix}-${year}-(\\d+)$`);
+  const last = existing.reduce((max, n) => {
+    const match = String(n || '').match(pattern);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `${prefix}-${year}-${String(last + 1).padStart(4, '0')}`;
+};
+
+export const getLineOutstanding = (line) => round(Math.max(0, line.quantity - (line.receivedQty || 0)));
+
+export const getOrderTotal = (order) =>
+  money(order.lines.reduce((sum, l) => sum + l.quantity * (l.unitPrice || 0), 0));
+
+/**
+ * Quantity still expected per article (and per project) from open purchase orders.
+ */
+export const getOnOrder = (procurement, projectId = null) => {
+  const onOrder = {};
+  ensureProcurement(procurement).purchaseOrders
+    .filter(po => OPEN_PO_STATUSES.includes(po.status))
+    .forEach(po => po.lines
+      .filter(line => !projectId || line.projectId === projectId)
+      .forEach(line => {
+        onOrder[line.articleCode] = round((onOrder[line.articleCode] || 0) + getLineOutstanding(line));
+      }));
+  return onOrder;
+};
+
+/**
+ * What a project still has to buy: its LogiKal roll-up minus what is already
+ * reserved/issued for it, minus what is already on order, minus free stock.
+ * Pass the same `balances` for several projects so free stock is only counted once.
+ */
+export const getProjectShortages = (project, warehouse, procurement, balances = computeBalances(warehouse)) => {
+  const wh = ensureWarehouse(warehouse);
+  const onOrder = getOnOrder(procurement, project.id);
+
+  return getProjectRequirements(project, wh.articles)
+    .map(req => {
+      const covered = round(wh.reservations
+        .filter(r => r.projectId === project.id && r.articleCode === req.articleCode && r.status !== RESERVATION_STATUS.RELEASED)
+        .reduce((sum, r) => sum + r.quantity, 0));
+      const ordered = onOrder[req.articleCode] || 0;
+      const outstanding = round(Math.max(0, req.required - covered - ordered));
+      const balance = balances[req.articleCode];
+      const fromStock = Math.min(outstanding, Math.max(0, balance?.available || 0));
+      if (balance) balance.available = round(balance.available - fromStock);
+      return {
+        ...req,
+        projectId: project.id,
+        covered,
+        onOrder: ordered,
+        fromStock,
+        missing: round(outstanding - fromStock)
+      };
+    })
+    .filter(s => s.missing > 0);
+};
+
+/**
+ * Draft purchase orders, one per supplier, from a list of shortages.
+ * Free stock is shared, so shortages of several projects should be computed
+ * against the same balances before they are passed in.
+ */
+export const buildDraftOrders = (shortages, procurement, { articles = [], userId = 'user_demo' } = {}) => {
+  const proc = ensureProcurement(procurement);
+  const bySupplier = {};
+
+  shortages.forEach(s => {
+    const article = articles.find(a => a.code === s.articleCode);
+    const supplier = s.supplier || article?.supplier || UNKNOWN_SUPPLIER;
+    if (!bySupplier[supplier]) bySupplier[supplier] = [];
+    bySupplier[supplier].push(s);
+  });
+
+  const numbers = proc.purchaseOrders.map(po => po.number);
+  return Object.entries(bySupplier).map(([supplier, items]) => {
+    const number = nextNumber('NAR', numbers);
+    numbers.push(number);
+    return {
+      id: `po_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      number,
+      supplier,
+      supplierOib: items.map(i => articles.find(a => a.code === i.articleCode)?.supplierOib).find(Boolean) || null,
+      status: PO_STATUS.DRAFT,
+      projectIds: [...new Set(items.map(i => i.projectId).filter(Boolean))],
+      lines: items.map((item, i) => ({
+        id: `${number}-${i + 1}`,
+        articleCode: item.articleCode,
+        name: item.name,
+        unit: item.unit,
+        quantity: item.missing,
+        unitPrice: item.unitPrice || 0,
+        receivedQty: 0,
+        invoicedQty: 0,
+        projectId: item.projectId || null
+      })),
+      receiptIds: [],
+      priceDifferences: [],
+      createdAt: new Date().toISOString(),
+      statusHistory: [{ status: PO_STATUS.DRAFT, at: new Date().toISOString(), userId, note: 'Prijedlog iz manjkova' }]
+    };
+  });
+};
+
+const setStatus = (order, status, userId, note = '') => {
+  order.status = status;
+  order.updatedAt = new Date().toISOString();
+  order.statusHistory = [...(order.statusHistory || []), { status, at: order.updatedAt, userId, note }];
+  return order;
+};
+
+/**
+ * Manual status change (approve, send, close, cancel). Mutates the order.
+ */
+export const transitionOrder = (order, status, { userId = 'user_demo', note = '' } = {}) => {
+  if (!PO_TRANSITIONS[order.status]?.includes(status)) {
+    throw new Error(`Purchase order ${order.number} cannot go from ${order.status} to ${status}`);
+  }
+  if (status === PO_STATUS.APPROVED && order.lines.length === 0) {
+    throw new Error(`Purchase order ${order.number} has no lines`);
+  }
+  return setStatus(order, status, userId, note);
+};
+
+/**
+ * Post a goods receipt (Primka) against a sent order. Each line becomes a
+ * receipt movement in the ledger and raises the PO line's received quantity;
+ * a line cannot receive more than its open quantity. Movements go through
+ * `post` (the ledger batch by default, AgbimDataService.postMovements in the app).
+ * Mutates warehouse and procurement; returns the receipt and the movements.
+ */
+export const receiveGoods = (warehouse, procurement, orderId, lines, {
+  userId = 'user_demo',
+  deliveryNote = '',
+  post = (requests, context) => postMovementBatch(warehouse, requests, context)
+} = {}) => {
+  const order = procurement.purchaseOrders.find(po => po.id === orderId);
+  if (!order) {
+    throw new Error(`Purchase order ${orderId} not found`);
+  }
+  if (![PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED].includes(order.status)) {
+    throw new Error(`Purchase order ${order.number} is ${order.status} - only sent orders can be received`);
+  }
+
+  const received = lines.filter(l => Number(l.quantity) > 0);
+  if (received.length === 0) {
+    throw new Error('Goods receipt has no quantities');
+  }
+  const receiving = {};
+  received.forEach(l => {
+    const line = order.lines.find(pl => pl.id === l.lineId);
+    if (!line) {
+      throw new Error(`Line ${l.lineId} is not on purchase order ${order.number}`);
+    }
+    receiving[line.id] = round((receiving[line.id] || 0) + Number(l.quantity));
+    if (receiving[line.id] > getLineOutstanding(line)) {
+      throw new Error(`${line.articleCode} on ${order.number}: receiving ${receiving[line.id]} exceeds the open quantity ${getLineOutstanding(line)}`);
+    }
+    if (!warehouse.articles.some(a => a.code === line.articleCode)) {
+      throw new Error(`Article ${line.articleCode} is not registered in the warehouse`);
+    }
+    if (!parseLocation(l.location)) {
+      throw new Error(`Invalid target location "${l.location || ''}" for ${line.articleCode}`);
+    }
+  });
+
+  const number = nextNumber('PRI', procurement.goodsReceipts.map(r => r.number));
+  const movements = post(received.map(l => {
+    const line = order.lines.find(pl => pl.id === l.lineId);
+    return {
+      type: MOVEMENT_TYPES.RECEIPT,
+      articleCode: line.articleCode,
+      quantity: Number(l.quantity),
+      toLocation: l.location,
+      projectId: line.projectId,
+      documentRef: number,
+      notes: `${order.number} ${order.supplier}`
+    };
+  }), { userId });
+  const receiptLines = received.map((l, i) => {
+    const line = order.lines.find(pl => pl.id === l.lineId);
+    const movement = movements[i];
+    line.receivedQty = round((line.receivedQty || 0) + movement.quantity);
+    return {
+      lineId: line.id,
+      articleCode: line.articleCode,
+      quantity: movement.quantity,
+      unitPrice: line.unitPrice,
+      location: normalizeLocation(l.location),
+      movementId: movement.id
+    };
+  });
+
+  const receipt = {
+    id: `gr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    number,
+    documentType: 'receipt',
+    purchaseOrderId: order.id,
+    supplier: order.supplier,
+    deliveryNote,
+    date: new Date().toISOString(),
+    userId,
+    lines: receiptLines
+  };
+  procurement.goodsReceipts.push(receipt);
+  order.receiptIds = [...(order.receiptIds || []), receipt.id];
+
+  const complete = order.lines.every(l => getLineOutstanding(l) === 0);
+  setStatus(order, complete ? PO_STATUS.CLOSED : PO_STATUS.PARTIALLY_RECEIVED, userId, number);
+
+  return { receipt, movements, order };
+};
+
+/**
+ * Compare supplier invoice lines (InvoiceDataService analysis items) with the
+ * ordered prices. Lines are matched by article code; discounts are applied.
+ */
+export const checkInvoicePrices = (order, invoiceItems = [], { tolerancePct = DEFAULT_PRICE_TOLERANCE_PCT } = {}) =>
+  invoiceItems
+    .map(item => {
+      const line = order.lines.find(l => l.articleCode === item.code);
+      if (!line || !line.unitPrice) return null;
+      const invoiced = money((Number(item.unitPrice) || 0) * (1 - (Number(item.discountPercent) || 0) / 100));
+      const diff = money(invoiced - line.unitPrice);
+      const diffPct = Math.round((diff / line.unitPrice) * 10000) / 100;
+      if (Math.abs(diffPct) <= tolerancePct) return null;
+      return {
+        lineId: line.id,
+        articleCode: line.articleCode,
+        orderedPrice: line.unitPrice,
+        invoicedPrice: invoiced,
+        diff,
+        diffPct,
+        quantity: Number(item.quantity) || 0,
+        impact: money(diff * (Number(item.quantity) || 0))
+      };
+    })
+    .filter(Boolean);
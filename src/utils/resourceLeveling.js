@@ -0,0 +1,205 @@
+// utils/resourceLeveling.js
+// Kapacitet djelatnika i odjela (sati/dan), opterećenje iz procjene sati zadatka
+// i izravnavanje: prijedlog novog redoslijeda preklopljenih zadataka preko svih projekata.
+// Datumi zadataka su 'YYYY-MM-DD', kraj isključiv (dan nakon zadnjeg radnog dana, kao ganttScheduler
+// i planScenarios); računa se u radnim danima kalendara.
+
+import { getWorkCalendar } from './workCalendar.js';
+import { getGorionaUrgencyLevel } from './goriona.js';
+
+export const DEFAULT_RESOURCE_CAPACITY = {
+  employees: {},   // { [employeeId]: sati/dan }
+  departments: {}  // { [odjel]: sati/dan za cijeli odjel }
+};
+
+export const PRIORITY_RANK = { low: 0, medium: 1, normal: 1, high: 2, critical: 3 };
+
+export const LEVELING_REASONS = {
+  RESOURCE: 'resource',
+  DEPENDENCY: 'dependency'
+};
+
+const EPSILON = 1e-6;
+const SEARCH_HORIZON = 260; // radnih dana (oko godinu dana)
+const DONE_STATUSES = ['completed', 'završeno', 'zavrseno', 'done'];
+
+const toHours = (value) => (Number(value) > 0 ? Number(value) : null);
+
+const cleanMap = (map = {}) => Object.fromEntries(
+  Object.entries(map || {}).map(([key, hours]) => [key, toHours(hours)]).filter(([, hours]) => hours !== null)
+);
+
+export const normalizeResourceCapacity = (config = {}) => ({
+  employees: cleanMap(config.employees),
+  departments: cleanMap(config.departments)
+});
+
+/**
+ * Resursi zadatka s dnevnim kapacitetom; odjel bez zadanog kapaciteta se ne ograničava.
+ */
+export const taskResources = (task, capacity = DEFAULT_RESOURCE_CAPACITY) => {
+  const resources = [];
+  if (task.employeeId) {
+    resources.push({
+      key: `employee:${task.employeeId}`,
+      kind: 'employee',
+      name: task.employeeName || task.employeeId,
+      capacity: capacity.employees?.[task.employeeId] ?? task.employeeCapacity ?? null
+    });
+  }
+  if (task.department && capacity.departments?.[task.department]) {
+    resources.push({
+      key: `department:${task.department}`,
+      kind: 'department',
+      name: task.department,
+      capacity: capacity.departments[task.department]
+    });
+  }
+  return resources.filter(r => r.capacity);
+};
+
+const isFixed = (task) =>
+  task.pinned || Boolean(task.actualStart) || DONE_STATUSES.includes(String(task.status || '').toLowerCase());
+
+const priorityKey = (task) => [
+  getGorionaUrgencyLevel(task.goriona),
+  PRIORITY_RANK[String(task.priority || 'medium').toLowerCase()] ?? 1
+];
+
+// Zadatak u radnim indeksima: početak, trajanje i sati po radnom danu
+const measure = (task, calendar, capacity) => {
+  const duration = Math.max(1, calendar.countWorkDays(task.start, calendar.shiftDate(task.end, -1)));
+  const startIndex = calendar.toWorkIndex(task.start);
+  const fullTime = capacity.employees?.[task.employeeId] ?? task.employeeCapacity ?? 8;
+  const effort = toHours(task.effortHours) ?? duration * fullTime;
+  return { startIndex, duration, daily: effort / duration };
+};
+
+const createLoadBook = () => {
+  const book = new Map();
+  return {
+    get: (key, index) => book.get(key)?.get(index) || 0,
+    add: (key, index, hours) => {
+      if (!book.has(key)) book.set(key, new Map());
+      book.get(key).set(index, (book.get(key).get(index) || 0) + hours);
+    },
+    entries: () => book
+  };
+};
+
+/**
+ * Dnevno opterećenje po djelatniku i odjelu te dani preopterećenja.
+ *
+ * @returns {{ resources: object[], byKey: Map }} resources: { key, kind, name, capacity, peak, overloadedDays: [{ date, load, capacity }] }
+ */
+export const computeResourceLoad = (tasks, { calendar = getWorkCalendar(), capacity = DEFAULT_RESOURCE_CAPACITY } = {}) => {
+  const loads = createLoadBook();
+  const meta = new Map();
+  tasks.filter(t => t.start && t.end).forEach(task => {
+    const { startIndex, duration, daily } = measure(task, calendar, capacity);
+    taskResources(task, capacity).forEach(resource => {
+      meta.set(resource.key, resource);
+      for (let i = startIndex; i < startIndex + duration; i++) loads.add(resource.key, i, daily);
+    });
+  });
+
+  const resources = [...meta.values()].map(resource => {
+    const days = [...(loads.entries().get(resource.key) || new Map())].sort((a, b) => a[0] - b[0]);
+    return {
+      ...resource,
+      peak: days.reduce((max, [, hours]) => Math.max(max, hours), 0),
+      overloadedDays: days
+        .filter(([, hours]) => hours > resource.capacity + EPSILON)
+        .map(([index, hours]) => ({ date: calendar.fromWorkIndex(index), load: Math.round(hours * 10) / 10, capacity: resource.capacity }))
+    };
+  });
+  return { resources, byKey: new Map(resources.map(r => [r.key, r])) };
+};
+
+/**
+ * Izravnavanje resursa: zadaci se redom hitnosti (goriona, prioritet, izvorni početak) smještaju
+ * na prvi termin u kojem djelatnik i odjel imaju kapaciteta, poštujući veze (FS/SS/FF s odmakom).
+ * Zadaci se samo odgađaju; započeti, završeni i zaključani (pinned) ostaju gdje jesu.
+ *
+ * @param {object[]} tasks - { id, start, end, employeeId, department, effortHours, priority, goriona, status }
+ * @param {object} options - { calendar, capacity, links: [{ from, to, type, lag }] }
+ * @returns {object[]} prijedlozi { taskId, from, to, delay, reason, resource }
+ */
+export const levelResources = (tasks, { calendar = getWorkCalendar(), capacity = DEFAULT_RESOURCE_CAPACITY, links = [] } = {}) => {
+  const scheduled = tasks.filter(t => t.start && t.end);
+  const byId = new Map(scheduled.map(t => [t.id, t]));
+  const predecessors = new Map(scheduled.map(t => [t.id, []]));
+  links.forEach(link => {
+    if (byId.has(link.from) && byId.has(link.to)) predecessors.get(link.to).push(link);
+  });
+
+  const loads = createLoadBook();
+  const placed = new Map();
+  const place = (task, startIndex, duration, daily) => {
+    placed.set(task.id, { startIndex, endIndex: startIndex + duration - 1 });
+    taskResources(task, capacity).forEach(resource => {
+      for (let i = startIndex; i < startIndex + duration; i++) loads.add(resource.key, i, daily);
+    });
+  };
+
+  // Prvo se knjiže zadaci koji se ne pomiču
+  scheduled.filter(isFixed).forEach(task => {
+    const { startIndex, duration, daily } = measure(task, calendar, capacity);
+    place(task, startIndex, duration, daily);
+  });
+
+  const compare = (a, b) => {
+    const [ga, pa] = priorityKey(a);
+    const [gb, pb] = priorityKey(b);
+    return gb - ga || pb - pa || a.start.localeCompare(b.start) || String(a.id).localeCompare(String(b.id));
+  };
+
+  // Prvi resurs koji nema mjesta u terminu; zadatak koji sam premašuje kapacitet smije na slobodan dan
+  const blockingResource = (task, startIndex, duration, daily) => taskResources(task, capacity).find(resource => {
+    for (let i = startIndex; i < startIndex + duration; i++) {
+      const existing = loads.get(resource.key, i);
+      if (existing > EPSILON && existing + daily > resource.capacity + EPSILON) return true;
+    }
+    return false;
+  });
+
+  const proposals = [];
+  let pending = scheduled.filter(t => !isFixed(t)).sort(compare);
+  while (pending.length) {
+    const ready = pending.filter(t => predecessors.get(t.id).every(l => placed.has(l.from)));
+    const task = (ready.length ? ready : pending)[0]; // kod kruga veza ide redom hitnosti
+    pending = pending.filter(t => t !== task);
+
+    const { startIndex, duration, daily } = measure(task, calendar, capacity);
+    const earliest = predecessors.get(task.id).reduce((min, link) => {
+      const pred = placed.get(link.from);
+      if (!pred) return min;
+      const lag = Math.round(Number(link.lag) || 0);
+      if (link.type === 'SS') return Math.max(min, pred.startIndex + lag);
+      if (link.type === 'FF') return Math.max(min, pred.endIndex + lag - duration + 1);
+      return Math.max(min, pred.endIndex + 1 + lag);
+    }, startIndex);
+
+    let start = null;
+    let firstBlock = null;
+    for (let candidate = earliest; start === null && candidate <= earliest + SEARCH_HORIZON; candidate++) {
+      const blocking = blockingResource(task, candidate, duration, daily);
+      if (blocking) firstBlock = firstBlock || blocking;
+      else start = candidate;
+    }
+    if (start === null) start = earliest; // bez slobodnog termina u horizontu ostaje na najranijem
+    place(task, start, duration, daily);
+
+    if (start !== startIndex) {
+      proposals.push({
+        taskId: task.id,
+        from: { start: task.start, end: task.end },
+        to: { start: calendar.fromWorkIndex(start), end: calendar.shiftDate(calendar.fromWorkIndex(start + duration - 1), 1) },
+        delay: start - startIndex,
+        reason: start > earliest ? LEVELING_REASONS.RESOURCE : LEVELING_REASONS.DEPENDENCY,
+        resource: start > earliest ? firstBlock.name : null
+      });
+    }
+  }
+  return proposals;
+};
@@ -0,0 +1,361 @@
+// utils/scheduleExchange.js
+// Razmjena plana s vanjskim alatima: MS Project XML (MSPDI), Primavera P6 XER i iCalendar (.ics),
+// te čitanje MSPDI datoteke izvođača. Radi nad neutralnim rasporedom; mapiranje na pozicije
+// i procese je u UnifiedAdapterV2.
+//
+// Raspored: { id, name, positions: [{ id, title, tasks: [{ id, name, start, end, actualStart, actualEnd,
+//   progress, owner, notes, dependencies: [{ from, type, lag }] }] }] }; datumi 'YYYY-MM-DD', kraj uključiv.
+
+import { DAY_TYPES, getWorkCalendar } from './workCalendar.js';
+
+export const MSPDI_LINK_TYPES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+export const XER_LINK_TYPES = { FS: 'PR_FS', SS: 'PR_SS', FF: 'PR_FF', SF: 'PR_SF' };
+
+// Task Text1 u MS Projectu nosi naš id procesa, da se izvezeni plan može vratiti bez pogađanja
+export const AGBIM_ID_FIELD = '188743731';
+
+const DAY_START_MINUTES = 8 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+const clockOf = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(Math.round(minutes % 60))}`;
+const nextDay = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+const hoursPerDayOf = (calendar) => calendar.config?.hoursPerDay || 8;
+
+const flatTasks = (schedule) => (schedule.positions || []).flatMap(position => position.tasks || []);
+
+const spanOf = (tasks) => {
+  const dated = tasks.filter(t => t.start && t.end);
+  if (!dated.length) return { start: null, end: null };
+  return {
+    start: dated.map(t => t.start).sort()[0],
+    end: dated.map(t => t.end).sort()[dated.length - 1]
+  };
+};
+
+const workDaysOf = (task, calendar) => (task.start && task.end ? Math.max(1, calendar.countWorkDays(task.start, task.end)) : 0);
+
+/** ======================== MS PROJECT XML ======================== */
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const xmlTag = (tag, value) => (value === undefined || value === null || value === '' ? '' : `<${tag}>${escapeXml(value)}</${tag}>`);
+
+/**
+ * MSPDI XML (MS Project 2007+): pozicije su sažeti zadaci, procesi zadaci ispod njih,
+ * vlasnici resursi s dodjelama. Trajanje i odmak veza su u radnim danima kalendara.
+ */
+export const toMspdiXml = (schedule, { calendar = getWorkCalendar() } = {}) => {
+  const hoursPerDay = hoursPerDayOf(calendar);
+  const startOf = (date) => date && `${date}T${clockOf(DAY_START_MINUTES)}:00`;
+  const finishOf = (date) => date && `${date}T${clockOf(DAY_START_MINUTES + hoursPerDay * 60)}:00`;
+  const durationOf = (days) => {
+    const minutes = Math.round(days * hoursPerDay * 60);
+    return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+  };
+
+  const uids = new Map();
+  let nextUid = 0;
+  (schedule.positions || []).forEach(position => {
+    uids.set(`position:${position.id}`, ++nextUid);
+    (position.tasks || []).forEach(task => uids.set(task.id, ++nextUid));
+  });
+
+  const tasks = flatTasks(schedule);
+  const projectSpan = spanOf(tasks);
+  const owners = [...new Set(tasks.map(t => t.owner).filter(Boolean))];
+
+  const taskXml = [
+    `<Task><UID>0</UID><ID>0</ID>${xmlTag('Name', schedule.name)}<OutlineNumber>0</OutlineNumber><OutlineLevel>0</OutlineLevel>` +
+      `${xmlTag('Start', startOf(projectSpan.start))}${xmlTag('Finish', finishOf(projectSpan.end))}<Summary>1</Summary></Task>`
+  ];
+  (schedule.positions || []).forEach((position, p) => {
+    const span = spanOf(position.tasks || []);
+    taskXml.push(
+      `<Task><UID>${uids.get(`position:${position.id}`)}</UID><ID>${uids.get(`position:${position.id}`)}</ID>` +
+      `${xmlTag('Name', position.title || position.id)}${xmlTag('WBS', p + 1)}<OutlineNumber>${p + 1}</OutlineNumber><OutlineLevel>1</OutlineLevel>` +
+      `${xmlTag('Start', startOf(span.start))}${xmlTag('Finish', finishOf(span.end))}<Summary>1</Summary></Task>`
+    );
+    (position.tasks || []).forEach((task, t) => {
+      const links = (task.dependencies || [])
+        .filter(dep => uids.has(dep.from))
+        .map(dep => `<PredecessorLink><PredecessorUID>${uids.get(dep.from)}</PredecessorUID>` +
+          `<Type>${MSPDI_LINK_TYPES[dep.type] ?? MSPDI_LINK_TYPES.FS}</Type>` +
+          `<LinkLag>${Math.round((dep.lag || 0) * hoursPerDay * 60 * 10)}</LinkLag><LagFormat>7</LagFormat></PredecessorLink>`)
+        .join('');
+      const uid = uids.get(task.id);
+      taskXml.push(
+        `<Task><UID>${uid}</UID><ID>${uid}</ID>${xmlTag('Name', task.name)}${xmlTag('WBS', `${p + 1}.${t + 1}`)}` +
+        `<OutlineNumber>${p + 1}.${t + 1}</OutlineNumber><OutlineLevel>2</OutlineLevel>` +
+        `${xmlTag('Start', startOf(task.start))}${xmlTag('Finish', finishOf(task.end))}` +
+        `${task.start && task.end ? `<Duration>${durationOf(workDaysOf(task, calendar))}</Duration><DurationFormat>7</DurationFormat>` : ''}` +
+        `<Summary>0</Summary><PercentComplete>${Math.round(task.progress || 0)}</PercentComplete>` +
+        `${xmlTag('ActualStart', startOf(task.actualStart))}${xmlTag('ActualFinish', finishOf(task.actualEnd))}${xmlTag('Notes', task.notes)}` +
+        `${links}<ExtendedAttribute><FieldID>${AGBIM_ID_FIELD}</FieldID>${xmlTag('Value', task.id)}</ExtendedAttribute></Task>`
+      );
+    });
+  });
+
+  const resourceXml = owners.map((name, i) => `<Resource><UID>${i + 1}</UID><ID>${i + 1}</ID>${xmlTag('Name', name)}<Type>1</Type></Resource>`);
+  const assignmentXml = tasks
+    .filter(task => task.owner)
+    .map((task, i) => `<Assignment><UID>${i + 1}</UID><TaskUID>${uids.get(task.id)}</TaskUID>` +
+      `<ResourceUID>${owners.indexOf(task.owner) + 1}</ResourceUID><Units>1</Units></Assignment>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    `${xmlTag('Name', schedule.name)}${xmlTag('Title', schedule.name)}<ScheduleFromStart>1</ScheduleFromStart>`,
+    `${xmlTag('StartDate', startOf(projectSpan.start))}${xmlTag('FinishDate', finishOf(projectSpan.end))}`,
+    `<DefaultStartTime>${clockOf(DAY_START_MINUTES)}:00</DefaultStartTime><MinutesPerDay>${Math.round(hoursPerDay * 60)}</MinutesPerDay>`,
+    `<ExtendedAttributes><ExtendedAttribute><FieldID>${AGBIM_ID_FIELD}</FieldID><FieldName>Text1</FieldName><Alias>AGBIM ID</Alias></ExtendedAttribute></ExtendedAttributes>`,
+    `<Tasks>${taskXml.join('')}</Tasks>`,
+    `<Resources>${resourceXml.join('')}</Resources>`,
+    `<Assignments>${assignmentXml.join('')}</Assignments>`,
+    '</Project>'
+  ].join('\n');
+};
+
+// Datum iz MSPDI vremena; završetak u ponoć pripada prethodnom danu
+const mspdiDate = (value, { finish = false } = {}) => {
+  if (!value) return null;
+  const date = value.slice(0, 10);
+  if (finish && /T00:00(:00)?$/.test(value)) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+  }
+  return date;
+};
+
+/**
+ * Čita MSPDI XML: zadaci s razinom, nadređenim sažetim zadatkom, datumima, vezama i resursima.
+ *
+ * @returns {{ name: string, tasks: object[] }} tasks: { uid, name, outlineLevel, summary, parentUid,
+ *   start, end, actualStart, actualEnd, progress, agbimId, predecessors: [{ uid, type, lag }], resources }
+ */
+export const parseMspdiXml = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length || root?.localName !== 'Project') {
+    throw new Error('Not an MS Project XML (MSPDI) file');
+  }
+  const child = (el, tag) => [...el.children].find(c => c.localName === tag);
+  const children = (el, tag) => [...el.children].filter(c => c.localName === tag);
+  const text = (el, tag) => child(el, tag)?.textContent.trim() || null;
+  const section = (tag) => (child(root, tag) ? [...child(root, tag).children] : []);
+
+  const minutesPerDay = Number(text(root, 'MinutesPerDay')) || 480;
+  const linkTypes = Object.fromEntries(Object.entries(MSPDI_LINK_TYPES).map(([type, code]) => [String(code), type]));
+
+  const resources = new Map(section('Resources').map(r => [text(r, 'UID'), text(r, 'Name')]));
+  const resourcesByTask = new Map();
+  section('Assignments').forEach(a => {
+    const name = resources.get(text(a, 'ResourceUID'));
+    if (!name) return;
+    const taskUid = text(a, 'TaskUID');
+    resourcesByTask.set(taskUid, [...(resourcesByTask.get(taskUid) || []), name]);
+  });
+
+  const parents = [];
+  const tasks = [];
+  section('Tasks').forEach(el => {
+    const uid = text(el, 'UID');
+    const outlineLevel = Number(text(el, 'OutlineLevel') || 1);
+    if (text(el, 'IsNull') === '1' || outlineLevel === 0) return;
+    parents.length = outlineLevel;
+    const agbim = children(el, 'ExtendedAttribute').find(a => text(a, 'FieldID') === AGBIM_ID_FIELD);
+    tasks.push({
+      uid,
+      name: text(el, 'Name') || '',
+      outlineLevel,
+      summary: text(el, 'Summary') === '1',
+      parentUid: parents[outlineLevel - 1] || null,
+      start: mspdiDate(text(el, 'Start')),
+      end: mspdiDate(text(el, 'Finish'), { finish: true }),
+      actualStart: mspdiDate(text(el, 'ActualStart')),
+      actualEnd: mspdiDate(text(el, 'ActualFinish'), { finish: true }),
+      progress: Number(text(el, 'PercentComplete')) || 0,
+      agbimId: agbim ? text(agbim, 'Value') : null,
+      predecessors: children(el, 'PredecessorLink').map(link => ({
+        uid: text(link, 'PredecessorUID'),
+        type: linkTypes[text(link, 'Type')] || 'FS',
+        lag: Math.round((Number(text(link, 'LinkLag')) || 0) / (minutesPerDay * 10))
+      })),
+      resources: resourcesByTask.get(uid) || []
+    });
+    parents[outlineLevel] = uid;
+  });
+
+  return { name: text(root, 'Title') || text(root, 'Name') || '', tasks };
+};
+
+/** ======================== PRIMAVERA XER ======================== */
+
+const xerValue = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+// P6 broji datume iznimaka kalendara kao serijske dane od 30.12.1899.
+const xerDay = (date) => Math.round((Date.parse(`${date}T00:00:00Z`) - Date.UTC(1899, 11, 30)) / DAY_MS);
+
+/**
+ * clndr_data P6 kalendara iz radnog kalendara: radni tjedan s radnim vremenom od 08:00 te
+ * praznici i zatvaranja kao neradne, a dodatni radni dani kao radne iznimke u godinama plana.
+ */
+const xerCalendarData = (calendar, span) => {
+  const workWeek = calendar.config?.workWeek || [1, 2, 3, 4, 5];
+  const shift = `(0||0(s|${clockOf(DAY_START_MINUTES)}|f|${clockOf(DAY_START_MINUTES + hoursPerDayOf(calendar) * 60)})())`;
+  // P6 dani u tjednu: 1 = nedjelja ... 7 = subota
+  const week = [0, 1, 2, 3, 4, 5, 6].map(day => `(0||${day + 1}()(${workWeek.includes(day) ? shift : ''}))`).join('');
+
+  const exceptions = [];
+  if (span.start && span.end) {
+    const from = `${span.start.slice(0, 4)}-01-01`;
+    const to = `${span.end.slice(0, 4)}-12-31`;
+    calendar.getNonWorkingDays(from, to)
+      .filter(day => day.type === DAY_TYPES.HOLIDAY || day.type === DAY_TYPES.SHUTDOWN)
+      .forEach(day => exceptions.push(`(0||${exceptions.length}(d|${xerDay(day.date)})())`));
+    (calendar.config?.extraWorkDays || [])
+      .filter(date => from <= date && date <= to && calendar.isWorkDay(date))
+      .forEach(date => exceptions.push(`(0||${exceptions.length}(d|${xerDay(date)})(${shift}))`));
+  }
+
+  return `(0||CalendarData()((0||DaysOfWeek()(${week}))(0||VIEW(ShowTotal|Y)())(0||Exceptions()(${exceptions.join('')}))))`;
+};
+
+/**
+ * Primavera P6 XER: radni kalendar, projekt, WBS po poziciji, resursi, aktivnosti, veze i dodjele.
+ * Projekt i aktivnosti koriste kalendar izveden iz radnog kalendara (clndr_id 1).
+ */
+export const toXer = (schedule, { calendar = getWorkCalendar(), exportedAt = new Date().toISOString() } = {}) => {
+  const hoursPerDay = hoursPerDayOf(calendar);
+  const at = (date, minutes) => (date ? `${date} ${clockOf(minutes)}` : '');
+  const startAt = (date) => at(date, DAY_START_MINUTES);
+  const endAt = (date) => at(date, DAY_START_MINUTES + hoursPerDay * 60);
+
+  const lines = [['ERMHDR', '19.12', exportedAt.slice(0, 10), 'Project', 'admin', 'AGBIM', 'dbxDatabaseNoName', 'Project Management', 'EUR'].join('\t')];
+  const table = (name, fields, rows) => {
+    lines.push(`%T\t${name}`, `%F\t${fields.join('\t')}`);
+    rows.forEach(row => lines.push(`%R\t${fields.map(field => xerValue(row[field])).join('\t')}`));
+  };
+
+  const tasks = flatTasks(schedule);
+  const span = spanOf(tasks);
+  const owners = [...new Set(tasks.map(t => t.owner).filter(Boolean))];
+  const taskIds = new Map(tasks.map((task, i) => [task.id, i + 1]));
+
+  const workWeek = calendar.config?.workWeek || [1, 2, 3, 4, 5];
+  table('CALENDAR', ['clndr_id', 'default_flag', 'clndr_name', 'proj_id', 'base_clndr_id', 'clndr_type', 'day_hr_cnt', 'week_hr_cnt', 'clndr_data'], [
+    {
+      clndr_id: 1,
+      default_flag: 'Y',
+      clndr_name: 'AGBIM radni kalendar',
+      proj_id: '',
+      base_clndr_id: '',
+      clndr_type: 'CA_Base',
+      day_hr_cnt: hoursPerDay,
+      week_hr_cnt: workWeek.length * hoursPerDay,
+      clndr_data: xerCalendarData(calendar, span)
+    }
+  ]);
+  table('PROJECT', ['proj_id', 'proj_short_name', 'clndr_id', 'plan_start_date', 'plan_end_date', 'day_hr_cnt'], [
+    { proj_id: 1, proj_short_name: schedule.id || schedule.name, clndr_id: 1, plan_start_date: startAt(span.start), plan_end_date: endAt(span.end), day_hr_cnt: hoursPerDay }
+  ]);
+  table('PROJWBS', ['wbs_id', 'proj_id', 'parent_wbs_id', 'seq_num', 'proj_node_flag', 'wbs_short_name', 'wbs_name'], [
+    { wbs_id: 1, proj_id: 1, parent_wbs_id: '', seq_num: 0, proj_node_flag: 'Y', wbs_short_name: schedule.id || schedule.name, wbs_name: schedule.name },
+    ...(schedule.positions || []).map((position, i) => ({
+      wbs_id: i + 2, proj_id: 1, parent_wbs_id: 1, seq_num: i + 1, proj_node_flag: 'N', wbs_short_name: position.id, wbs_name: position.title || position.id
+    }))
+  ]);
+  table('RSRC', ['rsrc_id', 'rsrc_short_name', 'rsrc_name', 'rsrc_type'], owners.map((name, i) => ({
+    rsrc_id: i + 1, rsrc_short_name: name.slice(0, 20), rsrc_name: name, rsrc_type: 'RT_Labor'
+  })));
+  table('TASK', [
+    'task_id', 'proj_id', 'wbs_id', 'clndr_id', 'task_code', 'task_name', 'task_type', 'status_code',
+    'target_start_date', 'target_end_date', 'act_start_date', 'act_end_date', 'target_drtn_hr_cnt', 'phys_complete_pct'
+  ], (schedule.positions || []).flatMap((position, p) => (position.tasks || []).map(task => ({
+    task_id: taskIds.get(task.id),
+    proj_id: 1,
+    wbs_id: p + 2,
+    clndr_id: 1,
+    task_code: task.id,
+    task_name: `${position.title || position.id} – ${task.name}`,
+    task_type: 'TT_Task',
+    status_code: task.actualEnd || task.progress >= 100 ? 'TK_Complete' : task.actualStart ? 'TK_Active' : 'TK_NotStart',
+    target_start_date: startAt(task.start),
+    target_end_date: endAt(task.end),
+    act_start_date: startAt(task.actualStart),
+    act_end_date: endAt(task.actualEnd),
+    target_drtn_hr_cnt: workDaysOf(task, calendar) * hoursPerDay,
+    phys_complete_pct: Math.round(task.progress || 0)
+  }))));
+  table('TASKPRED', ['task_pred_id', 'task_id', 'pred_task_id', 'proj_id', 'pred_proj_id', 'pred_type', 'lag_hr_cnt'],
+    tasks.flatMap(task => (task.dependencies || []).filter(dep => taskIds.has(dep.from)).map(dep => ({
+      task_id: taskIds.get(task.id),
+      pred_task_id: taskIds.get(dep.from),
+      proj_id: 1,
+      pred_proj_id: 1,
+      pred_type: XER_LINK_TYPES[dep.type] || XER_LINK_TYPES.FS,
+      lag_hr_cnt: (dep.lag || 0) * hoursPerDay
+    }))).map((row, i) => ({ task_pred_id: i + 1, ...row })));
+  table('TASKRSRC', ['taskrsrc_id', 'task_id', 'proj_id', 'rsrc_id'], tasks.filter(t => t.owner).map((task, i) => ({
+    taskrsrc_id: i + 1, task_id: taskIds.get(task.id), proj_id: 1, rsrc_id: owners.indexOf(task.owner) + 1
+  })));
+  lines.push('%E');
+  return lines.join('\r\n');
+};
+
+/** ======================== ICALENDAR ======================== */
+
+const encoder = new TextEncoder();
+
+const escapeIcs = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Redovi dulji od 75 okteta se lome (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * iCalendar feed s cjelodnevnim događajima; event: { uid, start, end (uključiv), summary, description, location }.
+ */
+export const toICalendar = (events, { name = 'Plan', stamp = new Date().toISOString() } = {}) => {
+  const dtStamp = stamp.replace(/[-:]/g, '').replace(/\.\d+/, '').slice(0, 15) + 'Z';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AGBIM//Plan proizvodnje i montaže//HR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcs(name)}`
+  ];
+  events.filter(e => e.start && e.end).forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeIcs(event.uid)}`,
+      `DTSTAMP:${dtStamp}`,
+      `DTSTART;VALUE=DATE:${event.start.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${nextDay(event.end).replace(/-/g, '')}`,
+      `SUMMARY:${escapeIcs(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcs(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcs(event.location)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,261 @@
+// utils/speechToText.js
+// Govor u tekst za /api/transcribe (server.js, file-writer.cjs, backend/server.js). Pružatelji su
+// lokalni HTTP poslužitelj (faster-whisper iz python-servers/stt_server.py ili whisper.cpp server)
+// i OpenAI whisper kroz LLM registar; redom iz STT_PROVIDERS, a kad jedan nije dostupan (mreža,
+// istek, 5xx) ide se na sljedeći, pa transkripcija na gradilištu radi i bez interneta.
+// Rječnik domene (PZ kodovi, mjeseci, normativi, procesi) ide modelu kao početni prompt i hotwords.
+// Rezultat je uvijek istog oblika:
+//   { text, language, duration, confidence, words: [{ word, start, end, confidence }], provider, model }
+//
+// Okruženje: STT_PROVIDERS=local,openai  STT_BASE_URL=http://127.0.0.1:8002/v1
+//            STT_LOCAL_KIND=faster-whisper|whisper.cpp  STT_MODEL=large-v3  STT_TIMEOUT_MS=60000
+
+import { getProcessTemplates } from './processTemplates.js';
+import { isLLMUnavailableError } from './voiceActions.js';
+
+export const STT_PROVIDERS = {
+  LOCAL: 'local',
+  OPENAI: 'openai'
+};
+
+export const LOCAL_STT_KINDS = {
+  FASTER_WHISPER: 'faster-whisper',
+  WHISPER_CPP: 'whisper.cpp'
+};
+
+export const STT_LANGUAGE = 'hr';
+
+// Uz python-servers (8000 tekst, 8001 vid, 7000 PDF)
+export const DEFAULT_LOCAL_STT_URL = 'http://127.0.0.1:8002/v1';
+
+const DEFAULT_LOCAL_MODELS = {
+  [LOCAL_STT_KINDS.FASTER_WHISPER]: 'large-v3',
+  [LOCAL_STT_KINDS.WHISPER_CPP]: null
+};
+
+// Whisper uzima samo zadnjih ~224 tokena prompta
+export const MAX_PROMPT_LENGTH = 600;
+
+export const CROATIAN_MONTHS = [
+  'siječanj', 'veljača', 'ožujak', 'travanj', 'svibanj', 'lipanj',
+  'srpanj', 'kolovoz', 'rujan', 'listopad', 'studeni', 'prosinac'
+];
+
+// Datumi se izgovaraju u genitivu ("drugog ožujka"), oblici kao u parseCroatianCommand
+export const CROATIAN_MONTHS_GENITIVE = [
+  'siječnja', 'veljače', 'ožujka', 'travnja', 'svibnja', 'lipnja',
+  'srpnja', 'kolovoza', 'rujna', 'listopada', 'studenog', 'prosinca'
+];
+
+export const DOMAIN_TERMS = ['PZ-01', 'normativ', 'pozicija', 'montaža', 'Gantt', 'pomakni', 'rasporedi lanac'];
+
+/**
+ * Rječnik iz polja zahtjeva: JSON niz ili popis odvojen zarezima ("PZ-07, PZ-08").
+ */
+export const parseVocabularyField = (value) => {
+  const raw = Array.isArray(value) ? value.join(',') : value;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return parsed.map(String).map(t => t.trim()).filter(Boolean);
+  } catch {
+    // nije JSON, popis sa zarezima
+  }
+  return String(raw).split(/[,;\n]/).map(t => t.trim()).filter(Boolean);
+};
+
+/**
+ * Pojmovi za usmjeravanje prepoznavanja: traženi (npr. PZ kodovi projekta) pa nazivi procesa i
+ * normativa iz knjižnice predložaka, pojmovi domene i mjeseci, bez ponavljanja.
+ */
+export const buildSttVocabulary = ({ terms = [], library = getProcessTemplates() } = {}) => {
+  const processes = Object.values(library.templates || {}).flatMap(t => t.processes.map(p => p.name));
+  const normatives = Object.values(library.normativeProfiles || {}).map(p => p.name);
+  const seen = new Set();
+  return [...terms, ...normatives, ...processes, ...DOMAIN_TERMS, ...CROATIAN_MONTHS_GENITIVE, ...CROATIAN_MONTHS]
+    .map(term => String(term).trim())
+    .filter(term => term && !seen.has(term.toLowerCase()) && seen.add(term.toLowerCase()));
+};
+
+/**
+ * Početni prompt za Whisper; pojmovi s početka rječnika imaju prednost kad prompt treba skratiti.
+ */
+export const vocabularyPrompt = (vocabulary, { maxLength = MAX_PROMPT_LENGTH } = {}) => {
+  const intro = 'Glasovne naredbe za plan proizvodnje i montaže aluminijskih pozicija: ';
+  const terms = [];
+  let length = intro.length + 1;
+  for (const term of vocabulary) {
+    if (length + term.length + 2 > maxLength) break;
+    terms.push(term);
+    length += term.length + 2;
+  }
+  return terms.length ? `${intro}${terms.join(', ')}.` : '';
+};
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+// Pouzdanost segmenta iz prosječne log-vjerojatnosti tokena
+const segmentConfidence = (segment) => (Number.isFinite(segment?.avg_logprob) ? Math.exp(segment.avg_logprob) : null);
+
+/**
+ * Odgovor pružatelja (OpenAI/faster-whisper verbose_json, whisper.cpp verbose_json ili čisti tekst)
+ * u zajednički oblik. Riječi bez vlastite vjerojatnosti dobivaju pouzdanost svog segmenta.
+ */
+export const normalizeTranscription = (raw, { provider, model = null, language = STT_LANGUAGE } = {}) => {
+  if (typeof raw === 'string') {
+    return { text: raw.trim(), language, duration: null, confidence: null, words: [], provider, model };
+  }
+  const segments = Array.isArray(raw?.segments) ? raw.segments : [];
+  const segmentAt = (time) => segments.find(s => time >= s.start && time <= s.end) || null;
+  const rawWords = Array.isArray(raw?.words) && raw.words.length
+    ? raw.words
+    : segments.flatMap(s => (s.words || []).map(w => ({ ...w, segment: s })));
+
+  const words = rawWords
+    .map(w => {
+      const start = Number(w.start ?? w.t0);
+      const confidence = Number.isFinite(w.probability) ? w.probability : segmentConfidence(w.segment || segmentAt(start));
+      return { word: String(w.word ?? w.text ?? '').trim(), start: round(start), end: round(Number(w.end ?? w.t1)), confidence: round(confidence) };
+    })
+    .filter(w => w.word);
+
+  const scored = words.filter(w => w.confidence !== null);
+  const scoredSegments = segments.map(segmentConfidence).filter(c => c !== null);
+  const confidence = scored.length
+    ? scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length
+    : scoredSegments.length ? scoredSegments.reduce((sum, c) => sum + c, 0) / scoredSegments.length : null;
+
+  return {
+    text: String(raw?.text ?? segments.map(s => s.text).join('')).trim(),
+    language, // zadani jezik; OpenAI vraća naziv ("croatian"), faster-whisper kod
+    duration: round(Number(raw?.duration ?? segments[segments.length - 1]?.end)),
+    confidence: round(confidence),
+    words,
+    provider,
+    model
+  };
+};
+
+/**
+ * Lokalni poslužitelj: faster-whisper s OpenAI-kompatibilnim /audio/transcriptions (uz hotwords)
+ * ili whisper.cpp server s /inference. `audio` je { buffer, filename, mimeType }.
+ */
+export const createLocalSttProvider = ({
+  baseUrl = DEFAULT_LOCAL_STT_URL,
+  kind = LOCAL_STT_KINDS.FASTER_WHISPER,
+  model = DEFAULT_LOCAL_MODELS[kind] ?? null,
+  timeoutMs = 60000,
+  fetchImpl = globalThis.fetch
+} = {}) => {
+  if (!Object.values(LOCAL_STT_KINDS).includes(kind)) throw new Error(`Unknown local STT kind "${kind}" (expected faster-whisper or whisper.cpp)`);
+  const url = baseUrl.replace(/\/+$/, '') + (kind === LOCAL_STT_KINDS.WHISPER_CPP ? '/inference' : '/audio/transcriptions');
+
+  const transcribe = async (audio, { language = STT_LANGUAGE, prompt = '', hotwords = [], signal = null } = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([audio.buffer], { type: audio.mimeType || 'audio/webm' }), audio.filename || 'audio.webm');
+    form.append('language', language);
+    form.append('response_format', 'verbose_json');
+    form.append('temperature', '0');
+    if (prompt) form.append('prompt', prompt);
+    if (kind === LOCAL_STT_KINDS.FASTER_WHISPER) {
+      if (model) form.append('model', model);
+      form.append('timestamp_granularities[]', 'word');
+      form.append('timestamp_granularities[]', 'segment');
+      if (hotwords.length) form.append('hotwords', hotwords.join(' '));
+    }
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetchImpl(url, { method: 'POST', body: form, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw Object.assign(new Error(`Local STT server ${url} returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`), { status: response.status });
+    }
+    return normalizeTranscription(await response.json(), { provider: STT_PROVIDERS.LOCAL, model, language });
+  };
+
+  return { name: STT_PROVIDERS.LOCAL, kind, url, model, available: () => true, transcribe };
+};
+
+/**
+ * OpenAI whisper kroz LLM registar (ili bilo što s istim `transcribe(request, options)`), s riječima
+ * i segmentima iz verbose_json.
+ */
+export const createOpenAISttProvider = (llm, { route = {} } = {}) => {
+  const available = (options = route) => !!llm && (typeof llm.available !== 'function' || llm.available('transcription', options));
+
+  const transcribe = async (audio, { language = STT_LANGUAGE, prompt = '', route: requestRoute = route } = {}) => {
+    const response = await llm.transcribe({
+      file: new File([audio.buffer], audio.filename || 'audio.webm', { type: audio.mimeType || 'audio/webm' }),
+      language,
+      ...(prompt ? { prompt } : {}),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word', 'segment'],
+      temperature: 0
+    }, requestRoute);
+    const model = typeof llm.resolve === 'function' ? llm.resolve('transcription', requestRoute)?.model || null : null;
+    return normalizeTranscription(response, { provider: STT_PROVIDERS.OPENAI, model, language });
+  };
+
+  return { name: STT_PROVIDERS.OPENAI, available, transcribe };
+};
+
+/**
+ * Redoslijed pružatelja: STT_PROVIDERS, inače lokalni prvi ako je STT_BASE_URL postavljen, a
+ * bez njega OpenAI pa lokalni na zadanoj adresi kao rezerva.
+ */
+export const sttProviderOrder = (env = {}) => {
+  const order = env.STT_PROVIDERS
+    ? env.STT_PROVIDERS.split(',').map(p => p.trim()).filter(Boolean)
+    : env.STT_BASE_URL ? [STT_PROVIDERS.LOCAL, STT_PROVIDERS.OPENAI] : [STT_PROVIDERS.OPENAI, STT_PROVIDERS.LOCAL];
+  const unknown = order.filter(p => !Object.values(STT_PROVIDERS).includes(p));
+  if (unknown.length) throw new Error(`Unknown STT provider "${unknown[0]}" in STT_PROVIDERS (expected local, openai)`);
+  return [...new Set(order)];
+};
+
+/**
+ * Transkripcija s rezervnim pružateljima. Greška nedostupnosti prelazi na sljedećeg pružatelja, a
+ * ostale (loš zvuk, 4xx) se odmah bacaju. Kad nijedan ne uspije, greška ima `status` 503 i
+ * `attempts` s razlogom po pružatelju. Prekid kroz `signal` (zatvoren glasovni tok) ne prelazi dalje.
+ */
+export const createSpeechToText = ({ llm = null, env = globalThis.process?.env || {}, fetchImpl, library } = {}) => {
+  const local = createLocalSttProvider({
+    baseUrl: env.STT_BASE_URL || DEFAULT_LOCAL_STT_URL,
+    kind: env.STT_LOCAL_KIND || LOCAL_STT_KINDS.FASTER_WHISPER,
+    ...(env.STT_MODEL ? { model: env.STT_MODEL } : {}),
+    ...(env.STT_TIMEOUT_MS ? { timeoutMs: Number(env.STT_TIMEOUT_MS) } : {}),
+    ...(fetchImpl ? { fetchImpl } : {})
+  });
+  const providers = { [STT_PROVIDERS.LOCAL]: local, [STT_PROVIDERS.OPENAI]: createOpenAISttProvider(llm) };
+  const order = sttProviderOrder(env);
+
+  const transcribe = async (audio, { vocabulary = [], language = STT_LANGUAGE, route = {}, signal = null } = {}) => {
+    const terms = buildSttVocabulary({ terms: vocabulary, ...(library ? { library } : {}) });
+    const options = { language, prompt: vocabularyPrompt(terms), hotwords: terms.filter(t => !/\s/.test(t)), route, signal };
+    const attempts = [];
+    for (const name of order) {
+      signal?.throwIfAborted();
+      const provider = providers[name];
+      if (!provider.available(route)) {
+        attempts.push({ provider: name, error: 'not configured' });
+        continue;
+      }
+      try {
+        const result = await provider.transcribe(audio, options);
+        return attempts.length ? { ...result, fallback: attempts } : result;
+      } catch (error) {
+        if (signal?.aborted || !isLLMUnavailableError(error)) throw error;
+        attempts.push({ provider: name, error: error.message });
+      }
+    }
+    const summary = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+    throw Object.assign(new Error(`No speech-to-text provider available (${summary})`), { status: 503, attempts });
+  };
+
+  const describe = () => ({
+    order,
+    local: { kind: local.kind, url: local.url, model: local.model },
+    openai: providers.openai.available()
+  });
+
+  return { order, providers, transcribe, describe };
+};
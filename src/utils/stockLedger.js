@@ -0,0 +1,281 @@
+// utils/stockLedger.js
+// Skladišni ledger: kretanja su nepromjenjiva, stanja se uvijek izračunavaju iz njih.
+
+export const MOVEMENT_TYPES = {
+  RECEIPT: 'receipt',
+  ISSUE: 'issue',
+  TRANSFER: 'transfer',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const MOVEMENT_LABELS = {
+  [MOVEMENT_TYPES.RECEIPT]: 'Primka',
+  [MOVEMENT_TYPES.ISSUE]: 'Izdatnica',
+  [MOVEMENT_TYPES.TRANSFER]: 'Međuskladišnica',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Korekcija'
+};
+
+// Stari tipovi iz project.warehouse.movements ('in' / 'out' / 'transfer')
+const LEGACY_MOVEMENT_TYPES = {
+  in: MOVEMENT_TYPES.RECEIPT,
+  out: MOVEMENT_TYPES.ISSUE,
+  transfer: MOVEMENT_TYPES.TRANSFER
+};
+
+// Lokacija u formatu ZONA-REGAL-POLICA, npr. A-12-3
+export const LOCATION_PATTERN = /^([A-Z]{1,2})-(\d{1,3})-(\d{1,2})$/;
+
+export const STOCK_STATUS = {
+  AVAILABLE: 'available',
+  LOW: 'low',
+  CRITICAL: 'critical'
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+export const createEmptyWarehouse = () => ({
+  locations: [],
+  articles: [],
+  movements: [],
+  reservations: [],
+  offcuts: []
+});
+
+export const ensureWarehouse = (warehouse) => ({
+  ...createEmptyWarehouse(),
+  ...(warehouse || {}),
+  locations: warehouse?.locations || [],
+  articles: warehouse?.articles || [],
+  movements: warehouse?.movements || [],
+  reservations: warehouse?.reservations || [],
+  offcuts: warehouse?.offcuts || []
+});
+
+export const normalizeLocation = (code) => (code ? String(code).trim().toUpperCase() : null);
+
+export const parseLocation = (code) => {
+  const match = normalizeLocation(code)?.match(LOCATION_PATTERN);
+  if (!match) return null;
+  return { code: match[0], zone: match[1], rack: Number(match[2]), shelf: Number(match[3]) };
+};
+
+export const normalizeMovementType = (type) =>
+  LEGACY_MOVEMENT_TYPES[type] || (Object.values(MOVEMENT_TYPES).includes(type) ? type : null);
+
+/**
+ * Signed quantity changes a movement causes, per location.
+ * Adjustments carry a signed quantity, everything else is always positive.
+ */
+export const getMovementEffects = (movement) => {
+  const qty = Number(movement.quantity) || 0;
+  switch (movement.type) {
+    case MOVEMENT_TYPES.RECEIPT:
+      return [{ location: movement.toLocation, delta: qty }];
+    case MOVEMENT_TYPES.ISSUE:
+      return [{ location: movement.fromLocation, delta: -qty }];
+    case MOVEMENT_TYPES.TRANSFER:
+      return [
+        { location: movement.fromLocation, delta: -qty },
+        { location: movement.toLocation, delta: qty }
+      ];
+    case MOVEMENT_TYPES.ADJUSTMENT:
+      return [{ location: movement.toLocation || movement.fromLocation, delta: qty }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Compute on-hand, reserved and available quantities per article from the ledger.
+ * Returns a map keyed by article code.
+ */
+export const computeBalances = (warehouse) => {
+  const { articles, movements, reservations } = ensureWarehouse(warehouse);
+  const balances = {};
+
+  const entry = (code) => {
+    if (!balances[code]) {
+      balances[code] = { articleCode: code, onHand: 0, reserved: 0, available: 0, byLocation: {}, lastMovementAt: null };
+    }
+    return balances[code];
+  };
+
+  articles.forEach(a => entry(a.code));
+
+  movements.forEach(m => {
+    const b = entry(m.articleCode);
+    getMovementEffects(m).forEach(({ location, delta }) => {
+      const loc = location || 'N/A';
+      b.byLocation[loc] = round((b.byLocation[loc] || 0) + delta);
+      b.onHand = round(b.onHand + delta);
+    });
+    if (!b.lastMovementAt || m.timestamp > b.lastMovementAt) b.lastMovementAt = m.timestamp;
+  });
+
+  reservations
+    .filter(r => r.status === 'active')
+    .forEach(r => {
+      const b = entry(r.articleCode);
+      b.reserved = round(b.reserved + (Number(r.quantity) || 0));
+    });
+
+  Object.values(balances).forEach(b => {
+    Object.keys(b.byLocation).forEach(loc => {
+      if (b.byLocation[loc] === 0) delete b.byLocation[loc];
+    });
+    b.available = round(b.onHand - b.reserved);
+  });
+
+  return balances;
+};
+
+export const getStockStatus = (article, balance) => {
+  const available = balance?.available ?? 0;
+  const minStock = Number(article?.minStock) || 0;
+  if (available <= 0 || (minStock > 0 && available < minStock / 2)) return STOCK_STATUS.CRITICAL;
+  if (minStock > 0 && available < minStock) return STOCK_STATUS.LOW;
+  return STOCK_STATUS.AVAILABLE;
+};
+
+/**
+ * Check a movement against the article register and current balances.
+ * Returns a list of error messages (empty when the movement can be posted).
+ */
+export const validateMovement = (warehouse, movement, balances = computeBalances(warehouse)) => {
+  const errors = [];
+  const { articles } = ensureWarehouse(warehouse);
+  const qty = Number(movement.quantity);
+
+  const type = normalizeMovementType(movement.type);
+  if (!type) {
+    errors.push(`Unknown movement type "${movement.type}"`);
+    return errors;
+  }
+
+  if (!articles.some(a => a.code === movement.articleCode)) {
+    errors.push(`Article ${movement.articleCode} is not registered in the warehouse`);
+  }
+  if (!Number.isFinite(qty) || qty === 0 || (type !== MOVEMENT_TYPES.ADJUSTMENT && qty < 0)) {
+    errors.push(`Invalid quantity ${movement.quantity} for ${movement.articleCode}`);
+  }
+
+  const needsFrom = type === MOVEMENT_TYPES.ISSUE || type === MOVEMENT_TYPES.TRANSFER;
+  const needsTo = type === MOVEMENT_TYPES.RECEIPT || type === MOVEMENT_TYPES.TRANSFER;
+  if (needsFrom && !parseLocation(movement.fromLocation)) {
+    errors.push(`Invalid source location "${movement.fromLocation || ''}"`);
+  }
+  if (needsTo && !parseLocation(movement.toLocation)) {
+    errors.push(`Invalid target location "${movement.toLocation || ''}"`);
+  }
+  if (type === MOVEMENT_TYPES.ADJUSTMENT && !parseLocation(movement.toLocation || movement.fromLocation)) {
+    errors.push('Adjustment needs a location');
+  }
+  if (type === MOVEMENT_TYPES.TRANSFER && normalizeLocation(movement.fromLocation) === normalizeLocation(movement.toLocation)) {
+    errors.push('Transfer source and target location are the same');
+  }
+
+  if (errors.length === 0) {
+    const balance = balances[movement.articleCode];
+    const outgoing = getMovementEffects({ ...movement, type }).filter(e => e.delta < 0);
+    outgoing.forEach(({ location, delta }) => {
+      const atLocation = balance?.byLocation?.[normalizeLocation(location)] || 0;
+      if (atLocation + delta < 0) {
+        errors.push(`Not enough ${movement.articleCode} on ${location}: ${atLocation} on hand, ${-delta} requested`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Build the immutable ledger record for a movement request.
+ */
+export const createMovement = (movement, context = {}) => {
+  const type = normalizeMovementType(movement.type);
+  return {
+    id: `mov_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp: movement.timestamp || new Date().toISOString(),
+    type,
+    articleCode: movement.articleCode,
+    quantity: Number(movement.quantity),
+    fromLocation: normalizeLocation(movement.fromLocation),
+    toLocation: normalizeLocation(movement.toLocation),
+    projectId: movement.projectId ?? context.projectId ?? null,
+    positionId: movement.positionId ?? null,
+    documentRef: movement.documentRef || null,
+    notes: movement.notes || '',
+    userId: movement.userId || context.userId || 'user_demo'
+  };
+};
+
+/**
+ * Validate and append a batch of movement requests (legacy in/out with `code`/`section` too).
+ * Each movement is checked against balances that include the earlier ones; if any is invalid
+ * nothing is posted. Mutates the warehouse; returns the posted records.
+ */
+export const postMovementBatch = (warehouse, movements, context = {}) => {
+  const posted = [];
+  const working = { ...warehouse, movements: [...warehouse.movements] };
+
+  movements.forEach((movement, index) => {
+    const request = {
+      ...movement,
+      articleCode: movement.articleCode || movement.code,
+      fromLocation: movement.fromLocation ?? (movement.type === 'out' ? movement.section : undefined),
+      toLocation: movement.toLocation ?? (movement.type !== 'out' ? movement.section : undefined)
+    };
+    const errors = validateMovement(working, request, computeBalances(working));
+    if (errors.length > 0) {
+      throw new Error(`Movement ${index + 1}: ${errors.join('; ')}`);
+    }
+
+    const record = createMovement(request, context);
+    working.movements.push(record);
+    posted.push(record);
+  });
+
+  warehouse.movements.push(...posted);
+  return posted;
+};
+
+/**
+ * A posted movement is never edited; it is corrected by posting its reversal.
+ */
+export const createReversal = (movement, notes = '') => {
+  const base = { ...movement, timestamp: undefined, documentRef: movement.id, notes: notes || `Storno ${movement.id}` };
+  if (movement.type === MOVEMENT_TYPES.RECEIPT) {
+    return createMovement({ ...base, type: MOVEMENT_TYPES.ISSUE, fromLocation: movement.toLocation, toLocation: null });
+  }
+  if (movement.type === MOVEMENT_TYPES.ISSUE) {
+    return createMovement({ ...base, type: MOVEMENT_TYPES.RECEIPT, toLocation: movement.fromLocation, fromLocation: null });
+  }
+  if (movement.type === MOVEMENT_TYPES.TRANSFER) {
+    return createMovement({ ...base, fromLocation: movement.toLocation, toLocation: movement.fromLocation });
+  }
+  return createMovement({ ...base, quantity: -movement.quantity });
+};
+
+/**
+ * Flat stock rows for tables: article master data joined with its balance.
+ */
+export const getStockRows = (warehouse) => {
+  const wh = ensureWarehouse(warehouse);
+  const balances = computeBalances(wh);
+  return wh.articles.map(article => {
+    const balance = balances[article.code];
+    const locations = Object.keys(balance?.byLocation || {});
+    return {
+      ...article,
+      id: article.code,
+      location: locations[0] || article.defaultLocation || '',
+      locations,
+      byLocation: balance?.byLocation || {},
+      onHand: balance?.onHand || 0,
+      reserved: balance?.reserved || 0,
+      available: balance?.available || 0,
+      lastMovementAt: balance?.lastMovementAt || null,
+      status: getStockStatus(article, balance)
+    };
+  });
+};
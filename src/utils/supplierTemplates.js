@@ -0,0 +1,379 @@
+// utils/supplierTemplates.js
+// Registar dobavljača po OIB-u i naučeni predlošci za čitanje njihovih računa (bez AI poziva).
+
+import { normalizeOib } from './invoiceMatching.js';
+
+// Polja zaglavlja i rekapitulacije koja predložak zna pročitati
+export const TEMPLATE_HEADER_FIELDS = [
+  'documentNumber', 'date', 'dueDate', 'totals.subtotal', 'totals.vatAmount', 'totals.totalAmount'
+];
+export const TEMPLATE_ITEM_FIELDS = ['code', 'description', 'quantity', 'unit', 'unitPrice', 'discountPercent', 'totalPrice'];
+
+const DATE_FIELDS = new Set(['date', 'dueDate']);
+const NUMERIC_FIELDS = new Set([
+  'totals.subtotal', 'totals.vatAmount', 'totals.totalAmount', 'quantity', 'unitPrice', 'discountPercent', 'totalPrice'
+]);
+const TOTAL_FIELDS = ['totals.subtotal', 'totals.vatAmount', 'totals.totalAmount'];
+
+// Koliko se confidence podiže po polju pročitanom naučenim predloškom
+export const TEMPLATE_CONFIDENCE_BONUS = 0.04;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getPath = (obj, path) => path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let current = obj;
+  keys.slice(0, -1).forEach(key => { current = current[key] = current[key] || {}; });
+  current[keys[keys.length - 1]] = value;
+};
+const normalizeText = (s) => String(s ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Tekst dokumenta kao retci i ćelije (tab ili 2+ razmaka odvajaju ćelije).
+ */
+export const toTextLines = (text) =>
+  String(text || '').split('\n').map(line => line.split(/\t| {2,}/).map(c => c.trim()).filter(Boolean));
+
+// ====== Brojevi i datumi ======
+
+const groupThousands = (int, sep) => int.replace(/\B(?=(\d{3})+(?!\d))/g, sep);
+
+const numberVariants = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return [];
+  const [int, dec] = Math.abs(n).toFixed(2).split('.');
+  const sign = n < 0 ? '-' : '';
+  const variants = [
+    { text: `${sign}${groupThousands(int, '.')},${dec}`, format: 'eu' },
+    { text: `${sign}${int},${dec}`, format: 'eu' },
+    { text: `${sign}${groupThousands(int, ',')}.${dec}`, format: 'us' },
+    { text: `${sign}${int}.${dec}`, format: 'us' }
+  ];
+  // Cijeli brojevi (količine) se često ispisuju bez decimala
+  if (Number.isInteger(n)) variants.push({ text: String(n), format: null });
+  return variants;
+};
+
+const dateVariants = (value) => {
+  const m = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return [];
+  const [, y, mo, d] = m;
+  return [`${d}.${mo}.${y}`, `${Number(d)}.${Number(mo)}.${y}`, `${d}/${mo}/${y}`, `${y}-${mo}-${d}`]
+    .map(text => ({ text, format: null }));
+};
+
+const valueVariants = (field, value) => {
+  if (value === null || value === undefined || value === '') return [];
+  const key = field.split('.').pop();
+  if (DATE_FIELDS.has(field)) return dateVariants(value);
+  if (NUMERIC_FIELDS.has(field) || NUMERIC_FIELDS.has(key)) return numberVariants(value);
+  return [{ text: String(value).trim(), format: null }];
+};
+
+/**
+ * Broj u zadanom formatu ('eu' = 1.234,56; 'us' = 1,234.56); bez formata pogađa po zadnjem separatoru.
+ */
+export const parseNumber = (raw, format = null) => {
+  let s = String(raw ?? '').replace(/[^\d.,-]/g, '');
+  if (!s) return null;
+  const guess = format || (s.lastIndexOf(',') > s.lastIndexOf('.') ? 'eu' : 'us');
+  s = guess === 'eu' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+};
+
+const parseDate = (raw) => {
+  const s = String(raw || '');
+  const iso = s.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const m = s.match(/\b(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})\b/);
+  if (!m) return null;
+  const year = Number(m[3]) < 100 ? 2000 + Number(m[3]) : Number(m[3]);
+  return `${year}-${String(m[2]).padStart(2, '0')}-${String(m[1]).padStart(2, '0')}`;
+};
+
+const parseFieldValue = (field, raw, numberFormat) => {
+  if (raw === null || raw === undefined) return null;
+  if (DATE_FIELDS.has(field)) return parseDate(raw);
+  if (NUMERIC_FIELDS.has(field) || NUMERIC_FIELDS.has(field.split('.').pop())) return parseNumber(raw, numberFormat);
+  return String(raw).trim().split(/\s+/)[0] || null;
+};
+
+// ====== Registar dobavljača ======
+
+export const createEmptyTemplate = () => ({
+  numberFormat: null,
+  labels: {},
+  itemHeader: null,
+  corrections: 0,
+  learnedFrom: 0
+});
+
+export const createSupplierRecord = ({ oib, name = '' }) => ({
+  oib: normalizeOib(oib),
+  name,
+  ibans: [],
+  currency: 'EUR',
+  paymentTermsDays: null,
+  invoiceCount: 0,
+  lastInvoiceDate: null,
+  template: createEmptyTemplate(),
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+export const findSupplier = (suppliers = [], oib) => {
+  const key = normalizeOib(oib);
+  return key ? suppliers.find(s => s.oib === key) || null : null;
+};
+
+/**
+ * Dobavljač čiji se OIB pojavljuje u tekstu dokumenta (prvi po redoslijedu u tekstu).
+ */
+export const findSupplierInText = (suppliers = [], text = '') => {
+  let best = null;
+  suppliers.forEach(supplier => {
+    const index = supplier.oib ? String(text).indexOf(supplier.oib) : -1;
+    if (index !== -1 && (!best || index < best.index)) best = { supplier, index };
+  });
+  return best?.supplier || null;
+};
+
+/**
+ * Upsert the supplier's master data (name, IBANs, currency, payment terms)
+ * from a confirmed invoice. Returns the registry record, or null without an OIB.
+ */
+export const upsertSupplierFromInvoice = (suppliers, analysis = {}) => {
+  const oib = normalizeOib(analysis.supplier?.oib);
+  if (!oib || oib.length !== 11) return null;
+
+  let supplier = findSupplier(suppliers, oib);
+  if (!supplier) {
+    supplier = createSupplierRecord({ oib, name: analysis.supplier?.name || '' });
+    suppliers.push(supplier);
+  }
+
+  if (analysis.supplier?.name && !supplier.name) supplier.name = analysis.supplier.name;
+  const iban = String(analysis.supplier?.iban || '').replace(/\s/g, '').toUpperCase();
+  if (iban && !supplier.ibans.includes(iban)) supplier.ibans.push(iban);
+  if (analysis.currency) supplier.currency = analysis.currency;
+  if (analysis.date && analysis.dueDate) {
+    const days = Math.round((new Date(analysis.dueDate) - new Date(analysis.date)) / DAY_MS);
+    if (Number.isFinite(days) && days >= 0) supplier.paymentTermsDays = days;
+  }
+  supplier.invoiceCount += 1;
+  if (analysis.date && (!supplier.lastInvoiceDate || analysis.date > supplier.lastInvoiceDate)) {
+    supplier.lastInvoiceDate = analysis.date;
+  }
+  supplier.updatedAt = new Date().toISOString();
+  return supplier;
+};
+
+/**
+ * Popunjava prazna polja analize iz matičnih podataka dobavljača (IBAN, valuta, dospijeće).
+ */
+export const applySupplierDefaults = (analysis, supplier) => {
+  if (!analysis || !supplier) return analysis;
+  const result = { ...analysis, supplier: { ...analysis.supplier } };
+  if (!result.supplier.name) result.supplier.name = supplier.name;
+  if (!result.supplier.oib) result.supplier.oib = supplier.oib;
+  if (!result.supplier.iban && supplier.ibans.length) result.supplier.iban = supplier.ibans[0];
+  if (!result.currency) result.currency = supplier.currency;
+  if (!result.dueDate && result.date && supplier.paymentTermsDays !== null) {
+    const due = new Date(new Date(result.date).getTime() + supplier.paymentTermsDays * DAY_MS);
+    if (!isNaN(due.getTime())) result.dueDate = due.toISOString().slice(0, 10);
+  }
+  return result;
+};
+
+// ====== Učenje predloška ======
+
+// Vrijednost u ćeliji, ali ne kao dio većeg broja (230,00 nije pogodak u 1.230,00)
+const containsValue = (cell, valueText) => {
+  let from = cell.indexOf(valueText);
+  while (from !== -1) {
+    const before = cell[from - 1];
+    const after = cell.slice(from + valueText.length, from + valueText.length + 2);
+    if (!/[\d.,]/.test(before || '') && !/^(\d|[.,]\d)/.test(after)) return true;
+    from = cell.indexOf(valueText, from + 1);
+  }
+  return false;
+};
+
+const findValue = (lines, field, value, { last = false } = {}) => {
+  const variants = valueVariants(field, value);
+  const hits = [];
+  lines.forEach((cells, lineIndex) => {
+    cells.forEach((cell, cellIndex) => {
+      const variant = variants.find(v => containsValue(cell, v.text));
+      if (variant) hits.push({ lineIndex, cellIndex, cell, variant });
+    });
+  });
+  return last ? hits[hits.length - 1] : hits[0];
+};
+
+const labelFor = (lines, hit) => {
+  const prefix = hit.cell.slice(0, hit.cell.indexOf(hit.variant.text)).replace(/[:\s]+$/, '').trim();
+  if (prefix) return prefix;
+  const cells = lines[hit.lineIndex];
+  if (hit.cellIndex > 0) return cells[hit.cellIndex - 1].replace(/[:\s]+$/, '');
+  const previous = lines[hit.lineIndex - 1];
+  return previous?.length ? previous[previous.length - 1].replace(/[:\s]+$/, '') : null;
+};
+
+const isNumericCell = (cell) => /^[-\d.,\s%€]+$/.test(cell) && /\d/.test(cell);
+
+const learnItemHeader = (lines, items, template) => {
+  for (const item of items) {
+    if (!item?.description) continue;
+    const needle = normalizeText(item.description);
+    const rowIndex = lines.findIndex(cells => cells.some(c => normalizeText(c).includes(needle)));
+    if (rowIndex === -1) continue;
+
+    const row = lines[rowIndex];
+    const columns = {};
+    TEMPLATE_ITEM_FIELDS.forEach(field => {
+      const variants = valueVariants(field, item[field]);
+      const index = field === 'description'
+        ? row.findIndex(c => normalizeText(c).includes(needle))
+        : row.findIndex((c, i) => !Object.values(columns).includes(i) && variants.some(v => c === v.text || c.replace(/\s*%$/, '') === v.text));
+      if (index !== -1) columns[field] = index;
+    });
+    if (columns.description === undefined || Object.keys(columns).length < 3) continue;
+
+    // Zaglavlje tablice: najbliži redak iznad bez brojčanih ćelija
+    for (let i = rowIndex - 1; i >= Math.max(0, rowIndex - 10); i--) {
+      const cells = lines[i];
+      if (cells.length >= 3 && !cells.some(isNumericCell)) {
+        template.itemHeader = { cells, columns };
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Learn per-supplier extraction hints from a confirmed invoice and its text.
+ * Corrected fields always override what was learned before; fields the user
+ * left unchanged only fill hints that are still missing. Returns the learned paths.
+ */
+export const learnSupplierTemplate = (supplier, analysis, rawText, { corrections = [] } = {}) => {
+  if (!supplier || !rawText) return [];
+  const template = supplier.template || (supplier.template = createEmptyTemplate());
+  const lines = toTextLines(rawText);
+  const corrected = new Set(corrections.map(c => c.fieldPath));
+  const learned = [];
+
+  TEMPLATE_HEADER_FIELDS.forEach(field => {
+    if (template.labels[field] && !corrected.has(field)) return;
+    const isTotal = TOTAL_FIELDS.includes(field);
+    const hit = findValue(lines, field, getPath(analysis, field), { last: isTotal });
+    if (!hit) return;
+    const label = labelFor(lines, hit);
+    if (!label || isNumericCell(label)) return;
+
+    template.labels[field] = { label, position: Number((hit.lineIndex / Math.max(1, lines.length - 1)).toFixed(3)) };
+    if (hit.variant.format) template.numberFormat = hit.variant.format;
+    learned.push(field);
+  });
+
+  const itemsCorrected = [...corrected].some(path => path.startsWith('items.'));
+  if ((!template.itemHeader || itemsCorrected) && learnItemHeader(lines, analysis.items || [], template)) {
+    learned.push('items');
+  }
+
+  template.corrections += corrected.size;
+  template.learnedFrom += 1;
+  template.updatedAt = new Date().toISOString();
+  return learned;
+};
+
+export const isTemplateUsable = (supplier) =>
+  Boolean(supplier?.template?.labels?.documentNumber && supplier.template.labels['totals.totalAmount']);
+
+// ====== Čitanje po predlošku ======
+
+const readLabelled = (lines, { label, position }) => {
+  const needle = normalizeText(label);
+  const hits = [];
+  lines.forEach((cells, lineIndex) => {
+    cells.forEach((cell, cellIndex) => {
+      if (normalizeText(cell).includes(needle)) hits.push({ lineIndex, cellIndex, cell });
+    });
+  });
+  if (!hits.length) return null;
+
+  // Ista oznaka može se ponoviti — uzmi pojavu najbližu naučenom položaju u dokumentu
+  const total = Math.max(1, lines.length - 1);
+  const hit = hits.reduce((best, h) =>
+    Math.abs(h.lineIndex / total - position) < Math.abs(best.lineIndex / total - position) ? h : best);
+
+  const rest = hit.cell.slice(hit.cell.toLowerCase().indexOf(label.toLowerCase()) + label.length).replace(/^[:\s]+/, '');
+  if (rest) return rest;
+  const next = lines[hit.lineIndex][hit.cellIndex + 1];
+  if (next) return next;
+  return lines[hit.lineIndex + 1]?.[0] ?? null;
+};
+
+const readItems = (lines, template) => {
+  const header = template.itemHeader;
+  if (!header) return [];
+  const headerKey = normalizeText(header.cells.join(' '));
+  const start = lines.findIndex(cells => normalizeText(cells.join(' ')) === headerKey);
+  if (start === -1) return [];
+
+  const stopLabels = TOTAL_FIELDS.map(f => template.labels[f]?.label).filter(Boolean).map(normalizeText);
+  const items = [];
+  for (let i = start + 1; i < lines.length; i++) {
+    const cells = lines[i];
+    const joined = normalizeText(cells.join(' '));
+    if (!cells.length || stopLabels.some(l => joined.includes(l))) break;
+    if (cells.length < 3) continue;
+
+    const item = { position: items.length + 1 };
+    Object.entries(header.columns).forEach(([field, index]) => {
+      const raw = cells[index];
+      if (raw === undefined) return;
+      item[field] = NUMERIC_FIELDS.has(field) ? parseNumber(raw, template.numberFormat) : raw;
+    });
+    if (!item.description || (item.quantity == null && item.totalPrice == null)) continue;
+    items.push(item);
+  }
+  return items;
+};
+
+/**
+ * Parse invoice text with a supplier's learned template. Returns the analysis
+ * in the document model with `extraction` describing which fields were read,
+ * or null when the template cannot find the invoice number and total.
+ */
+export const parseWithSupplierTemplate = (text, supplier) => {
+  if (!isTemplateUsable(supplier)) return null;
+  const { template } = supplier;
+  const lines = toTextLines(text);
+
+  const analysis = { documentType: 'invoice', supplier: {}, buyer: {}, items: [], totals: {} };
+  const matchedFields = [];
+  Object.entries(template.labels).forEach(([field, hint]) => {
+    const value = parseFieldValue(field, readLabelled(lines, hint), template.numberFormat);
+    if (value !== null && value !== undefined) {
+      setPath(analysis, field, value);
+      matchedFields.push(field);
+    }
+  });
+  if (!analysis.documentNumber || analysis.totals.totalAmount == null) return null;
+
+  analysis.items = readItems(lines, template);
+  if (analysis.items.length) matchedFields.push('items');
+
+  const withDefaults = applySupplierDefaults(analysis, supplier);
+  withDefaults.extraction = {
+    method: 'supplier-template',
+    supplierOib: supplier.oib,
+    matchedFields,
+    expectedFields: Object.keys(template.labels).length + (template.itemHeader ? 1 : 0)
+  };
+  return withDefaults;
+};
@@ -0,0 +1,247 @@
+// utils/voiceActions.js
+// Kanonski oblik glasovne akcije nad Ganttom: { type, targets, params } + client_action_id i
+// requested_at koje dodaje server. Iz iste sheme nastaju alat emit_action za LLM i provjera
+// njegovog izlaza, a naredbe lokalnog parsera (parseCroatianCommand) prevode se u isti oblik,
+// pa /api/gva/voice-intent vraća iste akcije bez obzira na to tko je naredbu razumio.
+
+import { draftLines } from './ganttDraftValidator.js';
+
+export const VOICE_ACTION_TYPES = {
+  SHIFT: 'shift',
+  SET_STATUS: 'set_status',
+  MOVE_START: 'move_start',
+  MOVE_END: 'move_end',
+  SET_RANGE: 'set_range',
+  SET_DURATION: 'set_duration',
+  SHIFT_ALL: 'shift_all',
+  DISTRIBUTE_CHAIN: 'distribute_chain',
+  NORMATIVE_EXTEND: 'normative_extend'
+};
+
+// Globalne akcije djeluju na cijeli plan i nemaju targete
+export const GLOBAL_ACTION_TYPES = [VOICE_ACTION_TYPES.SHIFT_ALL, VOICE_ACTION_TYPES.DISTRIBUTE_CHAIN, VOICE_ACTION_TYPES.NORMATIVE_EXTEND];
+
+export const VOICE_ACTION_STATUSES = ['Planirano', 'U TIJEKU', 'Blokirano', 'Završeno'];
+
+// Normalizirani alias: velika slova i znamenke, bez razmaka, točaka i crtica
+export const ALIAS_PATTERN = /^[A-ZČĆĐŠŽ0-9]+$/;
+
+// Koliko puta modelu vraćamo greške provjere prije lokalnog parsera
+export const VOICE_ACTION_RETRIES = 2;
+
+const DATE = { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+// Parametri po tipu akcije (JSON Schema); svi navedeni su obavezni
+export const ACTION_PARAMS = {
+  [VOICE_ACTION_TYPES.SHIFT]: { days: { type: 'integer' } },
+  [VOICE_ACTION_TYPES.SET_STATUS]: { status: { type: 'string', enum: VOICE_ACTION_STATUSES } },
+  [VOICE_ACTION_TYPES.MOVE_START]: { date: DATE },
+  [VOICE_ACTION_TYPES.MOVE_END]: { date: DATE },
+  [VOICE_ACTION_TYPES.SET_RANGE]: { start: DATE, end: DATE },
+  [VOICE_ACTION_TYPES.SET_DURATION]: { duration_days: { type: 'integer', minimum: 1 } },
+  [VOICE_ACTION_TYPES.SHIFT_ALL]: { days: { type: 'integer' } },
+  [VOICE_ACTION_TYPES.DISTRIBUTE_CHAIN]: {},
+  [VOICE_ACTION_TYPES.NORMATIVE_EXTEND]: { days: { type: 'integer', minimum: 1 } }
+};
+
+const paramsDescription = Object.entries(ACTION_PARAMS)
+  .map(([type, params]) => `${type}: ${Object.keys(params).join(', ') || '{}'}`)
+  .join('; ');
+
+/**
+ * Shema argumenata alata emit_action. Ovisnost parametara o tipu opisana je u opisu, a provodi je
+ * validateVoiceAction (oneOf po tipu modeli ne poštuju pouzdano).
+ */
+export const VOICE_ACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.values(VOICE_ACTION_TYPES) },
+    targets: {
+      type: 'array',
+      description: `Normalized alias/badge codes (e.g. ["KIA7", "334"]); empty for ${GLOBAL_ACTION_TYPES.join(', ')}.`,
+      items: { type: 'string', pattern: ALIAS_PATTERN.source }
+    },
+    params: {
+      type: 'object',
+      description: `Action-specific parameters, all required for the type: ${paramsDescription}.`,
+      properties: Object.assign({}, ...Object.values(ACTION_PARAMS)),
+      additionalProperties: false
+    }
+  },
+  required: ['type', 'targets', 'params'],
+  additionalProperties: false
+};
+
+export const EMIT_ACTION_TOOL = {
+  type: 'function',
+  function: {
+    name: 'emit_action',
+    description: 'Emit a single, atomic, backend-ready action.',
+    parameters: VOICE_ACTION_SCHEMA
+  }
+};
+
+export const ASK_CLARIFY_TOOL = {
+  type: 'function',
+  function: {
+    name: 'ask_clarify',
+    description: 'Ask a single, precise question when exactly one slot is missing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string' },
+        missing_slots: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['question', 'missing_slots'],
+      additionalProperties: false
+    }
+  }
+};
+
+export const VOICE_INTENT_TOOLS = [EMIT_ACTION_TOOL, ASK_CLARIFY_TOOL];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Postojeći dan u kalendaru (2026-02-30 nije)
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+};
+
+const checkParam = (name, spec, value) => {
+  if (value === undefined) return `nedostaje parametar "${name}"`;
+  if (spec.type === 'integer' && !Number.isInteger(value)) return `"${name}" mora biti cijeli broj`;
+  if (spec.format === 'date' && !isCalendarDate(value)) return `"${name}" mora biti datum YYYY-MM-DD`;
+  if (spec.enum && !spec.enum.includes(value)) return `"${name}" mora biti jedno od: ${spec.enum.join(', ')}`;
+  if (spec.minimum !== undefined && value < spec.minimum) return `"${name}" mora biti barem ${spec.minimum}`;
+  return null;
+};
+
+/**
+ * Provjera akcije prema shemi. Uz `aliases` (poznati normalizirani aliasi) targeti moraju postojati.
+ * @returns {{ ok: boolean, errors: { path: string, message: string }[] }}
+ */
+export const validateVoiceAction = (action, { aliases = null } = {}) => {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  if (!isPlainObject(action)) {
+    fail('', 'akcija mora biti objekt { type, targets, params }');
+    return { ok: false, errors };
+  }
+
+  Object.keys(action)
+    .filter(key => !['type', 'targets', 'params', 'client_action_id', 'requested_at'].includes(key))
+    .forEach(key => fail(key, `nepoznato polje "${key}"`));
+
+  const spec = ACTION_PARAMS[action.type];
+  if (!spec) fail('type', `nepoznat tip "${action.type}", dopušteni: ${Object.values(VOICE_ACTION_TYPES).join(', ')}`);
+
+  const global = GLOBAL_ACTION_TYPES.includes(action.type);
+  if (!Array.isArray(action.targets)) {
+    fail('targets', 'targets mora biti niz aliasa');
+  } else if (global && action.targets.length) {
+    fail('targets', `${action.type} djeluje na cijeli plan, targets mora biti prazan`);
+  } else if (spec && !global && !action.targets.length) {
+    fail('targets', `${action.type} traži barem jedan alias`);
+  } else {
+    action.targets.forEach((target, i) => {
+      if (typeof target !== 'string' || !ALIAS_PATTERN.test(target)) {
+        fail(`targets[${i}]`, `alias "${target}" nije normaliziran (velika slova i znamenke, bez razmaka)`);
+      } else if (aliases && !aliases.includes(target)) {
+        fail(`targets[${i}]`, `nepoznat alias "${target}"`);
+      }
+    });
+  }
+
+  if (!isPlainObject(action.params)) {
+    fail('params', 'params mora biti objekt');
+  } else if (spec) {
+    Object.entries(spec).forEach(([name, paramSpec]) => {
+      const message = checkParam(name, paramSpec, action.params[name]);
+      if (message) fail(`params.${name}`, message);
+    });
+    Object.keys(action.params)
+      .filter(name => !(name in spec))
+      .forEach(name => fail(`params.${name}`, `${action.type} ne prima parametar "${name}"`));
+    if (action.type === VOICE_ACTION_TYPES.SET_RANGE && action.params.end < action.params.start) {
+      fail('params.end', 'kraj je prije početka');
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+};
+
+/**
+ * Akcija spremna za klijenta: kanonska polja + id i vrijeme zahtjeva.
+ */
+export const createVoiceAction = ({ type, targets, params }, { id, at = new Date().toISOString() }) => ({
+  type,
+  targets,
+  params,
+  client_action_id: id,
+  requested_at: at
+});
+
+/**
+ * Rezultat parseCroatianCommand u kanonske akcije (bez id-a i vremena). Naredbe koje shema ne
+ * pokriva (dokumenti, normativni profili, UI) daju prazan niz.
+ */
+export const actionsFromParsedCommand = (parsed) => {
+  if (!parsed) return [];
+  switch (parsed.type) {
+    case 'shift':
+      return [{ type: VOICE_ACTION_TYPES.SHIFT, targets: [parsed.alias], params: { days: parsed.days } }];
+    case 'move_start':
+      return [{ type: VOICE_ACTION_TYPES.MOVE_START, targets: [parsed.alias], params: { date: parsed.iso } }];
+    case 'shift_all':
+      return [{ type: VOICE_ACTION_TYPES.SHIFT_ALL, targets: [], params: { days: parsed.days } }];
+    case 'distribute_chain':
+      return [{ type: VOICE_ACTION_TYPES.DISTRIBUTE_CHAIN, targets: [], params: {} }];
+    case 'normative_extend':
+      return [{ type: VOICE_ACTION_TYPES.NORMATIVE_EXTEND, targets: [], params: { days: parsed.days } }];
+    case 'batch_operations':
+      return (parsed.operations || []).flatMap(actionsFromParsedCommand);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Kontekst glasovne naredbe za draft GanttAgenta, u obliku koji šalje GVAv2: linije dobivaju
+ * alias PR1, PR2... po redu u draftu, a i šifra pozicije (PZ-02 → PZ02) vodi na svoju liniju.
+ */
+export const voiceContextFromDraft = (draft, { now = new Date() } = {}) => {
+  const lines = draftLines(draft);
+  const aliasToLine = {};
+  lines.forEach((line, index) => {
+    aliasToLine[`PR${index + 1}`] = line.id;
+  });
+  lines.forEach(line => {
+    const code = String(line.pozicija_id || '').toUpperCase().replace(/[\s.-]+/g, '');
+    if (code && ALIAS_PATTERN.test(code) && !aliasToLine[code]) aliasToLine[code] = line.id;
+  });
+  const nowISO = now.toISOString().slice(0, 10);
+  return {
+    aliasToLine,
+    activeLineId: draft?.activeLineId || null,
+    defaultYear: Number(nowISO.slice(0, 4)),
+    nowISO,
+    pozicije: lines.map(line => ({
+      id: line.id,
+      naziv: line.label || line.pozicija_id || line.id,
+      alias: Object.keys(aliasToLine).find(alias => aliasToLine[alias] === line.id) || null,
+      datum_pocetka: line.start || null,
+      datum_zavrsetka: line.end || null
+    }))
+  };
+};
+
+/**
+ * Greška zbog koje LLM smatramo nedostupnim (mreža, istek, ključ, kvota, 5xx), za razliku od
+ * grešaka u samom zahtjevu.
+ */
+export const isLLMUnavailableError = (error) => {
+  if (error?.status) return [401, 403, 408, 429].includes(error.status) || error.status >= 500;
+  return /connection|timed? ?out|ECONNREFUSED|ENOTFOUND|ECONNRESET|fetch failed|No LLM provider/i.test(error?.message || '');
+};
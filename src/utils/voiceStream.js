@@ -0,0 +1,436 @@
+// utils/voiceStream.js
+// Glasovni tok preko WebSocketa (/api/voice/stream): klijent šalje PCM16 mono 16 kHz u binarnim
+// porukama, a sesija na poslužitelju detektira govor (VAD po energiji okvira), dok korisnik govori
+// šalje djelomične transkripte i namjere, a na kraju iskaza konačni transkript i namjeru.
+// Whisper ne prepoznaje u hodu, pa se djelomični transkript dobiva ponovnom transkripcijom
+// dosadašnjeg dijela iskaza. Barge-in: govor dok klijent reproducira TTS šalje barge_in i klijent
+// prekida govor. Uz wakeWord ("agent") sesija spava dok ne čuje budnu riječ, a "poništi" je vraća
+// na spavanje; "potvrdi"/"poništi"/"dalje" su kontrolne namjere bez poziva LLM-a.
+//
+// Klijent → poslužitelj (JSON): start { sampleRate, context, vocabulary, wakeWord }, context { context },
+// tts { state: 'start'|'end' }, stop. Poslužitelj → klijent: VOICE_STREAM_EVENTS; na stop završava
+// iskaz u tijeku i odgovara sa 'stopped' tek kad su poslani konačni transkript i namjera, pa klijent
+// tek tada zatvara vezu.
+
+export const VOICE_STREAM_PATH = '/api/voice/stream';
+
+export const STREAM_SAMPLE_RATE = 16000;
+
+// Dozvoljene frekvencije uzorkovanja iz start poruke; izvan raspona okvir nema smislen broj uzoraka
+export const MIN_STREAM_SAMPLE_RATE = 8000;
+export const MAX_STREAM_SAMPLE_RATE = 48000;
+
+export const VOICE_STREAM_EVENTS = {
+  READY: 'ready',
+  VAD: 'vad',
+  PARTIAL: 'transcript.partial',
+  FINAL: 'transcript.final',
+  INTENT_PARTIAL: 'intent.partial',
+  INTENT_FINAL: 'intent.final',
+  WAKE: 'wake',
+  BARGE_IN: 'barge_in',
+  STOPPED: 'stopped',
+  ERROR: 'error'
+};
+
+export const VOICE_INTENT_KINDS = {
+  NONE: 'none',
+  WAKE: 'wake',
+  CONFIRM: 'confirm',
+  CANCEL: 'cancel',
+  NEXT: 'next',
+  COMMAND: 'command'
+};
+
+// Razine u dBFS; govor je iznad praga i barem marginDb iznad izmjerene buke
+export const DEFAULT_VAD_OPTIONS = {
+  frameMs: 20,
+  thresholdDb: -45,
+  marginDb: 10,
+  startMs: 60,
+  endSilenceMs: 700,
+  preRollMs: 200,
+  maxUtteranceMs: 15000
+};
+
+export const PARTIAL_INTERVAL_MS = 800;
+
+// Kratki iskazi za potvrdu petlje, kao u GVAv2 (najviše MAX_CONTROL_WORDS riječi)
+const CONTROL_PATTERNS = [
+  [VOICE_INTENT_KINDS.CANCEL, /\b(odustani|poništi|ponisti|prekini|stop|ne)\b/],
+  [VOICE_INTENT_KINDS.CONFIRM, /\b(potvrdi|potvrđujem|primjeni|primijeni|spremi|da|okej|ok|u redu)\b/],
+  [VOICE_INTENT_KINDS.NEXT, /\bdalje\b/]
+];
+const MAX_CONTROL_WORDS = 3;
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[.,!?;:"„“]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Razina okvira PCM16 u dBFS (tišina -100).
+ */
+export const frameLevel = (samples) => {
+  if (!samples.length) return -100;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length) / 32768;
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+};
+
+/**
+ * VAD po energiji okvira s pragom koji prati buku okoline. `push(frame)` vraća 'speech_start',
+ * 'speech_end' ili null; govor počinje nakon startMs glasnih okvira, a završava nakon endSilenceMs tišine.
+ */
+export const createVad = (options = {}) => {
+  const { frameMs, thresholdDb, marginDb, startMs, endSilenceMs } = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const startFrames = Math.max(1, Math.round(startMs / frameMs));
+  const endFrames = Math.max(1, Math.round(endSilenceMs / frameMs));
+  let noiseDb = -70;
+  let speaking = false;
+  let loud = 0;
+  let quiet = 0;
+  let voiced = false;
+
+  const push = (frame) => {
+    const level = frameLevel(frame);
+    const isSpeech = level > Math.max(thresholdDb, noiseDb + marginDb);
+    voiced = isSpeech;
+    if (!isSpeech && !speaking) noiseDb = noiseDb * 0.95 + level * 0.05;
+
+    if (!speaking) {
+      loud = isSpeech ? loud + 1 : 0;
+      if (loud >= startFrames) {
+        speaking = true;
+        quiet = 0;
+        return 'speech_start';
+      }
+      return null;
+    }
+    quiet = isSpeech ? 0 : quiet + 1;
+    if (quiet >= endFrames) {
+      speaking = false;
+      loud = 0;
+      return 'speech_end';
+    }
+    return null;
+  };
+
+  // voiced: zadnji okvir je glasan (speaking ostaje true i kroz kratke stanke)
+  return { push, get speaking() { return speaking; }, get voiced() { return voiced; }, get noiseDb() { return noiseDb; } };
+};
+
+/**
+ * PCM16 mono u WAV (RIFF) za STT.
+ */
+export const encodeWav = (samples, sampleRate = STREAM_SAMPLE_RATE) => {
+  const bytes = new Uint8Array(44 + samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  const text = (offset, value) => [...value].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, i) => view.setInt16(44 + i * 2, sample, true));
+  return bytes;
+};
+
+/**
+ * Float32 uzorci mikrofona (AudioContext) u PCM16 zadane frekvencije, usrednjavanjem.
+ */
+export const downsampleToInt16 = (input, inputRate, outputRate = STREAM_SAMPLE_RATE) => {
+  const ratio = inputRate / outputRate;
+  const out = new Int16Array(Math.floor(input.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const from = Math.floor(i * ratio);
+    const to = Math.max(from + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += input[j];
+    const value = Math.max(-1, Math.min(1, sum / (to - from)));
+    out[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+  return out;
+};
+
+/**
+ * Namjera iz (djelomičnog) transkripta. Dok sesija spava prepoznaje se samo budna riječ, a ostatak
+ * iskaza nakon nje je naredba. Kratki iskazi su kontrolne namjere, a ostalo `parse(text)` (lokalni
+ * parser, kanonske akcije) kao naredba.
+ * @returns {{ kind: string, wake: boolean, command: string, actions: object[] }}
+ */
+export const detectVoiceIntent = (text, { awake = true, wakeWord = null, parse = () => [] } = {}) => {
+  let command = normalizeText(text);
+  let wake = false;
+  if (!awake) {
+    const word = normalizeText(wakeWord);
+    const match = word ? command.match(new RegExp(`(?:^|\\s)${word}(?:\\s|$)`)) : null;
+    if (!match) return { kind: VOICE_INTENT_KINDS.NONE, wake: false, command: '', actions: [] };
+    wake = true;
+    command = command.slice(match.index + match[0].length).trim();
+    if (!command) return { kind: VOICE_INTENT_KINDS.WAKE, wake, command, actions: [] };
+  }
+
+  if (command.split(' ').length <= MAX_CONTROL_WORDS) {
+    const control = CONTROL_PATTERNS.find(([, pattern]) => pattern.test(command));
+    if (control) return { kind: control[0], wake, command, actions: [] };
+  }
+  const actions = command ? parse(command) : [];
+  return { kind: actions.length ? VOICE_INTENT_KINDS.COMMAND : VOICE_INTENT_KINDS.NONE, wake, command, actions };
+};
+
+// Binarna poruka (Buffer, ArrayBuffer, typed array) u Int16Array; kopija zbog poravnanja
+const toInt16 = (data) => {
+  if (data instanceof Int16Array) return data;
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+    : new Uint8Array(data);
+  return new Int16Array(bytes.buffer, 0, bytes.length >> 1);
+};
+
+/**
+ * Sesija jednog WebSocket klijenta.
+ *   transcribe(audio, { vocabulary, partial, signal }) → { text, words, confidence, provider } (speechToText)
+ *   interpret(text, context, { signal }) → rezultat /api/gva/voice-intent; samo uz kontekst iz start poruke
+ *   parse(text, context) → kanonske akcije lokalnog parsera, za djelomične namjere
+ *   send(event) → slanje klijentu
+ *   end(reason) → zatvaranje veze nakon neispravne start poruke
+ * Vrijeme se mjeri u uzorcima zvuka, pa ritam djelomičnih transkripata ne ovisi o mreži.
+ * `close()` (zatvorena veza) prekida transkripcije u tijeku kroz `signal` i ne pokreće nove pozive.
+ */
+export const createVoiceStreamSession = ({
+  transcribe,
+  interpret = null,
+  parse = () => [],
+  send: deliver,
+  end = () => {},
+  vad: vadOptions = {},
+  partialIntervalMs = PARTIAL_INTERVAL_MS
+}) => {
+  const options = { ...DEFAULT_VAD_OPTIONS, ...vadOptions };
+  let sampleRate = STREAM_SAMPLE_RATE;
+  let frameSamples = 0;
+  let vad = null;
+  let config = { context: null, vocabulary: [], wakeWord: null };
+  let awake = true;
+  let ttsPlaying = false;
+  let pending = new Int16Array(0);
+  let preRoll = [];
+  let utterance = null;
+  let utteranceCount = 0;
+  let partialBusy = false;
+  let lastPartialIntent = null;
+  const work = new Set();
+  const controller = new AbortController();
+  const { signal } = controller;
+  const send = (event) => {
+    if (!signal.aborted) deliver(event);
+  };
+
+  const reset = () => {
+    frameSamples = Math.round(sampleRate * options.frameMs / 1000);
+    vad = createVad(options);
+    pending = new Int16Array(0);
+    preRoll = [];
+    utterance = null;
+  };
+  reset();
+
+  const track = (promise) => {
+    work.add(promise);
+    promise.finally(() => work.delete(promise));
+    return promise;
+  };
+
+  const samplesOf = (frames) => {
+    const out = new Int16Array(frames.reduce((n, f) => n + f.length, 0));
+    let offset = 0;
+    frames.forEach(f => { out.set(f, offset); offset += f.length; });
+    return out;
+  };
+
+  const audioOf = (frames, id) => ({ buffer: encodeWav(samplesOf(frames), sampleRate), filename: `utterance-${id}.wav`, mimeType: 'audio/wav' });
+
+  const intentOf = (text) => detectVoiceIntent(text, { awake, wakeWord: config.wakeWord, parse: (command) => parse(command, config.context || {}) });
+
+  const partial = async (current) => {
+    partialBusy = true;
+    try {
+      const result = await transcribe(audioOf(current.frames, current.id), { vocabulary: config.vocabulary, partial: true, signal });
+      if (current.done || !result.text) return;
+      send({ type: VOICE_STREAM_EVENTS.PARTIAL, utterance: current.id, text: result.text, confidence: result.confidence ?? null });
+      const intent = intentOf(result.text);
+      const key = JSON.stringify([intent.kind, intent.actions]);
+      if (intent.kind !== VOICE_INTENT_KINDS.NONE && key !== lastPartialIntent) {
+        lastPartialIntent = key;
+        send({ type: VOICE_STREAM_EVENTS.INTENT_PARTIAL, utterance: current.id, ...intent });
+      }
+    } catch (error) {
+      if (!current.done) send({ type: VOICE_STREAM_EVENTS.ERROR, utterance: current.id, stage: 'partial', message: error.message });
+    } finally {
+      partialBusy = false;
+    }
+  };
+
+  const finish = async (current) => {
+    current.done = true;
+    lastPartialIntent = null;
+    let result;
+    try {
+      result = await transcribe(audioOf(current.frames, current.id), { vocabulary: config.vocabulary, partial: false, signal });
+    } catch (error) {
+      send({ type: VOICE_STREAM_EVENTS.ERROR, utterance: current.id, stage: 'final', message: error.message });
+      return;
+    }
+    if (signal.aborted) return;
+    send({ type: VOICE_STREAM_EVENTS.FINAL, utterance: current.id, ...result });
+
+    const intent = intentOf(result.text);
+    if (intent.wake) {
+      awake = true;
+      send({ type: VOICE_STREAM_EVENTS.WAKE, utterance: current.id, wakeWord: config.wakeWord });
+    }
+    if (intent.kind === VOICE_INTENT_KINDS.CANCEL && config.wakeWord) awake = false;
+    if (intent.kind === VOICE_INTENT_KINDS.WAKE) return;
+    if (!awake && intent.kind === VOICE_INTENT_KINDS.NONE) {
+      send({ type: VOICE_STREAM_EVENTS.INTENT_FINAL, utterance: current.id, ...intent, ignored: true });
+      return;
+    }
+
+    const control = [VOICE_INTENT_KINDS.CONFIRM, VOICE_INTENT_KINDS.CANCEL, VOICE_INTENT_KINDS.NEXT].includes(intent.kind);
+    if (control || !interpret || !config.context || !intent.command) {
+      send({ type: VOICE_STREAM_EVENTS.INTENT_FINAL, utterance: current.id, ...intent });
+      return;
+    }
+    try {
+      const interpreted = await interpret(intent.command, config.context, { signal });
+      send({ type: VOICE_STREAM_EVENTS.INTENT_FINAL, utterance: current.id, ...intent, kind: VOICE_INTENT_KINDS.COMMAND, result: interpreted });
+    } catch (error) {
+      send({ type: VOICE_STREAM_EVENTS.ERROR, utterance: current.id, stage: 'intent', message: error.message });
+    }
+  };
+
+  const endUtterance = () => {
+    const current = utterance;
+    utterance = null;
+    send({ type: VOICE_STREAM_EVENTS.VAD, state: 'silence', utterance: current.id });
+    track(finish(current));
+  };
+
+  const frame = (samples) => {
+    const event = vad.push(samples);
+    if (event === 'speech_start') {
+      utterance = { id: ++utteranceCount, frames: [...preRoll, samples], samples: 0, lastPartial: 0, done: false };
+      preRoll = [];
+      send({ type: VOICE_STREAM_EVENTS.VAD, state: 'speech', utterance: utterance.id });
+      if (ttsPlaying) {
+        ttsPlaying = false;
+        send({ type: VOICE_STREAM_EVENTS.BARGE_IN, utterance: utterance.id });
+      }
+      return;
+    }
+    if (!utterance) {
+      preRoll.push(samples);
+      if (preRoll.length > Math.round(options.preRollMs / options.frameMs)) preRoll.shift();
+      return;
+    }
+
+    utterance.frames.push(samples);
+    utterance.samples += samples.length;
+    const ms = utterance.samples * 1000 / sampleRate;
+    if (event === 'speech_end' || ms >= options.maxUtteranceMs) {
+      endUtterance();
+      return;
+    }
+    // Djelomični transkript samo dok se govori, ne u tišini prije kraja iskaza
+    if (vad.voiced && ms - utterance.lastPartial >= partialIntervalMs && !partialBusy) {
+      utterance.lastPartial = ms;
+      track(partial(utterance));
+    }
+  };
+
+  /**
+   * Binarni PCM16; dijeli se na okvire od frameMs, ostatak čeka sljedeću poruku.
+   */
+  const pushAudio = (data) => {
+    if (signal.aborted || frameSamples < 1) return;
+    const incoming = toInt16(data);
+    const samples = new Int16Array(pending.length + incoming.length);
+    samples.set(pending);
+    samples.set(incoming, pending.length);
+    let offset = 0;
+    for (; offset + frameSamples <= samples.length; offset += frameSamples) {
+      frame(samples.subarray(offset, offset + frameSamples));
+    }
+    pending = samples.slice(offset);
+  };
+
+  const handleMessage = (message) => {
+    if (signal.aborted) return;
+    switch (message?.type) {
+      case 'start': {
+        const rate = message.sampleRate === undefined ? STREAM_SAMPLE_RATE : Number(message.sampleRate);
+        const samplesPerFrame = Math.round(rate * options.frameMs / 1000);
+        if (!Number.isInteger(rate) || rate < MIN_STREAM_SAMPLE_RATE || rate > MAX_STREAM_SAMPLE_RATE || samplesPerFrame < 1) {
+          const reason = `Unsupported sample rate ${message.sampleRate} (${MIN_STREAM_SAMPLE_RATE}-${MAX_STREAM_SAMPLE_RATE} Hz)`;
+          send({ type: VOICE_STREAM_EVENTS.ERROR, stage: 'start', message: reason });
+          close();
+          end(reason);
+          break;
+        }
+        sampleRate = rate;
+        config = {
+          context: message.context || null,
+          vocabulary: Array.isArray(message.vocabulary) ? message.vocabulary : [],
+          wakeWord: message.wakeWord || null
+        };
+        awake = !config.wakeWord;
+        reset();
+        send({ type: VOICE_STREAM_EVENTS.READY, sampleRate, frameMs: options.frameMs, wakeWord: config.wakeWord, awake });
+        break;
+      }
+      case 'context':
+        config = { ...config, context: message.context || null };
+        break;
+      case 'tts':
+        ttsPlaying = message.state === 'start';
+        break;
+      case 'stop':
+        if (utterance) endUtterance();
+        track(Promise.all([...work]).then(() => send({ type: VOICE_STREAM_EVENTS.STOPPED })));
+        break;
+      default:
+        send({ type: VOICE_STREAM_EVENTS.ERROR, stage: 'message', message: `Unknown voice stream message "${message?.type}"` });
+    }
+  };
+
+  // Čeka transkripcije i namjere u tijeku (testovi, zatvaranje veze)
+  const idle = async () => {
+    while (work.size) await Promise.all([...work]);
+  };
+
+  // Veza je zatvorena: iskaz u tijeku se odbacuje, a STT/LLM pozivi se prekidaju
+  const close = () => {
+    controller.abort();
+    utterance = null;
+  };
+
+  return {
+    pushAudio,
+    handleMessage,
+    idle,
+    close,
+    get awake() { return awake; },
+    get speaking() { return !!utterance; }
+  };
+};
@@ -0,0 +1,305 @@
+// utils/workCalendar.js
+// Radni kalendar: vikendi, hrvatski državni praznici (uključivo Uskrs i Tijelovo),
+// kolektivni godišnji / zatvaranja pogona i radno vrijeme po timu.
+// Svi datumi su 'YYYY-MM-DD'; dan u tjednu 0 = nedjelja.
+
+export const DAY_TYPES = {
+  WORK: 'work',
+  WEEKEND: 'weekend',
+  HOLIDAY: 'holiday',
+  SHUTDOWN: 'shutdown'
+};
+
+export const DAY_TYPE_LABELS = {
+  [DAY_TYPES.WORK]: 'Radni dan',
+  [DAY_TYPES.WEEKEND]: 'Vikend',
+  [DAY_TYPES.HOLIDAY]: 'Praznik',
+  [DAY_TYPES.SHUTDOWN]: 'Zatvoreno'
+};
+
+export const DURATION_UNITS = {
+  CALENDAR_DAYS: 'calendar_days',
+  WORK_DAYS: 'work_days'
+};
+
+export const DEFAULT_WORK_CALENDAR = {
+  workWeek: [1, 2, 3, 4, 5],
+  hoursPerDay: 8,
+  publicHolidays: true,
+  shutdowns: [],      // [{ from, to, name }]
+  extraWorkDays: [],  // radne subote i odrađeni praznici
+  teams: {}           // { [teamId]: { name, workWeek, hoursPerDay } }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE_YEAR = 2000;
+
+const toYmd = (value) =>
+  (typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().slice(0, 10));
+const toDay = (value) => Math.round(Date.parse(toYmd(value)) / DAY_MS);
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const weekday = (ymd) => new Date(`${ymd}T00:00:00Z`).getUTCDay();
+
+/**
+ * Uskrsna nedjelja (gregorijanski kalendar, anonimni algoritam).
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Državni praznici RH za godinu, [{ date, name }] po datumu.
+ * Od 2020. vrijedi novi Zakon o blagdanima (Dan državnosti 30.5., Dan sjećanja 18.11.).
+ */
+export const getCroatianHolidays = (year) => {
+  const easter = toDay(getEasterSunday(year));
+  const fixed = year >= 2020
+    ? [
+        ['01-01', 'Nova godina'],
+        ['01-06', 'Sveta tri kralja'],
+        ['05-01', 'Praznik rada'],
+        ['05-30', 'Dan državnosti'],
+        ['06-22', 'Dan antifašističke borbe'],
+        ['08-05', 'Dan pobjede i domovinske zahvalnosti'],
+        ['08-15', 'Velika Gospa'],
+        ['11-01', 'Svi sveti'],
+        ['11-18', 'Dan sjećanja na žrtve Domovinskog rata'],
+        ['12-25', 'Božić'],
+        ['12-26', 'Sveti Stjepan']
+      ]
+    : [
+        ['01-01', 'Nova godina'],
+        ['01-06', 'Sveta tri kralja'],
+        ['05-01', 'Praznik rada'],
+        ['06-22', 'Dan antifašističke borbe'],
+        ['06-25', 'Dan državnosti'],
+        ['08-05', 'Dan pobjede i domovinske zahvalnosti'],
+        ['08-15', 'Velika Gospa'],
+        ['10-08', 'Dan neovisnosti'],
+        ['11-01', 'Svi sveti'],
+        ['12-25', 'Božić'],
+        ['12-26', 'Sveti Stjepan']
+      ];
+  return [
+    ...fixed.map(([md, name]) => ({ date: `${year}-${md}`, name })),
+    { date: fromDay(easter), name: 'Uskrs' },
+    { date: fromDay(easter + 1), name: 'Uskrsni ponedjeljak' },
+    { date: fromDay(easter + 60), name: 'Tijelovo' }
+  ].sort((x, y) => x.date.localeCompare(y.date));
+};
+
+const normalizeWorkWeek = (days, fallback) => {
+  const week = [...new Set((Array.isArray(days) ? days : []).map(Number).filter(d => d >= 0 && d <= 6))].sort();
+  return week.length ? week : fallback;
+};
+
+/**
+ * Popunjava nedostajuća polja zadanim vrijednostima.
+ */
+export const normalizeWorkCalendar = (config = {}) => {
+  const workWeek = normalizeWorkWeek(config.workWeek, DEFAULT_WORK_CALENDAR.workWeek);
+  const hoursPerDay = Number(config.hoursPerDay) > 0 ? Number(config.hoursPerDay) : DEFAULT_WORK_CALENDAR.hoursPerDay;
+  return {
+    workWeek,
+    hoursPerDay,
+    publicHolidays: config.publicHolidays !== false,
+    shutdowns: (config.shutdowns || [])
+      .filter(s => s?.from)
+      .map(s => ({ from: toYmd(s.from), to: toYmd(s.to || s.from), name: s.name || 'Zatvoreno' })),
+    extraWorkDays: (config.extraWorkDays || []).map(toYmd),
+    teams: Object.fromEntries(Object.entries(config.teams || {}).map(([id, team]) => [id, {
+      name: team?.name || id,
+      workWeek: normalizeWorkWeek(team?.workWeek, workWeek),
+      hoursPerDay: Number(team?.hoursPerDay) > 0 ? Number(team.hoursPerDay) : hoursPerDay
+    }]))
+  };
+};
+
+/**
+ * Working-day calendar built from a config (see DEFAULT_WORK_CALENDAR).
+ * Every method takes an optional `{ team }` whose work week and daily hours
+ * override the company defaults; holidays and shutdowns apply to everyone,
+ * `extraWorkDays` turns a day off into a working day.
+ *
+ * `toWorkIndex`/`fromWorkIndex` map dates onto consecutive working-day
+ * numbers so schedulers can do plain integer maths in working days.
+ */
+export const createWorkCalendar = (config = {}) => {
+  const settings = normalizeWorkCalendar(config);
+  const holidayCache = new Map();
+  const yearCountCache = new Map();
+  const extraDays = new Set(settings.extraWorkDays);
+
+  const holidaysOf = (year) => {
+    if (!holidayCache.has(year)) {
+      holidayCache.set(year, new Map(settings.publicHolidays ? getCroatianHolidays(year).map(h => [h.date, h.name]) : []));
+    }
+    return holidayCache.get(year);
+  };
+
+  const teamOf = (team) => (team && settings.teams[team]) || settings;
+
+  const getDayInfo = (date, { team } = {}) => {
+    const ymd = toYmd(date);
+    const pattern = teamOf(team);
+    const work = { date: ymd, type: DAY_TYPES.WORK, workDay: true, hours: pattern.hoursPerDay, label: null };
+    if (extraDays.has(ymd)) return work;
+    const shutdown = settings.shutdowns.find(s => s.from <= ymd && ymd <= s.to);
+    if (shutdown) return { ...work, type: DAY_TYPES.SHUTDOWN, workDay: false, hours: 0, label: shutdown.name };
+    const holiday = holidaysOf(Number(ymd.slice(0, 4))).get(ymd);
+    if (holiday) return { ...work, type: DAY_TYPES.HOLIDAY, workDay: false, hours: 0, label: holiday };
+    if (!pattern.workWeek.includes(weekday(ymd))) {
+      return { ...work, type: DAY_TYPES.WEEKEND, workDay: false, hours: 0, label: DAY_TYPE_LABELS[DAY_TYPES.WEEKEND] };
+    }
+    return work;
+  };
+
+  const isWorkDay = (date, options) => getDayInfo(date, options).workDay;
+
+  // Prvi radni dan na ili nakon datuma (step = -1: na ili prije)
+  const seekWorkDay = (date, step, options) => {
+    let day = toDay(date);
+    for (let guard = 0; guard < 3660; guard++, day += step) {
+      if (isWorkDay(fromDay(day), options)) return fromDay(day);
+    }
+    throw new Error(`No working day within ten years of ${toYmd(date)}`);
+  };
+  const nextWorkDay = (date, options) => seekWorkDay(date, 1, options);
+  const previousWorkDay = (date, options) => seekWorkDay(date, -1, options);
+
+  const countInYear = (year, options) => {
+    const key = `${options?.team || ''}|${year}`;
+    if (!yearCountCache.has(key)) {
+      let count = 0;
+      for (let day = toDay(`${year}-01-01`), end = toDay(`${year + 1}-01-01`); day < end; day++) {
+        if (isWorkDay(fromDay(day), options)) count++;
+      }
+      yearCountCache.set(key, count);
+    }
+    return yearCountCache.get(key);
+  };
+
+  const yearStartIndex = (year, options) => {
+    let index = 0;
+    for (let y = BASE_YEAR; y < year; y++) index += countInYear(y, options);
+    for (let y = year; y < BASE_YEAR; y++) index -= countInYear(y, options);
+    return index;
+  };
+
+  /**
+   * Broj radnih dana prije datuma (od 1.1.2000.); neradni dan dobiva indeks sljedećeg radnog.
+   */
+  const toWorkIndex = (date, options) => {
+    const ymd = toYmd(date);
+    const year = Number(ymd.slice(0, 4));
+    let index = yearStartIndex(year, options);
+    for (let day = toDay(`${year}-01-01`), end = toDay(ymd); day < end; day++) {
+      if (isWorkDay(fromDay(day), options)) index++;
+    }
+    return index;
+  };
+
+  const fromWorkIndex = (index, options) => {
+    let year = BASE_YEAR;
+    let start = 0;
+    while (index < start) start -= countInYear(--year, options);
+    while (index >= start + countInYear(year, options)) start += countInYear(year++, options);
+    let remaining = index - start;
+    for (let day = toDay(`${year}-01-01`); ; day++) {
+      if (isWorkDay(fromDay(day), options) && remaining-- === 0) return fromDay(day);
+    }
+  };
+
+  /**
+   * Pomak za n radnih dana; polazni neradni dan se prvo svede na sljedeći radni.
+   */
+  const addWorkDays = (date, n, options) => fromWorkIndex(toWorkIndex(date, options) + Math.round(n), options);
+
+  /**
+   * Broj radnih dana u rasponu, oba kraja uključena.
+   */
+  const countWorkDays = (from, to, options) => {
+    if (!from || !to || toYmd(to) < toYmd(from)) return 0;
+    return toWorkIndex(fromDay(toDay(to) + 1), options) - toWorkIndex(from, options);
+  };
+
+  const workHours = (from, to, options) => {
+    let hours = 0;
+    for (let day = toDay(from), end = toDay(to); day <= end; day++) hours += getDayInfo(fromDay(day), options).hours;
+    return hours;
+  };
+
+  /**
+   * Zadnji dan (uključiv) posla od `days` radnih dana koji počinje na `start`.
+   */
+  const endAfterWorkDays = (start, days, options) => addWorkDays(start, Math.max(1, Math.round(days)) - 1, options);
+
+  /**
+   * Pomak datuma u kalendarskim ili radnim danima (jedinica iz alata, npr. apply_normative_profile).
+   */
+  const shiftDate = (date, n, unit = DURATION_UNITS.CALENDAR_DAYS, options) => {
+    if (!date) return date;
+    if (unit === DURATION_UNITS.WORK_DAYS) return addWorkDays(date, n, options);
+    return fromDay(toDay(date) + Math.round(n));
+  };
+
+  /**
+   * Pomak raspona (kraj uključiv) za n radnih dana uz isto trajanje u radnim danima;
+   * zajednički za GanttAgent i GVAv2.
+   */
+  const shiftRange = (start, end, n, options) => {
+    if (!start || !end) return { start: start && addWorkDays(start, n, options), end: end && addWorkDays(end, n, options) };
+    const newStart = addWorkDays(start, n, options);
+    return { start: newStart, end: endAfterWorkDays(newStart, countWorkDays(start, end, options), options) };
+  };
+
+  /**
+   * Neradni dani u rasponu (vikendi, praznici, zatvaranja) za sjenčanje mreže.
+   */
+  const getNonWorkingDays = (from, to, options) => {
+    const days = [];
+    for (let day = toDay(from), end = toDay(to); day <= end; day++) {
+      const info = getDayInfo(fromDay(day), options);
+      if (!info.workDay) days.push(info);
+    }
+    return days;
+  };
+
+  return {
+    config: settings,
+    getDayInfo,
+    isWorkDay,
+    nextWorkDay,
+    previousWorkDay,
+    toWorkIndex,
+    fromWorkIndex,
+    addWorkDays,
+    countWorkDays,
+    workHours,
+    endAfterWorkDays,
+    shiftDate,
+    shiftRange,
+    getNonWorkingDays
+  };
+};
+
+// Zajednički kalendar za planere i glasovne naredbe; postavlja ga useWorkCalendar
+let activeCalendar = null;
+
+export const getWorkCalendar = () => activeCalendar || (activeCalendar = createWorkCalendar());
+
+export const setWorkCalendar = (config) => (activeCalendar = createWorkCalendar(config));
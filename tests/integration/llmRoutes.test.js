@@ -0,0 +1,298 @@
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest'
+import { Buffer } from 'buffer'
+import http from 'http'
+import { createRequire } from 'module'
+import path from 'path'
+import process from 'process'
+import { fileURLToPath } from 'url'
+import WebSocket from 'ws'
+import { validateVoiceAction } from '../../src/utils/voiceActions.js'
+
+// Pravi Express handleri nad LLM odgovorima iz tests/fixtures/llm, bez ključa i mreže. Odgovori su
+// ručno napisani stubovi (synthetic: true): provjeravaju ponašanje ruta, ne kvalitetu modela.
+// Nove snimke: LLM_FIXTURES=record OPENAI_API_KEY=… npx vitest run tests/integration
+const require = createRequire(import.meta.url)
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+const recording = process.env.LLM_FIXTURES === 'record'
+
+const servers = []
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))
+  servers.push(server)
+})
+
+const postJSON = async (base, url, body) => {
+  const res = await fetch(base + url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  return { status: res.status, body: await res.json() }
+}
+
+// multipart/form-data ručno, neovisno o FormData okruženja testa
+const postFile = async (base, url, field, filename, bytes, mimeType, fields = {}) => {
+  const boundary = 'llm-fixture-boundary'
+  const body = Buffer.concat([
+    ...Object.entries(fields).map(([name, value]) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
+    bytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ])
+  const res = await fetch(base + url, { method: 'POST', headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }, body })
+  return { status: res.status, body: await res.json() }
+}
+
+// Lokalni faster-whisper (python-servers/stt_server.py) kao u verbose_json; `down` glumi ispad,
+// `text` zamjenjuje transkript (riječi ostaju iz snimke)
+const localStt = { down: false, requests: [], text: null }
+const localSttServer = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    localStt.requests.push({ url: req.url, body: Buffer.concat(chunks).toString('utf8') })
+    res.setHeader('content-type', 'application/json')
+    if (localStt.down) {
+      res.statusCode = 503
+      return res.end(JSON.stringify({ detail: 'Model is loading' }))
+    }
+    res.end(JSON.stringify({
+      task: 'transcribe', language: 'hr', duration: 2.1, text: localStt.text || ' Pomakni PZ-07 na normativ dva.',
+      segments: [{ id: 0, start: 0, end: 2.1, text: ' Pomakni PZ-07 na normativ dva.', avg_logprob: -0.21, no_speech_prob: 0.01, words: [
+        { word: ' Pomakni', start: 0, end: 0.42, probability: 0.94 },
+        { word: ' PZ-07', start: 0.42, end: 1.02, probability: 0.81 },
+        { word: ' na', start: 1.02, end: 1.14, probability: 0.97 },
+        { word: ' normativ', start: 1.14, end: 1.7, probability: 0.9 },
+        { word: ' dva.', start: 1.7, end: 2.1, probability: 0.88 }
+      ] }]
+    }))
+  })
+})
+
+const gvaContext = { defaultYear: 2026, nowISO: '2026-03-02', aliasToLine: { KIA7: 'L1', 334: 'L2', PR3: 'L3', PR5: 'L5' } }
+
+const draft = {
+  draftId: 'draft_20260302_080000',
+  projectId: 'PRJ-01',
+  process: 'montaza',
+  lines: [
+    { id: 'PZ-01', pozicija_id: 'PZ-01', start: '2026-03-02', end: '2026-03-04', confirmed: true },
+    { id: 'PZ-02', pozicija_id: 'PZ-02', start: '2026-03-05', end: '2026-03-06', confirmed: true }
+  ]
+}
+
+// Isti oblik akcije bez obzira na to je li je dao LLM ili parser
+const expectCanonicalAction = (action) => {
+  expect(Object.keys(action).sort()).toEqual(['client_action_id', 'params', 'requested_at', 'targets', 'type'])
+  expect(validateVoiceAction(action, { aliases: Object.keys(gvaContext.aliasToLine) })).toEqual({ ok: true, errors: [] })
+  expect(action.client_action_id).toMatch(/^[0-9a-f-]{36}$/)
+  expect(Number.isNaN(Date.parse(action.requested_at))).toBe(false)
+}
+
+let api
+let apiStream
+let writer
+let voice
+
+beforeAll(async () => {
+  const stt = await listen(localSttServer)
+  vi.stubEnv('STT_BASE_URL', `${stt}/v1`)
+  vi.stubEnv('LLM_FIXTURES', process.env.LLM_FIXTURES || 'replay')
+  vi.stubEnv('LLM_FIXTURES_DIR', path.join(root, 'tests/fixtures/llm'))
+  vi.stubEnv('DOCUMENTS_DIR', path.join(root, 'tests/fixtures/documents'))
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+
+  const { default: apiApp, attachVoiceStream } = await import('../../server.js')
+  api = await listen(apiApp)
+  apiStream = api.replace('http', 'ws')
+  attachVoiceStream(servers.at(-1))
+  const fileWriter = require('../../file-writer.cjs')
+  await fileWriter.ready
+  writer = await listen(fileWriter.app)
+  voice = await listen(require('../../voice-server.cjs'))
+}, 60000)
+
+afterAll(async () => {
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))))
+  vi.unstubAllEnvs()
+  vi.restoreAllMocks()
+})
+
+describe('server.js', () => {
+  test('/api/gva/voice-intent turns emit_action into a backend-ready action', async () => {
+    const { status, body } = await postJSON(api, '/api/gva/voice-intent', { transcript: 'pomakni KIA 7 tri dana naprijed', context: gvaContext })
+    expect(status).toBe(200)
+    expect(body.type).toBe('actions')
+    expect(body.actions).toHaveLength(1)
+    const [action] = body.actions
+    expectCanonicalAction(action)
+    if (!recording) expect(action).toMatchObject({ type: 'shift', targets: ['KIA7'], params: { days: 3 } })
+  })
+
+  // Snimke za ova dva testa imaju neispravan izlaz modela (alias s razmakom, nepoznat tip)
+  test('/api/gva/voice-intent feeds schema violations back to the model and retries', async () => {
+    const { body } = await postJSON(api, '/api/gva/voice-intent', { transcript: 'pomakni Kia 7 za dva dana', context: gvaContext })
+    expect(body.type).toBe('actions')
+    expectCanonicalAction(body.actions[0])
+    if (!recording) expect(body).toMatchObject({ source: 'llm', actions: [{ type: 'shift', targets: ['KIA7'], params: { days: 2 } }] })
+  })
+
+  test('/api/gva/voice-intent falls back to the Croatian parser with the same action shape', async () => {
+    const { body } = await postJSON(api, '/api/gva/voice-intent', { transcript: 'pomakni pr3 za 2 dana', context: gvaContext })
+    expect(body.type).toBe('actions')
+    expectCanonicalAction(body.actions[0])
+    expect(body.actions[0]).toMatchObject({ type: 'shift', targets: ['PR3'], params: { days: 2 } })
+    if (!recording) expect(body).toMatchObject({ source: 'parser', fallback_reason: 'invalid_llm_output' })
+  })
+
+  test('/api/gva/voice-intent returns a clarifying question from ask_clarify', async () => {
+    const { status, body } = await postJSON(api, '/api/gva/voice-intent', { transcript: 'pomakni KIA 7', context: gvaContext })
+    expect(status).toBe(200)
+    expect(body.type).toBe('clarify')
+    expect(typeof body.question).toBe('string')
+    expect(Array.isArray(body.missing_slots)).toBe(true)
+  })
+
+  test.skipIf(recording)('a prompt without a recording fails instead of reaching the network', async () => {
+    const { status, body } = await postJSON(api, '/api/gva/voice-intent', { transcript: 'naredba koja nije snimljena', context: gvaContext })
+    expect(status).toBe(500)
+    expect(body.message).toMatch(/No recorded LLM response for chat request/)
+  })
+
+  test('/api/agent/smart-document transcribes, matches and analyses a document', async () => {
+    const { status, body } = await postFile(api, '/api/agent/smart-document', 'file', 'naredba.webm', Buffer.from('fixture-audio: analiziraj ponudu 1960'), 'audio/webm')
+    expect(status).toBe(200)
+    expect(body.stage).toBe('complete')
+    expect(typeof body.transcript).toBe('string')
+    expect(body.matchResult).toMatchObject({ matchedDocument: { id: expect.any(String) }, command: { query: expect.any(String) } })
+    expect(body.document).toMatchObject({ id: body.matchResult.matchedDocument.id, filename: 'ponuda-1960.txt', type: 'text' })
+    expect(typeof body.analysis).toBe('object')
+    expect(body.processing).toMatchObject({ stage1: expect.any(String), stage2: expect.any(String) })
+  })
+})
+
+describe('/api/transcribe', () => {
+  test('server.js transcribes with the local whisper server, biased by the request vocabulary', async () => {
+    localStt.down = false
+    localStt.requests = []
+    const { status, body } = await postFile(api, '/api/transcribe', 'file', 'naredba.webm', Buffer.from('fixture-audio: pomakni pz 07'), 'audio/webm', { vocabulary: '["PZ-07", "PZ-08"]' })
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ text: 'Pomakni PZ-07 na normativ dva.', provider: 'local', language: 'hr', duration: 2.1, confidence: 0.9 })
+    expect(body.words[1]).toEqual({ word: 'PZ-07', start: 0.42, end: 1.02, confidence: 0.81 })
+    expect(body.fallback).toBeUndefined()
+
+    const [request] = localStt.requests
+    expect(request.url).toBe('/v1/audio/transcriptions')
+    expect(request.body).toMatch(/name="prompt"\r\n\r\n[^\r]*PZ-07, PZ-08, Normativ 1, [^\r]*normativ/)
+    expect(request.body).toMatch(/name="hotwords"\r\n\r\nPZ-07 PZ-08 /)
+    expect(request.body).toMatch(/name="language"\r\n\r\nhr/)
+  })
+
+  test('file-writer.cjs falls back to OpenAI whisper while the local server is down', async () => {
+    localStt.down = true
+    const { status, body } = await postFile(writer, '/api/transcribe', 'audio', 'gantt-voice.webm', Buffer.from('fixture-audio: rasporedi lanac'), 'audio/webm')
+    localStt.down = false
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ provider: 'openai', language: expect.any(String), fallback: [{ provider: 'local', error: expect.stringMatching(/503/) }] })
+    expect(typeof body.text).toBe('string')
+    body.words.forEach(word => expect(word).toEqual({ word: expect.any(String), start: expect.any(Number), end: expect.any(Number), confidence: expect.any(Number) }))
+    if (!recording) expect(body).toMatchObject({ text: 'Rasporedi lanac.', confidence: 0.87 })
+  })
+})
+
+describe('/api/voice/stream', () => {
+  // PCM16 16 kHz: govor je sinus, tišina nule; šalje se u porukama od 100 ms
+  const tone = (ms) => Buffer.from(Int16Array.from({ length: ms * 16 }, (_, i) => Math.round(8000 * Math.sin(i / 5))).buffer)
+  const silence = (ms) => Buffer.alloc(ms * 32)
+
+  test('server.js streams partial and final transcripts with the intent of the utterance', async () => {
+    localStt.text = ' Pomakni PR3 za 2 dana.'
+    const socket = new WebSocket(`${apiStream}/api/voice/stream`)
+    const events = []
+    const waiting = []
+    const next = (...types) => new Promise(resolve => waiting.push({ types: [...types, 'error'], resolve }))
+    socket.on('message', (data) => {
+      const event = JSON.parse(data.toString())
+      events.push(event)
+      waiting.filter(w => w.types.includes(event.type)).forEach(w => w.resolve(event))
+    })
+    const send = (chunk) => { for (let i = 0; i < chunk.length; i += 3200) socket.send(chunk.subarray(i, i + 3200)) }
+    await new Promise((resolve, reject) => { socket.on('open', resolve); socket.on('error', reject) })
+
+    socket.send(JSON.stringify({ type: 'start', sampleRate: 16000, context: gvaContext, vocabulary: ['PR3'] }))
+    // Zvuk stiže brže nego uživo: djelomični transkript se čeka prije tišine koja završava iskaz
+    const partial = next('intent.partial')
+    send(Buffer.concat([silence(200), tone(1000)]))
+    await partial
+    const done = next('intent.final')
+    send(silence(800))
+    await done
+    socket.close()
+    localStt.text = null
+
+    expect(events.map(e => e.type)).toEqual(expect.arrayContaining(['ready', 'vad', 'transcript.partial', 'intent.partial', 'transcript.final', 'intent.final']))
+    expect(events.find(e => e.type === 'intent.partial')).toMatchObject({ kind: 'command', actions: [{ type: 'shift', targets: ['PR3'], params: { days: 2 } }] })
+    expect(events.find(e => e.type === 'transcript.final')).toMatchObject({ text: 'Pomakni PR3 za 2 dana.', provider: 'local', language: 'hr' })
+
+    // Ista namjera kao /api/gva/voice-intent za isti transkript (snimka s neispravnim izlazom modela)
+    const intent = events.at(-1)
+    expect(intent).toMatchObject({ type: 'intent.final', kind: 'command', command: 'pomakni pr3 za 2 dana' })
+    expectCanonicalAction(intent.result.actions[0])
+    expect(intent.result.actions[0]).toMatchObject({ type: 'shift', targets: ['PR3'], params: { days: 2 } })
+
+    const [request] = localStt.requests.slice(-1)
+    expect(request.body).toMatch(/filename="utterance-1\.wav"/)
+    expect(request.body).toMatch(/name="prompt"\r\n\r\n[^\r]*PR3/)
+  })
+})
+
+describe('file-writer.cjs', () => {
+  test('/api/llm/draft returns an unconfirmed draft', async () => {
+    const { status, body } = await postJSON(writer, '/api/llm/draft', { command: 'Dodaj ponudu 2026-14 za Aluflex, iznos 12400 eura' })
+    expect(status).toBe(200)
+    expect(body.error).toBeUndefined()
+    expect(body).toMatchObject({ action: expect.any(String), status: 'draft', fields: expect.any(Object), flags: { confirmed: false } })
+    if (!recording) expect(body.fields).toMatchObject({ customer: 'Aluflex', amount: '12400' })
+  })
+
+  test('/api/llm/confirm returns a final action with an execution plan', async () => {
+    const fields = { action: 'upload_offer', document_id: '2026-14', customer: 'Aluflex', amount: '12400', currency: 'EUR' }
+    const { status, body } = await postJSON(writer, '/api/llm/confirm', { command: 'Potvrdi ponudu 2026-14', fields })
+    expect(status).toBe(200)
+    expect(body.error).toBeUndefined()
+    expect(body).toMatchObject({ status: 'final', flags: { confirmed: true, needs_manual_input: [] } })
+    expect(Array.isArray(body.execution_plan)).toBe(true)
+    expect(body.execution_plan.length).toBeGreaterThan(0)
+  })
+
+  test('/api/gantt/draft creates a draft for the requested operation', async () => {
+    const { status, body } = await postJSON(writer, '/api/gantt/draft', { operation: 'create', prompt: 'Napravi draft montaže za projekt PRJ-01 od 2. do 13. ožujka' })
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ type: 'gantt_draft_response', operation: 'create' })
+    expect(body.draft).toMatchObject({ draftId: expect.any(String), process: 'montaza' })
+    expect(Array.isArray(body.draft.lines)).toBe(true)
+  })
+
+  test('/api/gantt/confirm keeps the validator verdict and words it with the LLM', async () => {
+    const { status, body } = await postJSON(writer, '/api/gantt/confirm', {
+      draftData: draft,
+      confirmationType: 'full_confirm',
+      userMessage: 'potvrđujem sve',
+      workCalendar: { publicHolidays: false }
+    })
+    expect(status).toBe(200)
+    expect(body).toMatchObject({ type: 'gantt_confirm_response', confirmation_type: 'full_confirm', status: 'confirmed', commit_ready: true })
+    expect(body.validation).toMatchObject({ ok: true, issues: [] })
+    expect(body.next_steps).toEqual(['Spremite plan u projekt.'])
+    expect(typeof body.tts).toBe('string')
+    if (!recording) expect(body.tts).toBe('Plan montaže je ispravan, obje linije su potvrđene. Možete ga spremiti u projekt.')
+  })
+})
+
+describe('voice-server.cjs', () => {
+  test('/api/gva/voice-intent maps tool calls to client actions', async () => {
+    const { status, body } = await postJSON(voice, '/api/gva/voice-intent', { transcript: 'pomakni pr 3 i pr 5 za dva dana', context: gvaContext })
+    expect(status).toBe(200)
+    expect(body.type).toBe('actions')
+    body.actions.forEach(action => expect(action.type).toMatch(/^(move_start|shift|shift_all|distribute_chain|normative_extend|add_task_open|image_popup)$/))
+    if (!recording) {
+      expect(body.actions).toEqual([{ type: 'shift', alias: 'PR3', days: 2 }, { type: 'shift', alias: 'PR5', days: 2 }])
+    }
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest'
+import {
+  LEDGER_SIDE,
+  buildLedger,
+  summarizeAgeing,
+  summarizeByCounterparty,
+  forecastWeeklyCashFlow,
+  rollupByProject,
+  suggestAllocations,
+  allocatePayment
+} from '../../../src/utils/accountingLedger.js'
+
+const KUPAC = { name: 'Kupac d.o.o.', oib: '12345678903' }
+const DOBAVLJAC = { name: 'Alu-Trade d.o.o.', oib: '69435151530' }
+const AS_OF = '2026-10-19' // ponedjeljak
+
+const records = () => [
+  { id: 'r1', type: 'invoice', direction: 'outgoing', buyer: KUPAC, amount: 1000, status: 'neplaćeno', date: '2026-09-01', dueDate: '2026-10-01', relatedProjectId: 'p1' },
+  { id: 'r2', type: 'invoice', direction: 'outgoing', buyer: KUPAC, amount: 500, status: 'neplaćeno', date: '2026-10-10', dueDate: '2026-10-25', relatedProjectId: 'p1' },
+  { id: 'r3', type: 'invoice', direction: 'outgoing', buyer: { name: 'Hotel' }, amount: 800, status: 'dospjelo', date: '2026-05-01', dueDate: '2026-06-01', relatedProjectId: 'p2' },
+  { id: 's1', type: 'invoice', direction: 'incoming', supplier: DOBAVLJAC, amount: 600, status: 'neplaćeno', date: '2026-10-05', dueDate: '2026-11-04', relatedProjectId: 'p1' },
+  { id: 'e1', type: 'expense', supplier: { name: 'HEP' }, amount: 200, status: 'plaćeno', date: '2026-10-01', dueDate: '2026-10-15' },
+  { id: 'pay1', type: 'payment', direction: 'incoming', counterparty: KUPAC, amount: 1200, status: 'obrađeno', date: '2026-10-12', relatedProjectId: 'p1', allocations: [{ recordId: 'r1', amount: 700 }] }
+]
+
+describe('accountingLedger', () => {
+  test('partial allocation leaves an open balance and the rest of the payment as credit', () => {
+    const ledger = buildLedger(records(), { asOf: AS_OF })
+    const r1 = ledger.items.find(i => i.recordId === 'r1')
+
+    expect(r1).toMatchObject({ paid: 700, balance: 300, daysOverdue: 18, bucket: '0-30', isOpen: true })
+    expect(ledger.items.find(i => i.recordId === 'e1')).toMatchObject({ settledByStatus: true, isOpen: false })
+    expect(ledger.credits).toEqual([expect.objectContaining({ paymentId: 'pay1', reason: 'unallocated', amount: 500 })])
+  })
+
+  test('over-payment of an invoice becomes a credit on the customer', () => {
+    const data = records()
+    data[5].allocations = [{ recordId: 'r2', amount: 650 }]
+    const ledger = buildLedger(data, { asOf: AS_OF })
+
+    expect(ledger.items.find(i => i.recordId === 'r2')).toMatchObject({ balance: 0, overpaid: 150, isOpen: false })
+    const customer = summarizeByCounterparty(ledger).find(c => c.oib === KUPAC.oib)
+    expect(customer).toMatchObject({ side: LEDGER_SIDE.RECEIVABLE, invoiced: 1500, balance: 1000, credit: 700, openItems: 1 })
+  })
+
+  test('ageing buckets split open balances by days past due', () => {
+    const ageing = summarizeAgeing(buildLedger(records(), { asOf: AS_OF }))
+
+    expect(ageing.receivable.buckets).toEqual({ '0-30': 800, '31-60': 0, '61-90': 0, '90+': 800 })
+    expect(ageing.receivable).toMatchObject({ total: 1600, overdue: 1100 })
+    expect(ageing.payable).toMatchObject({ total: 600, overdue: 0 })
+  })
+
+  test('weekly forecast puts overdue items in the first week', () => {
+    const weeks = forecastWeeklyCashFlow(buildLedger(records(), { asOf: AS_OF }), { weeks: 4, openingBalance: 100 })
+
+    expect(weeks.map(w => w.weekStart)).toEqual(['2026-10-19', '2026-10-26', '2026-11-02', '2026-11-09'])
+    expect(weeks[0]).toMatchObject({ inflow: 1600, overdueInflow: 1100, outflow: 0, cumulative: 1700 })
+    expect(weeks[2]).toMatchObject({ outflow: 600, net: -600, cumulative: 1100 })
+  })
+
+  test('project roll-up sums revenue, cost and cash', () => {
+    const rollup = rollupByProject(records())
+    expect(rollup.find(p => p.projectId === 'p1')).toMatchObject({ revenue: 1500, cost: 600, received: 1200, margin: 900, marginPct: 60 })
+    expect(rollup.find(p => p.projectId === 'none')).toMatchObject({ cost: 200 })
+  })
+
+  test('FIFO suggestion and allocation update invoice statuses', () => {
+    const data = records()
+    const suggestion = suggestAllocations(data, 'pay1', { asOf: AS_OF })
+    expect(suggestion).toEqual([{ recordId: 'r1', amount: 1000 }, { recordId: 'r2', amount: 200 }])
+
+    const updated = allocatePayment(data, 'pay1', suggestion, { asOf: AS_OF })
+    expect(updated.find(r => r.id === 'r1').status).toBe('plaćeno')
+    expect(updated.find(r => r.id === 'r2').status).toBe('neplaćeno')
+    expect(() => allocatePayment(data, 'pay1', [{ recordId: 'r1', amount: 1300 }])).toThrow(/exceed/)
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, test, expect } from 'vitest'
+import {
+  parseBankStatement,
+  findReference,
+  proposeMatches,
+  applyStatementMatches
+} from '../../../src/utils/bankStatement.js'
+
+const SUPPLIER_IBAN = 'HR1210010051863000160'
+const CUSTOMER_IBAN = 'HR1723600001101234565'
+const AS_OF = '2026-10-19'
+
+const records = () => [
+  { id: 'r1', title: 'Račun kupca 15/2026', type: 'invoice', direction: 'outgoing', buyer: { name: 'Hotel Adriatic d.d.', oib: '41209835762' }, amount: 1000, status: 'neplaćeno', date: '2026-09-01', dueDate: '2026-10-01', relatedProjectId: 'p1' },
+  { id: 'r2', title: 'Račun kupca 16/2026', type: 'invoice', direction: 'outgoing', buyer: { name: 'Hotel Adriatic d.d.', oib: '41209835762' }, amount: 400, status: 'neplaćeno', date: '2026-09-10', dueDate: '2026-10-10', relatedProjectId: 'p1' },
+  { id: 'r3', title: 'Račun kupca 17/2026', type: 'invoice', direction: 'outgoing', buyer: { name: 'Vila Marija' }, amount: 1000, status: 'neplaćeno', date: '2026-09-12', dueDate: '2026-10-12', paymentReference: 'HR01 17-2026' },
+  { id: 's1', title: 'Profili', number: '55-1-1', type: 'invoice', direction: 'incoming', supplier: { name: 'Alu-Trade d.o.o.', oib: '69435151530' }, amount: 327.5, status: 'neplaćeno', date: '2026-10-05', dueDate: '2026-11-04' }
+]
+const suppliers = [{ oib: '69435151530', name: 'Alu-Trade d.o.o.', ibans: [SUPPLIER_IBAN] }]
+
+const csv = [
+  'Izvod br. 42',
+  'Datum knjiženja;Platitelj/Primatelj;IBAN platitelja/primatelja;Poziv na broj;Opis plaćanja;Duguje;Potražuje',
+  `14.10.2026;HOTEL ADRIATIC DD;${CUSTOMER_IBAN};HR00 15-2026;"Plaćanje računa 15/2026 i 16/2026";;1.400,00`,
+  `15.10.2026;Alu-Trade d.o.o.;${SUPPLIER_IBAN};;Račun 55-1-1;327,50;`,
+  '16.10.2026;Nepoznat;;;Uplata;;99,00'
+].join('\n')
+
+const camt = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt><Stmt>
+    <Acct><Id><IBAN>HR6323400091110123456</IBAN></Id><Ccy>EUR</Ccy></Acct>
+    <Ntry>
+      <Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-17</Dt></BookgDt><ValDt><Dt>2026-10-17</Dt></ValDt>
+      <AcctSvcrRef>B-778</AcctSvcrRef>
+      <NtryDtls><TxDtls>
+        <RltdPties><Dbtr><Nm>Marija Horvat</Nm></Dbtr><DbtrAcct><Id><IBAN>${CUSTOMER_IBAN}</IBAN></Id></DbtrAcct></RltdPties>
+        <RmtInf><Ustrd>Vila Marija racun</Ustrd><Strd><CdtrRefInf><Ref>HR01 17-2026</Ref></CdtrRefInf></Strd></RmtInf>
+      </TxDtls></NtryDtls>
+    </Ntry>
+  </Stmt></BkToCstmrStmt>
+</Document>`
+
+const mt940 = [
+  ':20:STMT42',
+  ':25:HR6323400091110123456',
+  ':28C:42/1',
+  ':60F:C261013EUR5000,00',
+  ':61:2610150915D327,50NTRFNONREF//B-991',
+  `:86:?20Placanje racuna 55-1-1?21HR01 55-1-1?31${SUPPLIER_IBAN}?32ALU-TRADE D.O.O.`,
+  ':61:2610160916C250,00NTRFNONREF//B-992',
+  ':86:Uplata po racunu 16/2026 HOTEL ADRIATIC',
+  ':62F:C261016EUR4922,50',
+  '-'
+].join('\n')
+
+describe('bankStatement', () => {
+  test('parses CSV with debit/credit columns and Croatian number format', () => {
+    const statement = parseBankStatement(csv, { fileName: 'izvod.csv' })
+    expect(statement.format).toBe('csv')
+    expect(statement.lines).toHaveLength(3)
+    expect(statement.lines[0]).toMatchObject({
+      date: '2026-10-14', amount: 1400, direction: 'incoming', counterpartyIban: CUSTOMER_IBAN, reference: 'HR00 15-2026'
+    })
+    expect(statement.lines[1]).toMatchObject({ amount: 327.5, direction: 'outgoing', counterpartyName: 'Alu-Trade d.o.o.' })
+  })
+
+  test('parses camt.053 and MT940 structured fields', () => {
+    const camtStatement = parseBankStatement(camt)
+    expect(camtStatement).toMatchObject({ format: 'camt053', account: 'HR6323400091110123456' })
+    expect(camtStatement.lines[0]).toMatchObject({
+      date: '2026-10-17', amount: 1000, counterpartyName: 'Marija Horvat', reference: 'HR01 17-2026', bankReference: 'B-778'
+    })
+
+    const mtStatement = parseBankStatement(mt940)
+    expect(mtStatement.account).toBe('HR6323400091110123456')
+    expect(mtStatement.lines.map(l => [l.date, l.amount, l.direction])).toEqual([
+      ['2026-10-15', 327.5, 'outgoing'], ['2026-10-16', 250, 'incoming']
+    ])
+    expect(mtStatement.lines[0]).toMatchObject({ counterpartyIban: SUPPLIER_IBAN, counterpartyName: 'ALU-TRADE D.O.O.', reference: 'HR01 55-1-1' })
+  })
+
+  test('identical lines on one day without a bank reference keep separate, stable ids', () => {
+    const twice = `${csv}\n16.10.2026;Nepoznat;;;Uplata;;99,00`
+    const ids = parseBankStatement(twice).lines.map(l => l.id)
+    expect(new Set(ids).size).toBe(4)
+    // Prvi redak zadržava id iz uvoza bez ponavljanja, ponovni uvoz daje iste id-eve
+    expect(ids.slice(0, 3)).toEqual(parseBankStatement(csv).lines.map(l => l.id))
+    expect(parseBankStatement(twice).lines.map(l => l.id)).toEqual(ids)
+  })
+
+  test('reference search skips IBANs in free text', () => {
+    expect(findReference(`IBAN ${SUPPLIER_IBAN} poziv HR01 123-2026`)).toBe('HR01 123-2026')
+    expect(findReference(`HR12 1001 0051 8630 0016 0`)).toBeNull()
+  })
+
+  test('proposes single, split and unmatched allocations', () => {
+    const [combined, supplier, unknown] = proposeMatches(parseBankStatement(csv).lines, records(), { suppliers, asOf: AS_OF })
+
+    expect(combined.allocations).toEqual([{ recordId: 'r1', amount: 1000 }, { recordId: 'r2', amount: 400 }])
+    expect(supplier).toMatchObject({ status: 'matched', allocations: [{ recordId: 's1', amount: 327.5 }] })
+    expect(supplier.candidates[0].reasons).toEqual(['amount', 'iban', 'number', 'name'])
+    expect(unknown).toMatchObject({ status: 'unmatched', allocations: [] })
+
+    const [byReference] = proposeMatches(parseBankStatement(camt).lines, records(), { asOf: AS_OF })
+    expect(byReference.allocations).toEqual([{ recordId: 'r3', amount: 1000 }])
+    expect(byReference.candidates[0].reasons).toContain('reference')
+  })
+
+  test('accepted matches book payments, pay invoices and are not booked twice', () => {
+    const lines = parseBankStatement(csv).lines
+    const [combined] = proposeMatches(lines, records(), { suppliers, asOf: AS_OF })
+    const updated = applyStatementMatches(records(), [{ line: combined.line, allocations: combined.allocations }], { asOf: AS_OF })
+
+    const payment = updated.find(r => r.bankLineId === combined.line.id)
+    expect(payment).toMatchObject({ type: 'payment', direction: 'incoming', amount: 1400, counterparty: { oib: '41209835762' } })
+    expect(updated.filter(r => ['r1', 'r2'].includes(r.id)).map(r => r.status)).toEqual(['plaćeno', 'plaćeno'])
+
+    expect(proposeMatches(lines, updated, { asOf: AS_OF })[0].status).toBe('duplicate')
+    expect(applyStatementMatches(updated, [{ line: combined.line, allocations: [] }])).toHaveLength(updated.length)
+  })
+})
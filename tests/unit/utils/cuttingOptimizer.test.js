@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'vitest'
+import {
+  collectProfilePieces,
+  optimizeProfileGroup,
+  buildCuttingPlan,
+  getPlanOffcuts,
+  cuttingPlanToCsv,
+  cuttingPlanId
+} from '../../../src/utils/cuttingOptimizer.js'
+
+const piece = (id, length, profileCode = 'P100', color = 'RAL9016') => ({ id, profileCode, color, length })
+
+describe('cuttingOptimizer', () => {
+  test('collects pieces from the cut list, falling back to profile lengths', () => {
+    const fromCutList = collectProfilePieces({
+      materials: [{ group: 'Profiles', sku: 'P100', color: 'RAL7016' }],
+      cutList: [{ sku: 'P100', length_mm: 1200.4, positionId: 'POS-1', angleL: 45, angleR: 90 }]
+    })
+    expect(fromCutList).toEqual([
+      expect.objectContaining({ profileCode: 'P100', color: 'RAL7016', length: 1200, positionId: 'POS-1' })
+    ])
+
+    const fromProfiles = collectProfilePieces({
+      materials: [
+        { group: 'Profiles', sku: 'P200', length_m: 2.35, quantity: 3 },
+        { group: 'Glass', sku: 'G1', quantity: 2 }
+      ]
+    })
+    expect(fromProfiles).toHaveLength(3)
+    expect(fromProfiles.every(p => p.length === 2350)).toBe(true)
+  })
+
+  test('packs pieces onto bars with kerf and trim and picks the best stock length', () => {
+    const pieces = [piece('a', 2990), piece('b', 2990)]
+    const result = optimizeProfileGroup(pieces, [], { stockLengths: [6000, 6500], kerf: 4, trim: 10, minOffcut: 500 })
+
+    expect(result.bars).toHaveLength(1)
+    expect(result.bars[0].length).toBe(6000)
+    expect(result.bars[0].leftover).toBe(6000 - 10 - 5980 - 8)
+    expect(result.bars[0].leftoverType).toBe('waste')
+    expect(result.totals.barsByLength).toEqual({ 6000: 1 })
+  })
+
+  test('uses stock offcuts before opening new bars', () => {
+    const pieces = [piece('a', 1500), piece('b', 800)]
+    const offcuts = [{ id: 'off_1', profileCode: 'P100', color: 'RAL9016', length: 1600, status: 'available' }]
+    const plan = buildCuttingPlan(pieces, offcuts, { stockLengths: [6000], kerf: 4, trim: 10, minOffcut: 500 })
+
+    const bars = plan.groups[0].bars
+    expect(bars[0]).toMatchObject({ source: 'offcut', offcutId: 'off_1' })
+    expect(bars[0].cuts.map(c => c.id)).toEqual(['a'])
+    expect(bars[1]).toMatchObject({ source: 'stock', length: 6000 })
+    expect(plan.summary).toMatchObject({ offcutsUsed: 1, newBars: 1, newOffcuts: 1 })
+    expect(getPlanOffcuts(plan)).toEqual([
+      { profileCode: 'P100', color: 'RAL9016', length: 6000 - 10 - 800 - 4, sourceBar: 'P100#2' }
+    ])
+  })
+
+  test('the plan id follows the pieces, not the bars chosen for them', () => {
+    const pieces = [piece('a', 1500), piece('b', 800)]
+    const offcuts = [{ id: 'off_1', profileCode: 'P100', color: 'RAL9016', length: 1600, status: 'available' }]
+    const fromStock = buildCuttingPlan(pieces, [], { stockLengths: [6000] })
+    const withOffcut = buildCuttingPlan(pieces, offcuts, { stockLengths: [6000] })
+
+    expect(fromStock.id).toMatch(/^plan_[0-9a-z]+$/)
+    expect(withOffcut.id).toBe(fromStock.id)
+    expect(cuttingPlanId(withOffcut)).toBe(fromStock.id)
+    expect(buildCuttingPlan([piece('a', 1500), piece('b', 900)], [], { stockLengths: [6000] }).id).not.toBe(fromStock.id)
+  })
+
+  test('groups by profile and colour and reports pieces that do not fit', () => {
+    const plan = buildCuttingPlan(
+      [piece('a', 1000), piece('b', 1000, 'P100', 'RAL7016'), piece('c', 7000)],
+      [],
+      { stockLengths: [6000] }
+    )
+    expect(plan.summary.groups).toBe(2)
+    expect(plan.summary.unplaced).toBe(1)
+
+    const csv = cuttingPlanToCsv(plan).split('\n')
+    expect(csv[0].startsWith('Profil;Boja;Šipka')).toBe(true)
+    expect(csv).toHaveLength(3)
+  })
+})
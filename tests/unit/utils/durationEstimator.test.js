@@ -0,0 +1,67 @@
+import { describe, test, expect } from 'vitest'
+import {
+  collectDurationSamples,
+  learnDurations,
+  estimateProcessDuration,
+  durationEstimateFor,
+  estimationBias
+} from '../../../src/utils/durationEstimator.js'
+import { processesForPosition } from '../../../src/utils/processTemplates.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const calendar = createWorkCalendar({ publicHolidays: false })
+
+// 2026-03-02 je ponedjeljak; stvarni kraj je zadnji dan rada, planirani dan nakon trake
+const door = (id, qty, productionEnd) => ({
+  id,
+  title: `Vrata ${id}`,
+  type: 'Vrata',
+  qty,
+  processes: [
+    { name: 'Nabava', plannedStart: '2026-03-02', plannedEnd: '2026-03-09', actualStart: '2026-03-02', actualEnd: '2026-03-10', status: 'Završeno' },
+    { name: 'Proizvodnja', plannedStart: '2026-03-02', plannedEnd: calendar.shiftDate(productionEnd, 1), actualStart: '2026-03-02', actualEnd: productionEnd, status: 'Završeno' },
+    { name: 'Ugradnja', plannedStart: '2026-03-16', plannedEnd: '2026-03-18', actualStart: null, actualEnd: null }
+  ]
+})
+
+const projects = [{ id: 'PRJ-1', positions: [door('PZ-01', 2, '2026-03-05'), door('PZ-02', 4, '2026-03-10'), door('PZ-03', 6, '2026-03-13')] }]
+
+describe('durationEstimator', () => {
+  test('learns fixed + per-unit durations per position type and proposes them for new positions', () => {
+    const model = learnDurations(projects, { calendar })
+    expect(model.samples).toBe(6)
+    expect(model.processes.proizvodnja.byType.Vrata).toMatchObject({ n: 3, fixed: 1, perUnit: 1.5 })
+
+    expect(estimateProcessDuration(model, 'Proizvodnja', { type: 'Vrata', qty: 10 })).toMatchObject({ days: 16, low: 16, high: 16, basis: 'type' })
+    expect(estimateProcessDuration(model, 'Proizvodnja', { type: 'Prozor', qty: 10 })).toMatchObject({ days: 7, basis: 'process', samples: 3 })
+    expect(estimateProcessDuration(model, 'Prodaja', { type: 'Vrata' })).toBeNull()
+
+    const proposed = processesForPosition({ type: 'Vrata', qty: 10 }, { estimate: durationEstimateFor(model) })
+    expect(proposed.map(p => [p.name, p.durationDays])).toEqual([
+      ['Prodaja', 2], ['Teh. priprema', 5], ['Nabava', 7], ['Proizvodnja', 16], ['Ugradnja', 6]
+    ])
+  })
+
+  test('reports processes that are consistently under-estimated', () => {
+    const bias = estimationBias(collectDurationSamples(projects, { calendar }))
+    expect(bias).toEqual([
+      { processName: 'Nabava', n: 3, medianRatio: 1.4, lateShare: 1, meanOverrunDays: 2, underestimated: true },
+      { processName: 'Proizvodnja', n: 3, medianRatio: 1, lateShare: 0, meanOverrunDays: 0, underestimated: false }
+    ])
+  })
+
+  test('learns installation from montage piece timestamps once every piece is finished', () => {
+    const done = (timestamp) => ({ status: true, timestamp })
+    const piece = (id, last) => ({
+      id,
+      montaza: { transport: done('2026-03-02'), ugradnja: done('2026-03-03'), stakljenje: done('2026-03-03'), brtvljenje: done(last), dodaci: done(last) }
+    })
+    const position = { id: 'PZ-09', title: 'Ulazna vrata', qty: 2, pieces: [piece(1, '2026-03-04'), piece(2, '2026-03-09')] }
+
+    expect(collectDurationSamples([{ id: 'PRJ-2', positions: [position] }], { calendar })).toEqual([
+      expect.objectContaining({ processName: 'Ugradnja', positionType: 'Vrata', quantity: 2, actualDays: 6, plannedDays: null })
+    ])
+    const unfinished = { ...position, pieces: [piece(1, '2026-03-04'), { id: 2, montaza: { transport: done('2026-03-02') } }] }
+    expect(collectDurationSamples([{ id: 'PRJ-2', positions: [unfinished] }], { calendar })).toEqual([])
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest'
+import {
+  isUblDocument,
+  parseUblInvoice,
+  buildUblInvoice,
+  getUblExportIssues,
+  accountingRecordToInvoice
+} from '../../../src/utils/eRacunUbl.js'
+import { validateInvoiceIntegrity } from '../../../src/utils/invoiceValidation.js'
+
+const outgoing = {
+  documentNumber: '12-1-1',
+  date: '2026-10-01',
+  dueDate: '2026-10-31',
+  currency: 'EUR',
+  paymentReference: 'HR00 12-2026',
+  supplier: { name: 'Alu-Trade d.o.o.', oib: '69435151530', iban: 'HR12 1001 0051 8630 0016 0', address: 'Ilica 1, 10000 Zagreb' },
+  buyer: { name: 'Kupac d.o.o.', oib: '01234567896', address: 'Riva 2, 21000 Split' },
+  items: [
+    { code: 'P100', description: 'Profil & brtva', quantity: 2, unit: 'kom', unitPrice: 50, discountPercent: 10 },
+    { code: 'M2', description: 'Staklo', quantity: 3.5, unit: 'm2', unitPrice: 40 }
+  ]
+}
+
+const CREDIT_NOTE = `<?xml version="1.0" encoding="UTF-8"?>
+<CreditNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ID>ODB-7</cbc:ID>
+  <cbc:IssueDate>2026-09-15</cbc:IssueDate>
+  <cbc:CreditNoteTypeCode>381</cbc:CreditNoteTypeCode>
+  <cbc:DocumentCurrencyCode>EUR</cbc:DocumentCurrencyCode>
+  <cac:AccountingSupplierParty><cac:Party>
+    <cbc:EndpointID schemeID="9934">01234567896</cbc:EndpointID>
+    <cac:PartyName><cbc:Name>Staklo d.o.o.</cbc:Name></cac:PartyName>
+  </cac:Party></cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty><cac:Party>
+    <cac:PartyLegalEntity><cbc:RegistrationName>Kupac</cbc:RegistrationName></cac:PartyLegalEntity>
+  </cac:Party></cac:AccountingCustomerParty>
+  <cac:TaxTotal><cbc:TaxAmount currencyID="EUR">2.50</cbc:TaxAmount>
+    <cac:TaxSubtotal><cbc:TaxableAmount currencyID="EUR">10.00</cbc:TaxableAmount><cbc:TaxAmount currencyID="EUR">2.50</cbc:TaxAmount>
+      <cac:TaxCategory><cbc:ID>S</cbc:ID><cbc:Percent>25</cbc:Percent></cac:TaxCategory></cac:TaxSubtotal>
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:TaxExclusiveAmount currencyID="EUR">10.00</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount currencyID="EUR">12.50</cbc:TaxInclusiveAmount>
+    <cbc:PayableAmount currencyID="EUR">12.50</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+  <cac:CreditNoteLine><cbc:ID>1</cbc:ID><cbc:CreditedQuantity unitCode="KGM">4</cbc:CreditedQuantity>
+    <cbc:LineExtensionAmount currencyID="EUR">10.00</cbc:LineExtensionAmount>
+    <cac:Item><cbc:Name>Silikon</cbc:Name></cac:Item>
+    <cac:Price><cbc:PriceAmount currencyID="EUR">25</cbc:PriceAmount><cbc:BaseQuantity>10</cbc:BaseQuantity></cac:Price>
+  </cac:CreditNoteLine>
+</CreditNote>`
+
+describe('eRacunUbl', () => {
+  test('exported invoice parses back into the same document model', () => {
+    const xml = buildUblInvoice(outgoing)
+    expect(isUblDocument(xml)).toBe(true)
+    expect(xml).toContain('<cbc:CustomizationID>urn:cen.eu:en16931:2017</cbc:CustomizationID>')
+    expect(xml).toContain('Profil &amp; brtva')
+
+    const { analysis, docMeta } = parseUblInvoice(xml)
+    expect(docMeta).toMatchObject({ docType: 'Račun', number: '12-1-1', issueDate: '2026-10-01', dueDate: '2026-10-31', currency: 'EUR' })
+    expect(analysis.supplier).toMatchObject({ name: 'Alu-Trade d.o.o.', oib: '69435151530', iban: 'HR1210010051863000160' })
+    expect(analysis.buyer).toMatchObject({ oib: '01234567896', address: 'Riva 2, 21000 Split, HR' })
+    expect(analysis.paymentReference).toBe('HR00 12-2026')
+    expect(analysis.items).toMatchObject([
+      { code: 'P100', quantity: 2, unit: 'kom', unitPrice: 50, discountPercent: 10, totalPrice: 90 },
+      { code: 'M2', quantity: 3.5, unit: 'm2', unitPrice: 40, totalPrice: 140 }
+    ])
+    expect(analysis.totals).toMatchObject({ subtotal: 230, vatAmount: 57.5, vatRate: 25, totalAmount: 287.5 })
+    expect(validateInvoiceIntegrity(analysis).issues).toEqual([])
+  })
+
+  test('credit note with base quantity and endpoint OIB', () => {
+    const { analysis, docMeta } = parseUblInvoice(CREDIT_NOTE)
+    expect(docMeta.docType).toBe('Odobrenje')
+    expect(analysis.eInvoice.isCreditNote).toBe(true)
+    expect(analysis.supplier).toMatchObject({ name: 'Staklo d.o.o.', oib: '01234567896', iban: null })
+    expect(analysis.items[0]).toMatchObject({ quantity: 4, unit: 'kg', unitPrice: 2.5, totalPrice: 10 })
+    expect(analysis.totals.totalAmount).toBe(12.5)
+  })
+
+  test('export lists missing mandatory fields', () => {
+    expect(getUblExportIssues({ ...outgoing, buyer: {}, dueDate: null })).toEqual([
+      'Naziv kupca (BT-44)',
+      'Datum dospijeća ili uvjeti plaćanja (BT-9/BT-20)'
+    ])
+    expect(() => buildUblInvoice({ ...outgoing, items: [] })).toThrow(/BG-25/)
+  })
+
+  test('accounting record without items becomes one net line', () => {
+    const invoice = accountingRecordToInvoice(
+      { id: 'acc_1', title: 'Račun kupca 001/2025', amount: 1250, date: '2025-01-15', dueDate: '2025-02-14', buyer: { name: 'Kupac' } },
+      outgoing.supplier
+    )
+    expect(invoice.documentNumber).toBe('001/2025')
+    expect(invoice.items[0]).toMatchObject({ quantity: 1, unitPrice: 1000, vatRate: 25 })
+    expect(parseUblInvoice(buildUblInvoice(invoice)).analysis.totals.totalAmount).toBe(1250)
+  })
+})
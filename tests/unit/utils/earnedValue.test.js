@@ -0,0 +1,91 @@
+import { describe, test, expect } from 'vitest'
+import { pieceProgress, rollupProgress, actualCost, earnedValueSeries } from '../../../src/utils/earnedValue.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const calendar = createWorkCalendar({ publicHolidays: false })
+
+const step = (timestamp) => ({ status: true, timestamp })
+const piece = (floor, montaza = {}) => ({ floor, montaza: { transport: false, ugradnja: false, gotovo: false, ...montaza } })
+
+// Ožujak 2026: 2. je ponedjeljak; kraj je dan nakon trake
+const project = {
+  id: 'PRJ-1',
+  accounting: { budget: { plannedTotal: 10000 } },
+  positions: [
+    {
+      id: 'PZ-01',
+      title: 'Fasada',
+      value: 6000,
+      processes: [{ name: 'Ugradnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-14' }],
+      pieces: [
+        piece('P1', { gotovo: step('2026-03-04T10:00:00.000Z') }),
+        piece('P1', { transport: step('2026-03-03'), ugradnja: step('2026-03-09') }),
+        piece('P2')
+      ]
+    },
+    {
+      id: 'PZ-02',
+      title: 'Ograda',
+      value: 4000,
+      processes: [{ name: 'Proizvodnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-07', actualEnd: '2026-03-06' }]
+    }
+  ]
+}
+
+const records = [
+  { id: 'a', type: 'expense', amount: 2000, date: '2026-03-03', relatedProjectId: 'PRJ-1' },
+  { id: 'b', type: 'invoice', direction: 'incoming', amount: 1500, date: '2026-03-10', relatedProjectId: 'PRJ-1' },
+  { id: 'c', type: 'invoice', direction: 'outgoing', amount: 9000, date: '2026-03-05', relatedProjectId: 'PRJ-1' },
+  { id: 'd', type: 'expense', amount: 700, date: '2026-03-05', relatedProjectId: 'PRJ-2' }
+]
+
+describe('earnedValue', () => {
+  test('weights montage steps and respects their timestamps', () => {
+    expect(pieceProgress(project.positions[0].pieces[1], { asOf: '2026-03-05', today: '2026-03-12' })).toBe(0.1)
+    expect(pieceProgress(project.positions[0].pieces[1], { asOf: '2026-03-12', today: '2026-03-12' })).toBe(0.55)
+    expect(pieceProgress({ montaza: { ugradnja: true } }, { asOf: '2026-03-05', today: '2026-03-12' })).toBe(0)
+    expect(pieceProgress({ legacyMontaza: { ugradnja: true } }, { asOf: '2026-03-12', today: '2026-03-12' })).toBe(0.45)
+  })
+
+  test('rolls piece completion up to position, floor and project', () => {
+    const rollup = rollupProgress(project, { asOf: '2026-03-12', today: '2026-03-12', calendar })
+    expect(rollup.positions.map(p => [p.positionId, p.percent, p.completedPieces, p.pieces])).toEqual([['PZ-01', 52, 1, 3], ['PZ-02', 100, 0, 0]])
+    expect(rollup.floors).toEqual([
+      { floor: 'P1', pieces: 2, completed: 1, percent: 78 },
+      { floor: 'P2', pieces: 1, completed: 0, percent: 0 }
+    ])
+    expect(rollup.percent).toBe(71)
+  })
+
+  test('builds the S-curve with SPI and CPI from linked accounting records', () => {
+    expect(actualCost(records, 'PRJ-1', '2026-03-09')).toBe(2000)
+    const { points, summary } = earnedValueSeries(project, records, { today: '2026-03-10', calendar })
+    expect(points.map(p => p.date)).toEqual(['2026-03-08', '2026-03-10', '2026-03-13'])
+    expect(points[0]).toMatchObject({ pv: 7000, ev: 6200, ac: 2000, spi: 0.89, cpi: 3.1 })
+    expect(points[2]).toMatchObject({ pv: 10000, ev: null, ac: null })
+    expect(summary).toMatchObject({ bac: 10000, pv: 8200, ev: 7100, ac: 3500, sv: -1100, cv: 3600, spi: 0.87, cpi: 2.03, percent: 71 })
+  })
+
+  test('reads completedAt written by the store and reports no budget instead of inventing one', () => {
+    // Oblik iz useProjectStore.toggleSubprocessStatus
+    const done = (completedAt) => ({ status: true, completedAt })
+    const unbudgeted = {
+      id: 'PRJ-2',
+      positions: [{
+        id: 'PZ-09',
+        processes: [{ name: 'Ugradnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-07' }],
+        pieces: [
+          piece('P1', { gotovo: done('2026-03-03T08:15:00.000Z') }),
+          piece('P1', { transport: done('2026-03-05T12:00:00.000Z'), ugradnja: { status: false, completedAt: null } })
+        ]
+      }]
+    }
+    expect(pieceProgress(unbudgeted.positions[0].pieces[0], { asOf: '2026-03-02', today: '2026-03-06' })).toBe(0)
+    expect(pieceProgress(unbudgeted.positions[0].pieces[0], { asOf: '2026-03-03', today: '2026-03-06' })).toBe(1)
+
+    const { points, summary } = earnedValueSeries(unbudgeted, records, { today: '2026-03-06', calendar })
+    expect(points).toEqual([{ date: '2026-03-06', pv: 100, ev: 55, ac: null, spi: 0.55, cpi: null }])
+    expect(summary).toMatchObject({ budgeted: false, bac: null, pv: 100, ev: 55, spi: 0.55, cpi: null, cv: null, eac: null, vac: null, percent: 55 })
+    expect(rollupProgress(unbudgeted, { asOf: '2026-03-06', today: '2026-03-06', calendar })).toMatchObject({ bac: null, percent: 55, positions: [{ budget: null, percent: 55 }] })
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import { validateGanttDraft, lineFindings, summarizeValidation, DRAFT_RULES } from '../../../src/utils/ganttDraftValidator.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const calendar = createWorkCalendar()
+
+// Ožujak 2026: 2. je ponedjeljak
+const line = (id, start, end, extra = {}) => ({ id, pozicija_id: `P-${id}`, start, end, ...extra })
+const draft = (lines, extra = {}) => ({ draftId: 'D-1', dateRange: { from: '2026-03-02', to: '2026-03-31' }, teams: 1, lines, ...extra })
+
+const rules = (validation) => validation.findings.map(f => [f.rule, f.lineIds.join('>')])
+
+describe('ganttDraftValidator', () => {
+  test('accepts a back-to-back chain inside the window', () => {
+    const validation = validateGanttDraft(draft([
+      line('1', '2026-03-02', '2026-03-06'),
+      line('2', '2026-03-09', '2026-03-11')
+    ]), { calendar })
+    expect(validation).toMatchObject({ ok: true, issues: [], warnings: [], checkedLines: 2 })
+    expect(summarizeValidation(validation)).toBe('Plan je provjeren, 2 linija bez primjedbi.')
+  })
+
+  test('flags dates, window, chain, calendar and dependency problems the same way every run', () => {
+    const input = draft({
+      1: line('1', '2026-03-02', '2026-03-04'),
+      2: line('2', '2026-03-04', '2026-03-05'),
+      3: line('3', '2026-03-10', '2026-03-14', { depends_on: [{ from: 'P-2', type: 'FS', lag: 5 }] }),
+      4: line('4', '2026-03-20', '2026-03-18'),
+      5: line('5', '2026-03-30', '2026-04-03')
+    })
+    const validation = validateGanttDraft(input, { calendar })
+    expect(rules(validation)).toEqual([
+      [DRAFT_RULES.END_BEFORE_START, '4'],
+      [DRAFT_RULES.OUTSIDE_WINDOW, '5'],
+      [DRAFT_RULES.NON_WORKING_DAY, '3'],
+      [DRAFT_RULES.CHAIN_OVERLAP, '1>2'],
+      [DRAFT_RULES.CHAIN_GAP, '2>3'],
+      [DRAFT_RULES.CHAIN_GAP, '3>5'],
+      [DRAFT_RULES.DEPENDENCY, '2>3']
+    ])
+    expect(validation.ok).toBe(false)
+    expect(validation.findings.find(f => f.rule === DRAFT_RULES.DEPENDENCY).days).toBe(3)
+    expect(lineFindings(validation, '3').map(f => f.rule)).toEqual([DRAFT_RULES.NON_WORKING_DAY, DRAFT_RULES.CHAIN_GAP, DRAFT_RULES.CHAIN_GAP, DRAFT_RULES.DEPENDENCY])
+    expect(validateGanttDraft(input, { calendar })).toEqual(validation)
+  })
+
+  test('counts concurrent lines against the number of teams', () => {
+    const validation = validateGanttDraft(draft(new Map([
+      ['a', line('a', '2026-03-02', '2026-03-06')],
+      ['b', line('b', '2026-03-04', '2026-03-10')],
+      ['c', line('c', '2026-03-05', '2026-03-05')]
+    ]), { teams: 2 }), { calendar })
+    expect(validation.findings).toEqual([
+      expect.objectContaining({ rule: DRAFT_RULES.TEAM_OVERALLOCATED, lineIds: ['a', 'b', 'c'], from: '2026-03-05', to: '2026-03-05', peak: 3 })
+    ])
+  })
+})
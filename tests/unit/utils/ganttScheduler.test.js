@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest'
+import {
+  normalizeDependency,
+  resolveProcessLinks,
+  buildChainDependencies,
+  wouldCreateCycle,
+  scheduleTasks,
+  pushSuccessors
+} from '../../../src/utils/ganttScheduler.js'
+
+// Kraj je dan nakon trake (kao u PlannerGanttV2)
+const tasks = () => [
+  { id: 'prodaja', start: '2026-03-02', end: '2026-03-04' },
+  { id: 'nabava', start: '2026-03-04', end: '2026-03-09' },
+  { id: 'teh', start: '2026-03-04', end: '2026-03-06' },
+  { id: 'proizvodnja', start: '2026-03-09', end: '2026-03-13' },
+  { id: 'ugradnja', start: '2026-03-13', end: '2026-03-15' }
+]
+const links = [
+  { from: 'prodaja', to: 'nabava', type: 'FS', lag: 0 },
+  { from: 'prodaja', to: 'teh', type: 'SS', lag: 1 },
+  { from: 'nabava', to: 'proizvodnja', type: 'FS', lag: 0 },
+  { from: 'teh', to: 'proizvodnja', type: 'FS', lag: 0 },
+  { from: 'proizvodnja', to: 'ugradnja', type: 'FF', lag: 2 }
+]
+
+describe('ganttScheduler', () => {
+  test('computes float and the critical path', () => {
+    const schedule = scheduleTasks(tasks(), links)
+
+    expect(schedule.criticalPath).toEqual(['prodaja', 'nabava', 'proizvodnja', 'ugradnja'])
+    expect(schedule.byId.teh).toMatchObject({ critical: false, totalFloat: 3, freeFloat: 3, lateStart: '2026-03-07' })
+    expect(schedule.byId.ugradnja).toMatchObject({ start: '2026-03-13', end: '2026-03-15', moved: false })
+    expect(schedule.projectFinish).toBe('2026-03-15')
+    expect(schedule.violated).toEqual([])
+  })
+
+  test('pushes successors instead of letting bars overlap', () => {
+    const changes = pushSuccessors(tasks(), links, 'nabava', { start: '2026-03-05', end: '2026-03-11' })
+
+    expect(changes).toEqual([
+      { id: 'nabava', start: '2026-03-05', end: '2026-03-11' },
+      { id: 'proizvodnja', start: '2026-03-11', end: '2026-03-15' },
+      // FF +2: ugradnja završava najranije 2 dana nakon proizvodnje
+      { id: 'ugradnja', start: '2026-03-15', end: '2026-03-17' }
+    ])
+  })
+
+  test('pinned bars keep their dates and report the broken link', () => {
+    const moved = tasks().map(t => (t.id === 'proizvodnja' ? { ...t, start: '2026-03-05', end: '2026-03-09' } : t))
+    const schedule = scheduleTasks(moved, links, { pinned: ['proizvodnja'] })
+
+    expect(schedule.byId.proizvodnja.start).toBe('2026-03-05')
+    expect(schedule.conflicts.map(l => l.from)).toEqual(['nabava', 'teh'])
+    expect(schedule.violated).toHaveLength(2)
+    expect(schedule.byId.ugradnja.moved).toBe(false)
+  })
+
+  test('inclusive end dates (GVAv2) keep durations', () => {
+    const schedule = scheduleTasks(
+      [{ id: 'a', start: '2026-03-02', end: '2026-03-03' }, { id: 'b', start: '2026-03-03', end: '2026-03-03' }],
+      [{ from: 'a', to: 'b', type: 'FS', lag: 1 }],
+      { endInclusive: true }
+    )
+    expect(schedule.byId.b).toMatchObject({ start: '2026-03-05', end: '2026-03-05', moved: true })
+  })
+
+  test('rejects cycles', () => {
+    expect(wouldCreateCycle(links, 'ugradnja', 'prodaja')).toBe(true)
+    expect(wouldCreateCycle(links, 'teh', 'nabava')).toBe(false)
+    expect(() => scheduleTasks(tasks(), [...links, { from: 'ugradnja', to: 'prodaja' }])).toThrow(/cycle/)
+  })
+
+  test('resolves process dependencies and builds the standard chain', () => {
+    const processes = [{ name: 'Ugradnja' }, { name: 'Prodaja' }, { name: 'Teh. priprema' }, { name: 'Nabava' }]
+    const chain = buildChainDependencies(processes)
+    expect(chain).toEqual({
+      Prodaja: [],
+      Nabava: [{ from: 'Prodaja', type: 'FS', lag: 0 }],
+      'Teh. priprema': [{ from: 'Nabava', type: 'FS', lag: 0 }],
+      Ugradnja: [{ from: 'Teh. priprema', type: 'FS', lag: 0 }]
+    })
+
+    const project = {
+      id: 'PRJ-2026-0101',
+      positions: [
+        { id: 'PZ-01', processes: [{ name: 'Nabava' }, { name: 'Ugradnja', dependencies: ['Nabava', { from: 'PZ-02/Ugradnja', type: 'ss', lag: '2' }, 'Dizajn'] }] },
+        { id: 'PZ-02', processes: [{ name: 'Ugradnja' }] }
+      ]
+    }
+    expect(resolveProcessLinks(project)).toEqual([
+      { from: 'PRJ-2026-0101-PZ-01-Nabava', to: 'PRJ-2026-0101-PZ-01-Ugradnja', type: 'FS', lag: 0 },
+      { from: 'PRJ-2026-0101-PZ-02-Ugradnja', to: 'PRJ-2026-0101-PZ-01-Ugradnja', type: 'SS', lag: 2 }
+    ])
+    expect(normalizeDependency({ from: 'x', type: 'bogus' })).toEqual({ from: 'x', type: 'FS', lag: 0 })
+  })
+})
@@ -0,0 +1,142 @@
+import { describe, test, expect } from 'vitest'
+import { createEmptyWarehouse } from '../../../src/utils/stockLedger.js'
+import {
+  PO_STATUS,
+  createEmptyProcurement,
+  buildDraftOrders,
+  transitionOrder,
+  receiveGoods
+} from '../../../src/utils/purchaseOrders.js'
+import {
+  MATCH_STATUS,
+  LINE_MATCH_STATUS,
+  normalizeInvoice,
+  matchInvoice,
+  isOutgoingInvoice,
+  applyMatchToOrders,
+  findReplaceableMatch,
+  resolveMatch
+} from '../../../src/utils/invoiceMatching.js'
+
+const OIB = '12345678903'
+
+const setup = (received = { P100: 10, B20: 4 }) => {
+  const warehouse = createEmptyWarehouse()
+  warehouse.articles.push({ code: 'P100' }, { code: 'B20' })
+  const procurement = createEmptyProcurement()
+  const [order] = buildDraftOrders([
+    { articleCode: 'P100', missing: 10, unitPrice: 25, supplier: 'Alu-Trade', projectId: 'p1' },
+    { articleCode: 'B20', missing: 4, unitPrice: 3, supplier: 'Alu-Trade', projectId: 'p1' }
+  ], procurement)
+  order.supplierOib = OIB
+  procurement.purchaseOrders.push(order)
+  transitionOrder(order, PO_STATUS.APPROVED)
+  transitionOrder(order, PO_STATUS.SENT)
+  const lines = order.lines
+    .filter(l => received[l.articleCode])
+    .map(l => ({ lineId: l.id, quantity: received[l.articleCode], location: 'A-01-1' }))
+  receiveGoods(warehouse, procurement, order.id, lines)
+  return { procurement, order }
+}
+
+const invoice = (items, number = 'R-1/2026') => ({
+  documentNumber: number,
+  supplier: { name: 'Alu-Trade d.o.o.', oib: OIB },
+  items
+})
+
+describe('invoiceMatching', () => {
+  test('normalizes hr-invoice-core output and applies line discounts', () => {
+    const normalized = normalizeInvoice({
+      doc: { number: '55-1-1' },
+      seller: { name: 'Alu-Trade', oib: 'OIB 12345678903' },
+      lines: [{ code: 'p100 ', qty: 2, unitPrice: 100, discountPct: 10 }]
+    })
+    expect(normalized).toMatchObject({ number: '55-1-1', supplierOib: OIB })
+    expect(normalized.lines[0]).toMatchObject({ code: 'P100', quantity: 2, unitPrice: 90 })
+  })
+
+  test('fully received and invoiced order is matched', () => {
+    const { procurement, order } = setup()
+    const match = matchInvoice(invoice([
+      { code: 'P100', quantity: 10, unitPrice: 25 },
+      { code: 'B20', quantity: 4, unitPrice: 3.02 }
+    ]), procurement)
+
+    expect(match.status).toBe(MATCH_STATUS.MATCHED)
+    expect(match.hold).toBe(false)
+    expect(match.purchaseOrderIds).toEqual([order.id])
+    expect(match.receiptIds).toHaveLength(1)
+  })
+
+  test('invoice covering part of the receipts is partially matched, then the rest matches', () => {
+    const { procurement, order } = setup()
+    const first = matchInvoice(invoice([{ code: 'P100', quantity: 6, unitPrice: 25 }]), procurement)
+    expect(first.status).toBe(MATCH_STATUS.PARTIALLY_MATCHED)
+    applyMatchToOrders(first, procurement)
+    expect(order.lines[0].invoicedQty).toBe(6)
+
+    const second = matchInvoice(invoice([
+      { code: 'P100', quantity: 4, unitPrice: 25 },
+      { code: 'B20', quantity: 4, unitPrice: 3 }
+    ], 'R-2/2026'), procurement)
+    expect(second.status).toBe(MATCH_STATUS.MATCHED)
+  })
+
+  test('price, quantity and unknown lines outside tolerance are disputed', () => {
+    const { procurement } = setup({ P100: 5 })
+    const match = matchInvoice(invoice([
+      { code: 'P100', quantity: 8, unitPrice: 25 },
+      { code: 'B20', quantity: 4, unitPrice: 3 },
+      { code: 'X99', quantity: 1, unitPrice: 10 }
+    ]), procurement)
+
+    expect(match.status).toBe(MATCH_STATUS.DISPUTED)
+    expect(match.hold).toBe(true)
+    expect(match.lines.map(l => l.status)).toEqual([
+      LINE_MATCH_STATUS.QUANTITY_VARIANCE,
+      LINE_MATCH_STATUS.NOT_RECEIVED,
+      LINE_MATCH_STATUS.NOT_ORDERED
+    ])
+    expect(match.lines[0].quantityVariance).toBe(3)
+
+    const priced = matchInvoice(invoice([{ code: 'P100', quantity: 5, unitPrice: 26 }]), procurement)
+    expect(priced.lines[0]).toMatchObject({ status: LINE_MATCH_STATUS.PRICE_VARIANCE, priceVariance: 1, priceVariancePct: 4 })
+    expect(matchInvoice(invoice([{ code: 'P100', quantity: 5, unitPrice: 26 }]), procurement, { pricePct: 5 }).status)
+      .toBe(MATCH_STATUS.PARTIALLY_MATCHED)
+  })
+
+  test('a rejected invoice can be matched again, a booked one cannot', () => {
+    const { procurement, order } = setup({ P100: 5 })
+    const disputed = { id: 'im_1', ...matchInvoice(invoice([{ code: 'P100', quantity: 8, unitPrice: 25 }]), procurement) }
+    procurement.invoiceMatches.push(disputed)
+
+    resolveMatch(disputed, procurement, { accept: false, note: 'Kriva količina' })
+    expect(disputed).toMatchObject({ hold: false, rejected: true })
+    expect(order.lines[0].invoicedQty || 0).toBe(0)
+    expect(() => resolveMatch(disputed, procurement, { accept: true })).toThrow('is not on hold')
+
+    // Ispravljeni račun s istim brojem zamjenjuje odbijeno uparivanje
+    const corrected = matchInvoice(invoice([{ code: 'P100', quantity: 5, unitPrice: 25 }]), procurement)
+    expect(findReplaceableMatch(procurement, corrected)).toBe(disputed)
+    applyMatchToOrders(corrected, procurement)
+    procurement.invoiceMatches = [{ ...corrected, id: disputed.id }]
+    expect(() => findReplaceableMatch(procurement, corrected)).toThrow('R-1/2026 is already matched')
+  })
+
+  test('invoices from another supplier OIB find no order', () => {
+    const { procurement } = setup()
+    const match = matchInvoice({ ...invoice([{ code: 'P100', quantity: 1, unitPrice: 25 }]), supplier: { oib: '69435151530' } }, procurement)
+    expect(match.status).toBe(MATCH_STATUS.DISPUTED)
+    expect(match.purchaseOrderIds).toEqual([])
+  })
+
+  test('invoices issued by our own company are outgoing and skip matching', () => {
+    const company = { name: 'Agbim d.o.o.', oib: '69435151530' }
+    expect(isOutgoingInvoice({ supplier: { oib: 'HR69435151530' } }, company)).toBe(true)
+    expect(isOutgoingInvoice({ supplier: { name: 'AGBIM d.o.o' } }, company)).toBe(true)
+    expect(isOutgoingInvoice({ supplier: { name: 'Agbim d.o.o.', oib: '94577403194' } }, company)).toBe(false)
+    expect(isOutgoingInvoice({ direction: 'outgoing', supplier: { oib: '94577403194' } }, company)).toBe(true)
+    expect(isOutgoingInvoice({ supplier: { oib: '94577403194' } }, {})).toBe(false)
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, test, expect } from 'vitest'
+import { isValidOib, isValidIban, validateInvoiceIntegrity } from '../../../src/utils/invoiceValidation.js'
+import { invoiceDataService } from '../../../src/services/invoice/InvoiceDataService.js'
+
+const analysis = (overrides = {}) => ({
+  documentNumber: '1-1-1',
+  date: '2026-10-01',
+  supplier: { name: 'Alu-Trade d.o.o.', oib: '69435151530', iban: 'HR1210010051863000160' },
+  buyer: { name: 'Kupac d.o.o.', oib: '12345678903' },
+  items: [
+    { description: 'Profil', quantity: 2, unitPrice: 50, discountPercent: 10, totalPrice: 90 },
+    { description: 'Brtva', quantity: 3, unitPrice: 3.33, totalPrice: 9.99 }
+  ],
+  totals: { subtotal: 99.99, vatAmount: 25, vatRate: 25, totalAmount: 124.99 },
+  ...overrides
+})
+
+describe('invoiceValidation', () => {
+  test('OIB uses the ISO 7064 MOD 11,10 check digit', () => {
+    expect(isValidOib('69435151530')).toBe(true)
+    expect(isValidOib('69435151531')).toBe(false)
+    expect(isValidOib('6943515153')).toBe(false)
+    expect(isValidOib('6943515153A')).toBe(false)
+  })
+
+  test('IBAN uses MOD-97 and the country length', () => {
+    expect(isValidIban('HR1210010051863000160')).toBe(true)
+    expect(isValidIban('hr12 1001 0051 8630 0016 0')).toBe(true)
+    expect(isValidIban('HR1210010051863000161')).toBe(false)
+    expect(isValidIban('HR121001005186300016')).toBe(false)
+    expect(isValidIban('DE89370400440532013000')).toBe(true)
+  })
+
+  test('consistent invoice passes, rounding within tolerance is accepted', () => {
+    expect(validateInvoiceIntegrity(analysis()).issues).toEqual([])
+    const rounded = analysis({ totals: { subtotal: 99.99, vatAmount: 25, totalAmount: 125 } })
+    expect(validateInvoiceIntegrity(rounded).isValid).toBe(true)
+  })
+
+  test('each failed check is reported on its field', () => {
+    const result = validateInvoiceIntegrity(analysis({
+      supplier: { oib: '69435151531', iban: 'HR1210010051863000161' },
+      items: [{ quantity: 2, unitPrice: 50, totalPrice: 90 }],
+      totals: { subtotal: 120, vatAmount: 25, vatRate: 25, totalAmount: 150 }
+    }))
+
+    expect(result.issues.map(i => i.code)).toEqual([
+      'oib_checksum', 'iban_checksum', 'total_mismatch', 'vat_mismatch', 'line_mismatch', 'lines_mismatch'
+    ])
+    expect(Object.keys(result.fieldErrors)).toEqual([
+      'supplier.oib', 'supplier.iban', 'totals.totalAmount', 'totals.vatAmount', 'items.0.totalPrice', 'totals.subtotal'
+    ])
+  })
+
+  test('mixed-rate invoices check VAT per rate', () => {
+    const mixed = analysis({
+      items: [
+        { description: 'Profil', quantity: 2, unitPrice: 50, vatRate: 25, totalPrice: 100 },
+        { description: 'Knjiga', quantity: 1, unitPrice: 40, vatRate: 5, totalPrice: 40 }
+      ],
+      totals: { subtotal: 140, vatAmount: 27, vatRate: 25, totalAmount: 167 }
+    })
+    expect(validateInvoiceIntegrity(mixed).issues).toEqual([])
+
+    const wrongTotal = validateInvoiceIntegrity({ ...mixed, totals: { ...mixed.totals, vatAmount: 35, totalAmount: 175 } })
+    expect(wrongTotal.issues.map(i => [i.field, i.code])).toEqual([['totals.vatAmount', 'vat_mismatch']])
+
+    const withBreakdown = validateInvoiceIntegrity({
+      ...mixed,
+      totals: {
+        subtotal: 140,
+        vatAmount: 27,
+        totalAmount: 167,
+        vatBreakdown: [{ rate: 25, taxableAmount: 100, taxAmount: 25 }, { rate: 5, taxableAmount: 40, taxAmount: 4 }]
+      }
+    })
+    expect(withBreakdown.issues.map(i => [i.field, i.code])).toEqual([
+      ['totals.vatBreakdown.1.taxAmount', 'vat_mismatch'],
+      ['totals.vatAmount', 'vat_mismatch']
+    ])
+  })
+
+  test('failed checks lower the invoice confidence', () => {
+    const good = invoiceDataService.validateInvoiceData(analysis())
+    const bad = invoiceDataService.validateInvoiceData(analysis({ supplier: { name: 'X', oib: '69435151531' } }))
+
+    expect(good.errors).toEqual([])
+    expect(bad.fieldErrors['supplier.oib']).toBeTruthy()
+    expect(bad.confidence).toBeLessThan(good.confidence)
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest'
+import { Buffer } from 'buffer'
+import { createReadStream } from 'fs'
+import { mkdtemp, readdir, readFile, writeFile } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  normalizeFixtureRequest,
+  fixtureKey,
+  createFixtureStore,
+  createSyntheticFixture,
+  createRecordingClient,
+  createReplayClient
+} from '../../../src/utils/llmFixtures.js'
+
+const keyOf = async (kind, request) => fixtureKey(kind, await normalizeFixtureRequest(kind, request))
+
+describe('llmFixtures', () => {
+  test('the key ignores the model and field order but not the prompt', async () => {
+    const a = await keyOf('chat', { model: 'gpt-4o-mini', temperature: 0, messages: [{ role: 'user', content: 'pomakni KIA7' }] })
+    const b = await keyOf('chat', { messages: [{ content: 'pomakni KIA7', role: 'user' }], temperature: 0, model: 'qwen2.5-7b-instruct' })
+    const c = await keyOf('chat', { model: 'gpt-4o-mini', temperature: 0, messages: [{ role: 'user', content: 'pomakni KIA8' }] })
+    expect(a).toBe(b)
+    expect(a).not.toBe(c)
+    expect(await keyOf('transcription', { file: Buffer.from('audio') })).not.toBe(await keyOf('chat', { file: Buffer.from('audio') }))
+  })
+
+  test('replaces image data and audio with a content digest', async () => {
+    const image = { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+    const chat = await normalizeFixtureRequest('chat', { messages: [{ role: 'user', content: [{ type: 'text', text: 'Analiziraj' }, image] }] })
+    expect(chat.messages[0].content[1].image_url.url).toMatch(/^sha256:[0-9a-f]{64}$/)
+
+    // Serveri šalju ReadStream privremene datoteke; ključ ovisi o sadržaju, ne o putanji
+    const tempPath = path.join(await mkdtemp(path.join(os.tmpdir(), 'llm-audio-')), 'tmp_1.webm')
+    await writeFile(tempPath, 'naredba')
+    const stream = createReadStream(tempPath)
+    const audio = await normalizeFixtureRequest('transcription', { file: stream, language: 'hr' })
+    stream.destroy()
+    expect(audio).toEqual({ file: expect.stringMatching(/^sha256:/), language: 'hr' })
+    expect(audio.file).toBe((await normalizeFixtureRequest('transcription', { file: Buffer.from('naredba') })).file)
+  })
+
+  test('replays what was recorded and refuses unknown prompts', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'))
+    const live = { chat: { completions: { create: async (body) => ({ choices: [{ message: { content: `{"echo":"${body.messages[0].content}"}` } }] }) } } }
+    const request = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'bok' }] }
+
+    const recorder = createRecordingClient(live, createFixtureStore(dir), { now: () => '2026-03-02T08:00:00.000Z' })
+    await recorder.chat.completions.create(request)
+    expect(await readdir(dir)).toEqual([expect.stringMatching(/^chat-[0-9a-f]{16}\.json$/)])
+
+    const replay = createReplayClient(createFixtureStore(dir))
+    const response = await replay.chat.completions.create({ ...request, model: 'llama3.1:8b' })
+    expect(response.choices[0].message.content).toBe('{"echo":"bok"}')
+    await expect(replay.chat.completions.create({ messages: [{ role: 'user', content: 'zdravo' }] })).rejects.toThrow(/No recorded LLM response for chat request/)
+  })
+
+  test('synthetic fixtures replay like recordings but carry no model or recording time', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'))
+    const request = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'bok' }] }
+    const fixture = await createSyntheticFixture('chat', request, { choices: [{ message: { content: 'stub' } }] })
+    expect(fixture).toEqual({ key: expect.stringMatching(/^[0-9a-f]{64}$/), kind: 'chat', synthetic: true, request: { messages: request.messages }, response: expect.any(Object) })
+    await createFixtureStore(dir).save(fixture)
+    const response = await createReplayClient(createFixtureStore(dir)).chat.completions.create(request)
+    expect(response.choices[0].message.content).toBe('stub')
+
+    // Predlošci u repozitoriju su ili sintetički ili prave snimke s modelom i vremenom
+    const fixturesDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/llm')
+    for (const name of await readdir(fixturesDir)) {
+      const stored = JSON.parse(await readFile(path.join(fixturesDir, name), 'utf8'))
+      if (stored.synthetic) expect([name, stored.model, stored.recordedAt]).toEqual([name, undefined, undefined])
+      else expect([name, typeof stored.model, typeof stored.recordedAt]).toEqual([name, 'string', 'string'])
+    }
+  })
+})
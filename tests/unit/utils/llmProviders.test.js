@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'vitest'
+import { createLLMRegistry, parseRoute } from '../../../src/utils/llmProviders.js'
+
+// Klijent bilježi pozive umjesto mrežnih zahtjeva
+const recordingClients = () => {
+  const calls = []
+  const createClient = (provider) => ({
+    chat: { completions: { create: async (body) => { calls.push({ provider: provider.name, body }); return { choices: [{ message: { content: '{}' } }] } } } },
+    audio: { transcriptions: { create: async (body) => { calls.push({ provider: provider.name, body }); return { text: 'ok' } } } }
+  })
+  return { calls, createClient }
+}
+
+describe('llmProviders', () => {
+  test('keeps the previous OpenAI models by default and routes by capability', async () => {
+    const { calls, createClient } = recordingClients()
+    const llm = createLLMRegistry({ env: { OPENAI_API_KEY: 'sk-test' }, createClient })
+
+    await llm.chat({ messages: [{ role: 'user', content: 'bok' }] })
+    await llm.chat({ messages: [], tools: [{ type: 'function', function: { name: 'x' } }] })
+    await llm.chat({ messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:' } }] }] })
+    await llm.transcribe({ file: 'audio' })
+    await llm.chat({ messages: [], tools: [{ type: 'function', function: { name: 'x' } }] }, { endpoint: 'voice.orchestrate' })
+
+    expect(calls.map(c => `${c.provider}:${c.body.model}`)).toEqual([
+      'openai:gpt-4o-mini', 'openai:gpt-4o', 'openai:gpt-4o-mini', 'openai:whisper-1', 'openai:gpt-4o-mini'
+    ])
+    expect(llm.available('chat')).toBe(true)
+    expect(createLLMRegistry({ env: {} }).available('chat')).toBe(false)
+  })
+
+  test('sends chat, JSON and tool calls to a local OpenAI-compatible server from the environment', async () => {
+    const { calls, createClient } = recordingClients()
+    const llm = createLLMRegistry({ env: { LLM_BASE_URL: 'http://localhost:1234/v1', LLM_CHAT_MODEL: 'qwen2.5-7b-instruct' }, createClient })
+
+    await llm.chat({ messages: [{ role: 'user', content: 'plan' }], response_format: { type: 'json_object' } }, { endpoint: 'gantt.intent' })
+    await llm.chat({ messages: [], tools: [{ type: 'function', function: { name: 'emit' } }] }, { endpoint: 'voice.gva-intent' })
+
+    expect(calls.map(c => `${c.provider}:${c.body.model}`)).toEqual(['local:qwen2.5-7b-instruct', 'local:qwen2.5-7b-instruct'])
+    // LM Studio ne prihvaća json_object, pa se JSON traži uputom
+    expect(calls[0].body.response_format).toBeUndefined()
+    expect(calls[0].body.messages.at(-1).role).toBe('system')
+    expect(llm.resolve('transcription')).toMatchObject({ provider: { name: 'openai' }, model: 'whisper-1' })
+  })
+
+  test('keeps the legacy VITE_* models on OpenAI and skips routes whose provider lacks the capability', async () => {
+    const { calls, createClient } = recordingClients()
+    // .env.example uz lokalni poslužitelj
+    const llm = createLLMRegistry({
+      env: { LLM_BASE_URL: 'http://localhost:1234/v1', LLM_CHAT_MODEL: 'qwen2.5-7b-instruct', VITE_RESPONSES_MODEL: 'gpt-4o-mini', VITE_REALTIME_MODEL: 'gpt-realtime-preview' },
+      config: { endpoints: { 'voice.*': { transcription: 'local:whisper-large-v3' } } },
+      createClient
+    })
+
+    await llm.chat({ messages: [], tools: [{ type: 'function', function: { name: 'emit' } }] }, { endpoint: 'voice.gva-intent' })
+    expect(calls.map(c => `${c.provider}:${c.body.model}`)).toEqual(['local:qwen2.5-7b-instruct'])
+    expect(llm.resolve('realtime')).toMatchObject({ provider: { name: 'openai' }, model: 'gpt-realtime-preview' })
+    expect(llm.available('realtime')).toBe(false)
+    expect(llm.resolve('transcription', { endpoint: 'voice.transcribe' })).toMatchObject({ provider: { name: 'openai' }, model: 'whisper-1' })
+
+    const openaiOnly = createLLMRegistry({ env: { OPENAI_API_KEY: 'sk-test', VITE_RESPONSES_MODEL: 'gpt-4.1-mini' } })
+    expect(openaiOnly.resolve('tools', { endpoint: 'voice.orchestrate' })).toMatchObject({ provider: { name: 'openai' }, model: 'gpt-4.1-mini' })
+  })
+
+  test('resolves tenant and endpoint overrides before the defaults', () => {
+    const llm = createLLMRegistry({
+      env: { OPENAI_API_KEY: 'sk-test' },
+      config: {
+        providers: { ollama: { kind: 'ollama' } },
+        endpoints: { 'invoice.*': { chat: 'ollama:llama3.1:8b' }, 'invoice.match': { json: 'openai:gpt-4o' } },
+        tenants: { 'firma-b': { defaults: { chat: 'openai:gpt-4o' }, endpoints: { 'invoice.process': { vision: 'ollama:llava' } } } }
+      }
+    })
+
+    expect(parseRoute('llama3.1:8b', { ollama: {} })).toEqual({ provider: 'openai', model: 'llama3.1:8b' })
+    expect(llm.resolve('json', { endpoint: 'invoice.process' })).toMatchObject({ provider: { name: 'ollama' }, model: 'llama3.1:8b' })
+    expect(llm.resolve('json', { endpoint: 'invoice.match' })).toMatchObject({ model: 'gpt-4o' })
+    expect(llm.resolve('vision', { endpoint: 'invoice.process', tenant: 'firma-b' })).toMatchObject({ provider: { name: 'ollama' }, model: 'llava' })
+    expect(llm.resolve('chat', { endpoint: 'invoice.process', tenant: 'firma-b' })).toMatchObject({ model: 'gpt-4o' })
+    expect(llm.resolve('transcription', { endpoint: 'invoice.process' })).toMatchObject({ model: 'whisper-1' })
+    expect(llm.describe().providers.find(p => p.name === 'openai')).toMatchObject({ hasKey: true })
+  })
+})
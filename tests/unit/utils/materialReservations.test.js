@@ -0,0 +1,139 @@
+import { describe, test, expect } from 'vitest'
+import { createMovement, computeBalances } from '../../../src/utils/stockLedger'
+import {
+  getPositionRequirements,
+  reservePositionMaterials,
+  issuePositionReservations,
+  consumePositionReservations,
+  pickLocations
+} from '../../../src/utils/materialReservations'
+
+const project = {
+  id: 'P1',
+  materials: [
+    { sku: 'K-1001', description: 'Okvir', group: 'Profiles', quantity: 4, length_m: 6.5, meta: { positionTag: 'PZ-01' } },
+    { sku: 'BR-20', description: 'Brtva', group: 'Accessories (Length)', quantity: 12, quantity_unit: 'm', meta: { positionTag: 'PZ-01' } },
+    { sku: 'K-1001', description: 'Okvir', group: 'Profiles', quantity: 2, length_m: 6.5, meta: { positionTag: 'PZ-02' } }
+  ]
+}
+const position = { id: 'PZ-01', tag: 'PZ-01' }
+
+const buildWarehouse = () => ({
+  articles: [
+    { code: 'K-1001', name: 'Okvir', unit: 'kom' },
+    { code: 'BR-20', name: 'Brtva', unit: 'm' }
+  ],
+  movements: [
+    createMovement({ type: 'receipt', articleCode: 'K-1001', quantity: 3, toLocation: 'A-01-1' }),
+    createMovement({ type: 'receipt', articleCode: 'K-1001', quantity: 2, toLocation: 'A-01-2' }),
+    createMovement({ type: 'receipt', articleCode: 'BR-20', quantity: 5, toLocation: 'C-02-1' })
+  ],
+  reservations: [],
+  locations: []
+})
+
+describe('materialReservations', () => {
+  test('collects requirements of one position from the LogiKal roll-up', () => {
+    const reqs = getPositionRequirements(project, position, buildWarehouse().articles)
+
+    expect(reqs.map(r => [r.articleCode, r.required, r.unit])).toEqual([
+      ['K-1001', 4, 'kom'],
+      ['BR-20', 12, 'm']
+    ])
+  })
+
+  test('reserves what is available and reports the rest as shortage', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    const { reservations, shortages } = reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+
+    expect(reservations.map(r => [r.articleCode, r.quantity])).toEqual([['K-1001', 4], ['BR-20', 5]])
+    expect(shortages).toEqual([
+      expect.objectContaining({ articleCode: 'BR-20', required: 12, covered: 5, missing: 7 })
+    ])
+    expect(computeBalances(warehouse)['K-1001'].available).toBe(1)
+  })
+
+  test('reserving twice does not double-book', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    const second = reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+
+    expect(second.reservations).toHaveLength(0)
+    expect(warehouse.reservations).toHaveLength(2)
+  })
+
+  test('issuing turns reservations into issue movements across bins', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    const { movements, shortages } = issuePositionReservations(warehouse, { projectId: 'P1', positionId: 'PZ-01' })
+    const balances = computeBalances(warehouse)
+
+    expect(movements.filter(m => m.articleCode === 'K-1001').map(m => [m.fromLocation, m.quantity]))
+      .toEqual([['A-01-1', 3], ['A-01-2', 1]])
+    expect(balances['K-1001']).toMatchObject({ onHand: 1, reserved: 0, available: 1 })
+    expect(warehouse.reservations.every(r => r.status === 'issued')).toBe(true)
+    expect(warehouse.reservations.map(r => r.issuedQuantity)).toEqual([4, 5])
+    expect(shortages).toEqual([])
+  })
+
+  test('issuing with less stock than reserved keeps the remainder active and reports it', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    // Netko je u međuvremenu izdao 2 profila s A-01-1, rezervacija od 4 više nije pokrivena
+    warehouse.movements.push(createMovement({ type: 'issue', articleCode: 'K-1001', quantity: 2, fromLocation: 'A-01-1' }))
+
+    const { movements, shortages } = issuePositionReservations(warehouse, { projectId: 'P1', positionId: 'PZ-01' })
+
+    expect(movements.filter(m => m.articleCode === 'K-1001').map(m => [m.fromLocation, m.quantity]))
+      .toEqual([['A-01-2', 2], ['A-01-1', 1]])
+    expect(shortages).toEqual([
+      expect.objectContaining({ articleCode: 'K-1001', required: 4, covered: 3, missing: 1 })
+    ])
+    const profile = warehouse.reservations.filter(r => r.articleCode === 'K-1001')
+    expect(profile.map(r => [r.status, r.quantity, r.issuedQuantity])).toEqual([['issued', 3, 3], ['active', 1, undefined]])
+    expect(profile[0].movementIds).toHaveLength(2)
+    expect(computeBalances(warehouse)['K-1001']).toMatchObject({ onHand: 0, reserved: 1, available: -1 })
+  })
+
+  test('a reservation without any stock left stays active', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    warehouse.movements.push(createMovement({ type: 'issue', articleCode: 'BR-20', quantity: 5, fromLocation: 'C-02-1' }))
+
+    const { movements, shortages } = issuePositionReservations(warehouse, { projectId: 'P1', positionId: 'PZ-01' })
+
+    expect(movements.map(m => m.articleCode)).toEqual(['K-1001', 'K-1001'])
+    expect(shortages.map(s => [s.articleCode, s.missing])).toEqual([['BR-20', 5]])
+    expect(warehouse.reservations.find(r => r.articleCode === 'BR-20')).toMatchObject({ status: 'active', quantity: 5 })
+  })
+
+  test('bars issued by a cutting plan consume the reservation instead of adding to it', () => {
+    const warehouse = buildWarehouse()
+    const requirements = getPositionRequirements(project, position, warehouse.articles)
+    reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    const bars = createMovement({ type: 'issue', articleCode: 'K-1001', quantity: 3, fromLocation: 'A-01-1' }, { projectId: 'P1' })
+    warehouse.movements.push(bars)
+
+    const consumed = consumePositionReservations(warehouse, {
+      projectId: 'P1', positionIds: ['PZ-01'], articleCode: 'K-1001', quantity: 3, movementIds: [bars.id], documentRef: 'KROJ-1'
+    })
+    expect(consumed.map(r => [r.status, r.quantity, r.issuedQuantity, r.movementIds])).toEqual([['issued', 4, 3, [bars.id]]])
+    // Na stanju ostaju 2 šipke i nisu više rezervirane; brtva ostaje rezervirana
+    expect(computeBalances(warehouse)['K-1001']).toMatchObject({ onHand: 2, reserved: 0, available: 2 })
+    expect(computeBalances(warehouse)['BR-20'].reserved).toBe(5)
+    // Faza proizvodnje ne izdaje profil ponovno, a nova rezervacija ga ne traži
+    expect(issuePositionReservations(warehouse, { projectId: 'P1', positionId: 'PZ-01' }).movements.map(m => m.articleCode)).toEqual(['BR-20'])
+    const again = reservePositionMaterials(warehouse, { projectId: 'P1', positionId: 'PZ-01', requirements })
+    expect([again.reservations, again.shortages.map(s => s.articleCode)]).toEqual([[], ['BR-20']])
+  })
+
+  test('pickLocations takes the biggest bin first', () => {
+    expect(pickLocations({ byLocation: { 'A-01-1': 2, 'B-01-1': 5 } }, 6))
+      .toEqual([{ location: 'B-01-1', quantity: 5 }, { location: 'A-01-1', quantity: 1 }])
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, test, expect } from 'vitest'
+import {
+  createBaseline,
+  getBaselineDates,
+  pickBaseline,
+  computeScheduleVariance
+} from '../../../src/utils/planBaselines.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const project = (processes, history = []) => ({
+  id: 'PRJ-1',
+  positions: [{ id: 'PZ-01', title: 'Fasada', processes }],
+  history
+})
+
+const planned = project([
+  { name: 'Proizvodnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-06' },
+  { name: 'Ugradnja', plannedStart: '2026-03-09', plannedEnd: '2026-03-11' },
+  { name: 'Nabava', plannedStart: null, plannedEnd: null }
+])
+
+describe('planBaselines', () => {
+  test('snapshots planned dates per position and process', () => {
+    const baseline = createBaseline(planned, { name: 'Ugovoreni plan', createdAt: '2026-03-01T08:00:00.000Z' })
+    expect(baseline.positions['PZ-01']).toMatchObject({ start: '2026-03-02', end: '2026-03-11' })
+    expect(getBaselineDates(baseline, 'PZ-01', 'Ugradnja')).toEqual({ start: '2026-03-09', end: '2026-03-11' })
+    expect(getBaselineDates(baseline, 'PZ-01', 'Nabava')).toBeNull()
+    expect(pickBaseline({ baselines: [{ id: 'a' }, { id: 'b' }] })).toEqual({ id: 'b' })
+  })
+
+  test('reports finish slip per department with the history entries behind it', () => {
+    const baseline = createBaseline(planned, { createdAt: '2026-03-01T08:00:00.000Z' })
+    const current = project([
+      { name: 'Proizvodnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-09' },
+      { name: 'Ugradnja', plannedStart: '2026-03-10', plannedEnd: '2026-03-12' }
+    ], [
+      { date: '2026-02-20T08:00:00.000Z', type: 'schedule', source: 'manual', title: 'Prije snimke', changes: [{ positionId: 'PZ-01', processName: 'Proizvodnja', field: 'plannedEnd', from: '2026-03-04', to: '2026-03-06' }] },
+      { date: '2026-03-03T08:00:00.000Z', type: 'schedule', source: 'voice', title: 'Glasovna izmjena plana', changes: [{ positionId: 'PZ-01', processName: 'Proizvodnja', field: 'plannedEnd', from: '2026-03-06', to: '2026-03-09' }] },
+      { date: '2026-03-04T08:00:00.000Z', type: 'position', title: 'Pozicija ažurirana' }
+    ])
+
+    const variance = computeScheduleVariance(current, baseline, { calendar: createWorkCalendar() })
+    const proizvodnja = variance.rows.find(r => r.processName === 'Proizvodnja')
+    // Petak → ponedjeljak je jedan radni dan
+    expect(proizvodnja).toMatchObject({ department: 'Proizvodnja', finishVariance: 1, startVariance: 0 })
+    expect(proizvodnja.causes).toEqual([expect.objectContaining({ source: 'voice', days: 1 })])
+    expect(variance.byDepartment.map(d => [d.department, d.slipDays])).toEqual([['Proizvodnja', 1], ['Montaža', 1]])
+    expect(variance).toMatchObject({ totalSlip: 2, slipped: 2 })
+    expect(computeScheduleVariance(current, baseline).rows[0].finishVariance).toBe(3)
+  })
+})
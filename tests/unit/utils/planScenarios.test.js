@@ -0,0 +1,81 @@
+import { describe, test, expect } from 'vitest'
+import {
+  createScenario,
+  applyPlan,
+  setScenarioProcess,
+  shiftScenarioProcesses,
+  compareScenarios,
+  mergeScenario
+} from '../../../src/utils/planScenarios.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const calendar = createWorkCalendar({ publicHolidays: false })
+
+// Kraj je dan nakon trake; 2026-03-02 je ponedjeljak
+const project = {
+  id: 'PRJ-1',
+  dayRates: { Nabava: 240, Proizvodnja: 560, Montaža: 640 },
+  positions: [{
+    id: 'PZ-01',
+    title: 'Fasada',
+    processes: [
+      { name: 'Nabava', plannedStart: '2026-03-02', plannedEnd: '2026-03-07', owner: { id: 'u1', name: 'Ana' } },
+      { name: 'Proizvodnja', plannedStart: '2026-03-09', plannedEnd: '2026-03-14', owner: { id: 'u2', name: 'Ivo' }, dependencies: [{ from: 'Nabava', type: 'FS', lag: 0 }] },
+      { name: 'Ugradnja', plannedStart: '2026-03-16', plannedEnd: '2026-03-19', owner: { id: 'u2', name: 'Ivo' }, dependencies: ['Proizvodnja'] }
+    ]
+  }]
+}
+
+describe('planScenarios', () => {
+  test('a late delivery pushes the chain and shows up in the comparison', () => {
+    const scenario = createScenario(project, { name: 'Staklo kasni', extraCosts: [{ label: 'Skladištenje', amount: 300 }], createdAt: '2026-03-01T08:00:00.000Z' })
+    scenario.plan = shiftScenarioProcesses(project, scenario.plan, { processName: 'Nabava', days: 10 }, { calendar })
+    expect(scenario.plan['PZ-01'].Ugradnja).toMatchObject({ plannedStart: '2026-03-30', plannedEnd: '2026-04-02' })
+    expect(project.positions[0].processes[2].plannedStart).toBe('2026-03-16')
+
+    const [live, late] = compareScenarios(project, [scenario], { calendar })
+    expect(live.metrics).toMatchObject({ finish: '2026-03-18', workDays: 13, criticalPath: ['Fasada · Nabava', 'Fasada · Proizvodnja', 'Fasada · Ugradnja'] })
+    expect(live.metrics.cost.labour).toBe(5 * 240 + 5 * 560 + 3 * 640)
+    expect(late).toMatchObject({ name: 'Staklo kasni', finishDelta: 10, costDelta: 300, metrics: { finish: '2026-04-01' } })
+  })
+
+  test('leaves labour cost unset until the project has day rates', () => {
+    const unrated = { ...project, dayRates: { Nabava: '', Montaža: 0 } }
+    const scenario = createScenario(unrated, { extraCosts: [{ label: 'Skladištenje', amount: 300 }] })
+    const [live, withExtra] = compareScenarios(unrated, [scenario], { calendar })
+    expect(live.metrics.cost).toEqual({ labour: null, extra: 0, total: null })
+    expect(withExtra).toMatchObject({ costDelta: 300, metrics: { cost: { labour: null, extra: 300, total: null } } })
+
+    const rated = compareScenarios(unrated, [], { calendar, rates: { Ostalo: 100 } })[0]
+    expect(rated.metrics.cost.labour).toBe(13 * 100)
+  })
+
+  test('reports resource peaks for overlapping work', () => {
+    const scenario = createScenario(project)
+    scenario.plan = setScenarioProcess(scenario.plan, 'PZ-01', 'Ugradnja', { plannedStart: '2026-03-12', plannedEnd: '2026-03-17' })
+    const metrics = compareScenarios(project, [scenario], { calendar })[1].metrics
+    expect(metrics.peaks[0]).toMatchObject({ name: 'Ivo', peak: 16, capacity: 8, overloadedDays: 2 })
+    expect(metrics.violations).toBe(1)
+  })
+
+  test('merges scenario edits with live edits made in the meantime', () => {
+    const scenario = createScenario(project)
+    scenario.plan = setScenarioProcess(scenario.plan, 'PZ-01', 'Proizvodnja', { plannedEnd: '2026-03-17' })
+    scenario.plan = setScenarioProcess(scenario.plan, 'PZ-01', 'Ugradnja', { plannedStart: '2026-03-18', plannedEnd: '2026-03-21' })
+    const live = applyPlan(project, {
+      'PZ-01': { Nabava: { plannedEnd: '2026-03-06' }, Ugradnja: { plannedStart: '2026-03-17', plannedEnd: '2026-03-20', dependencies: ['Proizvodnja'] } }
+    })
+
+    const merge = mergeScenario(live, scenario)
+    expect(merge.changes).toEqual([{ positionId: 'PZ-01', processName: 'Proizvodnja', updates: { plannedEnd: '2026-03-17' } }])
+    expect(merge.conflicts.map(c => [c.key, c.live, c.scenario])).toEqual([
+      ['PZ-01/Ugradnja/plannedStart', '2026-03-17', '2026-03-18'],
+      ['PZ-01/Ugradnja/plannedEnd', '2026-03-20', '2026-03-21']
+    ])
+    expect(merge.unresolved).toBe(2)
+
+    const resolved = mergeScenario(live, scenario, { 'PZ-01/Ugradnja/plannedStart': 'scenario', 'PZ-01/Ugradnja/plannedEnd': 'scenario' })
+    expect(resolved.unresolved).toBe(0)
+    expect(resolved.changes[1]).toEqual({ positionId: 'PZ-01', processName: 'Ugradnja', updates: { plannedStart: '2026-03-18', plannedEnd: '2026-03-21' } })
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, test, expect } from 'vitest'
+import {
+  normalizeTemplateLibrary,
+  templateForPosition,
+  positionQuantity,
+  processesForPosition,
+  resolveNormativeProfile
+} from '../../../src/utils/processTemplates.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+import { parseCroatianCommand } from '../../../src/components/tabs/GVAv2/parser/parseCroatianCommand.js'
+
+const calendar = createWorkCalendar({ publicHolidays: false })
+
+describe('processTemplates', () => {
+  test('picks the template by type, then by title keywords', () => {
+    const library = normalizeTemplateLibrary()
+    expect(templateForPosition({ type: 'prozor' }, library).type).toBe('Prozor')
+    expect(templateForPosition({ title: 'Fasadni sustav jug' }, library).type).toBe('Fasada')
+    expect(templateForPosition({ title: 'Aluminijski L profil' }, library).type).toBe('Element')
+    expect(positionQuantity({ title: 'Fasada', qty: 2, dimensions: { width: 2500, height: 3000 } }, library.templates.Fasada)).toBe(15)
+  })
+
+  test('schedules a new position as a working-day chain from its template', () => {
+    // 2026-03-06 je petak; kraj je dan nakon trake
+    const processes = processesForPosition({ type: 'Vrata', qty: 4 }, { start: '2026-03-06', calendar })
+    expect(processes.map(p => [p.name, p.department, p.plannedStart, p.plannedEnd, p.durationDays])).toEqual([
+      ['Prodaja', 'Prodaja', '2026-03-06', '2026-03-10', 2],
+      ['Teh. priprema', 'Tehnička priprema', '2026-03-10', '2026-03-14', 4],
+      ['Nabava', 'Nabava', '2026-03-16', '2026-03-25', 7],
+      ['Proizvodnja', 'Proizvodnja', '2026-03-25', '2026-04-02', 6],
+      ['Ugradnja', 'Montaža', '2026-04-02', '2026-04-07', 3]
+    ])
+    expect(processes[4].dependencies).toEqual([{ from: 'Proizvodnja', type: 'FS', lag: 0 }])
+    expect(processes[4].checklist[0]).toEqual({ id: 'ugradnja-1', text: 'Transport', done: false })
+    expect(processesForPosition({ type: 'Vrata' })[0]).toMatchObject({ plannedStart: null, plannedEnd: null, status: 'Čeka' })
+  })
+
+  test('normative profiles are editable data used by the voice parser', () => {
+    const library = normalizeTemplateLibrary({
+      normativeProfiles: { NORMATIV_2: { name: 'Normativ 2', words: ['dva', 'drugi'], offsets: { start_days: 5, end_days: 10 } }, NORMATIV_3: { words: ['tri', 'treći'], offsets: { start_days: 2, end_days: 6 } } },
+      removed: { normativeProfiles: ['NORMATIV_1'] }
+    })
+    expect(resolveNormativeProfile(1, library)).toBe(null)
+    expect(resolveNormativeProfile('treći', library).id).toBe('NORMATIV_3')
+    expect(parseCroatianCommand('primijeni normativ dva', { templates: library }).profile).toEqual({ id: 'NORMATIV_2', offsets: { start_days: 5, end_days: 10 } })
+    expect(parseCroatianCommand('koristi treći normativ', { templates: library }).profile.id).toBe('NORMATIV_3')
+    expect(parseCroatianCommand('primijeni normativ custom početak plus 2 kraj plus 5', { templates: library }).profile).toEqual({ id: 'CUSTOM', offsets: { start_days: 2, end_days: 5 } })
+    expect(parseCroatianCommand('primijeni prvi normativ', {}).profile.id).toBe('NORMATIV_1')
+  })
+})
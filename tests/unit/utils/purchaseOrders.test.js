@@ -0,0 +1,123 @@
+import { describe, test, expect } from 'vitest'
+import { createEmptyWarehouse, computeBalances } from '../../../src/utils/stockLedger.js'
+import {
+  PO_STATUS,
+  createEmptyProcurement,
+  getProjectShortages,
+  buildDraftOrders,
+  transitionOrder,
+  receiveGoods,
+  checkInvoicePrices,
+  getOnOrder
+} from '../../../src/utils/purchaseOrders.js'
+
+const project = {
+  id: 'p1',
+  materials: [
+    { sku: 'P100', description: 'Profil', quantity: 10, price: 25, meta: { supplier: 'Schüco' } },
+    { sku: 'B20', description: 'Brtva', quantity: 4, price: 3, meta: { supplier: 'Alu-Trade' } },
+    { sku: 'S5', description: 'Vijak', quantity: 2, price: 1, meta: { supplier: 'Alu-Trade' } }
+  ]
+}
+
+const warehouseWithStock = () => {
+  const wh = createEmptyWarehouse()
+  wh.articles.push({ code: 'P100', unit: 'kom' }, { code: 'B20', unit: 'kom' }, { code: 'S5', unit: 'kom' })
+  wh.movements.push({ id: 'm1', type: 'receipt', articleCode: 'S5', quantity: 50, toLocation: 'A-01-1' })
+  wh.movements.push({ id: 'm2', type: 'receipt', articleCode: 'P100', quantity: 3, toLocation: 'A-02-1' })
+  return wh
+}
+
+const sentOrder = (wh, procurement) => {
+  const [order] = buildDraftOrders(getProjectShortages(project, wh, procurement), procurement)
+    .filter(o => o.supplier === 'Schüco')
+  procurement.purchaseOrders.push(order)
+  transitionOrder(order, PO_STATUS.APPROVED)
+  transitionOrder(order, PO_STATUS.SENT)
+  return order
+}
+
+describe('purchaseOrders', () => {
+  test('shortages subtract free stock and draft orders are grouped by supplier', () => {
+    const wh = warehouseWithStock()
+    const shortages = getProjectShortages(project, wh, createEmptyProcurement())
+
+    expect(shortages.map(s => [s.articleCode, s.missing])).toEqual([['P100', 7], ['B20', 4]])
+
+    const drafts = buildDraftOrders(shortages, createEmptyProcurement())
+    expect(drafts.map(d => d.supplier)).toEqual(['Schüco', 'Alu-Trade'])
+    expect(drafts[0]).toMatchObject({ status: PO_STATUS.DRAFT, projectIds: ['p1'] })
+    expect(drafts[0].lines[0]).toMatchObject({ articleCode: 'P100', quantity: 7, unitPrice: 25, receivedQty: 0 })
+    expect(drafts[1].number).not.toBe(drafts[0].number)
+  })
+
+  test('open orders count as covered and shared balances are consumed once', () => {
+    const wh = warehouseWithStock()
+    const procurement = createEmptyProcurement()
+    procurement.purchaseOrders.push(...buildDraftOrders(getProjectShortages(project, wh, procurement), procurement))
+
+    expect(getOnOrder(procurement, 'p1')).toEqual({ P100: 7, B20: 4 })
+    expect(getProjectShortages(project, wh, procurement)).toEqual([])
+
+    const balances = computeBalances(wh)
+    getProjectShortages(project, wh, createEmptyProcurement(), balances)
+    const second = getProjectShortages({ ...project, id: 'p2' }, wh, createEmptyProcurement(), balances)
+    expect(second.find(s => s.articleCode === 'P100').missing).toBe(10)
+  })
+
+  test('rejects invalid status transitions', () => {
+    const [order] = buildDraftOrders([{ articleCode: 'X', missing: 1, projectId: 'p1' }], createEmptyProcurement())
+    expect(() => transitionOrder(order, PO_STATUS.SENT)).toThrow('cannot go from draft to sent')
+    transitionOrder(order, PO_STATUS.APPROVED)
+    expect(order.statusHistory.map(h => h.status)).toEqual(['draft', 'approved'])
+  })
+
+  test('goods receipts post ledger movements and move the order to partially received, then closed', () => {
+    const wh = warehouseWithStock()
+    const procurement = createEmptyProcurement()
+    const order = sentOrder(wh, procurement)
+    const lineId = order.lines[0].id
+
+    const first = receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 5, location: 'b-03-1' }])
+    expect(first.receipt.number).toMatch(/^PRI-\d{4}-0001$/)
+    expect(first.movements[0]).toMatchObject({ type: 'receipt', articleCode: 'P100', quantity: 5, toLocation: 'B-03-1', documentRef: first.receipt.number })
+    expect(order.status).toBe(PO_STATUS.PARTIALLY_RECEIVED)
+    expect(computeBalances(wh).P100.onHand).toBe(8)
+
+    receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 2, location: 'B-03-1' }])
+    expect(order.status).toBe(PO_STATUS.CLOSED)
+    expect(() => receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 1, location: 'B-03-1' }]))
+      .toThrow('only sent orders can be received')
+  })
+
+  test('rejects receiving more than the open quantity without touching the ledger', () => {
+    const wh = warehouseWithStock()
+    const procurement = createEmptyProcurement()
+    const order = sentOrder(wh, procurement)
+    const lineId = order.lines[0].id
+    const movementCount = wh.movements.length
+
+    expect(() => receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 8, location: 'B-03-1' }]))
+      .toThrow('receiving 8 exceeds the open quantity 7')
+    expect(() => receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 4, location: 'B-03-1' }, { lineId, quantity: 4, location: 'B-03-2' }]))
+      .toThrow('exceeds the open quantity 7')
+    expect(wh.movements).toHaveLength(movementCount)
+    expect(order.lines[0].receivedQty).toBe(0)
+
+    const posted = []
+    receiveGoods(wh, procurement, order.id, [{ lineId, quantity: 7, location: 'B-03-1' }], {
+      post: (requests, context) => { posted.push(...requests); return requests.map((r, i) => ({ ...r, id: `m${i}`, ...context })) }
+    })
+    expect(posted).toEqual([expect.objectContaining({ type: 'receipt', articleCode: 'P100', quantity: 7 })])
+    expect(order.status).toBe(PO_STATUS.CLOSED)
+  })
+
+  test('flags invoice prices outside the tolerance', () => {
+    const wh = warehouseWithStock()
+    const order = sentOrder(wh, createEmptyProcurement())
+
+    expect(checkInvoicePrices(order, [{ code: 'P100', unitPrice: 25.2, quantity: 7 }])).toEqual([])
+    const [diff] = checkInvoicePrices(order, [{ code: 'P100', unitPrice: 30, discountPercent: 10, quantity: 7 }])
+    expect(diff).toMatchObject({ articleCode: 'P100', orderedPrice: 25, invoicedPrice: 27, diff: 2, diffPct: 8, impact: 14 })
+  })
+})
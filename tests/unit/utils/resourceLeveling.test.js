@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import { computeResourceLoad, levelResources, normalizeResourceCapacity } from '../../../src/utils/resourceLeveling.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+
+const calendar = createWorkCalendar({ publicHolidays: false })
+const capacity = normalizeResourceCapacity({ employees: { ana: 8, ivo: 8 }, departments: { Montaža: 12, Proizvodnja: 'x' } })
+
+// Tjedan od ponedjeljka 2026-03-02; kraj je isključiv (dan nakon zadnjeg radnog dana)
+const task = (id, start, end, extra = {}) => ({ id, start, end, employeeId: 'ana', employeeName: 'Ana', department: 'Proizvodnja', ...extra })
+
+describe('resourceLeveling', () => {
+  test('reports days where an employee or department is over capacity', () => {
+    const { byKey } = computeResourceLoad([
+      task('a', '2026-03-02', '2026-03-04', { effortHours: 16 }),
+      task('b', '2026-03-03', '2026-03-05', { effortHours: 8 }),
+      task('c', '2026-03-02', '2026-03-03', { employeeId: 'ivo', department: 'Montaža', effortHours: 8 }),
+      task('d', '2026-03-02', '2026-03-03', { employeeId: 'ivo', department: 'Montaža', effortHours: 8 })
+    ], { calendar, capacity })
+    expect(capacity.departments).toEqual({ Montaža: 12 })
+    expect(byKey.get('employee:ana').overloadedDays).toEqual([{ date: '2026-03-03', load: 12, capacity: 8 }])
+    expect(byKey.get('department:Montaža')).toMatchObject({ peak: 16, overloadedDays: [{ date: '2026-03-02', load: 16, capacity: 12 }] })
+  })
+
+  test('delays the less urgent overlapping task and keeps started work in place', () => {
+    const proposals = levelResources([
+      task('low', '2026-03-02', '2026-03-04', { priority: 'low' }),
+      task('hot', '2026-03-03', '2026-03-05', { goriona: 'krčka se' }),
+      task('started', '2026-03-09', '2026-03-10', { actualStart: '2026-03-09' }),
+      task('after', '2026-03-09', '2026-03-10')
+    ], { calendar, capacity })
+    // Prijedlozi idu redom hitnosti; manje hitan zadatak ide iza hitnijeg, započeti se ne pomiče
+    expect(proposals).toEqual([
+      expect.objectContaining({ taskId: 'after', to: { start: '2026-03-10', end: '2026-03-11' }, reason: 'resource' }),
+      expect.objectContaining({ taskId: 'low', to: { start: '2026-03-05', end: '2026-03-07' }, delay: 3, reason: 'resource', resource: 'Ana' })
+    ])
+  })
+
+  test('treats a back-to-back FS handover as free capacity, not an overload', () => {
+    // Isti djelatnik: pon-uto pa sri-čet; kraj prvog je početak drugog
+    const chain = [task('cut', '2026-03-02', '2026-03-04'), task('weld', '2026-03-04', '2026-03-06')]
+    const links = [{ from: 'cut', to: 'weld', type: 'FS', lag: 0 }]
+    expect(computeResourceLoad(chain, { calendar, capacity }).byKey.get('employee:ana')).toMatchObject({ peak: 8, overloadedDays: [] })
+    expect(levelResources(chain, { calendar, capacity, links })).toEqual([])
+  })
+
+  test('respects dependencies of moved tasks', () => {
+    const proposals = levelResources([
+      task('a1', '2026-03-02', '2026-03-03', { priority: 'high' }),
+      task('a2', '2026-03-02', '2026-03-03'),
+      task('b', '2026-03-03', '2026-03-04', { employeeId: 'ivo', department: 'Montaža' })
+    ], { calendar, capacity, links: [{ from: 'a2', to: 'b', type: 'FS', lag: 1 }] })
+    expect(proposals.map(p => [p.taskId, p.to.start, p.reason])).toEqual([
+      ['a2', '2026-03-03', 'resource'],
+      ['b', '2026-03-05', 'dependency']
+    ])
+  })
+})
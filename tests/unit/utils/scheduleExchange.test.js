@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest'
+import { toXer, toICalendar, parseMspdiXml } from '../../../src/utils/scheduleExchange.js'
+import { createWorkCalendar } from '../../../src/utils/workCalendar.js'
+import UnifiedAdapterV2 from '../../../src/adapters/UnifiedAdapter.js'
+
+const calendar = createWorkCalendar()
+
+const project = {
+  id: 'PRJ-1',
+  name: 'Hotel Lapad',
+  positions: [
+    {
+      id: 'PZ-01',
+      title: 'Fasada',
+      processes: [
+        { name: 'Proizvodnja', plannedStart: '2026-03-02', plannedEnd: '2026-03-06', progress: 40, owner: { name: 'Ivo Ivić' } },
+        { name: 'Ugradnja', plannedStart: '2026-03-10', plannedEnd: '2026-03-12', owner: { name: 'Marko, Horvat' }, dependencies: [{ from: 'Proizvodnja', type: 'FS', lag: 1 }] }
+      ]
+    },
+    { id: 'PZ-02', title: 'Ograda', processes: [{ name: 'Ugradnja', plannedStart: '2026-03-16', plannedEnd: '2026-03-17' }] }
+  ]
+}
+
+describe('scheduleExchange', () => {
+  test('MS Project XML round-trips dates, links and owners', () => {
+    const xml = UnifiedAdapterV2.toMSProjectXml(project, { calendar })
+    expect(xml).toContain('<Duration>PT40H0M0S</Duration>')
+    const parsed = parseMspdiXml(xml)
+    const ugradnja = parsed.tasks.find(t => t.agbimId === 'PRJ-1-PZ-01-Ugradnja')
+    expect(ugradnja).toMatchObject({ start: '2026-03-10', end: '2026-03-12', outlineLevel: 2, resources: ['Marko, Horvat'] })
+    expect(ugradnja.predecessors).toEqual([{ uid: parsed.tasks.find(t => t.name === 'Proizvodnja').uid, type: 'FS', lag: 1 }])
+    expect(parsed.tasks.find(t => t.uid === ugradnja.parentUid)).toMatchObject({ name: 'Fasada', summary: true })
+    expect(UnifiedAdapterV2.fromMSProjectXml(xml, project).updates).toEqual([])
+  })
+
+  test('maps a contractor schedule onto positions and processes', () => {
+    const xml = `<?xml version="1.0"?>
+      <Project xmlns="http://schemas.microsoft.com/project"><Title>GC plan</Title><Tasks>
+        <Task><UID>1</UID><Name>Zgrada A</Name><OutlineLevel>1</OutlineLevel><Summary>1</Summary></Task>
+        <Task><UID>2</UID><Name>PZ-01 Fasada</Name><OutlineLevel>2</OutlineLevel><Summary>1</Summary></Task>
+        <Task><UID>3</UID><Name>Montaža</Name><OutlineLevel>3</OutlineLevel><Start>2026-03-11T07:00:00</Start><Finish>2026-03-14T00:00:00</Finish></Task>
+        <Task><UID>4</UID><Name>Ograda dvorište (PZ-02)</Name><OutlineLevel>2</OutlineLevel><Start>2026-03-18T07:00:00</Start><Finish>2026-03-19T15:00:00</Finish></Task>
+        <Task><UID>5</UID><Name>Krovopokrivački radovi</Name><OutlineLevel>2</OutlineLevel><Start>2026-03-18T07:00:00</Start><Finish>2026-03-19T15:00:00</Finish></Task>
+      </Tasks></Project>`
+    const result = UnifiedAdapterV2.fromMSProjectXml(xml, project)
+    expect(result.name).toBe('GC plan')
+    expect(result.updates.map(u => [u.positionId, u.processName, u.plannedStart, u.plannedEnd, u.previousEnd])).toEqual([
+      ['PZ-01', 'Ugradnja', '2026-03-11', '2026-03-13', '2026-03-12'],
+      ['PZ-02', 'Ugradnja', '2026-03-18', '2026-03-19', '2026-03-17']
+    ])
+    expect(result.unmatched).toEqual(['Krovopokrivački radovi'])
+  })
+
+  test('writes XER tables and per-person calendar feeds', () => {
+    const xer = toXer(UnifiedAdapterV2.toExchangeSchedule(project), { calendar, exportedAt: '2026-03-01T10:00:00.000Z' }).split('\r\n')
+    expect(xer[0]).toMatch(/^ERMHDR\t19\.12\t2026-03-01/)
+    expect(xer.filter(line => line.startsWith('%T')).map(line => line.split('\t')[1])).toEqual(['CALENDAR', 'PROJECT', 'PROJWBS', 'RSRC', 'TASK', 'TASKPRED', 'TASKRSRC'])
+    expect(xer).toContain('%R\t1\t2\t1\t1\t1\tPR_FS\t8')
+    expect(xer[xer.length - 1]).toBe('%E')
+
+    // Radni tjedan pon–pet 08–16, Uskrsni ponedjeljak 6.4.2026. kao iznimka; aktivnosti koriste kalendar 1
+    const calendarRow = xer[xer.indexOf('%T\tCALENDAR') + 2].split('\t')
+    expect(calendarRow.slice(1, 9)).toEqual(['1', 'Y', 'AGBIM radni kalendar', '', '', 'CA_Base', '8', '40'])
+    expect(calendarRow[9]).toContain('(0||1()())(0||2()((0||0(s|08:00|f|16:00)())))')
+    expect(calendarRow[9]).toContain(`(d|${Math.round((Date.UTC(2026, 3, 6) - Date.UTC(1899, 11, 30)) / 86400000)})`)
+    const taskFields = xer[xer.indexOf('%T\tTASK') + 1].split('\t')
+    const taskRows = xer.filter((line, i) => i > xer.indexOf('%T\tTASK') + 1 && i < xer.indexOf('%T\tTASKPRED'))
+    expect(taskRows.map(line => line.split('\t')[taskFields.indexOf('clndr_id')])).toEqual(['1', '1', '1'])
+
+    const feeds = UnifiedAdapterV2.toICalendarFeeds([project], { stamp: '2026-03-01T10:00:00.000Z' })
+    expect(feeds.map(f => [f.owner, f.filename, f.events])).toEqual([['Ivo Ivić', 'plan_ivo_ivic.ics', 1], ['Marko, Horvat', 'plan_marko_horvat.ics', 1]])
+    const ics = feeds[1].content
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260310\r\nDTEND;VALUE=DATE:20260313\r\n')
+    expect(ics).toContain('X-WR-CALNAME:Plan – Marko\\, Horvat')
+    const long = toICalendar([{ uid: 'x', start: '2026-03-02', end: '2026-03-02', summary: 'Č'.repeat(60) }], { stamp: '2026-03-01T10:00:00.000Z' })
+    expect(long.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true)
+  })
+})
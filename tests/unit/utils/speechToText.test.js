@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest'
+import {
+  buildSttVocabulary,
+  vocabularyPrompt,
+  parseVocabularyField,
+  normalizeTranscription,
+  createSpeechToText
+} from '../../../src/utils/speechToText.js'
+
+const audio = { buffer: new Uint8Array([1, 2, 3]), filename: 'naredba.webm', mimeType: 'audio/webm' }
+
+describe('speechToText', () => {
+  test('biases recognition towards project codes, normatives, processes and months', () => {
+    expect(parseVocabularyField('["PZ-07", "PZ-08"]')).toEqual(['PZ-07', 'PZ-08'])
+    expect(parseVocabularyField(['PZ-07, KIA7'])).toEqual(['PZ-07', 'KIA7'])
+
+    const vocabulary = buildSttVocabulary({ terms: ['PZ-07', 'montaža'] })
+    expect(vocabulary.slice(0, 2)).toEqual(['PZ-07', 'montaža'])
+    expect(vocabulary).toEqual(expect.arrayContaining(['Normativ 1', 'normativ', 'Proizvodnja', 'Ugradnja', 'ožujka', 'prosinac']))
+    expect(vocabulary.filter(t => t.toLowerCase() === 'montaža')).toHaveLength(1)
+
+    const prompt = vocabularyPrompt(vocabulary, { maxLength: 120 })
+    expect(prompt.length).toBeLessThanOrEqual(120)
+    expect(prompt).toMatch(/: PZ-07, montaža, Normativ 1, .*\.$/)
+  })
+
+  test('normalizes words, timestamps and confidence from every backend', () => {
+    // faster-whisper: vjerojatnost po riječi
+    const local = normalizeTranscription({
+      text: ' pomakni PZ-07 za dva dana', language: 'hr', duration: 2.4,
+      segments: [{ start: 0, end: 2.4, avg_logprob: -0.2, words: [{ word: ' pomakni', start: 0, end: 0.5, probability: 0.9 }, { word: ' PZ-07', start: 0.5, end: 1.1, probability: 0.7 }] }]
+    }, { provider: 'local', model: 'large-v3' })
+    expect(local).toEqual({
+      text: 'pomakni PZ-07 za dva dana', language: 'hr', duration: 2.4, confidence: 0.8, provider: 'local', model: 'large-v3',
+      words: [{ word: 'pomakni', start: 0, end: 0.5, confidence: 0.9 }, { word: 'PZ-07', start: 0.5, end: 1.1, confidence: 0.7 }]
+    })
+
+    // OpenAI verbose_json: riječi bez vjerojatnosti dobivaju pouzdanost segmenta
+    const openai = normalizeTranscription({
+      text: 'normativ dva', duration: 1.2,
+      words: [{ word: 'normativ', start: 0.1, end: 0.6 }, { word: 'dva', start: 0.7, end: 1.0 }],
+      segments: [{ start: 0, end: 1.2, avg_logprob: Math.log(0.75), text: 'normativ dva' }]
+    }, { provider: 'openai', model: 'whisper-1' })
+    expect(openai.words.map(w => w.confidence)).toEqual([0.75, 0.75])
+    expect(openai).toMatchObject({ language: 'hr', confidence: 0.75, duration: 1.2 })
+
+    expect(normalizeTranscription('  pomakni sve  ', { provider: 'openai' })).toMatchObject({ text: 'pomakni sve', words: [], confidence: null })
+  })
+
+  test('falls back to the next provider only when one is unreachable', async () => {
+    const sent = []
+    const openaiLLM = {
+      available: () => true,
+      transcribe: async (request) => { sent.push(request); return { text: 'rasporedi lanac', segments: [{ start: 0, end: 1, avg_logprob: -0.1 }] } }
+    }
+    const offline = async () => { throw new TypeError('fetch failed') }
+    const stt = createSpeechToText({ llm: openaiLLM, env: { STT_BASE_URL: 'http://127.0.0.1:8002/v1' }, fetchImpl: offline })
+    expect(stt.order).toEqual(['local', 'openai'])
+
+    const result = await stt.transcribe(audio, { vocabulary: ['PZ-07'] })
+    expect(result).toMatchObject({ text: 'rasporedi lanac', provider: 'openai', fallback: [{ provider: 'local', error: 'fetch failed' }] })
+    expect(sent[0]).toMatchObject({ language: 'hr', response_format: 'verbose_json', timestamp_granularities: ['word', 'segment'] })
+    expect(sent[0].prompt).toMatch(/PZ-07, Normativ 1/)
+
+    // Odbijen zvuk nije nedostupnost: bez tihog prelaska na drugog pružatelja
+    const rejecting = async () => ({ ok: false, status: 400, text: async () => 'Invalid audio' })
+    await expect(createSpeechToText({ llm: openaiLLM, env: { STT_BASE_URL: 'http://stt' }, fetchImpl: rejecting }).transcribe(audio))
+      .rejects.toMatchObject({ status: 400 })
+
+    const noKey = { available: () => false, transcribe: openaiLLM.transcribe }
+    await expect(createSpeechToText({ llm: noKey, env: {}, fetchImpl: offline }).transcribe(audio)).rejects.toMatchObject({
+      status: 503,
+      attempts: [{ provider: 'openai', error: 'not configured' }, { provider: 'local', error: 'fetch failed' }]
+    })
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, test, expect } from 'vitest'
+import {
+  MOVEMENT_TYPES,
+  computeBalances,
+  validateMovement,
+  createMovement,
+  createReversal,
+  getStockRows,
+  postMovementBatch
+} from '../../../src/utils/stockLedger'
+
+const buildWarehouse = () => {
+  const warehouse = {
+    locations: [],
+    articles: [{ code: 'ALU-001', name: 'Profil 40x40', unit: 'kom', minStock: 50 }],
+    movements: [],
+    reservations: []
+  }
+  warehouse.movements.push(
+    createMovement({ type: MOVEMENT_TYPES.RECEIPT, articleCode: 'ALU-001', quantity: 100, toLocation: 'a-12-3' }),
+    createMovement({ type: MOVEMENT_TYPES.TRANSFER, articleCode: 'ALU-001', quantity: 30, fromLocation: 'A-12-3', toLocation: 'B-05-2' }),
+    createMovement({ type: MOVEMENT_TYPES.ISSUE, articleCode: 'ALU-001', quantity: 10, fromLocation: 'B-05-2' })
+  )
+  return warehouse
+}
+
+describe('stockLedger', () => {
+  test('computes on-hand per location from movements', () => {
+    const balances = computeBalances(buildWarehouse())
+
+    expect(balances['ALU-001'].onHand).toBe(90)
+    expect(balances['ALU-001'].byLocation).toEqual({ 'A-12-3': 70, 'B-05-2': 20 })
+  })
+
+  test('active reservations reduce available quantity', () => {
+    const warehouse = buildWarehouse()
+    warehouse.reservations.push(
+      { articleCode: 'ALU-001', quantity: 60, status: 'active' },
+      { articleCode: 'ALU-001', quantity: 25, status: 'released' }
+    )
+    const [row] = getStockRows(warehouse)
+
+    expect(row.reserved).toBe(60)
+    expect(row.available).toBe(30)
+    expect(row.status).toBe('low')
+  })
+
+  test('rejects issues larger than the stock on that location', () => {
+    const errors = validateMovement(buildWarehouse(), {
+      type: 'issue', articleCode: 'ALU-001', quantity: 25, fromLocation: 'B-05-2'
+    })
+
+    expect(errors).toHaveLength(1)
+    expect(errors[0]).toMatch(/Not enough ALU-001 on B-05-2/)
+  })
+
+  test('rejects unknown articles and malformed locations', () => {
+    const errors = validateMovement(buildWarehouse(), {
+      type: 'receipt', articleCode: 'XYZ', quantity: 5, toLocation: 'hall 3'
+    })
+
+    expect(errors).toEqual([
+      'Article XYZ is not registered in the warehouse',
+      'Invalid target location "hall 3"'
+    ])
+  })
+
+  test('posts a batch only when every movement is valid', () => {
+    const warehouse = buildWarehouse()
+    const count = warehouse.movements.length
+
+    expect(() => postMovementBatch(warehouse, [
+      { type: 'transfer', articleCode: 'ALU-001', quantity: 20, fromLocation: 'B-05-2', toLocation: 'C-01-1' },
+      { type: 'issue', articleCode: 'ALU-001', quantity: 5, fromLocation: 'B-05-2' }
+    ])).toThrow(/^Movement 2: Not enough ALU-001 on B-05-2/)
+    expect(warehouse.movements).toHaveLength(count)
+
+    const posted = postMovementBatch(warehouse, [{ type: 'in', code: 'ALU-001', quantity: 4, section: 'c-01-1' }], { userId: 'u1' })
+    expect(posted[0]).toMatchObject({ type: 'receipt', toLocation: 'C-01-1', userId: 'u1' })
+    expect(computeBalances(warehouse)['ALU-001'].onHand).toBe(94)
+  })
+
+  test('maps legacy in/out movement types', () => {
+    expect(validateMovement(buildWarehouse(), {
+      type: 'out', articleCode: 'ALU-001', quantity: 5, fromLocation: 'A-12-3'
+    })).toEqual([])
+  })
+
+  test('reversal restores the previous balance', () => {
+    const warehouse = buildWarehouse()
+    warehouse.movements.push(createReversal(warehouse.movements[2]))
+
+    expect(computeBalances(warehouse)['ALU-001'].byLocation).toEqual({ 'A-12-3': 70, 'B-05-2': 30 })
+  })
+})
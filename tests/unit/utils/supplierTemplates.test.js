@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest'
+import {
+  upsertSupplierFromInvoice,
+  applySupplierDefaults,
+  findSupplierInText,
+  learnSupplierTemplate,
+  parseWithSupplierTemplate,
+  isTemplateUsable,
+  parseNumber
+} from '../../../src/utils/supplierTemplates.js'
+
+const OIB = '69435151530'
+
+const invoiceText = ({ number, date, due, lines, subtotal, vat, total }) => [
+  'Alu-Trade d.o.o.\tOIB: ' + OIB,
+  'IBAN: HR1210010051863000160',
+  `Račun br.: ${number}\tDatum računa: ${date}`,
+  `Dospijeće: ${due}`,
+  'Šifra\tNaziv\tKol.\tJM\tCijena\tIznos',
+  ...lines,
+  `Osnovica:\t${subtotal}`,
+  `PDV 25%:\t${vat}`,
+  `Ukupno za platiti:\t${total}`,
+  'Hvala na povjerenju. Ukupno stranica: 1'
+].join('\n')
+
+const firstText = invoiceText({
+  number: '55-1-1', date: '05.10.2026', due: '04.11.2026',
+  lines: ['P100\tProfil 6060\t10\tkom\t25,00\t250,00', 'B20\tBrtva EPDM\t4\tm\t3,00\t12,00'],
+  subtotal: '262,00', vat: '65,50', total: '327,50'
+})
+
+// Ispravljena analiza (AI je pogriješio ukupni iznos)
+const confirmed = {
+  documentNumber: '55-1-1',
+  date: '2026-10-05',
+  dueDate: '2026-11-04',
+  currency: 'EUR',
+  supplier: { name: 'Alu-Trade d.o.o.', oib: OIB, iban: 'HR1210010051863000160' },
+  items: [
+    { code: 'P100', description: 'Profil 6060', quantity: 10, unit: 'kom', unitPrice: 25, totalPrice: 250 },
+    { code: 'B20', description: 'Brtva EPDM', quantity: 4, unit: 'm', unitPrice: 3, totalPrice: 12 }
+  ],
+  totals: { subtotal: 262, vatAmount: 65.5, totalAmount: 327.5 }
+}
+
+describe('supplierTemplates', () => {
+  test('registry keeps master data per OIB', () => {
+    const suppliers = []
+    const supplier = upsertSupplierFromInvoice(suppliers, confirmed)
+    upsertSupplierFromInvoice(suppliers, { ...confirmed, supplier: { oib: 'HR' + OIB, iban: 'HR12 1001 0051 8630 0016 0' } })
+
+    expect(suppliers).toHaveLength(1)
+    expect(supplier).toMatchObject({ oib: OIB, name: 'Alu-Trade d.o.o.', ibans: ['HR1210010051863000160'], paymentTermsDays: 30, invoiceCount: 2 })
+    expect(findSupplierInText(suppliers, firstText)).toBe(supplier)
+    expect(applySupplierDefaults({ date: '2026-12-01', supplier: {} }, supplier)).toMatchObject({
+      dueDate: '2026-12-31', currency: 'EUR', supplier: { oib: OIB, iban: 'HR1210010051863000160' }
+    })
+  })
+
+  test('corrections teach labels, number format and the item table', () => {
+    const suppliers = []
+    const supplier = upsertSupplierFromInvoice(suppliers, confirmed)
+    const learned = learnSupplierTemplate(supplier, confirmed, firstText, {
+      corrections: [{ fieldPath: 'totals.totalAmount', previous: 372.5, value: 327.5 }]
+    })
+
+    expect(learned).toEqual(['documentNumber', 'date', 'dueDate', 'totals.subtotal', 'totals.vatAmount', 'totals.totalAmount', 'items'])
+    expect(supplier.template.numberFormat).toBe('eu')
+    expect(supplier.template.labels['totals.totalAmount'].label).toBe('Ukupno za platiti')
+    expect(supplier.template.itemHeader.columns).toEqual({ code: 0, description: 1, quantity: 2, unit: 3, unitPrice: 4, totalPrice: 5 })
+    expect(isTemplateUsable(supplier)).toBe(true)
+  })
+
+  test('next invoice from the same supplier parses with the learned template', () => {
+    const suppliers = []
+    const supplier = upsertSupplierFromInvoice(suppliers, confirmed)
+    learnSupplierTemplate(supplier, confirmed, firstText)
+
+    const next = invoiceText({
+      number: '61-1-1', date: '12.11.2026', due: '12.12.2026',
+      lines: ['P200\tProfil 7070\t2\tkom\t1.250,00\t2.500,00'],
+      subtotal: '2.500,00', vat: '625,00', total: '3.125,00'
+    })
+    const analysis = parseWithSupplierTemplate(next, supplier)
+
+    expect(analysis).toMatchObject({
+      documentNumber: '61-1-1',
+      date: '2026-11-12',
+      dueDate: '2026-12-12',
+      supplier: { oib: OIB, iban: 'HR1210010051863000160' },
+      totals: { subtotal: 2500, vatAmount: 625, totalAmount: 3125 },
+      items: [{ code: 'P200', description: 'Profil 7070', quantity: 2, unit: 'kom', unitPrice: 1250, totalPrice: 2500 }]
+    })
+    expect(analysis.extraction.matchedFields).toHaveLength(analysis.extraction.expectedFields)
+    expect(parseWithSupplierTemplate('bez oznaka', supplier)).toBeNull()
+  })
+
+  test('numbers follow the learned format', () => {
+    expect(parseNumber('1.234,56', 'eu')).toBe(1234.56)
+    expect(parseNumber('1,234.56', 'us')).toBe(1234.56)
+    expect(parseNumber('EUR 1.234', 'eu')).toBe(1234)
+  })
+})
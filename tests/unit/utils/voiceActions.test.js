@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'vitest'
+import {
+  validateVoiceAction,
+  actionsFromParsedCommand,
+  createVoiceAction,
+  isLLMUnavailableError,
+  voiceContextFromDraft,
+  EMIT_ACTION_TOOL
+} from '../../../src/utils/voiceActions.js'
+import { parseCroatianCommand } from '../../../src/components/tabs/GVAv2/parser/parseCroatianCommand.js'
+
+const aliasToLine = { PR3: 'L3', PR5: 'L5', KIA7: 'L7' }
+const aliases = Object.keys(aliasToLine)
+
+describe('voiceActions', () => {
+  test('reports every schema violation with its path', () => {
+    expect(validateVoiceAction({ type: 'set_range', targets: ['PR3'], params: { start: '2026-03-02', end: '2026-03-06' } }, { aliases })).toEqual({ ok: true, errors: [] })
+
+    const { ok, errors } = validateVoiceAction({ type: 'shift', targets: ['KIA 7', 'PR9'], params: { days: 1.5, date: '2026-03-02' } }, { aliases })
+    expect(ok).toBe(false)
+    expect(errors.map(e => e.path)).toEqual(['targets[0]', 'targets[1]', 'params.days', 'params.date'])
+
+    expect(validateVoiceAction({ type: 'shift_all', targets: ['PR3'], params: { days: 2 } }).errors[0].path).toBe('targets')
+    expect(validateVoiceAction({ type: 'move_start', targets: ['PR3'], params: { date: '2026-02-30' } }).errors[0].path).toBe('params.date')
+    expect(validateVoiceAction({ type: 'pomak', targets: ['PR3'], params: {} }).errors[0].path).toBe('type')
+    expect(EMIT_ACTION_TOOL.function.parameters.properties.type.enum).toContain('normative_extend')
+  })
+
+  test('local parser commands map to the same valid action shape', () => {
+    const parse = (text) => actionsFromParsedCommand(parseCroatianCommand(text, { aliasToLine, defaultYear: 2026 }))
+
+    expect(parse('pomakni pr5 za 2 dana')).toEqual([{ type: 'shift', targets: ['PR5'], params: { days: 2 } }])
+    expect(parse('pomakni početak pr3 na 2026-03-16')).toEqual([{ type: 'move_start', targets: ['PR3'], params: { date: '2026-03-16' } }])
+    expect(parse('pomakni sve za tri dana')).toEqual([{ type: 'shift_all', targets: [], params: { days: 3 } }])
+    expect(parse('rasporedi lanac')).toEqual([{ type: 'distribute_chain', targets: [], params: {} }])
+    expect(parse('otvori zadatak')).toEqual([])
+
+    const actions = parse('pomakni pr5 plus jedan dan').concat(parse('pomakni pr3 minus jedan tjedan'))
+    actions.forEach(action => expect(validateVoiceAction(action, { aliases }).ok).toBe(true))
+    expect(actions).toHaveLength(2)
+    expect(createVoiceAction(actions[1], { id: 'a-1', at: '2026-03-02T08:00:00.000Z' })).toEqual({
+      type: 'shift', targets: ['PR3'], params: { days: -7 }, client_action_id: 'a-1', requested_at: '2026-03-02T08:00:00.000Z'
+    })
+  })
+
+  test('builds the stream context from the agent draft so line aliases resolve', () => {
+    const draft = {
+      activeLineId: 'line-2',
+      lines: new Map([
+        ['line-1', { id: 'line-1', pozicija_id: 'PZ-01', label: 'Fasada', start: '2026-03-02', end: '2026-03-04' }],
+        ['line-2', { id: 'line-2', pozicija_id: 'PZ-02', label: 'Ograda', start: '2026-03-05', end: '2026-03-06' }]
+      ])
+    }
+    const context = voiceContextFromDraft(draft, { now: new Date('2026-02-20T10:00:00Z') })
+    expect(context).toMatchObject({
+      aliasToLine: { PR1: 'line-1', PR2: 'line-2', PZ01: 'line-1', PZ02: 'line-2' },
+      activeLineId: 'line-2',
+      defaultYear: 2026,
+      nowISO: '2026-02-20'
+    })
+    expect(context.pozicije[1]).toEqual({ id: 'line-2', naziv: 'Ograda', alias: 'PR2', datum_pocetka: '2026-03-05', datum_zavrsetka: '2026-03-06' })
+    expect(actionsFromParsedCommand(parseCroatianCommand('pomakni pr2 za 2 dana', context)))
+      .toEqual([{ type: 'shift', targets: ['PR2'], params: { days: 2 } }])
+    expect(voiceContextFromDraft(null).aliasToLine).toEqual({})
+  })
+
+  test('treats network, auth and server errors as an unavailable LLM', () => {
+    expect(isLLMUnavailableError(new Error('Connection error.'))).toBe(true)
+    expect(isLLMUnavailableError(Object.assign(new Error('Rate limit'), { status: 429 }))).toBe(true)
+    expect(isLLMUnavailableError(Object.assign(new Error('Bad Gateway'), { status: 502 }))).toBe(true)
+    expect(isLLMUnavailableError(Object.assign(new Error('Invalid schema for function'), { status: 400 }))).toBe(false)
+    expect(isLLMUnavailableError(new Error('No recorded LLM response for chat request chat-0.json'))).toBe(false)
+  })
+})
@@ -0,0 +1,178 @@
+import { describe, test, expect } from 'vitest'
+import { Buffer } from 'buffer'
+import {
+  frameLevel,
+  createVad,
+  encodeWav,
+  downsampleToInt16,
+  detectVoiceIntent,
+  createVoiceStreamSession
+} from '../../../src/utils/voiceStream.js'
+import { actionsFromParsedCommand } from '../../../src/utils/voiceActions.js'
+import { parseCroatianCommand } from '../../../src/components/tabs/GVAv2/parser/parseCroatianCommand.js'
+
+const context = { aliasToLine: { PR3: 'L3', PR5: 'L5' }, defaultYear: 2026 }
+const parse = (text, ctx = context) => actionsFromParsedCommand(parseCroatianCommand(text, { aliasToLine: ctx.aliasToLine, defaultYear: ctx.defaultYear }))
+
+// 20 ms okviri na 16 kHz: govor je sinus (~-15 dBFS), tišina nule
+const FRAME = 320
+const speech = (ms) => Int16Array.from({ length: ms * 16 }, (_, i) => Math.round(8000 * Math.sin(i / 5)))
+const silence = (ms) => new Int16Array(ms * 16)
+const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// Zvuk u porukama od 100 ms, kao s mikrofona
+const stream = async (session, samples) => {
+  for (let i = 0; i < samples.length; i += 1600) {
+    session.pushAudio(Buffer.from(samples.slice(i, i + 1600).buffer))
+    await tick()
+  }
+}
+
+describe('voiceStream', () => {
+  test('detects speech by frame energy and encodes utterances as WAV', () => {
+    expect(frameLevel(silence(20))).toBe(-100)
+    expect(frameLevel(new Int16Array(FRAME).fill(32767))).toBeCloseTo(0, 1)
+
+    const vad = createVad()
+    const events = []
+    const push = (samples) => { for (let i = 0; i < samples.length; i += FRAME) events.push(vad.push(samples.subarray(i, i + FRAME))) }
+    push(silence(200))
+    push(speech(60))
+    expect(events.filter(Boolean)).toEqual(['speech_start'])
+    expect(events.indexOf('speech_start')).toBe(12)
+    push(silence(680))
+    expect(vad.speaking).toBe(true)
+    push(silence(20))
+    expect(events.filter(Boolean)).toEqual(['speech_start', 'speech_end'])
+
+    const wav = encodeWav(Int16Array.from([1, -2]), 16000)
+    const text = (from, to) => String.fromCharCode(...wav.slice(from, to))
+    expect([wav.length, text(0, 4), text(8, 12), text(36, 40)]).toEqual([48, 'RIFF', 'WAVE', 'data'])
+    expect(new DataView(wav.buffer).getUint32(24, true)).toBe(16000)
+    expect(new DataView(wav.buffer).getInt16(46, true)).toBe(-2)
+
+    expect(Array.from(downsampleToInt16(Float32Array.from([0.5, 0.5, 0.5, -1, -1, -1]), 48000))).toEqual([16383, -32768])
+  })
+
+  test('recognizes the wake word, short confirmations and commands from partial text', () => {
+    const asleep = { awake: false, wakeWord: 'agent', parse }
+    expect(detectVoiceIntent('Pomakni PR5 za 2 dana.', asleep)).toEqual({ kind: 'none', wake: false, command: '', actions: [] })
+    expect(detectVoiceIntent('Agent.', asleep)).toMatchObject({ kind: 'wake', wake: true })
+    expect(detectVoiceIntent('Agent, pomakni PR5 za 2 dana.', asleep)).toEqual({
+      kind: 'command', wake: true, command: 'pomakni pr5 za 2 dana', actions: [{ type: 'shift', targets: ['PR5'], params: { days: 2 } }]
+    })
+
+    expect(detectVoiceIntent('Potvrdi.', { parse }).kind).toBe('confirm')
+    expect(detectVoiceIntent('u redu', { parse }).kind).toBe('confirm')
+    expect(detectVoiceIntent('Poništi!', { parse }).kind).toBe('cancel')
+    expect(detectVoiceIntent('dalje', { parse }).kind).toBe('next')
+    // Dulji iskaz s "ne" nije poništavanje nego naredba za parser
+    expect(detectVoiceIntent('ne pomiči pr3 ovaj tjedan', { parse }).kind).toBe('none')
+    expect(detectVoiceIntent('pomakni pr3 za', { parse }).kind).toBe('none')
+  })
+
+  test('streams partial transcripts, final intent and barge-in over one session', async () => {
+    const events = []
+    const calls = []
+    const transcribe = async (audio, { partial }) => {
+      calls.push({ partial, mimeType: audio.mimeType, bytes: audio.buffer.length })
+      return partial
+        ? { text: 'pomakni pr5', confidence: 0.7 }
+        : { text: 'Pomakni PR5 za 2 dana.', confidence: 0.91, words: [], provider: 'local' }
+    }
+    const interpret = async (text, ctx) => ({ type: 'actions', actions: parse(text, ctx), source: 'llm' })
+    const session = createVoiceStreamSession({ transcribe, interpret, parse, send: (event) => events.push(event) })
+
+    session.handleMessage({ type: 'start', sampleRate: 16000, context })
+    session.handleMessage({ type: 'tts', state: 'start' })
+    await stream(session, silence(200))
+    await stream(session, speech(1000))
+    await stream(session, silence(800))
+    await session.idle()
+
+    expect(events.map(e => e.type)).toEqual([
+      'ready', 'vad', 'barge_in', 'transcript.partial', 'vad', 'transcript.final', 'intent.final'
+    ])
+    expect(events[3]).toMatchObject({ utterance: 1, text: 'pomakni pr5' })
+    expect(events[6]).toMatchObject({
+      kind: 'command',
+      command: 'pomakni pr5 za 2 dana',
+      result: { type: 'actions', actions: [{ type: 'shift', targets: ['PR5'], params: { days: 2 } }] }
+    })
+    expect(calls.map(c => c.partial)).toEqual([true, false])
+    expect(calls[1].mimeType).toBe('audio/wav')
+    expect(calls[1].bytes).toBeGreaterThan(calls[0].bytes)
+
+    // S budnom riječi sesija ignorira govor dok ne čuje "agent", a "poništi" je vraća na spavanje
+    const texts = ['pomakni pr5 za 2 dana', 'agent', 'poništi']
+    const sleepy = []
+    const wakeSession = createVoiceStreamSession({ transcribe: async () => ({ text: texts.shift() }), parse, send: (event) => sleepy.push(event) })
+    wakeSession.handleMessage({ type: 'start', wakeWord: 'agent' })
+    for (let i = 0; i < 3; i++) {
+      await stream(wakeSession, speech(300))
+      wakeSession.handleMessage({ type: 'stop' })
+      await wakeSession.idle()
+      await stream(wakeSession, silence(800))
+    }
+    expect(sleepy.filter(e => ['intent.final', 'wake'].includes(e.type)).map(e => e.ignored ? 'ignored' : e.kind || e.type)).toEqual(['ignored', 'wake', 'cancel'])
+    expect(wakeSession.awake).toBe(false)
+  })
+
+  test('acknowledges stop after the final intent and aborts work when the socket closes', async () => {
+    const events = []
+    const session = createVoiceStreamSession({
+      transcribe: async (audio, { partial }) => ({ text: partial ? '' : 'potvrdi' }),
+      parse,
+      send: (event) => events.push(event)
+    })
+    session.handleMessage({ type: 'start' })
+    await stream(session, speech(300))
+    session.handleMessage({ type: 'stop' })
+    await session.idle()
+    expect(events.slice(-3).map(e => e.type)).toEqual(['transcript.final', 'intent.final', 'stopped'])
+
+    // Zatvaranje usred iskaza prekida transkripciju i ništa se više ne šalje ni tumači
+    const closed = []
+    const signals = []
+    let interpreted = 0
+    const closing = createVoiceStreamSession({
+      transcribe: (audio, { partial, signal }) => {
+        signals.push(signal)
+        if (partial) return Promise.resolve({ text: '' })
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+      },
+      interpret: async () => { interpreted++ },
+      parse,
+      send: (event) => closed.push(event)
+    })
+    closing.handleMessage({ type: 'start', context })
+    await stream(closing, speech(300))
+    closing.handleMessage({ type: 'stop' })
+    const sent = closed.length
+    closing.close()
+    await closing.idle()
+    expect(signals.at(-1).aborted).toBe(true)
+    expect(closed.length).toBe(sent)
+    expect(interpreted).toBe(0)
+  })
+
+  test('rejects a start message with an unusable sample rate and closes instead of looping', () => {
+    for (const sampleRate of [10, -16000, 16000.5, 96000, 'x']) {
+      const events = []
+      const ended = []
+      let transcribed = 0
+      const session = createVoiceStreamSession({
+        transcribe: async () => { transcribed++; return { text: '' } },
+        send: (event) => events.push(event),
+        end: (reason) => ended.push(reason)
+      })
+      session.handleMessage({ type: 'start', sampleRate })
+      session.pushAudio(Buffer.from(speech(300).buffer))
+      session.handleMessage({ type: 'start' })
+      expect(events).toEqual([{ type: 'error', stage: 'start', message: `Unsupported sample rate ${sampleRate} (8000-48000 Hz)` }])
+      expect(ended).toHaveLength(1)
+      expect(session.speaking).toBe(false)
+      expect(transcribed).toBe(0)
+    }
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import {
+  getEasterSunday,
+  getCroatianHolidays,
+  createWorkCalendar
+} from '../../../src/utils/workCalendar.js'
+import { scheduleTasks } from '../../../src/utils/ganttScheduler.js'
+
+const calendar = createWorkCalendar({
+  shutdowns: [{ from: '2026-12-28', to: '2026-12-31', name: 'Kolektivni godišnji' }],
+  extraWorkDays: ['2026-05-30'],
+  teams: { montaza: { name: 'Montaža', workWeek: [1, 2, 3, 4, 5, 6], hoursPerDay: 10 } }
+})
+
+describe('workCalendar', () => {
+  test('moves Easter-dependent holidays with Easter', () => {
+    expect(['2025', '2026', '2027'].map(y => getEasterSunday(Number(y)))).toEqual(['2025-04-20', '2026-04-05', '2027-03-28'])
+    const holidays = getCroatianHolidays(2026)
+    expect(holidays).toHaveLength(14)
+    expect(holidays.filter(h => ['Uskrsni ponedjeljak', 'Tijelovo'].includes(h.name)).map(h => h.date)).toEqual(['2026-04-06', '2026-06-04'])
+    expect(getCroatianHolidays(2019).map(h => h.date)).toContain('2019-10-08')
+  })
+
+  test('classifies weekends, holidays, shutdowns and extra work days', () => {
+    expect(calendar.getDayInfo('2026-04-06')).toMatchObject({ type: 'holiday', label: 'Uskrsni ponedjeljak', hours: 0 })
+    expect(calendar.getDayInfo('2026-12-29')).toMatchObject({ type: 'shutdown', label: 'Kolektivni godišnji' })
+    expect(calendar.getDayInfo('2026-04-04').type).toBe('weekend')
+    expect(calendar.isWorkDay('2026-05-30')).toBe(true)
+    expect(calendar.getDayInfo('2026-04-04', { team: 'montaza' })).toMatchObject({ workDay: true, hours: 10 })
+  })
+
+  test('adds and counts working days', () => {
+    // Petak prije Uskrsa + 1 radni dan preskače vikend i Uskrsni ponedjeljak
+    expect(calendar.addWorkDays('2026-04-03', 1)).toBe('2026-04-07')
+    expect(calendar.addWorkDays('2026-04-07', -1)).toBe('2026-04-03')
+    expect(calendar.addWorkDays('2026-04-03', 1, { team: 'montaza' })).toBe('2026-04-04')
+    expect(calendar.countWorkDays('2026-12-21', '2027-01-08')).toBe(8)
+    expect(calendar.workHours('2026-04-03', '2026-04-07', { team: 'montaza' })).toBe(30)
+    expect(calendar.endAfterWorkDays('2026-04-02', 3)).toBe('2026-04-07')
+    expect(calendar.shiftDate('2026-04-03', 3, 'calendar_days')).toBe('2026-04-06')
+    expect(calendar.shiftDate('2026-04-03', 3, 'work_days')).toBe('2026-04-09')
+    // Pomak raspona (GanttAgent i GVAv2) čuva tri radna dana preko Uskrsa
+    expect(calendar.shiftRange('2026-04-01', '2026-04-03', 2)).toEqual({ start: '2026-04-03', end: '2026-04-08' })
+    expect(calendar.nextWorkDay('2026-12-26')).toBe('2027-01-04')
+    expect(calendar.fromWorkIndex(calendar.toWorkIndex('1999-12-31'))).toBe('1999-12-31')
+  })
+
+  test('scheduler counts lags and durations in working days', () => {
+    const schedule = scheduleTasks(
+      [{ id: 'a', start: '2026-04-01', end: '2026-04-03' }, { id: 'b', start: '2026-04-01', end: '2026-04-02' }],
+      [{ from: 'a', to: 'b', type: 'FS', lag: 1 }],
+      { endInclusive: true, calendar }
+    )
+    expect(schedule.byId.a.duration).toBe(3)
+    expect(schedule.byId.b).toMatchObject({ start: '2026-04-08', end: '2026-04-09', duration: 2 })
+  })
+})
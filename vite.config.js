@@ -18,7 +18,8 @@ export default defineConfig({
       "/api": {
         target: "http://localhost:3002", // Voice server port (server.js)
         changeOrigin: true,
-        secure: false
+        secure: false,
+        ws: true // glasovni tok /api/voice/stream
       }
       ,
       "/fw": {
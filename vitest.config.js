@@ -5,9 +5,28 @@ import path from 'path'
 export default defineConfig({
   plugins: [react()],
   test: {
-    environment: 'jsdom',
     globals: true,
-    setupFiles: ['./tests/setup.js'],
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: 'unit',
+          include: ['tests/unit/**/*.test.{js,jsx}'],
+          environment: 'jsdom',
+          setupFiles: ['./tests/setup.js'],
+        }
+      },
+      {
+        // Express rute nad snimljenim LLM odgovorima, bez DOM-a
+        extends: true,
+        test: {
+          name: 'integration',
+          include: ['tests/integration/**/*.test.js'],
+          environment: 'node',
+          testTimeout: 20000,
+        }
+      }
+    ]
   },
   resolve: {
     alias: {
@@ -17,4 +36,4 @@ export default defineConfig({
       '../../../services/BackendService': path.resolve(__dirname, 'tests/__mocks__/services/BackendService.js')
     }
   }
-})
\ No newline at end of file
+})
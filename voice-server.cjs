@@ -23,20 +23,24 @@ if (fs.existsSync('.env.local')) {
   require('dotenv').config({ path: '.env.local' });
 }
 
-// Check if OpenAI is available
-let OpenAI = null;
-let openai = null;
-
-try {
-  OpenAI = require('openai');
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+// LLM pružatelji (src/utils/llmProviders.js, ESM): modeli po endpointu i zakupcu;
+// VITE_RESPONSES_MODEL i VITE_REALTIME_MODEL vrijede kao i prije
+let llm = null;
+let tenantOf = () => null;
+const llmReady = import('./src/utils/llmProviders.js')
+  .then(async ({ loadLLMRegistry, tenantFromRequest }) => {
+    llm = await loadLLMRegistry();
+    tenantOf = tenantFromRequest;
+    console.log('✅ LLM provider registry loaded');
+    return llm;
+  })
+  .catch(error => {
+    console.warn('⚠️ LLM providers unavailable:', error.message);
+    console.warn('   Voice processing will use fallback methods');
+    return null;
   });
-  console.log('✅ OpenAI SDK loaded successfully');
-} catch (error) {
-  console.warn('⚠️ OpenAI SDK not installed. Run: npm install openai');
-  console.warn('   Voice processing will use fallback methods');
-}
+
+const llmRoute = (req, endpoint) => ({ endpoint, tenant: tenantOf(req) });
 
 const PORT = process.env.PORT || 3000;
 
@@ -199,7 +203,9 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
 /* ====================== OpenAI Realtime API ====================== */
 
 app.post('/api/agent/voice-token', async (req, res) => {
-  if (!openai) {
+  await llmReady;
+  const route = llmRoute(req, 'voice.token');
+  if (!llm?.available('realtime', route)) {
     return res.status(503).json({ 
       error: 'OpenAI not configured',
       fallback: 'Use Web Speech API instead'
@@ -209,8 +215,7 @@ app.post('/api/agent/voice-token', async (req, res) => {
   try {
     console.log('🎤 Creating Realtime session token...');
     
-    const session = await openai.realtime.sessions.create({
-      model: process.env.VITE_REALTIME_MODEL || "gpt-realtime-preview",
+    const session = await llm.realtimeSession({
       voice: "alloy", // or "echo", "fable", "onyx", "nova", "shimmer"
       turn_detection: {
         type: "server_vad", // Voice Activity Detection
@@ -218,9 +223,6 @@ app.post('/api/agent/voice-token', async (req, res) => {
         prefix_padding_ms: 300,
         silence_duration_ms: 500
       },
-      input_audio_transcription: {
-        model: "whisper-1"
-      },
       tools: [
         {
           type: "function",
@@ -256,7 +258,7 @@ Uvijek traži potvrdu prije slanja: "Našla sam Ponuda_001.pdf. Reci 'jasan zvuk
 
 Odgovori su kratki i jasni na hrvatskom jeziku.
       `.trim()
-    });
+    }, route);
     
     console.log('✅ Realtime session created');
     res.json(session);
@@ -322,7 +324,7 @@ app.post('/api/agent/smart-document', upload.single('file'), async (req, res) =>
     
     if (documentSource.type === 'upload') {
       const fileInfo = UPLOADS.get(documentSource.uploadId);
-      result = await processUploadedFile(fileInfo, query);
+      result = await processUploadedFile(fileInfo, query, llmRoute(req, 'agent.smart-document'));
     } else if (documentSource.type === 'remote') {
       result = {
         docName: path.basename(documentSource.url),
@@ -341,7 +343,7 @@ app.post('/api/agent/smart-document', upload.single('file'), async (req, res) =>
           size: fileStats.size,
           path: doc.filePath
         };
-        result = await processUploadedFile(fileInfo, query);
+        result = await processUploadedFile(fileInfo, query, llmRoute(req, 'agent.smart-document'));
       } else {
         result = {
           docName: doc.name,
@@ -368,7 +370,7 @@ app.post('/api/agent/smart-document', upload.single('file'), async (req, res) =>
   }
 });
 
-async function processUploadedFile(fileInfo, query = 'extract key data') {
+async function processUploadedFile(fileInfo, query = 'extract key data', route = { endpoint: 'agent.smart-document' }) {
   try {
     console.log(`📄 Processing file: ${fileInfo.name} (${fileInfo.mimetype})`);
     
@@ -390,9 +392,10 @@ async function processUploadedFile(fileInfo, query = 'extract key data') {
       }
     };
     
-    // Use OpenAI for actual PDF processing:
-    if (openai && fileInfo.mimetype === 'application/pdf') {
-      console.log('🤖 Processing PDF with OpenAI GPT...');
+    // Use the LLM for actual PDF processing:
+    await llmReady;
+    if (llm?.available('json', route) && fileInfo.mimetype === 'application/pdf') {
+      console.log('🤖 Processing PDF with LLM...');
       
       try {
         // Extract actual PDF text content
@@ -430,8 +433,7 @@ Vrati odgovor u JSON formatu sa sljedećim poljima:
 Prikaži sve iznose u hrvatskom formatu (decimalni zarez, točke za tisućice).
         `.trim();
 
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
+        const completion = await llm.chat({
           messages: [
             {
               role: "system", 
@@ -444,11 +446,11 @@ Prikaži sve iznose u hrvatskom formatu (decimalni zarez, točke za tisućice).
           ],
           response_format: { type: "json_object" },
           temperature: 0.1
-        });
+        }, route);
 
         const aiResponse = JSON.parse(completion.choices[0].message.content);
         
-        console.log('✨ OpenAI analysis completed');
+        console.log('✨ LLM analysis completed');
         
         return {
           docName: fileInfo.name,
@@ -465,7 +467,7 @@ Prikaži sve iznose u hrvatskom formatu (decimalni zarez, točke za tisućice).
         };
         
       } catch (aiError) {
-        console.error('❌ OpenAI processing failed:', aiError);
+        console.error('❌ LLM processing failed:', aiError);
         // Fallback to mock data if AI fails
         console.log('📋 Falling back to mock data');
       }
@@ -482,10 +484,12 @@ Prikaži sve iznose u hrvatskom formatu (decimalni zarez, točke za tisućice).
 /* ====================== Responses API Orchestrator ====================== */
 
 app.post('/api/agent/orchestrate', async (req, res) => {
-  if (!openai) {
+  await llmReady;
+  const route = llmRoute(req, 'voice.orchestrate');
+  if (!llm?.available('tools', route)) {
     return res.status(503).json({ 
       error: 'OpenAI not configured',
-      message: 'Install OpenAI SDK and set OPENAI_API_KEY'
+      message: 'Set OPENAI_API_KEY or configure a local LLM provider (LLM_BASE_URL)'
     });
   }
 
@@ -547,8 +551,7 @@ app.post('/api/agent/orchestrate', async (req, res) => {
       }
     ];
 
-    const response = await openai.chat.completions.create({
-      model: process.env.VITE_RESPONSES_MODEL || "gpt-4o-mini",
+    const response = await llm.chat({
       messages: [
         {
           role: "system",
@@ -573,7 +576,7 @@ Budi kratak i jasan. Odgovori na hrvatskom.
       ],
       tools,
       tool_choice: "auto"
-    });
+    }, route);
 
     // Handle tool calls
     const message = response.choices[0]?.message;
@@ -708,10 +711,11 @@ app.get('/', (req, res) => {
 
 /* ====================== Server Startup ====================== */
 
-app.listen(PORT, () => {
+// Samo kad se pokreće izravno; testovi uvoze app bez slušanja
+if (require.main === module) app.listen(PORT, () => {
   console.log(`✅ Voice Document Processing Server running on http://localhost:${PORT}`);
   console.log(`📁 Known documents: ${KNOWN_DOCS.length}`);
-  console.log(`🔧 OpenAI: ${openai ? 'Connected' : 'Not configured'}`);
+  llmReady.then(registry => console.log(`🔧 LLM: ${registry?.available('chat') ? 'Configured' : 'Not configured'}`));
   
   if (!process.env.OPENAI_API_KEY) {
     console.warn('⚠️  OPENAI_API_KEY not set. Voice processing will be limited.');
@@ -753,7 +757,9 @@ app.listen(PORT, () => {
 
 /* ====================== GVA Voice Intent (tool-calling) ====================== */
 app.post('/api/gva/voice-intent', async (req, res) => {
-  if (!openai) {
+  await llmReady;
+  const route = llmRoute(req, 'voice.gva-intent');
+  if (!llm?.available('tools', route)) {
     return res.status(503).json({ error: 'openai_not_configured' });
   }
   try {
@@ -761,10 +767,6 @@ app.post('/api/gva/voice-intent', async (req, res) => {
     if (!transcript || typeof transcript !== 'string') {
       return res.status(400).json({ error: 'missing_transcript' });
     }
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('[GVA] (voice-server) OPENAI_API_KEY missing');
-      return res.status(503).json({ error: 'openai_not_configured' });
-    }
 
     const aliasToLine = context.aliasToLine || {};
     const activeLineId = context.activeLineId || null;
@@ -866,9 +868,9 @@ Ti si Gantt Tool Router.
       `- knownAliases: ${knownAliases.join(', ')}`
     ].join('\n');
 
-    console.log(`[GVA] (voice-server) OpenAI model: ${process.env.VITE_RESPONSES_MODEL || 'gpt-4o-mini'}`);
-    const response = await openai.chat.completions.create({
-      model: process.env.VITE_RESPONSES_MODEL || 'gpt-4o-mini',
+    const resolved = llm.resolve('tools', route);
+    console.log(`[GVA] (voice-server) model: ${resolved.provider.name}:${resolved.model}`);
+    const response = await llm.chat({
       messages: [
         { role: 'system', content: SYSTEM_PROMPT },
         { role: 'user', content: userBlock }
@@ -877,7 +879,7 @@ Ti si Gantt Tool Router.
       tool_choice: 'auto',
       parallel_tool_calls: false,
       temperature: 0.1
-    });
+    }, route);
 
     const message = response.choices?.[0]?.message || {};
     const toolCalls = message.tool_calls || [];